@@ -0,0 +1,19 @@
+import { toNumber } from "./env.js";
+
+/**
+ * Delivery Proof Configuration
+ *
+ * How an agent proves they handed a delivery order to the customer.
+ * Values can be overridden through environment variables.
+ */
+
+export default {
+  // Digits in the code the customer reads to the agent at the door
+  otpLength: toNumber(process.env.DELIVERY_OTP_LENGTH, 4),
+
+  // Wrong codes an agent can enter before only an admin can complete the delivery
+  maxOtpAttempts: toNumber(process.env.DELIVERY_OTP_MAX_ATTEMPTS, 5),
+
+  // Largest doorstep photo an agent can upload, in megabytes
+  maxPhotoSizeMb: toNumber(process.env.DELIVERY_PHOTO_MAX_MB, 10)
+};
@@ -0,0 +1,52 @@
+import { toNumber } from "./env.js";
+
+/**
+ * Dispatch Configuration
+ *
+ * How confirmed delivery orders are offered to delivery agents: who is
+ * considered, how candidates are ranked, and how long each agent has to
+ * answer before the offer moves on. Values can be overridden through
+ * environment variables.
+ */
+
+export default {
+  // Seconds an agent has to accept an offer before it goes to the next agent
+  offerTimeoutSeconds: toNumber(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS, 30),
+
+  // Only agents within this distance of the pickup point are offered the order
+  searchRadiusMeters: toNumber(process.env.DISPATCH_SEARCH_RADIUS_METERS, 5000),
+
+  // How far from an agent open orders are listed for them to pick up themselves
+  nearbyRadiusMeters: toNumber(process.env.DISPATCH_NEARBY_RADIUS_METERS, 2000),
+
+  // Agents already carrying this many orders aren't offered more, and can't
+  // take more themselves. Vehicles without their own limit use the default.
+  maxActiveOrders: toNumber(process.env.DISPATCH_MAX_ACTIVE_ORDERS, 3),
+  maxActiveOrdersByVehicle: {
+    bicycle: toNumber(process.env.DISPATCH_MAX_ACTIVE_ORDERS_BICYCLE, 1),
+    scooter: toNumber(process.env.DISPATCH_MAX_ACTIVE_ORDERS_SCOOTER, 2),
+    bike: toNumber(process.env.DISPATCH_MAX_ACTIVE_ORDERS_BIKE, 3),
+    car: toNumber(process.env.DISPATCH_MAX_ACTIVE_ORDERS_CAR, 4)
+  },
+
+  // How many agents are ranked for each offer (and shown to admins)
+  candidateLimit: toNumber(process.env.DISPATCH_CANDIDATE_LIMIT, 10),
+
+  // When every nearby agent has passed, wait this long before offering the order again
+  retryDelaySeconds: toNumber(process.env.DISPATCH_RETRY_DELAY_SECONDS, 60),
+
+  // How often the server looks for orders that are due to be offered
+  // (scheduled orders coming up, retries, offers left over from a restart)
+  sweepIntervalSeconds: toNumber(process.env.DISPATCH_SWEEP_INTERVAL_SECONDS, 30),
+
+  // Scoring weights; each factor is scaled to 0-1 before weighting.
+  // Higher scores are offered first.
+  weights: {
+    distance: toNumber(process.env.DISPATCH_WEIGHT_DISTANCE, 0.6),
+    load: toNumber(process.env.DISPATCH_WEIGHT_LOAD, 0.25),
+    rating: toNumber(process.env.DISPATCH_WEIGHT_RATING, 0.15)
+  },
+
+  // Rating given to agents nobody has rated yet
+  defaultRating: toNumber(process.env.DISPATCH_DEFAULT_RATING, 4)
+};
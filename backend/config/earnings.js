@@ -0,0 +1,28 @@
+import { toNumber } from "./env.js";
+
+/**
+ * Earnings Configuration
+ *
+ * What a delivery agent earns per delivery and when they're paid out (see
+ * utils/earnings.js). Values can be overridden through environment variables.
+ */
+
+export default {
+  // Flat amount per delivery, by delivery method
+  baseFees: {
+    standard: toNumber(process.env.EARNING_BASE_STANDARD, 30),
+    express: toNumber(process.env.EARNING_BASE_EXPRESS, 45)
+  },
+
+  // Paid per road kilometre from the kitchen to the customer, past the first freeKm
+  perKm: toNumber(process.env.EARNING_PER_KM, 8),
+  freeKm: toNumber(process.env.EARNING_FREE_KM, 2),
+  // Longer trips are paid as if they were this long
+  maxKm: toNumber(process.env.EARNING_MAX_KM, 20),
+
+  // Deliveries that come to less than this (before tips) are topped up to it
+  minimumPerDelivery: toNumber(process.env.EARNING_MINIMUM, 40),
+
+  // Statements and payouts run weekly from this day (0 = Sunday, 1 = Monday), in UTC
+  weekStartsOn: toNumber(process.env.EARNING_WEEK_STARTS_ON, 1)
+};
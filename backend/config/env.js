@@ -0,0 +1,16 @@
+/**
+ * Environment Variable Helpers
+ *
+ * Shared by the config files to read their environment overrides.
+ */
+
+/**
+ * Reads a number from an environment variable
+ * @param {string} [value] - Raw environment value
+ * @param {number} fallback - Used when the value is missing or not a number
+ * @returns {number}
+ */
+export const toNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
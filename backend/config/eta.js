@@ -0,0 +1,38 @@
+import { toNumber } from "./env.js";
+
+/**
+ * ETA Configuration
+ *
+ * Travel speeds and handover allowances used to estimate when a delivery
+ * order reaches the customer (see utils/eta.js). Values can be overridden
+ * through environment variables.
+ */
+
+export default {
+  // Average city speed by vehicle type, in km/h
+  speedsKmh: {
+    bicycle: toNumber(process.env.ETA_SPEED_BICYCLE_KMH, 12),
+    bike: toNumber(process.env.ETA_SPEED_BIKE_KMH, 25),
+    scooter: toNumber(process.env.ETA_SPEED_SCOOTER_KMH, 22),
+    car: toNumber(process.env.ETA_SPEED_CAR_KMH, 20)
+  },
+
+  // Roads are longer than a straight line; straight-line distances are multiplied by this
+  roadFactor: toNumber(process.env.ETA_ROAD_FACTOR, 1.3),
+
+  // Time spent collecting the food at the kitchen, and handing it over at the door
+  pickupHandoverMinutes: toNumber(process.env.ETA_PICKUP_HANDOVER_MINUTES, 3),
+  dropoffMinutes: toNumber(process.env.ETA_DROPOFF_MINUTES, 2),
+
+  // Prep time assumed when the kitchen hasn't given one
+  defaultPrepMinutes: toNumber(process.env.ETA_DEFAULT_PREP_MINUTES, 15),
+
+  // Time for an agent to reach the kitchen while nobody is assigned yet
+  unassignedPickupMinutes: toNumber(process.env.ETA_UNASSIGNED_PICKUP_MINUTES, 10),
+
+  // Used for a leg whose start or end location is unknown
+  fallbackLegMinutes: toNumber(process.env.ETA_FALLBACK_LEG_MINUTES, 15),
+
+  // Location updates only push a new ETA when it moves by at least this much
+  minChangeSeconds: toNumber(process.env.ETA_MIN_CHANGE_SECONDS, 60)
+};
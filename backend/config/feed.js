@@ -0,0 +1,46 @@
+import { toNumber } from "./env.js";
+
+/**
+ * Feed Configuration
+ *
+ * How the home feed ranks posts (see utils/feedRanking.js) and how much of
+ * it is sent per page. Values can be overridden through environment
+ * variables.
+ */
+
+export default {
+  // Posts per page, and the most a client may ask for
+  pageSize: toNumber(process.env.FEED_PAGE_SIZE, 10),
+  maxPageSize: toNumber(process.env.FEED_MAX_PAGE_SIZE, 30),
+
+  // Posts that haven't expired are ranked, newest first up to maxCandidates of them
+  maxCandidates: toNumber(process.env.FEED_MAX_CANDIDATES, 500),
+
+  // How long a ranked feed is kept for its later pages
+  snapshotTtlMinutes: toNumber(process.env.FEED_SNAPSHOT_TTL_MINUTES, 60),
+
+  // Latest comments sent with each post; the rest come from /:id/comment/all
+  commentPreviewSize: toNumber(process.env.FEED_COMMENT_PREVIEW_SIZE, 2),
+
+  // A post's recency score halves every this many hours
+  recencyHalfLifeHours: toNumber(process.env.FEED_RECENCY_HALF_LIFE_HOURS, 2),
+
+  // A kitchen this far from the viewer scores half of one next door
+  distanceHalfScoreKm: toNumber(process.env.FEED_DISTANCE_HALF_SCORE_KM, 3),
+
+  // Weighted likes + comments + shares at which engagement scores half
+  engagementHalfScore: toNumber(process.env.FEED_ENGAGEMENT_HALF_SCORE, 10),
+
+  // Rating assumed for posts nobody has rated yet, out of 5
+  defaultRating: toNumber(process.env.FEED_DEFAULT_RATING, 3),
+
+  // Scoring weights; each factor is scaled to 0-1 before weighting.
+  // Higher scores are shown first.
+  weights: {
+    recency: toNumber(process.env.FEED_WEIGHT_RECENCY, 0.35),
+    distance: toNumber(process.env.FEED_WEIGHT_DISTANCE, 0.25),
+    following: toNumber(process.env.FEED_WEIGHT_FOLLOWING, 0.15),
+    engagement: toNumber(process.env.FEED_WEIGHT_ENGAGEMENT, 0.15),
+    rating: toNumber(process.env.FEED_WEIGHT_RATING, 0.1)
+  }
+};
@@ -0,0 +1,23 @@
+import { toNumber } from "./env.js";
+
+/**
+ * Menu Configuration
+ *
+ * Limits for sellers' permanent menus (see utils/menu.js). Menu items are
+ * cooked to order, so they have no stock count; instead each order line is
+ * capped. Values can be overridden through environment variables.
+ */
+
+export default {
+  // Items a seller can have on their menu, archived ones aside
+  maxItemsPerSeller: toNumber(process.env.MENU_MAX_ITEMS_PER_SELLER, 100),
+
+  // Most portions of one menu item a single order can take
+  maxPortionsPerLine: toNumber(process.env.MENU_MAX_PORTIONS_PER_LINE, 20),
+
+  // Weekly availability windows per item
+  maxAvailabilityWindows: toNumber(process.env.MENU_MAX_AVAILABILITY_WINDOWS, 21),
+
+  // Fresh batches listed with each item on a seller's menu
+  freshBatchesPerItem: toNumber(process.env.MENU_FRESH_BATCHES_PER_ITEM, 3)
+};
@@ -0,0 +1,48 @@
+import { toNumber } from "./env.js";
+
+/**
+ * Payment Configuration
+ *
+ * Which payment provider handles each payment method, and the settings for
+ * the local mock card gateway. Solana settings live in config/solana.js.
+ * Values can be overridden through environment variables.
+ */
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+export default {
+  // Provider for each order paymentMethod. Methods without one can't be used for new orders.
+  providersByMethod: {
+    cash: 'cash',
+    solana: 'solana',
+    card: 'mock_card'
+  },
+
+  // Payment methods collected when the order is handed over. Orders paid any
+  // other way have to be paid before the kitchen can accept them.
+  payOnDeliveryMethods: ['cash'],
+
+  // Orders paid up front that are still unpaid this many minutes after they
+  // were placed are cancelled, giving back whatever they reserved
+  paymentTimeoutMinutes: toNumber(process.env.PAYMENT_TIMEOUT_MINUTES, 30),
+
+  // How often the server looks for orders that ran out of time to be paid
+  paymentSweepIntervalSeconds: toNumber(process.env.PAYMENT_SWEEP_INTERVAL_SECONDS, 60),
+
+  // In-process stand-in for a card gateway, with signed webhooks like a real one.
+  // Off in production unless explicitly turned on.
+  mockCard: {
+    enabled: process.env.MOCK_CARD_GATEWAY
+      ? process.env.MOCK_CARD_GATEWAY === 'true'
+      : !isProduction,
+    // Shared secret the gateway signs webhooks with
+    webhookSecret: process.env.MOCK_CARD_WEBHOOK_SECRET || 'whsec_local_mock_card',
+    // Where the gateway delivers webhooks (this server's webhook endpoint)
+    webhookUrl: process.env.MOCK_CARD_WEBHOOK_URL ||
+      `http://localhost:${process.env.PORT || 8000}/api/v1/payments/webhooks/mock_card`,
+    // Simulated processing time before a webhook is sent
+    webhookDelayMs: toNumber(process.env.MOCK_CARD_WEBHOOK_DELAY_MS, 500),
+    // Webhooks signed longer ago than this are rejected as replays
+    signatureToleranceSeconds: toNumber(process.env.MOCK_CARD_SIGNATURE_TOLERANCE_SECONDS, 300)
+  }
+};
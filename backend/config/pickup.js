@@ -0,0 +1,16 @@
+import { toNumber } from "./env.js";
+
+/**
+ * Pickup Configuration
+ *
+ * How an agent proves they collected a delivery order from the kitchen.
+ * Values can be overridden through environment variables.
+ */
+
+export default {
+  // Digits in the code the kitchen reads to the agent at handover
+  codeLength: toNumber(process.env.PICKUP_CODE_LENGTH, 4),
+
+  // Agents this close to the kitchen can confirm the pickup without the code
+  geofenceRadiusMeters: toNumber(process.env.PICKUP_GEOFENCE_METERS, 150)
+};
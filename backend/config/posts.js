@@ -0,0 +1,26 @@
+import { toNumber } from "./env.js";
+
+/**
+ * Post Configuration
+ *
+ * How long a post stays up for ordering, how many photos and videos it can
+ * have and how much of its edit history is kept. Sellers choose a window
+ * when they post; once it passes the post expires: it leaves the feed and
+ * search but stays resolvable for orders, shares, bookmarks and the author's
+ * profile. Values can be overridden through environment variables.
+ */
+
+export default {
+  // Hours a post stays up when the seller doesn't choose
+  defaultAvailabilityHours: toNumber(process.env.POST_DEFAULT_AVAILABILITY_HOURS, 3),
+
+  // Shortest and longest window a seller can choose, in hours
+  minAvailabilityHours: toNumber(process.env.POST_MIN_AVAILABILITY_HOURS, 0.5),
+  maxAvailabilityHours: toNumber(process.env.POST_MAX_AVAILABILITY_HOURS, 48),
+
+  // Photos and videos a post can have
+  maxMediaPerPost: toNumber(process.env.POST_MAX_MEDIA, 10),
+
+  // Most recent edits kept in a post's edit history
+  maxEditHistory: toNumber(process.env.POST_MAX_EDIT_HISTORY, 20)
+};
@@ -0,0 +1,48 @@
+import { toNumber } from "./env.js";
+
+/**
+ * Pricing Configuration
+ *
+ * Central place for the tax and delivery-fee rules used by the order
+ * pricing engine. Values can be overridden through environment variables
+ * so they can be tuned per deployment without a code change.
+ */
+
+export default {
+  // Currency used for all order amounts
+  currency: 'INR',
+
+  // Tax rules - a flat rate applied to the item subtotal (after discount)
+  tax: {
+    rate: toNumber(process.env.ORDER_TAX_RATE, 0.07),
+    label: 'GST'
+  },
+
+  // Delivery fee rules per delivery method
+  deliveryFees: {
+    standard: {
+      fee: toNumber(process.env.DELIVERY_FEE_STANDARD, 49),
+      // Orders at or above this subtotal get free standard delivery (0 disables it)
+      freeAbove: toNumber(process.env.DELIVERY_FREE_ABOVE_STANDARD, 0),
+      estimate: '45-60 minutes'
+    },
+    express: {
+      fee: toNumber(process.env.DELIVERY_FEE_EXPRESS, 99),
+      freeAbove: 0,
+      estimate: '25-30 minutes'
+    },
+    pickup: {
+      fee: 0,
+      freeAbove: 0,
+      estimate: '15-20 minutes'
+    }
+  },
+
+  // Tips customers can add for their delivery agent; all of it goes to the agent
+  tips: {
+    max: toNumber(process.env.DELIVERY_TIP_MAX, 500)
+  },
+
+  // Maximum difference (in currency units) tolerated between client and server totals
+  tolerance: toNumber(process.env.ORDER_PRICE_TOLERANCE, 0.01)
+};
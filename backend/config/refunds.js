@@ -0,0 +1,27 @@
+import { toNumber } from "./env.js";
+
+/**
+ * Refund Configuration
+ *
+ * Cancellation fees and refund rules. Like the pricing rules, values can be
+ * overridden through environment variables.
+ */
+
+export default {
+  // Share of the order total kept when a customer cancels, by the status the
+  // order was in. Kitchens and admins cancelling never charge a fee.
+  cancellationFeeRates: {
+    processing: 0,
+    confirmed: toNumber(process.env.CANCELLATION_FEE_CONFIRMED, 0.1),
+    preparing: toNumber(process.env.CANCELLATION_FEE_PREPARING, 0.5),
+    // An agent is on the way to (or waiting at) the kitchen
+    agent_assigned: toNumber(process.env.CANCELLATION_FEE_AGENT_ASSIGNED, 0.5),
+    arrived_at_pickup: toNumber(process.env.CANCELLATION_FEE_ARRIVED_AT_PICKUP, 0.5)
+  },
+
+  // Cancellations without a fee are refunded straight away instead of waiting for an admin
+  autoApproveFeeFreeCancellations: process.env.REFUND_AUTO_APPROVE_CANCELLATIONS !== 'false',
+
+  // How long after delivery a customer can ask for a refund
+  requestWindowHours: toNumber(process.env.REFUND_REQUEST_WINDOW_HOURS, 48)
+};
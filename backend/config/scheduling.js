@@ -0,0 +1,35 @@
+import { toNumber } from "./env.js";
+
+/**
+ * Scheduling Configuration
+ *
+ * Rules for scheduled (pre-order) delivery and pickup slots. Sellers can
+ * change their own capacity and opening hours; these are the defaults and
+ * the limits everyone shares. Values can be overridden through environment
+ * variables.
+ */
+
+export default {
+  // Length of each slot in minutes
+  slotMinutes: toNumber(process.env.SLOT_MINUTES, 30),
+
+  // How many days ahead customers can book, counting today
+  daysAhead: toNumber(process.env.SLOT_DAYS_AHEAD, 3),
+
+  // Earliest a slot can start, in minutes from now, so kitchens have time to cook
+  minLeadMinutes: toNumber(process.env.SLOT_MIN_LEAD_MINUTES, 60),
+
+  // Scheduled orders are shown to delivery agents this many minutes before their slot starts
+  agentLeadMinutes: toNumber(process.env.SLOT_AGENT_LEAD_MINUTES, 45),
+
+  // Seller defaults, used until a seller saves their own settings.
+  // Opening hours are "HH:mm" in the server's time zone.
+  defaults: {
+    capacityPerSlot: toNumber(process.env.SLOT_DEFAULT_CAPACITY, 5),
+    openTime: process.env.SLOT_DEFAULT_OPEN_TIME || '10:00',
+    closeTime: process.env.SLOT_DEFAULT_CLOSE_TIME || '22:00'
+  },
+
+  // Largest capacity a seller can set for a single slot
+  maxCapacityPerSlot: 100
+};
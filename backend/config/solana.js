@@ -0,0 +1,34 @@
+import { toNumber } from "./env.js";
+
+/**
+ * Solana Payment Configuration
+ *
+ * Where Solana payments are sent and how they are checked. Like the pricing
+ * rules, values can be overridden through environment variables.
+ *
+ * Set SOLANA_RPC_URL=mock to verify payments against a local mock ledger
+ * instead of a real cluster (ignored in production).
+ */
+
+export default {
+  // JSON-RPC endpoint used to look up transactions
+  rpcUrl: process.env.SOLANA_RPC_URL || 'https://api.devnet.solana.com',
+
+  // Commitment a transaction needs before the order counts as paid
+  commitment: process.env.SOLANA_COMMITMENT || 'confirmed',
+
+  // Wallet customers pay into
+  recipientWallet: process.env.SOLANA_RECIPIENT_WALLET || '9B5XszUGdMaxCZ7uSQhPzdks5ZQSmWxrmzCSvtJ6Ns6g',
+
+  // Exchange rate used to turn order totals (INR) into SOL
+  inrPerSol: toNumber(process.env.SOLANA_INR_PER_SOL, 14450),
+
+  // Lamports a payment may fall short by, to absorb rounding in wallets
+  lamportTolerance: toNumber(process.env.SOLANA_LAMPORT_TOLERANCE, 1000),
+
+  // Memo program the order reference is written with
+  memoProgramId: 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr',
+
+  // How long to wait for the RPC endpoint before giving up
+  rpcTimeoutMs: toNumber(process.env.SOLANA_RPC_TIMEOUT_MS, 10000)
+};
@@ -0,0 +1,25 @@
+import { toNumber } from "./env.js";
+
+/**
+ * Tracking Configuration
+ *
+ * How much of a delivery agent's route is kept for each active order (see
+ * utils/locationTrail.js). Values can be overridden through environment variables.
+ */
+
+export default {
+  // Positions closer together than this are dropped, however far the agent moved
+  minIntervalSeconds: toNumber(process.env.TRAIL_MIN_INTERVAL_SECONDS, 5),
+
+  // Movement smaller than this counts as standing still (GPS jitter)
+  minDistanceMeters: toNumber(process.env.TRAIL_MIN_DISTANCE_METERS, 15),
+
+  // An agent standing still is still recorded this often, so gaps mean no signal
+  heartbeatSeconds: toNumber(process.env.TRAIL_HEARTBEAT_SECONDS, 60),
+
+  // Trails are deleted this long after they were recorded
+  retentionDays: toNumber(process.env.TRAIL_RETENTION_DAYS, 90),
+
+  // Most points returned for one order's trail
+  maxPoints: toNumber(process.env.TRAIL_MAX_POINTS, 5000)
+};
@@ -1,8 +1,34 @@
+import mongoose from "mongoose";
 import DeliveryAgent from "../models/deliveryAgent.model.js";
+import DeliveryRating from "../models/deliveryRating.model.js";
+import ServiceZone from "../models/serviceZone.model.js";
 import Order from "../models/order.model.js";
 import { User } from "../models/user.model.js";
 import { io } from "../socket/socket.js";
 import createError from "../utils/error.js";
+import dispatchConfig from "../config/dispatch.js";
+import { ORDER_ROLES, assertTransition, transitionOrder } from "../utils/orderStateMachine.js";
+import { verifyPickupProof, distanceFromPickup } from "../utils/pickup.js";
+import { verifyDeliveryOtp, uploadDeliveryPhoto, distanceFromDropoff } from "../utils/deliveryProof.js";
+import { recordDeliveryRating, summarizeAgentRatings } from "../utils/deliveryRatings.js";
+import { refreshDeliveryEta } from "../utils/eta.js";
+import { recordTrailPoints } from "../utils/locationTrail.js";
+import { planAgentRoute } from "../utils/routePlanner.js";
+import { agentVisibleSlotFilter } from "../utils/slots.js";
+import { settledPaymentFilter } from "../utils/paymentDeadline.js";
+import { normalizeShifts, getAgentWorkStatus, loadAgentZones, isPickupInZones } from "../utils/agentAvailability.js";
+import {
+  offerVisibilityFilter,
+  assignOrderToAgent,
+  closeOffer,
+  releaseAgentOffers,
+  rankAgents,
+  overrideOffer,
+  redispatchOrder
+} from "../utils/dispatcher.js";
+
+// Statuses of orders an agent is carrying out, from assignment to the doorstep
+const ACTIVE_DELIVERY_STATUSES = ["agent_assigned", "arrived_at_pickup", "picked_up", "out_for_delivery"];
 
 // Helper function to calculate distance between two points using Haversine formula
 const calculateDistance = (lat1, lon1, lat2, lon2) => {
@@ -21,6 +47,18 @@ const calculateDistance = (lat1, lon1, lat2, lon2) => {
   return d;
 };
 
+// Open orders an agent can take: none while they're off shift or full, and
+// only those picked up in their zones
+const filterTakeableOrders = async (agent, orders) => {
+  const workStatus = getAgentWorkStatus(agent);
+  if (!workStatus.canTakeOrders) {
+    return { orders: [], workStatus };
+  }
+
+  const zones = await loadAgentZones(agent);
+  return { orders: orders.filter(order => isPickupInZones(order, zones)), workStatus };
+};
+
 // Register as a delivery agent
 export const registerAsDeliveryAgent = async (req, res, next) => {
   try {
@@ -81,6 +119,11 @@ export const updateAvailability = async (req, res, next) => {
     agent.isAvailable = isAvailable;
     await agent.save();
 
+    // Offers waiting on an agent who just went off duty go to the next agent
+    if (!isAvailable) {
+      await releaseAgentOffers(agent._id);
+    }
+
     return res.status(200).json({
       success: true,
       message: `Availability updated to ${isAvailable ? 'available' : 'unavailable'}`,
@@ -92,10 +135,77 @@ export const updateAvailability = async (req, res, next) => {
   }
 };
 
+// Set the weekly shifts the agent works
+export const updateShifts = async (req, res, next) => {
+  try {
+    const shifts = normalizeShifts(req.body.shifts);
+
+    const agent = await DeliveryAgent.findOne({ user: req.user.id });
+    if (!agent) {
+      return next(createError(404, "Delivery agent profile not found"));
+    }
+
+    agent.shifts = shifts;
+    await agent.save();
+
+    const workStatus = getAgentWorkStatus(agent);
+    // Offers waiting on an agent whose shift just ended go to the next agent
+    if (!workStatus.onShift) {
+      await releaseAgentOffers(agent._id);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: shifts.length ? "Shifts updated" : "Shifts cleared, you can take orders any time you're available",
+      shifts: agent.shifts,
+      workStatus
+    });
+  } catch (error) {
+    console.error("Error updating agent shifts:", error);
+    if (error.statusCode) {
+      return next(error);
+    }
+    return next(createError(500, "Error updating shifts: " + error.message));
+  }
+};
+
+// Pick the service zones the agent picks up in
+export const updateZones = async (req, res, next) => {
+  try {
+    const { zoneIds } = req.body;
+    if (!Array.isArray(zoneIds) || !zoneIds.every(id => mongoose.isValidObjectId(id))) {
+      return next(createError(400, "zoneIds must be a list of zone IDs"));
+    }
+
+    const zones = await ServiceZone.find({ _id: { $in: zoneIds }, isActive: true }).select("name");
+    if (zones.length !== new Set(zoneIds.map(String)).size) {
+      return next(createError(400, "One or more zones don't exist or are no longer in service"));
+    }
+
+    const agent = await DeliveryAgent.findOneAndUpdate(
+      { user: req.user.id },
+      { $set: { zones: zones.map(zone => zone._id) } },
+      { new: true }
+    );
+    if (!agent) {
+      return next(createError(404, "Delivery agent profile not found"));
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: zones.length ? "Zones updated" : "Zones cleared, you'll see orders from everywhere",
+      zones
+    });
+  } catch (error) {
+    console.error("Error updating agent zones:", error);
+    return next(createError(500, "Error updating zones: " + error.message));
+  }
+};
+
 // Update current location
 export const updateLocation = async (req, res, next) => {
   try {
-    const { longitude, latitude } = req.body;
+    const { longitude, latitude, accuracy } = req.body;
 
     // Validate coordinates
     if (!longitude || !latitude || typeof longitude !== 'number' || typeof latitude !== 'number') {
@@ -114,14 +224,16 @@ export const updateLocation = async (req, res, next) => {
     };
     await agent.save();
 
-    // If agent has active orders, broadcast location update
+    // If agent has active orders, keep the position on their trails, broadcast it and move their ETAs
     if (agent.activeOrders && agent.activeOrders.length > 0) {
       // Get all active orders with details
       const orders = await Order.find({
         _id: { $in: agent.activeOrders },
-        status: { $in: ["confirmed", "preparing", "out_for_delivery"] }
+        status: { $in: ACTIVE_DELIVERY_STATUSES }
       });
 
+      await recordTrailPoints(orders, agent._id, agent.currentLocation, { accuracy });
+
       // Broadcast location update to each order's user
       for (const order of orders) {
         io.to(`order_${order._id}`).emit("deliveryLocationUpdate", {
@@ -130,6 +242,7 @@ export const updateLocation = async (req, res, next) => {
           location: agent.currentLocation,
           timestamp: new Date()
         });
+        await refreshDeliveryEta(order, agent);
       }
     }
 
@@ -166,8 +279,8 @@ export const getNearbyOrders = async (req, res, next) => {
     // Get agent's current location
     const [longitude, latitude] = agent.currentLocation.coordinates;
     
-    // Maximum distance in meters (2km radius)
-    const maxDistance = 2000;
+    // Maximum distance in meters
+    const maxDistance = dispatchConfig.nearbyRadiusMeters;
 
     // Prepare rejected orders filter
     const rejectedOrderIds = agent.rejectedOrders || [];
@@ -176,7 +289,17 @@ export const getNearbyOrders = async (req, res, next) => {
     let orderQuery = {
       _id: { $nin: rejectedOrderIds }, // Exclude rejected orders
       deliveryAgent: { $exists: false },
-      status: "confirmed"
+      // Orders agents can take (see orderStateMachine); pickup orders never need one
+      status: { $in: ["confirmed", "preparing"] },
+      deliveryMethod: { $ne: "pickup" },
+      $and: [
+        // Scheduled orders only show up shortly before their slot
+        agentVisibleSlotFilter(),
+        // Orders paid up front only show up once they're paid
+        settledPaymentFilter(),
+        // Orders on offer to another agent are theirs until the offer runs out
+        offerVisibilityFilter(agent._id)
+      ]
     };
     
     // Only add location filter if we're not including all confirmed orders
@@ -193,10 +316,11 @@ export const getNearbyOrders = async (req, res, next) => {
     }
 
     // Find orders ready for delivery assignment
-    const allConfirmedOrders = await Order.find(orderQuery).populate({
+    const openOrders = await Order.find(orderQuery).populate({
       path: 'user',
       select: 'username avatar'
     });
+    const { orders: allConfirmedOrders, workStatus } = await filterTakeableOrders(agent, openOrders);
     
     // Calculate exact distance for each order and add it to the response
     const ordersWithDistance = allConfirmedOrders.map(order => {
@@ -247,7 +371,7 @@ export const getNearbyOrders = async (req, res, next) => {
     // Find agent's active orders - without distance restriction
     const activeOrders = await Order.find({
       _id: { $in: agent.activeOrders },
-      status: "out_for_delivery"
+      status: { $in: ACTIVE_DELIVERY_STATUSES }
     }).populate({
       path: 'user',
       select: 'username avatar'
@@ -288,6 +412,7 @@ export const getNearbyOrders = async (req, res, next) => {
       count: allOrders.length,
       includeAllConfirmed,
       maxDistance,
+      workStatus,
       orders: allOrders
     });
   } catch (error) {
@@ -317,41 +442,18 @@ export const acceptOrder = async (req, res, next) => {
     }
 
     // Find and check order status
-    const order = await Order.findById(orderId);
+    let order = await Order.findById(orderId);
     if (!order) {
       return next(createError(404, "Order not found"));
     }
 
-    if (order.deliveryAgent) {
-      return next(createError(400, "This order has already been assigned to a delivery agent"));
-    }
-
-    if (order.status !== "confirmed") {
-      return next(createError(400, "Order is not available for delivery"));
-    }
-
-    // Calculate estimated delivery time (30 minutes from now)
-    const estimatedDeliveryTime = new Date();
-    estimatedDeliveryTime.setMinutes(estimatedDeliveryTime.getMinutes() + 30);
-
-    // Update order with delivery agent and status
-    order.deliveryAgent = agent._id;
-    order.status = "out_for_delivery";
-    order.estimatedDeliveryTime = estimatedDeliveryTime;
-    
-    // Add status history entry
-    order.statusHistory.push({
-      status: "out_for_delivery",
-      timestamp: new Date(),
-      location: agent.currentLocation,
+    // Takes the order (if it isn't on offer to someone else); the agent heads to the kitchen next
+    order = await assignOrderToAgent(order, agent, {
+      roles: [ORDER_ROLES.AGENT],
+      actorId: req.user.id,
       note: `Assigned to delivery agent: ${req.user.username}`
     });
-    
-    await order.save();
-
-    // Update agent's active orders
-    agent.activeOrders.push(order._id);
-    await agent.save();
+    const { estimatedDeliveryTime } = order;
 
     // Populate the order with all necessary data before returning
     await order.populate([
@@ -378,6 +480,8 @@ export const acceptOrder = async (req, res, next) => {
 
     // Create the order object with enhanced location data
     const orderObj = order.toObject();
+    // The handover code is the kitchen's to give
+    delete orderObj.pickupLeg?.code;
     
     // Log original coordinates for debugging
     console.log(`Backend acceptOrder - Original order ${order._id} coordinates:`, {
@@ -439,10 +543,10 @@ export const acceptOrder = async (req, res, next) => {
       delivery: orderObj.deliveryLocation?.coordinates
     });
 
-    // Notify user that order is out for delivery
+    // Notify user that an agent is on the way to the kitchen
     io.to(`user_${order.user._id || order.user}`).emit("orderStatusUpdate", {
       orderId: order._id,
-      status: "out_for_delivery",
+      status: order.status,
       estimatedDeliveryTime,
       agent: {
         id: agent._id,
@@ -459,48 +563,155 @@ export const acceptOrder = async (req, res, next) => {
     });
   } catch (error) {
     console.error("Error accepting order:", error);
+    if (error.statusCode) {
+      return next(error);
+    }
     return next(createError(500, "Error accepting order: " + error.message));
   }
 };
 
-// Complete a delivery
-export const completeDelivery = async (req, res, next) => {
+// Load an order assigned to the requesting agent, or fail with 404/403
+const findAgentOrder = async (req, select) => {
+  const agent = await DeliveryAgent.findOne({ user: req.user.id });
+  if (!agent) {
+    throw createError(404, "Delivery agent profile not found");
+  }
+
+  const query = Order.findById(req.params.orderId);
+  if (select) {
+    query.select(select);
+  }
+  const order = await query;
+  if (!order) {
+    throw createError(404, "Order not found");
+  }
+
+  if (!order.deliveryAgent || !order.deliveryAgent.equals(agent._id)) {
+    throw createError(403, "This order is not assigned to you");
+  }
+
+  return { agent, order };
+};
+
+// Check in at the kitchen
+export const arriveAtPickup = async (req, res, next) => {
   try {
-    const { orderId } = req.params;
-    
-    // Get delivery agent
-    const agent = await DeliveryAgent.findOne({ user: req.user.id });
-    if (!agent) {
-      return next(createError(404, "Delivery agent profile not found"));
-    }
+    const { agent, order } = await findAgentOrder(req);
+    const distance = distanceFromPickup(order, agent);
 
-    // Check if order exists and is being delivered by this agent
-    const order = await Order.findById(orderId);
-    if (!order) {
-      return next(createError(404, "Order not found"));
+    await transitionOrder(order, "arrived_at_pickup", {
+      roles: [ORDER_ROLES.AGENT],
+      actorId: req.user.id,
+      location: agent.currentLocation,
+      note: distance === null
+        ? "Delivery agent arrived at the kitchen"
+        : `Delivery agent arrived at the kitchen (${distance} m away)`
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Marked as arrived at the kitchen",
+      order
+    });
+  } catch (error) {
+    console.error("Error marking arrival at pickup:", error);
+    if (error.statusCode) {
+      return next(error);
     }
+    return next(createError(500, "Error marking arrival: " + error.message));
+  }
+};
 
-    if (!order.deliveryAgent || !order.deliveryAgent.equals(agent._id)) {
-      return next(createError(403, "This order is not assigned to you"));
+// Confirm the food was collected, with the kitchen's code or by being at the kitchen
+export const confirmPickup = async (req, res, next) => {
+  try {
+    const { agent, order } = await findAgentOrder(req, "+pickupLeg.code");
+    const proof = verifyPickupProof(order, agent, req.body.code);
+
+    await transitionOrder(order, "picked_up", {
+      roles: [ORDER_ROLES.AGENT],
+      actorId: req.user.id,
+      location: agent.currentLocation,
+      note: proof.method === "code"
+        ? "Picked up from the kitchen, confirmed with the kitchen's code"
+        : `Picked up from the kitchen, confirmed at the kitchen (${proof.distance} m away)`,
+      apply: (order) => {
+        order.pickupLeg.proof = { ...proof, confirmedBy: req.user.id };
+      }
+    });
+
+    const orderObj = order.toObject();
+    delete orderObj.pickupLeg.code;
+
+    return res.status(200).json({
+      success: true,
+      message: "Pickup confirmed",
+      order: orderObj
+    });
+  } catch (error) {
+    console.error("Error confirming pickup:", error);
+    if (error.statusCode) {
+      return next(error);
     }
+    return next(createError(500, "Error confirming pickup: " + error.message));
+  }
+};
 
-    if (order.status !== "out_for_delivery") {
-      return next(createError(400, "Order is not out for delivery"));
+// Set off to the customer once the food is collected
+export const startDelivery = async (req, res, next) => {
+  try {
+    const { agent, order } = await findAgentOrder(req);
+
+    await transitionOrder(order, "out_for_delivery", {
+      roles: [ORDER_ROLES.AGENT],
+      actorId: req.user.id,
+      location: agent.currentLocation,
+      note: "On the way to the customer"
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Delivery started",
+      order
+    });
+  } catch (error) {
+    console.error("Error starting delivery:", error);
+    if (error.statusCode) {
+      return next(error);
     }
+    return next(createError(500, "Error starting delivery: " + error.message));
+  }
+};
 
-    // Update order status
-    order.status = "delivered";
-    order.actualDeliveryTime = new Date();
-    
-    // Add status history entry
-    order.statusHistory.push({
-      status: "delivered",
-      timestamp: new Date(),
+// Complete a delivery with the customer's code, and a doorstep photo if the agent took one
+export const completeDelivery = async (req, res, next) => {
+  try {
+    const { agent, order } = await findAgentOrder(req, "+deliveryProof.otp");
+
+    // Check the move first so wrong-status requests don't use up code attempts
+    assertTransition(order, "delivered", [ORDER_ROLES.AGENT]);
+    const method = await verifyDeliveryOtp(order, req.body.otp);
+    const photo = req.file ? await uploadDeliveryPhoto(req.file, order._id) : undefined;
+    const distance = distanceFromDropoff(order, agent);
+
+    // Update order status (also sets actualDeliveryTime)
+    await transitionOrder(order, "delivered", {
+      roles: [ORDER_ROLES.AGENT],
+      actorId: req.user.id,
       location: agent.currentLocation,
-      note: "Order delivered successfully"
+      note: [
+        method === "otp" ? "Delivered, confirmed with the customer's code" : "Order delivered successfully",
+        photo && "Photo taken at the door",
+        req.body.note?.trim()
+      ].filter(Boolean).join(". "),
+      apply: (order) => {
+        order.deliveryProof.method = method;
+        order.deliveryProof.photo = photo;
+        order.deliveryProof.distance = distance;
+        order.deliveryProof.confirmedAt = new Date();
+        order.deliveryProof.confirmedBy = req.user.id;
+      }
     });
-    
-    await order.save();
 
     // Update agent's records
     agent.activeOrders = agent.activeOrders.filter(id => !id.equals(order._id));
@@ -514,13 +725,19 @@ export const completeDelivery = async (req, res, next) => {
       deliveredAt: order.actualDeliveryTime
     });
 
+    const orderObj = order.toObject();
+    delete orderObj.deliveryProof?.otp;
+
     return res.status(200).json({
       success: true,
       message: "Delivery completed successfully",
-      order,
+      order: orderObj,
     });
   } catch (error) {
     console.error("Error completing delivery:", error);
+    if (error.statusCode) {
+      return next(error);
+    }
     return next(createError(500, "Error completing delivery: " + error.message));
   }
 };
@@ -539,6 +756,10 @@ export const getAgentProfile = async (req, res, next) => {
       .populate({
         path: 'user',
         select: 'username email avatar'
+      })
+      .populate({
+        path: 'zones',
+        select: 'name isActive'
       });
 
     if (!agent) {
@@ -555,7 +776,8 @@ export const getAgentProfile = async (req, res, next) => {
         completedDeliveries: completedDeliveriesCount,
         rating: agent.rating,
         totalRatings: agent.totalRatings,
-      }
+      },
+      workStatus: getAgentWorkStatus(agent)
     });
   } catch (error) {
     console.error("Error fetching agent profile:", error);
@@ -599,12 +821,16 @@ export const getAllAgents = async (req, res, next) => {
       .populate({
         path: 'user',
         select: 'username email avatar'
+      })
+      .populate({
+        path: 'zones',
+        select: 'name isActive'
       });
 
     return res.status(200).json({
       success: true,
       count: agents.length,
-      agents,
+      agents: agents.map(agent => ({ ...agent.toObject(), workStatus: getAgentWorkStatus(agent) })),
     });
   } catch (error) {
     console.error("Error fetching all agents:", error);
@@ -612,6 +838,127 @@ export const getAllAgents = async (req, res, next) => {
   }
 };
 
+// Customer: Rate the agent who delivered an order
+export const rateDelivery = async (req, res, next) => {
+  try {
+    const { rating, tags, comment } = req.body;
+
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return next(createError(404, "Order not found"));
+    }
+    if (!order.user.equals(req.user.id)) {
+      return next(createError(403, "You can only rate deliveries of your own orders"));
+    }
+    if (order.deliveryMethod === "pickup" || !order.deliveryAgent) {
+      return next(createError(400, "This order wasn't delivered by an agent"));
+    }
+    if (order.status !== "delivered") {
+      return next(createError(400, "You can rate the delivery once your order has arrived"));
+    }
+    if (order.deliveryRating) {
+      return next(createError(409, "You've already rated this delivery"));
+    }
+
+    const stars = Number(rating);
+    if (!Number.isInteger(stars) || stars < 1 || stars > 5) {
+      return next(createError(400, "Rating must be a whole number from 1 to 5"));
+    }
+    if (tags !== undefined && !Array.isArray(tags)) {
+      return next(createError(400, "Tags must be a list"));
+    }
+
+    const review = await recordDeliveryRating(order, {
+      userId: req.user.id,
+      rating: stars,
+      tags,
+      comment: typeof comment === "string" ? comment : undefined
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Thanks for rating your delivery",
+      rating: review
+    });
+  } catch (error) {
+    console.error("Error rating delivery:", error);
+    if (error.statusCode) {
+      return next(error);
+    }
+    return next(createError(500, "Error rating delivery: " + error.message));
+  }
+};
+
+// Admin: Get an agent's ratings, newest first, with a breakdown by stars and tag
+export const getAgentRatings = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const agent = await DeliveryAgent.findById(req.params.agentId)
+      .select("user rating totalRatings")
+      .populate("user", "username");
+    if (!agent) {
+      return next(createError(404, "Delivery agent not found"));
+    }
+
+    const [ratings, total, summary] = await Promise.all([
+      DeliveryRating.find({ agent: agent._id })
+        .populate("user", "username profilePicture")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      DeliveryRating.countDocuments({ agent: agent._id }),
+      summarizeAgentRatings(agent._id)
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      agent,
+      summary,
+      ratings,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error("Error fetching agent ratings:", error);
+    return next(createError(500, "Error fetching agent ratings"));
+  }
+};
+
+// Get the suggested order to visit the pickups and drop-offs of the agent's active orders
+export const getRoutePlan = async (req, res, next) => {
+  try {
+    const agent = await DeliveryAgent.findOne({ user: req.user.id });
+    if (!agent) {
+      return next(createError(404, "Delivery agent profile not found"));
+    }
+
+    const orders = await Order.find({
+      _id: { $in: agent.activeOrders },
+      status: { $in: ACTIVE_DELIVERY_STATUSES }
+    })
+      .select("status pickupLocation deliveryLocation deliveryAddress estimatedReadyTime user seller")
+      .populate("user", "username")
+      .populate("seller", "username");
+
+    // In the order the agent took them on, which the route is compared against
+    const position = new Map(agent.activeOrders.map((id, index) => [id.toString(), index]));
+    orders.sort((a, b) => position.get(a._id.toString()) - position.get(b._id.toString()));
+
+    return res.status(200).json({
+      success: true,
+      route: planAgentRoute(agent, orders)
+    });
+  } catch (error) {
+    console.error("Error planning delivery route:", error);
+    return next(createError(500, "Error planning delivery route"));
+  }
+};
+
 // Get orders with 'confirmed' status that need delivery
 export const getConfirmedOrders = async (req, res, next) => {
   try {
@@ -621,10 +968,12 @@ export const getConfirmedOrders = async (req, res, next) => {
       return next(createError(404, "Delivery agent profile not found"));
     }
 
-    // Find all orders with status "confirmed"
-    const confirmedOrders = await Order.find({ 
-      status: "confirmed",
-      deliveryAgent: null // Not assigned to any agent yet
+    // Find all confirmed or preparing delivery orders
+    const openOrders = await Order.find({ 
+      status: { $in: ["confirmed", "preparing"] },
+      deliveryMethod: { $ne: "pickup" },
+      deliveryAgent: null, // Not assigned to any agent yet
+      $and: [agentVisibleSlotFilter(), settledPaymentFilter(), offerVisibilityFilter(agent._id)]
     })
     .populate({
       path: 'user',
@@ -638,6 +987,7 @@ export const getConfirmedOrders = async (req, res, next) => {
       path: 'items.post',
       select: 'author location' // Get post author location as another coordinate source
     });
+    const { orders: confirmedOrders, workStatus } = await filterTakeableOrders(agent, openOrders);
 
     // Get agent's current location
     const agentLocation = agent.currentLocation;
@@ -722,6 +1072,7 @@ export const getConfirmedOrders = async (req, res, next) => {
       success: true,
       message: "Confirmed orders fetched successfully",
       count: ordersWithDetails.length,
+      workStatus,
       orders: ordersWithDetails
     });
   } catch (error) {
@@ -775,6 +1126,9 @@ export const rejectOrder = async (req, res, next) => {
       await agent.save();
     }
 
+    // If it was offered to this agent, offer it to the next one
+    await closeOffer(order._id, agent._id, "rejected", { cascade: true });
+
     return res.status(200).json({
       success: true,
       message: "Order rejected successfully",
@@ -784,4 +1138,97 @@ export const rejectOrder = async (req, res, next) => {
     console.error("Error rejecting order:", error);
     return next(createError(500, "Error rejecting order: " + error.message));
   }
-};
\ No newline at end of file
+};
+
+// Admin: Get an order's offer chain and the agents it could go to next
+export const getOrderDispatch = async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.orderId)
+      .select("status deliveryMethod deliveryAgent pickupLocation dispatch scheduledSlot")
+      .populate({
+        path: "dispatch.offers.agent",
+        select: "user vehicleType rating totalRatings",
+        populate: { path: "user", select: "username profilePicture" }
+      })
+      .populate("dispatch.offers.assignedBy", "username");
+
+    if (!order) {
+      return next(createError(404, "Order not found"));
+    }
+
+    const candidates = order.deliveryMethod === "pickup" || order.deliveryAgent
+      ? []
+      : await rankAgents(order);
+
+    return res.status(200).json({
+      success: true,
+      orderId: order._id,
+      status: order.status,
+      deliveryAgent: order.deliveryAgent,
+      dispatch: order.dispatch,
+      candidates
+    });
+  } catch (error) {
+    console.error("Error fetching order dispatch:", error);
+    return next(createError(500, "Error fetching order dispatch: " + error.message));
+  }
+};
+
+// Admin: Offer an order to a chosen agent, ahead of the automatic order
+export const offerOrderToAgent = async (req, res, next) => {
+  try {
+    const { agentId } = req.body;
+    if (!agentId) {
+      return next(createError(400, "Agent ID is required"));
+    }
+
+    const [order, agent] = await Promise.all([
+      Order.findById(req.params.orderId),
+      DeliveryAgent.findById(agentId)
+    ]);
+    if (!order) {
+      return next(createError(404, "Order not found"));
+    }
+    if (!agent) {
+      return next(createError(404, "Delivery agent not found"));
+    }
+
+    const updated = await overrideOffer(order, agent, req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      message: "Order offered to the agent",
+      dispatch: updated.dispatch
+    });
+  } catch (error) {
+    console.error("Error offering order to agent:", error);
+    if (error.statusCode) {
+      return next(error);
+    }
+    return next(createError(500, "Error offering order: " + error.message));
+  }
+};
+
+// Admin: Skip the current offer and move on to the next agent
+export const redispatchOrderToNextAgent = async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return next(createError(404, "Order not found"));
+    }
+
+    const updated = await redispatchOrder(order);
+
+    return res.status(200).json({
+      success: true,
+      message: updated ? "Order offered to the next agent" : "No agent is available right now, the order will be offered again shortly",
+      dispatch: (updated || await Order.findById(order._id).select("dispatch")).dispatch
+    });
+  } catch (error) {
+    console.error("Error re-dispatching order:", error);
+    if (error.statusCode) {
+      return next(error);
+    }
+    return next(createError(500, "Error re-dispatching order: " + error.message));
+  }
+};
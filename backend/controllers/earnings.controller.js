@@ -0,0 +1,176 @@
+import mongoose from "mongoose";
+import DeliveryPayout from "../models/deliveryPayout.model.js";
+import DeliveryAgent from "../models/deliveryAgent.model.js";
+import createError from "../utils/error.js";
+import {
+  getAgentEarnings,
+  getAgentStatement,
+  getWeekStart,
+  previewPayout,
+  runPayout,
+  payoutToCsv
+} from "../utils/earnings.js";
+
+const MAX_STATEMENT_WEEKS = 52;
+
+// Payouts cover whole weeks up to the start of this one unless the admin picks another cut-off
+const parsePeriodEnd = (value) => {
+  if (!value) {
+    return getWeekStart(new Date());
+  }
+  const periodEnd = new Date(value);
+  if (Number.isNaN(periodEnd.getTime())) {
+    throw createError(400, "Invalid payout period end");
+  }
+  if (periodEnd > new Date()) {
+    throw createError(400, "A payout can't include earnings from the future");
+  }
+  return periodEnd;
+};
+
+// Agents with their usernames, keyed by id, for payout rows
+const loadAgentNames = async (rows) => {
+  const agents = await DeliveryAgent.find({ _id: { $in: rows.map((row) => row.agent) } })
+    .select("user vehicleType vehicleNumber")
+    .populate("user", "username email profilePicture");
+  const byId = new Map(agents.map((agent) => [agent._id.toString(), agent]));
+  return rows.map((row) => ({ ...row, agent: byId.get(row.agent.toString()) || { _id: row.agent } }));
+};
+
+// Delivery agent: Get earnings balance and weekly statements
+export const getMyEarnings = async (req, res, next) => {
+  try {
+    const weeks = Math.min(Math.max(parseInt(req.query.weeks) || 8, 1), MAX_STATEMENT_WEEKS);
+    const { summary, statements } = await getAgentEarnings(req.agent._id, weeks);
+
+    return res.status(200).json({
+      success: true,
+      summary,
+      statements
+    });
+  } catch (error) {
+    console.error("Error fetching earnings:", error);
+    return next(createError(500, "Error fetching earnings"));
+  }
+};
+
+// Delivery agent: Get one week's statement with every delivery in it
+export const getMyStatement = async (req, res, next) => {
+  try {
+    const weekStart = new Date(req.params.weekStart);
+    if (Number.isNaN(weekStart.getTime())) {
+      return next(createError(400, "Invalid statement week"));
+    }
+
+    const statement = await getAgentStatement(req.agent._id, weekStart);
+
+    return res.status(200).json({
+      success: true,
+      statement
+    });
+  } catch (error) {
+    console.error("Error fetching earnings statement:", error);
+    return next(createError(500, "Error fetching earnings statement"));
+  }
+};
+
+// Admin: See what a payout run would settle
+export const getPayoutPreview = async (req, res, next) => {
+  try {
+    const periodEnd = parsePeriodEnd(req.query.periodEnd);
+    const rows = await loadAgentNames(await previewPayout(periodEnd));
+
+    return res.status(200).json({
+      success: true,
+      periodEnd,
+      agents: rows,
+      entryCount: rows.reduce((sum, row) => sum + row.deliveries, 0),
+      total: rows.reduce((sum, row) => sum + row.total, 0)
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return next(error);
+    }
+    console.error("Error previewing payout:", error);
+    return next(createError(500, "Error previewing payout"));
+  }
+};
+
+// Admin: Settle every pending earning up to the period end
+export const createPayout = async (req, res, next) => {
+  try {
+    const periodEnd = parsePeriodEnd(req.body.periodEnd);
+    const note = typeof req.body.note === "string" ? req.body.note.trim().slice(0, 500) : undefined;
+
+    const payout = await runPayout({ periodEnd, adminId: req.user.id, note });
+    if (!payout) {
+      return next(createError(409, "There are no pending earnings to pay out for this period"));
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: `Settled ${payout.entryCount} deliveries for ${payout.agents.length} agents`,
+      payout
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return next(error);
+    }
+    console.error("Error running payout:", error);
+    return next(createError(500, "Error running payout"));
+  }
+};
+
+// Admin: Get past payout runs
+export const getPayouts = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const [payouts, total] = await Promise.all([
+      DeliveryPayout.find()
+        .populate("createdBy", "username")
+        .populate({ path: "agents.agent", select: "user", populate: { path: "user", select: "username" } })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      DeliveryPayout.countDocuments()
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      payouts,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error("Error fetching payouts:", error);
+    return next(createError(500, "Error fetching payouts"));
+  }
+};
+
+// Admin: Download a payout run as CSV, one row per delivery
+export const exportPayoutCsv = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return next(createError(400, "Invalid payout ID"));
+    }
+    const payout = await DeliveryPayout.findById(req.params.id);
+    if (!payout) {
+      return next(createError(404, "Payout not found"));
+    }
+
+    const csv = await payoutToCsv(payout);
+    const day = payout.createdAt.toISOString().slice(0, 10);
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="payout-${day}-${payout._id}.csv"`);
+    return res.status(200).send(csv);
+  } catch (error) {
+    console.error("Error exporting payout:", error);
+    return next(createError(500, "Error exporting payout"));
+  }
+};
@@ -0,0 +1,259 @@
+import mongoose from "mongoose";
+import sharp from "sharp";
+import cloudinary from "../cloudinaryConfig.js";
+import { Product } from "../models/product.model.js";
+import { Post } from "../models/post.model.js";
+import { User } from "../models/user.model.js";
+import createError from "../utils/error.js";
+import menuConfig from "../config/menu.js";
+import { normalizeAvailability, isMenuItemAvailable } from "../utils/menu.js";
+import { activePostFilter } from "../utils/postExpiry.js";
+
+const MENU_CATEGORIES = Product.schema.path("menuCategory").enumValues;
+
+// Multipart forms send booleans and lists as strings
+const parseBoolean = (value) => value === true || value === "true";
+
+const parseList = (value) => {
+  if (typeof value !== "string") {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw createError(400, "Availability must be a list");
+  }
+};
+
+// Pick and validate the editable menu item fields from a request body
+const buildMenuItemData = (body, isUpdate = false) => {
+  const data = {};
+
+  if (body.name !== undefined) {
+    data.name = typeof body.name === "string" ? body.name.trim() : "";
+    if (!data.name || data.name.length > 80) {
+      throw createError(400, "Item name must be 1-80 characters");
+    }
+  } else if (!isUpdate) {
+    throw createError(400, "Item name is required");
+  }
+
+  if (body.description !== undefined) {
+    data.description = String(body.description).trim();
+    if (data.description.length > 500) {
+      throw createError(400, "Description can be at most 500 characters");
+    }
+  }
+
+  if (body.price !== undefined) {
+    data.price = Number(body.price);
+    if (!Number.isFinite(data.price) || data.price <= 0) {
+      throw createError(400, "Price must be a positive amount");
+    }
+  } else if (!isUpdate) {
+    throw createError(400, "Price is required");
+  }
+
+  if (body.menuCategory !== undefined) {
+    if (!MENU_CATEGORIES.includes(body.menuCategory)) {
+      throw createError(400, `Category must be one of ${MENU_CATEGORIES.join(", ")}`);
+    }
+    data.menuCategory = body.menuCategory;
+  }
+
+  if (body.availability !== undefined) {
+    data.availability = normalizeAvailability(parseList(body.availability));
+  }
+
+  if (body.vegetarian !== undefined) data.vegetarian = parseBoolean(body.vegetarian);
+  if (body.inStock !== undefined) data.inStock = parseBoolean(body.inStock);
+
+  return data;
+};
+
+// Resize and upload a menu item photo, returning its URL
+const uploadMenuImage = async (file) => {
+  if (!file.mimetype?.startsWith("image/")) {
+    throw createError(400, "Menu item photos must be images");
+  }
+
+  const optimizedImageBuffer = await sharp(file.buffer)
+    .resize({ width: 800, height: 800, fit: "inside" })
+    .toFormat("jpeg", { quality: 90 })
+    .toBuffer();
+
+  const cloudResponse = await cloudinary.uploader.upload(
+    `data:image/jpeg;base64,${optimizedImageBuffer.toString("base64")}`,
+    { resource_type: "image", folder: "menu", timeout: 60000 }
+  );
+  if (!cloudResponse?.secure_url) {
+    throw createError(500, "Failed to upload photo. Please try again.");
+  }
+  return cloudResponse.secure_url;
+};
+
+// Load one of the seller's own menu items, or fail with 404/403
+const findSellerMenuItem = async (itemId, sellerId) => {
+  if (!mongoose.isValidObjectId(itemId)) {
+    throw createError(404, "Menu item not found");
+  }
+
+  const item = await Product.findOne({ _id: itemId, isArchived: false });
+  if (!item) {
+    throw createError(404, "Menu item not found");
+  }
+  if (item.seller?.toString() !== sellerId.toString()) {
+    throw createError(403, "You can only change items on your own menu");
+  }
+  return item;
+};
+
+// Menu items as sent to clients, with whether they can be ordered right now
+const formatMenuItem = (item, now, freshBatches) => ({
+  ...item.toObject(),
+  availableNow: isMenuItemAvailable(item, now),
+  ...(freshBatches && { freshBatches })
+});
+
+// Seller: Get the items on the user's own menu
+export const getMyMenu = async (req, res, next) => {
+  try {
+    const items = await Product.find({ seller: req.user.id, isArchived: false }).sort({ menuCategory: 1, name: 1 });
+    const now = new Date();
+
+    return res.status(200).json({
+      success: true,
+      count: items.length,
+      items: items.map((item) => formatMenuItem(item, now))
+    });
+  } catch (error) {
+    console.error("Error fetching menu:", error);
+    return next(createError(500, "Error fetching menu"));
+  }
+};
+
+// Seller: Add an item to the user's menu
+export const createMenuItem = async (req, res, next) => {
+  try {
+    const data = buildMenuItemData(req.body);
+
+    const itemCount = await Product.countDocuments({ seller: req.user.id, isArchived: false });
+    if (itemCount >= menuConfig.maxItemsPerSeller) {
+      return next(createError(400, `A menu can have at most ${menuConfig.maxItemsPerSeller} items`));
+    }
+
+    if (req.file) {
+      data.image = await uploadMenuImage(req.file);
+    }
+
+    const item = await Product.create({ ...data, seller: req.user.id });
+
+    return res.status(201).json({
+      success: true,
+      message: "Menu item added",
+      item: formatMenuItem(item, new Date())
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return next(error);
+    }
+    console.error("Error creating menu item:", error);
+    return next(createError(500, "Error creating menu item"));
+  }
+};
+
+// Seller: Change an item on the user's menu, including taking it in or out of stock
+export const updateMenuItem = async (req, res, next) => {
+  try {
+    const item = await findSellerMenuItem(req.params.id, req.user.id);
+    const data = buildMenuItemData(req.body, true);
+
+    if (req.file) {
+      data.image = await uploadMenuImage(req.file);
+    }
+
+    item.set(data);
+    await item.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Menu item updated",
+      item: formatMenuItem(item, new Date())
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return next(error);
+    }
+    console.error("Error updating menu item:", error);
+    return next(createError(500, "Error updating menu item"));
+  }
+};
+
+// Seller: Take an item off the user's menu. It's archived rather than deleted
+// so past orders can still show what was ordered.
+export const deleteMenuItem = async (req, res, next) => {
+  try {
+    const item = await findSellerMenuItem(req.params.id, req.user.id);
+
+    item.isArchived = true;
+    await item.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Menu item removed"
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return next(error);
+    }
+    console.error("Error removing menu item:", error);
+    return next(createError(500, "Error removing menu item"));
+  }
+};
+
+// Get a seller's menu, with the fresh batches currently posted for each item
+export const getSellerMenu = async (req, res, next) => {
+  try {
+    const { sellerId } = req.params;
+    if (!mongoose.isValidObjectId(sellerId)) {
+      return next(createError(404, "Seller not found"));
+    }
+
+    const seller = await User.findById(sellerId).select("username profilePicture");
+    if (!seller) {
+      return next(createError(404, "Seller not found"));
+    }
+
+    const items = await Product.find({ seller: sellerId, isArchived: false }).sort({ menuCategory: 1, name: 1 });
+    const batches = await Post.find({
+      ...activePostFilter(),
+      menuItem: { $in: items.map((item) => item._id) },
+      quantity: { $gt: 0 }
+    })
+      .select("caption image price quantity menuItem createdAt expiresAt")
+      .sort({ createdAt: -1 });
+
+    const batchesByItem = new Map();
+    for (const batch of batches) {
+      const key = batch.menuItem.toString();
+      const list = batchesByItem.get(key) || [];
+      if (list.length < menuConfig.freshBatchesPerItem) {
+        list.push(batch);
+      }
+      batchesByItem.set(key, list);
+    }
+
+    const now = new Date();
+    return res.status(200).json({
+      success: true,
+      seller,
+      // Menu items are cooked to order; this is the most of one an order can take
+      maxPortionsPerLine: menuConfig.maxPortionsPerLine,
+      count: items.length,
+      items: items.map((item) => formatMenuItem(item, now, batchesByItem.get(item._id.toString()) || []))
+    });
+  } catch (error) {
+    console.error("Error fetching seller menu:", error);
+    return next(createError(500, "Error fetching menu"));
+  }
+};
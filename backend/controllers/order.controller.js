@@ -1,10 +1,59 @@
+import mongoose from "mongoose";
 import Order from "../models/order.model.js";
+import Checkout from "../models/checkout.model.js";
+import Refund from "../models/refund.model.js";
 import { User } from "../models/user.model.js";
-import { Post } from "../models/post.model.js";
+import DeliveryAgent from "../models/deliveryAgent.model.js";
 import createError from "../utils/error.js";
+import { buildOrderQuote, findTotalsMismatch } from "../utils/pricing.js";
+import {
+  ORDER_ROLES,
+  ORDER_STATUSES,
+  getOrderRoles,
+  canTransition,
+  transitionOrder
+} from "../utils/orderStateMachine.js";
+import {
+  placeCheckout,
+  groupLinesBySeller,
+  findOrdersByOrderOrCheckoutId,
+  combineCheckoutOrders,
+  summarizeCheckout,
+  getCombinedStatus
+} from "../utils/checkout.js";
+import { getAvailableSlots, resolveRequestedSlot } from "../utils/slots.js";
+import { failOrderPayment } from "../utils/payments.js";
+import { assignOrderToAgent } from "../utils/dispatcher.js";
+import { loadOrderTrail } from "../utils/locationTrail.js";
+import { assertPaymentMethodAvailable, startPayment, hasOpenPaymentIntent } from "../utils/paymentProviders/index.js";
+import { MENU_ITEM, getCatalogSeller, findCartSellerIds } from "../utils/menu.js";
 import { createNotification } from "./notification.controller.js";
 import { io, getReceiverSocketId, getConnectedUsers } from "../socket/socket.js";
 
+// Start paying for a freshly placed checkout. The orders stay pending until
+// the provider confirms the payment, so a failure here only means the
+// customer has to start paying again from the order page.
+const startCheckoutPayment = async ({ checkout, orders }, user) => {
+  try {
+    return await startPayment({
+      // Multi-kitchen checkouts are paid in one go
+      reference: (orders.length > 1 ? checkout._id : orders[0]._id).toString(),
+      orders,
+      amount: orders.reduce((sum, order) => sum + order.total, 0),
+      user
+    });
+  } catch (error) {
+    console.error(`Failed to start payment for checkout ${checkout._id}:`, error);
+    return null;
+  }
+};
+
+// When a cart is for: the start of its scheduled slot, or now for as soon as possible
+const getOrderTime = (scheduledSlot) => {
+  const start = scheduledSlot?.start ? new Date(scheduledSlot.start) : null;
+  return start && !Number.isNaN(start.getTime()) ? start : new Date();
+};
+
 // Create a new order
 export const createOrder = async (req, res, next) => {
   try {
@@ -21,8 +70,10 @@ export const createOrder = async (req, res, next) => {
       tax,
       deliveryFee,
       discount,
+      tip,
       total,
       promoCodeApplied,
+      scheduledSlot, // { start } of a slot from /orders/slots, or empty for as soon as possible
       pickupCoordinates, // [longitude, latitude]
       deliveryCoordinates // [longitude, latitude]
     } = req.body;
@@ -39,128 +90,156 @@ export const createOrder = async (req, res, next) => {
     if (!contactNumber) {
       return next(createError(400, "Contact number is required"));
     }
+
+    try {
+      assertPaymentMethodAvailable(paymentMethod);
+    } catch (paymentError) {
+      return next(paymentError);
+    }
     
-    // Validate items array and collect post authors for notifications
-    const postAuthors = new Set(); // Use Set to avoid duplicate notifications to same author
-    
-    for (const item of items) {
-      if (!item.productId) {
-        return next(createError(400, "Each item must have a product ID"));
-      }
-      
-      if (!item.quantity || item.quantity <= 0) {
-        return next(createError(400, "Each item must have a valid quantity"));
-      }
-      
-      // Verify product exists and collect author info
+    // Re-price every line from the current post prices instead of trusting the client
+    let pricing;
+    try {
+      pricing = await buildOrderQuote({
+        items,
+        deliveryMethod: deliveryMethod || 'standard',
+        promoCode: promoCodeApplied,
+        userId: req.user.id,
+        tip,
+        deliveryLocation: { type: "Point", coordinates: deliveryCoordinates },
+        // Menu items must be available when the order is for
+        availableAt: getOrderTime(scheduledSlot)
+      });
+    } catch (err) {
+      console.error("Error pricing order:", err);
+      return next(err.statusCode ? err : createError(500, "Error validating product availability"));
+    }
+    const { quote, posts, promo } = pricing;
+
+    if (quote.promoError) {
+      return next(createError(400, quote.promoError));
+    }
+
+    // Deliveries only go to addresses inside a service zone, and must meet its minimum
+    if (!quote.serviceable) {
+      return next(createError(400, quote.serviceError));
+    }
+
+    // Reject orders whose client totals disagree with the server quote
+    const mismatchedFields = findTotalsMismatch({ subtotal, tax, deliveryFee, discount, tip, total }, quote);
+    if (mismatchedFields.length > 0) {
+      console.log("Order totals mismatch, re-quoting:", mismatchedFields);
+      return res.status(409).json({
+        success: false,
+        message: "Order prices have changed. Please review the updated totals.",
+        mismatchedFields,
+        quote
+      });
+    }
+
+    // Pre-orders must be for a slot every kitchen in the cart is still offering
+    let slot;
+    if (scheduledSlot?.start) {
+      const sellerIds = groupLinesBySeller(quote.items, posts)
+        .map((group) => group.sellerId)
+        .filter((id) => id !== "unknown");
       try {
-        const product = await Post.findById(item.productId).populate('author', 'username profilePicture');
-        if (!product) {
-          return next(createError(404, `Product not found: ${item.productId}`));
-        }
-        
-        // Add the post author to our notification list
-        if (product.author && product.author._id.toString() !== req.user.id) {
-          postAuthors.add({
-            authorId: product.author._id.toString(),
-            authorUsername: product.author.username,
-            authorProfilePicture: product.author.profilePicture,
-            postId: product._id,
-            postCaption: product.caption,
-            postImage: product.image
-          });
-        }
-        
-        // Always allow ordering any quantity, regardless of available stock
-        // Removed the stock quantity check that was here
-      } catch (err) {
-        console.error("Error checking product:", err);
-        return next(createError(500, "Error validating product availability"));
+        slot = await resolveRequestedSlot(scheduledSlot.start, sellerIds);
+      } catch (slotError) {
+        return next(slotError);
       }
     }
 
-    // Prepare pickup and delivery locations
-    const pickupLocation = {
-      type: "Point",
-      coordinates: pickupCoordinates || [0, 0] // Default to [0,0] if not provided
-    };
-    
-    const deliveryLocation = {
-      type: "Point",
-      coordinates: deliveryCoordinates || [0, 0] // Default to [0,0] if not provided
-    };
-    
-    // Create initial status history entry
-    const statusHistory = [{
-      status: 'processing',
-      timestamp: new Date(),
-      note: 'Order received'
-    }];
-
-    // Generate pickup code for pickup orders
-    let pickupCode = null;
-    let pickupCodeExpiresAt = null;
-    
-    if (deliveryMethod === 'pickup') {
-      // Generate 4-digit pickup code
-      pickupCode = Math.floor(1000 + Math.random() * 9000).toString();
-      // Set expiration time to 24 hours from now
-      pickupCodeExpiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    // Split the cart into one order per seller, each with its own pickup point and status
+    let placed;
+    try {
+      placed = await placeCheckout({
+        userId: req.user.id,
+        quote,
+        posts,
+        promo,
+        details: {
+          deliveryAddress,
+          deliveryLocation: {
+            type: "Point",
+            // Pickup orders may not have one; deliveries were checked above
+            coordinates: deliveryCoordinates || [0, 0]
+          },
+          deliveryMethod,
+          deliveryInstructions,
+          contactNumber,
+          scheduledSlot: slot,
+          paymentMethod,
+          // Set to paid by the payment provider once it confirms the payment
+          paymentStatus: 'pending'
+        },
+        fallbackPickupCoordinates: pickupCoordinates
+      });
+    } catch (placeError) {
+      if (placeError.unavailableItems) {
+        return res.status(409).json({
+          success: false,
+          message: placeError.message,
+          unavailableItems: placeError.unavailableItems
+        });
+      }
+      if (placeError.statusCode) {
+        return next(placeError);
+      }
+      throw placeError;
     }
+    const { checkout, orders: savedOrders } = placed;
+    console.log(`Order saved successfully: checkout ${checkout._id} split into ${savedOrders.length} order(s)`);
 
-    // Create the order with a default status of 'processing'
-    const newOrder = new Order({
-      user: req.user.id,
-      items,
-      deliveryAddress,
-      pickupLocation,
-      deliveryLocation,
-      deliveryMethod,
-      deliveryInstructions,
-      contactNumber,
-      subtotal,
-      tax,
-      deliveryFee,
-      discount,
-      total,
-      promoCodeApplied,
-      status: 'processing',
-      paymentMethod,
-      paymentStatus: paymentMethod === 'cash' ? 'pending' : 'paid',
-      statusHistory,
-      pickupCode,
-      pickupCodeExpiresAt
-    });
+    const payment = await startCheckoutPayment(placed, req.user);
 
-    // Save the order
-    const savedOrder = await newOrder.save();
-    console.log("Order saved successfully:", savedOrder._id);
+    // Collect post authors for notifications, each with the order for their kitchen
+    const postAuthors = new Map(); // Keyed by author to avoid duplicate notifications to same author
+    
+    for (const sellerOrder of savedOrders) {
+      const product = posts.get(sellerOrder.items[0].productId.toString());
+      const seller = getCatalogSeller(product);
+      const fromMenu = sellerOrder.items[0].itemType === MENU_ITEM;
+
+      // Add the post author (or menu owner) to our notification list
+      if (seller && seller._id.toString() !== req.user.id.toString()) {
+        postAuthors.set(seller._id.toString(), {
+          authorId: seller._id.toString(),
+          authorUsername: seller.username,
+          authorProfilePicture: seller.profilePicture,
+          // Menu items aren't posts, so their notifications don't link to one
+          postId: fromMenu ? null : product._id,
+          postCaption: fromMenu ? product.name : product.caption,
+          postImage: product.image,
+          fromMenu,
+          order: sellerOrder
+        });
+      }
+    }
 
     // Get the customer details for notification
     const customer = await User.findById(req.user.id).select('username profilePicture');
 
     // Send notifications to all post authors whose items were ordered
-    console.log(`Found ${postAuthors.size} unique post authors to notify:`, Array.from(postAuthors).map(a => a.authorUsername));
+    console.log(`Found ${postAuthors.size} unique post authors to notify:`, Array.from(postAuthors.values()).map(a => a.authorUsername));
     
     // Debug: Show all connected users
     console.log('=== DEBUG: Connected users at notification time ===');
     getConnectedUsers();
     
-    for (const authorInfo of postAuthors) {
+    for (const authorInfo of postAuthors.values()) {
+      const savedOrder = authorInfo.order;
       try {
         console.log(`Processing notification for author: ${authorInfo.authorUsername} (${authorInfo.authorId})`);
         
         // Create notification message
-        const orderItemsCount = items.filter(item => 
-          item.productId && savedOrder.items.some(orderItem => 
-            orderItem.productId.toString() === item.productId.toString()
-          )
-        ).length;
+        const orderItemsCount = savedOrder.items.length;
         
         const isPickupOrder = deliveryMethod === 'pickup';
+        const source = authorInfo.fromMenu ? 'your menu' : 'your post';
         const notificationMessage = isPickupOrder 
-          ? `${customer.username} placed a pickup order for ${orderItemsCount} item(s) from your post - Total: ₹${total.toFixed(2)}`
-          : `${customer.username} placed an order for ${orderItemsCount} item(s) from your post - Total: ₹${total.toFixed(2)}`;
+          ? `${customer.username} placed a pickup order for ${orderItemsCount} item(s) from ${source} - Total: ₹${savedOrder.total.toFixed(2)}`
+          : `${customer.username} placed an order for ${orderItemsCount} item(s) from ${source} - Total: ₹${savedOrder.total.toFixed(2)}`;
 
         console.log(`Creating database notification for ${authorInfo.authorUsername} with message: ${notificationMessage}`);
 
@@ -201,17 +280,13 @@ export const createOrder = async (req, res, next) => {
             },
             order: {
               _id: savedOrder._id,
-              total: total,
+              total: savedOrder.total,
               itemsCount: orderItemsCount,
               deliveryMethod: deliveryMethod,
               status: savedOrder.status,
               createdAt: savedOrder.createdAt,
               contactNumber: contactNumber,
-              items: items.filter(item => 
-                savedOrder.items.some(orderItem => 
-                  orderItem.productId.toString() === item.productId.toString()
-                )
-              ).map(item => ({
+              items: savedOrder.items.map(item => ({
                 productId: item.productId,
                 quantity: item.quantity,
                 price: item.price,
@@ -236,28 +311,15 @@ export const createOrder = async (req, res, next) => {
       }
     }
 
-    // Update product stock/inventory but don't enforce quantity limits
-    for (const item of items) {
-      // Get current product
-      const product = await Post.findById(item.productId);
-      
-      // Update the quantity, ensuring it doesn't go below 1
-      // This ensures the product always stays in stock
-      let newQuantity = product.quantity - item.quantity;
-      if (newQuantity < 1) newQuantity = 1;
-      
-      // Update available quantity in post
-      await Post.findByIdAndUpdate(
-        item.productId,
-        { quantity: newQuantity },
-        { new: true }
-      );
-    }
-
     return res.status(201).json({
       success: true,
       message: "Order placed successfully",
-      order: savedOrder
+      checkout,
+      orders: savedOrders,
+      // First seller's order, for clients that only track a single order
+      order: savedOrders[0],
+      // What the client needs to pay, from the payment method's provider
+      payment
     });
   } catch (error) {
     console.error("Error creating order:", error);
@@ -265,6 +327,92 @@ export const createOrder = async (req, res, next) => {
   }
 };
 
+// Get the authoritative price breakdown for a cart before checkout
+export const quoteOrder = async (req, res, next) => {
+  try {
+    const { items, deliveryMethod, promoCodeApplied, tip, deliveryCoordinates, scheduledSlot } = req.body;
+
+    const { quote } = await buildOrderQuote({
+      items,
+      deliveryMethod: deliveryMethod || 'standard',
+      promoCode: promoCodeApplied,
+      userId: req.user.id,
+      tip,
+      deliveryLocation: { type: "Point", coordinates: deliveryCoordinates },
+      availableAt: getOrderTime(scheduledSlot)
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Order quote calculated successfully",
+      quote
+    });
+  } catch (error) {
+    console.error("Error calculating order quote:", error);
+    if (error.statusCode) {
+      return next(error);
+    }
+    return next(createError(500, "Error calculating order quote: " + error.message));
+  }
+};
+
+// Check that a cart can be delivered to the customer's location before checkout
+export const checkOrderServiceability = async (req, res, next) => {
+  try {
+    const { items, deliveryMethod, promoCodeApplied, tip, deliveryCoordinates } = req.body;
+
+    const { quote } = await buildOrderQuote({
+      items,
+      deliveryMethod: deliveryMethod || 'standard',
+      promoCode: promoCodeApplied,
+      userId: req.user.id,
+      tip,
+      deliveryLocation: { type: "Point", coordinates: deliveryCoordinates }
+    });
+
+    return res.status(200).json({
+      success: true,
+      serviceable: quote.serviceable,
+      reason: quote.serviceErrorReason,
+      message: quote.serviceable ? "We deliver to this location" : quote.serviceError,
+      zone: quote.serviceZone,
+      deliveryFee: quote.deliveryFee,
+      quote
+    });
+  } catch (error) {
+    console.error("Error checking serviceability:", error);
+    if (error.statusCode) {
+      return next(error);
+    }
+    return next(createError(500, "Error checking serviceability: " + error.message));
+  }
+};
+
+// Get the delivery or pickup slots every kitchen in a cart can still take
+export const getCartSlots = async (req, res, next) => {
+  try {
+    const { items } = req.body;
+    if (!Array.isArray(items) || items.length === 0) {
+      return next(createError(400, "Cart is empty"));
+    }
+
+    const sellerIds = await findCartSellerIds(items);
+    const { enabled, slots } = await getAvailableSlots(sellerIds);
+
+    return res.status(200).json({
+      success: true,
+      enabled,
+      slots
+    });
+  } catch (error) {
+    console.error("Error fetching delivery slots:", error);
+    if (error.statusCode) {
+      return next(error);
+    }
+    return next(createError(500, "Error fetching delivery slots"));
+  }
+};
+
 // Get orders for current user
 export const getUserOrders = async (req, res, next) => {
   try {
@@ -282,7 +430,8 @@ export const getUserOrders = async (req, res, next) => {
       .populate({ 
         path: 'items.productId',
         select: 'caption image price category vegetarian'
-      });
+      })
+      .populate('seller', 'username profilePicture');
       
     console.log(`Found ${orders.length} orders for user ${req.user.id}`);
 
@@ -293,6 +442,7 @@ export const getUserOrders = async (req, res, next) => {
         const product = item.productId; 
         return {
           productId: product?._id || item.productId,
+          itemType: item.itemType,
           name: product?.caption || item.name,
           price: item.price,
           quantity: item.quantity,
@@ -303,9 +453,12 @@ export const getUserOrders = async (req, res, next) => {
       return {
         _id: order._id,
         user: order.user, // Include user ID so frontend can verify
+        checkout: order.checkout,
+        seller: order.seller,
         items: formattedItems,
         deliveryAddress: order.deliveryAddress,
         deliveryMethod: order.deliveryMethod,
+        scheduledSlot: order.scheduledSlot,
         paymentMethod: order.paymentMethod,
         deliveryInstructions: order.deliveryInstructions,
         contactNumber: order.contactNumber,
@@ -313,6 +466,7 @@ export const getUserOrders = async (req, res, next) => {
         tax: order.tax,
         deliveryFee: order.deliveryFee,
         discount: order.discount,
+        tip: order.tip,
         total: order.total,
         promoCodeApplied: order.promoCodeApplied,
         status: order.status,
@@ -322,12 +476,15 @@ export const getUserOrders = async (req, res, next) => {
       };
     });
 
+    // Orders split from one checkout are shown to the customer as a single order
+    const combinedOrders = await combineCheckoutOrders(formattedOrders);
+
     return res.status(200).json({
       success: true,
       message: "Orders fetched successfully",
-      count: formattedOrders.length,
+      count: combinedOrders.length,
       userId: req.user.id,
-      orders: formattedOrders
+      orders: combinedOrders
     });
   } catch (error) {
     console.error("Error fetching user orders:", error);
@@ -335,32 +492,157 @@ export const getUserOrders = async (req, res, next) => {
   }
 };
 
+// Populate an order with what the order detail view needs
+const populateOrderDetail = (query) => query
+  .populate({
+    path: 'items.productId',
+    select: 'caption image price category vegetarian'
+  })
+  .populate({
+    path: 'deliveryAgent',
+    select: 'vehicleType vehicleNumber currentLocation',
+    populate: {
+      path: 'user',
+      select: 'username avatar' 
+    }
+  })
+  .populate('seller', 'username profilePicture')
+  .populate('deliveryRating', 'rating tags comment createdAt')
+  .select('+deliveryProof.otp');
+
+// The code the customer reads to the agent at the door, while the delivery is still on its way
+const getDeliveryOtp = (order) => (
+  order.deliveryMethod !== 'pickup' && !['delivered', 'cancelled'].includes(order.status)
+    ? order.deliveryProof?.otp || null
+    : null
+);
+
+// Format a populated order for the order detail view
+const formatOrderDetail = (order) => {
+  // Format order items with product details
+  const formattedItems = order.items.map(item => {
+    const product = item.productId;
+    return {
+      _id: item._id,
+      productId: product?._id || item.productId,
+      name: product?.caption || item.name,
+      price: item.price,
+      quantity: item.quantity,
+      image: product?.image || null
+    };
+  });
+
+  // Format delivery agent info if present
+  let deliveryAgentInfo = null;
+  if (order.deliveryAgent) {
+    deliveryAgentInfo = {
+      id: order.deliveryAgent._id,
+      name: order.deliveryAgent.user?.username || 'Delivery Agent',
+      avatar: order.deliveryAgent.user?.avatar || null,
+      vehicleType: order.deliveryAgent.vehicleType,
+      vehicleNumber: order.deliveryAgent.vehicleNumber,
+      currentLocation: order.deliveryAgent.currentLocation
+    };
+  }
+
+  // Get the latest status history entry
+  const latestStatus = order.statusHistory && order.statusHistory.length > 0
+    ? order.statusHistory[order.statusHistory.length - 1]
+    : null;
+
+  return {
+    _id: order._id,
+    checkout: order.checkout,
+    seller: order.seller,
+    items: formattedItems,
+    deliveryAddress: order.deliveryAddress,
+    deliveryMethod: order.deliveryMethod,
+    scheduledSlot: order.scheduledSlot,
+    paymentMethod: order.paymentMethod,
+    deliveryInstructions: order.deliveryInstructions,
+    contactNumber: order.contactNumber,
+    subtotal: order.subtotal,
+    tax: order.tax,
+    deliveryFee: order.deliveryFee,
+    discount: order.discount,
+    tip: order.tip,
+    total: order.total,
+    promoCodeApplied: order.promoCodeApplied,
+    status: order.status,
+    paymentStatus: order.paymentStatus,
+    refundedAmount: order.refundedAmount || 0,
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt,
+    deliveryLocation: order.deliveryLocation,
+    pickupLocation: order.pickupLocation,
+    estimatedDeliveryTime: order.estimatedDeliveryTime,
+    actualDeliveryTime: order.actualDeliveryTime,
+    deliveryAgent: deliveryAgentInfo,
+    deliveryProof: order.deliveryProof?.method ? {
+      method: order.deliveryProof.method,
+      photo: order.deliveryProof.photo?.url ? order.deliveryProof.photo : null,
+      distance: order.deliveryProof.distance,
+      confirmedAt: order.deliveryProof.confirmedAt
+    } : null,
+    deliveryRating: order.deliveryRating || null,
+    statusHistory: order.statusHistory || [],
+    latestStatus: latestStatus
+  };
+};
+
+// Get a multi-seller checkout as one combined order
+const getCheckoutById = async (checkoutId, req, res, next) => {
+  const checkout = await Checkout.findById(checkoutId);
+
+  if (!checkout) {
+    return next(createError(404, "Order not found"));
+  }
+
+  if (checkout.user.toString() !== req.user.id.toString() && !req.user.isAdmin) {
+    return next(createError(403, "You are not authorized to access this order"));
+  }
+
+  const orders = await populateOrderDetail(Order.find({ checkout: checkout._id }).sort({ createdAt: 1 }));
+  const isOwner = checkout.user.toString() === req.user.id.toString();
+  const subOrders = orders.map((order) => ({
+    ...formatOrderDetail(order),
+    ...(isOwner && { deliveryOtp: getDeliveryOtp(order) })
+  }));
+  const combinedOrder = summarizeCheckout(checkout, subOrders);
+
+  // One timeline for the whole checkout, labelled with the kitchen each step belongs to
+  combinedOrder.statusHistory = subOrders
+    .flatMap(order => order.statusHistory.map(entry => ({
+      ...entry.toObject(),
+      orderId: order._id,
+      seller: order.seller?.username
+    })))
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  combinedOrder.latestStatus = combinedOrder.statusHistory[combinedOrder.statusHistory.length - 1] || null;
+  combinedOrder.deliveryLocation = subOrders[0]?.deliveryLocation;
+
+  return res.status(200).json({
+    success: true,
+    message: "Order fetched successfully",
+    order: combinedOrder
+  });
+};
+
 // Get order by ID
 export const getOrderById = async (req, res, next) => {
   try {
     const orderId = req.params.id;
 
     // Find the order
-    const order = await Order.findById(orderId)
-      .populate({
-        path: 'items.productId',
-        select: 'caption image price category vegetarian'
-      })
-      .populate({
-        path: 'deliveryAgent',
-        select: 'vehicleType vehicleNumber currentLocation',
-        populate: {
-          path: 'user',
-          select: 'username avatar' 
-        }
-      });
+    const order = await populateOrderDetail(Order.findById(orderId));
 
+    // Multi-seller checkouts are looked up by their checkout ID
     if (!order) {
-      return next(createError(404, "Order not found"));
+      return await getCheckoutById(orderId, req, res, next);
     }
 
     // Check if the order belongs to the user or if user is admin, or if user is author of items in a pickup order
-    const isOrderOwner = order.user.toString() === req.user.id;
+    const isOrderOwner = order.user.toString() === req.user.id.toString();
     const isAdmin = req.user.isAdmin;
     
     // For pickup orders, check if the current user is an author of any items in the order
@@ -372,14 +654,16 @@ export const getOrderById = async (req, res, next) => {
         select: 'author',
         populate: {
           path: 'author',
-          select: '_id'
+          select: '_id',
+          // Menu items have a seller rather than an author
+          strictPopulate: false
         }
       });
       
-      isItemAuthor = order.items.some(item => 
+      isItemAuthor = order.seller?._id?.toString() === req.user.id.toString() || order.items.some(item => 
         item.productId && 
         item.productId.author && 
-        item.productId.author._id.toString() === req.user.id
+        item.productId.author._id.toString() === req.user.id.toString()
       );
     }
     
@@ -393,63 +677,11 @@ export const getOrderById = async (req, res, next) => {
       select: 'caption image price category vegetarian'
     });
 
-    // Format order items with product details
-    const formattedItems = order.items.map(item => {
-      const product = item.productId;
-      return {
-        productId: product?._id || item.productId,
-        name: product?.caption || item.name,
-        price: item.price,
-        quantity: item.quantity,
-        image: product?.image || null
-      };
-    });
-
-    // Format delivery agent info if present
-    let deliveryAgentInfo = null;
-    if (order.deliveryAgent) {
-      deliveryAgentInfo = {
-        id: order.deliveryAgent._id,
-        name: order.deliveryAgent.user?.username || 'Delivery Agent',
-        avatar: order.deliveryAgent.user?.avatar || null,
-        vehicleType: order.deliveryAgent.vehicleType,
-        vehicleNumber: order.deliveryAgent.vehicleNumber,
-        currentLocation: order.deliveryAgent.currentLocation
-      };
+    const formattedOrder = formatOrderDetail(order);
+    if (isOrderOwner) {
+      formattedOrder.deliveryOtp = getDeliveryOtp(order);
     }
 
-    // Get the latest status history entry
-    const latestStatus = order.statusHistory && order.statusHistory.length > 0
-      ? order.statusHistory[order.statusHistory.length - 1]
-      : null;
-
-    const formattedOrder = {
-      _id: order._id,
-      items: formattedItems,
-      deliveryAddress: order.deliveryAddress,
-      deliveryMethod: order.deliveryMethod,
-      paymentMethod: order.paymentMethod,
-      deliveryInstructions: order.deliveryInstructions,
-      contactNumber: order.contactNumber,
-      subtotal: order.subtotal,
-      tax: order.tax,
-      deliveryFee: order.deliveryFee,
-      discount: order.discount,
-      total: order.total,
-      promoCodeApplied: order.promoCodeApplied,
-      status: order.status,
-      paymentStatus: order.paymentStatus,
-      createdAt: order.createdAt,
-      updatedAt: order.updatedAt,
-      deliveryLocation: order.deliveryLocation,
-      pickupLocation: order.pickupLocation,
-      estimatedDeliveryTime: order.estimatedDeliveryTime,
-      actualDeliveryTime: order.actualDeliveryTime,
-      deliveryAgent: deliveryAgentInfo,
-      statusHistory: order.statusHistory || [],
-      latestStatus: latestStatus
-    };
-
     // Add customer information for pickup orders when accessed by post authors
     if (order.deliveryMethod === 'pickup' && isItemAuthor) {
       await order.populate({
@@ -480,103 +712,170 @@ export const cancelOrder = async (req, res, next) => {
   try {
     const orderId = req.params.id;
 
-    // Find the order
-    const order = await Order.findById(orderId);
+    // Find the order, or every order of a multi-seller checkout
+    const { orders } = await findOrdersByOrderOrCheckoutId(orderId);
 
-    if (!order) {
+    if (orders.length === 0) {
       return next(createError(404, "Order not found"));
     }
 
     // Check if the order belongs to the user
-    if (order.user.toString() !== req.user.id) {
+    if (orders[0].user.toString() !== req.user.id.toString()) {
       return next(createError(403, "You are not authorized to cancel this order"));
     }
 
-    // Check if the order is in a cancellable state
-    if (['delivered', 'cancelled'].includes(order.status)) {
-      return next(createError(400, `Can't cancel an order that is already ${order.status}`));
+    // Sub-orders that are already delivered, out for delivery or cancelled stay as they are
+    const roles = [ORDER_ROLES.CUSTOMER];
+    const cancellableOrders = orders.filter(order => canTransition(order, 'cancelled', roles));
+    if (cancellableOrders.length === 0) {
+      const status = getCombinedStatus(orders.map(order => order.status));
+      return next(createError(409, `Can't cancel an order that is ${status.replace(/_/g, ' ')}`));
     }
 
-    // Update order status
-    order.status = 'cancelled';
-    await order.save();
-
-    // Restore product inventory
-    for (const item of order.items) {
-      // Update post quantity (add back to inventory)
-      await Post.findByIdAndUpdate(
-        item.productId,
-        { $inc: { quantity: item.quantity } },
-        { new: true }
-      );
+    for (const order of cancellableOrders) {
+      // Releases the reserved stock and opens a refund for paid orders
+      await transitionOrder(order, 'cancelled', { roles, actorId: req.user.id, note: 'Cancelled by customer' });
     }
 
+    const refunds = await Refund.find({
+      order: { $in: cancellableOrders.map(order => order._id) },
+      type: 'cancellation'
+    });
+
     return res.status(200).json({
       success: true,
       message: "Order cancelled successfully",
-      order
+      order: cancellableOrders[0],
+      orders: cancellableOrders,
+      refunds
     });
   } catch (error) {
     console.error("Error cancelling order:", error);
+    if (error.statusCode) {
+      return next(error);
+    }
     return next(createError(500, "Error cancelling order"));
   }
 };
 
+// Mark an order's payment as failed and give its stock back
+export const markPaymentFailed = async (req, res, next) => {
+  try {
+    const orderId = req.params.id;
+    const { reason } = req.body;
+
+    const order = await Order.findById(orderId);
+
+    if (!order) {
+      return next(createError(404, "Order not found"));
+    }
+
+    // Check if the order belongs to the user
+    if (order.user.toString() !== req.user.id.toString() && !req.user.isAdmin) {
+      return next(createError(403, "You are not authorized to update this order"));
+    }
+
+    if (order.paymentStatus !== "pending") {
+      return next(createError(400, `Can't mark a ${order.paymentStatus} payment as failed`));
+    }
+
+    // Cash is only collected at handover, so there's no payment in progress to fail
+    if (!await hasOpenPaymentIntent(order)) {
+      return next(createError(409, "This order has no payment in progress"));
+    }
+
+    await failOrderPayment(order, reason);
+
+    return res.status(200).json({
+      success: true,
+      message: "Order payment marked as failed",
+      order
+    });
+  } catch (error) {
+    console.error("Error marking payment as failed:", error);
+    if (error.statusCode) {
+      return next(error);
+    }
+    return next(createError(500, "Error updating payment status"));
+  }
+};
+
 // Reorder (create a new order from an existing one)
 export const reorder = async (req, res, next) => {
   try {
     const orderId = req.params.id;
 
-    // Find the original order
-    const originalOrder = await Order.findById(orderId);
+    // Find the original order, or every order of a multi-seller checkout
+    const { orders: originalOrders } = await findOrdersByOrderOrCheckoutId(orderId);
 
-    if (!originalOrder) {
+    if (originalOrders.length === 0) {
       return next(createError(404, "Original order not found"));
     }
 
     // Check if the order belongs to the user
-    if (originalOrder.user.toString() !== req.user.id) {
+    const [originalOrder] = originalOrders;
+    if (originalOrder.user.toString() !== req.user.id.toString()) {
       return next(createError(403, "You are not authorized to reorder this order"));
     }
 
-    // Create a new order with the same details
-    const newOrder = new Order({
-      user: req.user.id,
-      items: originalOrder.items,
-      deliveryAddress: originalOrder.deliveryAddress,
+    assertPaymentMethodAvailable(originalOrder.paymentMethod);
+
+    // Re-price the items at today's prices (no discount for reorders)
+    const { quote, posts } = await buildOrderQuote({
+      items: originalOrders.flatMap(order => order.items),
       deliveryMethod: originalOrder.deliveryMethod,
-      paymentMethod: originalOrder.paymentMethod,
-      deliveryInstructions: originalOrder.deliveryInstructions,
-      contactNumber: originalOrder.contactNumber,
-      subtotal: originalOrder.subtotal,
-      tax: originalOrder.tax,
-      deliveryFee: originalOrder.deliveryFee,
-      discount: 0, // No discount for reorders
-      total: originalOrder.subtotal + originalOrder.tax + originalOrder.deliveryFee, // Recalculate total without discount
-      status: 'processing',
-      paymentStatus: originalOrder.paymentMethod === 'cash' ? 'pending' : 'paid'
+      deliveryLocation: originalOrder.deliveryLocation
     });
 
-    // Save the new order
-    const savedOrder = await newOrder.save();
+    // The address may have dropped out of the service zones since the first order
+    if (!quote.serviceable) {
+      return next(createError(400, quote.serviceError));
+    }
 
-    // Update product stock/inventory
-    for (const item of originalOrder.items) {
-      // Update available quantity in post
-      await Post.findByIdAndUpdate(
-        item.productId,
-        { $inc: { quantity: -item.quantity } },
-        { new: true }
-      );
+    // Place it the same way as a new checkout, split per seller
+    let placed;
+    try {
+      placed = await placeCheckout({
+        userId: req.user.id,
+        quote,
+        posts,
+        details: {
+          deliveryAddress: originalOrder.deliveryAddress,
+          deliveryLocation: originalOrder.deliveryLocation,
+          deliveryMethod: originalOrder.deliveryMethod,
+          deliveryInstructions: originalOrder.deliveryInstructions,
+          contactNumber: originalOrder.contactNumber,
+          paymentMethod: originalOrder.paymentMethod,
+          paymentStatus: 'pending'
+        },
+        fallbackPickupCoordinates: originalOrder.pickupLocation?.coordinates
+      });
+    } catch (placeError) {
+      if (placeError.unavailableItems) {
+        return res.status(409).json({
+          success: false,
+          message: placeError.message,
+          unavailableItems: placeError.unavailableItems
+        });
+      }
+      throw placeError;
     }
 
+    const payment = await startCheckoutPayment(placed, req.user);
+
     return res.status(201).json({
       success: true,
       message: "Order reordered successfully",
-      order: savedOrder
+      checkout: placed.checkout,
+      orders: placed.orders,
+      order: placed.orders[0],
+      payment
     });
   } catch (error) {
     console.error("Error reordering:", error);
+    if (error.statusCode) {
+      return next(error);
+    }
     return next(createError(500, "Error reordering"));
   }
 };
@@ -642,6 +941,11 @@ export const getAllOrders = async (req, res, next) => {
       .populate({
         path: 'items.productId',
         select: 'caption image price category'
+      })
+      .populate({
+        path: 'deliveryAgent',
+        select: 'user vehicleType vehicleNumber',
+        populate: { path: 'user', select: 'username' }
       });
     
     // Calculate pagination info
@@ -668,15 +972,14 @@ export const getAllOrders = async (req, res, next) => {
   }
 };
 
-// Admin: Update order status
+// Update order status (admins, or the order's customer and seller within their roles)
 export const updateOrderStatus = async (req, res, next) => {
   try {
     const { id } = req.params;
     const { status, note } = req.body;
     
     // Validate status value
-    const validStatuses = ['processing', 'confirmed', 'preparing', 'out_for_delivery', 'delivered', 'cancelled'];
-    if (!validStatuses.includes(status)) {
+    if (!ORDER_STATUSES.includes(status)) {
       return next(createError(400, "Invalid status value"));
     }
     
@@ -685,56 +988,29 @@ export const updateOrderStatus = async (req, res, next) => {
     if (!order) {
       return next(createError(404, "Order not found"));
     }
-    
-    // Update status
-    const oldStatus = order.status;
-    order.status = status;
-    
-    // Add status change to history
-    order.statusHistory.push({
-      status,
-      timestamp: new Date(),
-      note: note || `Status changed from ${oldStatus} to ${status}`
-    });
-    
-    // Additional processing based on status
-    switch (status) {
-      case 'confirmed':
-        // Notify customer that order is confirmed
-        break;
-      case 'preparing':
-        // Notify customer that order is being prepared
-        break;
-      case 'out_for_delivery':
-        // If no delivery agent assigned yet, this is just a status change
-        // Agent assignment is handled in the assignOrderAgent function
-        break;
-      case 'delivered':
-        order.actualDeliveryTime = new Date();
-        break;
-      case 'cancelled':
-        // Handle refund process if needed
-        if (order.paymentStatus === 'paid') {
-          order.paymentStatus = 'refunded';
-        }
-        break;
-      default:
-        // No additional processing needed
-        break;
+
+    const roles = getOrderRoles(order, req.user);
+    if (roles.length === 0) {
+      return next(createError(403, "You are not authorized to update this order"));
     }
     
-    // Save the updated order
-    await order.save();
-    
-    // Notify user about order status change via socket
-    const io = req.app.get('io');
-    if (io) {
-      io.to(`user_${order.user}`).emit("orderStatusUpdate", {
-        orderId: order._id,
-        status: order.status,
-        timestamp: new Date()
-      });
-    }
+    // Checks the move, records it in statusHistory and applies its side effects
+    await transitionOrder(order, status, {
+      roles,
+      actorId: req.user.id,
+      note,
+      apply: (order) => {
+        // Agents prove their pickups and deliveries; an admin confirming one is the proof
+        if (status === "picked_up") {
+          order.pickupLeg.proof = { method: "admin", confirmedBy: req.user.id };
+        }
+        if (status === "delivered" && order.deliveryMethod !== "pickup") {
+          order.deliveryProof.method = "admin";
+          order.deliveryProof.confirmedAt = new Date();
+          order.deliveryProof.confirmedBy = req.user.id;
+        }
+      }
+    });
     
     return res.status(200).json({
       success: true,
@@ -743,6 +1019,9 @@ export const updateOrderStatus = async (req, res, next) => {
     });
   } catch (error) {
     console.error("Error updating order status:", error);
+    if (error.statusCode) {
+      return next(error);
+    }
     return next(createError(500, "Error updating order status: " + error.message));
   }
 };
@@ -839,50 +1118,26 @@ export const getOrderStatusHistory = async (req, res, next) => {
     }
     
     // Find the order
-    const order = await Order.findById(id);
+    const order = await Order.findById(id).select("statusHistory createdAt");
     
     if (!order) {
       return next(createError(404, "Order not found"));
     }
-    
-    // For now, we'll create a mock status history since the model doesn't track it
-    // In a real application, you would have a separate collection for status history
-    
-    const mockStatusHistory = [
-      {
-        status: 'processing',
-        timestamp: new Date(order.createdAt),
-        notes: 'Order received'
-      }
-    ];
-    
-    // Add additional statuses based on order's current status
-    const statusFlow = ['processing', 'confirmed', 'preparing', 'out_for_delivery', 'delivered'];
-    const currentStatusIndex = statusFlow.indexOf(order.status);
-    
-    // If order is cancelled, add only the cancelled status
-    if (order.status === 'cancelled') {
-      mockStatusHistory.push({
-        status: 'cancelled',
-        timestamp: new Date(order.updatedAt),
-        notes: 'Order was cancelled'
-      });
-    } else {
-      // Add history entries for each status up to the current one
-      for (let i = 1; i <= currentStatusIndex; i++) {
-        const timeOffset = i * 30 * 60000; // 30 minutes between statuses
-        mockStatusHistory.push({
-          status: statusFlow[i],
-          timestamp: new Date(new Date(order.createdAt).getTime() + timeOffset),
-          notes: `Status updated to ${statusFlow[i]}`
-        });
-      }
-    }
+
+    // Every move goes through the state machine, which records it in statusHistory.
+    // Orders placed before it was kept only have their creation time to go on.
+    const statusHistory = order.statusHistory.length > 0
+      ? order.statusHistory.map((entry) => ({
+          status: entry.status,
+          timestamp: entry.timestamp,
+          notes: entry.note
+        }))
+      : [{ status: "processing", timestamp: order.createdAt, notes: "Order received" }];
     
     return res.status(200).json({
       success: true,
       message: "Status history fetched successfully",
-      statusHistory: mockStatusHistory
+      statusHistory
     });
   } catch (error) {
     console.error("Error fetching status history:", error);
@@ -890,7 +1145,48 @@ export const getOrderStatusHistory = async (req, res, next) => {
   }
 };
 
-// Admin: Assign delivery agent to an order
+// Get the route the delivery agent took, for the customer, the agent or an admin
+export const getOrderTrail = async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .select("user deliveryAgent deliveryMethod status pickupLocation deliveryLocation statusHistory");
+    if (!order) {
+      return next(createError(404, "Order not found"));
+    }
+
+    let allowed = req.user.isAdmin || order.user.toString() === req.user.id.toString();
+    if (!allowed && order.deliveryAgent) {
+      allowed = await DeliveryAgent.exists({ _id: order.deliveryAgent, user: req.user.id });
+    }
+    if (!allowed) {
+      return next(createError(403, "You are not authorized to view this order's route"));
+    }
+
+    if (order.deliveryMethod === "pickup") {
+      return next(createError(400, "Pickup orders don't have a delivery route"));
+    }
+
+    const trail = await loadOrderTrail(order);
+
+    return res.status(200).json({
+      success: true,
+      message: "Delivery route fetched successfully",
+      orderId: order._id,
+      status: order.status,
+      pickupLocation: order.pickupLocation,
+      deliveryLocation: order.deliveryLocation,
+      ...trail
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return next(error);
+    }
+    console.error("Error fetching delivery route:", error);
+    return next(createError(500, "Error fetching delivery route"));
+  }
+};
+
+// Admin: Assign delivery agent to an order, overriding any offer that's out
 export const assignOrderAgent = async (req, res, next) => {
   try {
     const { id } = req.params;
@@ -901,44 +1197,52 @@ export const assignOrderAgent = async (req, res, next) => {
       return next(createError(400, "Order ID is required"));
     }
     
-    if (!agentId) {
-      return next(createError(400, "Agent ID is required"));
+    if (!agentId || !mongoose.Types.ObjectId.isValid(agentId)) {
+      return next(createError(400, "A valid agent ID is required"));
     }
     
-    // Find the order
-    const order = await Order.findById(id);
+    // Find the order and the agent
+    const [order, agent] = await Promise.all([
+      Order.findById(id),
+      DeliveryAgent.findById(agentId).populate('user', 'username')
+    ]);
     
     if (!order) {
       return next(createError(404, "Order not found"));
     }
+
+    if (!agent) {
+      return next(createError(404, "Delivery agent not found"));
+    }
+
+    if (!agent.isVerified) {
+      return next(createError(400, "This agent hasn't been verified yet"));
+    }
     
-    // In a real application, you would verify that the agent exists
-    // and is available for delivery
-    
-    // For now, we'll just create a mock agent object
-    const mockAgent = {
-      id: agentId,
-      name: agentId === 'agent1' ? 'John Doe' : 
-            agentId === 'agent2' ? 'Jane Smith' : 'Mike Johnson'
-    };
-    
-    // Update the order with the delivery agent info
-    const updatedOrder = await Order.findByIdAndUpdate(
-      id,
-      {
-        $set: {
-          deliveryAgent: mockAgent,
-          // Also update status to out_for_delivery if it's not already delivered or cancelled
-          status: (order.status !== 'delivered' && order.status !== 'cancelled') ? 'out_for_delivery' : order.status
-        }
-      },
-      { new: true }
-    )
-    .populate('user', 'username email profilePicture')
-    .populate({
-      path: 'items.productId',
-      select: 'caption image price category'
+    const assigned = await assignOrderToAgent(order, agent, {
+      roles: [ORDER_ROLES.ADMIN],
+      actorId: req.user.id,
+      note: `Assigned to delivery agent ${agent.user?.username || agent._id} by ${req.user.username}`,
+      assignedBy: req.user.id
     });
+
+    // Let the agent know it's theirs
+    const agentSocketId = getReceiverSocketId(agent.user._id.toString());
+    if (agentSocketId) {
+      io.to(agentSocketId).emit("order_assigned", { orderId: assigned._id });
+    }
+
+    const updatedOrder = await Order.findById(assigned._id)
+      .populate('user', 'username email profilePicture')
+      .populate({
+        path: 'items.productId',
+        select: 'caption image price category'
+      })
+      .populate({
+        path: 'deliveryAgent',
+        select: 'user vehicleType vehicleNumber',
+        populate: { path: 'user', select: 'username' }
+      });
     
     return res.status(200).json({
       success: true,
@@ -947,6 +1251,9 @@ export const assignOrderAgent = async (req, res, next) => {
     });
   } catch (error) {
     console.error("Error assigning delivery agent:", error);
+    if (error.statusCode) {
+      return next(error);
+    }
     return next(createError(500, "Error assigning delivery agent"));
   }
 };
@@ -1064,7 +1371,9 @@ export const verifyPickupCode = async (req, res, next) => {
         select: 'caption author image',
         populate: {
           path: 'author',
-          select: '_id username'
+          select: '_id username',
+          // Menu items have a seller rather than an author
+          strictPopulate: false
         }
       });
 
@@ -1094,7 +1403,7 @@ export const verifyPickupCode = async (req, res, next) => {
     }
 
     // Verify that the current user is one of the post authors for this order
-    const userIsAuthor = order.items.some(item => {
+    const userIsAuthor = order.seller?.toString() === req.user.id.toString() || order.items.some(item => {
       const authorId = item.productId?.author?._id?.toString();
       const currentUserId = req.user.id.toString();
       const isAuthor = item.productId && item.productId.author && authorId === currentUserId;
@@ -1150,7 +1459,9 @@ export const completePickup = async (req, res, next) => {
         select: 'caption author image',
         populate: {
           path: 'author',
-          select: '_id username'
+          select: '_id username',
+          // Menu items have a seller rather than an author
+          strictPopulate: false
         }
       });
 
@@ -1200,7 +1511,7 @@ export const completePickup = async (req, res, next) => {
       authorUsername: item.productId?.author?.username
     })));
     
-    const userIsAuthor = order.items.some(item => {
+    const userIsAuthor = order.seller?.toString() === req.user.id.toString() || order.items.some(item => {
       const authorId = item.productId?.author?._id?.toString();
       const currentUserId = req.user.id.toString();
       const isAuthor = item.productId && item.productId.author && authorId === currentUserId;
@@ -1217,23 +1528,12 @@ export const completePickup = async (req, res, next) => {
 
     console.log("✅ All validations passed, updating order...");
 
-    // Update the order to mark pickup as completed
-    const updatedOrder = await Order.findByIdAndUpdate(
-      orderId,
-      {
-        isPickupCompleted: true,
-        status: 'delivered',
-        actualDeliveryTime: new Date(),
-        $push: {
-          statusHistory: {
-            status: 'delivered',
-            timestamp: new Date(),
-            note: 'Order picked up by customer'
-          }
-        }
-      },
-      { new: true }
-    ).populate('user', 'username profilePicture').populate('items.productId', 'caption author image');
+    // Mark the pickup as completed (sets isPickupCompleted and actualDeliveryTime)
+    const updatedOrder = await transitionOrder(order, 'delivered', {
+      roles: [ORDER_ROLES.SELLER],
+      actorId: req.user.id,
+      note: 'Order picked up by customer'
+    });
 
     console.log("✅ Order updated successfully");
 
@@ -1303,6 +1603,9 @@ export const completePickup = async (req, res, next) => {
     });
   } catch (error) {
     console.error("❌ Error completing pickup:", error);
+    if (error.statusCode) {
+      return next(error);
+    }
     return next(createError(500, "Error completing pickup: " + error.message));
   }
 };
@@ -1323,7 +1626,9 @@ export const getPickupCodeDebug = async (req, res, next) => {
         select: 'caption author image',
         populate: {
           path: 'author',
-          select: '_id username'
+          select: '_id username',
+          // Menu items have a seller rather than an author
+          strictPopulate: false
         }
       })
       .populate('user', 'username profilePicture');
@@ -0,0 +1,166 @@
+import createError from "../utils/error.js";
+import { findPayableOrders, findOrdersForPayment } from "../utils/payments.js";
+import {
+  getProvider,
+  getPaymentProvider,
+  startPayment,
+  getOrderPaymentStatus
+} from "../utils/paymentProviders/index.js";
+import { confirmPaymentIntent } from "../utils/mockCardGateway.js";
+import { isMockRpc, toLamports, recordMockTransfer } from "../utils/solana.js";
+import paymentConfig from "../config/payments.js";
+import solanaConfig from "../config/solana.js";
+
+// Start (or restart) paying for an order or checkout with its payment method's provider
+export const createPaymentIntent = async (req, res, next) => {
+  try {
+    const { orderId } = req.body;
+    if (!orderId) {
+      return next(createError(400, "Order ID is required"));
+    }
+
+    const { orders, amount } = await findPayableOrders(orderId, req.user);
+    const payment = await startPayment({ reference: orderId, orders, amount, user: req.user });
+
+    return res.status(200).json({
+      success: true,
+      payment
+    });
+  } catch (error) {
+    console.error("Error creating payment:", error);
+    if (error.statusCode) {
+      return next(error);
+    }
+    return next(createError(500, "Error creating payment"));
+  }
+};
+
+// Confirm a payment the client completed itself (e.g. a Solana transaction signature)
+export const confirmPayment = async (req, res, next) => {
+  try {
+    const { orderId, ...payload } = req.body;
+    if (!orderId) {
+      return next(createError(400, "Order ID is required"));
+    }
+
+    const { orders, amount } = await findPayableOrders(orderId, req.user);
+    const provider = getPaymentProvider(orders[0].paymentMethod);
+    const transaction = await provider.confirm({ reference: orderId, orders, amount, user: req.user }, payload);
+
+    return res.status(200).json({
+      success: true,
+      message: "Payment confirmed",
+      payment: transaction,
+      orders: orders.map((order) => ({ _id: order._id, paymentStatus: order.paymentStatus }))
+    });
+  } catch (error) {
+    console.error("Error confirming payment:", error);
+    if (error.statusCode) {
+      return next(error);
+    }
+    return next(createError(500, "Error confirming payment"));
+  }
+};
+
+// Provider callback. Each provider verifies its own signature.
+export const handlePaymentWebhook = async (req, res, next) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    const result = await provider.handleWebhook(req);
+
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error(`Error handling ${req.params.provider} webhook:`, error);
+    if (error.statusCode) {
+      return next(error);
+    }
+    return next(createError(500, "Error handling webhook"));
+  }
+};
+
+// Get where an order's payment stands, for clients waiting on a webhook
+export const getPaymentStatus = async (req, res, next) => {
+  try {
+    const orders = await findOrdersForPayment(req.params.orderId);
+    if (orders.length === 0) {
+      return next(createError(404, "Order not found"));
+    }
+    if (orders[0].user.toString() !== req.user.id.toString() && !req.user.isAdmin) {
+      return next(createError(403, "You are not authorized to view this order"));
+    }
+
+    const status = await getOrderPaymentStatus(orders);
+
+    return res.status(200).json({
+      success: true,
+      ...status
+    });
+  } catch (error) {
+    console.error("Error fetching payment status:", error);
+    if (error.statusCode) {
+      return next(error);
+    }
+    return next(createError(500, "Error fetching payment status"));
+  }
+};
+
+// Local development: the mock gateway's card form posts here, as it would to a hosted gateway.
+// The intent's client secret authorizes the call.
+export const confirmMockCardPayment = async (req, res, next) => {
+  try {
+    if (!paymentConfig.mockCard.enabled) {
+      return next(createError(404, "The mock card gateway is not enabled"));
+    }
+
+    const { clientSecret, card } = req.body;
+    const intent = confirmPaymentIntent(req.params.id, { clientSecret, card });
+
+    return res.status(200).json({
+      success: true,
+      intent
+    });
+  } catch (error) {
+    console.error("Error confirming mock card payment:", error);
+    if (error.statusCode) {
+      return next(error);
+    }
+    return next(createError(500, "Error confirming card payment"));
+  }
+};
+
+// Local development: "send" the payment on the mock ledger instead of a real wallet
+export const sendMockSolanaPayment = async (req, res, next) => {
+  try {
+    if (!isMockRpc()) {
+      return next(createError(404, "The mock Solana ledger is not enabled"));
+    }
+
+    const { orderId } = req.body;
+    if (!orderId) {
+      return next(createError(400, "Order ID is required"));
+    }
+
+    const { orders, amount } = await findPayableOrders(orderId, req.user);
+    if (orders[0].paymentMethod !== "solana") {
+      return next(createError(400, "This order isn't paid with Solana"));
+    }
+
+    const signature = recordMockTransfer({
+      payer: `mock-wallet-${req.user.id}`,
+      recipient: solanaConfig.recipientWallet,
+      lamports: toLamports(amount),
+      memo: orderId
+    });
+
+    return res.status(200).json({
+      success: true,
+      signature
+    });
+  } catch (error) {
+    console.error("Error sending mock Solana payment:", error);
+    if (error.statusCode) {
+      return next(error);
+    }
+    return next(createError(500, "Error sending mock Solana payment"));
+  }
+};
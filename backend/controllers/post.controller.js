@@ -1,12 +1,20 @@
-import sharp from "sharp";
-// Use the fixed cloudinary configuration
-import cloudinary from "../cloudinaryConfig.js";
+import mongoose from "mongoose";
 import { Post } from "../models/post.model.js";
 import { User } from "../models/user.model.js";
 import { Comment } from "../models/comment.model.js";
+import { Product } from "../models/product.model.js";
 import Story from "../models/Story.model.js";
 import { getReceiverSocketId, io } from "../socket/socket.js";
-import streamifier from "streamifier";
+import { getFeedPage } from "../utils/feedRanking.js";
+import { getPostExpiry, activePostFilter } from "../utils/postExpiry.js";
+import {
+  uploadPostMediaList,
+  getPostMediaList,
+  getPostCoverFields,
+  destroyPostMediaList
+} from "../utils/postMedia.js";
+import createError from "../utils/error.js";
+import postConfig from "../config/posts.js";
 
 // export const addNewPost = async (req, res) => {
 //   try {
@@ -52,12 +60,12 @@ import streamifier from "streamifier";
 
 export const addNewPost = async (req, res) => {
   try {
-    const { caption, price, category, vegetarian, spicyLevel } = req.body;
-    const file = req.file;
+    const { caption, price, category, vegetarian, spicyLevel, menuItem, availableHours } = req.body;
+    const files = req.files || [];
     const authorId = req.id;
 
     // Validate required fields
-    if (!file) {
+    if (files.length === 0) {
       return res
         .status(400)
         .json({ message: "Media Required", success: false });
@@ -70,129 +78,37 @@ export const addNewPost = async (req, res) => {
         .json({ message: "Authentication required", success: false });
     }
 
-    // Safely extract media type with fallback
-    const mediaType = file?.mimetype ? file.mimetype.split("/")[0] : null;
-    if (!mediaType) {
+    // How long the post stays up for ordering, checked before uploading any media
+    let expiresAt;
+    try {
+      expiresAt = getPostExpiry(availableHours);
+    } catch (expiryError) {
       return res
-        .status(400)
-        .json({ message: "Invalid media format", success: false });
+        .status(expiryError.statusCode || 400)
+        .json({ message: expiryError.message, success: false });
     }
 
-    let mediaUrl = null;
-
-    // Process based on media type
-    try {
-      if (mediaType === "image") {
-        try {
-          // Optimize and upload image
-          const optimizedImageBuffer = await sharp(file.buffer)
-            .resize({ width: 800, height: 800, fit: "inside" })
-            .toFormat("jpeg", { quality: 90 })
-            .toBuffer();
-  
-          const fileUri = `data:image/jpeg;base64,${optimizedImageBuffer.toString(
-            "base64"
-          )}`;
-  
-          console.log("Attempting to upload image to Cloudinary for post...");
-          const cloudResponse = await cloudinary.uploader.upload(fileUri, {
-            resource_type: "image",
-            folder: "posts/images",
-            timeout: 60000
-          });
-          console.log("Cloudinary image upload successful for post");
-  
-          if (!cloudResponse || !cloudResponse.secure_url) {
-            console.error("Failed to get secure URL from Cloudinary");
-            return res.status(500).json({
-              success: false,
-              message: "Failed to upload image. Please try again."
-            });
-          }
-          
-          mediaUrl = cloudResponse.secure_url;
-        } catch (imageError) {
-          console.error("Error processing or uploading image:", imageError);
-          return res.status(500).json({
-            success: false,
-            message: "Error processing image. Please try with a different image."
-          });
-        }
-      } else if (mediaType === "video") {
-        try {
-          // Stream upload video to Cloudinary
-          console.log("Attempting to upload video to Cloudinary for post...");
-          const streamUpload = () =>
-            new Promise((resolve, reject) => {
-              const stream = cloudinary.uploader.upload_stream(
-                {
-                  resource_type: "video",
-                  folder: "posts/videos", 
-                  timeout: 120000, // Increased timeout for videos
-                  chunk_size: 60000000,
-                },
-                (error, result) => {
-                  if (error) {
-                    console.error("Cloudinary video upload error:", error);
-                    return reject(error);
-                  }
-                  resolve(result);
-                }
-              );
-              
-              // Check if buffer exists before attempting to create stream
-              if (!file.buffer) {
-                return reject(new Error("Missing file buffer for video upload"));
-              }
-              
-              // Create read stream from buffer
-              try {
-                streamifier.createReadStream(file.buffer).pipe(stream);
-              } catch (streamError) {
-                console.error("Error creating read stream:", streamError);
-                reject(streamError);
-              }
-            });
-
-          const cloudResponse = await streamUpload();
-          console.log("Cloudinary video upload successful for post");
-          
-          if (!cloudResponse || !cloudResponse.secure_url) {
-            console.error("Failed to get secure URL from Cloudinary for video");
-            return res.status(500).json({
-              success: false,
-              message: "Failed to upload video. Please try again with a smaller video."
-            });
-          }
-          
-          mediaUrl = cloudResponse.secure_url;
-        } catch (videoError) {
-          console.error("Error uploading video:", videoError);
-          return res.status(500).json({
-            success: false,
-            message: "Error uploading video. Please try with a different video or smaller file size."
-          });
-        }
-      } else {
+    // A post can be a fresh batch of an item on the seller's own menu
+    let linkedMenuItem = null;
+    if (menuItem) {
+      linkedMenuItem = mongoose.isValidObjectId(menuItem)
+        ? await Product.findOne({ _id: menuItem, seller: authorId, isArchived: false }).select("_id")
+        : null;
+      if (!linkedMenuItem) {
         return res
           .status(400)
-          .json({ message: "Unsupported media type: " + mediaType, success: false });
+          .json({ message: "That item isn't on your menu", success: false });
       }
-    } catch (uploadError) {
-      console.error("Media upload error:", uploadError);
-      return res.status(500).json({
-        message: "Failed to upload media. Please try again.",
-        error: uploadError.message,
-        success: false
-      });
     }
 
-    // Ensure we have a valid URL after upload
-    if (!mediaUrl) {
-      return res.status(500).json({
-        message: "Media upload failed - no URL returned",
-        success: false
-      });
+    // Upload the photos and videos in the order they were picked
+    let media;
+    try {
+      media = await uploadPostMediaList(files);
+    } catch (uploadError) {
+      return res
+        .status(uploadError.statusCode || 500)
+        .json({ message: uploadError.message || "Failed to upload media. Please try again.", success: false });
     }
 
     // Parse boolean flag
@@ -200,30 +116,38 @@ export const addNewPost = async (req, res) => {
 
     console.log("Creating post in database...");
     // Save post to DB
-    const post = await Post.create({
-      caption,
-      price,
-      category,
-      author: authorId,
-      mediaType,
-      image: mediaType === "image" ? mediaUrl : undefined,
-      video: mediaType === "video" ? mediaUrl : undefined,
-      vegetarian: isVegetarian,
-      spicyLevel: spicyLevel || "none",
-      // Initialize rating with default values
-      rating: {
-        average: 0,
-        count: 0,
-        ratings: []
-      },
-      ratingDistribution: {
-        1: 0,
-        2: 0,
-        3: 0,
-        4: 0,
-        5: 0
-      }
-    });
+    let post;
+    try {
+      post = await Post.create({
+        caption,
+        price,
+        category,
+        author: authorId,
+        media,
+        ...getPostCoverFields(media),
+        vegetarian: isVegetarian,
+        spicyLevel: spicyLevel || "none",
+        menuItem: linkedMenuItem?._id || null,
+        expiresAt,
+        // Initialize rating with default values
+        rating: {
+          average: 0,
+          count: 0,
+          ratings: []
+        },
+        ratingDistribution: {
+          1: 0,
+          2: 0,
+          3: 0,
+          4: 0,
+          5: 0
+        }
+      });
+    } catch (saveError) {
+      // Nothing points at the uploads yet, so they would be orphaned
+      await destroyPostMediaList(media);
+      throw saveError;
+    }
 
     // Update user's posts array
     try {
@@ -241,6 +165,7 @@ export const addNewPost = async (req, res) => {
 
     // Populate author details
     await post.populate({ path: "author", select: "username profilePicture location" });
+    await post.populate({ path: "menuItem", select: "name price" });
 
     // Emit socket event for real-time feed updates
     io.emit("NEW_POST", post);
@@ -263,8 +188,7 @@ export const addNewPost = async (req, res) => {
 
 export const getAllPost = async (req, res) => {
   try {
-    const threeHoursAgo = new Date(Date.now() - 3 * 60 * 60 * 1000);
-    const posts = await Post.find({ createdAt: { $gte: threeHoursAgo } })
+    const posts = await Post.find(activePostFilter())
       .sort({ createdAt: -1 })
       .populate({ path: "author", select: "username profilePicture location" })
       .populate({
@@ -288,6 +212,28 @@ export const getAllPost = async (req, res) => {
   }
 };
 
+// Ranked home feed, a page at a time. Pass the nextCursor of one page as
+// ?cursor= to get the next.
+export const getFeed = async (req, res) => {
+  try {
+    const { cursor, limit, category } = req.query;
+    const { posts, nextCursor } = await getFeedPage({ viewerId: req.id, cursor, limit, category });
+
+    return res.status(200).json({
+      posts,
+      nextCursor,
+      hasMore: Boolean(nextCursor),
+      success: true
+    });
+  } catch (error) {
+    console.error("Get feed error:", error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Error fetching feed: " + error.message
+    });
+  }
+};
+
 // export const getUserPost = async (req, res) => {
 //   try {
 //     const authorId = req.id;
@@ -661,6 +607,161 @@ export const deletePost = async (req, res) => {
   }
 };
 
+const POST_CATEGORIES = Post.schema.path("category").enumValues;
+const SPICY_LEVELS = Post.schema.path("spicyLevel").enumValues;
+
+// Pick and validate the fields an author can edit from a request body.
+// Multipart forms send numbers and booleans as strings.
+const buildPostUpdates = (body) => {
+  const updates = {};
+
+  if (body.caption !== undefined) {
+    updates.caption = String(body.caption).trim();
+    if (!updates.caption) {
+      throw createError(400, "Caption can't be empty");
+    }
+  }
+
+  if (body.price !== undefined) {
+    const price = Number(body.price);
+    if (body.price === "" || !Number.isFinite(price) || price < 0) {
+      throw createError(400, "Price must be a positive amount");
+    }
+    // Prices are stored as strings on posts
+    updates.price = String(price);
+  }
+
+  if (body.category !== undefined) {
+    if (!POST_CATEGORIES.includes(body.category)) {
+      throw createError(400, `Category must be one of ${POST_CATEGORIES.join(", ")}`);
+    }
+    updates.category = body.category;
+  }
+
+  if (body.vegetarian !== undefined) {
+    updates.vegetarian = body.vegetarian === true || body.vegetarian === "true";
+  }
+
+  if (body.spicyLevel !== undefined) {
+    if (!SPICY_LEVELS.includes(body.spicyLevel)) {
+      throw createError(400, `Spicy level must be one of ${SPICY_LEVELS.join(", ")}`);
+    }
+    updates.spicyLevel = body.spicyLevel;
+  }
+
+  if (body.quantity !== undefined) {
+    const quantity = Number(body.quantity);
+    if (body.quantity === "" || !Number.isInteger(quantity) || quantity < 0) {
+      throw createError(400, "Quantity must be a whole number of portions");
+    }
+    updates.quantity = quantity;
+  }
+
+  return updates;
+};
+
+// Edit a post in place so its likes, comments and ratings are kept. Each edit
+// is added to the post's edit history, and replaced media is removed from Cloudinary.
+export const editPost = async (req, res) => {
+  try {
+    const postId = req.params.id;
+    const authorId = req.id;
+
+    if (!mongoose.isValidObjectId(postId)) {
+      return res.status(404).json({ message: "Post Not Found", success: false });
+    }
+
+    const post = await Post.findById(postId);
+    if (!post) {
+      return res.status(404).json({ message: "Post Not Found", success: false });
+    }
+    if (post.author.toString() !== authorId) {
+      return res.status(403).json({ message: "You can only edit your own posts", success: false });
+    }
+
+    let updates;
+    try {
+      updates = buildPostUpdates(req.body);
+    } catch (validationError) {
+      return res
+        .status(validationError.statusCode || 400)
+        .json({ message: validationError.message, success: false });
+    }
+
+    const changes = Object.entries(updates)
+      .filter(([field, value]) => post[field] !== value)
+      .map(([field, value]) => ({ field, from: post[field], to: value }));
+
+    const files = req.files || [];
+    if (changes.length === 0 && files.length === 0) {
+      return res.status(400).json({ message: "Nothing to update", success: false });
+    }
+
+    // New photos and videos replace all of the post's media. They're uploaded
+    // before touching the post.
+    let media = [];
+    let replacedMedia = [];
+    if (files.length > 0) {
+      try {
+        media = await uploadPostMediaList(files);
+      } catch (uploadError) {
+        return res
+          .status(uploadError.statusCode || 500)
+          .json({ message: uploadError.message || "Failed to upload media. Please try again.", success: false });
+      }
+
+      replacedMedia = getPostMediaList(post).map(({ mediaType, url }) => ({ mediaType, url }));
+      changes.push({
+        field: "media",
+        from: replacedMedia.map((item) => item.mediaType),
+        to: media.map((item) => item.mediaType)
+      });
+      Object.assign(updates, { media, ...getPostCoverFields(media) });
+    }
+
+    const now = new Date();
+    post.set(updates);
+    post.editedAt = now;
+    post.editHistory.push({ editedAt: now, changes });
+    if (post.editHistory.length > postConfig.maxEditHistory) {
+      post.editHistory.splice(0, post.editHistory.length - postConfig.maxEditHistory);
+    }
+    try {
+      await post.save();
+    } catch (saveError) {
+      // The post still points at its old media, so the new uploads would be orphaned
+      await destroyPostMediaList(media);
+      throw saveError;
+    }
+
+    // Only remove the old media once the post points at the new one
+    await destroyPostMediaList(replacedMedia);
+
+    await post.populate({ path: "author", select: "username profilePicture location" });
+    await post.populate({ path: "menuItem", select: "name price" });
+    await post.populate({
+      path: "comments",
+      options: { sort: { createdAt: -1 } },
+      populate: {
+        path: "author",
+        select: "username profilePicture location",
+      },
+    });
+
+    return res.status(200).json({
+      message: "Post Updated",
+      post,
+      success: true,
+    });
+  } catch (error) {
+    console.error("Edit post error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Server error while editing post: " + error.message
+    });
+  }
+};
+
 export const bookMarkPost = async (req, res) => {
   try {
     const postId = req.params.id;
@@ -762,6 +863,7 @@ export const getSinglePost = async (req, res) => {
     try {
       const post = await Post.findById(postId)
         .populate({ path: "author", select: "username profilePicture location" })
+        .populate({ path: "menuItem", select: "name price" })
         .populate({
           path: "comments",
           sort: { createdAt: -1 },
@@ -814,6 +916,7 @@ export const findNearbyPosts = async (req, res) => {
     }
 
     const nearbyPosts = await Post.find({
+      ...activePostFilter(),
       author: {
         $exists: true,
       },
@@ -870,16 +973,18 @@ export const searchPosts = async (req, res) => {
       return res.status(200).json({ success: true, categories: FOOD_CATEGORIES });
     }
 
-    // Build filter object
-    const filter = {};
+    // Build filter object; expired posts aren't searchable
+    const filter = activePostFilter();
         
     // Text search
     if (q) {
-      filter.$or = [
-        { caption: { $regex: q, $options: "i" } },
-        { description: { $regex: q, $options: "i" } },
-        { category: { $regex: q, $options: "i" } }
-      ];
+      filter.$and = [{
+        $or: [
+          { caption: { $regex: q, $options: "i" } },
+          { description: { $regex: q, $options: "i" } },
+          { category: { $regex: q, $options: "i" } }
+        ]
+      }];
     }
     
     // Category filter - supports multiple comma-separated categories
@@ -948,7 +1053,7 @@ export const searchPosts = async (req, res) => {
         .skip(skip)
         .limit(Number(limit))
         .populate({ path: "author", select: "username profilePicture location" })
-        .select("_id caption image video mediaType author category price rating createdAt vegetarian spicyLevel"),
+        .select("_id caption image video mediaType media author category price rating createdAt vegetarian spicyLevel"),
       Post.countDocuments(filter)
     ]);
     
@@ -0,0 +1,209 @@
+import { PromoCode } from "../models/promoCode.model.js";
+import createError from "../utils/error.js";
+import { buildOrderQuote } from "../utils/pricing.js";
+import { normalizePromoCode } from "../utils/promoCodes.js";
+
+const DISCOUNT_TYPES = ["percent", "flat", "free_delivery"];
+
+// Pick and validate the editable promo code fields from a request body. On
+// update, the rules that span fields are checked against the stored code
+// merged with the changes.
+const buildPromoCodeData = (body, existing = null) => {
+  const isUpdate = Boolean(existing);
+  const data = {};
+
+  if (body.code !== undefined) {
+    data.code = normalizePromoCode(body.code);
+    if (!/^[A-Z0-9_-]{3,20}$/.test(data.code)) {
+      throw createError(400, "Promo code must be 3-20 letters, numbers, dashes or underscores");
+    }
+  } else if (!isUpdate) {
+    throw createError(400, "Promo code is required");
+  }
+
+  if (body.discountType !== undefined) {
+    if (!DISCOUNT_TYPES.includes(body.discountType)) {
+      throw createError(400, `Discount type must be one of: ${DISCOUNT_TYPES.join(", ")}`);
+    }
+    data.discountType = body.discountType;
+  } else if (!isUpdate) {
+    throw createError(400, "Discount type is required");
+  }
+
+  const numericFields = ["value", "minOrderValue", "maxDiscount", "usageLimit", "perUserLimit"];
+  for (const field of numericFields) {
+    if (body[field] === undefined || body[field] === "") continue;
+    const value = Number(body[field]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw createError(400, `${field} must be a positive number`);
+    }
+    data[field] = value;
+  }
+
+  if (body.description !== undefined) data.description = body.description;
+  if (body.isActive !== undefined) data.isActive = Boolean(body.isActive);
+  if (body.validFrom !== undefined) data.validFrom = body.validFrom || Date.now();
+  if (body.validUntil !== undefined) data.validUntil = body.validUntil || null;
+  if (Array.isArray(body.categories)) data.categories = body.categories;
+  if (Array.isArray(body.sellers)) data.sellers = body.sellers;
+
+  const merged = { ...(existing ? existing.toObject() : {}), ...data };
+
+  if (merged.discountType === "percent" && merged.value > 100) {
+    throw createError(400, "Percentage discount can't be more than 100");
+  }
+
+  if (merged.validFrom && merged.validUntil && new Date(merged.validUntil) <= new Date(merged.validFrom)) {
+    throw createError(400, "Promo code must end after it starts");
+  }
+
+  return data;
+};
+
+// Validate a promo code against the current cart
+export const validatePromoCode = async (req, res, next) => {
+  try {
+    const { code, items, deliveryMethod, deliveryCoordinates } = req.body;
+
+    if (!code) {
+      return next(createError(400, "Please enter a promo code"));
+    }
+
+    const { quote, promo } = await buildOrderQuote({
+      items,
+      deliveryMethod: deliveryMethod || "standard",
+      promoCode: code,
+      userId: req.user.id,
+      // The delivery address's zone sets the delivery fee free-delivery codes take off
+      deliveryLocation: { type: "Point", coordinates: deliveryCoordinates }
+    });
+
+    if (quote.promoError) {
+      return next(createError(400, quote.promoError));
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Promo code applied successfully",
+      promoCode: {
+        code: promo.code,
+        description: promo.description,
+        discountType: promo.discountType,
+        value: promo.value
+      },
+      discount: quote.discount,
+      quote
+    });
+  } catch (error) {
+    console.error("Error validating promo code:", error);
+    if (error.statusCode) {
+      return next(error);
+    }
+    return next(createError(500, "Error validating promo code: " + error.message));
+  }
+};
+
+// Admin: Get all promo codes
+export const getAllPromoCodes = async (req, res, next) => {
+  try {
+    const promoCodes = await PromoCode.find()
+      .select("-redemptions")
+      .populate("sellers", "username profilePicture")
+      .sort({ createdAt: -1 });
+
+    return res.status(200).json({
+      success: true,
+      message: "Promo codes fetched successfully",
+      count: promoCodes.length,
+      promoCodes
+    });
+  } catch (error) {
+    console.error("Error fetching promo codes:", error);
+    return next(createError(500, "Error fetching promo codes"));
+  }
+};
+
+// Admin: Create a promo code
+export const createPromoCode = async (req, res, next) => {
+  try {
+    const data = buildPromoCodeData(req.body);
+
+    const existingPromoCode = await PromoCode.findOne({ code: data.code });
+    if (existingPromoCode) {
+      return next(createError(400, "A promo code with this code already exists"));
+    }
+
+    const promoCode = await PromoCode.create({ ...data, createdBy: req.user.id });
+
+    return res.status(201).json({
+      success: true,
+      message: "Promo code created successfully",
+      promoCode
+    });
+  } catch (error) {
+    console.error("Error creating promo code:", error);
+    if (error.statusCode) {
+      return next(error);
+    }
+    return next(createError(500, "Error creating promo code: " + error.message));
+  }
+};
+
+// Admin: Update a promo code
+export const updatePromoCode = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const existing = await PromoCode.findById(id).select("-redemptions");
+    if (!existing) {
+      return next(createError(404, "Promo code not found"));
+    }
+
+    const data = buildPromoCodeData(req.body, existing);
+
+    if (data.code) {
+      const existingPromoCode = await PromoCode.findOne({ code: data.code, _id: { $ne: id } });
+      if (existingPromoCode) {
+        return next(createError(400, "A promo code with this code already exists"));
+      }
+    }
+
+    const promoCode = await PromoCode.findByIdAndUpdate(id, { $set: data }, { new: true, runValidators: true })
+      .select("-redemptions");
+
+    if (!promoCode) {
+      return next(createError(404, "Promo code not found"));
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Promo code updated successfully",
+      promoCode
+    });
+  } catch (error) {
+    console.error("Error updating promo code:", error);
+    if (error.statusCode) {
+      return next(error);
+    }
+    return next(createError(500, "Error updating promo code: " + error.message));
+  }
+};
+
+// Admin: Delete a promo code
+export const deletePromoCode = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const promoCode = await PromoCode.findByIdAndDelete(id);
+    if (!promoCode) {
+      return next(createError(404, "Promo code not found"));
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Promo code deleted successfully"
+    });
+  } catch (error) {
+    console.error("Error deleting promo code:", error);
+    return next(createError(500, "Error deleting promo code"));
+  }
+};
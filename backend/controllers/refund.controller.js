@@ -0,0 +1,201 @@
+import Refund from "../models/refund.model.js";
+import createError from "../utils/error.js";
+import { findOrdersByOrderOrCheckoutId } from "../utils/checkout.js";
+import { canTransition, ORDER_ROLES } from "../utils/orderStateMachine.js";
+import {
+  getCancellationQuote,
+  requestRefund,
+  approveRefund,
+  rejectRefund
+} from "../utils/refunds.js";
+import { roundCurrency } from "../utils/pricing.js";
+
+const REFUND_STATUSES = ["pending", "approved", "rejected"];
+
+// Load the orders behind an order or checkout id, checking they belong to the user
+const findCustomerOrders = async (id, user) => {
+  const { orders } = await findOrdersByOrderOrCheckoutId(id);
+  if (orders.length === 0) {
+    throw createError(404, "Order not found");
+  }
+  if (orders[0].user.toString() !== user.id.toString() && !user.isAdmin) {
+    throw createError(403, "You are not authorized to view this order");
+  }
+  return orders;
+};
+
+// Get the cancellation fee and refund for cancelling an order now
+export const getCancellationQuoteForOrder = async (req, res, next) => {
+  try {
+    const orders = await findCustomerOrders(req.params.orderId, req.user);
+    const cancellable = orders.filter((order) => canTransition(order, "cancelled", [ORDER_ROLES.CUSTOMER]));
+
+    const quotes = cancellable.map((order) => ({ orderId: order._id, status: order.status, ...getCancellationQuote(order) }));
+
+    return res.status(200).json({
+      success: true,
+      cancellable: cancellable.length > 0,
+      fee: roundCurrency(quotes.reduce((sum, quote) => sum + quote.fee, 0)),
+      refundAmount: roundCurrency(quotes.reduce((sum, quote) => sum + quote.refundAmount, 0)),
+      orders: quotes
+    });
+  } catch (error) {
+    console.error("Error quoting cancellation:", error);
+    if (error.statusCode) {
+      return next(error);
+    }
+    return next(createError(500, "Error quoting cancellation"));
+  }
+};
+
+// Ask for a partial refund or open a dispute on a delivered order
+export const createRefundRequest = async (req, res, next) => {
+  try {
+    const { orderId, type, reason, items } = req.body;
+    if (!orderId) {
+      return next(createError(400, "Order ID is required"));
+    }
+
+    const orders = await findCustomerOrders(orderId, req.user);
+    if (orders.length > 1) {
+      return next(createError(400, "Choose which kitchen's order the refund is for"));
+    }
+
+    const refund = await requestRefund(orders[0], {
+      type,
+      reason,
+      items: Array.isArray(items) ? items : [],
+      requestedBy: req.user.id
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Refund requested. We'll let you know once it's been reviewed.",
+      refund
+    });
+  } catch (error) {
+    console.error("Error requesting refund:", error);
+    if (error.statusCode) {
+      return next(error);
+    }
+    return next(createError(500, "Error requesting refund"));
+  }
+};
+
+// Get the refunds for an order (or every order of a checkout)
+export const getOrderRefunds = async (req, res, next) => {
+  try {
+    const orders = await findCustomerOrders(req.params.orderId, req.user);
+    const refunds = await Refund.find({ order: { $in: orders.map((order) => order._id) } })
+      .populate("auditTrail.actor", "username")
+      .sort({ createdAt: -1 });
+
+    return res.status(200).json({
+      success: true,
+      refunds
+    });
+  } catch (error) {
+    console.error("Error fetching order refunds:", error);
+    if (error.statusCode) {
+      return next(error);
+    }
+    return next(createError(500, "Error fetching refunds"));
+  }
+};
+
+// Admin: Get refunds, pending ones first in the order they came in
+export const getAllRefunds = async (req, res, next) => {
+  try {
+    const { status = "pending" } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    if (status !== "all" && !REFUND_STATUSES.includes(status)) {
+      return next(createError(400, "Invalid status filter"));
+    }
+
+    const filter = status === "all" ? {} : { status };
+
+    const [refunds, total, pendingCount] = await Promise.all([
+      Refund.find(filter)
+        .populate("user", "username profilePicture")
+        .populate("order", "total refundedAmount status paymentMethod paymentStatus deliveryMethod createdAt")
+        .populate("auditTrail.actor", "username")
+        .sort({ createdAt: status === "pending" ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Refund.countDocuments(filter),
+      Refund.countDocuments({ status: "pending" })
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      refunds,
+      pendingCount,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error("Error fetching refunds:", error);
+    return next(createError(500, "Error fetching refunds"));
+  }
+};
+
+// Admin: Approve a refund, optionally for a different amount
+export const approveRefundRequest = async (req, res, next) => {
+  try {
+    const refund = await Refund.findById(req.params.id);
+    if (!refund) {
+      return next(createError(404, "Refund not found"));
+    }
+
+    const { amount, note } = req.body;
+    const approved = await approveRefund(refund, {
+      actorId: req.user.id,
+      amount: amount !== undefined && amount !== "" ? Number(amount) : undefined,
+      note
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Refund approved",
+      refund: approved
+    });
+  } catch (error) {
+    console.error("Error approving refund:", error);
+    if (error.statusCode) {
+      return next(error);
+    }
+    return next(createError(500, "Error approving refund"));
+  }
+};
+
+// Admin: Reject a refund
+export const rejectRefundRequest = async (req, res, next) => {
+  try {
+    const refund = await Refund.findById(req.params.id);
+    if (!refund) {
+      return next(createError(404, "Refund not found"));
+    }
+
+    const rejected = await rejectRefund(refund, {
+      actorId: req.user.id,
+      note: req.body.note
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Refund rejected",
+      refund: rejected
+    });
+  } catch (error) {
+    console.error("Error rejecting refund:", error);
+    if (error.statusCode) {
+      return next(error);
+    }
+    return next(createError(500, "Error rejecting refund"));
+  }
+};
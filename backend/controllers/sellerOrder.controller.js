@@ -0,0 +1,344 @@
+import mongoose from "mongoose";
+import Order from "../models/order.model.js";
+import { Post } from "../models/post.model.js";
+import { User } from "../models/user.model.js";
+import createError from "../utils/error.js";
+import { ORDER_ROLES, ORDER_STATUSES, transitionOrder, broadcastOrderStatus } from "../utils/orderStateMachine.js";
+import { getSlotSettings, isTimeOfDay } from "../utils/slots.js";
+import { applyDeliveryEstimate } from "../utils/eta.js";
+import schedulingConfig from "../config/scheduling.js";
+import { createNotification } from "./notification.controller.js";
+import { io, getReceiverSocketId } from "../socket/socket.js";
+
+// Orders still in the kitchen, including ones whose agent hasn't collected them yet
+const ACTIVE_STATUSES = ["processing", "confirmed", "preparing", "agent_assigned", "arrived_at_pickup"];
+// Statuses in which the agent is coming for the food; the kitchen can still update its estimate
+const AWAITING_PICKUP_STATUSES = ["agent_assigned", "arrived_at_pickup"];
+const MAX_PREP_TIME_MINUTES = 240;
+
+// Orders for the seller's food. Orders placed before checkouts were split per seller
+// have no seller field, so those are matched by the posts they contain.
+// Ids are cast by hand since the filter is also used in an aggregation.
+const buildSellerFilter = async (sellerId) => {
+  const sellerObjectId = new mongoose.Types.ObjectId(sellerId);
+  const postIds = await Post.find({ author: sellerObjectId }).distinct("_id");
+  return {
+    $or: [
+      { seller: sellerObjectId },
+      { seller: { $exists: false }, "items.productId": { $in: postIds } }
+    ]
+  };
+};
+
+// Load one of the seller's orders, or fail with 404/403
+const findSellerOrder = async (orderId, sellerId) => {
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw createError(404, "Order not found");
+  }
+
+  if (order.seller) {
+    if (order.seller.toString() !== sellerId.toString()) {
+      throw createError(403, "You can only manage orders for your own food");
+    }
+    return order;
+  }
+
+  const ownsItems = await Post.exists({
+    _id: { $in: order.items.map((item) => item.productId) },
+    author: sellerId
+  });
+  if (!ownsItems) {
+    throw createError(403, "You can only manage orders for your own food");
+  }
+  return order;
+};
+
+const parsePrepTime = (value, required = false) => {
+  if (value === undefined || value === null || value === "") {
+    if (required) {
+      throw createError(400, "Prep time is required");
+    }
+    return null;
+  }
+
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_PREP_TIME_MINUTES) {
+    throw createError(400, `Prep time must be between 1 and ${MAX_PREP_TIME_MINUTES} minutes`);
+  }
+  return minutes;
+};
+
+const setPrepTime = (order, minutes) => {
+  order.prepTimeMinutes = minutes;
+  order.estimatedReadyTime = new Date(Date.now() + minutes * 60 * 1000);
+};
+
+// Send the customer a notification about a seller update.
+// Status changes themselves are broadcast by the order state machine.
+const notifyCustomer = async (req, order, message) => {
+  try {
+    await createNotification(req.user.id, order.user, "order", message, null, null, order._id);
+
+    const customerSocketId = getReceiverSocketId(order.user.toString());
+    if (customerSocketId) {
+      io.to(customerSocketId).emit("newNotification", {
+        type: "order",
+        sender: {
+          _id: req.user.id,
+          username: req.user.username,
+          profilePicture: req.user.profilePicture
+        },
+        recipient: order.user,
+        order: {
+          _id: order._id,
+          status: order.status,
+          total: order.total
+        },
+        message,
+        createdAt: new Date().toISOString(),
+        read: false
+      });
+    }
+  } catch (notificationError) {
+    console.error("Failed to notify customer about seller update:", notificationError);
+    // The status change itself succeeded
+  }
+};
+
+// Seller: Get incoming orders for posts the user authored
+export const getSellerOrders = async (req, res, next) => {
+  try {
+    const { status = "active" } = req.query;
+    if (status !== "active" && status !== "all" && !ORDER_STATUSES.includes(status)) {
+      return next(createError(400, "Invalid status filter"));
+    }
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const sellerFilter = await buildSellerFilter(req.user.id);
+    const filter = { ...sellerFilter };
+    if (status === "active") {
+      filter.status = { $in: ACTIVE_STATUSES };
+    } else if (status !== "all") {
+      filter.status = status;
+    }
+
+    const [orders, total, statusCounts] = await Promise.all([
+      Order.find(filter)
+        // The kitchen reads the pickup code to the agent collecting the order
+        .select("+pickupLeg.code")
+        .populate("user", "username profilePicture")
+        .populate("items.productId", "caption image price")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Order.countDocuments(filter),
+      Order.aggregate([
+        { $match: sellerFilter },
+        { $group: { _id: "$status", count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const counts = statusCounts.reduce((acc, { _id, count }) => ({ ...acc, [_id]: count }), {});
+
+    return res.status(200).json({
+      success: true,
+      orders,
+      counts,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error("Error fetching seller orders:", error);
+    return next(createError(500, "Error fetching seller orders"));
+  }
+};
+
+// Seller: Confirm a new order
+export const confirmSellerOrder = async (req, res, next) => {
+  try {
+    const order = await findSellerOrder(req.params.id, req.user.id);
+    const prepTime = parsePrepTime(req.body.prepTimeMinutes);
+
+    await transitionOrder(order, "confirmed", {
+      roles: [ORDER_ROLES.SELLER],
+      actorId: req.user.id,
+      note: prepTime ? `Confirmed by the kitchen, ready in about ${prepTime} min` : "Confirmed by the kitchen",
+      apply: (order) => {
+        if (prepTime) {
+          setPrepTime(order, prepTime);
+        }
+      }
+    });
+
+    await notifyCustomer(req, order, `${req.user.username} confirmed your order`);
+
+    return res.status(200).json({
+      success: true,
+      message: "Order confirmed",
+      order
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return next(error);
+    }
+    console.error("Error confirming seller order:", error);
+    return next(createError(500, "Error confirming order"));
+  }
+};
+
+// Seller: Start preparing an order, or update the prep-time estimate while preparing
+export const startPreparingSellerOrder = async (req, res, next) => {
+  try {
+    const order = await findSellerOrder(req.params.id, req.user.id);
+    const prepTime = parsePrepTime(req.body.prepTimeMinutes, true);
+    const isUpdate = order.status === "preparing" || AWAITING_PICKUP_STATUSES.includes(order.status);
+
+    if (isUpdate) {
+      // Only the estimate changes, so there's no transition to make
+      setPrepTime(order, prepTime);
+      order.statusHistory.push({
+        status: order.status,
+        timestamp: new Date(),
+        note: `Prep time updated to ${prepTime} min`
+      });
+      await applyDeliveryEstimate(order);
+      await order.save();
+      broadcastOrderStatus(order);
+    } else {
+      await transitionOrder(order, "preparing", {
+        roles: [ORDER_ROLES.SELLER],
+        actorId: req.user.id,
+        note: `Kitchen started preparing, ready in about ${prepTime} min`,
+        apply: (order) => setPrepTime(order, prepTime)
+      });
+    }
+
+    await notifyCustomer(
+      req,
+      order,
+      isUpdate
+        ? `Your order from ${req.user.username} will now be ready in about ${prepTime} min`
+        : `${req.user.username} is preparing your order, ready in about ${prepTime} min`
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: isUpdate ? "Prep time updated" : "Order marked as preparing",
+      order
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return next(error);
+    }
+    console.error("Error marking seller order as preparing:", error);
+    return next(createError(500, "Error updating order"));
+  }
+};
+
+// Seller: Reject an order before it's picked up
+export const rejectSellerOrder = async (req, res, next) => {
+  try {
+    const order = await findSellerOrder(req.params.id, req.user.id);
+    const reason = (req.body.reason || "").trim();
+
+    // Cancelling puts the food back on sale and refunds paid orders
+    await transitionOrder(order, "cancelled", {
+      roles: [ORDER_ROLES.SELLER],
+      actorId: req.user.id,
+      note: reason ? `Rejected by the kitchen: ${reason}` : "Rejected by the kitchen"
+    });
+
+    await notifyCustomer(
+      req,
+      order,
+      reason
+        ? `${req.user.username} couldn't take your order: ${reason}`
+        : `${req.user.username} couldn't take your order`
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Order rejected",
+      order
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return next(error);
+    }
+    console.error("Error rejecting seller order:", error);
+    return next(createError(500, "Error rejecting order"));
+  }
+};
+
+// Seller: Get the scheduled-order settings for the user's kitchen
+export const getSellerSlotSettings = async (req, res, next) => {
+  try {
+    const seller = await User.findById(req.user.id).select("slotSettings");
+    if (!seller) {
+      return next(createError(404, "User not found"));
+    }
+
+    return res.status(200).json({
+      success: true,
+      settings: getSlotSettings(seller),
+      slotMinutes: schedulingConfig.slotMinutes
+    });
+  } catch (error) {
+    console.error("Error fetching slot settings:", error);
+    return next(createError(500, "Error fetching slot settings"));
+  }
+};
+
+// Seller: Change how many scheduled orders the kitchen takes per slot, and when
+export const updateSellerSlotSettings = async (req, res, next) => {
+  try {
+    const seller = await User.findById(req.user.id).select("slotSettings");
+    if (!seller) {
+      return next(createError(404, "User not found"));
+    }
+
+    const settings = { ...getSlotSettings(seller) };
+    const { enabled, capacityPerSlot, openTime, closeTime } = req.body;
+
+    if (enabled !== undefined) {
+      settings.enabled = Boolean(enabled);
+    }
+    if (capacityPerSlot !== undefined) {
+      const capacity = Number(capacityPerSlot);
+      if (!Number.isInteger(capacity) || capacity < 0 || capacity > schedulingConfig.maxCapacityPerSlot) {
+        return next(createError(400, `Capacity must be between 0 and ${schedulingConfig.maxCapacityPerSlot} orders`));
+      }
+      settings.capacityPerSlot = capacity;
+    }
+    for (const [field, value] of [["openTime", openTime], ["closeTime", closeTime]]) {
+      if (value !== undefined) {
+        if (!isTimeOfDay(value)) {
+          return next(createError(400, "Opening hours must be in HH:mm format"));
+        }
+        settings[field] = value;
+      }
+    }
+    if (settings.openTime >= settings.closeTime) {
+      return next(createError(400, "Closing time must be after opening time"));
+    }
+
+    // Places already booked are kept; a lower capacity only affects new orders
+    seller.slotSettings = settings;
+    await seller.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Slot settings saved",
+      settings,
+      slotMinutes: schedulingConfig.slotMinutes
+    });
+  } catch (error) {
+    console.error("Error updating slot settings:", error);
+    return next(createError(500, "Error updating slot settings"));
+  }
+};
@@ -0,0 +1,172 @@
+import mongoose from "mongoose";
+import ServiceZone from "../models/serviceZone.model.js";
+import DeliveryAgent from "../models/deliveryAgent.model.js";
+import createError from "../utils/error.js";
+import { normalizeZoneArea } from "../utils/serviceZones.js";
+
+// Pick and validate the editable zone fields from a request body
+const buildZoneData = (body, isUpdate = false) => {
+  const data = {};
+
+  if (body.name !== undefined) {
+    data.name = typeof body.name === "string" ? body.name.trim() : "";
+    if (!data.name || data.name.length > 60) {
+      throw createError(400, "Zone name must be 1-60 characters");
+    }
+  } else if (!isUpdate) {
+    throw createError(400, "Zone name is required");
+  }
+
+  if (body.area !== undefined) {
+    data.area = normalizeZoneArea(body.area);
+  } else if (!isUpdate) {
+    throw createError(400, "Zone area is required");
+  }
+
+  // A blank fee falls back to the standard one for that method
+  if (body.deliveryFees !== undefined) {
+    data.deliveryFees = {};
+    for (const method of ["standard", "express"]) {
+      const fee = body.deliveryFees?.[method];
+      if (fee === undefined || fee === null || fee === "") {
+        data.deliveryFees[method] = null;
+        continue;
+      }
+      data.deliveryFees[method] = Number(fee);
+      if (!Number.isFinite(data.deliveryFees[method]) || data.deliveryFees[method] < 0) {
+        throw createError(400, `The ${method} delivery fee must be a positive amount`);
+      }
+    }
+  }
+
+  if (body.minOrderValue !== undefined) {
+    data.minOrderValue = Number(body.minOrderValue || 0);
+    if (!Number.isFinite(data.minOrderValue) || data.minOrderValue < 0) {
+      throw createError(400, "Minimum order value must be a positive amount");
+    }
+  }
+
+  if (body.isActive !== undefined) data.isActive = Boolean(body.isActive);
+
+  return data;
+};
+
+// Duplicate names and self-intersecting outlines come back from MongoDB as write errors
+const toZoneWriteError = (error) => {
+  if (error.code === 11000) {
+    return createError(400, "A zone with this name already exists");
+  }
+  if (error.code === 16755) {
+    return createError(400, "The zone outline can't cross itself");
+  }
+  return null;
+};
+
+// Get the zones in service, for agents picking where they work
+export const getActiveZones = async (req, res, next) => {
+  try {
+    const zones = await ServiceZone.find({ isActive: true }).select("name area").sort({ name: 1 });
+
+    return res.status(200).json({
+      success: true,
+      count: zones.length,
+      zones
+    });
+  } catch (error) {
+    console.error("Error fetching service zones:", error);
+    return next(createError(500, "Error fetching service zones"));
+  }
+};
+
+// Admin: Get every zone with the number of agents working in it
+export const getAllZones = async (req, res, next) => {
+  try {
+    const [zones, agentCounts] = await Promise.all([
+      ServiceZone.find().sort({ name: 1 }),
+      DeliveryAgent.aggregate([
+        { $unwind: "$zones" },
+        { $group: { _id: "$zones", count: { $sum: 1 } } }
+      ])
+    ]);
+    const countById = new Map(agentCounts.map(row => [row._id.toString(), row.count]));
+
+    return res.status(200).json({
+      success: true,
+      count: zones.length,
+      zones: zones.map(zone => ({ ...zone.toObject(), agentCount: countById.get(zone._id.toString()) || 0 }))
+    });
+  } catch (error) {
+    console.error("Error fetching service zones:", error);
+    return next(createError(500, "Error fetching service zones"));
+  }
+};
+
+// Admin: Create a zone
+export const createZone = async (req, res, next) => {
+  try {
+    const data = buildZoneData(req.body);
+    const zone = await ServiceZone.create({ ...data, createdBy: req.user.id });
+
+    return res.status(201).json({
+      success: true,
+      message: "Zone created successfully",
+      zone
+    });
+  } catch (error) {
+    console.error("Error creating service zone:", error);
+    if (error.statusCode) {
+      return next(error);
+    }
+    return next(toZoneWriteError(error) || createError(500, "Error creating service zone"));
+  }
+};
+
+// Admin: Update a zone's name, outline, fees or whether it's in service
+export const updateZone = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return next(createError(400, "Invalid zone ID"));
+    }
+    const data = buildZoneData(req.body, true);
+
+    const zone = await ServiceZone.findByIdAndUpdate(req.params.id, { $set: data }, { new: true, runValidators: true });
+    if (!zone) {
+      return next(createError(404, "Zone not found"));
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Zone updated successfully",
+      zone
+    });
+  } catch (error) {
+    console.error("Error updating service zone:", error);
+    if (error.statusCode) {
+      return next(error);
+    }
+    return next(toZoneWriteError(error) || createError(500, "Error updating service zone"));
+  }
+};
+
+// Admin: Delete a zone and take it off every agent who worked in it
+export const deleteZone = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return next(createError(400, "Invalid zone ID"));
+    }
+
+    const zone = await ServiceZone.findByIdAndDelete(req.params.id);
+    if (!zone) {
+      return next(createError(404, "Zone not found"));
+    }
+    await DeliveryAgent.updateMany({ zones: zone._id }, { $pull: { zones: zone._id } });
+
+    return res.status(200).json({
+      success: true,
+      message: "Zone deleted successfully"
+    });
+  } catch (error) {
+    console.error("Error deleting service zone:", error);
+    return next(createError(500, "Error deleting service zone"));
+  }
+};
@@ -15,6 +15,8 @@ import {
   setupChangeStreams,
   closeChangeStreams,
 } from "./utils/changeStreams.js";
+import { startDispatcher, stopDispatcher } from "./utils/dispatcher.js";
+import { startPaymentSweep, stopPaymentSweep } from "./utils/payments.js";
 import env from "./config/environment.js";
 import userRoute from "./routes/user.route.js";
 import postRoute from "./routes/post.route.js";
@@ -24,7 +26,13 @@ import notificationRoute from "./routes/notification.route.js";
 import shareRoute from "./routes/share.route.js";
 import orderRoute from "./routes/order.route.js";
 import categoryRoute from "./routes/category.route.js";
+import promoCodeRoute from "./routes/promoCode.route.js";
+import refundRoute from "./routes/refund.route.js";
+import paymentRoute from "./routes/payment.route.js";
 import deliveryAgentRoute from "./routes/deliveryAgent.route.js";
+import earningsRoute from "./routes/earnings.route.js";
+import serviceZoneRoute from "./routes/serviceZone.route.js";
+import menuRoute from "./routes/menu.route.js";
 import testRoute from "./routes/test.route.js";
 import authDebugRoute from "./routes/authDebug.route.js";
 import diagnosticsRoute from "./routes/diagnostics.route.js";
@@ -73,7 +81,14 @@ app.use((req, res, next) => {
 // Make io available throughout the app
 app.set("io", io);
 
-app.use(express.json());
+// Keep the raw body of payment webhooks, their signatures are computed over it
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith("/api/v1/payments/webhooks")) {
+      req.rawBody = buf;
+    }
+  }
+}));
 
 // Enhanced cookie parser configuration with production settings
 app.use(cookieParser(process.env.COOKIE_SECRET || process.env.SECRET_KEY || 'food-delivery-secret'));
@@ -104,7 +119,13 @@ app.use("/api/v1/notifications", notificationRoute);
 app.use("/api/v1/share", shareRoute);
 app.use("/api/v1/orders", orderRoute);
 app.use("/api/v1/category", categoryRoute);
+app.use("/api/v1/promo-codes", promoCodeRoute);
+app.use("/api/v1/refunds", refundRoute);
+app.use("/api/v1/payments", paymentRoute);
 app.use("/api/v1/delivery", deliveryAgentRoute);
+app.use("/api/v1/earnings", earningsRoute);
+app.use("/api/v1/zones", serviceZoneRoute);
+app.use("/api/v1/menu", menuRoute);
 app.use("/api/v1/test", testRoute);
 app.use("/api/v1/auth-debug", authDebugRoute);
 app.use("/api/v1/diagnostics", diagnosticsRoute);
@@ -196,6 +217,12 @@ server.listen(PORT, async () => {
 
   // Set up MongoDB change streams for real-time updates
   await setupChangeStreams();
+
+  // Offer confirmed orders to delivery agents
+  startDispatcher();
+
+  // Cancel orders that weren't paid in time
+  startPaymentSweep();
 });
 
 // Graceful shutdown handling
@@ -208,6 +235,8 @@ const gracefulShutdown = async (signal) => {
     // Close change streams first
     console.log("Closing change streams...");
     await closeChangeStreams();
+    stopDispatcher();
+    stopPaymentSweep();
 
     // Create a promise that resolves when the server closes
     const closeServer = () => {
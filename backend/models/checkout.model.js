@@ -0,0 +1,77 @@
+import mongoose from "mongoose";
+
+// A customer's checkout. Carts with items from several kitchens are split into
+// one Order per seller; the checkout ties them together and keeps the totals
+// the customer actually paid.
+const checkoutSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    orders: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+      },
+    ],
+    deliveryAddress: {
+      type: String,
+    },
+    deliveryMethod: {
+      type: String,
+      enum: ["standard", "express", "pickup"],
+      default: "standard",
+    },
+    // Time window the customer asked for; orders without one are wanted as soon as possible
+    scheduledSlot: {
+      start: {
+        type: Date,
+      },
+      end: {
+        type: Date,
+      },
+    },
+    paymentMethod: {
+      type: String,
+      enum: ["cash", "card", "wallet", "solana"],
+      default: "cash",
+    },
+    subtotal: {
+      type: Number,
+      required: true,
+    },
+    tax: {
+      type: Number,
+      required: true,
+    },
+    deliveryFee: {
+      type: Number,
+      required: true,
+    },
+    discount: {
+      type: Number,
+      default: 0,
+    },
+    // Extra the customer added for their delivery agent (see utils/earnings.js)
+    tip: {
+      type: Number,
+      default: 0,
+    },
+    total: {
+      type: Number,
+      required: true,
+    },
+    promoCodeApplied: {
+      type: String,
+    },
+    promoCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PromoCode",
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("Checkout", checkoutSchema);
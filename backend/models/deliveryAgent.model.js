@@ -37,6 +37,30 @@ const deliveryAgentSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "Order",
     }],
+    // Weekly working hours, "HH:mm" in the server's time zone. A shift whose
+    // end is before its start runs past midnight. No shifts means any time.
+    shifts: [{
+      _id: false,
+      day: {
+        type: Number,
+        min: 0,
+        max: 6,
+        required: true,
+      },
+      start: {
+        type: String,
+        required: true,
+      },
+      end: {
+        type: String,
+        required: true,
+      },
+    }],
+    // Service zones the agent picks up in. No zones means anywhere.
+    zones: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ServiceZone",
+    }],
     rejectedOrders: [{
       type: mongoose.Schema.Types.ObjectId,
       ref: "Order",
@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+
+// What an agent earned for one delivery. Entries stay pending until a payout
+// run settles them (see DeliveryPayout).
+const deliveryEarningSchema = new mongoose.Schema(
+  {
+    agent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DeliveryAgent",
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+      unique: true,
+    },
+    baseFee: {
+      type: Number,
+      required: true,
+    },
+    // Road kilometres paid for, and what they came to
+    distanceKm: {
+      type: Number,
+      default: 0,
+    },
+    distanceFee: {
+      type: Number,
+      default: 0,
+    },
+    // Top-up to the minimum per delivery
+    minimumTopUp: {
+      type: Number,
+      default: 0,
+    },
+    tip: {
+      type: Number,
+      default: 0,
+    },
+    total: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "settled"],
+      default: "pending",
+    },
+    payout: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DeliveryPayout",
+    },
+    earnedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    settledAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+deliveryEarningSchema.index({ agent: 1, earnedAt: -1 });
+deliveryEarningSchema.index({ status: 1, earnedAt: 1 });
+deliveryEarningSchema.index({ payout: 1 });
+
+export default mongoose.model("DeliveryEarning", deliveryEarningSchema);
@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+// An admin's payout run: every pending earning up to periodEnd, settled at once
+const deliveryPayoutSchema = new mongoose.Schema(
+  {
+    periodEnd: {
+      type: Date,
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // What each agent is owed in this run
+    agents: [
+      {
+        agent: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "DeliveryAgent",
+          required: true,
+        },
+        deliveries: Number,
+        tips: Number,
+        total: Number,
+      },
+    ],
+    entryCount: {
+      type: Number,
+      default: 0,
+    },
+    total: {
+      type: Number,
+      default: 0,
+    },
+    currency: {
+      type: String,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("DeliveryPayout", deliveryPayoutSchema);
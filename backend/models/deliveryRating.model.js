@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+
+// Things customers can call out about a delivery, good and bad
+const DELIVERY_RATING_TAGS = [
+  "on_time",
+  "friendly",
+  "careful_handling",
+  "followed_instructions",
+  "late",
+  "rude",
+  "damaged_packaging",
+  "hard_to_reach"
+];
+
+// A customer's rating of the agent who delivered one of their orders.
+// Each order can be rated once; the agent keeps a running average.
+const deliveryRatingSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+      unique: true,
+    },
+    agent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DeliveryAgent",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5,
+    },
+    tags: [
+      {
+        type: String,
+        enum: DELIVERY_RATING_TAGS,
+      },
+    ],
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+  },
+  { timestamps: true }
+);
+
+deliveryRatingSchema.index({ agent: 1, createdAt: -1 });
+
+export default mongoose.model("DeliveryRating", deliveryRatingSchema);
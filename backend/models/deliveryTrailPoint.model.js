@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+import trackingConfig from "../config/tracking.js";
+
+// One position of a delivery agent while they had an order. An order's points
+// in time order make up the route it took (see utils/locationTrail.js).
+const deliveryTrailPointSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+    required: true,
+  },
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "DeliveryAgent",
+    required: true,
+  },
+  location: {
+    type: {
+      type: String,
+      default: "Point",
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: true,
+    },
+  },
+  // Order status when the position came in
+  status: {
+    type: String,
+  },
+  // Reported GPS accuracy, in metres
+  accuracy: {
+    type: Number,
+  },
+  // "api" for the location endpoint. "socket" is only on points kept from the
+  // unauthenticated socket before trails were limited to the endpoint.
+  source: {
+    type: String,
+    enum: ["api", "socket"],
+    default: "api",
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+deliveryTrailPointSchema.index({ order: 1, recordedAt: 1 });
+deliveryTrailPointSchema.index(
+  { recordedAt: 1 },
+  { expireAfterSeconds: trackingConfig.retentionDays * 24 * 60 * 60 }
+);
+
+export default mongoose.model("DeliveryTrailPoint", deliveryTrailPointSchema);
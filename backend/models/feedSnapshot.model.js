@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+import feedConfig from "../config/feed.js";
+
+// The order the home feed ranked its posts in for one viewer. Later pages are
+// read from it, so likes or comments arriving while the viewer scrolls can't
+// move a post onto a page it was already shown on or past the one it was due.
+const feedSnapshotSchema = new mongoose.Schema({
+  viewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // Ranked post ids, best first
+  posts: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+    },
+  ],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+feedSnapshotSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: feedConfig.snapshotTtlMinutes * 60 }
+);
+
+export default mongoose.model("FeedSnapshot", feedSnapshotSchema);
@@ -7,11 +7,27 @@ const orderSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Checkout this order was split from (one order per seller)
+    checkout: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Checkout",
+    },
+    // Author of the posts in this order
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
     items: [
       {
+        // A post (fresh batch) or a menu item (Product)
+        itemType: {
+          type: String,
+          enum: ["Post", "Product"],
+          default: "Post",
+        },
         productId: {
           type: mongoose.Schema.Types.ObjectId,
-          ref: "Post",
+          refPath: "items.itemType",
           required: true,
         },
         name: {
@@ -59,7 +75,7 @@ const orderSchema = new mongoose.Schema(
     },
     paymentMethod: {
       type: String,
-      enum: ["cash", "card", "wallet"],
+      enum: ["cash", "card", "wallet", "solana"],
       default: "cash",
     },
     deliveryInstructions: {
@@ -69,6 +85,15 @@ const orderSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Time window the customer asked for; orders without one are wanted as soon as possible
+    scheduledSlot: {
+      start: {
+        type: Date,
+      },
+      end: {
+        type: Date,
+      },
+    },
     subtotal: {
       type: Number,
       required: true,
@@ -85,6 +110,11 @@ const orderSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Extra the customer added for their delivery agent (see utils/earnings.js)
+    tip: {
+      type: Number,
+      default: 0,
+    },
     total: {
       type: Number,
       required: true,
@@ -92,20 +122,113 @@ const orderSchema = new mongoose.Schema(
     promoCodeApplied: {
       type: String,
     },
+    promoCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PromoCode",
+    },
+    // Whether the ordered quantities are currently held back from the posts' stock
+    stockReserved: {
+      type: Boolean,
+      default: false,
+    },
+    // Whether the order currently holds a place in its seller's slot (see SlotBooking)
+    slotReserved: {
+      type: Boolean,
+      default: false,
+    },
     status: {
       type: String,
-      enum: ["processing", "confirmed", "preparing", "out_for_delivery", "delivered", "cancelled"],
+      enum: [
+        "processing",
+        "confirmed",
+        "preparing",
+        "agent_assigned",
+        "arrived_at_pickup",
+        "picked_up",
+        "out_for_delivery",
+        "delivered",
+        "cancelled",
+      ],
       default: "processing",
     },
     paymentStatus: {
       type: String,
-      enum: ["pending", "paid", "failed", "refunded"],
+      enum: ["pending", "paid", "failed", "partially_refunded", "refunded"],
       default: "pending",
     },
+    // Sum of approved refunds (see Refund)
+    refundedAmount: {
+      type: Number,
+      default: 0,
+    },
     deliveryAgent: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "DeliveryAgent",
     },
+    // Automatic offers of the order to delivery agents (see utils/dispatcher.js)
+    dispatch: {
+      status: {
+        type: String,
+        enum: ["idle", "offered", "waiting", "assigned", "cancelled"],
+        default: "idle",
+      },
+      // Agent holding the current offer, and when it runs out
+      currentAgent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "DeliveryAgent",
+      },
+      expiresAt: {
+        type: Date,
+      },
+      // When to try again after every nearby agent passed
+      nextAttemptAt: {
+        type: Date,
+      },
+      // Goes up each time the order is offered around again; agents who let
+      // an offer expire are only skipped for the rest of their round
+      round: {
+        type: Number,
+        default: 0,
+      },
+      // Every offer made, in order
+      offers: [
+        {
+          agent: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "DeliveryAgent",
+            required: true,
+          },
+          round: Number,
+          score: Number,
+          // Metres from the pickup point when offered
+          distance: Number,
+          status: {
+            type: String,
+            enum: ["pending", "accepted", "rejected", "expired", "withdrawn"],
+            default: "pending",
+          },
+          offeredAt: {
+            type: Date,
+            default: Date.now,
+          },
+          expiresAt: Date,
+          respondedAt: Date,
+          // Set for offers and assignments made by an admin
+          assignedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+          },
+        },
+      ],
+    },
+    // Seller's estimate of how long the food takes to prepare
+    prepTimeMinutes: {
+      type: Number,
+      min: 0,
+    },
+    estimatedReadyTime: {
+      type: Date,
+    },
     estimatedDeliveryTime: {
       type: Date,
     },
@@ -155,6 +278,60 @@ const orderSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Delivery orders: the agent's trip to the kitchen (see utils/pickup.js)
+    pickupLeg: {
+      // Read to the agent by the kitchen at handover; only the kitchen gets to see it
+      code: {
+        type: String,
+        select: false,
+      },
+      arrivedAt: Date,
+      pickedUpAt: Date,
+      proof: {
+        method: {
+          type: String,
+          enum: ["code", "geofence", "admin"],
+        },
+        // Agent's distance from the kitchen when the pickup was confirmed, in metres
+        distance: Number,
+        confirmedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+      },
+    },
+    // Delivery orders: how the handover to the customer was confirmed (see utils/deliveryProof.js)
+    deliveryProof: {
+      // The customer reads this to the agent at the door; only the customer gets to see it
+      otp: {
+        type: String,
+        select: false,
+      },
+      // Wrong codes entered by the agent so far
+      otpAttempts: Number,
+      // "none" is for orders placed before delivery codes existed
+      method: {
+        type: String,
+        enum: ["otp", "admin", "none"],
+      },
+      // Doorstep photo, mostly for contactless drops
+      photo: {
+        url: String,
+        publicId: String,
+      },
+      // Agent's distance from the delivery address at handover, in metres
+      distance: Number,
+      confirmedAt: Date,
+      confirmedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    },
+    // The customer's rating of the delivery agent, once they've given one
+    deliveryRating: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DeliveryRating",
+    },
   },
   { timestamps: true }
 );
@@ -162,5 +339,9 @@ const orderSchema = new mongoose.Schema(
 // Create geospatial indexes for location-based queries
 orderSchema.index({ deliveryLocation: "2dsphere" });
 orderSchema.index({ pickupLocation: "2dsphere" });
+orderSchema.index({ "scheduledSlot.start": 1 });
+orderSchema.index({ "dispatch.status": 1, status: 1 });
+// Unpaid orders past their payment deadline (see utils/paymentDeadline.js)
+orderSchema.index({ paymentStatus: 1, createdAt: 1 });
 
 export default mongoose.model("Order", orderSchema); 
\ No newline at end of file
@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+
+// A payment taken through a payment provider for one or more orders. The
+// provider's reference (a Solana transaction signature, a card gateway's
+// payment intent id, ...) is unique, so the same payment can never be
+// applied twice.
+const paymentTransactionSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      enum: ["cash", "solana", "mock_card"],
+      required: true,
+    },
+    reference: {
+      type: String,
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    orders: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+      },
+    ],
+    // Order or checkout id the customer paid for (the memo for Solana payments)
+    orderReference: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending",
+    },
+    // Amount charged, in INR
+    amount: {
+      type: Number,
+      required: true,
+    },
+    // Amount received, in the provider's smallest unit (lamports for Solana)
+    receivedAmount: {
+      type: Number,
+    },
+    payer: {
+      type: String,
+    },
+    failureReason: {
+      type: String,
+    },
+    // Webhook events already applied, so redelivered events are ignored
+    processedEvents: [String],
+    refunds: [
+      {
+        refund: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Refund",
+        },
+        amount: Number,
+        // "succeeded" when the provider paid it back, "manual" when staff have to
+        status: {
+          type: String,
+          enum: ["succeeded", "manual", "failed"],
+        },
+        reference: String,
+        note: String,
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+paymentTransactionSchema.index({ provider: 1, reference: 1 }, { unique: true });
+paymentTransactionSchema.index({ orders: 1 });
+
+export default mongoose.model("PaymentTransaction", paymentTransactionSchema);
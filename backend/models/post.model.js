@@ -5,6 +5,7 @@ const postSchema = new mongoose.Schema({
     type: String,
     default: "",
   },
+  // Cover of the post: the first item of media (see utils/postMedia.js)
   mediaType: {
     type: String,
     enum: ["image", "video"],
@@ -21,6 +22,21 @@ const postSchema = new mongoose.Schema({
     type: String,
     default: "",
   },
+  // Photos and videos in the order they're shown
+  media: [
+    {
+      _id: false,
+      mediaType: {
+        type: String,
+        enum: ["image", "video"],
+        required: true,
+      },
+      url: {
+        type: String,
+        required: true,
+      },
+    },
+  ],
   author: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
@@ -100,10 +116,46 @@ const postSchema = new mongoose.Schema({
     enum: ["mild", "medium", "hot", "none"],
     default: "none"
   },
+  // Menu item this post is a fresh batch of, if any
+  menuItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    default: null
+  },
+  // Edits the author has made since posting, oldest first. Media changes
+  // record the list of media types, since replaced files are removed from Cloudinary.
+  editHistory: [
+    {
+      editedAt: {
+        type: Date,
+        default: Date.now,
+      },
+      changes: [
+        {
+          _id: false,
+          field: {
+            type: String,
+            required: true,
+          },
+          from: mongoose.Schema.Types.Mixed,
+          to: mongoose.Schema.Types.Mixed,
+        },
+      ],
+    },
+  ],
+  editedAt: {
+    type: Date,
+    default: null,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
-    expires: 10800, // 3 hours in seconds (only effective if TTL removal needed)
+  },
+  // When the post stops being orderable and leaves the feed (see utils/postExpiry.js).
+  // Expired posts are kept so orders, shares and bookmarks still resolve.
+  expiresAt: {
+    type: Date,
+    index: true,
   },
 });
 
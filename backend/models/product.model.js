@@ -9,7 +9,7 @@ const productSchema = new mongoose.Schema(
     },
     description: {
       type: String,
-      required: [true, "Product description is required"],
+      default: "",
       trim: true,
     },
     price: {
@@ -19,12 +19,51 @@ const productSchema = new mongoose.Schema(
     },
     image: {
       type: String,
-      required: [true, "Product image is required"],
+      default: "",
     },
     category: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Category",
-      required: [true, "Product category is required"],
+    },
+    // Seller whose menu this item is on
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+    // Meal category, the same ones posts use
+    menuCategory: {
+      type: String,
+      enum: ["Breakfast", "Lunch", "Dinner", "Snacks", "Dessert", "Drinks", "FastFood", "Other", "All"],
+      default: "Other",
+    },
+    vegetarian: {
+      type: Boolean,
+      default: false,
+    },
+    // Weekly hours the item can be ordered, in the server's time zone. A window
+    // whose end is before its start runs past midnight. No windows means any time.
+    availability: [{
+      _id: false,
+      day: {
+        type: Number,
+        min: 0,
+        max: 6,
+        required: true,
+      },
+      start: {
+        type: String,
+        required: true,
+      },
+      end: {
+        type: String,
+        required: true,
+      },
+    }],
+    // Archived items are off the menu but kept so past orders can still show them
+    isArchived: {
+      type: Boolean,
+      default: false,
     },
     inStock: {
       type: Boolean,
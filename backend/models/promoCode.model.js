@@ -0,0 +1,109 @@
+import mongoose from "mongoose";
+
+const promoCodeSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Promo code is required"],
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    discountType: {
+      type: String,
+      enum: ["percent", "flat", "free_delivery"],
+      required: [true, "Discount type is required"],
+    },
+    // Percentage (0-100) for percent codes, currency amount for flat codes
+    value: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    minOrderValue: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Upper bound on the discount amount (0 means no cap)
+    maxDiscount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Total redemptions allowed across all users (0 means unlimited)
+    usageLimit: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Redemptions allowed per user (0 means unlimited)
+    perUserLimit: {
+      type: Number,
+      default: 1,
+      min: 0,
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+    },
+    validFrom: {
+      type: Date,
+      default: Date.now,
+    },
+    validUntil: {
+      type: Date,
+    },
+    // Only items in these post categories count towards the discount (empty = all)
+    categories: [
+      {
+        type: String,
+        enum: ["Breakfast", "Lunch", "Dinner", "Snacks", "Dessert", "Drinks", "FastFood", "Other", "All"],
+      },
+    ],
+    // Only items from these sellers (post authors) count towards the discount (empty = all)
+    sellers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    redemptions: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        order: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Order",
+        },
+        discount: {
+          type: Number,
+          default: 0,
+        },
+        redeemedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+export const PromoCode = mongoose.model("PromoCode", promoCodeSchema);
@@ -0,0 +1,120 @@
+import mongoose from "mongoose";
+
+// A refund of some or all of an order. Refunds start out pending and are
+// approved or rejected by an admin; every step is kept in the audit trail.
+const refundSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    // Customer the money goes back to
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    type: {
+      type: String,
+      enum: ["cancellation", "partial", "dispute"],
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Order lines being refunded
+    items: [
+      {
+        // _id of the line in order.items
+        itemId: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+        },
+        productId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Post",
+        },
+        name: String,
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+        amount: {
+          type: Number,
+          required: true,
+        },
+      },
+    ],
+    // Amount asked for, after any cancellation fee
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    cancellationFee: {
+      type: Number,
+      default: 0,
+    },
+    // Amount actually refunded once approved (admins can lower it)
+    approvedAmount: {
+      type: Number,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    // How the approved amount went back to the customer
+    payout: {
+      // "succeeded" when the payment provider sent it, "manual" when staff have to
+      status: {
+        type: String,
+        enum: ["succeeded", "manual", "failed"],
+      },
+      // Provider's id for the refund
+      reference: String,
+      // What staff need to do for manual payouts, or why it failed
+      note: String,
+    },
+    auditTrail: [
+      {
+        action: {
+          type: String,
+          enum: ["requested", "approved", "auto_approved", "rejected"],
+          required: true,
+        },
+        actor: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        amount: Number,
+        note: String,
+        timestamp: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+refundSchema.index({ order: 1, status: 1 });
+refundSchema.index({ status: 1, createdAt: 1 });
+
+export default mongoose.model("Refund", refundSchema);
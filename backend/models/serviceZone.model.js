@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+// An area the platform operates in, drawn by admins. Delivery agents pick
+// the zones they work in, and customers can only have orders delivered to
+// an address inside one.
+const serviceZoneSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Zone name is required"],
+      unique: true,
+      trim: true,
+    },
+    // GeoJSON Polygon or MultiPolygon, [longitude, latitude] positions
+    area: {
+      type: {
+        type: String,
+        enum: ["Polygon", "MultiPolygon"],
+        required: true,
+      },
+      coordinates: {
+        type: Array,
+        required: true,
+      },
+    },
+    // What delivering here costs per delivery method. Left empty, the
+    // standard fee from config/pricing.js applies.
+    deliveryFees: {
+      standard: {
+        type: Number,
+        min: 0,
+        default: null,
+      },
+      express: {
+        type: Number,
+        min: 0,
+        default: null,
+      },
+    },
+    // Smallest item subtotal that will be delivered here
+    minOrderValue: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+serviceZoneSchema.index({ area: "2dsphere" });
+
+export default mongoose.model("ServiceZone", serviceZoneSchema);
@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+// How many orders a seller has taken for one scheduled slot. Bookings are
+// counted atomically so a slot can't be sold past the seller's capacity.
+const slotBookingSchema = new mongoose.Schema(
+  {
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    start: {
+      type: Date,
+      required: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+slotBookingSchema.index({ seller: 1, start: 1 }, { unique: true });
+
+export default mongoose.model("SlotBooking", slotBookingSchema);
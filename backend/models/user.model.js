@@ -73,6 +73,23 @@ const userSchema = new mongoose.Schema(
         default: [0, 0],
       },
     },
+    // Scheduled order settings for the user's kitchen (see config/scheduling.js for defaults)
+    slotSettings: {
+      enabled: {
+        type: Boolean,
+        default: true,
+      },
+      capacityPerSlot: {
+        type: Number,
+        min: 0,
+      },
+      openTime: {
+        type: String,
+      },
+      closeTime: {
+        type: String,
+      },
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -2,18 +2,30 @@ import express from "express";
 import { verifyToken } from "../middlewares/verifyToken.js";
 import { verifyAdmin } from "../middlewares/verifyAdmin.js";
 import { verifyDeliveryAgent } from "../middlewares/verifyDeliveryAgent.js";
+import upload from "../middlewares/multer.js";
 import {
   registerAsDeliveryAgent,
   updateAvailability,
+  updateShifts,
+  updateZones,
   updateLocation,
   getNearbyOrders,
   acceptOrder,
   rejectOrder,
+  arriveAtPickup,
+  confirmPickup,
+  startDelivery,
   completeDelivery,
   getAgentProfile,
   verifyDeliveryAgent as adminVerifyAgent,
   getAllAgents,
-  getConfirmedOrders
+  rateDelivery,
+  getAgentRatings,
+  getConfirmedOrders,
+  getRoutePlan,
+  getOrderDispatch,
+  offerOrderToAgent,
+  redispatchOrderToNextAgent
 } from "../controllers/deliveryAgent.controller.js";
 
 const router = express.Router();
@@ -23,19 +35,32 @@ const router = express.Router();
 
 // User endpoints
 router.post("/register", verifyToken, registerAsDeliveryAgent);
+router.post("/rate/:orderId", verifyToken, rateDelivery);
 
 // Delivery agent endpoints
 router.put("/availability", verifyToken, verifyDeliveryAgent, updateAvailability);
+router.put("/shifts", verifyToken, verifyDeliveryAgent, updateShifts);
+router.put("/zones", verifyToken, verifyDeliveryAgent, updateZones);
 router.put("/location", verifyToken, verifyDeliveryAgent, updateLocation);
 router.get("/nearby-orders", verifyToken, verifyDeliveryAgent, getNearbyOrders);
 router.get("/confirmed-orders", verifyToken, verifyDeliveryAgent, getConfirmedOrders);
+router.get("/route", verifyToken, verifyDeliveryAgent, getRoutePlan);
 router.post("/accept/:orderId", verifyToken, verifyDeliveryAgent, acceptOrder);
 router.post("/reject/:orderId", verifyToken, verifyDeliveryAgent, rejectOrder);
-router.put("/complete/:orderId", verifyToken, verifyDeliveryAgent, completeDelivery);
+router.put("/arrived/:orderId", verifyToken, verifyDeliveryAgent, arriveAtPickup);
+router.put("/pickup/:orderId", verifyToken, verifyDeliveryAgent, confirmPickup);
+router.put("/depart/:orderId", verifyToken, verifyDeliveryAgent, startDelivery);
+router.put("/complete/:orderId", verifyToken, verifyDeliveryAgent, upload.single("photo"), completeDelivery);
 router.get("/profile", verifyToken, verifyDeliveryAgent, getAgentProfile);
 
 // Admin endpoints
 router.put("/admin/verify/:agentId", verifyToken, verifyAdmin, adminVerifyAgent);
 router.get("/admin/all", verifyToken, verifyAdmin, getAllAgents);
+router.get("/admin/agents/:agentId/ratings", verifyToken, verifyAdmin, getAgentRatings);
+
+// Admin: automatic dispatch
+router.get("/admin/dispatch/:orderId", verifyToken, verifyAdmin, getOrderDispatch);
+router.post("/admin/dispatch/:orderId/offer", verifyToken, verifyAdmin, offerOrderToAgent);
+router.post("/admin/dispatch/:orderId/next", verifyToken, verifyAdmin, redispatchOrderToNextAgent);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,29 @@
+import express from "express";
+import { verifyToken } from "../middlewares/verifyToken.js";
+import { verifyAdmin } from "../middlewares/verifyAdmin.js";
+import { verifyDeliveryAgent } from "../middlewares/verifyDeliveryAgent.js";
+import {
+  getMyEarnings,
+  getMyStatement,
+  getPayoutPreview,
+  createPayout,
+  getPayouts,
+  exportPayoutCsv
+} from "../controllers/earnings.controller.js";
+
+const router = express.Router();
+
+// Delivery agent endpoints
+// Get earnings balance and weekly statements
+router.get("/", verifyToken, verifyDeliveryAgent, getMyEarnings);
+
+// Get one week's statement
+router.get("/statements/:weekStart", verifyToken, verifyDeliveryAgent, getMyStatement);
+
+// Admin endpoints
+router.get("/admin/payouts/preview", verifyToken, verifyAdmin, getPayoutPreview);
+router.get("/admin/payouts", verifyToken, verifyAdmin, getPayouts);
+router.post("/admin/payouts", verifyToken, verifyAdmin, createPayout);
+router.get("/admin/payouts/:id/csv", verifyToken, verifyAdmin, exportPayoutCsv);
+
+export default router;
@@ -0,0 +1,23 @@
+import express from "express";
+import { verifyToken } from "../middlewares/verifyToken.js";
+import upload from "../middlewares/multer.js";
+import {
+  getMyMenu,
+  createMenuItem,
+  updateMenuItem,
+  deleteMenuItem,
+  getSellerMenu
+} from "../controllers/menu.controller.js";
+
+const router = express.Router();
+
+// Seller endpoints
+router.get("/mine", verifyToken, getMyMenu);
+router.post("/", verifyToken, upload.single("image"), createMenuItem);
+router.put("/:id", verifyToken, upload.single("image"), updateMenuItem);
+router.delete("/:id", verifyToken, deleteMenuItem);
+
+// Customer endpoints
+router.get("/seller/:sellerId", verifyToken, getSellerMenu);
+
+export default router;
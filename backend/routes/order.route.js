@@ -3,19 +3,32 @@ import { verifyToken } from "../middlewares/verifyToken.js";
 import { verifyAdmin } from "../middlewares/verifyAdmin.js";
 import { 
   createOrder, 
+  quoteOrder,
+  checkOrderServiceability,
+  getCartSlots,
   getUserOrders, 
   getOrderById, 
   cancelOrder, 
+  markPaymentFailed,
   reorder,
   getAllOrders,
   updateOrderStatus,
   getOrderStats,
   getOrderStatusHistory,
+  getOrderTrail,
   assignOrderAgent,
   verifyPickupCode,
   completePickup,
   getPickupCodeDebug
 } from "../controllers/order.controller.js";
+import {
+  getSellerOrders,
+  confirmSellerOrder,
+  startPreparingSellerOrder,
+  rejectSellerOrder,
+  getSellerSlotSettings,
+  updateSellerSlotSettings
+} from "../controllers/sellerOrder.controller.js";
 import isAuthenticated from "../middlewares/isAuthenticated.js";
 
 const router = express.Router();
@@ -24,15 +37,47 @@ const router = express.Router();
 // Create a new order
 router.post("/create", verifyToken, createOrder);
 
+// Get the server-side price breakdown for a cart
+router.post("/quote", verifyToken, quoteOrder);
+
+// Check that a cart can be delivered to a location (inside a service zone and above its minimum)
+router.post("/serviceability", verifyToken, checkOrderServiceability);
+
+// Get the scheduled delivery/pickup slots available for a cart
+router.post("/slots", verifyToken, getCartSlots);
+
 // Get all orders for the current user
 router.get("/user-orders", verifyToken, getUserOrders);
 
+// Seller endpoints (orders for posts the user authored)
+// Get incoming orders
+router.get("/seller/orders", verifyToken, getSellerOrders);
+
+// Confirm a new order
+router.put("/seller/:id/confirm", verifyToken, confirmSellerOrder);
+
+// Start preparing an order, or update its prep time
+router.put("/seller/:id/preparing", verifyToken, startPreparingSellerOrder);
+
+// Reject an order
+router.put("/seller/:id/reject", verifyToken, rejectSellerOrder);
+
+// Get or change how many scheduled orders the kitchen takes per slot
+router.get("/seller/slot-settings", verifyToken, getSellerSlotSettings);
+router.put("/seller/slot-settings", verifyToken, updateSellerSlotSettings);
+
 // Get a specific order by ID
 router.get("/:id", verifyToken, getOrderById);
 
+// Get the route the delivery agent took (customer, assigned agent or admin)
+router.get("/:id/trail", verifyToken, getOrderTrail);
+
 // Cancel an order
 router.put("/:id/cancel", verifyToken, cancelOrder);
 
+// Report a failed payment (cancels the order and releases its stock)
+router.put("/:id/payment-failed", verifyToken, markPaymentFailed);
+
 // Reorder (create a new order from previous order)
 router.post("/:id/reorder", verifyToken, reorder);
 
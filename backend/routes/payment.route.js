@@ -0,0 +1,33 @@
+import express from "express";
+import { verifyToken } from "../middlewares/verifyToken.js";
+import {
+  createPaymentIntent,
+  confirmPayment,
+  handlePaymentWebhook,
+  getPaymentStatus,
+  confirmMockCardPayment,
+  sendMockSolanaPayment
+} from "../controllers/payment.controller.js";
+
+const router = express.Router();
+
+// Start paying for an order with its payment method's provider
+router.post("/intent", verifyToken, createPaymentIntent);
+
+// Confirm a payment completed on the client (e.g. a Solana transaction)
+router.post("/confirm", verifyToken, confirmPayment);
+
+// Get where an order's payment stands
+router.get("/status/:orderId", verifyToken, getPaymentStatus);
+
+// Provider callbacks, authenticated by the provider's signature
+router.post("/webhooks/:provider", handlePaymentWebhook);
+
+// Local development
+// Pay a mock card gateway intent (authorized by its client secret)
+router.post("/mock-gateway/intents/:id/confirm", confirmMockCardPayment);
+
+// Send a payment on the local mock ledger (only when SOLANA_RPC_URL=mock)
+router.post("/solana/mock-transfer", verifyToken, sendMockSolanaPayment);
+
+export default router;
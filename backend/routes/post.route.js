@@ -4,8 +4,10 @@ import {
   addNewPost,
   bookMarkPost,
   deletePost,
+  editPost,
   dislikePost,
   getAllPost,
+  getFeed,
   getCommentsOfPost,
   getUserPost,
   likePost,
@@ -18,12 +20,14 @@ import {
 } from "../controllers/post.controller.js";
 import isAuthenticated from "../middlewares/isAuthenticated.js";
 import upload from "../middlewares/multer.js";
+import postConfig from "../config/posts.js";
 const router = express.Router();
 
 router
   .route("/addpost")
-  .post(isAuthenticated, upload.single("media"), addNewPost);
+  .post(isAuthenticated, upload.array("media", postConfig.maxMediaPerPost), addNewPost);
 router.route("/all").get(isAuthenticated, getAllPost);
+router.route("/feed").get(isAuthenticated, getFeed);
 router.route("/userpost/all").get(isAuthenticated, getUserPost);
 router.route("/:id").get(isAuthenticated, getSinglePost);
 router.route("/:id/like").get(isAuthenticated, likePost);
@@ -32,6 +36,9 @@ router.route("/:id/comment").post(isAuthenticated, addComment);
 router.route("/:id/comment/all").post(isAuthenticated, getCommentsOfPost);
 router.route("/:id/bookmark").get(isAuthenticated, bookMarkPost);
 router.route("/delete/:id").delete(isAuthenticated, deletePost);
+router
+  .route("/edit/:id")
+  .put(isAuthenticated, upload.array("media", postConfig.maxMediaPerPost), editPost);
 router.route("/nearby").get(isAuthenticated, findNearbyPosts);
 // Make search endpoint public so it works without authentication
 router.get("/search", searchPosts);
@@ -0,0 +1,24 @@
+import express from "express";
+import { verifyToken } from "../middlewares/verifyToken.js";
+import { verifyAdmin } from "../middlewares/verifyAdmin.js";
+import {
+  validatePromoCode,
+  getAllPromoCodes,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode
+} from "../controllers/promoCode.controller.js";
+
+const router = express.Router();
+
+// User endpoints
+// Validate a promo code against the current cart
+router.post("/validate", verifyToken, validatePromoCode);
+
+// Admin endpoints
+router.get("/admin/all", verifyToken, verifyAdmin, getAllPromoCodes);
+router.post("/admin/create", verifyToken, verifyAdmin, createPromoCode);
+router.put("/admin/:id", verifyToken, verifyAdmin, updatePromoCode);
+router.delete("/admin/:id", verifyToken, verifyAdmin, deletePromoCode);
+
+export default router;
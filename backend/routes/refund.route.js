@@ -0,0 +1,30 @@
+import express from "express";
+import { verifyToken } from "../middlewares/verifyToken.js";
+import { verifyAdmin } from "../middlewares/verifyAdmin.js";
+import {
+  getCancellationQuoteForOrder,
+  createRefundRequest,
+  getOrderRefunds,
+  getAllRefunds,
+  approveRefundRequest,
+  rejectRefundRequest
+} from "../controllers/refund.controller.js";
+
+const router = express.Router();
+
+// User endpoints
+// Get the fee and refund for cancelling an order now
+router.get("/cancellation-quote/:orderId", verifyToken, getCancellationQuoteForOrder);
+
+// Ask for a partial refund or dispute a delivery
+router.post("/request", verifyToken, createRefundRequest);
+
+// Get the refunds for an order
+router.get("/order/:orderId", verifyToken, getOrderRefunds);
+
+// Admin endpoints
+router.get("/admin/all", verifyToken, verifyAdmin, getAllRefunds);
+router.put("/admin/:id/approve", verifyToken, verifyAdmin, approveRefundRequest);
+router.put("/admin/:id/reject", verifyToken, verifyAdmin, rejectRefundRequest);
+
+export default router;
@@ -0,0 +1,24 @@
+import express from "express";
+import { verifyToken } from "../middlewares/verifyToken.js";
+import { verifyAdmin } from "../middlewares/verifyAdmin.js";
+import {
+  getActiveZones,
+  getAllZones,
+  createZone,
+  updateZone,
+  deleteZone
+} from "../controllers/serviceZone.controller.js";
+
+const router = express.Router();
+
+// User endpoints
+// Zones in service, for delivery agents choosing where they work
+router.get("/", verifyToken, getActiveZones);
+
+// Admin endpoints
+router.get("/admin/all", verifyToken, verifyAdmin, getAllZones);
+router.post("/admin/create", verifyToken, verifyAdmin, createZone);
+router.put("/admin/:id", verifyToken, verifyAdmin, updateZone);
+router.delete("/admin/:id", verifyToken, verifyAdmin, deleteZone);
+
+export default router;
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import { config } from 'dotenv';
+import { Post } from '../models/post.model.js';
+import postConfig from '../config/posts.js';
+
+// Load environment variables
+config();
+
+const MONGO_URI = process.env.MONGO_URI;
+const HOUR = 60 * 60 * 1000;
+
+// Posts used to be deleted by a TTL index on createdAt three hours after they
+// were made. They now expire at their own expiresAt and are kept, so this
+// drops the TTL index and gives existing posts an expiresAt.
+// Run once when deploying: npm run migrate-post-expiry
+async function migratePostExpiry() {
+  try {
+    // Connect to MongoDB
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGO_URI);
+    console.log('Connected to MongoDB successfully!');
+
+    // Stop MongoDB deleting posts
+    const indexes = await Post.collection.indexes();
+    const ttlIndexes = indexes.filter(index => index.expireAfterSeconds !== undefined);
+    for (const index of ttlIndexes) {
+      await Post.collection.dropIndex(index.name);
+      console.log(`Dropped TTL index ${index.name}`);
+    }
+    if (ttlIndexes.length === 0) {
+      console.log('No TTL index on posts, nothing to drop');
+    }
+
+    // Existing posts expire the default window after they were created
+    const result = await Post.updateMany(
+      { expiresAt: { $exists: false } },
+      [{ $set: { expiresAt: { $add: ['$createdAt', postConfig.defaultAvailabilityHours * HOUR] } } }]
+    );
+
+    // Index the new field for the feed and search
+    await Post.createIndexes();
+
+    console.log('\nMigration Summary:');
+    console.log(`TTL indexes dropped: ${ttlIndexes.length}`);
+    console.log(`Posts given an expiry: ${result.modifiedCount}`);
+    console.log('\nMigration complete!');
+
+  } catch (error) {
+    console.error('Migration failed:', error);
+  } finally {
+    // Close MongoDB connection
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB.');
+  }
+}
+
+// Run the migration
+migratePostExpiry().then(() => {
+  console.log('Script execution completed.');
+});
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+import { config } from 'dotenv';
+import { Post } from '../models/post.model.js';
+import { getPostMediaList } from '../utils/postMedia.js';
+
+// Load environment variables
+config();
+
+const MONGO_URI = process.env.MONGO_URI;
+
+// Posts used to have a single image or video. They now have an ordered media
+// list, so this gives every older post a list holding its one image or video.
+// Run once when deploying: npm run migrate-post-media
+async function migratePostMedia() {
+  try {
+    // Connect to MongoDB
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGO_URI);
+    console.log('Connected to MongoDB successfully!');
+
+    // Only posts without a media list yet
+    const posts = await Post.find({
+      $or: [{ media: { $exists: false } }, { media: { $size: 0 } }]
+    }).select('mediaType image video media');
+    console.log(`Found ${posts.length} posts to migrate.`);
+
+    let migratedCount = 0;
+    let skippedCount = 0;
+    let errorCount = 0;
+
+    for (const post of posts) {
+      try {
+        const media = getPostMediaList(post);
+        if (media.length === 0) {
+          console.log(`Post ID ${post._id} has no image or video, skipping`);
+          skippedCount++;
+          continue;
+        }
+
+        // updateOne so the rest of the post is left exactly as it is
+        await Post.updateOne({ _id: post._id }, { $set: { media } });
+        migratedCount++;
+      } catch (postError) {
+        console.error(`Error migrating post ID ${post._id}:`, postError);
+        errorCount++;
+      }
+    }
+
+    console.log('\nMigration Summary:');
+    console.log(`Total posts: ${posts.length}`);
+    console.log(`Successfully migrated: ${migratedCount}`);
+    console.log(`Skipped (no media): ${skippedCount}`);
+    console.log(`Errors: ${errorCount}`);
+    console.log('\nMigration complete!');
+
+  } catch (error) {
+    console.error('Migration failed:', error);
+  } finally {
+    // Close MongoDB connection
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB.');
+  }
+}
+
+// Run the migration
+migratePostMedia().then(() => {
+  console.log('Script execution completed.');
+});
@@ -0,0 +1,86 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { allocateAmount, groupLinesBySeller, getDiscountWeights, getCombinedStatus } from "../utils/checkout.js";
+import { roundCurrency } from "../utils/pricing.js";
+
+const sum = (shares) => roundCurrency(shares.reduce((total, share) => total + share, 0));
+
+describe("allocateAmount", () => {
+  it("splits an amount in proportion to the weights", () => {
+    assert.deepEqual(allocateAmount(100, [1, 3]), [25, 75]);
+  });
+
+  it("gives rounding leftovers to the last share so the shares add up to the amount", () => {
+    const shares = allocateAmount(10, [1, 1, 1]);
+    assert.deepEqual(shares, [3.33, 3.33, 3.34]);
+    assert.equal(sum(shares), 10);
+  });
+
+  it("adds up to the amount for awkward amounts and weights", () => {
+    const cases = [
+      [7.01, [33.33, 33.33, 33.34]],
+      [49, [120, 80.5, 15.25, 3]],
+      [0.05, [1, 1, 1, 1, 1, 1, 1]],
+      [123.45, [0.01, 999.99]]
+    ];
+    for (const [amount, weights] of cases) {
+      const shares = allocateAmount(amount, weights);
+      assert.equal(shares.length, weights.length);
+      assert.equal(sum(shares), amount);
+    }
+  });
+
+  it("splits evenly when every weight is 0", () => {
+    assert.deepEqual(allocateAmount(9, [0, 0, 0]), [3, 3, 3]);
+  });
+});
+
+describe("groupLinesBySeller", () => {
+  it("puts each seller's lines in one group, in the order they first appear", () => {
+    const posts = new Map([
+      ["p1", { author: { _id: "s1" } }],
+      ["p2", { author: "s2" }],
+      ["p3", { author: { _id: "s1" } }]
+    ]);
+    const lines = [{ productId: "p1" }, { productId: "p2" }, { productId: "p3" }];
+
+    const groups = groupLinesBySeller(lines, posts);
+    assert.deepEqual(groups.map((group) => group.sellerId), ["s1", "s2"]);
+    assert.deepEqual(groups[0].lines, [lines[0], lines[2]]);
+  });
+});
+
+describe("getDiscountWeights", () => {
+  const posts = new Map([
+    ["p1", { author: "s1", category: "Lunch" }],
+    ["p2", { author: "s2", category: "Dessert" }]
+  ]);
+  const groups = groupLinesBySeller([
+    { productId: "p1", lineTotal: 200 },
+    { productId: "p2", lineTotal: 100 }
+  ], posts);
+
+  it("only gives the discount to sellers whose items the code applies to", () => {
+    const weights = getDiscountWeights({ discountType: "percent", value: 10, categories: ["Dessert"] }, groups, posts);
+    assert.deepEqual(weights, [0, 100]);
+    assert.deepEqual(allocateAmount(10, weights), [0, 10]);
+    assert.deepEqual(getDiscountWeights({ discountType: "flat", value: 50, sellers: ["s1"] }, groups, posts), [200, 0]);
+  });
+
+  it("splits free delivery and unrestricted codes by subtotal", () => {
+    assert.deepEqual(getDiscountWeights({ discountType: "free_delivery", categories: ["Dessert"] }, groups, posts), [200, 100]);
+    assert.deepEqual(getDiscountWeights({ discountType: "percent", value: 10 }, groups, posts), [200, 100]);
+    assert.deepEqual(getDiscountWeights(null, groups, posts), [200, 100]);
+  });
+});
+
+describe("getCombinedStatus", () => {
+  it("shows the least advanced active sub-order", () => {
+    assert.equal(getCombinedStatus(["delivered", "preparing", "confirmed"]), "confirmed");
+  });
+
+  it("ignores cancelled sub-orders unless every one was cancelled", () => {
+    assert.equal(getCombinedStatus(["cancelled", "delivered"]), "delivered");
+    assert.equal(getCombinedStatus(["cancelled", "cancelled"]), "cancelled");
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import deliveryProofConfig from "../config/deliveryProof.js";
+import Order from "../models/order.model.js";
+import {
+  generateDeliveryOtp,
+  distanceFromDropoff,
+  verifyDeliveryOtp,
+  uploadDeliveryPhoto
+} from "../utils/deliveryProof.js";
+
+const point = (longitude, latitude) => ({ type: "Point", coordinates: [longitude, latitude] });
+
+const order = (proof = {}) => ({
+  _id: "o1",
+  deliveryLocation: point(77.5946, 12.9716),
+  deliveryProof: { otp: "2468", otpAttempts: 0, ...proof }
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("generateDeliveryOtp", () => {
+  it("makes codes of the configured number of digits", () => {
+    for (let i = 0; i < 20; i++) {
+      assert.match(generateDeliveryOtp(), new RegExp(`^\\d{${deliveryProofConfig.otpLength}}$`));
+    }
+  });
+});
+
+describe("distanceFromDropoff", () => {
+  it("measures how far the agent is from the delivery address", () => {
+    assert.equal(distanceFromDropoff(order(), { currentLocation: point(77.5946, 12.9716) }), 0);
+    assert.ok(distanceFromDropoff(order(), { currentLocation: point(77.5946, 12.9816) }) > 1000);
+  });
+
+  it("is unknown when either location is missing", () => {
+    assert.equal(distanceFromDropoff(order(), { currentLocation: point(0, 0) }), null);
+    assert.equal(distanceFromDropoff({ deliveryLocation: undefined }, { currentLocation: point(77.5, 12.9) }), null);
+  });
+});
+
+describe("verifyDeliveryOtp", () => {
+  it("accepts the customer's code", async () => {
+    const updateOne = mock.method(Order, "updateOne", async () => ({}));
+    assert.equal(await verifyDeliveryOtp(order(), " 2468 "), "otp");
+    assert.equal(await verifyDeliveryOtp(order(), 2468), "otp");
+    assert.equal(updateOne.mock.callCount(), 0);
+  });
+
+  it("lets orders placed before delivery codes through", async () => {
+    assert.equal(await verifyDeliveryOtp({ _id: "o1" }), "none");
+  });
+
+  it("asks for the code when none is entered", async () => {
+    await assert.rejects(verifyDeliveryOtp(order(), ""), { statusCode: 400, message: /Enter the delivery code/ });
+  });
+
+  it("counts wrong codes on the order and says how many tries are left", async () => {
+    const updateOne = mock.method(Order, "updateOne", async () => ({}));
+
+    await assert.rejects(verifyDeliveryOtp(order({ otpAttempts: 0 }), "1111"), { statusCode: 400, message: /tries left/ });
+    await assert.rejects(
+      verifyDeliveryOtp(order({ otpAttempts: deliveryProofConfig.maxOtpAttempts - 2 }), "1111"),
+      { statusCode: 400, message: "That delivery code doesn't match. 1 try left" }
+    );
+    assert.deepEqual(updateOne.mock.calls[0].arguments, [{ _id: "o1" }, { $inc: { "deliveryProof.otpAttempts": 1 } }]);
+  });
+
+  it("sends the agent to support after the last wrong code", async () => {
+    mock.method(Order, "updateOne", async () => ({}));
+    const lastTry = deliveryProofConfig.maxOtpAttempts - 1;
+
+    await assert.rejects(verifyDeliveryOtp(order({ otpAttempts: lastTry }), "1111"), { statusCode: 400, message: /Contact support/ });
+  });
+
+  it("stops checking codes once the attempts are used up", async () => {
+    const updateOne = mock.method(Order, "updateOne", async () => ({}));
+
+    await assert.rejects(
+      verifyDeliveryOtp(order({ otpAttempts: deliveryProofConfig.maxOtpAttempts }), "2468"),
+      { statusCode: 429 }
+    );
+    assert.equal(updateOne.mock.callCount(), 0);
+  });
+});
+
+describe("uploadDeliveryPhoto", () => {
+  it("only takes images", async () => {
+    await assert.rejects(uploadDeliveryPhoto({ mimetype: "application/pdf", size: 10 }, "o1"), { statusCode: 400 });
+  });
+
+  it("rejects photos over the size limit", async () => {
+    const size = deliveryProofConfig.maxPhotoSizeMb * 1024 * 1024 + 1;
+    await assert.rejects(uploadDeliveryPhoto({ mimetype: "image/jpeg", size }, "o1"), { statusCode: 413 });
+  });
+
+  it("rejects files that aren't readable images", async () => {
+    const file = { mimetype: "image/jpeg", size: 12, buffer: Buffer.from("not an image") };
+    await assert.rejects(uploadDeliveryPhoto(file, "o1"), { statusCode: 400, message: /couldn't read that photo/ });
+  });
+});
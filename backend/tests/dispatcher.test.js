@@ -0,0 +1,216 @@
+import { describe, it, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import dispatchConfig from "../config/dispatch.js";
+import Order from "../models/order.model.js";
+import DeliveryAgent from "../models/deliveryAgent.model.js";
+import { ORDER_ROLES } from "../utils/orderStateMachine.js";
+import { scoreAgent, offerVisibilityFilter, assignOrderToAgent } from "../utils/dispatcher.js";
+
+const id = () => new mongoose.Types.ObjectId();
+
+const makeAgent = () => ({
+  _id: id(),
+  user: id(),
+  activeOrders: Object.assign([], { addToSet(value) { this.push(value); } }),
+  save: async () => {}
+});
+
+// A confirmed delivery order as stored, with whatever offer is out for it
+const storedOrder = (dispatch = {}) => ({
+  _id: id(),
+  user: id(),
+  status: "confirmed",
+  paymentStatus: "paid",
+  deliveryMethod: "standard",
+  deliveryAgent: null,
+  statusHistory: [],
+  dispatch: { status: "idle", round: 0, offers: [], ...dispatch },
+  save: async () => {}
+});
+
+// Matches the claim filter the way MongoDB would, one write at a time
+const matchesClaim = (order, filter) => {
+  if (filter.deliveryAgent === null && order.deliveryAgent) {
+    return false;
+  }
+  if (!filter.$or) {
+    return true;
+  }
+  const { status, currentAgent, expiresAt } = order.dispatch;
+  return status !== "offered" ||
+    currentAgent?.equals(filter.$or[1]["dispatch.currentAgent"]) ||
+    expiresAt <= filter.$or[2]["dispatch.expiresAt"].$lte;
+};
+
+const mockStore = (stored) => {
+  mock.method(Order, "findOneAndUpdate", async (filter, update) => {
+    if (!matchesClaim(stored, filter)) {
+      return null;
+    }
+    Object.assign(stored, update.$set);
+    return stored;
+  });
+  mock.method(Order, "findById", () => ({ select: async () => stored }));
+  mock.method(Order, "updateOne", async () => ({ modifiedCount: 1 }));
+  mock.method(DeliveryAgent, "findById", () => ({ select: async () => null }));
+};
+
+const assign = (order, agent, options = {}) =>
+  assignOrderToAgent({ ...order, deliveryAgent: null }, agent, { roles: [ORDER_ROLES.AGENT], actorId: agent.user, ...options });
+
+afterEach(() => mock.restoreAll());
+
+describe("scoreAgent", () => {
+  it("prefers closer agents", () => {
+    const near = scoreAgent({ distance: 200, load: 1, capacity: 3, rating: 4, totalRatings: 10 });
+    const far = scoreAgent({ distance: 4000, load: 1, capacity: 3, rating: 4, totalRatings: 10 });
+    assert.ok(near > far);
+  });
+
+  it("prefers agents carrying fewer orders", () => {
+    const idle = scoreAgent({ distance: 1000, load: 0, capacity: 3, rating: 4, totalRatings: 10 });
+    const busy = scoreAgent({ distance: 1000, load: 2, capacity: 3, rating: 4, totalRatings: 10 });
+    assert.ok(idle > busy);
+  });
+
+  it("scales load by how many orders the agent's vehicle can carry", () => {
+    const bike = scoreAgent({ distance: 1000, load: 2, capacity: 2, rating: 4, totalRatings: 10 });
+    const car = scoreAgent({ distance: 1000, load: 2, capacity: 5, rating: 4, totalRatings: 10 });
+    assert.ok(car > bike);
+  });
+
+  it("gives unrated agents the default rating", () => {
+    const unrated = scoreAgent({ distance: 1000, load: 0, capacity: 3, rating: 0, totalRatings: 0 });
+    const rated = scoreAgent({ distance: 1000, load: 0, capacity: 3, rating: dispatchConfig.defaultRating, totalRatings: 3 });
+    assert.equal(unrated, rated);
+  });
+
+  it("never scores agents beyond the search radius above zero for distance", () => {
+    const edge = scoreAgent({ distance: dispatchConfig.searchRadiusMeters, load: 0, capacity: 3, rating: 5, totalRatings: 1 });
+    const beyond = scoreAgent({ distance: dispatchConfig.searchRadiusMeters * 2, load: 0, capacity: 3, rating: 5, totalRatings: 1 });
+    assert.equal(edge, beyond);
+  });
+});
+
+describe("offerVisibilityFilter", () => {
+  it("shows an agent orders nobody else holds a live offer for", () => {
+    const agentId = id();
+    const now = new Date();
+    assert.deepEqual(offerVisibilityFilter(agentId, now), {
+      $or: [
+        { "dispatch.status": { $ne: "offered" } },
+        { "dispatch.currentAgent": agentId },
+        { "dispatch.expiresAt": { $lte: now } }
+      ]
+    });
+  });
+});
+
+describe("assignOrderToAgent", () => {
+  it("hands an open order to the agent who claims it", async () => {
+    const stored = storedOrder();
+    const agent = makeAgent();
+    mockStore(stored);
+
+    const claimed = await assign(stored, agent);
+
+    assert.ok(claimed.deliveryAgent.equals(agent._id));
+    assert.notEqual(claimed.status, "confirmed");
+    assert.equal(claimed.dispatch.status, "assigned");
+    assert.equal(claimed.dispatch.offers.at(-1).status, "accepted");
+    assert.ok(agent.activeOrders.includes(stored._id));
+  });
+
+  it("lets only one of two agents claim the same order", async () => {
+    const stored = storedOrder();
+    const first = makeAgent();
+    const second = makeAgent();
+    mockStore(stored);
+
+    const results = await Promise.allSettled([assign(stored, first), assign(stored, second)]);
+
+    assert.equal(results.filter((result) => result.status === "fulfilled").length, 1);
+    const [rejected] = results.filter((result) => result.status === "rejected");
+    assert.equal(rejected.reason.statusCode, 409);
+    assert.match(rejected.reason.message, /already been assigned/);
+    assert.ok(stored.deliveryAgent.equals(first._id));
+  });
+
+  it("won't let an agent take an order on offer to someone else", async () => {
+    const offeredTo = makeAgent();
+    const stored = storedOrder({
+      status: "offered",
+      currentAgent: offeredTo._id,
+      expiresAt: new Date(Date.now() + 30000),
+      offers: [{ agent: offeredTo._id, status: "pending" }]
+    });
+    mockStore(stored);
+
+    await assert.rejects(assign(stored, makeAgent()), { statusCode: 409, message: /offered to another delivery agent/ });
+    assert.equal(stored.deliveryAgent, null);
+  });
+
+  it("lets the agent holding the offer accept it", async () => {
+    const agent = makeAgent();
+    const stored = storedOrder({
+      status: "offered",
+      currentAgent: agent._id,
+      expiresAt: new Date(Date.now() + 30000),
+      offers: [{ agent: agent._id, status: "pending" }]
+    });
+    mockStore(stored);
+
+    const claimed = await assign(stored, agent);
+
+    assert.equal(claimed.dispatch.offers.length, 1);
+    assert.equal(claimed.dispatch.offers[0].status, "accepted");
+  });
+
+  it("lets an admin take an order off whoever it's offered to", async () => {
+    const offeredTo = makeAgent();
+    const stored = storedOrder({
+      status: "offered",
+      currentAgent: offeredTo._id,
+      expiresAt: new Date(Date.now() + 30000),
+      offers: [{ agent: offeredTo._id, status: "pending" }]
+    });
+    const agent = makeAgent();
+    const adminId = id();
+    mockStore(stored);
+
+    const claimed = await assign(stored, agent, { roles: [ORDER_ROLES.ADMIN], actorId: adminId, assignedBy: adminId });
+
+    assert.ok(claimed.deliveryAgent.equals(agent._id));
+    assert.equal(claimed.dispatch.offers[0].status, "withdrawn");
+    assert.equal(claimed.dispatch.offers.at(-1).assignedBy, adminId);
+  });
+
+  it("gives the order back when the status change is refused", async () => {
+    const stored = { ...storedOrder(), status: "processing" };
+    const agent = makeAgent();
+    mockStore(stored);
+
+    await assert.rejects(assign(stored, agent), { statusCode: 409 });
+    const [release] = Order.updateOne.mock.calls;
+    assert.deepEqual(release.arguments[0], { _id: stored._id, deliveryAgent: agent._id, status: "processing" });
+    assert.deepEqual(release.arguments[1], { $unset: { deliveryAgent: 1 } });
+  });
+
+  it("refuses orders still waiting on an up-front payment", async () => {
+    const stored = { ...storedOrder(), paymentMethod: "card", paymentStatus: "pending" };
+    mockStore(stored);
+
+    await assert.rejects(assign(stored, makeAgent()), { statusCode: 409, message: /hasn't been paid/ });
+    assert.equal(Order.findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  it("refuses orders that are scheduled for later", async () => {
+    const stored = storedOrder();
+    mockStore(stored);
+    const later = { ...stored, scheduledSlot: { start: new Date(Date.now() + 24 * 60 * 60 * 1000) } };
+
+    await assert.rejects(assign(later, makeAgent()), { statusCode: 409, message: /scheduled for later/ });
+    assert.equal(Order.findOneAndUpdate.mock.callCount(), 0);
+  });
+});
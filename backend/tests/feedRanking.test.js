@@ -0,0 +1,60 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { encodeFeedCursor, decodeFeedCursor, scorePost } from "../utils/feedRanking.js";
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+describe("feed cursors", () => {
+  it("decode to the position they were encoded from", () => {
+    const snapshot = new mongoose.Types.ObjectId();
+    const cursor = encodeFeedCursor({ snapshot, offset: 20 });
+    assert.deepEqual(decodeFeedCursor(cursor), { snapshot: snapshot.toString(), offset: 20 });
+  });
+
+  it("are safe to put in a URL", () => {
+    const cursor = encodeFeedCursor({ snapshot: new mongoose.Types.ObjectId(), offset: 10 });
+    assert.equal(encodeURIComponent(cursor), cursor);
+  });
+
+  it("reject anything that isn't a cursor", () => {
+    assert.throws(() => decodeFeedCursor("not a cursor"), { statusCode: 400 });
+    assert.throws(() => decodeFeedCursor(encode({ snapshot: "abc", offset: 10 })), { statusCode: 400 });
+  });
+
+  it("reject offsets that aren't a whole number of posts", () => {
+    const snapshot = new mongoose.Types.ObjectId().toString();
+    assert.throws(() => decodeFeedCursor(encode({ snapshot, offset: -10 })), { statusCode: 400 });
+    assert.throws(() => decodeFeedCursor(encode({ snapshot, offset: 1.5 })), { statusCode: 400 });
+    assert.throws(() => decodeFeedCursor(encode({ snapshot })), { statusCode: 400 });
+  });
+});
+
+describe("scorePost", () => {
+  const now = new Date("2026-10-19T12:00:00Z");
+  const hoursAgo = (hours) => new Date(now.getTime() - hours * 60 * 60 * 1000);
+  const context = (fields = {}) => ({ followedAuthors: new Set(), authorLocations: new Map(), now, ...fields });
+  const post = (fields = {}) => ({ author: "a1", createdAt: hoursAgo(1), ...fields });
+
+  it("ranks newer posts higher", () => {
+    assert.ok(scorePost(post(), context()) > scorePost(post({ createdAt: hoursAgo(10) }), context()));
+  });
+
+  it("ranks posts from followed authors higher", () => {
+    assert.ok(scorePost(post(), context({ followedAuthors: new Set(["a1"]) })) > scorePost(post(), context()));
+  });
+
+  it("ranks nearby kitchens above far ones", () => {
+    const viewerLocation = { type: "Point", coordinates: [77.5946, 12.9716] };
+    const near = new Map([["a1", { type: "Point", coordinates: [77.5950, 12.9720] }]]);
+    const far = new Map([["a1", { type: "Point", coordinates: [77.9, 13.3] }]]);
+    assert.ok(
+      scorePost(post(), context({ viewerLocation, authorLocations: near })) >
+      scorePost(post(), context({ viewerLocation, authorLocations: far }))
+    );
+  });
+
+  it("ranks engaging posts higher", () => {
+    assert.ok(scorePost(post({ likeCount: 10, commentCount: 5 }), context()) > scorePost(post(), context()));
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, mock, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { Post } from "../models/post.model.js";
+import Order from "../models/order.model.js";
+import { reserveStock, releaseStock, releaseOrderStock } from "../utils/inventory.js";
+
+// Stock of each post, kept in memory in place of the posts collection
+let stock;
+
+beforeEach(() => {
+  stock = new Map([
+    ["p1", { caption: "Biryani", quantity: 3 }],
+    ["p2", { caption: "Kheer", quantity: 1 }]
+  ]);
+
+  mock.method(Post, "findOneAndUpdate", async (filter, update) => {
+    const post = stock.get(filter._id);
+    if (!post || post.quantity < filter.quantity.$gte) {
+      return null;
+    }
+    post.quantity += update.$inc.quantity;
+    return post;
+  });
+  mock.method(Post, "updateOne", async (filter, update) => {
+    stock.get(filter._id).quantity += update.$inc.quantity;
+    return { modifiedCount: 1 };
+  });
+  mock.method(Post, "findById", (id) => ({ select: async () => stock.get(id) || null }));
+});
+
+afterEach(() => mock.restoreAll());
+
+const quantities = () => Object.fromEntries([...stock].map(([id, post]) => [id, post.quantity]));
+
+describe("reserveStock", () => {
+  it("takes the ordered quantity from each post", async () => {
+    await reserveStock([
+      { productId: "p1", name: "Biryani", quantity: 2 },
+      { productId: "p2", name: "Kheer", quantity: 1 }
+    ]);
+    assert.deepEqual(quantities(), { p1: 1, p2: 0 });
+  });
+
+  it("puts back what it took when a line is short, and says what's short", async () => {
+    await assert.rejects(
+      reserveStock([
+        { productId: "p1", name: "Biryani", quantity: 2 },
+        { productId: "p2", name: "Kheer", quantity: 2 }
+      ]),
+      (error) => {
+        assert.equal(error.statusCode, 409);
+        assert.equal(error.message, "Only 1 left of Kheer");
+        assert.deepEqual(error.unavailableItems, [
+          { productId: "p2", name: "Kheer", requested: 2, available: 1 }
+        ]);
+        return true;
+      }
+    );
+    assert.deepEqual(quantities(), { p1: 3, p2: 1 });
+  });
+
+  it("reports sold-out posts", async () => {
+    await reserveStock([{ productId: "p2", name: "Kheer", quantity: 1 }]);
+    await assert.rejects(reserveStock([{ productId: "p2", name: "Kheer", quantity: 1 }]), {
+      statusCode: 409,
+      message: "Kheer is sold out"
+    });
+  });
+
+  it("never sells the last portion twice", async () => {
+    const results = await Promise.allSettled([
+      reserveStock([{ productId: "p2", name: "Kheer", quantity: 1 }]),
+      reserveStock([{ productId: "p2", name: "Kheer", quantity: 1 }])
+    ]);
+    assert.deepEqual(results.map((result) => result.status).sort(), ["fulfilled", "rejected"]);
+    assert.equal(stock.get("p2").quantity, 0);
+  });
+});
+
+describe("releaseStock", () => {
+  it("returns the quantities to their posts", async () => {
+    await releaseStock([{ productId: "p1", quantity: 2 }]);
+    assert.equal(stock.get("p1").quantity, 5);
+  });
+});
+
+describe("releaseOrderStock", () => {
+  it("restocks an order only once", async () => {
+    let stockReserved = true;
+    mock.method(Order, "updateOne", async (filter) => {
+      if (filter.stockReserved !== stockReserved) {
+        return { modifiedCount: 0 };
+      }
+      stockReserved = false;
+      return { modifiedCount: 1 };
+    });
+
+    const order = { _id: "o1", stockReserved: true, items: [{ productId: "p1", quantity: 2 }] };
+    assert.equal(await releaseOrderStock(order), true);
+    assert.equal(await releaseOrderStock(order), false);
+    assert.equal(stock.get("p1").quantity, 5);
+    assert.equal(order.stockReserved, false);
+  });
+});
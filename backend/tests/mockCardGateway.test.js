@@ -0,0 +1,124 @@
+import { describe, it, mock, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import paymentConfig from "../config/payments.js";
+import {
+  signWebhookPayload,
+  verifyWebhookSignature,
+  createPaymentIntent,
+  retrievePaymentIntent,
+  confirmPaymentIntent,
+  refundPaymentIntent
+} from "../utils/mockCardGateway.js";
+
+const body = JSON.stringify({ id: "evt_1", type: "payment_intent.succeeded" });
+
+describe("mock card webhook signatures", () => {
+  it("accept a body with the signature it was sent with", () => {
+    assert.ok(verifyWebhookSignature(body, signWebhookPayload(body)));
+    assert.ok(verifyWebhookSignature(Buffer.from(body), signWebhookPayload(body)));
+  });
+
+  it("reject a body that was changed after signing", () => {
+    const header = signWebhookPayload(body);
+    assert.ok(!verifyWebhookSignature(body.replace("succeeded", "failed"), header));
+  });
+
+  it("reject a signature with a digit changed", () => {
+    const [timestampPart, signaturePart] = signWebhookPayload(body).split(",");
+    const tampered = signaturePart.replace(/[0-9a-f]$/, (digit) => (digit === "0" ? "1" : "0"));
+    assert.ok(!verifyWebhookSignature(body, `${timestampPart},${tampered}`));
+  });
+
+  it("reject a signature made with another secret", () => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = crypto.createHmac("sha256", "whsec_someone_else").update(`${timestamp}.${body}`).digest("hex");
+    assert.ok(!verifyWebhookSignature(body, `t=${timestamp},v1=${signature}`));
+  });
+
+  it("reject signatures older than the tolerance", () => {
+    const timestamp = Math.floor(Date.now() / 1000) - paymentConfig.mockCard.signatureToleranceSeconds - 1;
+    assert.ok(!verifyWebhookSignature(body, signWebhookPayload(body, timestamp)));
+  });
+
+  it("reject missing or malformed headers", () => {
+    assert.ok(!verifyWebhookSignature(body, undefined));
+    assert.ok(!verifyWebhookSignature(body, "garbage"));
+    assert.ok(!verifyWebhookSignature(body, "t=abc,v1=00"));
+    assert.ok(!verifyWebhookSignature("", signWebhookPayload(body)));
+  });
+});
+
+describe("mock card payment intents", () => {
+  const card = (number) => ({ number, expMonth: 12, expYear: new Date().getFullYear() + 2, cvc: "123" });
+  let webhookDelayMs;
+
+  before(() => {
+    webhookDelayMs = paymentConfig.mockCard.webhookDelayMs;
+    paymentConfig.mockCard.webhookDelayMs = 0;
+  });
+  after(() => {
+    paymentConfig.mockCard.webhookDelayMs = webhookDelayMs;
+  });
+  afterEach(() => mock.restoreAll());
+
+  // Resolves with the next webhook the gateway sends
+  const nextWebhook = () => new Promise((resolve) => {
+    mock.method(globalThis, "fetch", async (url, request) => {
+      resolve(request);
+      return { ok: true, status: 200 };
+    });
+  });
+
+  it("report a successful payment through a signed webhook", async () => {
+    const webhook = nextWebhook();
+    const intent = createPaymentIntent({ amount: 250, currency: "INR", metadata: { orderId: "o1" } });
+    assert.ok(intent.clientSecret);
+
+    assert.equal(confirmPaymentIntent(intent.id, { clientSecret: intent.clientSecret, card: card("4242 4242 4242 4242") }).status, "processing");
+
+    const request = await webhook;
+    const event = JSON.parse(request.body);
+    assert.equal(event.type, "payment_intent.succeeded");
+    assert.equal(event.data.object.metadata.orderId, "o1");
+    assert.equal(event.data.object.clientSecret, undefined);
+    assert.ok(verifyWebhookSignature(request.body, request.headers["x-mock-card-signature"]));
+    assert.equal(retrievePaymentIntent(intent.id).status, "succeeded");
+  });
+
+  it("report declined cards as failed payments", async () => {
+    const webhook = nextWebhook();
+    const intent = createPaymentIntent({ amount: 250, currency: "INR" });
+    confirmPaymentIntent(intent.id, { clientSecret: intent.clientSecret, card: card("4000000000000002") });
+
+    const event = JSON.parse((await webhook).body);
+    assert.equal(event.type, "payment_intent.payment_failed");
+    assert.equal(event.data.object.lastError, "Your card was declined");
+  });
+
+  it("need the intent's client secret and a valid card", () => {
+    const intent = createPaymentIntent({ amount: 250, currency: "INR" });
+    assert.throws(() => confirmPaymentIntent(intent.id, { clientSecret: "wrong", card: card("4242424242424242") }), {
+      statusCode: 401
+    });
+    assert.throws(() => confirmPaymentIntent(intent.id, { clientSecret: intent.clientSecret, card: card("4242") }), {
+      statusCode: 400
+    });
+    assert.throws(
+      () => confirmPaymentIntent(intent.id, { clientSecret: intent.clientSecret, card: { ...card("4242424242424242"), expYear: 2001 } }),
+      { statusCode: 400 }
+    );
+  });
+
+  it("refund at most what was paid", async () => {
+    const webhook = nextWebhook();
+    const intent = createPaymentIntent({ amount: 250, currency: "INR" });
+    confirmPaymentIntent(intent.id, { clientSecret: intent.clientSecret, card: card("4242424242424242") });
+    await webhook;
+
+    const refunded = nextWebhook();
+    assert.equal(refundPaymentIntent(intent.id, 200).status, "succeeded");
+    assert.throws(() => refundPaymentIntent(intent.id, 100), { statusCode: 409 });
+    assert.equal(JSON.parse((await refunded).body).type, "charge.refunded");
+  });
+});
@@ -0,0 +1,174 @@
+import { describe, it, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Order from "../models/order.model.js";
+import {
+  ORDER_ROLES,
+  ORDER_TRANSITIONS,
+  getOrderRoles,
+  canTransition,
+  getNextStatuses,
+  assertTransition,
+  transitionOrder,
+  registerOrderHook
+} from "../utils/orderStateMachine.js";
+
+const { CUSTOMER, SELLER, AGENT, ADMIN, SYSTEM } = ORDER_ROLES;
+
+const deliveryOrder = (status, fields = {}) => ({ status, deliveryMethod: "standard", paymentMethod: "cash", ...fields });
+const pickupOrder = (status, fields = {}) => ({ status, deliveryMethod: "pickup", paymentMethod: "cash", ...fields });
+
+describe("ORDER_TRANSITIONS", () => {
+  it("only moves to statuses it knows", () => {
+    for (const next of Object.values(ORDER_TRANSITIONS)) {
+      for (const status of Object.keys(next)) {
+        assert.ok(status in ORDER_TRANSITIONS, status);
+      }
+    }
+  });
+
+  it("has no moves out of delivered or cancelled", () => {
+    assert.deepEqual(getNextStatuses(deliveryOrder("delivered")), []);
+    assert.deepEqual(getNextStatuses(deliveryOrder("cancelled")), []);
+  });
+});
+
+describe("canTransition", () => {
+  it("lets sellers confirm and prepare orders but not customers", () => {
+    assert.ok(canTransition(deliveryOrder("processing"), "confirmed", [SELLER]));
+    assert.ok(canTransition(deliveryOrder("confirmed"), "preparing", [SELLER]));
+    assert.ok(!canTransition(deliveryOrder("processing"), "confirmed", [CUSTOMER]));
+  });
+
+  it("only accepts orders paid up front once they're paid", () => {
+    const unpaid = deliveryOrder("processing", { paymentMethod: "card", paymentStatus: "pending" });
+    assert.ok(!canTransition(unpaid, "confirmed", [SELLER]));
+    assert.ok(!canTransition(unpaid, "preparing", [ADMIN]));
+    assert.ok(canTransition(unpaid, "cancelled", [SYSTEM]));
+    assert.ok(canTransition({ ...unpaid, paymentStatus: "paid" }, "confirmed", [SELLER]));
+    assert.ok(!canTransition(pickupOrder("processing", { paymentMethod: "solana", paymentStatus: "pending" }), "delivered", [SELLER]));
+  });
+
+  it("lets only agents and admins move an order along the delivery leg", () => {
+    const order = deliveryOrder("picked_up", { deliveryAgent: "agent1" });
+    assert.ok(canTransition(order, "out_for_delivery", [AGENT]));
+    assert.ok(canTransition(order, "out_for_delivery", [ADMIN]));
+    assert.ok(!canTransition(order, "out_for_delivery", [SELLER]));
+    assert.ok(!canTransition(order, "out_for_delivery", [CUSTOMER]));
+  });
+
+  it("only assigns delivery orders that have an agent", () => {
+    assert.ok(canTransition(deliveryOrder("preparing", { deliveryAgent: "agent1" }), "agent_assigned", [AGENT]));
+    assert.ok(!canTransition(deliveryOrder("preparing"), "agent_assigned", [AGENT]));
+    assert.ok(!canTransition(pickupOrder("preparing"), "agent_assigned", [ADMIN]));
+  });
+
+  it("only hands pickup orders over at the kitchen", () => {
+    assert.ok(canTransition(pickupOrder("preparing"), "delivered", [SELLER]));
+    assert.ok(!canTransition(deliveryOrder("preparing"), "delivered", [SELLER]));
+  });
+
+  it("allows cancelling until the order is picked up", () => {
+    assert.ok(canTransition(deliveryOrder("arrived_at_pickup"), "cancelled", [CUSTOMER]));
+    assert.ok(canTransition(deliveryOrder("processing"), "cancelled", [SYSTEM]));
+    assert.ok(!canTransition(deliveryOrder("picked_up"), "cancelled", [ADMIN]));
+    assert.ok(!canTransition(deliveryOrder("agent_assigned"), "cancelled", [AGENT]));
+  });
+
+  it("ignores roles when none are given", () => {
+    assert.ok(canTransition(deliveryOrder("out_for_delivery"), "delivered"));
+  });
+});
+
+describe("assertTransition", () => {
+  it("rejects unknown statuses with a 400", () => {
+    assert.throws(() => assertTransition(deliveryOrder("processing"), "lost", [ADMIN]), { statusCode: 400 });
+  });
+
+  it("rejects moves the state machine doesn't allow with a 409", () => {
+    assert.throws(() => assertTransition(deliveryOrder("delivered"), "processing", [ADMIN]), { statusCode: 409 });
+    assert.throws(() => assertTransition(deliveryOrder("preparing"), "delivered", [ADMIN]), { statusCode: 409 });
+  });
+
+  it("explains why an unpaid order can't be confirmed", () => {
+    const unpaid = deliveryOrder("processing", { paymentMethod: "card", paymentStatus: "pending" });
+    assert.throws(() => assertTransition(unpaid, "confirmed", [SELLER]), { statusCode: 409, message: /hasn't been paid for yet/ });
+  });
+
+  it("rejects roles that may not make the move with a 403", () => {
+    assert.throws(() => assertTransition(deliveryOrder("processing"), "preparing", [CUSTOMER]), { statusCode: 403 });
+  });
+
+  it("allows moves the roles may make", () => {
+    assert.doesNotThrow(() => assertTransition(deliveryOrder("processing"), "preparing", [SELLER]));
+  });
+});
+
+describe("getOrderRoles", () => {
+  it("matches the customer and seller whether ids are strings or objects", () => {
+    const order = { user: { _id: { toString: () => "u1" } }, seller: "s1" };
+    assert.deepEqual(getOrderRoles(order, { id: { toString: () => "u1" } }), [CUSTOMER]);
+    assert.deepEqual(getOrderRoles(order, { id: "s1" }), [SELLER]);
+    assert.deepEqual(getOrderRoles(order, { id: "x", isAdmin: true }), [ADMIN]);
+  });
+});
+
+describe("transitionOrder", () => {
+  afterEach(() => mock.restoreAll());
+
+  // An order loaded at one status, saved like Mongoose would: only while the
+  // stored order still matches doc.$where
+  const loadOrder = (stored) => ({
+    _id: "64f1a0000000000000000010",
+    user: "64f1a0000000000000000020",
+    // Pickup orders aren't offered to agents once they're confirmed
+    deliveryMethod: "pickup",
+    paymentMethod: "cash",
+    paymentStatus: "pending",
+    status: stored.status,
+    statusHistory: [],
+    async save() {
+      if (stored.status !== this.$where?.status) {
+        throw new mongoose.Error.DocumentNotFoundError({ _id: this._id, ...this.$where }, "Order", 0, this);
+      }
+      stored.status = this.status;
+    }
+  });
+
+  it("saves the move and runs what follows it", async () => {
+    const updateOne = mock.method(Order, "updateOne", async () => ({ modifiedCount: 0 }));
+    const stored = { status: "processing" };
+
+    const order = await transitionOrder(loadOrder(stored), "cancelled", { roles: [CUSTOMER] });
+
+    assert.equal(stored.status, "cancelled");
+    assert.equal(order.statusHistory.at(-1).note, "Status changed from processing to cancelled");
+    assert.ok(updateOne.mock.callCount() > 0);
+  });
+
+  it("runs hooks other modules registered for the new status", async () => {
+    mock.method(Order, "updateOne", async () => ({ modifiedCount: 0 }));
+    const hook = mock.fn(async () => {});
+    registerOrderHook("cancelled", hook);
+
+    const order = await transitionOrder(loadOrder({ status: "processing" }), "cancelled", { roles: [SELLER], actorId: "s1" });
+
+    assert.equal(hook.mock.callCount(), 1);
+    assert.equal(hook.mock.calls[0].arguments[0], order);
+    assert.deepEqual(hook.mock.calls[0].arguments[1], { fromStatus: "processing", roles: [SELLER], actorId: "s1" });
+  });
+
+  it("refuses a move when the order changed since it was loaded", async () => {
+    const updateOne = mock.method(Order, "updateOne", async () => ({ modifiedCount: 0 }));
+    const stored = { status: "processing" };
+    const seller = loadOrder(stored);
+    const customer = loadOrder(stored);
+
+    await transitionOrder(seller, "confirmed", { roles: [SELLER] });
+    await assert.rejects(transitionOrder(customer, "cancelled", { roles: [CUSTOMER] }), { statusCode: 409 });
+
+    assert.equal(stored.status, "confirmed");
+    // The cancellation's release of stock, slot and offers never ran
+    assert.equal(updateOne.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import Order from "../models/order.model.js";
+import PaymentTransaction from "../models/paymentTransaction.model.js";
+import paymentConfig from "../config/payments.js";
+import { failOrderPayment, sweepOverduePayments } from "../utils/payments.js";
+import {
+  isPaymentSettled,
+  getPaymentDeadline,
+  overduePaymentFilter
+} from "../utils/paymentDeadline.js";
+import { hasOpenPaymentIntent } from "../utils/paymentProviders/index.js";
+
+const unpaidOrder = (fields = {}) => ({
+  _id: "64f1a0000000000000000010",
+  user: "64f1a0000000000000000020",
+  status: "processing",
+  paymentMethod: "card",
+  paymentStatus: "pending",
+  deliveryMethod: "standard",
+  statusHistory: [],
+  save: mock.fn(async () => {}),
+  ...fields
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("payment providers", () => {
+  // Each import runs in a fresh process, so nothing else has loaded first
+  const importAlone = (path) =>
+    promisify(execFile)(process.execPath, [
+      "--input-type=module",
+      "-e",
+      `await import(${JSON.stringify(new URL(path, import.meta.url).href)}); process.exit(0);`
+    ]);
+
+  for (const provider of ["cash", "solana", "mockCard"]) {
+    it(`${provider} can be imported on its own`, async () => {
+      await importAlone(`../utils/paymentProviders/${provider}.js`);
+    });
+  }
+});
+
+describe("failOrderPayment", () => {
+  it("cancels an unpaid order and marks its payment failed", async () => {
+    mock.method(Order, "updateOne", async () => ({ modifiedCount: 0 }));
+    const order = unpaidOrder();
+
+    assert.equal(await failOrderPayment(order, "Card declined"), true);
+    assert.equal(order.status, "cancelled");
+    assert.equal(order.paymentStatus, "failed");
+    assert.equal(order.statusHistory.at(-1).note, "Payment failed: Card declined");
+    assert.equal(order.save.mock.callCount(), 1);
+  });
+
+  it("leaves orders that aren't waiting for payment alone", async () => {
+    const order = unpaidOrder({ paymentStatus: "paid" });
+
+    assert.equal(await failOrderPayment(order), false);
+    assert.equal(order.status, "processing");
+    assert.equal(order.save.mock.callCount(), 0);
+  });
+
+  it("won't touch the payment of an order that can no longer be cancelled", async () => {
+    const order = unpaidOrder({ status: "picked_up", paymentMethod: "cash" });
+
+    await assert.rejects(failOrderPayment(order), { statusCode: 409 });
+    assert.equal(order.paymentStatus, "pending");
+    assert.equal(order.status, "picked_up");
+    assert.equal(order.save.mock.callCount(), 0);
+  });
+});
+
+describe("hasOpenPaymentIntent", () => {
+  it("is never true for cash on delivery", async () => {
+    const exists = mock.method(PaymentTransaction, "exists", async () => ({ _id: "t1" }));
+    assert.equal(await hasOpenPaymentIntent(unpaidOrder({ paymentMethod: "cash" })), false);
+    assert.equal(exists.mock.callCount(), 0);
+  });
+
+  it("is true for card orders with an unpaid or declined intent", async () => {
+    const exists = mock.method(PaymentTransaction, "exists", async () => ({ _id: "t1" }));
+    assert.equal(await hasOpenPaymentIntent(unpaidOrder()), true);
+    assert.deepEqual(exists.mock.calls[0].arguments[0].status, { $in: ["pending", "failed"] });
+  });
+
+  it("is false for card orders that never started paying", async () => {
+    mock.method(PaymentTransaction, "exists", async () => null);
+    assert.equal(await hasOpenPaymentIntent(unpaidOrder()), false);
+  });
+
+  it("is true for Solana orders until a transfer is recorded", async () => {
+    mock.method(PaymentTransaction, "exists", async () => null);
+    assert.equal(await hasOpenPaymentIntent(unpaidOrder({ paymentMethod: "solana" })), true);
+
+    mock.restoreAll();
+    mock.method(PaymentTransaction, "exists", async () => ({ _id: "t1" }));
+    assert.equal(await hasOpenPaymentIntent(unpaidOrder({ paymentMethod: "solana" })), false);
+  });
+
+  it("is false once the order is paid", async () => {
+    mock.method(PaymentTransaction, "exists", async () => ({ _id: "t1" }));
+    assert.equal(await hasOpenPaymentIntent(unpaidOrder({ paymentStatus: "paid" })), false);
+  });
+});
+
+describe("payment deadlines", () => {
+  it("lets cash orders go ahead before they're paid", () => {
+    assert.ok(isPaymentSettled(unpaidOrder({ paymentMethod: "cash" })));
+  });
+
+  it("holds orders paid up front until the money comes in", () => {
+    assert.ok(!isPaymentSettled(unpaidOrder()));
+    assert.ok(!isPaymentSettled(unpaidOrder({ paymentMethod: "solana", paymentStatus: "failed" })));
+    assert.ok(isPaymentSettled(unpaidOrder({ paymentStatus: "paid" })));
+    assert.ok(isPaymentSettled(unpaidOrder({ paymentStatus: "partially_refunded" })));
+  });
+
+  it("gives orders the configured time to be paid", () => {
+    const createdAt = new Date("2026-10-19T12:00:00Z");
+    assert.equal(
+      getPaymentDeadline({ createdAt }).getTime() - createdAt.getTime(),
+      paymentConfig.paymentTimeoutMinutes * 60 * 1000
+    );
+  });
+
+  it("only looks for unpaid orders paid up front placed before the cutoff", () => {
+    const now = new Date("2026-10-19T12:00:00Z");
+    const filter = overduePaymentFilter(now);
+    assert.deepEqual(filter.paymentMethod, { $nin: paymentConfig.payOnDeliveryMethods });
+    assert.equal(filter.paymentStatus, "pending");
+    assert.equal(filter.createdAt.$lte.getTime(), now.getTime() - paymentConfig.paymentTimeoutMinutes * 60 * 1000);
+  });
+});
+
+describe("sweepOverduePayments", () => {
+  it("cancels overdue orders and carries on past ones it can't cancel", async () => {
+    mock.method(Order, "updateOne", async () => ({ modifiedCount: 0 }));
+    mock.method(console, "error", () => {});
+    const stuck = unpaidOrder({ _id: "64f1a0000000000000000011", status: "picked_up" });
+    const abandoned = unpaidOrder({ _id: "64f1a0000000000000000012" });
+    const find = mock.method(Order, "find", () => ({ sort: () => ({ limit: async () => [stuck, abandoned] }) }));
+
+    await sweepOverduePayments();
+
+    assert.equal(find.mock.calls[0].arguments[0].paymentStatus, "pending");
+    assert.equal(stuck.paymentStatus, "pending");
+    assert.equal(abandoned.status, "cancelled");
+    assert.equal(abandoned.paymentStatus, "failed");
+    assert.equal(abandoned.statusHistory.at(-1).note, "Payment failed: Not paid in time");
+  });
+});
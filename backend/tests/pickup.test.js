@@ -0,0 +1,78 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import pickupConfig from "../config/pickup.js";
+import { hasCoordinates, distanceBetween } from "../utils/geo.js";
+import { generatePickupCode, distanceFromPickup, verifyPickupProof } from "../utils/pickup.js";
+
+const point = (longitude, latitude) => ({ type: "Point", coordinates: [longitude, latitude] });
+
+// Roughly 111 m per 0.001 degree of latitude
+const kitchen = point(77.5946, 12.9716);
+const nearby = point(77.5946, 12.9722);
+const acrossTown = point(77.5946, 12.9916);
+
+const order = (fields = {}) => ({ pickupLocation: kitchen, pickupLeg: { code: "4821" }, ...fields });
+const agentAt = (location) => ({ currentLocation: location });
+
+describe("geo", () => {
+  it("treats [0, 0] and missing points as having no coordinates", () => {
+    assert.ok(hasCoordinates(kitchen));
+    assert.ok(!hasCoordinates(point(0, 0)));
+    assert.ok(!hasCoordinates(undefined));
+    assert.ok(!hasCoordinates({ coordinates: [] }));
+  });
+
+  it("measures great-circle distances in metres", () => {
+    assert.equal(distanceBetween(kitchen, kitchen), 0);
+    assert.equal(Math.round(distanceBetween(kitchen, acrossTown) / 100), 22);
+  });
+});
+
+describe("generatePickupCode", () => {
+  it("makes codes of the configured number of digits", () => {
+    for (let i = 0; i < 20; i++) {
+      assert.match(generatePickupCode(), new RegExp(`^\\d{${pickupConfig.codeLength}}$`));
+    }
+  });
+});
+
+describe("distanceFromPickup", () => {
+  it("is unknown when either location is missing", () => {
+    assert.equal(distanceFromPickup(order(), agentAt(undefined)), null);
+    assert.equal(distanceFromPickup(order({ pickupLocation: point(0, 0) }), agentAt(nearby)), null);
+  });
+
+  it("rounds to whole metres", () => {
+    assert.ok(Number.isInteger(distanceFromPickup(order(), agentAt(nearby))));
+  });
+});
+
+describe("verifyPickupProof", () => {
+  it("accepts the kitchen's code wherever the agent is", () => {
+    const proof = verifyPickupProof(order(), agentAt(acrossTown), " 4821 ");
+    assert.equal(proof.method, "code");
+    assert.ok(proof.distance > pickupConfig.geofenceRadiusMeters);
+  });
+
+  it("accepts codes sent as numbers", () => {
+    assert.equal(verifyPickupProof(order({ pickupLeg: { code: "4821" } }), agentAt(undefined), 4821).method, "code");
+  });
+
+  it("rejects a wrong code even inside the geofence", () => {
+    assert.throws(() => verifyPickupProof(order(), agentAt(nearby), "1111"), { statusCode: 400, message: /doesn't match/ });
+  });
+
+  it("accepts agents within the geofence without a code", () => {
+    const proof = verifyPickupProof(order(), agentAt(nearby));
+    assert.equal(proof.method, "geofence");
+    assert.ok(proof.distance <= pickupConfig.geofenceRadiusMeters);
+  });
+
+  it("asks for the code when the agent is too far away", () => {
+    assert.throws(() => verifyPickupProof(order(), agentAt(acrossTown), ""), { statusCode: 400, message: /m from the kitchen/ });
+  });
+
+  it("asks for the code when the agent's location is unknown", () => {
+    assert.throws(() => verifyPickupProof(order(), agentAt(point(0, 0))), { statusCode: 400, message: /can't see your location/ });
+  });
+});
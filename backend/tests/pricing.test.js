@@ -0,0 +1,168 @@
+import { describe, it, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import pricingConfig from "../config/pricing.js";
+import { Post } from "../models/post.model.js";
+import { Product } from "../models/product.model.js";
+import menuConfig from "../config/menu.js";
+import {
+  roundCurrency,
+  parsePostPrice,
+  calculateDeliveryFee,
+  calculateTax,
+  normalizeTip,
+  buildOrderQuote,
+  findTotalsMismatch
+} from "../utils/pricing.js";
+
+const BIRYANI = "64f1a0000000000000000001";
+const KHEER = "64f1a0000000000000000002";
+const THALI = "64f1a0000000000000000003";
+const UNKNOWN = "64f1a0000000000000000099";
+
+describe("roundCurrency", () => {
+  it("rounds to the cent", () => {
+    assert.equal(roundCurrency(10.004), 10);
+    assert.equal(roundCurrency(10.005), 10.01);
+    assert.equal(roundCurrency(0.1 + 0.2), 0.3);
+  });
+
+  it("treats anything that isn't a number as 0", () => {
+    assert.equal(roundCurrency(undefined), 0);
+    assert.equal(roundCurrency("abc"), 0);
+  });
+});
+
+describe("parsePostPrice", () => {
+  it("reads prices written with a currency symbol", () => {
+    assert.equal(parsePostPrice("₹120.50"), 120.5);
+    assert.equal(parsePostPrice(80), 80);
+  });
+
+  it("returns 0 for prices it can't read", () => {
+    assert.equal(parsePostPrice(""), 0);
+    assert.equal(parsePostPrice(null), 0);
+  });
+});
+
+describe("calculateTax", () => {
+  it("applies the configured rate and rounds to the cent", () => {
+    assert.equal(calculateTax(100), roundCurrency(100 * pricingConfig.tax.rate));
+    assert.equal(calculateTax(33.33), roundCurrency(33.33 * pricingConfig.tax.rate));
+  });
+});
+
+describe("calculateDeliveryFee", () => {
+  it("charges the configured fee for each method", () => {
+    assert.equal(calculateDeliveryFee("standard", 100), pricingConfig.deliveryFees.standard.fee);
+    assert.equal(calculateDeliveryFee("express", 100), pricingConfig.deliveryFees.express.fee);
+    assert.equal(calculateDeliveryFee("pickup", 100), 0);
+  });
+
+  it("uses the zone's own fee when it sets one", () => {
+    assert.equal(calculateDeliveryFee("standard", 100, { deliveryFees: { standard: 25 } }), 25);
+    assert.equal(calculateDeliveryFee("express", 100, { deliveryFees: { standard: 25 } }), pricingConfig.deliveryFees.express.fee);
+  });
+
+  it("rejects unknown delivery methods", () => {
+    assert.throws(() => calculateDeliveryFee("drone", 100), { statusCode: 400 });
+  });
+});
+
+describe("buildOrderQuote", () => {
+  const posts = {
+    [BIRYANI]: { _id: BIRYANI, caption: "Biryani", price: "₹150", author: { _id: "seller1" } },
+    [KHEER]: { _id: KHEER, caption: "Kheer", price: "40.50", author: { _id: "seller1" } }
+  };
+
+  afterEach(() => mock.restoreAll());
+
+  const mockPosts = () =>
+    mock.method(Post, "findById", (id) => ({ populate: async () => posts[id] || null }));
+
+  it("prices every line from the post, whatever the client sent", async () => {
+    mockPosts();
+    const { quote } = await buildOrderQuote({
+      items: [
+        { productId: BIRYANI, quantity: 2, price: 1 },
+        { productId: KHEER, quantity: 1, price: 1 }
+      ],
+      deliveryMethod: "pickup",
+      discount: 500
+    });
+
+    assert.deepEqual(quote.items.map((line) => line.lineTotal), [300, 40.5]);
+    assert.equal(quote.subtotal, 340.5);
+    assert.equal(quote.tax, calculateTax(340.5));
+    assert.equal(quote.discount, 0);
+    assert.equal(quote.total, roundCurrency(340.5 + quote.tax));
+  });
+
+  it("rejects empty carts, bad quantities and unknown posts", async () => {
+    mockPosts();
+    await assert.rejects(buildOrderQuote({ items: [] }), { statusCode: 400 });
+    await assert.rejects(buildOrderQuote({ items: [{ productId: BIRYANI, quantity: 0 }] }), { statusCode: 400 });
+    await assert.rejects(buildOrderQuote({ items: [{ productId: BIRYANI, quantity: 1.5 }] }), { statusCode: 400 });
+    await assert.rejects(buildOrderQuote({ items: [{ productId: UNKNOWN, quantity: 1 }] }), { statusCode: 404 });
+  });
+
+  it("prices menu items from the menu and caps their portions", async () => {
+    mockPosts();
+    const thali = { _id: THALI, name: "Veg thali", price: 120, seller: { _id: "seller1" }, inStock: true, availability: [] };
+    mock.method(Product, "findOne", () => ({ populate: async () => thali }));
+
+    const { quote } = await buildOrderQuote({
+      items: [
+        { productId: THALI, itemType: "Product", quantity: 2, price: 1 },
+        { productId: KHEER, quantity: 1 }
+      ],
+      deliveryMethod: "pickup"
+    });
+
+    assert.deepEqual(quote.items.map((line) => [line.itemType, line.name, line.lineTotal]), [
+      ["Product", "Veg thali", 240],
+      ["Post", "Kheer", 40.5]
+    ]);
+    assert.equal(quote.items[0].available, menuConfig.maxPortionsPerLine);
+  });
+
+  it("shows menu items that are out of stock as unavailable", async () => {
+    const thali = { _id: THALI, name: "Veg thali", price: 120, seller: { _id: "seller1" }, inStock: false };
+    mock.method(Product, "findOne", () => ({ populate: async () => thali }));
+
+    const { quote } = await buildOrderQuote({ items: [{ productId: THALI, itemType: "Product", quantity: 1 }], deliveryMethod: "pickup" });
+    assert.equal(quote.items[0].available, 0);
+  });
+
+  it("rejects unknown item types", async () => {
+    await assert.rejects(buildOrderQuote({ items: [{ productId: THALI, itemType: "Recipe", quantity: 1 }] }), { statusCode: 400 });
+  });
+});
+
+describe("normalizeTip", () => {
+  it("rounds tips to the cent", () => {
+    assert.equal(normalizeTip("20.456", "standard"), 20.46);
+    assert.equal(normalizeTip(undefined, "standard"), 0);
+  });
+
+  it("ignores tips on pickup orders", () => {
+    assert.equal(normalizeTip(50, "pickup"), 0);
+  });
+
+  it("rejects negative tips and tips over the maximum", () => {
+    assert.throws(() => normalizeTip(-1, "standard"), { statusCode: 400 });
+    assert.throws(() => normalizeTip("lots", "standard"), { statusCode: 400 });
+    assert.throws(() => normalizeTip(pricingConfig.tips.max + 1, "standard"), { statusCode: 400 });
+  });
+});
+
+describe("findTotalsMismatch", () => {
+  const quote = { subtotal: 100, tax: 7, deliveryFee: 49, discount: 0, total: 156 };
+
+  it("accepts totals within the tolerance", () => {
+    assert.deepEqual(findTotalsMismatch({ subtotal: 100, total: 156.001 }, quote), []);
+  });
+
+  it("names the fields that disagree", () => {
+    assert.deepEqual(findTotalsMismatch({ tax: 8, discount: 10, total: 146 }, quote), ["tax", "discount", "total"]);
+  });
+});
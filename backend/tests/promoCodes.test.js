@@ -0,0 +1,169 @@
+import { describe, it, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { Post } from "../models/post.model.js";
+import { PromoCode } from "../models/promoCode.model.js";
+import Order from "../models/order.model.js";
+import Checkout from "../models/checkout.model.js";
+import { buildOrderQuote, calculateTax, roundCurrency } from "../utils/pricing.js";
+import {
+  normalizePromoCode,
+  countUserRedemptions,
+  calculatePromoDiscount,
+  releaseOrderPromoCode
+} from "../utils/promoCodes.js";
+
+const BIRYANI = "64f1a0000000000000000001";
+
+describe("normalizePromoCode", () => {
+  it("trims and upper-cases codes", () => {
+    assert.equal(normalizePromoCode("  welcome10 "), "WELCOME10");
+    assert.equal(normalizePromoCode(undefined), "");
+  });
+});
+
+describe("countUserRedemptions", () => {
+  it("counts only the user's redemptions, whatever type the ids are", () => {
+    const promo = { redemptions: [{ user: { toString: () => "u1" } }, { user: "u2" }, { user: "u1" }] };
+    assert.equal(countUserRedemptions(promo, "u1"), 2);
+    assert.equal(countUserRedemptions(promo, { toString: () => "u2" }), 1);
+  });
+});
+
+describe("calculatePromoDiscount", () => {
+  const posts = new Map([
+    ["p1", { author: "seller1", category: "Lunch" }],
+    ["p2", { author: "seller2", category: "Dessert" }]
+  ]);
+  const lines = [
+    { productId: "p1", lineTotal: 200 },
+    { productId: "p2", lineTotal: 100 }
+  ];
+  const context = { userId: "user1", lines, posts, subtotal: 300, deliveryFee: 49 };
+  const promo = (fields) => ({ isActive: true, minOrderValue: 0, ...fields });
+
+  it("takes a percentage off the subtotal", () => {
+    assert.equal(calculatePromoDiscount(promo({ discountType: "percent", value: 10 }), context), 30);
+  });
+
+  it("caps percentage discounts at maxDiscount", () => {
+    assert.equal(calculatePromoDiscount(promo({ discountType: "percent", value: 50, maxDiscount: 100 }), context), 100);
+  });
+
+  it("never takes more than the subtotal off with a flat discount", () => {
+    assert.equal(calculatePromoDiscount(promo({ discountType: "flat", value: 500 }), context), 300);
+  });
+
+  it("takes the delivery fee off with free delivery", () => {
+    assert.equal(calculatePromoDiscount(promo({ discountType: "free_delivery" }), context), 49);
+    assert.throws(
+      () => calculatePromoDiscount(promo({ discountType: "free_delivery" }), { ...context, deliveryFee: 0 }),
+      { statusCode: 400 }
+    );
+  });
+
+  it("only discounts items in the promo's categories and from its sellers", () => {
+    assert.equal(
+      calculatePromoDiscount(promo({ discountType: "percent", value: 10, categories: ["Dessert"] }), context),
+      10
+    );
+    assert.equal(
+      calculatePromoDiscount(promo({ discountType: "percent", value: 10, sellers: ["seller1"] }), context),
+      20
+    );
+    assert.throws(
+      () => calculatePromoDiscount(promo({ discountType: "percent", value: 10, categories: ["Drinks"] }), context),
+      { statusCode: 400 }
+    );
+  });
+
+  it("rejects inactive, expired and used-up codes", () => {
+    const flat = { discountType: "flat", value: 10 };
+    const rejects = (fields) =>
+      assert.throws(() => calculatePromoDiscount(promo({ ...flat, ...fields }), context), { statusCode: 400 });
+
+    rejects({ isActive: false });
+    rejects({ validFrom: new Date(Date.now() + 60000) });
+    rejects({ validUntil: new Date(Date.now() - 60000) });
+    rejects({ usageLimit: 5, usedCount: 5 });
+    rejects({ perUserLimit: 1, redemptions: [{ user: "user1" }] });
+    rejects({ minOrderValue: 500 });
+  });
+});
+
+describe("buildOrderQuote with a promo code", () => {
+  const posts = { [BIRYANI]: { _id: BIRYANI, caption: "Biryani", price: "200", author: { _id: "seller1" }, category: "Lunch" } };
+
+  afterEach(() => mock.restoreAll());
+
+  const mockLookups = (promo) => {
+    mock.method(Post, "findById", (id) => ({ populate: async () => posts[id] || null }));
+    mock.method(PromoCode, "findOne", async ({ code }) => (promo && code === promo.code ? promo : null));
+  };
+
+  it("takes the discount off the total", async () => {
+    mockLookups({ code: "TENOFF", isActive: true, minOrderValue: 0, discountType: "flat", value: 10 });
+    const { quote } = await buildOrderQuote({
+      items: [{ productId: BIRYANI, quantity: 1 }],
+      deliveryMethod: "pickup",
+      promoCode: "tenoff",
+      userId: "user1"
+    });
+
+    assert.equal(quote.discount, 10);
+    assert.equal(quote.promoCode, "TENOFF");
+    assert.equal(quote.total, roundCurrency(200 + calculateTax(200) - 10));
+  });
+
+  it("reports an unusable code without failing the quote", async () => {
+    mockLookups(null);
+    const { quote } = await buildOrderQuote({
+      items: [{ productId: BIRYANI, quantity: 1 }],
+      deliveryMethod: "pickup",
+      promoCode: "NOPE",
+      userId: "user1"
+    });
+
+    assert.equal(quote.discount, 0);
+    assert.equal(quote.promoCode, null);
+    assert.ok(quote.promoError);
+  });
+});
+
+describe("releaseOrderPromoCode", () => {
+  afterEach(() => mock.restoreAll());
+
+  const PROMO = "64f1a0000000000000000030";
+  const CHECKOUT = "64f1a0000000000000000040";
+  const FIRST = "64f1a0000000000000000041";
+  const SECOND = "64f1a0000000000000000042";
+
+  const mockCheckout = () =>
+    mock.method(Checkout, "findById", () => ({ select: async () => ({ promoCode: PROMO, orders: [FIRST, SECOND] }) }));
+
+  it("keeps the redemption while another order from the checkout is going ahead", async () => {
+    mock.method(Order, "exists", async () => ({ _id: FIRST }));
+    mockCheckout();
+    const updateOne = mock.method(PromoCode, "updateOne", async () => ({ modifiedCount: 1 }));
+
+    assert.equal(await releaseOrderPromoCode({ _id: SECOND, checkout: CHECKOUT }), false);
+    assert.equal(updateOne.mock.callCount(), 0);
+  });
+
+  it("releases the redemption recorded on the first order once the whole checkout is cancelled", async () => {
+    const exists = mock.method(Order, "exists", async () => null);
+    mockCheckout();
+    const updateOne = mock.method(PromoCode, "updateOne", async () => ({ modifiedCount: 1 }));
+
+    assert.equal(await releaseOrderPromoCode({ _id: SECOND, checkout: CHECKOUT }), true);
+    assert.deepEqual(exists.mock.calls[0].arguments[0], { checkout: CHECKOUT, status: { $ne: "cancelled" } });
+    assert.deepEqual(updateOne.mock.calls[0].arguments[0], { _id: PROMO, "redemptions.order": FIRST });
+  });
+
+  it("releases the redemption of an order placed on its own", async () => {
+    const updateOne = mock.method(PromoCode, "updateOne", async () => ({ modifiedCount: 1 }));
+
+    assert.equal(await releaseOrderPromoCode({ _id: FIRST, promoCode: PROMO }), true);
+    assert.deepEqual(updateOne.mock.calls[0].arguments[0], { _id: PROMO, "redemptions.order": FIRST });
+    assert.equal(await releaseOrderPromoCode({ _id: SECOND }), false);
+  });
+});
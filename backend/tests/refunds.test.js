@@ -0,0 +1,206 @@
+import { describe, it, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import refundConfig from "../config/refunds.js";
+import Order from "../models/order.model.js";
+import Refund from "../models/refund.model.js";
+import PaymentTransaction from "../models/paymentTransaction.model.js";
+import {
+  isRefundable,
+  getRemainingRefundable,
+  getCancellationFee,
+  getCancellationQuote,
+  calculateLineRefund,
+  approveRefund,
+  requestRefund
+} from "../utils/refunds.js";
+
+const paidOrder = (fields = {}) => ({
+  _id: "o1",
+  user: "u1",
+  status: "confirmed",
+  paymentStatus: "paid",
+  subtotal: 200,
+  tax: 14,
+  discount: 0,
+  total: 263,
+  refundedAmount: 0,
+  ...fields
+});
+
+describe("refundable amounts", () => {
+  it("only refunds paid orders", () => {
+    assert.ok(isRefundable(paidOrder()));
+    assert.ok(isRefundable(paidOrder({ paymentStatus: "partially_refunded" })));
+    assert.ok(!isRefundable(paidOrder({ paymentStatus: "pending" })));
+    assert.ok(!isRefundable(paidOrder({ paymentStatus: "refunded" })));
+  });
+
+  it("never has less than nothing left to refund", () => {
+    assert.equal(getRemainingRefundable(paidOrder({ refundedAmount: 63 })), 200);
+    assert.equal(getRemainingRefundable(paidOrder({ refundedAmount: 300 })), 0);
+  });
+});
+
+describe("cancellation fees", () => {
+  it("charge the rate for the status the order was cancelled from", () => {
+    const order = paidOrder();
+    assert.equal(getCancellationFee(order, "processing"), 0);
+    assert.equal(getCancellationFee(order, "preparing"), Math.round(263 * refundConfig.cancellationFeeRates.preparing * 100) / 100);
+  });
+
+  it("are quoted against what's left to refund", () => {
+    const fee = getCancellationFee(paidOrder());
+    assert.deepEqual(getCancellationQuote(paidOrder()), {
+      refundable: true,
+      fee,
+      refundAmount: Math.round((263 - fee) * 100) / 100
+    });
+    assert.deepEqual(getCancellationQuote(paidOrder({ paymentStatus: "pending" })), {
+      refundable: false,
+      fee: 0,
+      refundAmount: 0
+    });
+  });
+});
+
+describe("calculateLineRefund", () => {
+  it("refunds the items with their share of the tax, less their share of the discount", () => {
+    const order = paidOrder({ discount: 20 });
+    assert.equal(calculateLineRefund(order, { price: 50 }, 2), 100 + 0.5 * (14 - 20));
+  });
+});
+
+// Evaluates the few aggregation expressions approveRefund's order update uses
+const evaluate = (expr, doc) => {
+  if (expr === "$$NOW") return new Date();
+  if (typeof expr === "string" && expr.startsWith("$")) return doc[expr.slice(1)];
+  if (Array.isArray(expr)) return expr.map((item) => evaluate(item, doc));
+  if (!expr || typeof expr !== "object" || expr instanceof Date || expr._bsontype) return expr;
+
+  const [operator] = Object.keys(expr);
+  const args = expr[operator];
+  switch (operator) {
+    case "$literal": return args;
+    case "$add": return evaluate(args, doc).reduce((sum, value) => sum + value, 0);
+    case "$subtract": { const [a, b] = evaluate(args, doc); return a - b; }
+    case "$lte": { const [a, b] = evaluate(args, doc); return a <= b; }
+    case "$gte": { const [a, b] = evaluate(args, doc); return a >= b; }
+    case "$ifNull": { const [value, fallback] = evaluate(args, doc); return value ?? fallback; }
+    case "$cond": { const [test, then, otherwise] = args; return evaluate(evaluate(test, doc) ? then : otherwise, doc); }
+    case "$concatArrays": return evaluate(args, doc).flat();
+    default: return Object.fromEntries(Object.entries(expr).map(([key, value]) => [key, evaluate(value, doc)]));
+  }
+};
+
+describe("approveRefund", () => {
+  afterEach(() => mock.restoreAll());
+
+  // An order and its pending refunds, kept in memory in place of the collections
+  const mockCollections = (order, refunds) => {
+    mock.method(Order, "findById", async () => ({ ...order }));
+    mock.method(Refund, "findOneAndUpdate", async (filter, update) => {
+      const refund = refunds.find((item) => item._id === filter._id && item.status === filter.status);
+      if (!refund) {
+        return null;
+      }
+      Object.assign(refund, update.$set);
+      return { ...refund };
+    });
+    mock.method(Order, "findOneAndUpdate", async (filter, [stage]) => {
+      if (filter._id !== order._id || !evaluate(filter.$expr, order)) {
+        return null;
+      }
+      Object.assign(order, evaluate(stage.$set, order));
+      return { ...order };
+    });
+    // No recorded payment, so the payout is left to an admin
+    mock.method(PaymentTransaction, "findOne", async () => null);
+    mock.method(Refund, "updateOne", async (filter, update) => {
+      const refund = refunds.find((item) => item._id === filter._id && (!filter.status || item.status === filter.status));
+      Object.assign(refund, update.$set);
+      for (const field of Object.keys(update.$unset || {})) {
+        delete refund[field];
+      }
+    });
+  };
+
+  it("records the refund against the order", async () => {
+    const order = paidOrder();
+    const refund = { _id: "r1", order: "o1", status: "pending", amount: 100, type: "partial" };
+    mockCollections(order, [refund]);
+
+    await approveRefund(refund);
+    assert.equal(refund.status, "approved");
+    assert.equal(refund.payout.status, "manual");
+    assert.equal(order.refundedAmount, 100);
+    assert.equal(order.paymentStatus, "partially_refunded");
+    assert.equal(order.statusHistory.at(-1).note, "Refunded 100 (partial)");
+    assert.equal(order.statusHistory.at(-1).status, "confirmed");
+  });
+
+  it("marks the order refunded once all of it has been refunded", async () => {
+    const order = paidOrder({ refundedAmount: 163 });
+    const refund = { _id: "r1", order: "o1", status: "pending", amount: 100, type: "partial" };
+    mockCollections(order, [refund]);
+
+    await approveRefund(refund);
+    assert.equal(order.paymentStatus, "refunded");
+  });
+
+  it("won't refund more than is left", async () => {
+    const order = paidOrder({ refundedAmount: 200 });
+    const refund = { _id: "r1", order: "o1", status: "pending", amount: 100, type: "partial" };
+    mockCollections(order, [refund]);
+
+    await assert.rejects(approveRefund(refund), { statusCode: 409 });
+    assert.equal(refund.status, "pending");
+  });
+
+  it("won't let refunds approved at once take more than the order's total", async () => {
+    const order = paidOrder();
+    const refunds = [
+      { _id: "r1", order: "o1", status: "pending", amount: 150, type: "partial" },
+      { _id: "r2", order: "o1", status: "pending", amount: 150, type: "dispute" }
+    ];
+    mockCollections(order, refunds);
+
+    const results = await Promise.allSettled(refunds.map((refund) => approveRefund({ ...refund })));
+
+    assert.deepEqual(results.map((result) => result.status), ["fulfilled", "rejected"]);
+    assert.equal(results[1].reason.statusCode, 409);
+    assert.equal(order.refundedAmount, 150);
+    assert.equal(order.paymentStatus, "partially_refunded");
+    // The refund that lost is back waiting for review
+    assert.equal(refunds[1].status, "pending");
+    assert.equal(refunds[1].approvedAmount, undefined);
+  });
+
+  it("won't approve a refund twice", async () => {
+    const order = paidOrder();
+    const refund = { _id: "r1", order: "o1", status: "pending", amount: 100, type: "partial" };
+    mockCollections(order, [refund]);
+
+    await approveRefund(refund);
+    await assert.rejects(approveRefund(refund), { statusCode: 409 });
+    assert.equal(order.refundedAmount, 100);
+  });
+});
+
+describe("requestRefund", () => {
+  const delivered = (fields = {}) =>
+    paidOrder({ status: "delivered", actualDeliveryTime: new Date(), items: [], ...fields });
+
+  it("needs a known type and a reason", async () => {
+    await assert.rejects(requestRefund(delivered(), { type: "other", reason: "Cold" }), { statusCode: 400 });
+    await assert.rejects(requestRefund(delivered(), { type: "dispute", reason: " " }), { statusCode: 400 });
+  });
+
+  it("is only for paid orders that were delivered recently", async () => {
+    const request = { type: "dispute", reason: "Never arrived" };
+    await assert.rejects(requestRefund(delivered({ paymentStatus: "pending" }), request), { statusCode: 409 });
+    await assert.rejects(requestRefund(delivered({ status: "preparing" }), request), { statusCode: 409 });
+
+    const longAgo = new Date(Date.now() - (refundConfig.requestWindowHours + 1) * 60 * 60 * 1000);
+    await assert.rejects(requestRefund(delivered({ actualDeliveryTime: longAgo }), request), { statusCode: 409 });
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import schedulingConfig from "../config/scheduling.js";
+import SlotBooking from "../models/slotBooking.model.js";
+import { User } from "../models/user.model.js";
+import {
+  isTimeOfDay,
+  getSlotSettings,
+  getAvailableSlots,
+  reserveOrderSlots,
+  isDueForAgents
+} from "../utils/slots.js";
+
+const MINUTE = 60 * 1000;
+
+// Today at a time of day, in the server's time zone like the opening hours
+const today = (hours, minutes = 0) => {
+  const date = new Date();
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+};
+
+afterEach(() => mock.restoreAll());
+
+// Sellers and slot bookings kept in memory in place of the collections
+const mockCollections = (sellers, bookings = new Map()) => {
+  mock.method(User, "find", () => ({ select: async () => sellers }));
+  mock.method(SlotBooking, "find", async () =>
+    [...bookings].map(([key, count]) => {
+      const [seller, time] = key.split(":");
+      return { seller, start: new Date(Number(time)), count };
+    })
+  );
+  mock.method(SlotBooking, "findOneAndUpdate", async (filter) => {
+    const key = `${filter.seller}:${filter.start.getTime()}`;
+    const count = bookings.get(key) || 0;
+    if (count >= filter.count.$lt) {
+      // What the unique index does to the upsert of a full slot
+      throw Object.assign(new Error("duplicate key"), { code: 11000 });
+    }
+    bookings.set(key, count + 1);
+  });
+  mock.method(SlotBooking, "updateOne", async (filter) => {
+    const key = `${filter.seller}:${filter.start.getTime()}`;
+    bookings.set(key, bookings.get(key) - 1);
+  });
+  return bookings;
+};
+
+describe("isTimeOfDay", () => {
+  it("accepts HH:mm times only", () => {
+    assert.ok(isTimeOfDay("09:30"));
+    assert.ok(isTimeOfDay("23:59"));
+    assert.ok(!isTimeOfDay("24:00"));
+    assert.ok(!isTimeOfDay("9:30"));
+    assert.ok(!isTimeOfDay(930));
+  });
+});
+
+describe("getSlotSettings", () => {
+  it("fills in the defaults for anything the seller hasn't set", () => {
+    assert.deepEqual(getSlotSettings(null), { enabled: true, ...schedulingConfig.defaults });
+    assert.deepEqual(
+      getSlotSettings({ slotSettings: { enabled: false, capacityPerSlot: 2, openTime: "bad" } }),
+      { ...schedulingConfig.defaults, enabled: false, capacityPerSlot: 2 }
+    );
+  });
+});
+
+describe("getAvailableSlots", () => {
+  const settings = { capacityPerSlot: 2, openTime: "10:00", closeTime: "22:00" };
+
+  it("offers slots inside every seller's hours with the room the fullest one has left", async () => {
+    const firstSlot = today(12);
+    mockCollections(
+      [
+        { _id: "s1", slotSettings: settings },
+        { _id: "s2", slotSettings: { ...settings, openTime: "12:00" } }
+      ],
+      new Map([[`s1:${firstSlot.getTime()}`, 1]])
+    );
+
+    const { enabled, slots } = await getAvailableSlots(["s1", "s2"], today(9));
+    assert.ok(enabled);
+    assert.equal(slots[0].start.getTime(), firstSlot.getTime());
+    assert.equal(slots[0].end.getTime(), firstSlot.getTime() + schedulingConfig.slotMinutes * MINUTE);
+    assert.equal(slots[0].remaining, 1);
+    assert.equal(slots[1].remaining, 2);
+  });
+
+  it("leaves out slots too soon for the kitchen to cook", async () => {
+    mockCollections([{ _id: "s1", slotSettings: settings }]);
+    const now = today(11);
+
+    const { slots } = await getAvailableSlots(["s1"], now);
+    assert.ok(slots[0].start.getTime() >= now.getTime() + schedulingConfig.minLeadMinutes * MINUTE);
+  });
+
+  it("is off when any seller has turned slots off", async () => {
+    mockCollections([
+      { _id: "s1", slotSettings: settings },
+      { _id: "s2", slotSettings: { ...settings, enabled: false } }
+    ]);
+    assert.deepEqual(await getAvailableSlots(["s1", "s2"], today(9)), { enabled: false, slots: [] });
+  });
+});
+
+describe("reserveOrderSlots", () => {
+  const start = today(12);
+  const order = (seller) => ({ seller, scheduledSlot: { start } });
+
+  it("takes a place in each seller's slot", async () => {
+    const bookings = mockCollections([]);
+    const orders = [order("s1"), order("s2")];
+
+    await reserveOrderSlots(orders);
+    assert.equal(bookings.get(`s1:${start.getTime()}`), 1);
+    assert.equal(bookings.get(`s2:${start.getTime()}`), 1);
+    assert.ok(orders.every((item) => item.slotReserved));
+  });
+
+  it("gives back the places it took when one seller's slot is full", async () => {
+    const bookings = mockCollections(
+      [{ _id: "s2", slotSettings: { capacityPerSlot: 1 } }],
+      new Map([[`s2:${start.getTime()}`, 1]])
+    );
+    const orders = [order("s1"), order("s2")];
+
+    await assert.rejects(reserveOrderSlots(orders), { statusCode: 409 });
+    assert.equal(bookings.get(`s1:${start.getTime()}`), 0);
+    assert.equal(bookings.get(`s2:${start.getTime()}`), 1);
+    assert.ok(!orders[0].slotReserved);
+  });
+});
+
+describe("isDueForAgents", () => {
+  it("shows orders to agents only shortly before their slot", () => {
+    const now = new Date();
+    const slotAt = (minutes) => ({ scheduledSlot: { start: new Date(now.getTime() + minutes * MINUTE) } });
+
+    assert.ok(isDueForAgents({}, now));
+    assert.ok(isDueForAgents(slotAt(schedulingConfig.agentLeadMinutes), now));
+    assert.ok(!isDueForAgents(slotAt(schedulingConfig.agentLeadMinutes + 1), now));
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, mock, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import solanaConfig from "../config/solana.js";
+import { toLamports, isValidSignature, recordMockTransfer, verifySolanaTransfer } from "../utils/solana.js";
+
+const PAYER = "7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU";
+const REFERENCE = "65f0c0ffee0000000000abcd";
+
+describe("toLamports", () => {
+  it("converts rupees to lamports at the configured rate", () => {
+    assert.equal(toLamports(solanaConfig.inrPerSol), 1000000000);
+    assert.equal(toLamports(0), 0);
+  });
+});
+
+describe("verifySolanaTransfer against the mock ledger", () => {
+  let rpcUrl;
+  before(() => {
+    rpcUrl = solanaConfig.rpcUrl;
+    solanaConfig.rpcUrl = "mock";
+  });
+  after(() => {
+    solanaConfig.rpcUrl = rpcUrl;
+  });
+
+  const send = (fields = {}) => recordMockTransfer({
+    payer: PAYER,
+    recipient: solanaConfig.recipientWallet,
+    lamports: 5000000,
+    memo: REFERENCE,
+    ...fields
+  });
+
+  it("accepts a transfer to the store's wallet for the order", async () => {
+    const signature = send();
+    assert.ok(isValidSignature(signature));
+    assert.deepEqual(
+      await verifySolanaTransfer({ signature, reference: REFERENCE, lamports: 5000000 }),
+      { payer: PAYER, lamports: 5000000 }
+    );
+  });
+
+  it("allows for wallet rounding up to the tolerance", async () => {
+    const signature = send({ lamports: 5000000 - solanaConfig.lamportTolerance });
+    await assert.doesNotReject(verifySolanaTransfer({ signature, reference: REFERENCE, lamports: 5000000 }));
+  });
+
+  it("rejects transfers that are too small, for another order or to another wallet", async () => {
+    const small = send({ lamports: 4000000 });
+    await assert.rejects(verifySolanaTransfer({ signature: small, reference: REFERENCE, lamports: 5000000 }), {
+      statusCode: 400
+    });
+
+    const otherOrder = send({ memo: "someone-else" });
+    await assert.rejects(verifySolanaTransfer({ signature: otherOrder, reference: REFERENCE, lamports: 5000000 }), {
+      statusCode: 400
+    });
+
+    const otherWallet = send({ recipient: PAYER });
+    await assert.rejects(verifySolanaTransfer({ signature: otherWallet, reference: REFERENCE, lamports: 5000000 }), {
+      statusCode: 400
+    });
+  });
+
+  it("rejects malformed signatures and ones it can't find", async () => {
+    await assert.rejects(verifySolanaTransfer({ signature: "abc", reference: REFERENCE, lamports: 1 }), {
+      statusCode: 400
+    });
+    await assert.rejects(verifySolanaTransfer({ signature: "1".repeat(88), reference: REFERENCE, lamports: 1 }), {
+      statusCode: 404
+    });
+  });
+});
+
+describe("verifySolanaTransfer against an RPC endpoint", () => {
+  afterEach(() => mock.restoreAll());
+
+  const respond = (result, ok = true) =>
+    mock.method(globalThis, "fetch", async () => ({ ok, status: ok ? 200 : 500, json: async () => ({ result }) }));
+
+  it("reads the transfer from getTransaction", async () => {
+    respond({
+      meta: { err: null },
+      transaction: {
+        message: {
+          instructions: [
+            { program: "system", parsed: { type: "transfer", info: { source: PAYER, destination: solanaConfig.recipientWallet, lamports: 7000 } } },
+            { program: "spl-memo", parsed: REFERENCE }
+          ]
+        }
+      }
+    });
+    assert.deepEqual(
+      await verifySolanaTransfer({ signature: "2".repeat(88), reference: REFERENCE, lamports: 7000 }),
+      { payer: PAYER, lamports: 7000 }
+    );
+  });
+
+  it("rejects transactions that failed on chain", async () => {
+    respond({ meta: { err: { InstructionError: [0, "Custom"] } }, transaction: { message: { instructions: [] } } });
+    await assert.rejects(verifySolanaTransfer({ signature: "2".repeat(88), reference: REFERENCE, lamports: 1 }), {
+      statusCode: 400
+    });
+  });
+
+  it("reports RPC errors as a bad gateway", async () => {
+    respond(null, false);
+    await assert.rejects(verifySolanaTransfer({ signature: "2".repeat(88), reference: REFERENCE, lamports: 1 }), {
+      statusCode: 502
+    });
+  });
+});
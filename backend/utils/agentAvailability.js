@@ -0,0 +1,141 @@
+import ServiceZone from "../models/serviceZone.model.js";
+import createError from "./error.js";
+import dispatchConfig from "../config/dispatch.js";
+import { isTimeOfDay, weeklyWindowCovers } from "./slots.js";
+import { hasCoordinates, isPointInArea } from "./geo.js";
+
+/**
+ * When and where a delivery agent works, and how many orders they can carry
+ * at once. Agents who haven't set any shifts work whenever they're marked
+ * available, and agents who haven't picked any zones pick up anywhere.
+ */
+
+const MAX_SHIFTS = 21;
+
+// Minutes since midnight for a "HH:mm" time of day
+const toMinutes = (value) => {
+  const [hours, minutes] = value.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Validates the weekly shifts an agent sends
+ * @param {Array} shifts - [{ day: 0-6 (Sunday first), start: "HH:mm", end: "HH:mm" }]
+ * @returns {Array} Shifts in week order
+ * @throws 400 for anything malformed
+ */
+export const normalizeShifts = (shifts) => {
+  if (!Array.isArray(shifts)) {
+    throw createError(400, "Shifts must be a list");
+  }
+  if (shifts.length > MAX_SHIFTS) {
+    throw createError(400, `You can set at most ${MAX_SHIFTS} shifts a week`);
+  }
+
+  return shifts
+    .map((shift) => {
+      const day = Number(shift?.day);
+      if (!Number.isInteger(day) || day < 0 || day > 6) {
+        throw createError(400, "Shift day must be 0 (Sunday) to 6 (Saturday)");
+      }
+      if (!isTimeOfDay(shift.start) || !isTimeOfDay(shift.end)) {
+        throw createError(400, "Shift times must be in HH:mm format");
+      }
+      if (shift.start === shift.end) {
+        throw createError(400, "A shift can't end at the time it starts");
+      }
+      return { day, start: shift.start, end: shift.end };
+    })
+    .sort((a, b) => a.day - b.day || toMinutes(a.start) - toMinutes(b.start));
+};
+
+/**
+ * Checks whether an agent is on one of their shifts
+ * @param {Object} agent - DeliveryAgent
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isOnShift = (agent, now = new Date()) =>
+  !agent.shifts?.length || agent.shifts.some((shift) => weeklyWindowCovers(shift, now));
+
+/**
+ * How many orders an agent can carry at once, by vehicle
+ * @param {Object} agent - DeliveryAgent
+ * @returns {number}
+ */
+export const getAgentCapacity = (agent) =>
+  dispatchConfig.maxActiveOrdersByVehicle[agent.vehicleType] ?? dispatchConfig.maxActiveOrders;
+
+/**
+ * Whether an agent can take on another order right now, zones aside
+ * @param {Object} agent - DeliveryAgent
+ * @param {Date} [now]
+ * @returns {Object} { onShift, load, capacity, canTakeOrders, reason }
+ */
+export const getAgentWorkStatus = (agent, now = new Date()) => {
+  const load = agent.activeOrders?.length || 0;
+  const capacity = getAgentCapacity(agent);
+  const onShift = isOnShift(agent, now);
+
+  let reason = null;
+  if (!onShift) {
+    reason = "off_shift";
+  } else if (load >= capacity) {
+    reason = "at_capacity";
+  }
+
+  return { onShift, load, capacity, canTakeOrders: !reason, reason };
+};
+
+/**
+ * The active zones an agent works in
+ * @param {Object} agent - DeliveryAgent
+ * @returns {Promise<Object[]|null>} ServiceZone documents, or null if the agent works anywhere
+ */
+export const loadAgentZones = async (agent) => {
+  if (!agent.zones?.length) {
+    return null;
+  }
+  return ServiceZone.find({ _id: { $in: agent.zones }, isActive: true }).select("name area");
+};
+
+/**
+ * Checks an order's pickup point against an agent's zones. Orders without
+ * pickup coordinates can't be placed in a zone, so they aren't held back.
+ * @param {Object} order - Order
+ * @param {Object[]|null} zones - From loadAgentZones
+ * @returns {boolean}
+ */
+export const isPickupInZones = (order, zones) =>
+  zones === null || !hasCoordinates(order.pickupLocation) ||
+  zones.some((zone) => isPointInArea(order.pickupLocation, zone.area));
+
+/**
+ * Makes sure an agent is on shift, has room for another order and works in
+ * the zone the order is picked up from
+ * @param {Object} agent - DeliveryAgent document
+ * @param {Object} order - Order document
+ * @param {Object} [options]
+ * @param {boolean} [options.byAdmin] - Word the errors for an admin assigning the agent
+ * @throws 409 naming the constraint that isn't met
+ */
+export const assertAgentCanTakeOrder = async (agent, order, { byAdmin = false } = {}) => {
+  const { reason, capacity } = getAgentWorkStatus(agent);
+
+  if (reason === "off_shift") {
+    throw createError(409, byAdmin
+      ? "This agent isn't on shift right now"
+      : "You're outside your shift hours. Update your shifts to take orders now");
+  }
+  if (reason === "at_capacity") {
+    throw createError(409, byAdmin
+      ? `This agent already has ${capacity} active orders, the most for a ${agent.vehicleType}`
+      : `You already have ${capacity} active orders, the most for a ${agent.vehicleType}. Finish one first`);
+  }
+
+  if (!isPickupInZones(order, await loadAgentZones(agent))) {
+    throw createError(409, byAdmin
+      ? "This order is picked up outside the agent's zones"
+      : "This order is picked up outside your zones");
+  }
+};
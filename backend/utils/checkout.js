@@ -0,0 +1,339 @@
+import Order from "../models/order.model.js";
+import Checkout from "../models/checkout.model.js";
+import { User } from "../models/user.model.js";
+import createError from "./error.js";
+import { roundCurrency } from "./pricing.js";
+import { reserveStock, releaseStock } from "./inventory.js";
+import { getEligibleSubtotal, redeemPromoCode, releasePromoRedemption } from "./promoCodes.js";
+import { reserveOrderSlots, releaseSlotReservations } from "./slots.js";
+import { generateDeliveryOtp } from "./deliveryProof.js";
+import { getCatalogSeller } from "./menu.js";
+
+// Order statuses from least to most advanced
+const ORDER_PROGRESS = [
+  "processing",
+  "confirmed",
+  "preparing",
+  "agent_assigned",
+  "arrived_at_pickup",
+  "picked_up",
+  "out_for_delivery",
+  "delivered"
+];
+
+/**
+ * Splits an amount across weights, rounding each share to the cent.
+ * Rounding leftovers go to the last share so the shares always add up to the amount.
+ * @param {number} amount - Amount to split
+ * @param {number[]} weights - Relative weight of each share
+ * @returns {number[]} Shares in the same order as the weights
+ */
+export const allocateAmount = (amount, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  let remaining = roundCurrency(amount);
+
+  return weights.map((weight, index) => {
+    if (index === weights.length - 1) {
+      return remaining;
+    }
+    const share = totalWeight > 0
+      ? roundCurrency(amount * (weight / totalWeight))
+      : roundCurrency(amount / weights.length);
+    remaining = roundCurrency(remaining - share);
+    return share;
+  });
+};
+
+/**
+ * Groups priced order lines by the seller of each post or menu item
+ * @param {Array} lines - Quote lines with productId
+ * @param {Map} posts - Posts and menu items keyed by id, with their seller populated
+ * @returns {Array<{sellerId: string, seller: Object, lines: Array}>} One group per seller
+ */
+export const groupLinesBySeller = (lines, posts) => {
+  const groups = new Map();
+
+  for (const line of lines) {
+    const seller = getCatalogSeller(posts.get(line.productId.toString()));
+    const sellerId = seller?._id?.toString() || seller?.toString() || "unknown";
+
+    if (!groups.has(sellerId)) {
+      groups.set(sellerId, { sellerId, seller, lines: [] });
+    }
+    groups.get(sellerId).lines.push(line);
+  }
+
+  return Array.from(groups.values());
+};
+
+/**
+ * Weighs each seller group's share of a promo discount by the items the code applies to.
+ * Free delivery codes follow the delivery fee, which is split by subtotal.
+ * @param {Object|null} promo - PromoCode document
+ * @param {Array} groups - Seller groups from groupLinesBySeller
+ * @param {Map} posts - Posts and menu items keyed by id
+ * @returns {number[]} One weight per group
+ */
+export const getDiscountWeights = (promo, groups, posts) => {
+  const subtotals = groups.map((group) => group.lines.reduce((sum, line) => sum + line.lineTotal, 0));
+  if (!promo || promo.discountType === "free_delivery") {
+    return subtotals;
+  }
+
+  const eligible = groups.map((group) => getEligibleSubtotal(promo, group.lines, posts));
+  return eligible.some((subtotal) => subtotal > 0) ? eligible : subtotals;
+};
+
+/**
+ * Works out the status a customer sees for a set of sub-orders:
+ * the least advanced active sub-order, delivered once every active one is delivered,
+ * or cancelled when all of them were cancelled.
+ * @param {string[]} statuses - Sub-order statuses
+ * @returns {string} Combined status
+ */
+export const getCombinedStatus = (statuses) => {
+  const active = statuses.filter((status) => status !== "cancelled");
+  if (active.length === 0) {
+    return "cancelled";
+  }
+
+  return active.reduce((least, status) => {
+    const rank = ORDER_PROGRESS.indexOf(status);
+    return rank !== -1 && rank < ORDER_PROGRESS.indexOf(least) ? status : least;
+  }, "delivered");
+};
+
+/**
+ * Places a priced cart as a checkout with one order per seller.
+ * Stock, scheduled slot places and the promo code are reserved before anything
+ * is saved, and rolled back if saving fails.
+ * @param {Object} options
+ * @param {string} options.userId - Customer placing the order
+ * @param {Object} options.quote - Quote produced by buildOrderQuote
+ * @param {Map} options.posts - Posts and menu items loaded for the quote
+ * @param {Object} [options.promo] - Promo code applied to the quote
+ * @param {Object} options.details - Fields shared by every sub-order (deliveryAddress,
+ *   deliveryLocation, deliveryMethod, deliveryInstructions, contactNumber, paymentMethod, paymentStatus,
+ *   and scheduledSlot for pre-orders)
+ * @param {number[]} [options.fallbackPickupCoordinates] - Used when a seller has no saved location
+ * @returns {Promise<{checkout: Object, orders: Array}>} The saved checkout and its orders
+ */
+export const placeCheckout = async ({ userId, quote, posts, promo = null, details, fallbackPickupCoordinates }) => {
+  const groups = groupLinesBySeller(quote.items, posts);
+
+  // Split tax, delivery fee and tip in proportion to each seller's share of the subtotal,
+  // and the discount across the sellers whose items the promo code applies to
+  const weights = groups.map((group) => group.lines.reduce((sum, line) => sum + line.lineTotal, 0));
+  const taxShares = allocateAmount(quote.tax, weights);
+  const deliveryFeeShares = allocateAmount(quote.deliveryFee, weights);
+  const discountShares = allocateAmount(quote.discount, getDiscountWeights(promo, groups, posts));
+  const tipShares = allocateAmount(quote.tip || 0, weights);
+
+  // Each kitchen is its own pickup point
+  const sellers = await User.find({
+    _id: { $in: groups.map((group) => group.sellerId).filter((id) => id !== "unknown") }
+  }).select("location");
+  const sellerLocations = new Map(sellers.map((seller) => [seller._id.toString(), seller.location?.coordinates]));
+
+  const checkout = new Checkout({
+    user: userId,
+    deliveryAddress: details.deliveryAddress,
+    deliveryMethod: details.deliveryMethod,
+    scheduledSlot: details.scheduledSlot,
+    paymentMethod: details.paymentMethod,
+    subtotal: quote.subtotal,
+    tax: quote.tax,
+    deliveryFee: quote.deliveryFee,
+    discount: quote.discount,
+    tip: quote.tip || 0,
+    total: quote.total,
+    promoCodeApplied: quote.promoCode || undefined,
+    promoCode: promo ? promo._id : undefined
+  });
+
+  const orders = groups.map((group, index) => {
+    const subtotal = roundCurrency(weights[index]);
+    const tax = taxShares[index];
+    const deliveryFee = deliveryFeeShares[index];
+    const discount = discountShares[index];
+    const tip = tipShares[index];
+
+    const sellerCoordinates = sellerLocations.get(group.sellerId);
+    const hasSellerLocation = sellerCoordinates && (sellerCoordinates[0] !== 0 || sellerCoordinates[1] !== 0);
+
+    // Every kitchen gets its own pickup code for pickup orders
+    const isPickup = details.deliveryMethod === 'pickup';
+
+    return new Order({
+      user: userId,
+      checkout: checkout._id,
+      seller: group.sellerId !== "unknown" ? group.sellerId : undefined,
+      items: group.lines.map(({ productId, itemType, name, price, quantity }) => ({ productId, itemType, name, price, quantity })),
+      deliveryAddress: details.deliveryAddress,
+      pickupLocation: {
+        type: "Point",
+        coordinates: hasSellerLocation ? sellerCoordinates : (fallbackPickupCoordinates || [0, 0])
+      },
+      deliveryLocation: details.deliveryLocation,
+      deliveryMethod: details.deliveryMethod,
+      deliveryInstructions: details.deliveryInstructions,
+      contactNumber: details.contactNumber,
+      scheduledSlot: details.scheduledSlot,
+      subtotal,
+      tax,
+      deliveryFee,
+      discount,
+      tip,
+      total: roundCurrency(subtotal + tax + deliveryFee - discount + tip),
+      promoCodeApplied: discount > 0 ? quote.promoCode : undefined,
+      promoCode: promo && discount > 0 ? promo._id : undefined,
+      status: 'processing',
+      paymentMethod: details.paymentMethod,
+      paymentStatus: details.paymentStatus,
+      statusHistory: [{
+        status: 'processing',
+        timestamp: new Date(),
+        note: groups.length > 1 ? `Order received (part ${index + 1} of ${groups.length})` : 'Order received'
+      }],
+      pickupCode: isPickup ? Math.floor(1000 + Math.random() * 9000).toString() : null,
+      pickupCodeExpiresAt: isPickup ? new Date(Date.now() + 24 * 60 * 60 * 1000) : null,
+      deliveryProof: isPickup ? undefined : { otp: generateDeliveryOtp() },
+      stockReserved: true
+    });
+  });
+
+  checkout.orders = orders.map((order) => order._id);
+
+  // Reserve stock first so sellers can't sell more portions than they have
+  await reserveStock(quote.items);
+
+  // Scheduled orders also take a place in each kitchen's slot
+  try {
+    await reserveOrderSlots(orders);
+  } catch (slotError) {
+    await releaseStock(quote.items);
+    throw slotError;
+  }
+
+  // Record the promo code redemption before saving so usage limits can't be exceeded.
+  // The redemption is recorded against the checkout's first order.
+  if (promo) {
+    const redeemed = await redeemPromoCode(promo, {
+      userId,
+      orderId: orders[0]._id,
+      discount: quote.discount
+    });
+    if (!redeemed) {
+      await releaseStock(quote.items);
+      await releaseSlotReservations(orders);
+      throw createError(409, "This promo code has reached its usage limit");
+    }
+  }
+
+  let savedOrders;
+  try {
+    savedOrders = await Order.insertMany(orders);
+    await checkout.save();
+  } catch (saveError) {
+    await Order.deleteMany({ checkout: checkout._id });
+    await releaseStock(quote.items);
+    await releaseSlotReservations(orders);
+    if (promo) {
+      await releasePromoRedemption(promo._id, orders[0]._id);
+    }
+    throw saveError;
+  }
+
+  return { checkout, orders: savedOrders };
+};
+
+/**
+ * Looks up the orders behind an id that may belong to an order or to a checkout
+ * @param {string} id - Order or checkout ID
+ * @returns {Promise<{checkout: Object|null, orders: Array}>} The checkout (when the id was one) and its orders
+ */
+export const findOrdersByOrderOrCheckoutId = async (id) => {
+  const order = await Order.findById(id);
+  if (order) {
+    return { checkout: null, orders: [order] };
+  }
+
+  const checkout = await Checkout.findById(id);
+  if (!checkout) {
+    return { checkout: null, orders: [] };
+  }
+
+  const orders = await Order.find({ checkout: checkout._id }).sort({ createdAt: 1 });
+  return { checkout, orders };
+};
+
+/**
+ * Builds the single order a customer sees for a checkout that was split between sellers
+ * @param {Object} checkout - Checkout document
+ * @param {Array} subOrders - The checkout's orders, already formatted for the response
+ * @returns {Object} Combined order with the per-seller orders under subOrders
+ */
+export const summarizeCheckout = (checkout, subOrders) => {
+  const [first] = subOrders;
+
+  return {
+    _id: checkout._id,
+    isCombined: true,
+    user: checkout.user,
+    items: subOrders.flatMap((order) => order.items.map((item) => ({ ...item, seller: order.seller }))),
+    deliveryAddress: checkout.deliveryAddress,
+    deliveryMethod: checkout.deliveryMethod,
+    scheduledSlot: checkout.scheduledSlot,
+    paymentMethod: checkout.paymentMethod,
+    deliveryInstructions: first?.deliveryInstructions,
+    contactNumber: first?.contactNumber,
+    subtotal: checkout.subtotal,
+    tax: checkout.tax,
+    deliveryFee: checkout.deliveryFee,
+    discount: checkout.discount,
+    tip: checkout.tip,
+    total: checkout.total,
+    promoCodeApplied: checkout.promoCodeApplied,
+    status: getCombinedStatus(subOrders.map((order) => order.status)),
+    paymentStatus: first?.paymentStatus,
+    createdAt: checkout.createdAt,
+    updatedAt: subOrders.reduce(
+      (latest, order) => (order.updatedAt > latest ? order.updatedAt : latest),
+      checkout.updatedAt
+    ),
+    subOrders
+  };
+};
+
+/**
+ * Replaces the orders of multi-seller checkouts in a list with one combined entry each,
+ * keeping the list's order
+ * @param {Array} orders - Orders formatted for the response (with a checkout field)
+ * @returns {Promise<Array>} Orders and combined checkouts
+ */
+export const combineCheckoutOrders = async (orders) => {
+  const checkoutIds = [...new Set(orders.filter((order) => order.checkout).map((order) => order.checkout.toString()))];
+  const checkouts = await Checkout.find({ _id: { $in: checkoutIds }, "orders.1": { $exists: true } });
+  const checkoutsById = new Map(checkouts.map((checkout) => [checkout._id.toString(), checkout]));
+
+  const combined = [];
+  const groups = new Map();
+
+  for (const order of orders) {
+    const checkoutId = order.checkout?.toString();
+    if (!checkoutId || !checkoutsById.has(checkoutId)) {
+      combined.push(order);
+      continue;
+    }
+
+    if (!groups.has(checkoutId)) {
+      groups.set(checkoutId, []);
+      combined.push(checkoutId);
+    }
+    groups.get(checkoutId).push(order);
+  }
+
+  return combined.map((entry) =>
+    typeof entry === "string" ? summarizeCheckout(checkoutsById.get(entry), groups.get(entry)) : entry
+  );
+};
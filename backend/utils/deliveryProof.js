@@ -0,0 +1,109 @@
+import { randomInt } from "crypto";
+import sharp from "sharp";
+import Order from "../models/order.model.js";
+import cloudinary from "../cloudinaryConfig.js";
+import createError from "./error.js";
+import deliveryProofConfig from "../config/deliveryProof.js";
+import { hasCoordinates, distanceBetween } from "./geo.js";
+
+/**
+ * A fresh delivery code for the customer to give the agent at the door
+ * @returns {string} deliveryProofConfig.otpLength digits
+ */
+export const generateDeliveryOtp = () =>
+  Array.from({ length: deliveryProofConfig.otpLength }, () => randomInt(10)).join("");
+
+/**
+ * How far an agent is from an order's delivery address
+ * @param {Object} order - Order document
+ * @param {Object} agent - DeliveryAgent document
+ * @returns {number|null} Metres, or null when either location is unknown
+ */
+export const distanceFromDropoff = (order, agent) => {
+  if (!hasCoordinates(order.deliveryLocation) || !hasCoordinates(agent.currentLocation)) {
+    return null;
+  }
+  return Math.round(distanceBetween(agent.currentLocation, order.deliveryLocation));
+};
+
+/**
+ * Checks the code the customer gave the agent. Wrong codes are counted on the
+ * order, and once deliveryProofConfig.maxOtpAttempts are used up only an admin
+ * can complete the delivery.
+ * @param {Object} order - Order document loaded with +deliveryProof.otp
+ * @param {string} [otp] - Code entered by the agent
+ * @returns {Promise<string>} Proof method to record: "otp", or "none" for orders
+ *   placed before delivery codes existed
+ */
+export const verifyDeliveryOtp = async (order, otp) => {
+  if (!order.deliveryProof?.otp) {
+    return "none";
+  }
+
+  const attempts = order.deliveryProof.otpAttempts || 0;
+  if (attempts >= deliveryProofConfig.maxOtpAttempts) {
+    throw createError(429, "Too many wrong delivery codes. Contact support to complete this delivery");
+  }
+
+  const enteredOtp = otp === undefined || otp === null ? "" : String(otp).trim();
+  if (!enteredOtp) {
+    throw createError(400, "Enter the delivery code the customer gives you");
+  }
+
+  if (enteredOtp !== order.deliveryProof.otp) {
+    await Order.updateOne({ _id: order._id }, { $inc: { "deliveryProof.otpAttempts": 1 } });
+    const attemptsLeft = deliveryProofConfig.maxOtpAttempts - attempts - 1;
+    throw createError(
+      400,
+      attemptsLeft > 0
+        ? `That delivery code doesn't match. ${attemptsLeft} ${attemptsLeft === 1 ? "try" : "tries"} left`
+        : "That delivery code doesn't match. Contact support to complete this delivery"
+    );
+  }
+
+  return "otp";
+};
+
+/**
+ * Uploads the photo an agent took at the door to Cloudinary
+ * @param {Object} file - Multer file kept in memory
+ * @param {string} orderId - Order the photo proves
+ * @returns {Promise<{url: string, publicId: string}>}
+ */
+export const uploadDeliveryPhoto = async (file, orderId) => {
+  if (!file.mimetype?.startsWith("image/")) {
+    throw createError(400, "The delivery photo must be an image");
+  }
+  if (file.size > deliveryProofConfig.maxPhotoSizeMb * 1024 * 1024) {
+    throw createError(413, `The delivery photo must be under ${deliveryProofConfig.maxPhotoSizeMb} MB`);
+  }
+
+  let imageBuffer;
+  try {
+    // rotate() applies the phone's EXIF orientation before it's stripped
+    imageBuffer = await sharp(file.buffer)
+      .rotate()
+      .resize({ width: 1280, height: 1280, fit: "inside" })
+      .toFormat("jpeg", { quality: 80 })
+      .toBuffer();
+  } catch (error) {
+    console.error("Error reading delivery photo:", error);
+    throw createError(400, "We couldn't read that photo. Try taking it again");
+  }
+
+  try {
+    const cloudResponse = await cloudinary.uploader.upload(
+      `data:image/jpeg;base64,${imageBuffer.toString("base64")}`,
+      {
+        resource_type: "image",
+        folder: "deliveries/proof",
+        public_id: `order_${orderId}_${Date.now()}`,
+        timeout: 60000
+      }
+    );
+    return { url: cloudResponse.secure_url, publicId: cloudResponse.public_id };
+  } catch (error) {
+    console.error("Error uploading delivery photo:", error);
+    throw createError(502, "Couldn't upload the delivery photo. Try again");
+  }
+};
@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+import DeliveryRating from "../models/deliveryRating.model.js";
+import DeliveryAgent from "../models/deliveryAgent.model.js";
+import Order from "../models/order.model.js";
+import createError from "./error.js";
+
+/**
+ * Records a customer's rating of the agent who delivered an order and folds it
+ * into the agent's running average
+ * @param {Object} order - Delivered order with a delivery agent
+ * @param {Object} review - { userId, rating, tags, comment }
+ * @returns {Promise<Object>} The saved DeliveryRating
+ */
+export const recordDeliveryRating = async (order, { userId, rating, tags = [], comment }) => {
+  let review;
+  try {
+    review = await DeliveryRating.create({
+      order: order._id,
+      agent: order.deliveryAgent,
+      user: userId,
+      rating,
+      tags: [...new Set(tags)],
+      comment
+    });
+  } catch (error) {
+    // The unique index on order stops a second rating slipping in between checks
+    if (error.code === 11000) {
+      throw createError(409, "You've already rated this delivery");
+    }
+    if (error instanceof mongoose.Error.ValidationError) {
+      throw createError(400, Object.values(error.errors)[0].message);
+    }
+    throw error;
+  }
+
+  // Averaged in the update itself so concurrent ratings can't overwrite each other
+  await DeliveryAgent.updateOne({ _id: order.deliveryAgent }, [
+    {
+      $set: {
+        rating: {
+          $divide: [
+            { $add: [{ $multiply: ["$rating", "$totalRatings"] }, rating] },
+            { $add: ["$totalRatings", 1] }
+          ]
+        },
+        totalRatings: { $add: ["$totalRatings", 1] }
+      }
+    }
+  ]);
+  await Order.updateOne({ _id: order._id }, { deliveryRating: review._id });
+
+  return review;
+};
+
+/**
+ * How an agent's ratings break down by stars and by tag
+ * @param {string} agentId - DeliveryAgent _id
+ * @returns {Promise<{distribution: Object, tags: Object}>} Counts keyed by star and by tag
+ */
+export const summarizeAgentRatings = async (agentId) => {
+  const agent = new mongoose.Types.ObjectId(agentId);
+  const [byStars, byTag] = await Promise.all([
+    DeliveryRating.aggregate([
+      { $match: { agent } },
+      { $group: { _id: "$rating", count: { $sum: 1 } } }
+    ]),
+    DeliveryRating.aggregate([
+      { $match: { agent } },
+      { $unwind: "$tags" },
+      { $group: { _id: "$tags", count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ])
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  byStars.forEach(({ _id, count }) => {
+    distribution[_id] = count;
+  });
+
+  return {
+    distribution,
+    tags: Object.fromEntries(byTag.map(({ _id, count }) => [_id, count]))
+  };
+};
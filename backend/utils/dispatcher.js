@@ -0,0 +1,567 @@
+import mongoose from "mongoose";
+import Order from "../models/order.model.js";
+import DeliveryAgent from "../models/deliveryAgent.model.js";
+import createError from "./error.js";
+import dispatchConfig from "../config/dispatch.js";
+import { transitionOrder } from "./orderStateMachine.js";
+import { agentVisibleSlotFilter, isDueForAgents } from "./slots.js";
+import { isPaymentSettled, settledPaymentFilter } from "./paymentDeadline.js";
+import { hasCoordinates } from "./geo.js";
+import { findZonesContaining } from "./serviceZones.js";
+import { isOnShift, getAgentCapacity, assertAgentCanTakeOrder } from "./agentAvailability.js";
+import { io, getReceiverSocketId } from "../socket/socket.js";
+
+/**
+ * Automatic dispatch. When a delivery order is confirmed it's offered to one
+ * agent at a time, best first; each offer runs out after
+ * dispatchConfig.offerTimeoutSeconds and then moves on to the next agent.
+ * Agents who decline are never offered that order again.
+ *
+ * The offer chain lives on order.dispatch, so it survives restarts: timers
+ * only speed things up, and a periodic sweep picks up whatever they missed.
+ */
+
+const SECOND = 1000;
+
+// Statuses in which an order can be handed to an agent (see orderStateMachine)
+const DISPATCHABLE_STATUSES = ["confirmed", "preparing"];
+
+// Offer timeouts by order id
+const offerTimers = new Map();
+let sweepTimer = null;
+
+const clearOfferTimer = (orderId) => {
+  const key = orderId.toString();
+  clearTimeout(offerTimers.get(key));
+  offerTimers.delete(key);
+};
+
+// Orders still waiting on an up-front payment aren't offered to anyone
+const needsAgent = (order) =>
+  order.deliveryMethod !== "pickup" &&
+  !order.deliveryAgent &&
+  DISPATCHABLE_STATUSES.includes(order.status) &&
+  isPaymentSettled(order);
+
+const hasValidPickup = (order) => hasCoordinates(order.pickupLocation);
+
+// Sends an event to an agent's own socket
+const notifyAgent = (agent, event, payload) => {
+  const socketId = getReceiverSocketId((agent.user?._id || agent.user).toString());
+  if (socketId) {
+    io.to(socketId).emit(event, payload);
+  }
+  return !!socketId;
+};
+
+/**
+ * Query clause that hides orders currently offered to someone else from an
+ * agent's order lists
+ * @param {Object} agentId - DeliveryAgent _id
+ * @param {Date} [now]
+ * @returns {Object} Filter to combine (with $and) into an Order query
+ */
+export const offerVisibilityFilter = (agentId, now = new Date()) => ({
+  $or: [
+    { "dispatch.status": { $ne: "offered" } },
+    { "dispatch.currentAgent": agentId },
+    { "dispatch.expiresAt": { $lte: now } }
+  ]
+});
+
+/**
+ * Scores one agent for an order. Each factor is scaled to 0-1: closer is
+ * better, more room for orders is better, higher rating is better.
+ * @param {Object} agent - Agent with distance (metres), load (active orders) and capacity
+ * @returns {number}
+ */
+export const scoreAgent = ({ distance, load, capacity, rating, totalRatings }) => {
+  const { weights, searchRadiusMeters, defaultRating } = dispatchConfig;
+  const distanceScore = Math.max(0, 1 - distance / searchRadiusMeters);
+  const loadScore = Math.max(0, 1 - load / capacity);
+  const ratingScore = (totalRatings > 0 ? rating : defaultRating) / 5;
+
+  const score = weights.distance * distanceScore + weights.load * loadScore + weights.rating * ratingScore;
+  return Math.round(score * 1000) / 1000;
+};
+
+/**
+ * Ranks the verified, available agents near an order's pickup point who are
+ * on shift, work in its zone and have room for another order
+ * @param {Object} order - Order document
+ * @param {Object} [options]
+ * @param {Array} [options.exclude] - DeliveryAgent ids to leave out
+ * @returns {Promise<Array>} Agents, best first, with distance, load, capacity, score and online
+ */
+export const rankAgents = async (order, { exclude = [] } = {}) => {
+  if (!hasValidPickup(order)) {
+    return [];
+  }
+
+  const now = new Date();
+  const zoneIds = (await findZonesContaining(order.pickupLocation)).map((zone) => zone._id);
+
+  const agents = await DeliveryAgent.aggregate([
+    {
+      $geoNear: {
+        near: { type: "Point", coordinates: order.pickupLocation.coordinates },
+        distanceField: "distance",
+        maxDistance: dispatchConfig.searchRadiusMeters,
+        spherical: true,
+        query: {
+          isVerified: true,
+          isAvailable: true,
+          _id: { $nin: exclude.map((id) => new mongoose.Types.ObjectId(id)) },
+          rejectedOrders: { $ne: order._id },
+          // Agents without zones work anywhere
+          $or: [{ "zones.0": { $exists: false } }, { zones: { $in: zoneIds } }]
+        }
+      }
+    },
+    { $addFields: { load: { $size: { $ifNull: ["$activeOrders", []] } } } },
+    { $lookup: { from: "users", localField: "user", foreignField: "_id", as: "user" } },
+    { $unwind: "$user" },
+    {
+      $project: {
+        user: { _id: 1, username: 1, profilePicture: 1 },
+        vehicleType: 1,
+        shifts: 1,
+        rating: 1,
+        totalRatings: 1,
+        distance: 1,
+        load: 1
+      }
+    }
+  ]);
+
+  return agents
+    .map((agent) => ({ ...agent, capacity: getAgentCapacity(agent) }))
+    .filter((agent) => agent.load < agent.capacity && isOnShift(agent, now))
+    .map((agent) => ({
+      ...agent,
+      distance: Math.round(agent.distance),
+      score: scoreAgent(agent),
+      online: !!getReceiverSocketId(agent.user._id.toString())
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, dispatchConfig.candidateLimit);
+};
+
+// Agents the order can't go to in its current round
+const getExcludedAgents = (order) => {
+  const round = order.dispatch?.round || 0;
+  return (order.dispatch?.offers || [])
+    .filter((offer) => offer.status === "rejected" || offer.round === round)
+    .map((offer) => offer.agent);
+};
+
+// What an agent sees when they're offered an order
+const buildOfferPayload = (order, offer) => ({
+  orderId: order._id,
+  expiresAt: offer.expiresAt,
+  timeoutSeconds: dispatchConfig.offerTimeoutSeconds,
+  distance: offer.distance,
+  pickupLocation: order.pickupLocation,
+  deliveryAddress: order.deliveryAddress,
+  itemsCount: order.items.length,
+  total: order.total,
+  scheduledSlot: order.scheduledSlot?.start ? order.scheduledSlot : undefined
+});
+
+/**
+ * Offers an order to one agent, unless someone else holds a live offer for it.
+ * @param {Object} order - Order document
+ * @param {Object} agent - Agent (document or ranked entry) with _id and user
+ * @param {Object} [options]
+ * @param {number} [options.score]
+ * @param {number} [options.distance] - Metres from the pickup point
+ * @param {string} [options.assignedBy] - Admin choosing the agent
+ * @returns {Promise<Object|null>} The updated order, or null if it couldn't be offered
+ */
+export const offerOrderToAgent = async (order, agent, { score, distance, assignedBy } = {}) => {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + dispatchConfig.offerTimeoutSeconds * SECOND);
+
+  const updated = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      deliveryAgent: null,
+      status: { $in: DISPATCHABLE_STATUSES },
+      ...offerVisibilityFilter(null, now),
+      $and: [settledPaymentFilter()]
+    },
+    {
+      $set: {
+        "dispatch.status": "offered",
+        "dispatch.currentAgent": agent._id,
+        "dispatch.expiresAt": expiresAt,
+        "dispatch.nextAttemptAt": null
+      },
+      $push: {
+        "dispatch.offers": {
+          agent: agent._id,
+          round: order.dispatch?.round || 0,
+          score,
+          distance,
+          offeredAt: now,
+          expiresAt,
+          assignedBy
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    return null;
+  }
+
+  const offer = updated.dispatch.offers[updated.dispatch.offers.length - 1];
+  notifyAgent(agent, "delivery_offer", buildOfferPayload(updated, offer));
+  console.log(`Order ${order._id} offered to agent ${agent._id} until ${expiresAt.toISOString()}`);
+
+  clearOfferTimer(order._id);
+  offerTimers.set(
+    order._id.toString(),
+    setTimeout(() => {
+      offerTimers.delete(order._id.toString());
+      closeOffer(order._id, agent._id, "expired", { cascade: true })
+        .catch((error) => console.error(`Error expiring offer for order ${order._id}:`, error));
+    }, dispatchConfig.offerTimeoutSeconds * SECOND)
+  );
+
+  return updated;
+};
+
+/**
+ * Offers an order to the best agent who hasn't had it yet this round. When
+ * nobody is left, the order waits and is offered around again later.
+ * Safe to call at any time: orders that don't need an agent, aren't due yet
+ * or already have a live offer are left alone.
+ * @param {Object|string} orderOrId - Order document or id
+ * @returns {Promise<Object|null>} The updated order if an offer was made
+ */
+export const dispatchOrder = async (orderOrId) => {
+  const order = await Order.findById(orderOrId._id || orderOrId);
+  if (!order || !needsAgent(order) || !isDueForAgents(order)) {
+    return null;
+  }
+  if (order.dispatch?.status === "offered") {
+    if (order.dispatch.expiresAt > new Date()) {
+      return null;
+    }
+    // The offer ran out without its timer firing (e.g. across a restart)
+    await closeOffer(order._id, order.dispatch.currentAgent, "expired");
+    return dispatchOrder(order._id);
+  }
+
+  // Only agents with the app open can see an offer
+  const candidates = (await rankAgents(order, { exclude: getExcludedAgents(order) }))
+    .filter((agent) => agent.online);
+
+  for (const candidate of candidates) {
+    const offered = await offerOrderToAgent(order, candidate, {
+      score: candidate.score,
+      distance: candidate.distance
+    });
+    if (offered) {
+      return offered;
+    }
+  }
+
+  // Everyone nearby has passed (or nobody is around): try again in a while
+  await Order.updateOne(
+    { _id: order._id, deliveryAgent: null, ...offerVisibilityFilter(null) },
+    {
+      $set: {
+        "dispatch.status": "waiting",
+        "dispatch.currentAgent": null,
+        "dispatch.expiresAt": null,
+        "dispatch.nextAttemptAt": new Date(Date.now() + dispatchConfig.retryDelaySeconds * SECOND)
+      },
+      $inc: { "dispatch.round": 1 }
+    }
+  );
+  console.log(`No agent available for order ${order._id}, retrying in ${dispatchConfig.retryDelaySeconds}s`);
+  return null;
+};
+
+/**
+ * Ends an agent's pending offer for an order
+ * @param {Object|string} orderId
+ * @param {Object|string} agentId - DeliveryAgent _id holding the offer
+ * @param {string} outcome - "rejected", "expired" or "withdrawn"
+ * @param {Object} [options]
+ * @param {boolean} [options.cascade] - Offer the order to the next agent afterwards
+ * @returns {Promise<boolean>} Whether the agent was holding an offer
+ */
+export const closeOffer = async (orderId, agentId, outcome, { cascade = false } = {}) => {
+  const agentObjectId = new mongoose.Types.ObjectId(agentId.toString());
+  const updated = await Order.findOneAndUpdate(
+    { _id: orderId, "dispatch.status": "offered", "dispatch.currentAgent": agentObjectId },
+    {
+      $set: {
+        "dispatch.status": "idle",
+        "dispatch.currentAgent": null,
+        "dispatch.expiresAt": null,
+        "dispatch.offers.$[offer].status": outcome,
+        "dispatch.offers.$[offer].respondedAt": new Date()
+      }
+    },
+    { arrayFilters: [{ "offer.agent": agentObjectId, "offer.status": "pending" }], new: true }
+  );
+  if (!updated) {
+    return false;
+  }
+
+  clearOfferTimer(orderId);
+  if (outcome !== "rejected") {
+    const agent = await DeliveryAgent.findById(agentObjectId).select("user");
+    if (agent) {
+      notifyAgent(agent, "delivery_offer_withdrawn", { orderId: updated._id, reason: outcome });
+    }
+  }
+
+  if (cascade) {
+    await dispatchOrder(updated._id);
+  }
+  return true;
+};
+
+/**
+ * Withdraws whatever offer is out for an order, e.g. when it's cancelled
+ * @param {Object} order - Order document
+ */
+export const withdrawOrderOffer = async (order) => {
+  const agentId = order.dispatch?.currentAgent;
+  if (order.dispatch?.status === "offered" && agentId) {
+    await closeOffer(order._id, agentId, "withdrawn");
+  }
+  if (order.status === "cancelled") {
+    await Order.updateOne({ _id: order._id }, { $set: { "dispatch.status": "cancelled", "dispatch.nextAttemptAt": null } });
+  }
+};
+
+/**
+ * Frees the agent of an order cancelled before they picked it up
+ * @param {Object} order - Cancelled order document
+ */
+export const releaseAssignedAgent = async (order) => {
+  if (!order.deliveryAgent) {
+    return;
+  }
+
+  const agent = await DeliveryAgent.findByIdAndUpdate(
+    order.deliveryAgent,
+    { $pull: { activeOrders: order._id } },
+    { new: true }
+  ).select("user");
+  if (agent) {
+    notifyAgent(agent, "delivery_order_cancelled", { orderId: order._id });
+  }
+};
+
+/**
+ * Admin: offers an order to a chosen agent, taking it off whoever holds it now
+ * @param {Object} order - Order document
+ * @param {Object} agent - DeliveryAgent document
+ * @param {string} adminId - Admin making the offer
+ * @returns {Promise<Object>} The updated order
+ */
+export const overrideOffer = async (order, agent, adminId) => {
+  if (!needsAgent(order)) {
+    throw createError(409, "This order isn't waiting for a delivery agent");
+  }
+  if (!agent.isVerified) {
+    throw createError(400, "This agent hasn't been verified yet");
+  }
+  await assertAgentCanTakeOrder(agent, order, { byAdmin: true });
+
+  if (order.dispatch?.status === "offered" && order.dispatch.currentAgent) {
+    await closeOffer(order._id, order.dispatch.currentAgent, "withdrawn");
+  }
+
+  const fresh = await Order.findById(order._id);
+  const offered = await offerOrderToAgent(fresh, agent, { assignedBy: adminId });
+  if (!offered) {
+    throw createError(409, "The order changed while it was being offered, please try again");
+  }
+  return offered;
+};
+
+/**
+ * Admin: moves an order on to the next agent in line (or offers it now if it's waiting)
+ * @param {Object} order - Order document
+ * @returns {Promise<Object|null>} The updated order if an offer was made
+ */
+export const redispatchOrder = async (order) => {
+  if (!needsAgent(order)) {
+    throw createError(409, "This order isn't waiting for a delivery agent");
+  }
+
+  if (order.dispatch?.status === "offered" && order.dispatch.currentAgent) {
+    await closeOffer(order._id, order.dispatch.currentAgent, "withdrawn");
+  }
+  await Order.updateOne({ _id: order._id }, { $set: { "dispatch.nextAttemptAt": null } });
+  return dispatchOrder(order._id);
+};
+
+/**
+ * Passes on every offer an agent is holding, e.g. when they go offline
+ * @param {Object} agentId - DeliveryAgent _id
+ */
+export const releaseAgentOffers = async (agentId) => {
+  const orders = await Order.find({ "dispatch.status": "offered", "dispatch.currentAgent": agentId }).select("_id");
+  for (const order of orders) {
+    await closeOffer(order._id, agentId, "withdrawn", { cascade: true });
+  }
+};
+
+/**
+ * Hands an order to an agent, who then heads to the kitchen, as long as
+ * they're on shift, have room for it and work in its zone. The order is
+ * claimed atomically first, so two agents (or an agent and an admin) can't
+ * both get it, and agents can't take an order that's on offer to someone else.
+ * @param {Object} order - Order document (it's reloaded once claimed)
+ * @param {Object} agent - DeliveryAgent document
+ * @param {Object} options
+ * @param {string[]} options.roles - ORDER_ROLES of whoever is assigning
+ * @param {string} options.actorId - User assigning it
+ * @param {string} options.note - statusHistory note
+ * @param {string} [options.assignedBy] - Admin overriding the offer chain
+ * @returns {Promise<Object>} The saved order, freshly loaded
+ */
+export const assignOrderToAgent = async (order, agent, { roles, actorId, note, assignedBy }) => {
+  if (order.deliveryAgent) {
+    throw createError(409, "This order has already been assigned to a delivery agent");
+  }
+  if (!isDueForAgents(order)) {
+    throw createError(409, "This order is scheduled for later and can't be picked up yet");
+  }
+  if (!isPaymentSettled(order)) {
+    throw createError(409, "This order hasn't been paid for yet");
+  }
+  await assertAgentCanTakeOrder(agent, order, { byAdmin: !!assignedBy });
+
+  const now = new Date();
+  const claim = {
+    _id: order._id,
+    deliveryAgent: null,
+    // Admins can take an order off whoever it's offered to
+    ...(!assignedBy && offerVisibilityFilter(agent._id, now))
+  };
+  const claimed = await Order.findOneAndUpdate(claim, { $set: { deliveryAgent: agent._id } }, { new: true });
+  if (!claimed) {
+    const current = await Order.findById(order._id).select("deliveryAgent dispatch");
+    throw createError(409, current?.deliveryAgent
+      ? "This order has already been assigned to a delivery agent"
+      : "This order is being offered to another delivery agent");
+  }
+
+  // Someone else's pending offer ends here
+  const previousAgent = claimed.dispatch?.status === "offered" ? claimed.dispatch.currentAgent : null;
+  clearOfferTimer(order._id);
+
+  const fromStatus = claimed.status;
+  try {
+    await transitionOrder(claimed, "agent_assigned", {
+      roles,
+      actorId,
+      location: agent.currentLocation,
+      note,
+      apply: (order) => {
+        order.deliveryAgent = agent._id;
+
+        const dispatch = order.dispatch;
+        for (const offer of dispatch.offers) {
+          if (offer.status === "pending") {
+            const accepted = offer.agent.equals(agent._id);
+            offer.status = accepted ? "accepted" : "withdrawn";
+            offer.respondedAt = now;
+          }
+        }
+        // Agents who took it from the open list, and admin assignments, go on the record too
+        if (!dispatch.offers.some((offer) => offer.status === "accepted" && offer.agent.equals(agent._id))) {
+          dispatch.offers.push({ agent: agent._id, round: dispatch.round, status: "accepted", offeredAt: now, respondedAt: now, assignedBy });
+        }
+        dispatch.status = "assigned";
+        dispatch.currentAgent = agent._id;
+        dispatch.expiresAt = null;
+        dispatch.nextAttemptAt = null;
+      }
+    });
+  } catch (error) {
+    await Order.updateOne({ _id: order._id, deliveryAgent: agent._id, status: fromStatus }, { $unset: { deliveryAgent: 1 } });
+    throw error;
+  }
+
+  agent.activeOrders.addToSet(order._id);
+  await agent.save();
+
+  if (previousAgent && !previousAgent.equals(agent._id)) {
+    const previous = await DeliveryAgent.findById(previousAgent).select("user");
+    if (previous) {
+      notifyAgent(previous, "delivery_offer_withdrawn", { orderId: order._id, reason: "assigned" });
+    }
+  }
+
+  return claimed;
+};
+
+/**
+ * Offers every order that's due: orders whose offer timed out while the
+ * server was down, scheduled orders coming up, and orders waiting to be
+ * offered around again.
+ */
+export const sweepDispatch = async () => {
+  const now = new Date();
+
+  const expired = await Order.find({
+    "dispatch.status": "offered",
+    "dispatch.expiresAt": { $lte: now }
+  }).select("_id dispatch.currentAgent").limit(50);
+  for (const order of expired) {
+    await closeOffer(order._id, order.dispatch.currentAgent, "expired", { cascade: true });
+  }
+
+  const due = await Order.find({
+    status: { $in: DISPATCHABLE_STATUSES },
+    deliveryMethod: { $ne: "pickup" },
+    deliveryAgent: null,
+    "dispatch.status": { $nin: ["offered", "assigned", "cancelled"] },
+    $and: [
+      agentVisibleSlotFilter(now),
+      settledPaymentFilter(),
+      { $or: [{ "dispatch.nextAttemptAt": null }, { "dispatch.nextAttemptAt": { $lte: now } }] }
+    ]
+  }).select("_id").sort({ createdAt: 1 }).limit(50);
+  for (const order of due) {
+    await dispatchOrder(order._id);
+  }
+};
+
+/**
+ * Starts the periodic dispatch sweep
+ */
+export const startDispatcher = () => {
+  if (sweepTimer) {
+    return;
+  }
+
+  const sweep = () => sweepDispatch().catch((error) => console.error("Dispatch sweep failed:", error));
+  sweepTimer = setInterval(sweep, dispatchConfig.sweepIntervalSeconds * SECOND);
+  sweepTimer.unref();
+  sweep();
+  console.log(`Dispatcher started, sweeping every ${dispatchConfig.sweepIntervalSeconds}s`);
+};
+
+/**
+ * Stops the sweep and any pending offer timers
+ */
+export const stopDispatcher = () => {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+  for (const timer of offerTimers.values()) {
+    clearTimeout(timer);
+  }
+  offerTimers.clear();
+};
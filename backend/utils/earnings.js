@@ -0,0 +1,299 @@
+import DeliveryEarning from "../models/deliveryEarning.model.js";
+import DeliveryPayout from "../models/deliveryPayout.model.js";
+import earningsConfig from "../config/earnings.js";
+import etaConfig from "../config/eta.js";
+import pricingConfig from "../config/pricing.js";
+import { roundCurrency } from "./pricing.js";
+import { hasCoordinates, distanceBetween } from "./geo.js";
+
+/**
+ * Delivery agent earnings. Each delivered order adds one entry to the agent's
+ * ledger: a base fee, a distance component and the customer's tip. Entries
+ * stay pending until an admin's payout run settles them.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Works out what an agent earns for delivering an order
+ * @param {Object} order - Delivered Order document
+ * @returns {Object} { baseFee, distanceKm, distanceFee, minimumTopUp, tip, total }
+ */
+export const calculateDeliveryEarning = (order) => {
+  const baseFee = earningsConfig.baseFees[order.deliveryMethod] ?? earningsConfig.baseFees.standard;
+
+  let distanceKm = 0;
+  if (hasCoordinates(order.pickupLocation) && hasCoordinates(order.deliveryLocation)) {
+    const roadKm = (distanceBetween(order.pickupLocation, order.deliveryLocation) / 1000) * etaConfig.roadFactor;
+    distanceKm = Math.round(Math.min(roadKm, earningsConfig.maxKm) * 10) / 10;
+  }
+  const distanceFee = roundCurrency(Math.max(distanceKm - earningsConfig.freeKm, 0) * earningsConfig.perKm);
+
+  const minimumTopUp = roundCurrency(Math.max(earningsConfig.minimumPerDelivery - baseFee - distanceFee, 0));
+  const tip = roundCurrency(order.tip || 0);
+
+  return {
+    baseFee: roundCurrency(baseFee),
+    distanceKm,
+    distanceFee,
+    minimumTopUp,
+    tip,
+    total: roundCurrency(baseFee + distanceFee + minimumTopUp + tip)
+  };
+};
+
+/**
+ * Adds a delivered order to its agent's earnings ledger. Safe to call more
+ * than once for the same order.
+ * @param {Object} order - Delivered Order document
+ * @returns {Promise<Object|null>} The ledger entry, or null for orders without an agent
+ */
+export const recordDeliveryEarning = async (order) => {
+  if (order.deliveryMethod === "pickup" || !order.deliveryAgent) {
+    return null;
+  }
+
+  try {
+    return await DeliveryEarning.create({
+      agent: order.deliveryAgent._id || order.deliveryAgent,
+      order: order._id,
+      ...calculateDeliveryEarning(order),
+      currency: pricingConfig.currency,
+      earnedAt: order.actualDeliveryTime || new Date()
+    });
+  } catch (error) {
+    // Already on the ledger
+    if (error.code === 11000) {
+      return DeliveryEarning.findOne({ order: order._id });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Start of the statement week a moment falls in
+ * @param {Date} date
+ * @returns {Date} Midnight UTC on the first day of the week
+ */
+export const getWeekStart = (date) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const daysIntoWeek = (start.getUTCDay() - earningsConfig.weekStartsOn + 7) % 7;
+  return new Date(start.getTime() - daysIntoWeek * DAY);
+};
+
+const addTotals = (totals, entry) => ({
+  deliveries: totals.deliveries + 1,
+  earnings: roundCurrency(totals.earnings + entry.total - entry.tip),
+  tips: roundCurrency(totals.tips + entry.tip),
+  total: roundCurrency(totals.total + entry.total),
+  pending: roundCurrency(totals.pending + (entry.status === "pending" ? entry.total : 0))
+});
+
+const EMPTY_TOTALS = { deliveries: 0, earnings: 0, tips: 0, total: 0, pending: 0 };
+
+/**
+ * An agent's weekly statements, newest first, with their overall balance
+ * @param {Object} agentId - DeliveryAgent id
+ * @param {number} weeks - How many weeks back to go, including this one
+ * @returns {Promise<Object>} { summary, statements }
+ */
+export const getAgentEarnings = async (agentId, weeks) => {
+  const thisWeek = getWeekStart(new Date());
+  const since = new Date(thisWeek.getTime() - (weeks - 1) * 7 * DAY);
+
+  const [entries, balances] = await Promise.all([
+    DeliveryEarning.find({ agent: agentId, earnedAt: { $gte: since } })
+      .select("total tip status earnedAt")
+      .lean(),
+    DeliveryEarning.aggregate([
+      { $match: { agent: agentId } },
+      { $group: { _id: "$status", total: { $sum: "$total" }, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const byWeek = new Map();
+  for (const entry of entries) {
+    const weekStart = getWeekStart(entry.earnedAt).toISOString();
+    byWeek.set(weekStart, addTotals(byWeek.get(weekStart) || EMPTY_TOTALS, entry));
+  }
+
+  const statements = [];
+  for (let week = 0; week < weeks; week++) {
+    const weekStart = new Date(thisWeek.getTime() - week * 7 * DAY);
+    statements.push({
+      weekStart,
+      weekEnd: new Date(weekStart.getTime() + 7 * DAY),
+      ...(byWeek.get(weekStart.toISOString()) || EMPTY_TOTALS)
+    });
+  }
+
+  const balance = (status) => balances.find((row) => row._id === status) || { total: 0, count: 0 };
+  return {
+    summary: {
+      currency: pricingConfig.currency,
+      pending: roundCurrency(balance("pending").total),
+      settled: roundCurrency(balance("settled").total),
+      lifetime: roundCurrency(balance("pending").total + balance("settled").total),
+      deliveries: balance("pending").count + balance("settled").count,
+      thisWeek: statements[0].total
+    },
+    statements
+  };
+};
+
+/**
+ * One week's statement for an agent: every delivery in it and the totals
+ * @param {Object} agentId - DeliveryAgent id
+ * @param {Date} weekStart - Any moment in the week
+ * @returns {Promise<Object>} { weekStart, weekEnd, totals, entries }
+ */
+export const getAgentStatement = async (agentId, weekStart) => {
+  const start = getWeekStart(weekStart);
+  const end = new Date(start.getTime() + 7 * DAY);
+
+  const entries = await DeliveryEarning.find({ agent: agentId, earnedAt: { $gte: start, $lt: end } })
+    .populate("order", "deliveryAddress deliveryMethod total")
+    .populate("payout", "createdAt")
+    .sort({ earnedAt: -1 })
+    .lean();
+
+  return {
+    weekStart: start,
+    weekEnd: end,
+    currency: pricingConfig.currency,
+    totals: entries.reduce(addTotals, EMPTY_TOTALS),
+    entries
+  };
+};
+
+/**
+ * What each agent would be paid by a payout run up to periodEnd
+ * @param {Date} periodEnd - Earnings before this moment are included
+ * @returns {Promise<Object[]>} One row per agent: { agent, deliveries, tips, total }
+ */
+export const previewPayout = async (periodEnd) => {
+  const rows = await DeliveryEarning.aggregate([
+    { $match: { status: "pending", earnedAt: { $lt: periodEnd } } },
+    {
+      $group: {
+        _id: "$agent",
+        deliveries: { $sum: 1 },
+        tips: { $sum: "$tip" },
+        total: { $sum: "$total" }
+      }
+    },
+    { $sort: { total: -1 } }
+  ]);
+
+  return rows.map((row) => ({
+    agent: row._id,
+    deliveries: row.deliveries,
+    tips: roundCurrency(row.tips),
+    total: roundCurrency(row.total)
+  }));
+};
+
+/**
+ * Settles every pending earning before periodEnd as one payout run.
+ * Entries are claimed with a single update, so two runs at once can't pay
+ * the same delivery twice.
+ * @param {Object} options
+ * @param {Date} options.periodEnd - Earnings before this moment are settled
+ * @param {string} options.adminId - Admin running the payout
+ * @param {string} [options.note] - Bank reference or similar
+ * @returns {Promise<Object|null>} The DeliveryPayout, or null when nothing was pending
+ */
+export const runPayout = async ({ periodEnd, adminId, note }) => {
+  const payout = new DeliveryPayout({
+    periodEnd,
+    createdBy: adminId,
+    currency: pricingConfig.currency,
+    note
+  });
+
+  const settledAt = new Date();
+  const { modifiedCount } = await DeliveryEarning.updateMany(
+    { status: "pending", earnedAt: { $lt: periodEnd } },
+    { $set: { status: "settled", payout: payout._id, settledAt } }
+  );
+  if (!modifiedCount) {
+    return null;
+  }
+
+  // Totals come from what this run actually settled
+  const rows = await DeliveryEarning.aggregate([
+    { $match: { payout: payout._id } },
+    {
+      $group: {
+        _id: "$agent",
+        deliveries: { $sum: 1 },
+        tips: { $sum: "$tip" },
+        total: { $sum: "$total" }
+      }
+    },
+    { $sort: { total: -1 } }
+  ]);
+
+  payout.agents = rows.map((row) => ({
+    agent: row._id,
+    deliveries: row.deliveries,
+    tips: roundCurrency(row.tips),
+    total: roundCurrency(row.total)
+  }));
+  payout.entryCount = rows.reduce((sum, row) => sum + row.deliveries, 0);
+  payout.total = roundCurrency(rows.reduce((sum, row) => sum + row.total, 0));
+
+  try {
+    await payout.save();
+  } catch (error) {
+    // Put the entries back so the next run picks them up
+    await DeliveryEarning.updateMany(
+      { payout: payout._id },
+      { $set: { status: "pending" }, $unset: { payout: 1, settledAt: 1 } }
+    );
+    throw error;
+  }
+
+  return payout;
+};
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  // Cells starting with these would be run as formulas by spreadsheet apps
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return /[",\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+/**
+ * A payout run as CSV, one row per delivery
+ * @param {Object} payout - DeliveryPayout document
+ * @returns {Promise<string>}
+ */
+export const payoutToCsv = async (payout) => {
+  const entries = await DeliveryEarning.find({ payout: payout._id })
+    .populate({ path: "agent", select: "user vehicleNumber", populate: { path: "user", select: "username email" } })
+    .sort({ agent: 1, earnedAt: 1 })
+    .lean();
+
+  const header = [
+    "payout_id", "agent_id", "agent_username", "agent_email", "order_id", "delivered_at",
+    "base_fee", "distance_km", "distance_fee", "minimum_top_up", "tip", "total", "currency"
+  ];
+  const rows = entries.map((entry) => [
+    payout._id,
+    entry.agent?._id,
+    entry.agent?.user?.username,
+    entry.agent?.user?.email,
+    entry.order,
+    new Date(entry.earnedAt).toISOString(),
+    entry.baseFee.toFixed(2),
+    entry.distanceKm,
+    entry.distanceFee.toFixed(2),
+    entry.minimumTopUp.toFixed(2),
+    entry.tip.toFixed(2),
+    entry.total.toFixed(2),
+    entry.currency || payout.currency
+  ]);
+
+  return [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\n") + "\n";
+};
@@ -0,0 +1,144 @@
+import Order from "../models/order.model.js";
+import DeliveryAgent from "../models/deliveryAgent.model.js";
+import etaConfig from "../config/eta.js";
+import { hasCoordinates, distanceBetween } from "./geo.js";
+import { io, getReceiverSocketId } from "../socket/socket.js";
+
+/**
+ * Delivery ETAs. An order's estimatedDeliveryTime is worked out from the
+ * kitchen's prep time, the agent's route (agent -> kitchen -> customer) and
+ * how fast their vehicle is, and is recomputed as the agent moves.
+ */
+
+const MINUTE = 60 * 1000;
+
+// Statuses a delivery order still has an ETA in
+const ETA_STATUSES = ["confirmed", "preparing", "agent_assigned", "arrived_at_pickup", "picked_up", "out_for_delivery"];
+
+// Statuses in which the food is already with the agent
+const EN_ROUTE_STATUSES = ["picked_up", "out_for_delivery"];
+
+/**
+ * Minutes to travel between two points at a vehicle's usual speed
+ * @param {Object} from - GeoJSON point
+ * @param {Object} to - GeoJSON point
+ * @param {string} [vehicleType] - DeliveryAgent vehicleType
+ * @returns {number}
+ */
+export const travelMinutes = (from, to, vehicleType) => {
+  if (!hasCoordinates(from) || !hasCoordinates(to)) {
+    return etaConfig.fallbackLegMinutes;
+  }
+  const speedKmh = etaConfig.speedsKmh[vehicleType] || etaConfig.speedsKmh.bike;
+  const roadKm = (distanceBetween(from, to) / 1000) * etaConfig.roadFactor;
+  return (roadKm / speedKmh) * 60;
+};
+
+/**
+ * When a delivery order should reach the customer
+ * @param {Object} order - Order document
+ * @param {Object} [agent] - Assigned DeliveryAgent, with currentLocation and vehicleType
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export const estimateDelivery = (order, agent, now = new Date()) => {
+  const vehicleType = agent?.vehicleType;
+
+  if (EN_ROUTE_STATUSES.includes(order.status)) {
+    const minutes = travelMinutes(agent?.currentLocation, order.deliveryLocation, vehicleType) + etaConfig.dropoffMinutes;
+    return new Date(now.getTime() + minutes * MINUTE);
+  }
+
+  // The agent leaves the kitchen once both they and the food are there
+  let readyAt = now.getTime();
+  if (order.estimatedReadyTime) {
+    readyAt = Math.max(readyAt, order.estimatedReadyTime.getTime());
+  } else {
+    // The kitchen hasn't said how long it needs
+    readyAt += etaConfig.defaultPrepMinutes * MINUTE;
+  }
+
+  let agentAtKitchen = now.getTime();
+  if (!agent) {
+    agentAtKitchen += etaConfig.unassignedPickupMinutes * MINUTE;
+  } else if (order.status !== "arrived_at_pickup") {
+    agentAtKitchen += travelMinutes(agent.currentLocation, order.pickupLocation, vehicleType) * MINUTE;
+  }
+
+  const pickedUpAt = Math.max(readyAt, agentAtKitchen) + etaConfig.pickupHandoverMinutes * MINUTE;
+  const minutes = travelMinutes(order.pickupLocation, order.deliveryLocation, vehicleType) + etaConfig.dropoffMinutes;
+  return new Date(pickedUpAt + minutes * MINUTE);
+};
+
+// The order's agent with the fields the estimate needs, whether or not it's populated
+const loadOrderAgent = async (order) => {
+  if (!order.deliveryAgent) {
+    return null;
+  }
+  if (order.deliveryAgent.vehicleType && order.deliveryAgent.currentLocation) {
+    return order.deliveryAgent;
+  }
+  return DeliveryAgent.findById(order.deliveryAgent._id || order.deliveryAgent).select("user currentLocation vehicleType");
+};
+
+/**
+ * Sets a delivery order's estimatedDeliveryTime for its current status,
+ * without saving. Pickup orders and finished orders are left alone.
+ * @param {Object} order - Order document
+ * @param {Object} [agent] - Assigned DeliveryAgent, loaded when not given
+ * @returns {Promise<Object>} The order
+ */
+export const applyDeliveryEstimate = async (order, agent) => {
+  if (order.deliveryMethod === "pickup" || !ETA_STATUSES.includes(order.status)) {
+    return order;
+  }
+  const orderAgent = agent || await loadOrderAgent(order);
+  order.estimatedDeliveryTime = estimateDelivery(order, orderAgent);
+  return order;
+};
+
+/**
+ * Recomputes an order's ETA after its agent moved, and tells the customer
+ * and the agent when it changed by more than etaConfig.minChangeSeconds
+ * @param {Object} order - Order document
+ * @param {Object} agent - The order's DeliveryAgent, at its new location
+ * @returns {Promise<Date|null>} The new ETA, or null when it didn't change
+ */
+export const refreshDeliveryEta = async (order, agent) => {
+  if (order.deliveryMethod === "pickup" || !ETA_STATUSES.includes(order.status)) {
+    return null;
+  }
+
+  const estimatedDeliveryTime = estimateDelivery(order, agent);
+  const previous = order.estimatedDeliveryTime?.getTime();
+  if (previous && Math.abs(estimatedDeliveryTime.getTime() - previous) < etaConfig.minChangeSeconds * 1000) {
+    return null;
+  }
+
+  // Only while the order is still where we computed it for
+  const { modifiedCount } = await Order.updateOne(
+    { _id: order._id, status: order.status },
+    { $set: { estimatedDeliveryTime } }
+  );
+  if (!modifiedCount) {
+    return null;
+  }
+  order.estimatedDeliveryTime = estimatedDeliveryTime;
+
+  const update = {
+    orderId: order._id,
+    status: order.status,
+    estimatedDeliveryTime,
+    timestamp: new Date().toISOString()
+  };
+  io.to(`order_${order._id}`).emit("orderEtaUpdate", update);
+
+  for (const userId of [order.user, agent.user]) {
+    const socketId = userId && getReceiverSocketId((userId._id || userId).toString());
+    if (socketId) {
+      io.to(socketId).emit("orderEtaUpdate", update);
+    }
+  }
+
+  return estimatedDeliveryTime;
+};
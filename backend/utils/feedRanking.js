@@ -0,0 +1,215 @@
+import mongoose from "mongoose";
+import { Post } from "../models/post.model.js";
+import { User } from "../models/user.model.js";
+import FeedSnapshot from "../models/feedSnapshot.model.js";
+import feedConfig from "../config/feed.js";
+import createError from "./error.js";
+import { activePostFilter } from "./postExpiry.js";
+import { hasCoordinates, distanceBetween } from "./geo.js";
+
+/**
+ * The ranked home feed. Recent posts that haven't expired are scored on
+ * recency, how close the kitchen is to the viewer, whether the viewer follows
+ * the author, engagement and rating, and sent a page at a time.
+ *
+ * The first page ranks the posts and keeps their order in a FeedSnapshot.
+ * Later pages are cut from that snapshot with a cursor holding its id and
+ * how far the viewer has got, so scores moving with new likes or comments
+ * can't repeat or skip posts between pages.
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+// Comments and shares say more about a post than a like
+const ENGAGEMENT_WEIGHTS = { likes: 1, comments: 2, shares: 3 };
+
+// 1 at zero, falling to 0.5 at `half` and towards 0 beyond it
+const decay = (value, half) => half / (half + Math.max(value, 0));
+
+/**
+ * Encodes where a feed page ended
+ * @param {Object} position - snapshot (id of the ranked feed) and offset of the next post in it
+ * @returns {string} Opaque cursor for the next page
+ */
+export const encodeFeedCursor = ({ snapshot, offset }) =>
+  Buffer.from(JSON.stringify({ snapshot: snapshot.toString(), offset })).toString("base64url");
+
+/**
+ * Decodes a cursor made by encodeFeedCursor
+ * @param {string} cursor
+ * @returns {{snapshot: string, offset: number}}
+ * @throws 400 if the cursor is malformed
+ */
+export const decodeFeedCursor = (cursor) => {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch {
+    throw createError(400, "Invalid feed cursor");
+  }
+  if (!mongoose.isValidObjectId(position?.snapshot) || !Number.isInteger(position?.offset) || position.offset < 0) {
+    throw createError(400, "Invalid feed cursor");
+  }
+  return { snapshot: position.snapshot, offset: position.offset };
+};
+
+/**
+ * Ranking score of a post for one viewer
+ * @param {Object} post - Post with author, createdAt, shareCount, rating, likeCount and commentCount
+ * @param {Object} context
+ * @param {Object} [context.viewerLocation] - GeoJSON point of the viewer
+ * @param {Set<string>} context.followedAuthors - Ids of the users the viewer follows
+ * @param {Map<string, Object>} context.authorLocations - GeoJSON point of each author, by id
+ * @param {Date} context.now - Moment the feed is ranked at
+ * @returns {number} Score between 0 and the sum of the weights; higher comes first
+ */
+export const scorePost = (post, { viewerLocation, followedAuthors, authorLocations, now }) => {
+  const { weights } = feedConfig;
+  const authorId = post.author?.toString();
+
+  const ageHours = Math.max(now.getTime() - new Date(post.createdAt).getTime(), 0) / HOUR;
+  const recency = 0.5 ** (ageHours / feedConfig.recencyHalfLifeHours);
+
+  // Where either location is unknown, distance neither helps nor hurts
+  const authorLocation = authorLocations.get(authorId);
+  const distance = hasCoordinates(viewerLocation) && hasCoordinates(authorLocation)
+    ? decay(distanceBetween(viewerLocation, authorLocation) / 1000, feedConfig.distanceHalfScoreKm)
+    : 0.5;
+
+  const following = followedAuthors.has(authorId) ? 1 : 0;
+
+  const interactions =
+    (post.likeCount || 0) * ENGAGEMENT_WEIGHTS.likes +
+    (post.commentCount || 0) * ENGAGEMENT_WEIGHTS.comments +
+    (post.shareCount || 0) * ENGAGEMENT_WEIGHTS.shares;
+  const engagement = 1 - decay(interactions, feedConfig.engagementHalfScore);
+
+  const rating = (post.rating?.count > 0 ? post.rating.average : feedConfig.defaultRating) / 5;
+
+  const score =
+    weights.recency * recency +
+    weights.distance * distance +
+    weights.following * following +
+    weights.engagement * engagement +
+    weights.rating * rating;
+
+  return score;
+};
+
+// Highest score first; ties go to the newer id so every post has one place
+const compareRanked = (a, b) => b.score - a.score || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+
+/**
+ * Ranks the posts the viewer can see, best first
+ * @param {Object} options
+ * @param {string} options.viewerId - User the feed is for
+ * @param {string} [options.category] - Only posts in this category
+ * @param {Date} options.now - Moment the feed is ranked at
+ * @returns {Promise<string[]>} Post ids
+ */
+const rankFeed = async ({ viewerId, category, now }) => {
+  const match = { ...activePostFilter(now), createdAt: { $lte: now } };
+  if (category && category !== "All") {
+    match.category = category;
+  }
+
+  // Only what the score needs, so ranking doesn't load every like and comment
+  const [viewer, candidates] = await Promise.all([
+    User.findById(viewerId).select("location followings").lean(),
+    Post.aggregate([
+      { $match: match },
+      { $sort: { createdAt: -1 } },
+      { $limit: feedConfig.maxCandidates },
+      {
+        $project: {
+          author: 1,
+          createdAt: 1,
+          shareCount: 1,
+          rating: { average: "$rating.average", count: "$rating.count" },
+          likeCount: { $size: { $ifNull: ["$likes", []] } },
+          commentCount: { $size: { $ifNull: ["$comments", []] } }
+        }
+      }
+    ])
+  ]);
+
+  const authorIds = [...new Set(candidates.map(post => post.author?.toString()).filter(Boolean))];
+  const authors = await User.find({ _id: { $in: authorIds } }).select("location").lean();
+
+  const context = {
+    viewerLocation: viewer?.location,
+    followedAuthors: new Set((viewer?.followings || []).map(id => id.toString())),
+    authorLocations: new Map(authors.map(author => [author._id.toString(), author.location])),
+    now
+  };
+
+  return candidates
+    .map(post => ({ id: post._id.toString(), score: scorePost(post, context) }))
+    .sort(compareRanked)
+    .map(entry => entry.id);
+};
+
+/**
+ * One page of the home feed
+ * @param {Object} options
+ * @param {string} options.viewerId - User the feed is for
+ * @param {string} [options.cursor] - nextCursor of the previous page; omitted for the first page
+ * @param {number|string} [options.limit] - Posts per page
+ * @param {string} [options.category] - Only posts in this category; only read on the first page
+ * @returns {Promise<{posts: Object[], nextCursor: string|null}>} Posts populated like the rest of
+ *   the post endpoints, except that comments holds only the latest few and commentCount the total,
+ *   and the cursor for the next page (null on the last page)
+ * @throws 400 if the cursor is malformed or its feed has expired
+ */
+export const getFeedPage = async ({ viewerId, cursor, limit, category }) => {
+  const position = cursor ? decodeFeedCursor(cursor) : null;
+  const now = new Date();
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || feedConfig.pageSize, 1), feedConfig.maxPageSize);
+
+  let snapshotId = position?.snapshot;
+  let ranked;
+  if (position) {
+    const snapshot = await FeedSnapshot.findOne({ _id: position.snapshot, viewer: viewerId }).lean();
+    if (!snapshot) {
+      throw createError(400, "This feed has expired. Please refresh to see the latest posts");
+    }
+    ranked = snapshot.posts.map(id => id.toString());
+  } else {
+    ranked = await rankFeed({ viewerId, category, now });
+    // A feed that fits on one page has no later pages to keep it for
+    if (ranked.length > pageSize) {
+      const snapshot = await FeedSnapshot.create({ viewer: viewerId, posts: ranked });
+      snapshotId = snapshot._id;
+    }
+  }
+
+  const offset = position?.offset || 0;
+  const page = ranked.slice(offset, offset + pageSize);
+
+  const posts = await Post.find({ _id: { $in: page }, ...activePostFilter(now) })
+    .populate({ path: "author", select: "username profilePicture location" })
+    .populate({ path: "menuItem", select: "name price" });
+
+  // Count every comment, then load just the latest few with their authors
+  const commentCounts = new Map(posts.map(post => [post._id.toString(), post.comments.length]));
+  await Post.populate(posts, {
+    path: "comments",
+    options: { sort: { createdAt: -1 }, perDocumentLimit: feedConfig.commentPreviewSize },
+    populate: {
+      path: "author",
+      select: "username profilePicture location",
+    },
+  });
+  const postsById = new Map(posts.map(post => [
+    post._id.toString(),
+    { ...post.toObject(), commentCount: commentCounts.get(post._id.toString()) }
+  ]));
+
+  return {
+    // Posts deleted or expired since they were ranked simply drop out of the page
+    posts: page.map(id => postsById.get(id)).filter(Boolean),
+    nextCursor: offset + pageSize < ranked.length
+      ? encodeFeedCursor({ snapshot: snapshotId, offset: offset + pageSize })
+      : null
+  };
+};
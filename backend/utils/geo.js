@@ -0,0 +1,61 @@
+const EARTH_RADIUS_METERS = 6371e3;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Checks that a GeoJSON point has real coordinates. Orders placed without a
+ * location are saved at [0, 0], so that counts as missing.
+ * @param {Object} point - GeoJSON point
+ * @returns {boolean}
+ */
+export const hasCoordinates = (point) => {
+  const [longitude, latitude] = point?.coordinates || [];
+  return Number.isFinite(longitude) && Number.isFinite(latitude) && (longitude !== 0 || latitude !== 0);
+};
+
+/**
+ * Great-circle distance between two GeoJSON points (haversine formula)
+ * @param {Object} from - GeoJSON point
+ * @param {Object} to - GeoJSON point
+ * @returns {number} Distance in metres
+ */
+export const distanceBetween = (from, to) => {
+  const [lng1, lat1] = from.coordinates;
+  const [lng2, lat2] = to.coordinates;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return EARTH_RADIUS_METERS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Ray casting: whether [lng, lat] falls inside a closed ring
+const isInRing = ([x, y], ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Checks whether a point falls inside a GeoJSON Polygon or MultiPolygon.
+ * Holes (inner rings) are left out of the area. Treats coordinates as flat,
+ * which is close enough at city scale.
+ * @param {Object} point - GeoJSON point
+ * @param {Object} area - GeoJSON Polygon or MultiPolygon
+ * @returns {boolean}
+ */
+export const isPointInArea = (point, area) => {
+  if (!hasCoordinates(point) || !area?.coordinates) {
+    return false;
+  }
+  const polygons = area.type === "MultiPolygon" ? area.coordinates : [area.coordinates];
+  return polygons.some(([outer, ...holes]) =>
+    isInRing(point.coordinates, outer) && !holes.some((hole) => isInRing(point.coordinates, hole)));
+};
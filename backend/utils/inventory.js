@@ -0,0 +1,102 @@
+import { Post } from "../models/post.model.js";
+import Order from "../models/order.model.js";
+import createError from "./error.js";
+import { MENU_ITEM } from "./menu.js";
+import { activePostFilter, isPostExpired } from "./postExpiry.js";
+
+/**
+ * Returns stock to the posts of a set of order lines. Menu items are cooked
+ * to order and have no stock to return.
+ * @param {Array} items - Lines with productId, itemType and quantity
+ */
+export const releaseStock = async (items) => {
+  for (const item of items) {
+    if (item.itemType === MENU_ITEM) {
+      continue;
+    }
+    await Post.updateOne({ _id: item.productId }, { $inc: { quantity: item.quantity } });
+  }
+};
+
+/**
+ * Atomically takes stock from the posts of a set of order lines.
+ * Each decrement only matches while the post still has enough quantity, so two
+ * checkouts can't both take the last portion, and only while the post hasn't
+ * expired. If any line can't be reserved the
+ * lines already taken are put back and a 409 error is thrown listing what's short.
+ * Menu item lines have no stock; they're short when the quote found the item unavailable.
+ * @param {Array} items - Quote lines with productId, itemType, name, quantity and available
+ * @returns {Promise<void>}
+ */
+export const reserveStock = async (items) => {
+  const reserved = [];
+  const unavailableItems = [];
+
+  for (const item of items) {
+    if (item.itemType === MENU_ITEM) {
+      if (item.quantity > item.available) {
+        unavailableItems.push({
+          productId: item.productId,
+          name: item.name,
+          requested: item.quantity,
+          available: item.available
+        });
+      }
+      continue;
+    }
+
+    const updated = await Post.findOneAndUpdate(
+      { _id: item.productId, quantity: { $gte: item.quantity }, ...activePostFilter() },
+      { $inc: { quantity: -item.quantity } },
+      { new: true }
+    );
+
+    if (updated) {
+      reserved.push(item);
+      continue;
+    }
+
+    const post = await Post.findById(item.productId).select("quantity caption createdAt expiresAt");
+    unavailableItems.push({
+      productId: item.productId,
+      name: post?.caption || item.name,
+      requested: item.quantity,
+      available: post && !isPostExpired(post) ? Math.max(post.quantity || 0, 0) : 0
+    });
+  }
+
+  if (unavailableItems.length > 0) {
+    await releaseStock(reserved);
+
+    const [first] = unavailableItems;
+    const error = createError(
+      409,
+      first.available > 0
+        ? `Only ${first.available} left of ${first.name}`
+        : `${first.name} is sold out`
+    );
+    error.unavailableItems = unavailableItems;
+    throw error;
+  }
+};
+
+/**
+ * Releases the stock held by an order, at most once. The flag is flipped
+ * atomically so a cancel racing a payment failure can't restock twice.
+ * @param {Object} order - Order document
+ * @returns {Promise<boolean>} Whether stock was released
+ */
+export const releaseOrderStock = async (order) => {
+  const result = await Order.updateOne(
+    { _id: order._id, stockReserved: true },
+    { $set: { stockReserved: false } }
+  );
+
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  order.stockReserved = false;
+  await releaseStock(order.items);
+  return true;
+};
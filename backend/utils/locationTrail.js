@@ -0,0 +1,131 @@
+import DeliveryTrailPoint from "../models/deliveryTrailPoint.model.js";
+import trackingConfig from "../config/tracking.js";
+import { hasCoordinates, distanceBetween } from "./geo.js";
+
+/**
+ * Location trails. While an agent has an order, the positions they report are
+ * kept against it so the route can be replayed later, e.g. to settle a
+ * "my order never came" dispute. Since trails are evidence, only positions
+ * from the authenticated location endpoint are kept; the socket's live
+ * updates are just relayed to the customer.
+ */
+
+const SECOND = 1000;
+
+// Statuses in which the agent's position is part of the order's route
+const TRAIL_STATUSES = ["agent_assigned", "arrived_at_pickup", "picked_up", "out_for_delivery"];
+
+// Status changes shown along the replay
+const MILESTONE_STATUSES = [...TRAIL_STATUSES, "delivered", "cancelled"];
+
+// Last point kept for each order id, so positions can be thinned without a lookup
+const lastPoints = new Map();
+
+// Orders that stopped sending positions have finished or lost signal
+const pruneLastPoints = (now) => {
+  const staleBefore = now.getTime() - trackingConfig.heartbeatSeconds * 5 * SECOND;
+  for (const [orderId, last] of lastPoints) {
+    if (last.recordedAt.getTime() < staleBefore) {
+      lastPoints.delete(orderId);
+    }
+  }
+};
+
+const isWorthKeeping = (last, location, now) => {
+  if (!last) {
+    return true;
+  }
+  const elapsed = now.getTime() - last.recordedAt.getTime();
+  if (elapsed < trackingConfig.minIntervalSeconds * SECOND) {
+    return false;
+  }
+  return elapsed >= trackingConfig.heartbeatSeconds * SECOND ||
+    distanceBetween(last.location, location) >= trackingConfig.minDistanceMeters;
+};
+
+/**
+ * Adds an agent's position to the trail of each order they're carrying.
+ * Positions that come in too fast or barely moved are skipped.
+ * @param {Object[]} orders - The agent's active Order documents
+ * @param {Object} agentId - DeliveryAgent id
+ * @param {Object} location - GeoJSON point
+ * @param {Object} [options]
+ * @param {number} [options.accuracy] - GPS accuracy in metres
+ * @returns {Promise<number>} How many points were kept
+ */
+export const recordTrailPoints = async (orders, agentId, location, { accuracy } = {}) => {
+  if (!hasCoordinates(location)) {
+    return 0;
+  }
+
+  const now = new Date();
+  const point = { type: "Point", coordinates: location.coordinates };
+  const points = [];
+  for (const order of orders) {
+    const orderId = order._id.toString();
+    if (!TRAIL_STATUSES.includes(order.status) || !isWorthKeeping(lastPoints.get(orderId), point, now)) {
+      continue;
+    }
+    lastPoints.set(orderId, { location: point, recordedAt: now });
+    points.push({
+      order: order._id,
+      agent: agentId,
+      location: point,
+      status: order.status,
+      accuracy: Number.isFinite(accuracy) && accuracy >= 0 ? accuracy : undefined,
+      source: "api",
+      recordedAt: now
+    });
+  }
+  pruneLastPoints(now);
+
+  if (points.length > 0) {
+    await DeliveryTrailPoint.insertMany(points);
+  }
+  return points.length;
+};
+
+/**
+ * An order's route for replaying: the agent's positions in time order, the
+ * status changes along the way and how far the agent went
+ * @param {Object} order - Order document with statusHistory
+ * @returns {Promise<Object>} { points, milestones, summary }
+ */
+export const loadOrderTrail = async (order) => {
+  const trail = await DeliveryTrailPoint.find({ order: order._id })
+    .sort({ recordedAt: 1 })
+    .limit(trackingConfig.maxPoints + 1)
+    .select("location status accuracy source recordedAt")
+    .lean();
+
+  const truncated = trail.length > trackingConfig.maxPoints;
+  const points = trail.slice(0, trackingConfig.maxPoints).map((point) => ({
+    coordinates: point.location.coordinates,
+    status: point.status,
+    accuracy: point.accuracy,
+    source: point.source,
+    recordedAt: point.recordedAt
+  }));
+
+  let distance = 0;
+  for (let i = 1; i < points.length; i++) {
+    distance += distanceBetween({ coordinates: points[i - 1].coordinates }, { coordinates: points[i].coordinates });
+  }
+
+  const milestones = order.statusHistory
+    .filter((entry) => MILESTONE_STATUSES.includes(entry.status))
+    .map((entry) => ({ status: entry.status, timestamp: entry.timestamp, note: entry.note }));
+
+  return {
+    points,
+    milestones,
+    summary: {
+      pointCount: points.length,
+      startedAt: points[0]?.recordedAt || null,
+      endedAt: points[points.length - 1]?.recordedAt || null,
+      // Metres along the recorded positions
+      distance: Math.round(distance),
+      truncated
+    }
+  };
+};
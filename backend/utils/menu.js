@@ -0,0 +1,133 @@
+import mongoose from "mongoose";
+import { Post } from "../models/post.model.js";
+import { Product } from "../models/product.model.js";
+import menuConfig from "../config/menu.js";
+import createError from "./error.js";
+import { isTimeOfDay, weeklyWindowCovers } from "./slots.js";
+
+/**
+ * Sellers' permanent menus. Posts are fresh batches that expire after a few
+ * hours; menu items (Product documents) stay on the seller's menu and can be
+ * ordered whenever they're in stock and inside their weekly availability.
+ * A post can be linked to the menu item it's a batch of.
+ *
+ * Order lines name what they were ordered from with an item type: the model
+ * name of the post or menu item, so orders can populate either.
+ */
+
+export const POST_ITEM = "Post";
+export const MENU_ITEM = "Product";
+
+/**
+ * Checks the item type of a cart line
+ * @param {string} [itemType] - Post or Product; lines without one are posts
+ * @returns {string}
+ * @throws 400 for an unknown item type
+ */
+export const normalizeItemType = (itemType) => {
+  if (itemType === undefined || itemType === null || itemType === "") {
+    return POST_ITEM;
+  }
+  if (itemType !== POST_ITEM && itemType !== MENU_ITEM) {
+    throw createError(400, `Invalid item type: ${itemType}`);
+  }
+  return itemType;
+};
+
+/**
+ * Loads the post or menu item an order line refers to, with its seller
+ * @param {string} itemType - Post or Product
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export const loadCatalogItem = (itemType, id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return Promise.resolve(null);
+  }
+  return itemType === MENU_ITEM
+    ? Product.findOne({ _id: id, isArchived: false }).populate("seller", "username profilePicture")
+    : Post.findById(id).populate("author", "username profilePicture");
+};
+
+/**
+ * The seller of a post (its author) or of a menu item
+ * @param {Object} item - Post or Product
+ * @returns {Object|undefined} The user, or their id when not populated
+ */
+export const getCatalogSeller = (item) => item?.author ?? item?.seller;
+
+/**
+ * The meal category of a post or menu item
+ * @param {Object} item - Post or Product
+ * @returns {string|undefined}
+ */
+export const getCatalogCategory = (item) => item?.menuCategory ?? item?.category;
+
+/**
+ * Validates the weekly availability a seller sends for a menu item
+ * @param {Array} windows - [{ day: 0-6 (Sunday first), start: "HH:mm", end: "HH:mm" }]
+ * @returns {Array} Windows in week order
+ * @throws 400 for anything malformed
+ */
+export const normalizeAvailability = (windows) => {
+  if (!Array.isArray(windows)) {
+    throw createError(400, "Availability must be a list");
+  }
+  if (windows.length > menuConfig.maxAvailabilityWindows) {
+    throw createError(400, `An item can have at most ${menuConfig.maxAvailabilityWindows} availability windows`);
+  }
+
+  return windows
+    .map((window) => {
+      const day = Number(window?.day);
+      if (!Number.isInteger(day) || day < 0 || day > 6) {
+        throw createError(400, "Availability day must be 0 (Sunday) to 6 (Saturday)");
+      }
+      if (!isTimeOfDay(window.start) || !isTimeOfDay(window.end)) {
+        throw createError(400, "Availability times must be in HH:mm format");
+      }
+      if (window.start === window.end) {
+        throw createError(400, "An availability window can't end at the time it starts");
+      }
+      return { day, start: window.start, end: window.end };
+    })
+    .sort((a, b) => a.day - b.day || a.start.localeCompare(b.start));
+};
+
+/**
+ * Checks whether a menu item can be ordered for a given moment
+ * @param {Object} item - Product
+ * @param {Date} [at] - When the order is for
+ * @returns {boolean}
+ */
+export const isMenuItemAvailable = (item, at = new Date()) =>
+  !item.isArchived &&
+  item.inStock !== false &&
+  (!item.availability?.length || item.availability.some((window) => weeklyWindowCovers(window, at)));
+
+/**
+ * How many portions of a menu item one order line can take
+ * @param {Object} item - Product
+ * @param {Date} [at] - When the order is for
+ * @returns {number} 0 when the item can't be ordered then
+ */
+export const getMenuItemPortions = (item, at = new Date()) =>
+  isMenuItemAvailable(item, at) ? menuConfig.maxPortionsPerLine : 0;
+
+/**
+ * The sellers of the posts and menu items in a cart
+ * @param {Array} items - Cart lines with productId and itemType
+ * @returns {Promise<string[]>} Seller ids
+ * @throws 400 for an unknown item type
+ */
+export const findCartSellerIds = async (items) => {
+  const idsOf = (itemType) => items
+    .filter((item) => normalizeItemType(item.itemType) === itemType && mongoose.isValidObjectId(item.productId))
+    .map((item) => item.productId);
+
+  const [authors, sellers] = await Promise.all([
+    Post.find({ _id: { $in: idsOf(POST_ITEM) } }).distinct("author"),
+    Product.find({ _id: { $in: idsOf(MENU_ITEM) } }).distinct("seller")
+  ]);
+  return [...new Set([...authors, ...sellers].map((id) => id.toString()))];
+};
@@ -0,0 +1,209 @@
+import crypto from "crypto";
+import createError from "./error.js";
+import paymentConfig from "../config/payments.js";
+
+/**
+ * A local stand-in for a hosted card gateway. It keeps payment intents in
+ * memory, takes card details from the customer's browser, and reports the
+ * outcome to the server through signed webhooks, the way a real gateway does.
+ *
+ * Test cards: 4242 4242 4242 4242 succeeds, 4000 0000 0000 0002 is declined,
+ * 4000 0000 0000 9995 is declined for insufficient funds.
+ */
+
+const DECLINED_CARDS = {
+  "4000000000000002": "Your card was declined",
+  "4000000000009995": "Your card has insufficient funds"
+};
+
+const WEBHOOK_ATTEMPTS = 3;
+
+// Payment intents by id
+const intents = new Map();
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString("hex")}`;
+
+const publicIntent = ({ clientSecret, ...intent }) => intent;
+
+/**
+ * Signs a webhook body: "t=<unix time>,v1=<hex HMAC-SHA256 of `${t}.${body}`>"
+ * @param {string} body - Raw JSON body
+ * @param {number} [timestamp] - Unix time in seconds
+ * @returns {string} Signature header value
+ */
+export const signWebhookPayload = (body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto
+    .createHmac("sha256", paymentConfig.mockCard.webhookSecret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Checks a webhook signature header against the raw body it was sent with
+ * @param {string|Buffer} body - Raw request body
+ * @param {string} header - Signature header value
+ * @returns {boolean}
+ */
+export const verifyWebhookSignature = (body, header) => {
+  if (!body || typeof header !== "string") {
+    return false;
+  }
+
+  const parts = Object.fromEntries(header.split(",").map((part) => part.split("=")));
+  const timestamp = Number(parts.t);
+  if (!Number.isFinite(timestamp) || !parts.v1) {
+    return false;
+  }
+  if (Math.abs(Date.now() / 1000 - timestamp) > paymentConfig.mockCard.signatureToleranceSeconds) {
+    return false;
+  }
+
+  const expected = signWebhookPayload(body.toString(), timestamp).split("v1=")[1];
+  const received = Buffer.from(parts.v1, "hex");
+  return received.length === expected.length / 2 &&
+    crypto.timingSafeEqual(received, Buffer.from(expected, "hex"));
+};
+
+// Delivers an event to the server's webhook endpoint, retrying a few times like a real gateway
+const sendWebhook = async (type, intent) => {
+  const body = JSON.stringify({
+    id: randomId("evt"),
+    type,
+    created: Math.floor(Date.now() / 1000),
+    data: { object: publicIntent(intent) }
+  });
+
+  for (let attempt = 1; attempt <= WEBHOOK_ATTEMPTS; attempt++) {
+    try {
+      const response = await fetch(paymentConfig.mockCard.webhookUrl, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "x-mock-card-signature": signWebhookPayload(body)
+        },
+        body
+      });
+      if (response.ok) {
+        return;
+      }
+      console.error(`Mock card webhook ${type} rejected with ${response.status}`);
+    } catch (error) {
+      console.error(`Mock card webhook ${type} failed (attempt ${attempt}):`, error.message);
+    }
+    await new Promise((resolve) => setTimeout(resolve, attempt * 1000));
+  }
+};
+
+const queueWebhook = (type, intent) => {
+  setTimeout(() => {
+    sendWebhook(type, intent).catch((error) => console.error("Mock card webhook error:", error));
+  }, paymentConfig.mockCard.webhookDelayMs);
+};
+
+const findIntent = (id) => {
+  const intent = intents.get(id);
+  if (!intent) {
+    throw createError(404, "Payment intent not found");
+  }
+  return intent;
+};
+
+/**
+ * Creates a payment intent
+ * @param {Object} options
+ * @param {number} options.amount - Amount in the currency's main unit
+ * @param {string} options.currency
+ * @param {Object} [options.metadata]
+ * @returns {Object} The intent, including the client secret the browser confirms it with
+ */
+export const createPaymentIntent = ({ amount, currency, metadata = {} }) => {
+  const intent = {
+    id: randomId("pi"),
+    clientSecret: randomId("secret"),
+    amount,
+    amountRefunded: 0,
+    currency,
+    metadata,
+    status: "requires_payment_method",
+    lastError: null,
+    created: Math.floor(Date.now() / 1000)
+  };
+  intents.set(intent.id, intent);
+  return { ...intent };
+};
+
+/**
+ * Looks up a payment intent
+ * @param {string} id
+ * @returns {Object} The intent without its client secret
+ */
+export const retrievePaymentIntent = (id) => publicIntent(findIntent(id));
+
+/**
+ * Pays a payment intent with a card, as the customer's browser would.
+ * The outcome is reported to the server by webhook.
+ * @param {string} id - Intent id
+ * @param {Object} options
+ * @param {string} options.clientSecret - Secret handed to the browser when the intent was created
+ * @param {Object} options.card - { number, expMonth, expYear, cvc }
+ * @returns {Object} The intent, now processing
+ */
+export const confirmPaymentIntent = (id, { clientSecret, card = {} }) => {
+  const intent = findIntent(id);
+  if (intent.clientSecret !== clientSecret) {
+    throw createError(401, "Invalid client secret");
+  }
+  if (!["requires_payment_method", "failed"].includes(intent.status)) {
+    throw createError(409, `This payment is already ${intent.status}`);
+  }
+
+  const number = String(card.number || "").replace(/\s+/g, "");
+  if (!/^\d{16}$/.test(number)) {
+    throw createError(400, "Card number must be 16 digits");
+  }
+  const expMonth = Number(card.expMonth);
+  const expYear = Number(card.expYear) < 100 ? 2000 + Number(card.expYear) : Number(card.expYear);
+  if (!(expMonth >= 1 && expMonth <= 12) || new Date(expYear, expMonth) <= new Date()) {
+    throw createError(400, "Card has expired");
+  }
+  if (!/^\d{3,4}$/.test(String(card.cvc || ""))) {
+    throw createError(400, "Invalid security code");
+  }
+
+  intent.status = "processing";
+  intent.card = { last4: number.slice(-4) };
+
+  const declineReason = DECLINED_CARDS[number];
+  if (declineReason) {
+    intent.status = "failed";
+    intent.lastError = declineReason;
+    queueWebhook("payment_intent.payment_failed", intent);
+  } else {
+    intent.status = "succeeded";
+    queueWebhook("payment_intent.succeeded", intent);
+  }
+
+  return { ...publicIntent(intent), status: "processing" };
+};
+
+/**
+ * Refunds some or all of a succeeded payment intent
+ * @param {string} id - Intent id
+ * @param {number} amount - Amount to refund
+ * @returns {{id: string, amount: number, status: string}} The refund
+ */
+export const refundPaymentIntent = (id, amount) => {
+  const intent = findIntent(id);
+  if (intent.status !== "succeeded") {
+    throw createError(409, "Only succeeded payments can be refunded");
+  }
+  if (amount > intent.amount - intent.amountRefunded + 0.005) {
+    throw createError(409, "Refund is more than what's left of the payment");
+  }
+
+  intent.amountRefunded = Math.round((intent.amountRefunded + amount) * 100) / 100;
+  const refund = { id: randomId("re"), amount, status: "succeeded" };
+  queueWebhook("charge.refunded", intent);
+  return refund;
+};
@@ -0,0 +1,323 @@
+import createError from "./error.js";
+import { releaseOrderStock } from "./inventory.js";
+import { releaseOrderSlot } from "./slots.js";
+import { releaseOrderPromoCode } from "./promoCodes.js";
+import { dispatchOrder, withdrawOrderOffer, releaseAssignedAgent } from "./dispatcher.js";
+import { generatePickupCode } from "./pickup.js";
+import { isPaymentSettled } from "./paymentDeadline.js";
+import { applyDeliveryEstimate } from "./eta.js";
+import { recordDeliveryEarning } from "./earnings.js";
+import { io, getReceiverSocketId } from "../socket/socket.js";
+
+// Who is moving an order along
+export const ORDER_ROLES = {
+  CUSTOMER: "customer",
+  SELLER: "seller",
+  AGENT: "agent",
+  ADMIN: "admin",
+  // Moves made by the server itself, e.g. when a payment fails
+  SYSTEM: "system"
+};
+
+const { CUSTOMER, SELLER, AGENT, ADMIN, SYSTEM } = ORDER_ROLES;
+
+export const ORDER_STATUSES = [
+  "processing",
+  "confirmed",
+  "preparing",
+  "agent_assigned",
+  "arrived_at_pickup",
+  "picked_up",
+  "out_for_delivery",
+  "delivered",
+  "cancelled"
+];
+
+const isPickupOrder = (order) => order.deliveryMethod === "pickup";
+const isDeliveryOrder = (order) => order.deliveryMethod !== "pickup";
+
+// Orders paid up front can't be accepted until the payment has come in
+const acceptOrder = (roles) => ({
+  roles,
+  when: isPaymentSettled,
+  reason: "it hasn't been paid for yet"
+});
+// Pickup orders skip the delivery leg: the kitchen hands them straight to the customer
+const handOverAtKitchen = {
+  roles: [SELLER, ADMIN],
+  when: (order) => isPickupOrder(order) && isPaymentSettled(order),
+  reason: "only pickup orders that aren't waiting on a payment can be handed over at the kitchen"
+};
+// Delivery orders go through a pickup leg: an agent is assigned, gets to the
+// kitchen, collects the food and then sets off to the customer
+const assignAgent = {
+  roles: [AGENT, ADMIN],
+  when: (order) => isDeliveryOrder(order) && !!order.deliveryAgent,
+  reason: "only delivery orders with an agent can be assigned"
+};
+const collectFromKitchen = { roles: [AGENT, ADMIN] };
+// Orders can be cancelled until a delivery agent has picked them up
+const cancelBeforePickup = { roles: [CUSTOMER, SELLER, ADMIN, SYSTEM] };
+
+/**
+ * Legal status changes, keyed by current status and then by next status.
+ * Each entry lists the roles allowed to make the move and an optional `when`
+ * guard for moves that only apply to some orders.
+ */
+export const ORDER_TRANSITIONS = {
+  processing: {
+    confirmed: acceptOrder([SELLER, ADMIN, SYSTEM]),
+    preparing: acceptOrder([SELLER, ADMIN]),
+    delivered: handOverAtKitchen,
+    cancelled: cancelBeforePickup
+  },
+  confirmed: {
+    preparing: { roles: [SELLER, ADMIN] },
+    agent_assigned: assignAgent,
+    delivered: handOverAtKitchen,
+    cancelled: cancelBeforePickup
+  },
+  preparing: {
+    agent_assigned: assignAgent,
+    delivered: handOverAtKitchen,
+    cancelled: cancelBeforePickup
+  },
+  agent_assigned: {
+    arrived_at_pickup: { roles: [AGENT, ADMIN] },
+    // Agents who don't check in on arrival can still confirm the pickup
+    picked_up: collectFromKitchen,
+    cancelled: cancelBeforePickup
+  },
+  arrived_at_pickup: {
+    picked_up: collectFromKitchen,
+    cancelled: cancelBeforePickup
+  },
+  picked_up: {
+    out_for_delivery: { roles: [AGENT, ADMIN] }
+  },
+  out_for_delivery: {
+    delivered: { roles: [AGENT, ADMIN] }
+  },
+  delivered: {},
+  cancelled: {}
+};
+
+// Changes made to the order alongside the status, before it's saved
+const BEFORE_SAVE = {
+  // The kitchen reads this code to the agent to prove the handover
+  agent_assigned: (order) => {
+    order.pickupLeg = { code: generatePickupCode() };
+  },
+  arrived_at_pickup: (order) => {
+    order.pickupLeg.arrivedAt = new Date();
+  },
+  picked_up: (order) => {
+    order.pickupLeg.pickedUpAt = new Date();
+  },
+  delivered: (order) => {
+    order.actualDeliveryTime = new Date();
+    if (isPickupOrder(order)) {
+      order.isPickupCompleted = true;
+    }
+  }
+};
+
+// Offers a delivery order to agents in the background, so the status change isn't held up
+const startDispatch = (order) => {
+  if (isDeliveryOrder(order) && !order.deliveryAgent) {
+    dispatchOrder(order._id).catch((error) => console.error(`Error dispatching order ${order._id}:`, error));
+  }
+};
+
+// Work that depends on the saved status
+const AFTER_SAVE = {
+  confirmed: startDispatch,
+  // Kitchens can go straight from processing to preparing
+  preparing: startDispatch,
+  cancelled: async (order) => {
+    // A cancelled order no longer holds stock or a place in its slot, or an offer to an agent
+    await releaseOrderStock(order);
+    await releaseOrderSlot(order);
+    await withdrawOrderOffer(order);
+    await releaseAssignedAgent(order);
+    // Nor a use of its promo code, once the rest of its checkout is cancelled too
+    await releaseOrderPromoCode(order);
+  },
+  delivered: async (order) => {
+    // The agent earns the delivery
+    try {
+      await recordDeliveryEarning(order);
+    } catch (error) {
+      console.error(`Failed to record earnings for delivered order ${order._id}:`, error);
+    }
+  }
+};
+
+// Follow-up work registered by modules that depend on this one, like payment
+// providers and refunds, so this module never has to import them
+const REGISTERED_HOOKS = {};
+
+/**
+ * Registers follow-up work to run once an order is saved with a status,
+ * after the state machine's own
+ * @param {string} status - Status the hook runs for
+ * @param {Function} hook - Called with the order and { fromStatus, roles, actorId }
+ */
+export const registerOrderHook = (status, hook) => {
+  REGISTERED_HOOKS[status] = [...(REGISTERED_HOOKS[status] || []), hook];
+};
+
+const formatStatus = (status) => status.replace(/_/g, " ");
+
+/**
+ * Works out which roles a user has on an order from the order itself.
+ * Roles that need a lookup (delivery agent, authors of older orders without a
+ * seller) are added by the caller.
+ * @param {Object} order - Order document
+ * @param {Object} user - req.user
+ * @returns {string[]} Roles from ORDER_ROLES
+ */
+export const getOrderRoles = (order, user) => {
+  const roles = [];
+  const userId = user.id?.toString();
+
+  if (user.isAdmin) roles.push(ADMIN);
+  if ((order.user?._id || order.user)?.toString() === userId) roles.push(CUSTOMER);
+  if ((order.seller?._id || order.seller)?.toString() === userId) roles.push(SELLER);
+
+  return roles;
+};
+
+/**
+ * Checks whether an order can move to a status
+ * @param {Object} order - Order document
+ * @param {string} toStatus - Status to move to
+ * @param {string[]} [roles] - Roles of whoever is making the move; omit to ignore roles
+ * @returns {boolean}
+ */
+export const canTransition = (order, toStatus, roles) => {
+  const transition = ORDER_TRANSITIONS[order.status]?.[toStatus];
+  if (!transition || (transition.when && !transition.when(order))) {
+    return false;
+  }
+  return !roles || transition.roles.some((role) => roles.includes(role));
+};
+
+/**
+ * Lists the statuses an order can move to next
+ * @param {Object} order - Order document
+ * @param {string[]} [roles] - Only include moves these roles may make
+ * @returns {string[]}
+ */
+export const getNextStatuses = (order, roles) =>
+  Object.keys(ORDER_TRANSITIONS[order.status] || {}).filter((status) => canTransition(order, status, roles));
+
+/**
+ * Throws unless the roles may move the order to a status.
+ * Moves the state machine doesn't allow are a 409; moves that are allowed but
+ * not for these roles are a 403.
+ * @param {Object} order - Order document
+ * @param {string} toStatus - Status to move to
+ * @param {string[]} roles - Roles of whoever is making the move
+ */
+export const assertTransition = (order, toStatus, roles) => {
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    throw createError(400, "Invalid status value");
+  }
+
+  const transition = ORDER_TRANSITIONS[order.status]?.[toStatus];
+  if (!transition) {
+    throw createError(
+      409,
+      order.status === toStatus
+        ? `Order is already ${formatStatus(toStatus)}`
+        : `Can't move an order from ${formatStatus(order.status)} to ${formatStatus(toStatus)}`
+    );
+  }
+
+  if (transition.when && !transition.when(order)) {
+    throw createError(
+      409,
+      `Can't move this order from ${formatStatus(order.status)} to ${formatStatus(toStatus)}: ${transition.reason}`
+    );
+  }
+
+  if (!transition.roles.some((role) => roles.includes(role))) {
+    throw createError(403, `You are not allowed to mark this order as ${formatStatus(toStatus)}`);
+  }
+};
+
+/**
+ * Tells everyone following an order that its status changed
+ * @param {Object} order - Saved order document
+ */
+export const broadcastOrderStatus = (order) => {
+  const customerId = (order.user?._id || order.user).toString();
+  const update = {
+    orderId: order._id,
+    status: order.status,
+    paymentStatus: order.paymentStatus,
+    estimatedReadyTime: order.estimatedReadyTime,
+    estimatedDeliveryTime: order.estimatedDeliveryTime,
+    timestamp: new Date().toISOString()
+  };
+
+  io.to(`order_${order._id}`).emit("orderUpdate", update);
+
+  const customerSocketId = getReceiverSocketId(customerId);
+  if (customerSocketId) {
+    io.to(customerSocketId).emit("order_status_update", update);
+  }
+};
+
+/**
+ * Moves an order to a new status: checks the move is legal for the roles,
+ * records it in statusHistory, applies the status' side effects, saves the
+ * order and broadcasts the change.
+ * @param {Object} order - Order document (populated or not)
+ * @param {string} toStatus - Status to move to
+ * @param {Object} options
+ * @param {string[]} options.roles - Roles of whoever is making the move
+ * @param {string} [options.actorId] - User making the move, for refunds and audit records
+ * @param {string} [options.note] - statusHistory note
+ * @param {Object} [options.location] - GeoJSON point for statusHistory
+ * @param {Function} [options.apply] - Extra changes to make to the order before it's saved
+ * @returns {Promise<Object>} The saved order
+ * @throws 409 if the order's status changed since it was loaded; nothing is saved
+ */
+export const transitionOrder = async (order, toStatus, { roles, actorId, note, location, apply } = {}) => {
+  assertTransition(order, toStatus, roles);
+
+  const fromStatus = order.status;
+  order.status = toStatus;
+  order.statusHistory.push({
+    status: toStatus,
+    timestamp: new Date(),
+    ...(location && { location }),
+    note: note || `Status changed from ${fromStatus} to ${toStatus}`
+  });
+
+  BEFORE_SAVE[toStatus]?.(order);
+  apply?.(order);
+  await applyDeliveryEstimate(order);
+
+  // Only saved while the order still has the status the move was checked
+  // against, so two moves made at once can't both go through
+  order.$where = { status: fromStatus };
+  try {
+    await order.save();
+  } catch (error) {
+    if (error.name === "DocumentNotFoundError") {
+      throw createError(409, "This order was updated in the meantime. Refresh it and try again");
+    }
+    throw error;
+  }
+
+  await AFTER_SAVE[toStatus]?.(order, { fromStatus, roles, actorId });
+  for (const hook of REGISTERED_HOOKS[toStatus] || []) {
+    await hook(order, { fromStatus, roles, actorId });
+  }
+  broadcastOrderStatus(order);
+
+  return order;
+};
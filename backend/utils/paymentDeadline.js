@@ -0,0 +1,58 @@
+import paymentConfig from "../config/payments.js";
+
+/**
+ * Orders paid up front (card, Solana) hold their stock and slot while the
+ * customer pays. Until the money comes in the kitchen can't accept them and
+ * no agent is offered them, and orders still unpaid at their deadline are
+ * cancelled by the payment sweep (see payments.js).
+ */
+
+const MINUTE = 60 * 1000;
+
+// Payment statuses of orders whose money has come in
+const SETTLED_STATUSES = ["paid", "partially_refunded"];
+
+/**
+ * Whether an order is paid when it's handed over rather than up front
+ * @param {Object} order - Order document
+ * @returns {boolean}
+ */
+export const isPaidOnDelivery = (order) => paymentConfig.payOnDeliveryMethods.includes(order.paymentMethod);
+
+/**
+ * Whether an order can go ahead: it's paid on delivery, or its payment has come in
+ * @param {Object} order - Order document
+ * @returns {boolean}
+ */
+export const isPaymentSettled = (order) => isPaidOnDelivery(order) || SETTLED_STATUSES.includes(order.paymentStatus);
+
+/**
+ * Query conditions matching orders that can go ahead (see isPaymentSettled)
+ * @returns {Object} Filter to combine (with $and) into an Order query
+ */
+export const settledPaymentFilter = () => ({
+  $or: [
+    { paymentMethod: { $in: paymentConfig.payOnDeliveryMethods } },
+    { paymentStatus: { $in: SETTLED_STATUSES } }
+  ]
+});
+
+/**
+ * When an order paid up front has to be paid by
+ * @param {Object} order - Order document
+ * @returns {Date}
+ */
+export const getPaymentDeadline = (order) =>
+  new Date(new Date(order.createdAt).getTime() + paymentConfig.paymentTimeoutMinutes * MINUTE);
+
+/**
+ * Query conditions matching orders paid up front that are still unpaid past their deadline
+ * @param {Date} [now]
+ * @returns {Object} Order query
+ */
+export const overduePaymentFilter = (now = new Date()) => ({
+  paymentMethod: { $nin: paymentConfig.payOnDeliveryMethods },
+  paymentStatus: "pending",
+  status: { $ne: "cancelled" },
+  createdAt: { $lte: new Date(now.getTime() - paymentConfig.paymentTimeoutMinutes * MINUTE) }
+});
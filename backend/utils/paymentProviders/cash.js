@@ -0,0 +1,64 @@
+import createError from "../error.js";
+import PaymentTransaction from "../../models/paymentTransaction.model.js";
+import { recordPayment } from "../payments.js";
+
+/**
+ * Cash on delivery. Nothing is collected up front; the order is paid when
+ * it's handed over to the customer.
+ * @type {import("./index.js").PaymentProvider}
+ */
+const cashProvider = {
+  name: "cash",
+
+  isEnabled: () => true,
+
+  createIntent: async () => ({
+    provider: "cash",
+    instructions: "Pay in cash when your order is handed over."
+  }),
+
+  confirm: async () => {
+    throw createError(400, "Cash payments are confirmed when the order is handed over");
+  },
+
+  handleWebhook: async () => {
+    throw createError(404, "Cash payments don't have webhooks");
+  },
+
+  // The delivery agent (or the kitchen, for pickups) collected the cash
+  onDelivered: async (order) => {
+    if (order.paymentStatus !== "pending") {
+      return null;
+    }
+
+    try {
+      return await recordPayment({
+        provider: "cash",
+        reference: `cod_${order._id}`,
+        userId: order.user?._id || order.user,
+        orders: [order],
+        orderReference: order._id.toString(),
+        amount: order.total
+      });
+    } catch (error) {
+      // Already recorded by an earlier call
+      if (error.statusCode === 409) {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  // Cash can only be handed back in person
+  refund: async (transaction, amount) => ({
+    status: "manual",
+    note: `Return ₹${amount.toFixed(2)} in cash to the customer`
+  }),
+
+  getStatus: async (orders) => {
+    const transaction = await PaymentTransaction.findOne({ provider: "cash", orders: orders[0]._id });
+    return { status: transaction ? transaction.status : "pending" };
+  }
+};
+
+export default cashProvider;
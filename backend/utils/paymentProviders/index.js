@@ -0,0 +1,163 @@
+import createError from "../error.js";
+import PaymentTransaction from "../../models/paymentTransaction.model.js";
+import { roundCurrency } from "../pricing.js";
+import paymentConfig from "../../config/payments.js";
+import { isPaidOnDelivery, getPaymentDeadline } from "../paymentDeadline.js";
+import { registerOrderHook } from "../orderStateMachine.js";
+import cashProvider from "./cash.js";
+import solanaProvider from "./solana.js";
+import mockCardProvider from "./mockCard.js";
+
+/**
+ * @typedef {Object} PaymentProvider
+ * @property {string} name - Stored on PaymentTransaction.provider
+ * @property {() => boolean} isEnabled
+ * @property {(payment: Object) => Promise<Object>} createIntent - What the client needs to start paying
+ * @property {(payment: Object, payload: Object) => Promise<Object>} confirm - Client-side confirmation (e.g. a transaction signature)
+ * @property {(req: Object) => Promise<Object>} handleWebhook - Provider callback, verified by the provider
+ * @property {(transaction: Object, amount: number) => Promise<{status: string, reference?: string, note?: string}>} refund
+ * @property {(orders: Array) => Promise<{status: string, failureReason?: string}>} getStatus
+ * @property {(order: Object) => Promise<Object|null>} [onDelivered] - Called when an order is handed over
+ * @property {(order: Object) => Promise<boolean>} [hasOpenIntent] - Whether the customer has started
+ *   paying for an unpaid order; left out by providers that are paid on delivery
+ *
+ * `payment` is { reference, orders, amount, user }: the order or checkout id
+ * being paid, its unpaid orders, their total in INR and req.user.
+ */
+
+const providers = {
+  [cashProvider.name]: cashProvider,
+  [solanaProvider.name]: solanaProvider,
+  [mockCardProvider.name]: mockCardProvider
+};
+
+/**
+ * Looks up a provider by name (as used in webhook URLs and transactions)
+ * @param {string} name
+ * @returns {PaymentProvider}
+ */
+export const getProvider = (name) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw createError(404, "Unknown payment provider");
+  }
+  return provider;
+};
+
+/**
+ * Gets the provider that handles an order's payment method
+ * @param {string} paymentMethod - Order.paymentMethod
+ * @returns {PaymentProvider}
+ */
+export const getPaymentProvider = (paymentMethod) => {
+  const name = paymentConfig.providersByMethod[paymentMethod];
+  if (!name || !providers[name]) {
+    throw createError(400, `Unsupported payment method: ${paymentMethod}`);
+  }
+  return providers[name];
+};
+
+/**
+ * Checks an order can be placed with a payment method
+ * @param {string} paymentMethod
+ */
+export const assertPaymentMethodAvailable = (paymentMethod) => {
+  const provider = getPaymentProvider(paymentMethod);
+  if (!provider.isEnabled()) {
+    throw createError(400, `${paymentMethod} payments are not available right now`);
+  }
+};
+
+/**
+ * Starts paying for newly placed orders
+ * @param {Object} payment - { reference, orders, amount, user }
+ * @returns {Promise<Object>} The provider's intent, returned to the client
+ */
+export const startPayment = async (payment) => {
+  const provider = getPaymentProvider(payment.orders[0].paymentMethod);
+  return provider.createIntent({ ...payment, amount: roundCurrency(payment.amount) });
+};
+
+/**
+ * Called once an order is handed over, so pay-on-delivery providers can
+ * record the payment
+ * @param {Object} order - Order document
+ */
+export const captureOnDelivery = async (order) => {
+  const provider = getPaymentProvider(order.paymentMethod);
+  if (provider.onDelivered) {
+    await provider.onDelivered(order);
+  }
+};
+
+// Pay-on-delivery orders are paid once they're handed over
+registerOrderHook("delivered", async (order) => {
+  try {
+    await captureOnDelivery(order);
+  } catch (error) {
+    console.error(`Failed to record payment for delivered order ${order._id}:`, error);
+  }
+});
+
+/**
+ * Checks whether the customer is part-way through paying for an order, so
+ * the attempt can be reported as failed. Pay-on-delivery orders never are.
+ * @param {Object} order - Order document
+ * @returns {Promise<boolean>}
+ */
+export const hasOpenPaymentIntent = async (order) => {
+  const provider = getPaymentProvider(order.paymentMethod);
+  return order.paymentStatus === "pending" && !!provider.hasOpenIntent && provider.hasOpenIntent(order);
+};
+
+/**
+ * Sends an approved refund back through the provider that took the payment.
+ * Providers that can't pay back automatically return "manual" with a note
+ * for staff.
+ * @param {Object} order - Order document
+ * @param {number} amount - Amount to refund in INR
+ * @param {Object} [refund] - Refund document, linked from the transaction
+ * @returns {Promise<{status: string, reference?: string, note?: string}>} The payout
+ */
+export const refundOrderPayment = async (order, amount, refund) => {
+  const transaction = await PaymentTransaction.findOne({ orders: order._id, status: "succeeded" });
+  if (!transaction) {
+    return { status: "manual", note: "No payment was recorded for this order" };
+  }
+
+  let payout;
+  try {
+    payout = await getProvider(transaction.provider).refund(transaction, amount);
+  } catch (error) {
+    console.error(`Refund through ${transaction.provider} failed:`, error.message);
+    payout = { status: "failed", note: error.message };
+  }
+
+  transaction.refunds.push({
+    refund: refund?._id,
+    amount,
+    status: payout.status,
+    reference: payout.reference,
+    note: payout.note
+  });
+  await transaction.save();
+
+  return payout;
+};
+
+/**
+ * Reports where a payment stands
+ * @param {Array} orders - Orders sharing one payment
+ * @returns {Promise<{provider: string, paymentStatus: string, status: string, failureReason?: string, payBy?: Date}>}
+ *   payBy is when unpaid orders paid up front are cancelled
+ */
+export const getOrderPaymentStatus = async (orders) => {
+  const provider = getPaymentProvider(orders[0].paymentMethod);
+  const status = await provider.getStatus(orders);
+  return {
+    provider: provider.name,
+    paymentStatus: orders[0].paymentStatus,
+    ...(orders[0].paymentStatus === "pending" && !isPaidOnDelivery(orders[0]) && { payBy: getPaymentDeadline(orders[0]) }),
+    ...status
+  };
+};
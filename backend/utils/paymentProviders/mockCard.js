@@ -0,0 +1,117 @@
+import createError from "../error.js";
+import PaymentTransaction from "../../models/paymentTransaction.model.js";
+import { settlePendingPayment, recordPaymentAttemptFailure } from "../payments.js";
+import {
+  createPaymentIntent,
+  refundPaymentIntent,
+  verifyWebhookSignature
+} from "../mockCardGateway.js";
+import paymentConfig from "../../config/payments.js";
+
+/**
+ * Card payments through the local mock gateway. The browser sends the card
+ * to the gateway directly; the order only becomes paid when the gateway's
+ * signed webhook says so.
+ * @type {import("./index.js").PaymentProvider}
+ */
+const mockCardProvider = {
+  name: "mock_card",
+
+  isEnabled: () => paymentConfig.mockCard.enabled,
+
+  createIntent: async ({ reference, orders, amount, user }) => {
+    const intent = createPaymentIntent({
+      amount,
+      currency: "INR",
+      metadata: { orderReference: reference }
+    });
+
+    await PaymentTransaction.create({
+      provider: "mock_card",
+      reference: intent.id,
+      user: user.id,
+      orders: orders.map((order) => order._id),
+      orderReference: reference,
+      amount
+    });
+
+    return {
+      provider: "mock_card",
+      reference,
+      intentId: intent.id,
+      clientSecret: intent.clientSecret,
+      amountInr: amount
+    };
+  },
+
+  confirm: async () => {
+    throw createError(400, "Card payments are confirmed by the gateway");
+  },
+
+  handleWebhook: async (req) => {
+    if (!verifyWebhookSignature(req.rawBody, req.headers["x-mock-card-signature"])) {
+      throw createError(400, "Invalid webhook signature");
+    }
+
+    const event = req.body;
+    const intent = event?.data?.object;
+    if (!event?.id || !intent?.id) {
+      throw createError(400, "Malformed webhook event");
+    }
+
+    // Claim the event so a redelivered webhook is only applied once
+    const transaction = await PaymentTransaction.findOneAndUpdate(
+      { provider: "mock_card", reference: intent.id, processedEvents: { $ne: event.id } },
+      { $push: { processedEvents: event.id } },
+      { new: true }
+    );
+    if (!transaction) {
+      return { received: true, duplicate: true };
+    }
+
+    if (event.type === "payment_intent.succeeded") {
+      const { settled, paidOrders } = await settlePendingPayment(transaction, {
+        receivedAmount: intent.amount,
+        payer: intent.card ? `card ending ${intent.card.last4}` : undefined
+      });
+
+      // The orders were paid some other way (or cancelled) in the meantime - give the money back
+      if (settled && paidOrders === 0) {
+        console.log(`Card payment ${intent.id} arrived for orders that no longer need it, refunding`);
+        try {
+          const refund = refundPaymentIntent(intent.id, intent.amount);
+          await PaymentTransaction.updateOne(
+            { _id: transaction._id },
+            { $push: { refunds: { amount: intent.amount, status: "succeeded", reference: refund.id, note: "Orders were no longer awaiting payment" } } }
+          );
+        } catch (error) {
+          console.error(`Failed to refund card payment ${intent.id}:`, error.message);
+        }
+      }
+    } else if (event.type === "payment_intent.payment_failed") {
+      await recordPaymentAttemptFailure(transaction, intent.lastError || "Card declined");
+    }
+
+    return { received: true };
+  },
+
+  // An intent was created and hasn't been paid; declined attempts can still be retried
+  hasOpenIntent: async (order) =>
+    !!(await PaymentTransaction.exists({ provider: "mock_card", orders: order._id, status: { $in: ["pending", "failed"] } })),
+
+  refund: async (transaction, amount) => {
+    const refund = refundPaymentIntent(transaction.reference, amount);
+    return { status: "succeeded", reference: refund.id };
+  },
+
+  getStatus: async (orders) => {
+    const transaction = await PaymentTransaction.findOne({ provider: "mock_card", orders: orders[0]._id })
+      .sort({ createdAt: -1 });
+    return {
+      status: transaction ? transaction.status : "pending",
+      failureReason: transaction?.failureReason || undefined
+    };
+  }
+};
+
+export default mockCardProvider;
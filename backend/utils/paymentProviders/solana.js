@@ -0,0 +1,77 @@
+import createError from "../error.js";
+import PaymentTransaction from "../../models/paymentTransaction.model.js";
+import { recordPayment } from "../payments.js";
+import { isMockRpc, toLamports, toSol, verifySolanaTransfer } from "../solana.js";
+import solanaConfig from "../../config/solana.js";
+
+/**
+ * SOL transfers from the customer's wallet. The client sends the transfer
+ * with the order id as its memo and hands the signature back, which is then
+ * checked on-chain.
+ * @type {import("./index.js").PaymentProvider}
+ */
+const solanaProvider = {
+  name: "solana",
+
+  isEnabled: () => true,
+
+  createIntent: async ({ reference, amount }) => {
+    const lamports = toLamports(amount);
+    return {
+      provider: "solana",
+      reference,
+      recipient: solanaConfig.recipientWallet,
+      memoProgramId: solanaConfig.memoProgramId,
+      lamports,
+      amountSol: toSol(lamports),
+      amountInr: amount,
+      mock: isMockRpc()
+    };
+  },
+
+  confirm: async ({ reference, orders, amount, user }, { signature } = {}) => {
+    if (!signature) {
+      throw createError(400, "Transaction signature is required");
+    }
+
+    const { payer, lamports } = await verifySolanaTransfer({
+      signature,
+      reference,
+      lamports: toLamports(amount)
+    });
+
+    const transaction = await recordPayment({
+      provider: "solana",
+      reference: signature,
+      userId: user.id,
+      orders,
+      orderReference: reference,
+      amount,
+      receivedAmount: lamports,
+      payer
+    });
+    console.log(`Solana payment ${signature} verified for ${reference} (${toSol(lamports)} SOL)`);
+    return transaction;
+  },
+
+  handleWebhook: async () => {
+    throw createError(404, "Solana payments are confirmed by the client, not by webhook");
+  },
+
+  // The transfer is built on the client, so an order is being paid until a transfer is recorded for it
+  hasOpenIntent: async (order) =>
+    !(await PaymentTransaction.exists({ provider: "solana", orders: order._id })),
+
+  // The server holds no keys for the store wallet, so SOL refunds are sent by staff
+  refund: async (transaction, amount) => ({
+    status: "manual",
+    note: `Send ${toSol(toLamports(amount))} SOL back to ${transaction.payer}`
+  }),
+
+  getStatus: async (orders) => {
+    const transaction = await PaymentTransaction.findOne({ provider: "solana", orders: orders[0]._id });
+    return { status: transaction ? transaction.status : "pending" };
+  }
+};
+
+export default solanaProvider;
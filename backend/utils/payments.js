@@ -0,0 +1,228 @@
+import Order from "../models/order.model.js";
+import PaymentTransaction from "../models/paymentTransaction.model.js";
+import createError from "./error.js";
+import { roundCurrency } from "./pricing.js";
+import { findOrdersByOrderOrCheckoutId } from "./checkout.js";
+import { ORDER_ROLES, canTransition, transitionOrder, broadcastOrderStatus } from "./orderStateMachine.js";
+import { overduePaymentFilter } from "./paymentDeadline.js";
+import paymentConfig from "../config/payments.js";
+
+const SECOND = 1000;
+
+let sweepTimer = null;
+
+/**
+ * Loads the orders behind a payment reference (an order or checkout id).
+ * Cancelled sub-orders of a checkout aren't charged.
+ * @param {string} reference - Order or checkout ID
+ * @returns {Promise<Array>} Orders that are still active
+ */
+export const findOrdersForPayment = async (reference) => {
+  const { orders } = await findOrdersByOrderOrCheckoutId(reference);
+  return orders.filter((order) => order.status !== "cancelled");
+};
+
+/**
+ * Loads the orders a customer is about to pay for
+ * @param {string} id - Order or checkout ID (the payment reference)
+ * @param {Object} user - req.user
+ * @returns {Promise<{orders: Array, amount: number}>} Orders awaiting payment and their total in INR
+ */
+export const findPayableOrders = async (id, user) => {
+  const { orders } = await findOrdersByOrderOrCheckoutId(id);
+  if (orders.length === 0) {
+    throw createError(404, "Order not found");
+  }
+  if (orders[0].user.toString() !== user.id.toString()) {
+    throw createError(403, "You can only pay for your own orders");
+  }
+
+  const payable = orders.filter((order) => order.status !== "cancelled");
+  if (payable.length === 0) {
+    throw createError(409, "This order was cancelled");
+  }
+  const settled = payable.find((order) => order.paymentStatus !== "pending");
+  if (settled) {
+    throw createError(409, `This order's payment is already ${settled.paymentStatus.replace(/_/g, " ")}`);
+  }
+
+  return {
+    orders: payable,
+    amount: roundCurrency(payable.reduce((sum, order) => sum + order.total, 0))
+  };
+};
+
+/**
+ * Marks orders paid. Only pending payments move to paid, so a payment racing
+ * a cancellation or a failure can't revive the order.
+ * @param {Array} orders - Order documents
+ * @param {string} provider - Provider that took the payment, for the status history
+ * @returns {Promise<number>} How many orders were marked paid
+ */
+export const markOrdersPaid = async (orders, provider) => {
+  let paid = 0;
+
+  for (const order of orders) {
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, paymentStatus: "pending" },
+      {
+        $set: { paymentStatus: "paid" },
+        $push: {
+          statusHistory: { status: order.status, timestamp: new Date(), note: `Payment received (${provider})` }
+        }
+      },
+      { new: true }
+    );
+
+    if (updated) {
+      paid++;
+      order.paymentStatus = updated.paymentStatus;
+      order.statusHistory = updated.statusHistory;
+      broadcastOrderStatus(updated);
+    }
+  }
+
+  return paid;
+};
+
+/**
+ * Records a payment that has already been confirmed and marks its orders paid.
+ * The payment's reference is unique per provider, so a replayed payment is
+ * rejected with a 409 before any order is touched.
+ * @param {Object} payment
+ * @param {string} payment.provider - Provider name
+ * @param {string} payment.reference - Provider's id for the payment (e.g. transaction signature)
+ * @param {string} payment.userId - Customer who paid
+ * @param {Array} payment.orders - Order documents being paid
+ * @param {string} payment.orderReference - Order or checkout id the payment was made for
+ * @param {number} payment.amount - Amount charged in INR
+ * @param {number} [payment.receivedAmount] - Amount received in the provider's unit
+ * @param {string} [payment.payer] - Paying account
+ * @returns {Promise<Object>} The saved PaymentTransaction
+ */
+export const recordPayment = async ({ provider, reference, userId, orders, orderReference, amount, receivedAmount, payer }) => {
+  let transaction;
+  try {
+    transaction = await PaymentTransaction.create({
+      provider,
+      reference,
+      user: userId,
+      orders: orders.map((order) => order._id),
+      orderReference,
+      status: "succeeded",
+      amount,
+      receivedAmount,
+      payer
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw createError(409, "This payment has already been used");
+    }
+    throw error;
+  }
+
+  await markOrdersPaid(orders, provider);
+  return transaction;
+};
+
+/**
+ * Completes a payment that was waiting on the provider (e.g. a card payment
+ * confirmed by webhook) and marks its orders paid. A failed attempt can still
+ * succeed later, when the customer retries with another card.
+ * @param {Object} transaction - PaymentTransaction
+ * @param {Object} [details] - receivedAmount and payer reported by the provider
+ * @returns {Promise<{settled: boolean, paidOrders: number}>} Whether this call settled it, and how many orders it paid
+ */
+export const settlePendingPayment = async (transaction, details = {}) => {
+  const settled = await PaymentTransaction.findOneAndUpdate(
+    { _id: transaction._id, status: { $in: ["pending", "failed"] } },
+    { $set: { status: "succeeded", failureReason: null, ...details } },
+    { new: true }
+  );
+  if (!settled) {
+    return { settled: false, paidOrders: 0 };
+  }
+
+  const orders = await Order.find({ _id: { $in: settled.orders } });
+  const paidOrders = await markOrdersPaid(orders, settled.provider);
+  return { settled: true, paidOrders };
+};
+
+/**
+ * Records a failed attempt at a pending payment. The orders stay pending so
+ * the customer can try again or cancel.
+ * @param {Object} transaction - PaymentTransaction
+ * @param {string} reason - Why the provider declined it
+ * @returns {Promise<void>}
+ */
+export const recordPaymentAttemptFailure = async (transaction, reason) => {
+  await PaymentTransaction.updateOne(
+    { _id: transaction._id, status: "pending" },
+    { $set: { status: "failed", failureReason: reason } }
+  );
+
+  const orders = await Order.find({ _id: { $in: transaction.orders } });
+  orders.forEach((order) => broadcastOrderStatus(order));
+};
+
+/**
+ * Marks an unpaid order's payment as failed and cancels it, which releases
+ * its stock and slot.
+ * @param {Object} order - Order document
+ * @param {string} [reason] - Shown in the status history
+ * @returns {Promise<boolean>} Whether the order was still waiting for payment
+ * @throws 409 if the order can no longer be cancelled; its payment is left as it is
+ */
+export const failOrderPayment = async (order, reason) => {
+  if (order.paymentStatus !== "pending") {
+    return false;
+  }
+  if (!canTransition(order, "cancelled", [ORDER_ROLES.SYSTEM])) {
+    throw createError(409, `This order is already ${order.status.replace(/_/g, " ")}, so its payment can't be marked as failed`);
+  }
+
+  order.paymentStatus = "failed";
+  await transitionOrder(order, "cancelled", {
+    roles: [ORDER_ROLES.SYSTEM],
+    note: reason ? `Payment failed: ${reason}` : "Payment failed"
+  });
+  return true;
+};
+
+/**
+ * Cancels orders paid up front that weren't paid by their deadline, which
+ * gives back what they reserved
+ */
+export const sweepOverduePayments = async () => {
+  const overdue = await Order.find(overduePaymentFilter()).sort({ createdAt: 1 }).limit(50);
+  for (const order of overdue) {
+    try {
+      await failOrderPayment(order, "Not paid in time");
+    } catch (error) {
+      console.error(`Error cancelling unpaid order ${order._id}:`, error);
+    }
+  }
+};
+
+/**
+ * Starts the periodic sweep for orders that ran out of time to be paid
+ */
+export const startPaymentSweep = () => {
+  if (sweepTimer) {
+    return;
+  }
+
+  const sweep = () => sweepOverduePayments().catch((error) => console.error("Payment sweep failed:", error));
+  sweepTimer = setInterval(sweep, paymentConfig.paymentSweepIntervalSeconds * SECOND);
+  sweepTimer.unref();
+  sweep();
+  console.log(`Payment sweep started, cancelling orders unpaid after ${paymentConfig.paymentTimeoutMinutes} min`);
+};
+
+/**
+ * Stops the payment sweep
+ */
+export const stopPaymentSweep = () => {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+};
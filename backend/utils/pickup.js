@@ -0,0 +1,55 @@
+import { randomInt } from "crypto";
+import createError from "./error.js";
+import pickupConfig from "../config/pickup.js";
+import { hasCoordinates, distanceBetween } from "./geo.js";
+
+/**
+ * A fresh handover code for the pickup leg of a delivery order
+ * @returns {string} pickupConfig.codeLength digits
+ */
+export const generatePickupCode = () =>
+  Array.from({ length: pickupConfig.codeLength }, () => randomInt(10)).join("");
+
+/**
+ * How far an agent is from an order's kitchen
+ * @param {Object} order - Order document
+ * @param {Object} agent - DeliveryAgent document
+ * @returns {number|null} Metres, or null when either location is unknown
+ */
+export const distanceFromPickup = (order, agent) => {
+  if (!hasCoordinates(order.pickupLocation) || !hasCoordinates(agent.currentLocation)) {
+    return null;
+  }
+  return Math.round(distanceBetween(agent.currentLocation, order.pickupLocation));
+};
+
+/**
+ * Checks an agent's proof that they collected an order: the code the kitchen
+ * gave them, or being within pickupConfig.geofenceRadiusMeters of the kitchen.
+ * @param {Object} order - Order document loaded with +pickupLeg.code
+ * @param {Object} agent - DeliveryAgent document
+ * @param {string} [code] - Code entered by the agent
+ * @returns {{method: string, distance: number|null}} Proof to record on the order
+ */
+export const verifyPickupProof = (order, agent, code) => {
+  const distance = distanceFromPickup(order, agent);
+  const enteredCode = code === undefined || code === null ? "" : String(code).trim();
+
+  if (enteredCode) {
+    if (enteredCode !== order.pickupLeg?.code) {
+      throw createError(400, "That pickup code doesn't match. Ask the kitchen to check it again");
+    }
+    return { method: "code", distance };
+  }
+
+  if (distance !== null && distance <= pickupConfig.geofenceRadiusMeters) {
+    return { method: "geofence", distance };
+  }
+
+  throw createError(
+    400,
+    distance === null
+      ? "We can't see your location. Enter the pickup code the kitchen gives you"
+      : `You're ${distance} m from the kitchen. Enter the pickup code the kitchen gives you`
+  );
+};
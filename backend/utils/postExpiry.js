@@ -0,0 +1,67 @@
+import postConfig from "../config/posts.js";
+import createError from "./error.js";
+
+/**
+ * Posts are fresh batches that can be ordered until their expiresAt. After
+ * that they're expired: hidden from the feed, search and nearby results and
+ * no longer orderable, but kept so orders, shares, bookmarks and the author's
+ * profile can still show them.
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * When a new post expires
+ * @param {number|string} [hours] - Availability window the seller chose; the default when omitted
+ * @param {Date} [from] - When the post goes up
+ * @returns {Date}
+ * @throws 400 when the window is outside the configured range
+ */
+export const getPostExpiry = (hours, from = new Date()) => {
+  const windowHours = hours === undefined || hours === null || hours === ""
+    ? postConfig.defaultAvailabilityHours
+    : Number(hours);
+
+  if (
+    !Number.isFinite(windowHours) ||
+    windowHours < postConfig.minAvailabilityHours ||
+    windowHours > postConfig.maxAvailabilityHours
+  ) {
+    throw createError(
+      400,
+      `Availability must be between ${postConfig.minAvailabilityHours} and ${postConfig.maxAvailabilityHours} hours`
+    );
+  }
+  return new Date(from.getTime() + windowHours * HOUR);
+};
+
+/**
+ * Query conditions matching posts that haven't expired. Posts from before
+ * per-post windows have no expiresAt and expire the default window after
+ * they were created, as in isPostExpired.
+ * @param {Date} [now]
+ * @returns {Object} A single $or, so combine it with other $or conditions through $and
+ */
+export const activePostFilter = (now = new Date()) => ({
+  $or: [
+    { expiresAt: { $gt: now } },
+    {
+      expiresAt: { $exists: false },
+      createdAt: { $gt: new Date(now.getTime() - postConfig.defaultAvailabilityHours * HOUR) }
+    }
+  ]
+});
+
+/**
+ * Checks whether a post has expired. Posts from before per-post windows
+ * expire the default window after they were created.
+ * @param {Object} post
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isPostExpired = (post, now = new Date()) => {
+  const expiresAt = post.expiresAt
+    ? new Date(post.expiresAt)
+    : new Date(new Date(post.createdAt).getTime() + postConfig.defaultAvailabilityHours * HOUR);
+  return expiresAt <= now;
+};
@@ -0,0 +1,207 @@
+import sharp from "sharp";
+import streamifier from "streamifier";
+import cloudinary from "../cloudinaryConfig.js";
+import createError from "./error.js";
+
+/**
+ * Uploading the photos and videos of a post to Cloudinary, and removing them
+ * again when a seller replaces them.
+ *
+ * A post's media is an ordered list of { mediaType, url }. The first item is
+ * its cover, which is also kept in the post's mediaType, image and video
+ * fields for everything that shows a single thumbnail.
+ */
+
+/**
+ * Gets whether an uploaded file is an image or a video
+ * @param {Object} file - Multer file kept in memory
+ * @returns {string} image or video
+ * @throws 400 for anything else
+ */
+export const getPostMediaType = (file) => {
+  const mediaType = file?.mimetype ? file.mimetype.split("/")[0] : null;
+  if (!mediaType) {
+    throw createError(400, "Invalid media format");
+  }
+  if (mediaType !== "image" && mediaType !== "video") {
+    throw createError(400, "Unsupported media type: " + mediaType);
+  }
+  return mediaType;
+};
+
+const uploadImage = async (file) => {
+  let cloudResponse;
+  try {
+    // Optimize and upload image
+    const optimizedImageBuffer = await sharp(file.buffer)
+      .resize({ width: 800, height: 800, fit: "inside" })
+      .toFormat("jpeg", { quality: 90 })
+      .toBuffer();
+
+    console.log("Attempting to upload image to Cloudinary for post...");
+    cloudResponse = await cloudinary.uploader.upload(
+      `data:image/jpeg;base64,${optimizedImageBuffer.toString("base64")}`,
+      { resource_type: "image", folder: "posts/images", timeout: 60000 }
+    );
+  } catch (error) {
+    console.error("Error processing or uploading image:", error);
+    throw createError(500, "Error processing image. Please try with a different image.");
+  }
+
+  if (!cloudResponse?.secure_url) {
+    console.error("Failed to get secure URL from Cloudinary");
+    throw createError(500, "Failed to upload image. Please try again.");
+  }
+  console.log("Cloudinary image upload successful for post");
+  return cloudResponse.secure_url;
+};
+
+const uploadVideo = async (file) => {
+  // Check if buffer exists before attempting to create stream
+  if (!file.buffer) {
+    throw createError(500, "Missing file buffer for video upload");
+  }
+
+  let cloudResponse;
+  try {
+    // Stream upload video to Cloudinary
+    console.log("Attempting to upload video to Cloudinary for post...");
+    cloudResponse = await new Promise((resolve, reject) => {
+      const stream = cloudinary.uploader.upload_stream(
+        {
+          resource_type: "video",
+          folder: "posts/videos",
+          timeout: 120000, // Increased timeout for videos
+          chunk_size: 60000000,
+        },
+        (error, result) => (error ? reject(error) : resolve(result))
+      );
+      streamifier.createReadStream(file.buffer).pipe(stream);
+    });
+  } catch (error) {
+    console.error("Error uploading video:", error);
+    throw createError(500, "Error uploading video. Please try with a different video or smaller file size.");
+  }
+
+  if (!cloudResponse?.secure_url) {
+    console.error("Failed to get secure URL from Cloudinary for video");
+    throw createError(500, "Failed to upload video. Please try again with a smaller video.");
+  }
+  console.log("Cloudinary video upload successful for post");
+  return cloudResponse.secure_url;
+};
+
+/**
+ * Uploads the photo or video of a post
+ * @param {Object} file - Multer file kept in memory
+ * @returns {Promise<{mediaType: string, url: string}>}
+ * @throws 400 for unsupported files, 500 when the upload fails
+ */
+export const uploadPostMedia = async (file) => {
+  const mediaType = getPostMediaType(file);
+  const url = mediaType === "image" ? await uploadImage(file) : await uploadVideo(file);
+  return { mediaType, url };
+};
+
+/**
+ * Uploads the photos and videos of a post in order. If one fails, the ones
+ * already uploaded are removed again.
+ * @param {Object[]} files - Multer files kept in memory
+ * @returns {Promise<Array<{mediaType: string, url: string}>>}
+ * @throws 400 for unsupported files, 500 when an upload fails
+ */
+export const uploadPostMediaList = async (files) => {
+  // Check every file before uploading any of them
+  files.forEach(getPostMediaType);
+
+  const media = [];
+  try {
+    for (const file of files) {
+      const { mediaType, url } = await uploadPostMedia(file);
+      media.push({ mediaType, url });
+    }
+  } catch (error) {
+    await destroyPostMediaList(media);
+    throw error;
+  }
+  return media;
+};
+
+/**
+ * The media of a post, including posts from before media lists that only
+ * have a single image or video
+ * @param {Object} post
+ * @returns {Array<{mediaType: string, url: string}>}
+ */
+export const getPostMediaList = (post) => {
+  if (post.media?.length) {
+    return post.media;
+  }
+  const mediaType = post.mediaType || (post.video ? "video" : "image");
+  const url = mediaType === "video" ? post.video : post.image;
+  return url ? [{ mediaType, url }] : [];
+};
+
+/**
+ * The cover fields of a post for a media list
+ * @param {Array<{mediaType: string, url: string}>} media
+ * @returns {{mediaType: string, image: string, video: string}}
+ */
+export const getPostCoverFields = (media) => {
+  const [cover] = media;
+  return {
+    mediaType: cover?.mediaType,
+    image: cover?.mediaType === "image" ? cover.url : "",
+    video: cover?.mediaType === "video" ? cover.url : ""
+  };
+};
+
+/**
+ * Gets the Cloudinary public id from a delivery URL, e.g.
+ * https://res.cloudinary.com/demo/image/upload/v1712/posts/images/abc.jpg -> posts/images/abc
+ * @param {string} url
+ * @returns {string|null} null for URLs that aren't Cloudinary uploads
+ */
+export const getCloudinaryPublicId = (url) => {
+  if (typeof url !== "string" || !url.includes("res.cloudinary.com")) {
+    return null;
+  }
+  const [, path] = url.split("/upload/");
+  if (!path) {
+    return null;
+  }
+  return path
+    .replace(/^v\d+\//, "")
+    .replace(/\.[a-z0-9]+$/i, "");
+};
+
+/**
+ * Removes a post's old photo or video from Cloudinary. Failures are logged
+ * rather than thrown, since the post has already moved on to its new media.
+ * @param {string} url
+ * @param {string} mediaType - image or video
+ * @returns {Promise<void>}
+ */
+export const destroyPostMedia = async (url, mediaType) => {
+  const publicId = getCloudinaryPublicId(url);
+  if (!publicId) {
+    return;
+  }
+
+  try {
+    await cloudinary.uploader.destroy(publicId, { resource_type: mediaType === "video" ? "video" : "image" });
+  } catch (error) {
+    console.error(`Error removing old post media ${publicId}:`, error);
+  }
+};
+
+/**
+ * Removes every photo and video in a media list from Cloudinary
+ * @param {Array<{mediaType: string, url: string}>} media
+ * @returns {Promise<void>}
+ */
+export const destroyPostMediaList = async (media) => {
+  for (const item of media) {
+    await destroyPostMedia(item.url, item.mediaType);
+  }
+};
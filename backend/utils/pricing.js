@@ -0,0 +1,215 @@
+import pricingConfig from "../config/pricing.js";
+import createError from "./error.js";
+import { findPromoCode, calculatePromoDiscount } from "./promoCodes.js";
+import { checkServiceability, getZoneDeliveryFee } from "./serviceZones.js";
+import { MENU_ITEM, normalizeItemType, loadCatalogItem, getMenuItemPortions } from "./menu.js";
+import { isPostExpired } from "./postExpiry.js";
+
+/**
+ * Rounds an amount to 2 decimal places
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+export const roundCurrency = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+/**
+ * Parses a post price (stored as a string on Post) into a number
+ * @param {string|number} price - Raw price value
+ * @returns {number} Parsed price, 0 if it can't be parsed
+ */
+export const parsePostPrice = (price) => {
+  const parsed = parseFloat(String(price ?? "").replace(/[^0-9.]/g, ""));
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+/**
+ * Calculates the delivery fee for a delivery method using the configured rules
+ * @param {string} deliveryMethod - standard, express or pickup
+ * @param {number} subtotal - Item subtotal used for free-delivery thresholds
+ * @param {Object} [zone] - Service zone the order is delivered to, which may set its own fee
+ * @returns {number} Delivery fee
+ */
+export const calculateDeliveryFee = (deliveryMethod, subtotal, zone = null) => {
+  const rule = pricingConfig.deliveryFees[deliveryMethod];
+  if (!rule) {
+    throw createError(400, `Invalid delivery method: ${deliveryMethod}`);
+  }
+
+  if (rule.freeAbove > 0 && subtotal >= rule.freeAbove) {
+    return 0;
+  }
+
+  return roundCurrency(getZoneDeliveryFee(zone, deliveryMethod));
+};
+
+/**
+ * Calculates tax for an item subtotal
+ * @param {number} subtotal - Item subtotal
+ * @returns {number} Tax amount
+ */
+export const calculateTax = (subtotal) => roundCurrency(subtotal * pricingConfig.tax.rate);
+
+/**
+ * Checks the tip a customer wants to add for their delivery agent
+ * @param {number|string} [tip] - Tip amount
+ * @param {string} deliveryMethod - Pickup orders have no agent to tip
+ * @returns {number} Tip amount
+ */
+export const normalizeTip = (tip, deliveryMethod) => {
+  if (tip === undefined || tip === null || tip === "" || deliveryMethod === "pickup") {
+    return 0;
+  }
+
+  const amount = Number(tip);
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw createError(400, "Tip must be a positive amount");
+  }
+  if (amount > pricingConfig.tips.max) {
+    throw createError(400, `Tips can be at most ${pricingConfig.tips.max}`);
+  }
+  return roundCurrency(amount);
+};
+
+/**
+ * Builds the authoritative price quote for a set of cart items.
+ * Every line is re-priced from the current post or menu item price; client prices are ignored.
+ * @param {Object} options
+ * @param {Array} options.items - Items with productId, quantity and itemType (Post, the
+ *   default, or Product for menu items)
+ * @param {string} [options.deliveryMethod=standard] - Delivery method
+ * @param {string} [options.promoCode] - Promo code to apply. An unusable code doesn't fail
+ *   the quote; it is reported through quote.promoError instead.
+ * @param {string} [options.userId] - User the quote is for (needed for per-user promo limits)
+ * @param {number} [options.tip] - Tip for the delivery agent, added on top of the total
+ * @param {Object} [options.deliveryLocation] - GeoJSON point of the delivery address. Its service
+ *   zone sets the delivery fee; an address we can't deliver to doesn't fail the quote, it is
+ *   reported through quote.serviceable and quote.serviceError instead.
+ * @param {Date} [options.availableAt] - When the order is for; menu items must be available then
+ * @returns {Promise<{quote: Object, posts: Map, promo: Object|null}>} Quote, the loaded posts and
+ *   menu items keyed by id, and the applied promo
+ */
+export const buildOrderQuote = async ({
+  items,
+  deliveryMethod = "standard",
+  promoCode = null,
+  userId = null,
+  tip = 0,
+  deliveryLocation = null,
+  availableAt = new Date()
+}) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw createError(400, "Order must contain items");
+  }
+  if (!pricingConfig.deliveryFees[deliveryMethod]) {
+    throw createError(400, `Invalid delivery method: ${deliveryMethod}`);
+  }
+  const tipAmount = normalizeTip(tip, deliveryMethod);
+
+  const posts = new Map();
+  const lines = [];
+
+  for (const item of items) {
+    if (!item.productId) {
+      throw createError(400, "Each item must have a product ID");
+    }
+
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw createError(400, "Each item must have a valid quantity");
+    }
+
+    const itemType = normalizeItemType(item.itemType);
+    const productId = item.productId.toString();
+    let post = posts.get(productId);
+    if (!post) {
+      post = await loadCatalogItem(itemType, productId);
+      if (!post) {
+        throw createError(404, `Product not found: ${productId}`);
+      }
+      posts.set(productId, post);
+    }
+
+    const isMenuItem = itemType === MENU_ITEM;
+    const price = isMenuItem ? roundCurrency(post.price) : parsePostPrice(post.price);
+    lines.push({
+      productId: post._id,
+      itemType,
+      name: (isMenuItem ? post.name : post.caption) || item.name,
+      price,
+      quantity,
+      lineTotal: roundCurrency(price * quantity),
+      // Portions the seller still has, so the cart can flag sold-out items early.
+      // Menu items are cooked to order, so they're only limited while available;
+      // expired posts can't be ordered at all.
+      available: isMenuItem
+        ? getMenuItemPortions(post, availableAt)
+        : isPostExpired(post) ? 0 : Math.max(post.quantity || 0, 0)
+    });
+  }
+
+  const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+  const tax = calculateTax(subtotal);
+  const serviceability = await checkServiceability({ deliveryMethod, deliveryLocation, subtotal });
+  const { zone } = serviceability;
+  const deliveryFee = calculateDeliveryFee(deliveryMethod, subtotal, zone);
+
+  // Discounts only ever come from a promo code validated on the server
+  let promo = null;
+  let promoError = null;
+  let discount = 0;
+  if (promoCode) {
+    try {
+      promo = await findPromoCode(promoCode);
+      discount = calculatePromoDiscount(promo, { userId, lines, posts, subtotal, deliveryFee });
+    } catch (err) {
+      promo = null;
+      promoError = err.message;
+    }
+  }
+
+  const appliedDiscount = roundCurrency(Math.min(discount, subtotal + deliveryFee));
+  // Promo codes never touch the tip
+  const total = roundCurrency(subtotal + tax + deliveryFee - appliedDiscount + tipAmount);
+
+  const quote = {
+    currency: pricingConfig.currency,
+    deliveryMethod,
+    items: lines,
+    subtotal,
+    tax,
+    taxRate: pricingConfig.tax.rate,
+    taxLabel: pricingConfig.tax.label,
+    deliveryFee,
+    deliveryEstimate: pricingConfig.deliveryFees[deliveryMethod].estimate,
+    discount: appliedDiscount,
+    tip: tipAmount,
+    promoCode: promo ? promo.code : null,
+    promoError,
+    total,
+    serviceable: serviceability.serviceable,
+    serviceError: serviceability.message,
+    serviceErrorReason: serviceability.reason,
+    serviceZone: zone ? { _id: zone._id, name: zone.name, minOrderValue: zone.minOrderValue || 0 } : null
+  };
+
+  return { quote, posts, promo };
+};
+
+/**
+ * Compares client-supplied totals with a server quote
+ * @param {Object} clientTotals - subtotal, tax, deliveryFee, discount, tip and total sent by the client
+ * @param {Object} quote - Quote produced by buildOrderQuote
+ * @returns {string[]} Names of the fields that disagree (empty when everything matches)
+ */
+export const findTotalsMismatch = (clientTotals, quote) => {
+  const fields = ["subtotal", "tax", "deliveryFee", "discount", "tip", "total"];
+
+  return fields.filter((field) => {
+    const clientValue = clientTotals[field];
+    // Fields the client didn't send are simply taken from the quote
+    if (clientValue === undefined || clientValue === null) {
+      return false;
+    }
+    return Math.abs(roundCurrency(clientValue) - quote[field]) > pricingConfig.tolerance;
+  });
+};
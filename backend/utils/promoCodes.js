@@ -0,0 +1,221 @@
+import mongoose from "mongoose";
+import { PromoCode } from "../models/promoCode.model.js";
+import Order from "../models/order.model.js";
+import Checkout from "../models/checkout.model.js";
+import createError from "./error.js";
+import { getCatalogSeller, getCatalogCategory } from "./menu.js";
+
+/**
+ * Normalizes a promo code entered by a user
+ * @param {string} code - Raw promo code
+ * @returns {string} Trimmed, upper-cased code
+ */
+export const normalizePromoCode = (code) => String(code || "").trim().toUpperCase();
+
+/**
+ * Counts how many times a user has redeemed a promo code
+ * @param {Object} promo - PromoCode document
+ * @param {string} userId - User ID
+ * @returns {number} Number of redemptions by the user
+ */
+export const countUserRedemptions = (promo, userId) =>
+  (promo.redemptions || []).filter((redemption) => redemption.user?.toString() === userId?.toString()).length;
+
+/**
+ * Loads a promo code by its code
+ * @param {string} code - Promo code entered by the user
+ * @returns {Promise<Object>} PromoCode document
+ */
+export const findPromoCode = async (code) => {
+  const promo = await PromoCode.findOne({ code: normalizePromoCode(code) });
+  if (!promo) {
+    throw createError(404, "Invalid promo code");
+  }
+  return promo;
+};
+
+/**
+ * Totals the order lines a promo code's category and seller restrictions allow
+ * @param {Object} promo - PromoCode document
+ * @param {Array} lines - Priced order lines (productId, lineTotal)
+ * @param {Map} posts - Posts and menu items keyed by id
+ * @returns {number} Subtotal of the eligible lines
+ */
+export const getEligibleSubtotal = (promo, lines, posts) => {
+  const allowedSellers = (promo.sellers || []).map((seller) => seller.toString());
+
+  return lines.reduce((sum, line) => {
+    const item = posts.get(line.productId.toString());
+    const seller = getCatalogSeller(item);
+    const authorId = seller?._id?.toString() || seller?.toString();
+
+    if (promo.categories?.length > 0 && !promo.categories.includes(getCatalogCategory(item))) {
+      return sum;
+    }
+    if (allowedSellers.length > 0 && !allowedSellers.includes(authorId)) {
+      return sum;
+    }
+    return sum + line.lineTotal;
+  }, 0);
+};
+
+/**
+ * Works out the discount a promo code gives on a priced cart.
+ * Throws a 400 error describing why the code can't be used.
+ * @param {Object} promo - PromoCode document
+ * @param {Object} context
+ * @param {string} context.userId - User placing the order
+ * @param {Array} context.lines - Priced order lines (productId, lineTotal)
+ * @param {Map} context.posts - Posts and menu items keyed by id, used for category and seller restrictions
+ * @param {number} context.subtotal - Item subtotal
+ * @param {number} context.deliveryFee - Delivery fee for the order
+ * @returns {number} Discount amount (not rounded)
+ */
+export const calculatePromoDiscount = (promo, { userId, lines, posts, subtotal, deliveryFee }) => {
+  const now = new Date();
+
+  if (!promo.isActive) {
+    throw createError(400, "This promo code is no longer active");
+  }
+
+  if (promo.validFrom && now < promo.validFrom) {
+    throw createError(400, "This promo code is not valid yet");
+  }
+
+  if (promo.validUntil && now > promo.validUntil) {
+    throw createError(400, "This promo code has expired");
+  }
+
+  if (promo.usageLimit > 0 && promo.usedCount >= promo.usageLimit) {
+    throw createError(400, "This promo code has reached its usage limit");
+  }
+
+  if (promo.perUserLimit > 0 && countUserRedemptions(promo, userId) >= promo.perUserLimit) {
+    throw createError(400, "You have already used this promo code");
+  }
+
+  if (subtotal < promo.minOrderValue) {
+    throw createError(400, `Minimum order value for this promo code is ₹${promo.minOrderValue}`);
+  }
+
+  // Only items matching the category and seller restrictions are discounted
+  const eligibleSubtotal = getEligibleSubtotal(promo, lines, posts);
+
+  if (eligibleSubtotal <= 0) {
+    throw createError(400, "This promo code doesn't apply to any items in your cart");
+  }
+
+  let discount = 0;
+  switch (promo.discountType) {
+    case "percent":
+      discount = eligibleSubtotal * (promo.value / 100);
+      break;
+    case "flat":
+      discount = Math.min(promo.value, eligibleSubtotal);
+      break;
+    case "free_delivery":
+      if (deliveryFee <= 0) {
+        throw createError(400, "This promo code only applies to orders with a delivery fee");
+      }
+      discount = deliveryFee;
+      break;
+    default:
+      discount = 0;
+  }
+
+  if (promo.maxDiscount > 0) {
+    discount = Math.min(discount, promo.maxDiscount);
+  }
+
+  return discount;
+};
+
+/**
+ * Atomically records a redemption. The update only matches while the global
+ * and per-user limits still have room, so concurrent checkouts can't overuse a code.
+ * @param {Object} promo - PromoCode document
+ * @param {Object} redemption
+ * @param {string} redemption.userId - User redeeming the code
+ * @param {string} redemption.orderId - Order the code was used on
+ * @param {number} redemption.discount - Discount granted
+ * @returns {Promise<Object|null>} Updated PromoCode, or null if a limit was hit
+ */
+export const redeemPromoCode = async (promo, { userId, orderId, discount }) => {
+  const conditions = { _id: promo._id, isActive: true };
+
+  if (promo.usageLimit > 0) {
+    conditions.usedCount = { $lt: promo.usageLimit };
+  }
+
+  if (promo.perUserLimit > 0) {
+    conditions.$expr = {
+      $lt: [
+        {
+          $size: {
+            $filter: {
+              input: "$redemptions",
+              cond: { $eq: ["$$this.user", new mongoose.Types.ObjectId(userId.toString())] },
+            },
+          },
+        },
+        promo.perUserLimit,
+      ],
+    };
+  }
+
+  return PromoCode.findOneAndUpdate(
+    conditions,
+    {
+      $inc: { usedCount: 1 },
+      $push: { redemptions: { user: userId, order: orderId, discount, redeemedAt: new Date() } },
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Undoes a redemption, e.g. when the order it was recorded for couldn't be saved
+ * @param {string} promoId - PromoCode ID
+ * @param {string} orderId - Order the redemption belongs to
+ */
+export const releasePromoRedemption = async (promoId, orderId) => {
+  await PromoCode.updateOne(
+    { _id: promoId, "redemptions.order": orderId },
+    {
+      $inc: { usedCount: -1 },
+      $pull: { redemptions: { order: orderId } },
+    }
+  );
+};
+
+/**
+ * Gives back the promo code redemption behind a cancelled order once nothing it
+ * was used on is still going ahead. A checkout's redemption is recorded against
+ * its first order, so it's only released when every sub-order is cancelled.
+ * @param {Object} order - Cancelled Order document
+ * @returns {Promise<boolean>} Whether a redemption was looked for and released
+ */
+export const releaseOrderPromoCode = async (order) => {
+  if (!order.checkout) {
+    if (!order.promoCode) {
+      return false;
+    }
+    await releasePromoRedemption(order.promoCode, order._id);
+    return true;
+  }
+
+  const stillActive = await Order.exists({ checkout: order.checkout, status: { $ne: "cancelled" } });
+  if (stillActive) {
+    return false;
+  }
+
+  const checkout = await Checkout.findById(order.checkout).select("promoCode orders");
+  if (!checkout?.promoCode || !checkout.orders?.length) {
+    return false;
+  }
+
+  // Releasing only matches while the redemption is still recorded, so sub-orders
+  // cancelled at the same time can't give it back twice
+  await releasePromoRedemption(checkout.promoCode, checkout.orders[0]);
+  return true;
+};
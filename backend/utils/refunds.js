@@ -0,0 +1,410 @@
+import mongoose from "mongoose";
+import Order from "../models/order.model.js";
+import Refund from "../models/refund.model.js";
+import refundConfig from "../config/refunds.js";
+import createError from "./error.js";
+import { roundCurrency } from "./pricing.js";
+import { refundOrderPayment } from "./paymentProviders/index.js";
+import { ORDER_ROLES, registerOrderHook } from "./orderStateMachine.js";
+import { createNotification } from "../controllers/notification.controller.js";
+import { io, getReceiverSocketId } from "../socket/socket.js";
+
+const REFUNDABLE_PAYMENT_STATUSES = ["paid", "partially_refunded"];
+const REFUND_TYPES = ["partial", "dispute"];
+
+/**
+ * Whether an order has money that can still be refunded
+ * @param {Object} order - Order document
+ * @returns {boolean}
+ */
+export const isRefundable = (order) => REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus);
+
+/**
+ * Amount of an order that hasn't been refunded yet
+ * @param {Object} order - Order document
+ * @returns {number}
+ */
+export const getRemainingRefundable = (order) => roundCurrency(Math.max(order.total - (order.refundedAmount || 0), 0));
+
+/**
+ * Fee kept when the customer cancels an order in a given status
+ * @param {Object} order - Order document
+ * @param {string} [status] - Status the order is cancelled from, defaults to its current status
+ * @returns {number}
+ */
+export const getCancellationFee = (order, status = order.status) => {
+  const rate = refundConfig.cancellationFeeRates[status] || 0;
+  return roundCurrency(order.total * rate);
+};
+
+/**
+ * What a customer would get back for cancelling an order now
+ * @param {Object} order - Order document
+ * @returns {{refundable: boolean, fee: number, refundAmount: number}}
+ */
+export const getCancellationQuote = (order) => {
+  if (!isRefundable(order)) {
+    return { refundable: false, fee: 0, refundAmount: 0 };
+  }
+
+  const remaining = getRemainingRefundable(order);
+  const fee = Math.min(getCancellationFee(order), remaining);
+  return { refundable: true, fee, refundAmount: roundCurrency(remaining - fee) };
+};
+
+/**
+ * Refund for part of an order line: the items' price plus their share of the
+ * order's tax, less their share of its discount. Delivery fees aren't included.
+ * @param {Object} order - Order document
+ * @param {Object} item - Line from order.items
+ * @param {number} quantity - Number of units to refund
+ * @returns {number}
+ */
+export const calculateLineRefund = (order, item, quantity) => {
+  const lineSubtotal = item.price * quantity;
+  const share = order.subtotal > 0 ? lineSubtotal / order.subtotal : 0;
+  return roundCurrency(lineSubtotal + share * (order.tax - (order.discount || 0)));
+};
+
+// Units of each order line already refunded or waiting for review, keyed by line id
+const getClaimedQuantities = async (orderId) => {
+  const refunds = await Refund.find({ order: orderId, status: { $in: ["pending", "approved"] } });
+  const claimed = new Map();
+
+  for (const refund of refunds) {
+    for (const item of refund.items) {
+      const key = item.itemId.toString();
+      claimed.set(key, (claimed.get(key) || 0) + item.quantity);
+    }
+  }
+  return claimed;
+};
+
+// Tell the customer about a refund they didn't make themselves
+const notifyCustomer = async (order, actorId, message) => {
+  const customerId = order.user.toString();
+  if (!actorId || actorId.toString() === customerId) {
+    return;
+  }
+
+  try {
+    await createNotification(actorId, customerId, "order", message, null, null, order._id);
+
+    const customerSocketId = getReceiverSocketId(customerId);
+    if (customerSocketId) {
+      io.to(customerSocketId).emit("newNotification", {
+        type: "order",
+        sender: { _id: actorId },
+        recipient: customerId,
+        order: {
+          _id: order._id,
+          status: order.status,
+          paymentStatus: order.paymentStatus,
+          total: order.total
+        },
+        message,
+        createdAt: new Date().toISOString(),
+        read: false
+      });
+    }
+  } catch (notificationError) {
+    console.error("Failed to send refund notification:", notificationError);
+    // The refund itself went through
+  }
+};
+
+/**
+ * Approves a pending refund, records the money against its order and pays
+ * it back through the provider that took the payment.
+ * The refund is claimed atomically so it can't be paid out twice.
+ * @param {Object} refund - Pending refund
+ * @param {Object} options
+ * @param {string} [options.actorId] - Admin (or user) approving it
+ * @param {number} [options.amount] - Amount to refund, defaults to the amount asked for
+ * @param {string} [options.note] - Audit note
+ * @param {boolean} [options.auto] - Approved by the server rather than an admin
+ * @param {Object} [options.order] - In-memory order to keep in sync with the saved one
+ * @returns {Promise<Object>} The approved refund
+ */
+export const approveRefund = async (refund, { actorId, amount, note, auto = false, order: orderDoc } = {}) => {
+  const order = await Order.findById(refund.order);
+  if (!order) {
+    throw createError(404, "Order not found");
+  }
+
+  const remaining = getRemainingRefundable(order);
+  const approvedAmount = roundCurrency(amount ?? refund.amount);
+  if (!(approvedAmount > 0)) {
+    throw createError(400, "Refund amount must be more than zero");
+  }
+  if (approvedAmount > remaining) {
+    throw createError(409, `Only ${remaining} of this order is left to refund`);
+  }
+
+  const approved = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: "pending" },
+    {
+      $set: { status: "approved", approvedAmount, reviewedBy: actorId, reviewedAt: new Date() },
+      $push: { auditTrail: { action: auto ? "auto_approved" : "approved", actor: actorId, amount: approvedAmount, note } }
+    },
+    { new: true }
+  );
+  if (!approved) {
+    throw createError(409, "This refund has already been reviewed");
+  }
+
+  // The limit is checked in the same write as the refund is added, so two
+  // refunds approved at once can't take more than the order's total between them
+  const refundedAmount = { $add: [{ $ifNull: ["$refundedAmount", 0] }, approvedAmount] };
+  const historyNote = `Refunded ${approvedAmount}${approved.type === "cancellation" ? "" : ` (${approved.type})`}`;
+  const updatedOrder = await Order.findOneAndUpdate(
+    { _id: order._id, $expr: { $lte: [refundedAmount, { $add: ["$total", 0.005] }] } },
+    [
+      {
+        $set: {
+          refundedAmount,
+          paymentStatus: {
+            $cond: [{ $gte: [refundedAmount, { $subtract: ["$total", 0.005] }] }, "refunded", "partially_refunded"]
+          },
+          statusHistory: {
+            $concatArrays: [
+              { $ifNull: ["$statusHistory", []] },
+              [{ _id: new mongoose.Types.ObjectId(), status: "$status", timestamp: "$$NOW", note: { $literal: historyNote } }]
+            ]
+          }
+        }
+      }
+    ],
+    { new: true }
+  );
+  if (!updatedOrder) {
+    // Another refund got there first: put this one back up for review
+    await Refund.updateOne(
+      { _id: approved._id, status: "approved" },
+      {
+        $set: { status: "pending" },
+        $unset: { approvedAmount: 1, reviewedBy: 1, reviewedAt: 1 },
+        $pop: { auditTrail: 1 }
+      }
+    );
+    throw createError(409, "Less of this order is left to refund than that, please check it again");
+  }
+
+  if (orderDoc) {
+    orderDoc.refundedAmount = updatedOrder.refundedAmount;
+    orderDoc.paymentStatus = updatedOrder.paymentStatus;
+  }
+
+  // Send the money back the way it came in
+  const payout = await refundOrderPayment(updatedOrder, approvedAmount, approved);
+  approved.payout = payout;
+  await Refund.updateOne({ _id: approved._id }, { $set: { payout } });
+
+  await notifyCustomer(updatedOrder, actorId, `Your refund of ${approvedAmount} has been approved`);
+
+  return approved;
+};
+
+/**
+ * Rejects a pending refund
+ * @param {Object} refund - Pending refund
+ * @param {Object} options
+ * @param {string} options.actorId - Admin rejecting it
+ * @param {string} [options.note] - Reason given to the customer
+ * @returns {Promise<Object>} The rejected refund
+ */
+export const rejectRefund = async (refund, { actorId, note } = {}) => {
+  const rejected = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: "pending" },
+    {
+      $set: { status: "rejected", reviewedBy: actorId, reviewedAt: new Date() },
+      $push: { auditTrail: { action: "rejected", actor: actorId, note } }
+    },
+    { new: true }
+  );
+  if (!rejected) {
+    throw createError(409, "This refund has already been reviewed");
+  }
+
+  const order = await Order.findById(rejected.order);
+  if (order) {
+    await notifyCustomer(
+      order,
+      actorId,
+      note ? `Your refund request was declined: ${note}` : "Your refund request was declined"
+    );
+  }
+
+  return rejected;
+};
+
+/**
+ * Opens the refund for a paid order that was just cancelled. Customers cancelling
+ * pay the fee for the stage the order had reached; fee-free refunds are approved
+ * straight away unless that's turned off in the refund config.
+ * @param {Object} order - The cancelled order
+ * @param {Object} options
+ * @param {string} options.fromStatus - Status the order was cancelled from
+ * @param {boolean} options.chargeFee - Whether a cancellation fee applies
+ * @param {string} [options.actorId] - Who cancelled the order
+ * @returns {Promise<Object|null>} The refund, or null when nothing was paid
+ */
+export const openCancellationRefund = async (order, { fromStatus, chargeFee, actorId }) => {
+  if (!isRefundable(order)) {
+    return null;
+  }
+
+  // Any open requests are covered by the cancellation refund
+  await Refund.updateMany(
+    { order: order._id, status: "pending" },
+    {
+      $set: { status: "rejected", reviewedAt: new Date() },
+      $push: { auditTrail: { action: "rejected", actor: actorId, note: "Replaced by the cancellation refund" } }
+    }
+  );
+
+  const remaining = getRemainingRefundable(order);
+  const fee = chargeFee ? Math.min(getCancellationFee(order, fromStatus), remaining) : 0;
+  const amount = roundCurrency(remaining - fee);
+  if (amount <= 0) {
+    return null;
+  }
+
+  const claimed = await getClaimedQuantities(order._id);
+  const items = order.items
+    .map((item) => ({ item, quantity: item.quantity - (claimed.get(item._id.toString()) || 0) }))
+    .filter(({ quantity }) => quantity > 0)
+    .map(({ item, quantity }) => ({
+      itemId: item._id,
+      productId: item.productId?._id || item.productId,
+      name: item.name,
+      quantity,
+      amount: calculateLineRefund(order, item, quantity)
+    }));
+
+  const refund = await Refund.create({
+    order: order._id,
+    user: order.user?._id || order.user,
+    requestedBy: actorId,
+    type: "cancellation",
+    reason: chargeFee ? "Cancelled by customer" : "Order cancelled",
+    items,
+    amount,
+    cancellationFee: fee,
+    auditTrail: [{
+      action: "requested",
+      actor: actorId,
+      amount,
+      note: fee > 0 ? `Cancellation fee of ${fee} kept (order was ${fromStatus})` : undefined
+    }]
+  });
+
+  if (fee === 0 && refundConfig.autoApproveFeeFreeCancellations) {
+    return approveRefund(refund, {
+      actorId,
+      auto: true,
+      note: "No cancellation fee, refunded automatically",
+      order
+    });
+  }
+
+  return refund;
+};
+
+// Paid orders get their money back once cancelled, less a fee when the customer cancelled
+registerOrderHook("cancelled", (order, { fromStatus, roles, actorId }) =>
+  openCancellationRefund(order, {
+    fromStatus,
+    chargeFee: roles.every((role) => role === ORDER_ROLES.CUSTOMER),
+    actorId
+  })
+);
+
+/**
+ * Records a customer's refund request for a delivered order.
+ * Partial refunds name the lines and quantities; disputes without items cover
+ * everything that hasn't been refunded yet, delivery fee included.
+ * @param {Object} order - Order document
+ * @param {Object} request
+ * @param {string} request.type - partial or dispute
+ * @param {string} request.reason - Why the customer wants their money back
+ * @param {Array<{itemId: string, quantity: number}>} [request.items] - Lines to refund
+ * @param {string} request.requestedBy - User asking for the refund
+ * @returns {Promise<Object>} The pending refund
+ */
+export const requestRefund = async (order, { type, reason, items = [], requestedBy }) => {
+  if (!REFUND_TYPES.includes(type)) {
+    throw createError(400, `Refund type must be one of: ${REFUND_TYPES.join(", ")}`);
+  }
+  if (!reason || !reason.trim()) {
+    throw createError(400, "Please tell us why you'd like a refund");
+  }
+  if (!isRefundable(order)) {
+    throw createError(409, "This order has nothing left to refund");
+  }
+  if (order.status !== "delivered") {
+    throw createError(409, "Refunds can only be requested for delivered orders; cancel the order instead");
+  }
+
+  const deliveredAt = order.actualDeliveryTime || order.updatedAt;
+  const windowEnds = new Date(deliveredAt.getTime() + refundConfig.requestWindowHours * 60 * 60 * 1000);
+  if (new Date() > windowEnds) {
+    throw createError(409, `Refunds must be requested within ${refundConfig.requestWindowHours} hours of delivery`);
+  }
+
+  if (type === "partial" && items.length === 0) {
+    throw createError(400, "Choose the items you'd like refunded");
+  }
+
+  const claimed = await getClaimedQuantities(order._id);
+  const available = (item) => item.quantity - (claimed.get(item._id.toString()) || 0);
+
+  // A dispute without items covers the whole order
+  const requested = items.length > 0
+    ? items
+    : order.items.filter((item) => available(item) > 0).map((item) => ({ itemId: item._id.toString(), quantity: available(item) }));
+
+  const lines = requested.map(({ itemId, quantity }) => {
+    const item = order.items.find((line) => line._id.toString() === String(itemId));
+    if (!item) {
+      throw createError(400, "One of the items isn't part of this order");
+    }
+
+    const units = Number(quantity);
+    if (!Number.isInteger(units) || units < 1) {
+      throw createError(400, "Quantities must be whole numbers");
+    }
+    if (units > available(item)) {
+      throw createError(409, `Only ${available(item)} of ${item.name || "this item"} can still be refunded`);
+    }
+
+    return {
+      itemId: item._id,
+      productId: item.productId?._id || item.productId,
+      name: item.name,
+      quantity: units,
+      amount: calculateLineRefund(order, item, units)
+    };
+  });
+
+  if (lines.length === 0) {
+    throw createError(409, "Everything on this order has already been refunded or requested");
+  }
+
+  const remaining = getRemainingRefundable(order);
+  const isWholeOrder = type === "dispute" && items.length === 0;
+  const amount = roundCurrency(
+    Math.min(isWholeOrder ? remaining : lines.reduce((sum, line) => sum + line.amount, 0), remaining)
+  );
+
+  return Refund.create({
+    order: order._id,
+    user: order.user?._id || order.user,
+    requestedBy,
+    type,
+    reason: reason.trim(),
+    items: lines,
+    amount,
+    auditTrail: [{ action: "requested", actor: requestedBy, amount, note: reason.trim() }]
+  });
+};
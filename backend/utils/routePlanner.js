@@ -0,0 +1,193 @@
+import etaConfig from "../config/eta.js";
+import { hasCoordinates, distanceBetween } from "./geo.js";
+import { travelMinutes } from "./eta.js";
+
+/**
+ * Multi-stop routes for agents carrying several orders. The agent's pickups
+ * and drop-offs are put in the sequence that covers the least distance from
+ * where the agent is now, with every order collected from its kitchen
+ * before it is dropped off.
+ */
+
+const MINUTE = 60 * 1000;
+
+// Statuses in which the food is already with the agent, so only the drop-off is left
+const COLLECTED_STATUSES = ["picked_up", "out_for_delivery"];
+
+// Up to this many stops the shortest sequence is searched for exhaustively;
+// longer routes always go to the nearest stop next
+const MAX_EXACT_STOPS = 12;
+
+// Estimated road distance between two points, in meters
+const roadDistance = (from, to) => distanceBetween(from, to) * etaConfig.roadFactor;
+
+// The stops still ahead for each order. Orders missing a location can't be
+// routed and are reported separately.
+const buildStops = (orders) => {
+  const stops = [];
+  const unroutable = [];
+
+  for (const order of orders) {
+    const collected = COLLECTED_STATUSES.includes(order.status);
+    if (!hasCoordinates(order.deliveryLocation) || (!collected && !hasCoordinates(order.pickupLocation))) {
+      unroutable.push(order._id);
+      continue;
+    }
+
+    let pickupIndex = null;
+    if (!collected) {
+      pickupIndex = stops.length;
+      stops.push({ type: "pickup", order, location: order.pickupLocation, pickupIndex: null });
+    }
+    stops.push({ type: "dropoff", order, location: order.deliveryLocation, pickupIndex });
+  }
+
+  return { stops, unroutable };
+};
+
+// A drop-off can only be visited once its pickup has been
+const isReachable = (stop, visited) => stop.pickupIndex === null || visited(stop.pickupIndex);
+
+// Shortest sequence over every stop, by dynamic programming over the sets of stops visited
+const shortestSequence = (stops, fromStart, between) => {
+  const count = stops.length;
+  const states = 1 << count;
+  const best = Array.from({ length: states }, () => new Float64Array(count).fill(Infinity));
+  const previous = Array.from({ length: states }, () => new Int8Array(count).fill(-1));
+
+  stops.forEach((stop, index) => {
+    if (isReachable(stop, () => false)) {
+      best[1 << index][index] = fromStart[index];
+    }
+  });
+
+  for (let visited = 1; visited < states; visited++) {
+    for (let last = 0; last < count; last++) {
+      const distance = best[visited][last];
+      if (distance === Infinity) continue;
+
+      for (let next = 0; next < count; next++) {
+        const nextBit = 1 << next;
+        if (visited & nextBit || !isReachable(stops[next], (index) => visited & (1 << index))) continue;
+
+        const candidate = distance + between[last][next];
+        if (candidate < best[visited | nextBit][next]) {
+          best[visited | nextBit][next] = candidate;
+          previous[visited | nextBit][next] = last;
+        }
+      }
+    }
+  }
+
+  const all = states - 1;
+  let last = 0;
+  for (let index = 1; index < count; index++) {
+    if (best[all][index] < best[all][last]) last = index;
+  }
+
+  const sequence = [];
+  for (let visited = all; last !== -1; ) {
+    sequence.unshift(last);
+    const before = previous[visited][last];
+    visited &= ~(1 << last);
+    last = before;
+  }
+  return sequence;
+};
+
+// Nearest reachable stop first, for routes too long to search exhaustively
+const nearestNeighbourSequence = (stops, fromStart, between) => {
+  const visited = new Set();
+  const sequence = [];
+
+  while (sequence.length < stops.length) {
+    const current = sequence[sequence.length - 1];
+    let next = -1;
+    stops.forEach((stop, index) => {
+      if (visited.has(index) || !isReachable(stop, (pickup) => visited.has(pickup))) return;
+      const distance = current === undefined ? fromStart[index] : between[current][index];
+      const nextDistance = next === -1 ? Infinity : current === undefined ? fromStart[next] : between[current][next];
+      if (distance < nextDistance) next = index;
+    });
+    visited.add(next);
+    sequence.push(next);
+  }
+  return sequence;
+};
+
+// Total distance of a sequence of stops, starting from the agent when their location is known
+const sequenceDistance = (sequence, fromStart, between) =>
+  sequence.reduce((total, index, position) =>
+    total + (position === 0 ? fromStart[index] : between[sequence[position - 1]][index]), 0);
+
+/**
+ * Suggested order for an agent to visit the pickups and drop-offs of the
+ * orders they are carrying
+ * @param {Object} agent - DeliveryAgent with currentLocation and vehicleType
+ * @param {Object[]} orders - The agent's active orders, in the order they took them on
+ * @param {Date} [now]
+ * @returns {{stops: Object[], totalDistanceMeters: number, unoptimizedDistanceMeters: number,
+ *   estimatedFinish: Date|null, optimal: boolean, unroutableOrders: Array}}
+ *   unoptimizedDistanceMeters is the distance when each order is picked up and
+ *   dropped off in turn, for comparison
+ */
+export const planAgentRoute = (agent, orders, now = new Date()) => {
+  const { stops, unroutable } = buildStops(orders);
+  // Without a known position the route simply starts at its first stop
+  const start = hasCoordinates(agent.currentLocation) ? agent.currentLocation : null;
+
+  const fromStart = stops.map(stop => (start ? roadDistance(start, stop.location) : 0));
+  const between = stops.map(from => stops.map(to => roadDistance(from.location, to.location)));
+
+  const optimal = stops.length <= MAX_EXACT_STOPS;
+  const sequence = stops.length === 0
+    ? []
+    : optimal
+      ? shortestSequence(stops, fromStart, between)
+      : nearestNeighbourSequence(stops, fromStart, between);
+
+  // Walk the route for each stop's distance and arrival time
+  let distance = 0;
+  let time = now.getTime();
+  let position = start;
+  const plannedStops = sequence.map((index, step) => {
+    const stop = stops[index];
+    const legMeters = position ? roadDistance(position, stop.location) : 0;
+    if (position) {
+      time += travelMinutes(position, stop.location, agent.vehicleType) * MINUTE;
+    }
+    const estimatedArrival = new Date(time);
+
+    // Food can't be collected before the kitchen has it ready
+    if (stop.type === "pickup" && stop.order.estimatedReadyTime) {
+      time = Math.max(time, new Date(stop.order.estimatedReadyTime).getTime());
+    }
+    time += (stop.type === "pickup" ? etaConfig.pickupHandoverMinutes : etaConfig.dropoffMinutes) * MINUTE;
+
+    distance += legMeters;
+    position = stop.location;
+
+    return {
+      sequence: step + 1,
+      type: stop.type,
+      orderId: stop.order._id,
+      status: stop.order.status,
+      // Kitchen for pickups, customer's address for drop-offs
+      name: stop.type === "pickup" ? stop.order.seller?.username || null : stop.order.user?.username || null,
+      address: stop.type === "dropoff" ? stop.order.deliveryAddress : null,
+      location: { type: "Point", coordinates: stop.location.coordinates },
+      legDistanceMeters: Math.round(legMeters),
+      cumulativeDistanceMeters: Math.round(distance),
+      estimatedArrival
+    };
+  });
+
+  return {
+    stops: plannedStops,
+    totalDistanceMeters: Math.round(distance),
+    unoptimizedDistanceMeters: Math.round(sequenceDistance(stops.map((_, index) => index), fromStart, between)),
+    estimatedFinish: plannedStops.length > 0 ? new Date(time) : null,
+    optimal,
+    unroutableOrders: unroutable
+  };
+};
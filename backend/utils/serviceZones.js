@@ -0,0 +1,148 @@
+import ServiceZone from "../models/serviceZone.model.js";
+import pricingConfig from "../config/pricing.js";
+import createError from "./error.js";
+import { hasCoordinates } from "./geo.js";
+
+// Keeps zone documents (and the 2dsphere index) a sensible size
+const MAX_ZONE_POINTS = 1000;
+
+const isPosition = (position) =>
+  Array.isArray(position) &&
+  position.length === 2 &&
+  Number.isFinite(position[0]) && Math.abs(position[0]) <= 180 &&
+  Number.isFinite(position[1]) && Math.abs(position[1]) <= 90;
+
+// Closes a ring if its last point doesn't repeat the first, as GeoJSON requires
+const closeRing = (ring) => {
+  const [first] = ring;
+  const last = ring[ring.length - 1];
+  return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+};
+
+/**
+ * Validates a zone's area drawn by an admin
+ * @param {Object} area - GeoJSON Polygon or MultiPolygon
+ * @returns {Object} The area with every ring closed
+ * @throws 400 if it isn't a usable polygon
+ */
+export const normalizeZoneArea = (area) => {
+  if (!area || !["Polygon", "MultiPolygon"].includes(area.type) || !Array.isArray(area.coordinates)) {
+    throw createError(400, "Zone area must be a GeoJSON Polygon or MultiPolygon");
+  }
+
+  const polygons = area.type === "MultiPolygon" ? area.coordinates : [area.coordinates];
+  let pointCount = 0;
+  const normalized = polygons.map((rings) => {
+    if (!Array.isArray(rings) || rings.length === 0) {
+      throw createError(400, "Every polygon in a zone needs an outline");
+    }
+    return rings.map((ring) => {
+      if (!Array.isArray(ring) || !ring.every(isPosition)) {
+        throw createError(400, "Zone points must be [longitude, latitude] pairs");
+      }
+      const closed = closeRing(ring);
+      if (closed.length < 4) {
+        throw createError(400, "A zone outline needs at least three points");
+      }
+      pointCount += closed.length;
+      return closed;
+    });
+  });
+
+  if (pointCount > MAX_ZONE_POINTS) {
+    throw createError(400, `A zone can have at most ${MAX_ZONE_POINTS} points`);
+  }
+
+  return {
+    type: area.type,
+    coordinates: area.type === "MultiPolygon" ? normalized : normalized[0]
+  };
+};
+
+/**
+ * Active service zones that contain a point
+ * @param {Object} point - GeoJSON point
+ * @returns {Promise<Object[]>} ServiceZone documents
+ */
+export const findZonesContaining = async (point) => {
+  if (!hasCoordinates(point)) {
+    return [];
+  }
+  return ServiceZone.find({
+    isActive: true,
+    area: { $geoIntersects: { $geometry: { type: "Point", coordinates: point.coordinates } } }
+  });
+};
+
+/**
+ * Delivery fee a zone charges for a delivery method
+ * @param {Object|null} zone - ServiceZone, or null for the standard fees
+ * @param {string} deliveryMethod - standard or express
+ * @returns {number} The zone's own fee if it sets one, otherwise the configured fee
+ */
+export const getZoneDeliveryFee = (zone, deliveryMethod) => {
+  const zoneFee = zone?.deliveryFees?.[deliveryMethod];
+  return Number.isFinite(zoneFee) ? zoneFee : pricingConfig.deliveryFees[deliveryMethod]?.fee;
+};
+
+/**
+ * Active zone a delivery address falls in. Where zones overlap, the one with
+ * the cheapest delivery wins.
+ * @param {Object} point - GeoJSON point of the delivery address
+ * @param {string} deliveryMethod - standard or express
+ * @returns {Promise<Object|null>} ServiceZone document, or null if no zone covers the point
+ */
+export const findDeliveryZone = async (point, deliveryMethod) => {
+  const zones = await findZonesContaining(point);
+  return zones.reduce(
+    (best, zone) =>
+      !best || getZoneDeliveryFee(zone, deliveryMethod) < getZoneDeliveryFee(best, deliveryMethod) ? zone : best,
+    null
+  );
+};
+
+/**
+ * Checks that an order can be delivered to an address: the address must be in
+ * an active zone and the order must meet that zone's minimum
+ * @param {Object} options
+ * @param {string} options.deliveryMethod - Pickup orders are always serviceable
+ * @param {Object} [options.deliveryLocation] - GeoJSON point of the delivery address
+ * @param {number} options.subtotal - Item subtotal
+ * @returns {Promise<{serviceable: boolean, reason: string|null, message: string|null, zone: Object|null}>}
+ *   reason is missing_location, outside_zone or below_minimum when the order can't be delivered
+ */
+export const checkServiceability = async ({ deliveryMethod, deliveryLocation, subtotal }) => {
+  if (deliveryMethod === "pickup") {
+    return { serviceable: true, reason: null, message: null, zone: null };
+  }
+
+  if (!hasCoordinates(deliveryLocation)) {
+    return {
+      serviceable: false,
+      reason: "missing_location",
+      message: "We need your location to check that we deliver there",
+      zone: null
+    };
+  }
+
+  const zone = await findDeliveryZone(deliveryLocation, deliveryMethod);
+  if (!zone) {
+    return {
+      serviceable: false,
+      reason: "outside_zone",
+      message: "Sorry, we don't deliver to your location yet",
+      zone: null
+    };
+  }
+
+  if (subtotal < (zone.minOrderValue || 0)) {
+    return {
+      serviceable: false,
+      reason: "below_minimum",
+      message: `Orders delivered to ${zone.name} must come to at least ₹${zone.minOrderValue} before delivery and tax`,
+      zone
+    };
+  }
+
+  return { serviceable: true, reason: null, message: null, zone };
+};
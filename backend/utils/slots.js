@@ -0,0 +1,290 @@
+import Order from "../models/order.model.js";
+import SlotBooking from "../models/slotBooking.model.js";
+import { User } from "../models/user.model.js";
+import createError from "./error.js";
+import schedulingConfig from "../config/scheduling.js";
+
+const MINUTE = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Checks a "HH:mm" time of day
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const isTimeOfDay = (value) => typeof value === "string" && TIME_OF_DAY.test(value);
+
+// Minutes since midnight for a "HH:mm" time of day
+const toMinutes = (value) => {
+  const [, hours, minutes] = value.match(TIME_OF_DAY);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+/**
+ * Checks whether a weekly window covers a moment, including windows that run
+ * past midnight and were started the day before
+ * @param {{day: number, start: string, end: string}} window - day 0-6 (Sunday first)
+ *   and "HH:mm" times; an end before the start runs into the next day
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const weeklyWindowCovers = (window, now = new Date()) => {
+  const start = toMinutes(window.start);
+  let end = toMinutes(window.end);
+  if (end <= start) {
+    end += DAY_MINUTES;
+  }
+
+  const daysSinceWindowDay = (now.getDay() - window.day + 7) % 7;
+  const minutes = daysSinceWindowDay * DAY_MINUTES + now.getHours() * 60 + now.getMinutes();
+  return minutes >= start && minutes < end;
+};
+
+/**
+ * A seller's slot settings with the defaults filled in
+ * @param {Object} seller - User document
+ * @returns {{enabled: boolean, capacityPerSlot: number, openTime: string, closeTime: string}}
+ */
+export const getSlotSettings = (seller) => {
+  const saved = seller?.slotSettings || {};
+  const { defaults } = schedulingConfig;
+
+  return {
+    enabled: saved.enabled !== false,
+    capacityPerSlot: Number.isFinite(saved.capacityPerSlot) ? saved.capacityPerSlot : defaults.capacityPerSlot,
+    openTime: isTimeOfDay(saved.openTime) ? saved.openTime : defaults.openTime,
+    closeTime: isTimeOfDay(saved.closeTime) ? saved.closeTime : defaults.closeTime
+  };
+};
+
+// Slot start times from the earliest bookable one up to the end of the booking window
+const listSlotStarts = (now = new Date()) => {
+  const slotMs = schedulingConfig.slotMinutes * MINUTE;
+  const earliest = now.getTime() + schedulingConfig.minLeadMinutes * MINUTE;
+
+  const dayStart = new Date(now);
+  dayStart.setHours(0, 0, 0, 0);
+  const windowEnd = new Date(dayStart);
+  windowEnd.setDate(windowEnd.getDate() + schedulingConfig.daysAhead);
+
+  const starts = [];
+  for (let time = dayStart.getTime(); time < windowEnd.getTime(); time += slotMs) {
+    if (time >= earliest) {
+      starts.push(new Date(time));
+    }
+  }
+  return starts;
+};
+
+// Whether a slot falls completely inside a seller's opening hours
+const isWithinOpeningHours = (start, settings) => {
+  const startMinutes = start.getHours() * 60 + start.getMinutes();
+  return startMinutes >= toMinutes(settings.openTime) &&
+    startMinutes + schedulingConfig.slotMinutes <= toMinutes(settings.closeTime);
+};
+
+/**
+ * Lists the slots every one of a set of sellers can still take an order for.
+ * A cart split between kitchens is delivered in one slot, so a slot is only
+ * offered when all of them have room in it.
+ * @param {string[]} sellerIds - Sellers in the cart
+ * @param {Date} [now]
+ * @returns {Promise<{enabled: boolean, slots: Array<{start: Date, end: Date, remaining: number}>}>}
+ */
+export const getAvailableSlots = async (sellerIds, now = new Date()) => {
+  const sellers = await User.find({ _id: { $in: sellerIds } }).select("slotSettings");
+  const settingsBySeller = new Map(sellers.map((seller) => [seller._id.toString(), getSlotSettings(seller)]));
+
+  const enabled = sellerIds.length > 0 &&
+    sellerIds.every((id) => settingsBySeller.get(id.toString())?.enabled);
+  if (!enabled) {
+    return { enabled: false, slots: [] };
+  }
+
+  const starts = listSlotStarts(now);
+  if (starts.length === 0) {
+    return { enabled: true, slots: [] };
+  }
+
+  const bookings = await SlotBooking.find({
+    seller: { $in: sellerIds },
+    start: { $gte: starts[0], $lte: starts[starts.length - 1] }
+  });
+  const booked = new Map(bookings.map((booking) => [
+    `${booking.seller}:${booking.start.getTime()}`,
+    booking.count
+  ]));
+
+  const slots = [];
+  for (const start of starts) {
+    let remaining = Infinity;
+
+    for (const sellerId of sellerIds) {
+      const settings = settingsBySeller.get(sellerId.toString());
+      if (!isWithinOpeningHours(start, settings)) {
+        remaining = 0;
+        break;
+      }
+      const taken = booked.get(`${sellerId}:${start.getTime()}`) || 0;
+      remaining = Math.min(remaining, settings.capacityPerSlot - taken);
+    }
+
+    if (remaining > 0) {
+      slots.push({
+        start,
+        end: new Date(start.getTime() + schedulingConfig.slotMinutes * MINUTE),
+        remaining
+      });
+    }
+  }
+
+  return { enabled: true, slots };
+};
+
+/**
+ * Checks a requested slot against the slots the sellers are offering
+ * @param {string|Date} start - Requested slot start
+ * @param {string[]} sellerIds - Sellers in the cart
+ * @returns {Promise<{start: Date, end: Date}>} The slot to store on the orders
+ */
+export const resolveRequestedSlot = async (start, sellerIds) => {
+  const requested = new Date(start);
+  if (Number.isNaN(requested.getTime())) {
+    throw createError(400, "Invalid delivery slot");
+  }
+
+  const { enabled, slots } = await getAvailableSlots(sellerIds);
+  if (!enabled) {
+    throw createError(400, "Scheduled orders aren't available for this cart");
+  }
+
+  const slot = slots.find((candidate) => candidate.start.getTime() === requested.getTime());
+  if (!slot) {
+    throw createError(409, "That time slot is no longer available. Please pick another one.");
+  }
+
+  return { start: slot.start, end: slot.end };
+};
+
+// Takes one place in a seller's slot if it isn't full.
+// A full slot doesn't match the filter, so the upsert tries to insert a second
+// booking for the same slot and hits the unique index.
+const reserveSlot = async (sellerId, start, capacity) => {
+  if (capacity < 1) {
+    return false;
+  }
+
+  try {
+    await SlotBooking.findOneAndUpdate(
+      { seller: sellerId, start, count: { $lt: capacity } },
+      { $inc: { count: 1 } },
+      { upsert: true, new: true }
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+const releaseSlot = async (sellerId, start) => {
+  await SlotBooking.updateOne(
+    { seller: sellerId, start, count: { $gt: 0 } },
+    { $inc: { count: -1 } }
+  );
+};
+
+/**
+ * Gives back the slot places held by orders that were never saved
+ * @param {Array} orders - Unsaved order documents
+ */
+export const releaseSlotReservations = async (orders) => {
+  for (const order of orders) {
+    if (order.slotReserved) {
+      await releaseSlot(order.seller, order.scheduledSlot.start);
+      order.slotReserved = false;
+    }
+  }
+};
+
+/**
+ * Books a place in each seller's slot for a set of unsaved scheduled orders.
+ * If any seller's slot is full the places already taken are given back and a
+ * 409 error is thrown.
+ * @param {Array} orders - Order documents with seller and scheduledSlot
+ * @returns {Promise<void>}
+ */
+export const reserveOrderSlots = async (orders) => {
+  const scheduled = orders.filter((order) => order.scheduledSlot?.start && order.seller);
+  if (scheduled.length === 0) {
+    return;
+  }
+
+  const sellers = await User.find({ _id: { $in: scheduled.map((order) => order.seller) } }).select("slotSettings");
+  const settingsBySeller = new Map(sellers.map((seller) => [seller._id.toString(), getSlotSettings(seller)]));
+
+  for (const order of scheduled) {
+    const settings = settingsBySeller.get(order.seller.toString()) || getSlotSettings(null);
+    const reserved = await reserveSlot(order.seller, order.scheduledSlot.start, settings.capacityPerSlot);
+
+    if (!reserved) {
+      await releaseSlotReservations(scheduled);
+      throw createError(409, "That time slot just filled up. Please pick another one.");
+    }
+    order.slotReserved = true;
+  }
+};
+
+/**
+ * Gives back the slot place held by a saved order, at most once. Like stock,
+ * the flag is flipped atomically so the place can't be released twice.
+ * @param {Object} order - Order document
+ * @returns {Promise<boolean>} Whether a place was released
+ */
+export const releaseOrderSlot = async (order) => {
+  const result = await Order.updateOne(
+    { _id: order._id, slotReserved: true },
+    { $set: { slotReserved: false } }
+  );
+
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  order.slotReserved = false;
+  await releaseSlot(order.seller, order.scheduledSlot.start);
+  return true;
+};
+
+/**
+ * Latest slot start an order can have and still be shown to delivery agents now
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export const getAgentSlotCutoff = (now = new Date()) =>
+  new Date(now.getTime() + schedulingConfig.agentLeadMinutes * MINUTE);
+
+/**
+ * Query clause that hides scheduled orders from delivery agents until shortly
+ * before their slot. Orders without a slot are always shown.
+ * @param {Date} [now]
+ * @returns {Object} Filter to merge into an Order query
+ */
+export const agentVisibleSlotFilter = (now = new Date()) => ({
+  $or: [
+    { "scheduledSlot.start": null },
+    { "scheduledSlot.start": { $lte: getAgentSlotCutoff(now) } }
+  ]
+});
+
+/**
+ * Whether an order's slot is close enough for an agent to pick it up
+ * @param {Object} order - Order document
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isDueForAgents = (order, now = new Date()) =>
+  !order.scheduledSlot?.start || order.scheduledSlot.start <= getAgentSlotCutoff(now);
@@ -0,0 +1,164 @@
+import crypto from "crypto";
+import createError from "./error.js";
+import solanaConfig from "../config/solana.js";
+import env from "../config/environment.js";
+
+const LAMPORTS_PER_SOL = 1000000000;
+const BASE58_ALPHABET = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+const SIGNATURE_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{64,88}$/;
+
+/**
+ * Whether payments are checked against the local mock ledger instead of a cluster
+ * @returns {boolean}
+ */
+export const isMockRpc = () => solanaConfig.rpcUrl === "mock" && !env.isProduction;
+
+/**
+ * Converts an INR amount to lamports at the configured exchange rate
+ * @param {number} amount - Amount in INR
+ * @returns {number} Whole lamports
+ */
+export const toLamports = (amount) => Math.round((amount / solanaConfig.inrPerSol) * LAMPORTS_PER_SOL);
+
+/**
+ * Converts lamports to SOL
+ * @param {number} lamports
+ * @returns {number}
+ */
+export const toSol = (lamports) => lamports / LAMPORTS_PER_SOL;
+
+/**
+ * Checks the shape of a transaction signature
+ * @param {string} signature
+ * @returns {boolean}
+ */
+export const isValidSignature = (signature) => typeof signature === "string" && SIGNATURE_PATTERN.test(signature);
+
+// Transactions "sent" while running against the mock ledger, keyed by signature
+const mockLedger = new Map();
+
+const randomSignature = () =>
+  Array.from(crypto.randomBytes(88), (byte) => BASE58_ALPHABET[byte % BASE58_ALPHABET.length]).join("");
+
+/**
+ * Records a confirmed transfer with a memo on the mock ledger, the way a wallet would send one
+ * @param {Object} transfer
+ * @param {string} transfer.payer - Paying wallet
+ * @param {string} transfer.recipient - Receiving wallet
+ * @param {number} transfer.lamports - Amount sent
+ * @param {string} transfer.memo - Memo written with the transfer
+ * @returns {string} Signature of the new transaction
+ */
+export const recordMockTransfer = ({ payer, recipient, lamports, memo }) => {
+  if (!isMockRpc()) {
+    throw createError(400, "The mock Solana ledger is not enabled");
+  }
+
+  const signature = randomSignature();
+  mockLedger.set(signature, {
+    slot: mockLedger.size + 1,
+    blockTime: Math.floor(Date.now() / 1000),
+    meta: { err: null },
+    transaction: {
+      signatures: [signature],
+      message: {
+        accountKeys: [{ pubkey: payer, signer: true }, { pubkey: recipient, signer: false }],
+        instructions: [
+          {
+            program: "system",
+            parsed: { type: "transfer", info: { source: payer, destination: recipient, lamports } }
+          },
+          { program: "spl-memo", programId: solanaConfig.memoProgramId, parsed: memo }
+        ]
+      }
+    }
+  });
+  return signature;
+};
+
+// Looks a transaction up with getTransaction, in the parsed JSON encoding
+const fetchTransaction = async (signature) => {
+  if (isMockRpc()) {
+    return mockLedger.get(signature) || null;
+  }
+
+  let response;
+  try {
+    response = await fetch(solanaConfig.rpcUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        jsonrpc: "2.0",
+        id: 1,
+        method: "getTransaction",
+        params: [
+          signature,
+          { encoding: "jsonParsed", commitment: solanaConfig.commitment, maxSupportedTransactionVersion: 0 }
+        ]
+      }),
+      signal: AbortSignal.timeout(solanaConfig.rpcTimeoutMs)
+    });
+  } catch (rpcError) {
+    console.error("Solana RPC request failed:", rpcError);
+    throw createError(502, "Couldn't reach the Solana network. Please try again.");
+  }
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body || body.error) {
+    console.error("Solana RPC error:", response.status, body?.error);
+    throw createError(502, "The Solana network returned an error. Please try again.");
+  }
+  return body.result;
+};
+
+// Memo programs log the memo as a plain string when parsed
+const readMemos = (instructions) => instructions
+  .filter((instruction) => instruction.program === "spl-memo" || instruction.programId === solanaConfig.memoProgramId)
+  .map((instruction) => (typeof instruction.parsed === "string" ? instruction.parsed : ""))
+  .map((memo) => memo.trim());
+
+/**
+ * Checks that a transaction paid the recipient wallet at least the expected
+ * amount and carries the order reference as its memo.
+ * @param {Object} options
+ * @param {string} options.signature - Transaction signature from the wallet
+ * @param {string} options.reference - Order or checkout id expected in the memo
+ * @param {number} options.lamports - Amount expected
+ * @returns {Promise<{payer: string, lamports: number}>} Who paid and how much reached the recipient
+ */
+export const verifySolanaTransfer = async ({ signature, reference, lamports }) => {
+  if (!isValidSignature(signature)) {
+    throw createError(400, "Invalid transaction signature");
+  }
+
+  const transaction = await fetchTransaction(signature);
+  if (!transaction) {
+    // Not found yet - the transaction may still be confirming
+    throw createError(404, "Transaction not found. If you just paid, wait a few seconds and try again.");
+  }
+  if (transaction.meta?.err) {
+    throw createError(400, "This transaction failed on the Solana network");
+  }
+
+  const instructions = transaction.transaction?.message?.instructions || [];
+
+  if (!readMemos(instructions).includes(reference)) {
+    throw createError(400, "This transaction isn't for this order");
+  }
+
+  const transfers = instructions.filter((instruction) =>
+    instruction.program === "system" &&
+    instruction.parsed?.type === "transfer" &&
+    instruction.parsed.info?.destination === solanaConfig.recipientWallet
+  );
+  if (transfers.length === 0) {
+    throw createError(400, "This transaction didn't pay the store's wallet");
+  }
+
+  const received = transfers.reduce((sum, transfer) => sum + Number(transfer.parsed.info.lamports || 0), 0);
+  if (received + solanaConfig.lamportTolerance < lamports) {
+    throw createError(400, `Payment too small: received ${toSol(received)} SOL, expected ${toSol(lamports)} SOL`);
+  }
+
+  return { payer: transfers[0].parsed.info.source, lamports: received };
+};
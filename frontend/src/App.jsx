@@ -35,11 +35,13 @@ import PostDetail from "./components/post/PostDetail";
 import FavoritesPage from "./components/favorites/FavoritesPage";
 import SharedPost from "./components/share/SharedPost";
 import OrdersPage from "./components/orders/OrdersPage";
+import MyKitchen from "./components/kitchen/MyKitchen";
 import AdminLayout from "./components/admin/AdminLayout";
 import AdminDashboard from "./components/admin/AdminDashboard";
 import OrdersManagement from "./components/admin/OrdersManagement";
 import AdminCheck from "./pages/AdminCheck";
 import CategoriesManagement from "./components/admin/CategoriesManagement";
+import PromoCodesManagement from "./components/admin/PromoCodesManagement";
 import UsersManagement from "./components/admin/UsersManagement";
 import { toast } from "react-hot-toast";
 import DeliveryLayout from "./components/delivery/DeliveryLayout";
@@ -48,8 +50,12 @@ import Register from "./components/delivery/Register";
 import NearbyOrders from "./components/delivery/NearbyOrders";
 import MyDeliveries from "./components/delivery/MyDeliveries";
 import DeliveryHistory from "./components/delivery/DeliveryHistory";
+import DeliveryEarnings from "./components/delivery/Earnings";
+import DeliverySchedule from "./components/delivery/WorkSchedule";
 import DeliveryProfile from "./components/delivery/Profile";
 import DeliveryAgentsManagement from "./components/admin/DeliveryAgentsManagement";
+import PayoutsManagement from "./components/admin/PayoutsManagement";
+import ServiceZonesManagement from "./components/admin/ServiceZonesManagement";
 
 // Root layout that wraps the auth provider
 const RootLayout = () => {
@@ -161,6 +167,18 @@ const browserRouter = createBrowserRouter([
           }
         ]
       },
+
+      // Seller dashboard
+      {
+        path: "kitchen",
+        element: <ProtectedRoute />,
+        children: [
+          {
+            path: "",
+            element: <MyKitchen />
+          }
+        ]
+      },
       
       // Shared posts
       {
@@ -217,6 +235,10 @@ const browserRouter = createBrowserRouter([
                 path: "categories",
                 element: <CategoriesManagement />
               },
+              {
+                path: "promo-codes",
+                element: <PromoCodesManagement />
+              },
               {
                 path: "users",
                 element: <UsersManagement />
@@ -225,6 +247,14 @@ const browserRouter = createBrowserRouter([
                 path: "delivery-agents",
                 element: <DeliveryAgentsManagement />
               },
+              {
+                path: "zones",
+                element: <ServiceZonesManagement />
+              },
+              {
+                path: "payouts",
+                element: <PayoutsManagement />
+              },
               {
                 path: "check",
                 element: <AdminCheck />
@@ -275,6 +305,14 @@ const browserRouter = createBrowserRouter([
                 path: "history",
                 element: <DeliveryHistory />
               },
+              {
+                path: "earnings",
+                element: <DeliveryEarnings />
+              },
+              {
+                path: "schedule",
+                element: <DeliverySchedule />
+              },
               {
                 path: "profile",
                 element: <DeliveryProfile />
@@ -85,6 +85,11 @@ const OrderDetailsModal = ({ open, onClose, orderId, orderData = null }) => {
         return 'info';
       case 'preparing':
         return 'secondary';
+      case 'agent_assigned':
+        return 'info';
+      case 'arrived_at_pickup':
+        return 'secondary';
+      case 'picked_up':
       case 'out_for_delivery':
         return 'primary';
       case 'delivered':
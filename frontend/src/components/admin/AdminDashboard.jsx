@@ -43,6 +43,9 @@ const STATUS_COLORS = {
   processing: '#1976d2', // Blue
   confirmed: '#ff9800', // Orange
   preparing: '#2196f3', // Light Blue
+  agent_assigned: '#00bcd4', // Cyan
+  arrived_at_pickup: '#009688', // Teal
+  picked_up: '#3f51b5', // Indigo
   out_for_delivery: '#673ab7', // Deep Purple
   delivered: '#4caf50', // Green
   cancelled: '#f44336' // Red
@@ -40,6 +40,9 @@ import {
   ShoppingCart as ShoppingCartIcon,
   BugReport as BugReportIcon,
   LocalShipping as DeliveryIcon,
+  LocalOffer as PromoIcon,
+  Payments as PayoutsIcon,
+  Map as ZonesIcon,
 } from "@mui/icons-material";
 
 const drawerWidth = 240;
@@ -304,6 +307,19 @@ const AdminLayout = () => {
           </ListItemButton>
         </ListItem>
 
+        <ListItem disablePadding>
+          <ListItemButton
+            component={Link}
+            to="/admin/promo-codes"
+            selected={location.pathname === "/admin/promo-codes"}
+          >
+            <ListItemIcon>
+              <PromoIcon />
+            </ListItemIcon>
+            <ListItemText primary="Promo Codes" />
+          </ListItemButton>
+        </ListItem>
+
         <ListItem disablePadding>
           <ListItemButton
             component={Link}
@@ -330,6 +346,32 @@ const AdminLayout = () => {
           </ListItemButton>
         </ListItem>
 
+        <ListItem disablePadding>
+          <ListItemButton
+            component={Link}
+            to="/admin/zones"
+            selected={location.pathname === "/admin/zones"}
+          >
+            <ListItemIcon>
+              <ZonesIcon />
+            </ListItemIcon>
+            <ListItemText primary="Service Zones" />
+          </ListItemButton>
+        </ListItem>
+
+        <ListItem disablePadding>
+          <ListItemButton
+            component={Link}
+            to="/admin/payouts"
+            selected={location.pathname === "/admin/payouts"}
+          >
+            <ListItemIcon>
+              <PayoutsIcon />
+            </ListItemIcon>
+            <ListItemText primary="Payouts" />
+          </ListItemButton>
+        </ListItem>
+
         <Divider sx={{ my: 1 }} />
 
         <ListItem disablePadding>
@@ -0,0 +1,176 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Chip,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  CircularProgress,
+  Alert,
+  Avatar,
+  Divider,
+  LinearProgress,
+  Rating
+} from '@mui/material';
+import { getAgentRatings } from '../../services/deliveryService';
+
+const DELIVERY_RATING_TAG_LABELS = {
+  on_time: 'On time',
+  friendly: 'Friendly',
+  careful_handling: 'Handled with care',
+  followed_instructions: 'Followed instructions',
+  late: 'Late',
+  rude: 'Rude',
+  damaged_packaging: 'Damaged packaging',
+  hard_to_reach: 'Hard to reach'
+};
+
+// Admin view of what customers said about a delivery agent
+const AgentReviewsDialog = ({ agent, open, onClose }) => {
+  const [data, setData] = useState(null);
+  const [ratings, setRatings] = useState([]);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const agentId = agent?._id;
+
+  const fetchRatings = useCallback(async (pageToLoad) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await getAgentRatings(agentId, pageToLoad);
+      setData(response);
+      setRatings(prev => (pageToLoad === 1 ? response.ratings : [...prev, ...response.ratings]));
+      setPage(pageToLoad);
+    } catch (err) {
+      setError(err || 'Failed to load ratings');
+    } finally {
+      setLoading(false);
+    }
+  }, [agentId]);
+
+  useEffect(() => {
+    if (open && agentId) {
+      fetchRatings(1);
+    }
+  }, [open, agentId, fetchRatings]);
+
+  const summary = data?.summary;
+  const totalRatings = data?.agent?.totalRatings || 0;
+  const hasMore = data && page < data.pagination.pages;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>
+        Reviews for {agent?.user?.username || 'Agent'}
+      </DialogTitle>
+      <DialogContent dividers>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {loading && !data ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', my: 3 }}>
+            <CircularProgress size={28} />
+          </Box>
+        ) : data && (
+          <>
+            <Box sx={{ display: 'flex', gap: 3, alignItems: 'center', mb: 2, flexWrap: 'wrap' }}>
+              <Box sx={{ textAlign: 'center' }}>
+                <Typography variant="h3">{(data.agent.rating || 0).toFixed(1)}</Typography>
+                <Rating value={data.agent.rating || 0} precision={0.1} readOnly size="small" />
+                <Typography variant="caption" color="text.secondary" display="block">
+                  {totalRatings} {totalRatings === 1 ? 'rating' : 'ratings'}
+                </Typography>
+              </Box>
+              <Box sx={{ flex: 1, minWidth: 200 }}>
+                {[5, 4, 3, 2, 1].map(stars => {
+                  const count = summary.distribution[stars] || 0;
+                  return (
+                    <Box key={stars} sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      <Typography variant="caption" sx={{ width: 12 }}>{stars}</Typography>
+                      <LinearProgress
+                        variant="determinate"
+                        value={totalRatings ? (count / totalRatings) * 100 : 0}
+                        sx={{ flex: 1, height: 6, borderRadius: 3 }}
+                      />
+                      <Typography variant="caption" color="text.secondary" sx={{ width: 24, textAlign: 'right' }}>
+                        {count}
+                      </Typography>
+                    </Box>
+                  );
+                })}
+              </Box>
+            </Box>
+
+            {Object.keys(summary.tags).length > 0 && (
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mb: 2 }}>
+                {Object.entries(summary.tags).map(([tag, count]) => (
+                  <Chip
+                    key={tag}
+                    label={`${DELIVERY_RATING_TAG_LABELS[tag] || tag} · ${count}`}
+                    size="small"
+                    variant="outlined"
+                  />
+                ))}
+              </Box>
+            )}
+
+            <Divider sx={{ mb: 2 }} />
+
+            {ratings.length === 0 ? (
+              <Typography variant="body2" color="text.secondary" sx={{ textAlign: 'center', py: 2 }}>
+                No customer ratings yet
+              </Typography>
+            ) : (
+              ratings.map((review, index) => (
+                <Box key={review._id}>
+                  {index > 0 && <Divider sx={{ my: 1.5 }} />}
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <Avatar src={review.user?.profilePicture} sx={{ width: 28, height: 28 }}>
+                      {review.user?.username?.charAt(0).toUpperCase() || 'C'}
+                    </Avatar>
+                    <Box sx={{ flex: 1 }}>
+                      <Typography variant="body2">{review.user?.username || 'Customer'}</Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        {new Date(review.createdAt).toLocaleString()} · Order #{review.order?.toString().slice(-8)}
+                      </Typography>
+                    </Box>
+                    <Rating value={review.rating} readOnly size="small" />
+                  </Box>
+                  {review.tags?.length > 0 && (
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 1 }}>
+                      {review.tags.map(tag => (
+                        <Chip key={tag} label={DELIVERY_RATING_TAG_LABELS[tag] || tag} size="small" />
+                      ))}
+                    </Box>
+                  )}
+                  {review.comment && (
+                    <Typography variant="body2" sx={{ mt: 1 }}>
+                      {review.comment}
+                    </Typography>
+                  )}
+                </Box>
+              ))
+            )}
+
+            {hasMore && (
+              <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+                <Button onClick={() => fetchRatings(page + 1)} disabled={loading}>
+                  {loading ? <CircularProgress size={20} /> : 'Load more'}
+                </Button>
+              </Box>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default AgentReviewsDialog;
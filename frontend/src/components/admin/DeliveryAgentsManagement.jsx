@@ -45,10 +45,16 @@ import {
   CalendarToday,
   DeliveryDining,
   Refresh,
-  Person,
   Verified,
-  Block
+  Block,
+  RateReview
 } from '@mui/icons-material';
+import AgentReviewsDialog from './AgentReviewsDialog';
+
+// Average customer rating, e.g. "4.6 (12)"
+const formatRating = (agent) => (
+  agent.totalRatings > 0 ? `${agent.rating.toFixed(1)} (${agent.totalRatings})` : 'N/A'
+);
 
 const DeliveryAgentsManagement = () => {
   const dispatch = useDispatch();
@@ -73,6 +79,9 @@ const DeliveryAgentsManagement = () => {
     agentName: '',
     action: null, // 'verify' or 'revoke'
   });
+
+  // Agent whose customer reviews are open
+  const [reviewsAgent, setReviewsAgent] = useState(null);
   
   // Load agents on component mount
   useEffect(() => {
@@ -221,7 +230,7 @@ const DeliveryAgentsManagement = () => {
             <Grid item xs={6}>
               <Box sx={{ textAlign: 'center', p: 1, bgcolor: 'grey.50', borderRadius: 1 }}>
                 <Typography variant="h6" color="primary">
-                  {agent.rating || 'N/A'}
+                  {formatRating(agent)}
                 </Typography>
                 <Typography variant="caption" color="text.secondary">
                   Rating
@@ -265,10 +274,10 @@ const DeliveryAgentsManagement = () => {
           <Button
             size="small"
             variant="outlined"
-            startIcon={<Person />}
-            onClick={() => {/* Navigate to agent details */}}
+            startIcon={<RateReview />}
+            onClick={() => setReviewsAgent(agent)}
           >
-            Details
+            Reviews
           </Button>
         </CardActions>
       </Card>
@@ -396,6 +405,17 @@ const DeliveryAgentsManagement = () => {
                                   </Box>
                                 )}
                               </Typography>
+                              {agent.workStatus && (
+                                <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                                  {agent.workStatus.load}/{agent.workStatus.capacity} orders
+                                  {!agent.workStatus.onShift && ' · Off shift'}
+                                </Typography>
+                              )}
+                              <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                                {agent.zones?.length > 0
+                                  ? `Zones: ${agent.zones.map(zone => zone.name).join(', ')}`
+                                  : 'All zones'}
+                              </Typography>
                             </TableCell>
                             <TableCell>
                               {new Date(agent.createdAt).toLocaleDateString(undefined, {
@@ -425,9 +445,9 @@ const DeliveryAgentsManagement = () => {
                               <Typography variant="body2">
                                 {agent.completedDeliveries || 0} completed
                               </Typography>
-                              {agent.rating && (
+                              {agent.totalRatings > 0 && (
                                 <Typography variant="body2" color="textSecondary">
-                                  Rating: {agent.rating}/5
+                                  Rating: {agent.rating.toFixed(1)}/5 from {agent.totalRatings}
                                 </Typography>
                               )}
                             </TableCell>
@@ -456,6 +476,15 @@ const DeliveryAgentsManagement = () => {
                                     </Button>
                                   </Tooltip>
                                 )}
+                                <Tooltip title="Customer Reviews">
+                                  <Button
+                                    size="small"
+                                    variant="outlined"
+                                    onClick={() => setReviewsAgent(agent)}
+                                  >
+                                    Reviews
+                                  </Button>
+                                </Tooltip>
                               </Box>
                             </TableCell>
                           </TableRow>
@@ -508,6 +537,12 @@ const DeliveryAgentsManagement = () => {
         </Fab>
       )}
 
+      <AgentReviewsDialog
+        agent={reviewsAgent}
+        open={!!reviewsAgent}
+        onClose={() => setReviewsAgent(null)}
+      />
+
       {/* Verification Confirmation Dialog */}
       <Dialog
         open={confirmDialog.open}
@@ -0,0 +1,232 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import axiosInstance from '../../utils/axiosInstance';
+import { toast } from 'react-toastify';
+import {
+  Box,
+  Typography,
+  Chip,
+  Button,
+  CircularProgress,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  IconButton,
+  Tooltip
+} from '@mui/material';
+import { Refresh, SkipNext } from '@mui/icons-material';
+
+const OFFER_STATUS_COLORS = {
+  pending: 'info',
+  accepted: 'success',
+  rejected: 'error',
+  expired: 'warning',
+  withdrawn: 'default'
+};
+
+const DISPATCH_STATUS_LABELS = {
+  idle: 'Not offered yet',
+  offered: 'Waiting for the agent to answer',
+  waiting: 'No agent available, retrying shortly',
+  assigned: 'Assigned',
+  cancelled: 'Cancelled'
+};
+
+const formatDistance = (meters) => {
+  if (meters === undefined || meters === null) return '—';
+  return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(1)} km`;
+};
+
+const formatTime = (value) => (value ? new Date(value).toLocaleTimeString() : '—');
+
+// Admin view of an order's automatic dispatch: who it was offered to, who's next,
+// and buttons to offer it to or assign it to a particular agent
+const OrderDispatchPanel = ({ orderId, onAssigned }) => {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  const fetchDispatch = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await axiosInstance.get(`/delivery/admin/dispatch/${orderId}`, {
+        withCredentials: true
+      });
+      setData(response.data);
+    } catch (err) {
+      console.error('Error fetching dispatch:', err);
+      setError(err.response?.data?.message || err.message || 'Failed to load dispatch');
+    } finally {
+      setLoading(false);
+    }
+  }, [orderId]);
+
+  useEffect(() => {
+    fetchDispatch();
+  }, [fetchDispatch]);
+
+  const runAction = async (key, request, successMessage) => {
+    setBusy(key);
+    try {
+      const response = await request();
+      toast.success(response.data?.message || successMessage);
+      await fetchDispatch();
+      return true;
+    } catch (err) {
+      toast.error(err.response?.data?.message || err.message || 'Something went wrong');
+      return false;
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleOffer = (agentId) => runAction(
+    `offer-${agentId}`,
+    () => axiosInstance.post(`/delivery/admin/dispatch/${orderId}/offer`, { agentId }, { withCredentials: true }),
+    'Order offered to the agent'
+  );
+
+  const handleAssign = async (agentId) => {
+    const assigned = await runAction(
+      `assign-${agentId}`,
+      () => axiosInstance.put(`/orders/admin/${orderId}/assign-agent`, { agentId }, { withCredentials: true }),
+      'Delivery agent assigned'
+    );
+    if (assigned) {
+      onAssigned?.();
+    }
+  };
+
+  const handleNext = () => runAction(
+    'next',
+    () => axiosInstance.post(`/delivery/admin/dispatch/${orderId}/next`, {}, { withCredentials: true }),
+    'Order offered to the next agent'
+  );
+
+  if (loading && !data) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', my: 2 }}>
+        <CircularProgress size={24} />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>;
+  }
+
+  const dispatchState = data?.dispatch || {};
+  const offers = dispatchState.offers || [];
+  const candidates = data?.candidates || [];
+  const canDispatch = !data?.deliveryAgent && ['confirmed', 'preparing'].includes(data?.status);
+
+  return (
+    <Box sx={{ mb: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="subtitle2">Dispatch</Typography>
+        <Box>
+          {canDispatch && (
+            <Tooltip title="Skip to the next agent">
+              <span>
+                <IconButton size="small" onClick={handleNext} disabled={!!busy}>
+                  <SkipNext fontSize="small" />
+                </IconButton>
+              </span>
+            </Tooltip>
+          )}
+          <IconButton size="small" onClick={fetchDispatch} disabled={loading}>
+            <Refresh fontSize="small" />
+          </IconButton>
+        </Box>
+      </Box>
+
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        {DISPATCH_STATUS_LABELS[dispatchState.status] || DISPATCH_STATUS_LABELS.idle}
+        {dispatchState.status === 'offered' && dispatchState.expiresAt && ` (until ${formatTime(dispatchState.expiresAt)})`}
+      </Typography>
+
+      {offers.length > 0 && (
+        <Table size="small" sx={{ mb: 2 }}>
+          <TableHead>
+            <TableRow>
+              <TableCell>Agent</TableCell>
+              <TableCell>Offered</TableCell>
+              <TableCell>Distance</TableCell>
+              <TableCell align="right">Outcome</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {offers.map((offer) => (
+              <TableRow key={offer._id}>
+                <TableCell>
+                  {offer.agent?.user?.username || 'Agent'}
+                  {offer.assignedBy?.username && (
+                    <Typography variant="caption" color="text.secondary" display="block">
+                      by {offer.assignedBy.username}
+                    </Typography>
+                  )}
+                </TableCell>
+                <TableCell>{formatTime(offer.offeredAt)}</TableCell>
+                <TableCell>{formatDistance(offer.distance)}</TableCell>
+                <TableCell align="right">
+                  <Chip
+                    label={offer.status}
+                    color={OFFER_STATUS_COLORS[offer.status] || 'default'}
+                    size="small"
+                    sx={{ textTransform: 'capitalize' }}
+                  />
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+
+      {canDispatch && (
+        <>
+          <Typography variant="caption" color="text.secondary" display="block" sx={{ mb: 1 }}>
+            Nearby agents, best match first
+          </Typography>
+          {candidates.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">
+              No verified, available agents near the pickup point
+            </Typography>
+          ) : (
+            candidates.map((agent) => (
+              <Box
+                key={agent._id}
+                sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 1, py: 0.75, borderTop: 1, borderColor: 'divider' }}
+              >
+                <Box>
+                  <Typography variant="body2">
+                    {agent.user?.username || 'Agent'}
+                    {!agent.online && (
+                      <Chip label="offline" size="small" variant="outlined" sx={{ ml: 1 }} />
+                    )}
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    {formatDistance(agent.distance)} · {agent.load} active · score {agent.score}
+                  </Typography>
+                </Box>
+                <Box sx={{ display: 'flex', gap: 1 }}>
+                  <Button size="small" onClick={() => handleOffer(agent._id)} disabled={!!busy || !agent.online}>
+                    {busy === `offer-${agent._id}` ? <CircularProgress size={16} /> : 'Offer'}
+                  </Button>
+                  <Button size="small" variant="contained" onClick={() => handleAssign(agent._id)} disabled={!!busy}>
+                    {busy === `assign-${agent._id}` ? <CircularProgress size={16} color="inherit" /> : 'Assign'}
+                  </Button>
+                </Box>
+              </Box>
+            ))
+          )}
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default OrderDispatchPanel;
@@ -1,8 +1,11 @@
 import React, { useEffect, useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
-import { fetchAllOrders, updateOrderStatus, fetchDeliveryStatusHistory, assignDeliveryAgent, resetAssignAgentStatus, resetStatusHistory } from '../../redux/adminSlice';
+import { fetchAllOrders, updateOrderStatus, fetchDeliveryStatusHistory, resetStatusHistory } from '../../redux/adminSlice';
 import { syncOrderStatus } from '../../redux/cartSlice';
 import { toast } from 'react-toastify';
+import RefundQueue from './RefundQueue';
+import OrderDispatchPanel from './OrderDispatchPanel';
+import DeliveryReplay from '../orders/DeliveryReplay';
 import {
   Box,
   Typography,
@@ -77,6 +80,7 @@ const mapOrderData = (order) => {
     status: order.status || 'processing',
     paymentStatus: order.paymentStatus || 'pending',
     paymentMethod: order.paymentMethod || 'cash',
+    deliveryMethod: order.deliveryMethod || 'standard',
     totalAmount: order.totalAmount || order.total || 0,
     subtotal: order.subtotal || 0,
     tax: order.tax || 0,
@@ -91,7 +95,8 @@ const mapOrderData = (order) => {
       email: order.user?.email || 'No email',
       phone: order.user?.phone || order.contactNumber || 'No phone'
     },
-    deliveryAgent: order.deliveryAgent || null
+    deliveryAgent: order.deliveryAgent || null,
+    deliveryProof: order.deliveryProof?.method ? order.deliveryProof : null
   };
 };
 
@@ -100,6 +105,9 @@ const STATUS_COLORS = {
   processing: 'primary',
   confirmed: 'warning',
   preparing: 'info',
+  agent_assigned: 'info',
+  arrived_at_pickup: 'warning',
+  picked_up: 'secondary',
   out_for_delivery: 'secondary',
   delivered: 'success',
   cancelled: 'error'
@@ -110,16 +118,27 @@ const STATUS_DESCRIPTIONS = {
   processing: 'Your order is being processed',
   confirmed: 'Your order has been confirmed',
   preparing: 'Your order is being prepared',
+  agent_assigned: 'A delivery agent is on the way to pick up your order',
+  arrived_at_pickup: 'The delivery agent has arrived at the kitchen',
+  picked_up: 'The delivery agent has picked up your order',
   out_for_delivery: 'Your order is out for delivery',
   delivered: 'Your order has been delivered',
   cancelled: 'Your order has been cancelled'
 };
 
+// How the handover to the customer was confirmed
+const DELIVERY_PROOF_LABELS = {
+  otp: "Customer's delivery code",
+  admin: 'Confirmed by an admin',
+  none: "Agent's word (order placed before delivery codes)"
+};
+
 // Payment status color mapping
 const PAYMENT_STATUS_COLORS = {
   pending: 'warning',
   paid: 'success',
   failed: 'error',
+  partially_refunded: 'info',
   refunded: 'secondary'
 };
 
@@ -181,7 +200,6 @@ const OrdersManagement = () => {
   const { data: orders, pagination, status, error } = useSelector((state) => state.admin.orders);
   const updateStatus = useSelector((state) => state.admin.updateStatus);
   const statusHistory = useSelector((state) => state.admin.deliveryStatusHistory);
-  const assignAgentStatus = useSelector((state) => state.admin.assignAgent);
   
   // State for filters
   const [filters, setFilters] = useState({
@@ -213,15 +231,6 @@ const OrdersManagement = () => {
   // State for search
   const [searchTerm, setSearchTerm] = useState('');
   
-  // State for delivery agent dialog
-  const [agentDialogOpen, setAgentDialogOpen] = useState(false);
-  const [selectedAgentId, setSelectedAgentId] = useState('');
-  const [availableAgents, setAvailableAgents] = useState([
-    { id: 'agent1', name: 'John Doe' },
-    { id: 'agent2', name: 'Jane Smith' },
-    { id: 'agent3', name: 'Mike Johnson' }
-  ]);
-  
   // State for status history dialog
   const [historyDialogOpen, setHistoryDialogOpen] = useState(false);
   
@@ -310,32 +319,6 @@ const OrdersManagement = () => {
     }
   };
   
-  // Open agent assignment dialog
-  const handleOpenAgentDialog = (order) => {
-    setStatusUpdateData({
-      orderId: order._id,
-      status: order.status,
-      paymentStatus: order.paymentStatus
-    });
-    setAgentDialogOpen(true);
-  };
-  
-  // Handle agent assignment
-  const handleAssignAgent = () => {
-    dispatch(assignDeliveryAgent({
-      orderId: statusUpdateData.orderId,
-      agentId: selectedAgentId
-    }))
-      .unwrap()
-      .then(() => {
-        setAgentDialogOpen(false);
-        setSelectedAgentId('');
-      })
-      .catch(error => {
-        console.error('Error assigning delivery agent:', error);
-      });
-  };
-  
   // Handle status update
   const handleStatusUpdate = () => {
     // Validation
@@ -493,7 +476,7 @@ const OrdersManagement = () => {
   // Render payment status chips
   const renderPaymentStatusChip = (status) => (
     <Chip 
-      label={status.charAt(0).toUpperCase() + status.slice(1)}
+      label={(status.charAt(0).toUpperCase() + status.slice(1)).replace(/_/g, ' ')}
       color={PAYMENT_STATUS_COLORS[status] || 'default'}
       size="small"
       variant="outlined"
@@ -631,11 +614,58 @@ const OrdersManagement = () => {
             <Box sx={{ display: 'flex', alignItems: 'center' }}>
               <Person sx={{ mr: 1 }} />
               <Typography variant="body2">
-                {order.deliveryAgent.name || 'Unknown Agent'}
+                {order.deliveryAgent.user?.username || order.deliveryAgent.name || 'Unknown Agent'}
               </Typography>
             </Box>
           </Box>
         )}
+
+        {order.deliveryProof && (
+          <Box sx={{ mb: 3 }}>
+            <Typography variant="subtitle2" gutterBottom>
+              Proof of Delivery
+            </Typography>
+            <Typography variant="body2">
+              {DELIVERY_PROOF_LABELS[order.deliveryProof.method] || order.deliveryProof.method}
+              {order.deliveryProof.confirmedAt && ` · ${new Date(order.deliveryProof.confirmedAt).toLocaleString()}`}
+            </Typography>
+            {order.deliveryProof.distance !== undefined && order.deliveryProof.distance !== null && (
+              <Typography variant="caption" color="text.secondary" display="block">
+                Agent was {order.deliveryProof.distance} m from the delivery address
+              </Typography>
+            )}
+            {order.deliveryProof.photo?.url && (
+              <Box component="a" href={order.deliveryProof.photo.url} target="_blank" rel="noopener noreferrer" sx={{ display: 'inline-block', mt: 1 }}>
+                <Box
+                  component="img"
+                  src={order.deliveryProof.photo.url}
+                  alt="Order at the door"
+                  sx={{ width: 200, height: 150, objectFit: 'cover', borderRadius: 1 }}
+                />
+              </Box>
+            )}
+          </Box>
+        )}
+
+        {order.deliveryAgent && order.deliveryMethod !== 'pickup' && (
+          <Box sx={{ mb: 3 }}>
+            <Typography variant="subtitle2" gutterBottom>
+              Delivery Route
+            </Typography>
+            <DeliveryReplay key={order._id} orderId={order._id} height={260} />
+          </Box>
+        )}
+
+        {order.deliveryMethod !== 'pickup' && order.status !== 'cancelled' && (
+          <OrderDispatchPanel
+            key={order._id}
+            orderId={order._id}
+            onAssigned={() => {
+              setDetailsOpen(false);
+              handleRefresh();
+            }}
+          />
+        )}
         
         {order.notes && (
           <Box sx={{ mb: 3 }}>
@@ -870,6 +900,9 @@ const OrdersManagement = () => {
                   <MenuItem value="processing">Processing</MenuItem>
                   <MenuItem value="confirmed">Confirmed</MenuItem>
                   <MenuItem value="preparing">Preparing</MenuItem>
+                  <MenuItem value="agent_assigned">Agent Assigned</MenuItem>
+                  <MenuItem value="arrived_at_pickup">Agent at Kitchen</MenuItem>
+                  <MenuItem value="picked_up">Picked Up</MenuItem>
                   <MenuItem value="out_for_delivery">Out for Delivery</MenuItem>
                   <MenuItem value="delivered">Delivered</MenuItem>
                   <MenuItem value="cancelled">Cancelled</MenuItem>
@@ -898,6 +931,9 @@ const OrdersManagement = () => {
         </Grid>
       </Paper>
 
+      {/* Refunds waiting for approval */}
+      <RefundQueue />
+
       {/* Loading state */}
       {status === 'loading' && (
         <Box sx={{ display: 'flex', justifyContent: 'center', my: 4 }}>
@@ -1106,6 +1142,9 @@ const OrdersManagement = () => {
               <MenuItem value="processing">Processing</MenuItem>
               <MenuItem value="confirmed">Confirmed</MenuItem>
               <MenuItem value="preparing">Preparing</MenuItem>
+              <MenuItem value="agent_assigned">Agent Assigned</MenuItem>
+              <MenuItem value="arrived_at_pickup">Agent at Kitchen</MenuItem>
+              <MenuItem value="picked_up">Picked Up</MenuItem>
               <MenuItem value="out_for_delivery">Out for Delivery</MenuItem>
               <MenuItem value="delivered">Delivered</MenuItem>
               <MenuItem value="cancelled">Cancelled</MenuItem>
@@ -1179,48 +1218,6 @@ const OrdersManagement = () => {
         </DialogActions>
       </Dialog>
       
-      {/* Assign delivery agent dialog */}
-      <Dialog
-        open={agentDialogOpen}
-        onClose={() => {
-          setAgentDialogOpen(false);
-          setSelectedAgentId('');
-        }}
-        maxWidth="xs"
-        fullWidth
-      >
-        <DialogTitle>Assign Delivery Agent</DialogTitle>
-        <DialogContent>
-          <FormControl fullWidth sx={{ mt: 2 }}>
-            <InputLabel>Delivery Agent</InputLabel>
-            <Select
-              value={selectedAgentId}
-              label="Delivery Agent"
-              onChange={(e) => setSelectedAgentId(e.target.value)}
-            >
-              {availableAgents.map(agent => (
-                <MenuItem key={agent.id} value={agent.id}>
-                  {agent.name}
-                </MenuItem>
-              ))}
-            </Select>
-          </FormControl>
-        </DialogContent>
-        <DialogActions>
-          <Button onClick={() => {
-            setAgentDialogOpen(false);
-            setSelectedAgentId('');
-          }}>Cancel</Button>
-          <Button 
-            onClick={handleAssignAgent} 
-            variant="contained"
-            disabled={!selectedAgentId || (assignAgentStatus && assignAgentStatus.status === 'loading')}
-          >
-            {assignAgentStatus && assignAgentStatus.status === 'loading' ? <CircularProgress size={24} /> : 'Assign'}
-          </Button>
-        </DialogActions>
-      </Dialog>
-      
       {/* Filter drawer */}
       <Drawer
         anchor="right"
@@ -1253,6 +1250,9 @@ const OrdersManagement = () => {
               <MenuItem value="processing">Processing</MenuItem>
               <MenuItem value="confirmed">Confirmed</MenuItem>
               <MenuItem value="preparing">Preparing</MenuItem>
+              <MenuItem value="agent_assigned">Agent Assigned</MenuItem>
+              <MenuItem value="arrived_at_pickup">Agent at Kitchen</MenuItem>
+              <MenuItem value="picked_up">Picked Up</MenuItem>
               <MenuItem value="out_for_delivery">Out for Delivery</MenuItem>
               <MenuItem value="delivered">Delivered</MenuItem>
               <MenuItem value="cancelled">Cancelled</MenuItem>
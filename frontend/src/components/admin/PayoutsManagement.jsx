@@ -0,0 +1,326 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Box,
+  Container,
+  Typography,
+  Button,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  IconButton,
+  CircularProgress,
+  Alert,
+  Snackbar,
+  Tooltip,
+  Avatar
+} from "@mui/material";
+import { Refresh, Download, Payments } from "@mui/icons-material";
+import {
+  getPayoutPreview,
+  createPayout,
+  getPayouts,
+  downloadPayoutCsv
+} from "../../services/deliveryService";
+
+const formatMoney = (amount) => `₹${(amount || 0).toFixed(2)}`;
+
+const agentName = (agent) => agent?.user?.username || `Agent ${agent?._id?.toString().slice(-6) || ""}`;
+
+// Admin payout runs: settle what delivery agents earned up to a cut-off and export it for the bank
+const PayoutsManagement = () => {
+  const [periodEnd, setPeriodEnd] = useState("");
+  const [preview, setPreview] = useState(null);
+  const [previewLoading, setPreviewLoading] = useState(false);
+  const [previewError, setPreviewError] = useState(null);
+
+  const [payouts, setPayouts] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [payoutsLoading, setPayoutsLoading] = useState(false);
+
+  const [confirmOpen, setConfirmOpen] = useState(false);
+  const [note, setNote] = useState("");
+  const [running, setRunning] = useState(false);
+  const [downloadingId, setDownloadingId] = useState(null);
+
+  const [snackbar, setSnackbar] = useState({ open: false, message: "", severity: "success" });
+
+  const fetchPreview = useCallback(async () => {
+    try {
+      setPreviewLoading(true);
+      setPreviewError(null);
+      setPreview(await getPayoutPreview(periodEnd || undefined));
+    } catch (error) {
+      setPreview(null);
+      setPreviewError(error);
+    } finally {
+      setPreviewLoading(false);
+    }
+  }, [periodEnd]);
+
+  const fetchPayouts = useCallback(async (page = 1) => {
+    try {
+      setPayoutsLoading(true);
+      const response = await getPayouts(page);
+      setPayouts(prev => (page === 1 ? response.payouts : [...prev, ...response.payouts]));
+      setPagination(response.pagination);
+    } catch (error) {
+      setSnackbar({ open: true, message: error, severity: "error" });
+    } finally {
+      setPayoutsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPreview();
+  }, [fetchPreview]);
+
+  useEffect(() => {
+    fetchPayouts(1);
+  }, [fetchPayouts]);
+
+  const handleRunPayout = async () => {
+    try {
+      setRunning(true);
+      const response = await createPayout({ periodEnd: preview.periodEnd, note: note.trim() || undefined });
+      setSnackbar({ open: true, message: response.message, severity: "success" });
+      setConfirmOpen(false);
+      setNote("");
+      fetchPreview();
+      fetchPayouts(1);
+    } catch (error) {
+      setSnackbar({ open: true, message: error, severity: "error" });
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleDownload = async (payoutId) => {
+    try {
+      setDownloadingId(payoutId);
+      await downloadPayoutCsv(payoutId);
+    } catch (error) {
+      setSnackbar({ open: true, message: error, severity: "error" });
+    } finally {
+      setDownloadingId(null);
+    }
+  };
+
+  const hasMorePayouts = pagination && pagination.page < pagination.pages;
+
+  return (
+    <Container maxWidth="xl" sx={{ mt: 3, mb: 5 }}>
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center", mb: 3, flexWrap: "wrap", gap: 2 }}>
+          <Typography variant="h5" component="h1">
+            Delivery Payouts
+          </Typography>
+          <Box sx={{ display: "flex", gap: 1, alignItems: "center" }}>
+            <TextField
+              label="Pay earnings before"
+              type="date"
+              size="small"
+              value={periodEnd}
+              onChange={(e) => setPeriodEnd(e.target.value)}
+              InputLabelProps={{ shrink: true }}
+              helperText={periodEnd ? "" : "Defaults to the start of this week"}
+            />
+            <Button variant="outlined" startIcon={<Refresh />} onClick={fetchPreview} disabled={previewLoading}>
+              Refresh
+            </Button>
+          </Box>
+        </Box>
+
+        {previewError && <Alert severity="error" sx={{ mb: 2 }}>{previewError}</Alert>}
+
+        {previewLoading && !preview ? (
+          <Box sx={{ display: "flex", justifyContent: "center", my: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : preview && (
+          <>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              Pending earnings from deliveries before {new Date(preview.periodEnd).toLocaleString()}
+            </Typography>
+
+            {preview.agents.length === 0 ? (
+              <Alert severity="info">Nothing is waiting to be paid out for this period.</Alert>
+            ) : (
+              <TableContainer>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Agent</TableCell>
+                      <TableCell align="right">Deliveries</TableCell>
+                      <TableCell align="right">Tips</TableCell>
+                      <TableCell align="right">Total</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {preview.agents.map(row => (
+                      <TableRow key={row.agent._id} hover>
+                        <TableCell>
+                          <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+                            <Avatar src={row.agent.user?.profilePicture} sx={{ width: 28, height: 28 }}>
+                              {agentName(row.agent).charAt(0).toUpperCase()}
+                            </Avatar>
+                            <Box>
+                              <Typography variant="body2">{agentName(row.agent)}</Typography>
+                              {row.agent.user?.email && (
+                                <Typography variant="caption" color="text.secondary">{row.agent.user.email}</Typography>
+                              )}
+                            </Box>
+                          </Box>
+                        </TableCell>
+                        <TableCell align="right">{row.deliveries}</TableCell>
+                        <TableCell align="right">{formatMoney(row.tips)}</TableCell>
+                        <TableCell align="right">{formatMoney(row.total)}</TableCell>
+                      </TableRow>
+                    ))}
+                    <TableRow>
+                      <TableCell>
+                        <Typography variant="subtitle2">Total</Typography>
+                      </TableCell>
+                      <TableCell align="right">
+                        <Typography variant="subtitle2">{preview.entryCount}</Typography>
+                      </TableCell>
+                      <TableCell />
+                      <TableCell align="right">
+                        <Typography variant="subtitle2">{formatMoney(preview.total)}</Typography>
+                      </TableCell>
+                    </TableRow>
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            )}
+
+            <Box sx={{ display: "flex", justifyContent: "flex-end", mt: 2 }}>
+              <Button
+                variant="contained"
+                startIcon={<Payments />}
+                onClick={() => setConfirmOpen(true)}
+                disabled={preview.agents.length === 0}
+              >
+                Run Payout
+              </Button>
+            </Box>
+          </>
+        )}
+      </Paper>
+
+      <Paper sx={{ p: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Past Payouts
+        </Typography>
+
+        {payouts.length === 0 && !payoutsLoading ? (
+          <Typography variant="body2" color="text.secondary">No payouts have been run yet.</Typography>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Run</TableCell>
+                  <TableCell>Period end</TableCell>
+                  <TableCell align="right">Agents</TableCell>
+                  <TableCell align="right">Deliveries</TableCell>
+                  <TableCell align="right">Total</TableCell>
+                  <TableCell>Note</TableCell>
+                  <TableCell align="center">CSV</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {payouts.map(payout => (
+                  <TableRow key={payout._id} hover>
+                    <TableCell>
+                      <Typography variant="body2">{new Date(payout.createdAt).toLocaleString()}</Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        by {payout.createdBy?.username || "admin"}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>{new Date(payout.periodEnd).toLocaleDateString()}</TableCell>
+                    <TableCell align="right">
+                      <Tooltip title={payout.agents.map(row => `${agentName(row.agent)}: ${formatMoney(row.total)}`).join(", ")}>
+                        <span>{payout.agents.length}</span>
+                      </Tooltip>
+                    </TableCell>
+                    <TableCell align="right">{payout.entryCount}</TableCell>
+                    <TableCell align="right">{formatMoney(payout.total)}</TableCell>
+                    <TableCell>{payout.note}</TableCell>
+                    <TableCell align="center">
+                      <Tooltip title="Download CSV">
+                        <span>
+                          <IconButton
+                            size="small"
+                            onClick={() => handleDownload(payout._id)}
+                            disabled={downloadingId === payout._id}
+                          >
+                            {downloadingId === payout._id ? <CircularProgress size={18} /> : <Download />}
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+
+        {hasMorePayouts && (
+          <Box sx={{ display: "flex", justifyContent: "center", mt: 2 }}>
+            <Button onClick={() => fetchPayouts(pagination.page + 1)} disabled={payoutsLoading}>
+              {payoutsLoading ? <CircularProgress size={20} /> : "Load more"}
+            </Button>
+          </Box>
+        )}
+      </Paper>
+
+      <Dialog open={confirmOpen} onClose={() => !running && setConfirmOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Run payout</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            This marks {preview?.entryCount} deliveries for {preview?.agents.length} agents, {formatMoney(preview?.total)} in
+            total, as paid. Make the bank transfers from the CSV once the run is done.
+          </DialogContentText>
+          <TextField
+            label="Note (optional)"
+            placeholder="e.g. bank batch reference"
+            fullWidth
+            size="small"
+            value={note}
+            onChange={(e) => setNote(e.target.value.slice(0, 500))}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirmOpen(false)} disabled={running}>Cancel</Button>
+          <Button variant="contained" onClick={handleRunPayout} disabled={running}>
+            {running ? <CircularProgress size={20} color="inherit" /> : "Mark as Paid"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}
+        anchorOrigin={{ vertical: "bottom", horizontal: "center" }}
+      >
+        <Alert onClose={() => setSnackbar(prev => ({ ...prev, open: false }))} severity={snackbar.severity} sx={{ width: "100%" }}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Container>
+  );
+};
+
+export default PayoutsManagement;
@@ -0,0 +1,692 @@
+import React, { useState, useEffect } from "react";
+import axiosInstance from "../../utils/axiosInstance";
+import {
+  Box,
+  Container,
+  Typography,
+  Button,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  IconButton,
+  CircularProgress,
+  Alert,
+  Snackbar,
+  Chip,
+  Grid,
+  Card,
+  CardContent,
+  CardActions,
+  useMediaQuery,
+  useTheme,
+  Fab,
+  Tooltip,
+  MenuItem,
+  Switch,
+  FormControlLabel,
+  Autocomplete
+} from "@mui/material";
+import {
+  Edit,
+  Delete,
+  Add,
+  Refresh,
+  LocalOffer
+} from "@mui/icons-material";
+
+const POST_CATEGORIES = ["Breakfast", "Lunch", "Dinner", "Snacks", "Dessert", "Drinks", "FastFood", "Other"];
+
+const DISCOUNT_TYPE_LABELS = {
+  percent: "Percent off",
+  flat: "Flat amount off",
+  free_delivery: "Free delivery"
+};
+
+const EMPTY_FORM = {
+  code: "",
+  description: "",
+  discountType: "percent",
+  value: "",
+  minOrderValue: "",
+  maxDiscount: "",
+  usageLimit: "",
+  perUserLimit: "1",
+  validFrom: "",
+  validUntil: "",
+  categories: [],
+  sellers: [],
+  isActive: true
+};
+
+// Format a date for a datetime-local input
+const toDateTimeInput = (date) => {
+  if (!date) return "";
+  const value = new Date(date);
+  value.setMinutes(value.getMinutes() - value.getTimezoneOffset());
+  return value.toISOString().slice(0, 16);
+};
+
+// Describe the discount a promo code gives
+const describeDiscount = (promoCode) => {
+  if (promoCode.discountType === "percent") {
+    return `${promoCode.value}% off${promoCode.maxDiscount ? ` (max ₹${promoCode.maxDiscount})` : ""}`;
+  }
+  if (promoCode.discountType === "flat") {
+    return `₹${promoCode.value} off`;
+  }
+  return "Free delivery";
+};
+
+// Work out whether a promo code can currently be used
+const getPromoStatus = (promoCode) => {
+  const now = new Date();
+  if (!promoCode.isActive) return { label: "Inactive", color: "default" };
+  if (promoCode.validUntil && new Date(promoCode.validUntil) < now) return { label: "Expired", color: "error" };
+  if (promoCode.validFrom && new Date(promoCode.validFrom) > now) return { label: "Scheduled", color: "info" };
+  if (promoCode.usageLimit > 0 && promoCode.usedCount >= promoCode.usageLimit) return { label: "Used up", color: "warning" };
+  return { label: "Active", color: "success" };
+};
+
+const PromoCodesManagement = () => {
+  const theme = useTheme();
+  const isMobile = useMediaQuery(theme.breakpoints.down('md'));
+
+  const [promoCodes, setPromoCodes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [formDialogOpen, setFormDialogOpen] = useState(false);
+  const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
+  const [selectedPromoCode, setSelectedPromoCode] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [sellerOptions, setSellerOptions] = useState([]);
+  const [sellerSearch, setSellerSearch] = useState("");
+  const [snackbar, setSnackbar] = useState({
+    open: false,
+    message: "",
+    severity: "success",
+  });
+
+  // Fetch promo codes on component mount
+  useEffect(() => {
+    fetchPromoCodes();
+  }, []);
+
+  // Search users to restrict a promo code to specific sellers
+  useEffect(() => {
+    if (!formDialogOpen) return;
+
+    const timeout = setTimeout(async () => {
+      try {
+        const params = new URLSearchParams({ page: 1, limit: 10 });
+        if (sellerSearch) params.append("q", sellerSearch);
+        const response = await axiosInstance.get(`/user/admin/users?${params.toString()}`);
+        setSellerOptions(response.data.users || []);
+      } catch (err) {
+        console.error("Error searching sellers:", err);
+      }
+    }, 300);
+
+    return () => clearTimeout(timeout);
+  }, [sellerSearch, formDialogOpen]);
+
+  // Fetch promo codes from the API
+  const fetchPromoCodes = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await axiosInstance.get("/promo-codes/admin/all", {
+        withCredentials: true,
+      });
+      setPromoCodes(response.data.promoCodes || []);
+    } catch (err) {
+      console.error("Error fetching promo codes:", err);
+      setError("Failed to load promo codes. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Handle form input changes
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  // Open add promo code dialog
+  const handleOpenAddDialog = () => {
+    setSelectedPromoCode(null);
+    setFormData(EMPTY_FORM);
+    setFormDialogOpen(true);
+  };
+
+  // Open edit promo code dialog
+  const handleOpenEditDialog = (promoCode) => {
+    setSelectedPromoCode(promoCode);
+    setFormData({
+      code: promoCode.code,
+      description: promoCode.description || "",
+      discountType: promoCode.discountType,
+      value: String(promoCode.value ?? ""),
+      minOrderValue: String(promoCode.minOrderValue ?? ""),
+      maxDiscount: String(promoCode.maxDiscount ?? ""),
+      usageLimit: String(promoCode.usageLimit ?? ""),
+      perUserLimit: String(promoCode.perUserLimit ?? ""),
+      validFrom: toDateTimeInput(promoCode.validFrom),
+      validUntil: toDateTimeInput(promoCode.validUntil),
+      categories: promoCode.categories || [],
+      sellers: promoCode.sellers || [],
+      isActive: promoCode.isActive
+    });
+    setFormDialogOpen(true);
+  };
+
+  // Open delete promo code dialog
+  const handleOpenDeleteDialog = (promoCode) => {
+    setSelectedPromoCode(promoCode);
+    setDeleteDialogOpen(true);
+  };
+
+  // Close all dialogs
+  const handleCloseDialogs = () => {
+    setFormDialogOpen(false);
+    setDeleteDialogOpen(false);
+  };
+
+  // Create or update a promo code
+  const handleSavePromoCode = async () => {
+    try {
+      setSaving(true);
+
+      const payload = {
+        ...formData,
+        validFrom: formData.validFrom ? new Date(formData.validFrom).toISOString() : "",
+        validUntil: formData.validUntil ? new Date(formData.validUntil).toISOString() : "",
+        sellers: formData.sellers.map((seller) => seller._id)
+      };
+
+      if (selectedPromoCode) {
+        await axiosInstance.put(`/promo-codes/admin/${selectedPromoCode._id}`, payload, {
+          withCredentials: true,
+        });
+      } else {
+        await axiosInstance.post("/promo-codes/admin/create", payload, {
+          withCredentials: true,
+        });
+      }
+
+      setSnackbar({
+        open: true,
+        message: selectedPromoCode ? "Promo code updated successfully!" : "Promo code added successfully!",
+        severity: "success",
+      });
+
+      handleCloseDialogs();
+      fetchPromoCodes();
+    } catch (err) {
+      console.error("Error saving promo code:", err);
+      setSnackbar({
+        open: true,
+        message: err.response?.data?.message || "Failed to save promo code",
+        severity: "error",
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Quickly enable or disable a promo code
+  const handleToggleActive = async (promoCode) => {
+    try {
+      await axiosInstance.put(`/promo-codes/admin/${promoCode._id}`, { isActive: !promoCode.isActive }, {
+        withCredentials: true,
+      });
+      fetchPromoCodes();
+    } catch (err) {
+      console.error("Error toggling promo code:", err);
+      setSnackbar({
+        open: true,
+        message: err.response?.data?.message || "Failed to update promo code",
+        severity: "error",
+      });
+    }
+  };
+
+  // Delete a promo code
+  const handleDeletePromoCode = async () => {
+    try {
+      setSaving(true);
+
+      await axiosInstance.delete(`/promo-codes/admin/${selectedPromoCode._id}`, {
+        withCredentials: true,
+      });
+
+      setSnackbar({
+        open: true,
+        message: "Promo code deleted successfully!",
+        severity: "success",
+      });
+
+      handleCloseDialogs();
+      fetchPromoCodes();
+    } catch (err) {
+      console.error("Error deleting promo code:", err);
+      setSnackbar({
+        open: true,
+        message: err.response?.data?.message || "Failed to delete promo code",
+        severity: "error",
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Close notification
+  const handleCloseNotification = () => {
+    setSnackbar((prev) => ({ ...prev, open: false }));
+  };
+
+  // Human-readable usage for a promo code
+  const formatUsage = (promoCode) =>
+    `${promoCode.usedCount || 0}${promoCode.usageLimit ? ` / ${promoCode.usageLimit}` : ""}`;
+
+  // Human-readable restrictions for a promo code
+  const formatRestrictions = (promoCode) => {
+    const restrictions = [];
+    if (promoCode.minOrderValue) restrictions.push(`Min ₹${promoCode.minOrderValue}`);
+    if (promoCode.categories?.length) restrictions.push(promoCode.categories.join(", "));
+    if (promoCode.sellers?.length) {
+      restrictions.push(`Sellers: ${promoCode.sellers.map((seller) => seller.username).join(", ")}`);
+    }
+    return restrictions.length ? restrictions.join(" • ") : "None";
+  };
+
+  // Mobile-friendly Promo Code Card Component
+  const PromoCodeCard = ({ promoCode }) => {
+    const status = getPromoStatus(promoCode);
+    return (
+      <Card sx={{ mb: 2, boxShadow: 2 }}>
+        <CardContent>
+          <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+            <LocalOffer color="primary" sx={{ mr: 1 }} />
+            <Typography variant="h6" sx={{ fontSize: '1.1rem', fontWeight: 'bold', flex: 1 }}>
+              {promoCode.code}
+            </Typography>
+            <Chip label={status.label} color={status.color} size="small" />
+          </Box>
+          <Typography variant="body2">{describeDiscount(promoCode)}</Typography>
+          <Typography variant="body2" color="text.secondary">
+            {promoCode.description || "No description"}
+          </Typography>
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+            Used: {formatUsage(promoCode)} • Restrictions: {formatRestrictions(promoCode)}
+          </Typography>
+        </CardContent>
+        <CardActions sx={{ justifyContent: 'space-between', px: 2, pb: 2 }}>
+          <Button size="small" variant="outlined" startIcon={<Edit />} onClick={() => handleOpenEditDialog(promoCode)}>
+            Edit
+          </Button>
+          <Button size="small" variant="outlined" color="error" startIcon={<Delete />} onClick={() => handleOpenDeleteDialog(promoCode)}>
+            Delete
+          </Button>
+        </CardActions>
+      </Card>
+    );
+  };
+
+  return (
+    <Container maxWidth="xl" sx={{ mt: 3, mb: 5 }}>
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+          <Typography variant="h5" component="h1">
+            Promo Codes Management
+          </Typography>
+          <Button
+            variant="contained"
+            startIcon={<Add />}
+            onClick={handleOpenAddDialog}
+            size={isMobile ? "small" : "medium"}
+          >
+            Add Promo Code
+          </Button>
+        </Box>
+
+        <Box sx={{ display: 'flex', justifyContent: 'flex-end' }}>
+          <Button
+            variant="outlined"
+            startIcon={<Refresh />}
+            onClick={fetchPromoCodes}
+            disabled={loading}
+            size={isMobile ? "small" : "medium"}
+          >
+            Refresh
+          </Button>
+        </Box>
+      </Paper>
+
+      {/* Loading state */}
+      {loading && (
+        <Box sx={{ display: "flex", justifyContent: "center", my: 4 }}>
+          <CircularProgress />
+        </Box>
+      )}
+
+      {/* Error state */}
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {error}
+        </Alert>
+      )}
+
+      {/* Promo codes content */}
+      {!loading && !error && (
+        promoCodes.length === 0 ? (
+          <Paper sx={{ p: 4, textAlign: 'center' }}>
+            <Typography variant="h6" color="text.secondary">
+              No promo codes found
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              Create your first promo code to get started
+            </Typography>
+          </Paper>
+        ) : isMobile ? (
+          <Box>
+            {promoCodes.map((promoCode) => (
+              <PromoCodeCard key={promoCode._id} promoCode={promoCode} />
+            ))}
+          </Box>
+        ) : (
+          <Paper>
+            <TableContainer>
+              <Table>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Code</TableCell>
+                    <TableCell>Discount</TableCell>
+                    <TableCell>Restrictions</TableCell>
+                    <TableCell>Validity</TableCell>
+                    <TableCell>Used</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell align="center">Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {promoCodes.map((promoCode) => {
+                    const status = getPromoStatus(promoCode);
+                    return (
+                      <TableRow key={promoCode._id} hover>
+                        <TableCell>
+                          <Typography variant="body2" sx={{ fontWeight: 'bold' }}>
+                            {promoCode.code}
+                          </Typography>
+                          <Typography variant="caption" color="text.secondary">
+                            {promoCode.description}
+                          </Typography>
+                        </TableCell>
+                        <TableCell>{describeDiscount(promoCode)}</TableCell>
+                        <TableCell>
+                          <Typography variant="body2">{formatRestrictions(promoCode)}</Typography>
+                          <Typography variant="caption" color="text.secondary">
+                            {promoCode.perUserLimit ? `${promoCode.perUserLimit} per user` : "Unlimited per user"}
+                          </Typography>
+                        </TableCell>
+                        <TableCell>
+                          <Typography variant="body2">
+                            {new Date(promoCode.validFrom).toLocaleDateString()} –{" "}
+                            {promoCode.validUntil ? new Date(promoCode.validUntil).toLocaleDateString() : "No end"}
+                          </Typography>
+                        </TableCell>
+                        <TableCell>{formatUsage(promoCode)}</TableCell>
+                        <TableCell>
+                          <Chip label={status.label} color={status.color} size="small" />
+                        </TableCell>
+                        <TableCell align="center">
+                          <Box sx={{ display: 'flex', gap: 1, justifyContent: 'center', alignItems: 'center' }}>
+                            <Tooltip title={promoCode.isActive ? "Disable" : "Enable"}>
+                              <Switch
+                                size="small"
+                                checked={promoCode.isActive}
+                                onChange={() => handleToggleActive(promoCode)}
+                              />
+                            </Tooltip>
+                            <Tooltip title="Edit Promo Code">
+                              <IconButton color="primary" onClick={() => handleOpenEditDialog(promoCode)} size="small">
+                                <Edit />
+                              </IconButton>
+                            </Tooltip>
+                            <Tooltip title="Delete Promo Code">
+                              <IconButton color="error" onClick={() => handleOpenDeleteDialog(promoCode)} size="small">
+                                <Delete />
+                              </IconButton>
+                            </Tooltip>
+                          </Box>
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Paper>
+        )
+      )}
+
+      {/* Floating action button for mobile add */}
+      {isMobile && (
+        <Fab
+          color="primary"
+          sx={{ position: 'fixed', bottom: 16, right: 16, zIndex: 1000 }}
+          onClick={handleOpenAddDialog}
+        >
+          <Add />
+        </Fab>
+      )}
+
+      {/* Add / Edit Promo Code Dialog */}
+      <Dialog open={formDialogOpen} onClose={handleCloseDialogs} maxWidth="sm" fullWidth>
+        <DialogTitle>{selectedPromoCode ? "Edit Promo Code" : "Add New Promo Code"}</DialogTitle>
+        <DialogContent>
+          <Grid container spacing={2} sx={{ mt: 1 }}>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                name="code"
+                label="Code"
+                value={formData.code}
+                onChange={(e) => setFormData((prev) => ({ ...prev, code: e.target.value.toUpperCase() }))}
+                fullWidth
+                required
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                select
+                name="discountType"
+                label="Discount Type"
+                value={formData.discountType}
+                onChange={handleInputChange}
+                fullWidth
+              >
+                {Object.entries(DISCOUNT_TYPE_LABELS).map(([value, label]) => (
+                  <MenuItem key={value} value={value}>{label}</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={12}>
+              <TextField
+                name="description"
+                label="Description"
+                value={formData.description}
+                onChange={handleInputChange}
+                fullWidth
+              />
+            </Grid>
+            {formData.discountType !== "free_delivery" && (
+              <Grid item xs={12} sm={6}>
+                <TextField
+                  name="value"
+                  label={formData.discountType === "percent" ? "Percent off" : "Amount off (₹)"}
+                  type="number"
+                  value={formData.value}
+                  onChange={handleInputChange}
+                  fullWidth
+                  required
+                />
+              </Grid>
+            )}
+            <Grid item xs={12} sm={6}>
+              <TextField
+                name="maxDiscount"
+                label="Max discount (₹, 0 = no cap)"
+                type="number"
+                value={formData.maxDiscount}
+                onChange={handleInputChange}
+                fullWidth
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                name="minOrderValue"
+                label="Min order value (₹)"
+                type="number"
+                value={formData.minOrderValue}
+                onChange={handleInputChange}
+                fullWidth
+              />
+            </Grid>
+            <Grid item xs={6} sm={3}>
+              <TextField
+                name="usageLimit"
+                label="Total uses"
+                helperText="0 = unlimited"
+                type="number"
+                value={formData.usageLimit}
+                onChange={handleInputChange}
+                fullWidth
+              />
+            </Grid>
+            <Grid item xs={6} sm={3}>
+              <TextField
+                name="perUserLimit"
+                label="Uses per user"
+                helperText="0 = unlimited"
+                type="number"
+                value={formData.perUserLimit}
+                onChange={handleInputChange}
+                fullWidth
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                name="validFrom"
+                label="Valid from"
+                type="datetime-local"
+                value={formData.validFrom}
+                onChange={handleInputChange}
+                InputLabelProps={{ shrink: true }}
+                fullWidth
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                name="validUntil"
+                label="Valid until"
+                type="datetime-local"
+                value={formData.validUntil}
+                onChange={handleInputChange}
+                InputLabelProps={{ shrink: true }}
+                fullWidth
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <Autocomplete
+                multiple
+                options={POST_CATEGORIES}
+                value={formData.categories}
+                onChange={(e, value) => setFormData((prev) => ({ ...prev, categories: value }))}
+                renderInput={(params) => (
+                  <TextField {...params} label="Only these categories" placeholder="All categories" />
+                )}
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <Autocomplete
+                multiple
+                options={sellerOptions}
+                value={formData.sellers}
+                getOptionLabel={(option) => option.username || ""}
+                isOptionEqualToValue={(option, value) => option._id === value._id}
+                onChange={(e, value) => setFormData((prev) => ({ ...prev, sellers: value }))}
+                onInputChange={(e, value) => setSellerSearch(value)}
+                renderInput={(params) => (
+                  <TextField {...params} label="Only these sellers" placeholder="All sellers" />
+                )}
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={formData.isActive}
+                    onChange={(e) => setFormData((prev) => ({ ...prev, isActive: e.target.checked }))}
+                  />
+                }
+                label="Active"
+              />
+            </Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseDialogs}>Cancel</Button>
+          <Button
+            onClick={handleSavePromoCode}
+            variant="contained"
+            disabled={!formData.code || saving}
+          >
+            {saving ? <CircularProgress size={24} /> : selectedPromoCode ? "Update" : "Add"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Delete Promo Code Dialog */}
+      <Dialog open={deleteDialogOpen} onClose={handleCloseDialogs}>
+        <DialogTitle>Delete Promo Code</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            Are you sure you want to delete the promo code "
+            {selectedPromoCode?.code}"? Orders that already used it keep their discount.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseDialogs}>Cancel</Button>
+          <Button onClick={handleDeletePromoCode} color="error" disabled={saving}>
+            {saving ? <CircularProgress size={24} /> : "Delete"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Notification Snackbar */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseNotification}
+        anchorOrigin={{ vertical: "bottom", horizontal: "center" }}
+      >
+        <Alert onClose={handleCloseNotification} severity={snackbar.severity} sx={{ width: "100%" }}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Container>
+  );
+};
+
+export default PromoCodesManagement;
@@ -0,0 +1,308 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import axiosInstance from '../../utils/axiosInstance';
+import { toast } from 'react-toastify';
+import {
+  Box,
+  Typography,
+  Paper,
+  Chip,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  CircularProgress,
+  Alert,
+  Tabs,
+  Tab,
+  Card,
+  CardContent,
+  CardActions,
+  Collapse,
+  IconButton,
+  Badge,
+  InputAdornment
+} from '@mui/material';
+import { ExpandMore, ExpandLess, Refresh } from '@mui/icons-material';
+
+const REFUND_STATUS_COLORS = {
+  pending: 'warning',
+  approved: 'success',
+  rejected: 'error'
+};
+
+const REFUND_TYPE_LABELS = {
+  cancellation: 'Cancellation',
+  partial: 'Partial refund',
+  dispute: 'Delivery dispute'
+};
+
+const AUDIT_ACTION_LABELS = {
+  requested: 'Requested',
+  approved: 'Approved',
+  auto_approved: 'Approved automatically',
+  rejected: 'Rejected'
+};
+
+const PAYOUT_LABELS = {
+  succeeded: { label: 'Paid back', color: 'success' },
+  manual: { label: 'Pay back manually', color: 'warning' },
+  failed: { label: 'Payout failed', color: 'error' }
+};
+
+const formatAmount = (amount) => `₹${(amount || 0).toFixed(2)}`;
+
+// Admin approval queue for refunds, shown at the top of order management
+const RefundQueue = () => {
+  const [status, setStatus] = useState('pending');
+  const [refunds, setRefunds] = useState([]);
+  const [pendingCount, setPendingCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [open, setOpen] = useState(true);
+  const [expanded, setExpanded] = useState({});
+
+  // Review dialog: { refund, action: 'approve' | 'reject' }
+  const [review, setReview] = useState(null);
+  const [reviewAmount, setReviewAmount] = useState('');
+  const [reviewNote, setReviewNote] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchRefunds = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await axiosInstance.get('/refunds/admin/all', {
+        params: { status },
+        withCredentials: true
+      });
+      setRefunds(response.data.refunds || []);
+      setPendingCount(response.data.pendingCount || 0);
+    } catch (err) {
+      console.error('Error fetching refunds:', err);
+      setError(err.response?.data?.message || err.message || 'Failed to load refunds');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchRefunds();
+  }, [fetchRefunds]);
+
+  const openReview = (refund, action) => {
+    setReview({ refund, action });
+    setReviewAmount(String(refund.amount));
+    setReviewNote('');
+  };
+
+  const handleReview = async () => {
+    const { refund, action } = review;
+    setSubmitting(true);
+    try {
+      const payload = action === 'approve'
+        ? { amount: reviewAmount, note: reviewNote }
+        : { note: reviewNote };
+      await axiosInstance.put(`/refunds/admin/${refund._id}/${action}`, payload, {
+        withCredentials: true
+      });
+      toast.success(action === 'approve' ? 'Refund approved' : 'Refund rejected');
+      setReview(null);
+      fetchRefunds();
+    } catch (err) {
+      toast.error(err.response?.data?.message || err.message || 'Failed to update refund');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const renderRefund = (refund) => {
+    const order = refund.order || {};
+    const remaining = (order.total || 0) - (order.refundedAmount || 0);
+    const isExpanded = !!expanded[refund._id];
+
+    return (
+      <Card key={refund._id} variant="outlined" sx={{ mb: 2 }}>
+        <CardContent sx={{ pb: 1 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 2, flexWrap: 'wrap' }}>
+            <Box>
+              <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
+                {formatAmount(refund.status === 'approved' ? refund.approvedAmount : refund.amount)}
+                {' · '}{REFUND_TYPE_LABELS[refund.type] || refund.type}
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                {refund.user?.username || 'Customer'} · Order #{order._id ? order._id.substring(order._id.length - 8) : 'unknown'}
+                {' · '}{new Date(refund.createdAt).toLocaleString()}
+              </Typography>
+            </Box>
+            <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+              {order.paymentMethod && <Chip label={order.paymentMethod} size="small" variant="outlined" />}
+              <Chip
+                label={refund.status}
+                color={REFUND_STATUS_COLORS[refund.status] || 'default'}
+                size="small"
+                sx={{ textTransform: 'capitalize' }}
+              />
+            </Box>
+          </Box>
+
+          <Typography variant="body2" sx={{ mt: 1 }}>
+            {refund.reason}
+          </Typography>
+          {refund.cancellationFee > 0 && (
+            <Typography variant="body2" color="text.secondary">
+              Cancellation fee kept: {formatAmount(refund.cancellationFee)}
+            </Typography>
+          )}
+          {refund.status === 'pending' && (
+            <Typography variant="caption" color="text.secondary">
+              Order total {formatAmount(order.total)} · {formatAmount(remaining)} left to refund
+            </Typography>
+          )}
+          {refund.payout?.status && (
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1, flexWrap: 'wrap' }}>
+              <Chip
+                label={PAYOUT_LABELS[refund.payout.status]?.label || refund.payout.status}
+                color={PAYOUT_LABELS[refund.payout.status]?.color || 'default'}
+                size="small"
+                variant="outlined"
+              />
+              <Typography variant="caption" color="text.secondary">
+                {refund.payout.note || refund.payout.reference}
+              </Typography>
+            </Box>
+          )}
+
+          <Collapse in={isExpanded}>
+            <Box sx={{ mt: 1.5 }}>
+              {refund.items?.length > 0 && (
+                <>
+                  <Typography variant="subtitle2">Items</Typography>
+                  {refund.items.map((item, index) => (
+                    <Typography key={index} variant="body2">
+                      {item.quantity} × {item.name || 'Item'} — {formatAmount(item.amount)}
+                    </Typography>
+                  ))}
+                </>
+              )}
+              <Typography variant="subtitle2" sx={{ mt: 1 }}>Audit trail</Typography>
+              {refund.auditTrail?.map((entry, index) => (
+                <Typography key={index} variant="caption" color="text.secondary" display="block">
+                  {new Date(entry.timestamp).toLocaleString()} · {AUDIT_ACTION_LABELS[entry.action] || entry.action}
+                  {entry.actor?.username ? ` by ${entry.actor.username}` : ''}
+                  {entry.amount !== undefined && entry.amount !== null ? ` · ${formatAmount(entry.amount)}` : ''}
+                  {entry.note ? ` — ${entry.note}` : ''}
+                </Typography>
+              ))}
+            </Box>
+          </Collapse>
+        </CardContent>
+        <CardActions sx={{ justifyContent: 'space-between', px: 2, pb: 1.5 }}>
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            {refund.status === 'pending' && (
+              <>
+                <Button size="small" variant="contained" color="success" onClick={() => openReview(refund, 'approve')}>
+                  Approve
+                </Button>
+                <Button size="small" variant="outlined" color="error" onClick={() => openReview(refund, 'reject')}>
+                  Reject
+                </Button>
+              </>
+            )}
+          </Box>
+          <IconButton size="small" onClick={() => setExpanded(prev => ({ ...prev, [refund._id]: !prev[refund._id] }))}>
+            {isExpanded ? <ExpandLess /> : <ExpandMore />}
+          </IconButton>
+        </CardActions>
+      </Card>
+    );
+  };
+
+  return (
+    <Paper sx={{ p: 3, mb: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Badge badgeContent={pendingCount} color="warning">
+          <Typography variant="h6" sx={{ pr: 1 }}>Refund Requests</Typography>
+        </Badge>
+        <Box>
+          <IconButton onClick={fetchRefunds} size="small">
+            <Refresh />
+          </IconButton>
+          <IconButton onClick={() => setOpen(prev => !prev)} size="small">
+            {open ? <ExpandLess /> : <ExpandMore />}
+          </IconButton>
+        </Box>
+      </Box>
+
+      <Collapse in={open}>
+        <Tabs
+          value={status}
+          onChange={(event, value) => setStatus(value)}
+          variant="scrollable"
+          scrollButtons="auto"
+          sx={{ mb: 2, borderBottom: 1, borderColor: 'divider' }}
+        >
+          <Tab value="pending" label="Pending" />
+          <Tab value="approved" label="Approved" />
+          <Tab value="rejected" label="Rejected" />
+          <Tab value="all" label="All" />
+        </Tabs>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', my: 3 }}>
+            <CircularProgress size={28} />
+          </Box>
+        ) : refunds.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ py: 2, textAlign: 'center' }}>
+            {status === 'pending' ? 'No refunds waiting for review' : 'No refunds found'}
+          </Typography>
+        ) : (
+          refunds.map(renderRefund)
+        )}
+      </Collapse>
+
+      <Dialog open={!!review} onClose={() => setReview(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>{review?.action === 'approve' ? 'Approve refund' : 'Reject refund'}</DialogTitle>
+        <DialogContent>
+          {review?.action === 'approve' && (
+            <TextField
+              label="Amount to refund"
+              type="number"
+              fullWidth
+              sx={{ mt: 1, mb: 2 }}
+              value={reviewAmount}
+              onChange={(e) => setReviewAmount(e.target.value)}
+              InputProps={{ startAdornment: <InputAdornment position="start">₹</InputAdornment> }}
+              helperText={`Requested ${formatAmount(review.refund.amount)}`}
+            />
+          )}
+          <TextField
+            label={review?.action === 'approve' ? 'Note (optional)' : 'Reason shown to the customer'}
+            fullWidth
+            multiline
+            minRows={2}
+            sx={{ mt: review?.action === 'approve' ? 0 : 1 }}
+            value={reviewNote}
+            onChange={(e) => setReviewNote(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setReview(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            color={review?.action === 'approve' ? 'success' : 'error'}
+            onClick={handleReview}
+            disabled={submitting}
+          >
+            {submitting ? <CircularProgress size={20} /> : review?.action === 'approve' ? 'Approve' : 'Reject'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+export default RefundQueue;
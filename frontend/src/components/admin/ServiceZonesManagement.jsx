@@ -0,0 +1,438 @@
+import React, { useState, useEffect, useRef } from "react";
+import {
+  Box,
+  Container,
+  Typography,
+  Button,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Switch,
+  FormControlLabel,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  IconButton,
+  Chip,
+  CircularProgress,
+  Alert,
+  Snackbar,
+  Tooltip
+} from "@mui/material";
+import { Add, Edit, Delete, Undo, Clear } from "@mui/icons-material";
+import L from "leaflet";
+import "leaflet/dist/leaflet.css";
+import {
+  getAllServiceZones,
+  saveServiceZone,
+  deleteServiceZone
+} from "../../services/deliveryService";
+
+// Used when there are no zones to frame the map on
+const DEFAULT_CENTER = [40.7128, -74.0060];
+
+// A zone's outline as Leaflet [lat, lng] points, without the closing point
+const toLatLngs = (area) => {
+  if (area?.type !== "Polygon") return [];
+  return area.coordinates[0].slice(0, -1).map(([lng, lat]) => [lat, lng]);
+};
+
+const outlinesOf = (area) =>
+  area?.type === "MultiPolygon"
+    ? area.coordinates.map(polygon => polygon[0].map(([lng, lat]) => [lat, lng]))
+    : [area.coordinates[0].map(([lng, lat]) => [lat, lng])];
+
+// Zones without their own fee charge the standard one
+const formatZoneFee = (fee) => (fee === null || fee === undefined ? "Default" : `₹${fee}`);
+
+// Map to draw a zone on: each click adds a corner. Other zones are shown for reference.
+const ZoneEditorMap = ({ points, onAddPoint, otherZones }) => {
+  const mapRef = useRef(null);
+  const drawingRef = useRef(null);
+  // What the map is first framed on; later changes only redraw the outline
+  const initialView = useRef({ points, otherZones });
+  const onAddPointRef = useRef(onAddPoint);
+
+  useEffect(() => {
+    onAddPointRef.current = onAddPoint;
+  }, [onAddPoint]);
+
+  useEffect(() => {
+    const map = L.map(mapRef.current);
+    L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
+      attribution: '© <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+      maxZoom: 19,
+    }).addTo(map);
+
+    const bounds = L.latLngBounds([]);
+    initialView.current.otherZones.forEach(zone => {
+      outlinesOf(zone.area).forEach(outline => {
+        L.polygon(outline, { color: "#9e9e9e", weight: 1, fillOpacity: 0.1 })
+          .bindTooltip(zone.name)
+          .addTo(map);
+        bounds.extend(outline);
+      });
+    });
+    initialView.current.points.forEach(point => bounds.extend(point));
+    if (bounds.isValid()) {
+      map.fitBounds(bounds, { padding: [30, 30] });
+    } else {
+      map.setView(DEFAULT_CENTER, 12);
+    }
+
+    map.on("click", (event) => onAddPointRef.current([event.latlng.lat, event.latlng.lng]));
+    drawingRef.current = L.layerGroup().addTo(map);
+
+    return () => {
+      map.remove();
+      drawingRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    const drawing = drawingRef.current;
+    if (!drawing) return;
+
+    drawing.clearLayers();
+    if (points.length >= 3) {
+      L.polygon(points, { color: "#1976d2", weight: 2, fillOpacity: 0.2 }).addTo(drawing);
+    } else if (points.length === 2) {
+      L.polyline(points, { color: "#1976d2", weight: 2 }).addTo(drawing);
+    }
+    points.forEach(point => {
+      L.circleMarker(point, { radius: 5, color: "#fff", weight: 2, fillColor: "#1976d2", fillOpacity: 1 }).addTo(drawing);
+    });
+  }, [points]);
+
+  return <Box ref={mapRef} sx={{ height: 420, borderRadius: 1, overflow: "hidden", cursor: "crosshair" }} />;
+};
+
+// Admin: the areas the platform delivers in, which agents choose to work from
+const ServiceZonesManagement = () => {
+  const [zones, setZones] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editor, setEditor] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [snackbar, setSnackbar] = useState({ open: false, message: "", severity: "success" });
+
+  const fetchZones = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await getAllServiceZones();
+      setZones(response.zones);
+    } catch (err) {
+      setError(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchZones();
+  }, []);
+
+  const startCreate = () => {
+    setEditor({
+      id: null,
+      name: "",
+      isActive: true,
+      standardFee: "",
+      expressFee: "",
+      minOrderValue: "",
+      points: [],
+      areaChanged: false
+    });
+  };
+
+  const startEdit = (zone) => {
+    setEditor({
+      id: zone._id,
+      name: zone.name,
+      isActive: zone.isActive,
+      // Blank fees charge the standard delivery fee
+      standardFee: zone.deliveryFees?.standard ?? "",
+      expressFee: zone.deliveryFees?.express ?? "",
+      minOrderValue: zone.minOrderValue || "",
+      points: toLatLngs(zone.area),
+      areaChanged: false
+    });
+  };
+
+  const updatePoints = (update) => {
+    setEditor(prev => ({ ...prev, points: update(prev.points), areaChanged: true }));
+  };
+
+  const handleSave = async () => {
+    if (!editor.name.trim()) {
+      setSnackbar({ open: true, message: "Give the zone a name", severity: "error" });
+      return;
+    }
+    const sendArea = !editor.id || editor.areaChanged;
+    if (sendArea && editor.points.length < 3) {
+      setSnackbar({ open: true, message: "Click at least three points on the map to outline the zone", severity: "error" });
+      return;
+    }
+
+    const zone = {
+      name: editor.name.trim(),
+      isActive: editor.isActive,
+      deliveryFees: { standard: editor.standardFee, express: editor.expressFee },
+      minOrderValue: editor.minOrderValue || 0
+    };
+    if (sendArea) {
+      zone.area = { type: "Polygon", coordinates: [editor.points.map(([lat, lng]) => [lng, lat])] };
+    }
+
+    try {
+      setSaving(true);
+      const response = await saveServiceZone(zone, editor.id);
+      setSnackbar({ open: true, message: response.message, severity: "success" });
+      setEditor(null);
+      fetchZones();
+    } catch (err) {
+      setSnackbar({ open: true, message: err, severity: "error" });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (zone) => {
+    try {
+      await saveServiceZone({ isActive: !zone.isActive }, zone._id);
+      setZones(prev => prev.map(z => (z._id === zone._id ? { ...z, isActive: !zone.isActive } : z)));
+    } catch (err) {
+      setSnackbar({ open: true, message: err, severity: "error" });
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      const response = await deleteServiceZone(deleteTarget._id);
+      setSnackbar({ open: true, message: response.message, severity: "success" });
+      setDeleteTarget(null);
+      fetchZones();
+    } catch (err) {
+      setSnackbar({ open: true, message: err, severity: "error" });
+    }
+  };
+
+  return (
+    <Container maxWidth="xl" sx={{ mt: 3, mb: 5 }}>
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center", mb: 3 }}>
+          <Box>
+            <Typography variant="h5" component="h1">
+              Service Zones
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              Customers can only have orders delivered inside a zone in service. Delivery agents pick the zones
+              they work in and are only offered orders picked up inside them.
+            </Typography>
+          </Box>
+          {!editor && (
+            <Button variant="contained" startIcon={<Add />} onClick={startCreate}>
+              New Zone
+            </Button>
+          )}
+        </Box>
+
+        {editor && (
+          <Paper variant="outlined" sx={{ p: 2, mb: 3 }}>
+            <Typography variant="h6" gutterBottom>
+              {editor.id ? "Edit zone" : "New zone"}
+            </Typography>
+            <Box sx={{ display: "flex", gap: 2, alignItems: "center", mb: 2, flexWrap: "wrap" }}>
+              <TextField
+                label="Name"
+                size="small"
+                value={editor.name}
+                onChange={(e) => setEditor(prev => ({ ...prev, name: e.target.value }))}
+                inputProps={{ maxLength: 60 }}
+              />
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={editor.isActive}
+                    onChange={(e) => setEditor(prev => ({ ...prev, isActive: e.target.checked }))}
+                  />
+                }
+                label="In service"
+              />
+            </Box>
+            <Box sx={{ display: "flex", gap: 2, mb: 2, flexWrap: "wrap" }}>
+              <TextField
+                label="Standard delivery fee"
+                type="number"
+                size="small"
+                value={editor.standardFee}
+                onChange={(e) => setEditor(prev => ({ ...prev, standardFee: e.target.value }))}
+                placeholder="Default"
+                InputLabelProps={{ shrink: true }}
+                inputProps={{ min: 0 }}
+              />
+              <TextField
+                label="Express delivery fee"
+                type="number"
+                size="small"
+                value={editor.expressFee}
+                onChange={(e) => setEditor(prev => ({ ...prev, expressFee: e.target.value }))}
+                placeholder="Default"
+                InputLabelProps={{ shrink: true }}
+                inputProps={{ min: 0 }}
+              />
+              <TextField
+                label="Minimum order"
+                type="number"
+                size="small"
+                value={editor.minOrderValue}
+                onChange={(e) => setEditor(prev => ({ ...prev, minOrderValue: e.target.value }))}
+                placeholder="None"
+                InputLabelProps={{ shrink: true }}
+                inputProps={{ min: 0 }}
+                helperText="Item subtotal before delivery and tax"
+              />
+            </Box>
+            <Box sx={{ display: "flex", gap: 2, alignItems: "center", mb: 2 }}>
+              <Box sx={{ flexGrow: 1 }} />
+              <Typography variant="body2" color="text.secondary">
+                {editor.points.length} points
+              </Typography>
+              <Tooltip title="Remove last point">
+                <span>
+                  <IconButton onClick={() => updatePoints(points => points.slice(0, -1))} disabled={editor.points.length === 0}>
+                    <Undo />
+                  </IconButton>
+                </span>
+              </Tooltip>
+              <Tooltip title="Start the outline again">
+                <span>
+                  <IconButton onClick={() => updatePoints(() => [])} disabled={editor.points.length === 0}>
+                    <Clear />
+                  </IconButton>
+                </span>
+              </Tooltip>
+            </Box>
+            <Typography variant="caption" color="text.secondary" sx={{ display: "block", mb: 1 }}>
+              Click on the map to add the zone's corners in order.
+            </Typography>
+            <ZoneEditorMap
+              key={editor.id || "new"}
+              points={editor.points}
+              onAddPoint={(point) => updatePoints(points => [...points, point])}
+              otherZones={zones.filter(zone => zone._id !== editor.id)}
+            />
+            <Box sx={{ display: "flex", justifyContent: "flex-end", gap: 1, mt: 2 }}>
+              <Button onClick={() => setEditor(null)} disabled={saving}>Cancel</Button>
+              <Button variant="contained" onClick={handleSave} disabled={saving}>
+                {saving ? <CircularProgress size={20} color="inherit" /> : "Save Zone"}
+              </Button>
+            </Box>
+          </Paper>
+        )}
+
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {loading ? (
+          <Box sx={{ display: "flex", justifyContent: "center", my: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : zones.length === 0 ? (
+          <Alert severity="info">
+            No zones yet. Until there are, deliveries can't be placed and agents can pick up anywhere.
+          </Alert>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Name</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell align="right">Delivery fee</TableCell>
+                  <TableCell align="right">Minimum order</TableCell>
+                  <TableCell align="right">Agents</TableCell>
+                  <TableCell>Updated</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {zones.map(zone => (
+                  <TableRow key={zone._id} hover>
+                    <TableCell>{zone.name}</TableCell>
+                    <TableCell>
+                      <Chip
+                        size="small"
+                        label={zone.isActive ? "In service" : "Paused"}
+                        color={zone.isActive ? "success" : "default"}
+                      />
+                    </TableCell>
+                    <TableCell align="right">
+                      {formatZoneFee(zone.deliveryFees?.standard)}
+                      <Typography variant="caption" color="text.secondary" sx={{ display: "block" }}>
+                        Express {formatZoneFee(zone.deliveryFees?.express)}
+                      </Typography>
+                    </TableCell>
+                    <TableCell align="right">{zone.minOrderValue ? `₹${zone.minOrderValue}` : "None"}</TableCell>
+                    <TableCell align="right">{zone.agentCount}</TableCell>
+                    <TableCell>{new Date(zone.updatedAt).toLocaleDateString()}</TableCell>
+                    <TableCell align="right">
+                      <Tooltip title={zone.isActive ? "Pause zone" : "Put back in service"}>
+                        <Switch size="small" checked={zone.isActive} onChange={() => handleToggleActive(zone)} />
+                      </Tooltip>
+                      <Tooltip title="Edit">
+                        <IconButton size="small" onClick={() => startEdit(zone)} disabled={!!editor}>
+                          <Edit fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Delete">
+                        <IconButton size="small" color="error" onClick={() => setDeleteTarget(zone)}>
+                          <Delete fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Paper>
+
+      <Dialog open={!!deleteTarget} onClose={() => setDeleteTarget(null)}>
+        <DialogTitle>Delete zone</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            Delete {deleteTarget?.name}? {deleteTarget?.agentCount > 0 &&
+              `${deleteTarget.agentCount} agents work in it and will lose it from their zones.`}
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeleteTarget(null)}>Cancel</Button>
+          <Button color="error" variant="contained" onClick={handleDelete}>Delete</Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}
+        anchorOrigin={{ vertical: "bottom", horizontal: "center" }}
+      >
+        <Alert onClose={() => setSnackbar(prev => ({ ...prev, open: false }))} severity={snackbar.severity} sx={{ width: "100%" }}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Container>
+  );
+};
+
+export default ServiceZonesManagement;
@@ -32,11 +32,20 @@ import {
   Tab,
   Chip,
   Badge,
+  Select,
+  MenuItem,
+  InputLabel,
+  ListSubheader,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
 } from "@mui/material";
 import { useDispatch, useSelector } from "react-redux";
 import { 
   decreaseQuantity, 
   increaseQuantity, 
+  updateStockLevels,
   removeFromCart,
   saveForLater,
   moveToCart,
@@ -63,13 +72,23 @@ import { Delete, Favorite, ShoppingCart, LocalShipping, Payment, Refresh, Check,
 import { toast } from "react-toastify";
 import { useNavigate } from "react-router-dom";
 import SolanaPayment from "../wallet/SolanaPayment";
+import MockCardPayment from "../wallet/MockCardPayment";
 import { resetPaymentStatus } from "../../redux/walletSlice";
-import store from "../../redux/store";
-import { updateOrderStatus } from "../../services/orderService";
+import { updateOrderStatus, getOrderQuote, validatePromoCode, getDeliverySlots, checkServiceability } from "../../services/orderService";
 import axios from "axios";
 import { fetchConfirmedOrders } from "../../redux/deliverySlice";
 import PickupSuccessScreen from "./PickupSuccessScreen";
 
+// Tip amounts offered at checkout
+const TIP_OPTIONS = [0, 20, 30, 50];
+
+const formatSlotDay = (start) => new Date(start).toLocaleDateString([], { weekday: 'long', day: 'numeric', month: 'short' });
+
+const formatSlotTime = (start, end) => {
+  const options = { hour: '2-digit', minute: '2-digit' };
+  return `${new Date(start).toLocaleTimeString([], options)} – ${new Date(end).toLocaleTimeString([], options)}`;
+};
+
 const CartPage = () => {
   const { 
     cartItems = [], 
@@ -106,16 +125,158 @@ const CartPage = () => {
   const [promoSuccess, setPromoSuccess] = useState(false);
   const [loadingOrders, setLoadingOrders] = useState(false);
 
-  // Calculate totals
-  const subtotal = cartItems.reduce((total, item) => {
+  const [quote, setQuote] = useState(null);
+  const [quoteError, setQuoteError] = useState("");
+
+  // Tip for the delivery agent; pickup orders have nobody to tip
+  const [tip, setTip] = useState(0);
+  const appliedTip = checkout.deliveryMethod === 'pickup' ? 0 : tip;
+
+  // Scheduled delivery: 'asap' or 'scheduled', and the chosen slot's start time
+  const [deliveryTiming, setDeliveryTiming] = useState("asap");
+  const [slots, setSlots] = useState([]);
+  const [slotsEnabled, setSlotsEnabled] = useState(true);
+  const [loadingSlots, setLoadingSlots] = useState(false);
+  const [selectedSlot, setSelectedSlot] = useState("");
+
+  // Customer's location once it has been checked against the service zones; deliveries go here
+  const [checkedDeliveryCoordinates, setCheckedDeliveryCoordinates] = useState(null);
+  const [checkingServiceability, setCheckingServiceability] = useState(false);
+
+  // Payment to take for the order just placed: { orderId, payment } where payment is the provider's intent
+  const [pendingPayment, setPendingPayment] = useState(null);
+
+  // Local estimate, replaced by the server quote as soon as it arrives
+  const estimatedSubtotal = cartItems.reduce((total, item) => {
     return total + item.quantity * item.price;
   }, 0);
 
-  const taxRate = 0.07;
-  const tax = subtotal * taxRate;
-  const deliveryFee = checkout?.deliveryFee || 0;
-  const discount = checkout?.discount || 0;
-  const total = subtotal + tax + deliveryFee - discount;
+  // Calculate totals
+  const subtotal = quote?.subtotal ?? estimatedSubtotal;
+  const taxRate = quote?.taxRate ?? 0.07;
+  const tax = quote?.tax ?? subtotal * taxRate;
+  const deliveryFee = quote?.deliveryFee ?? (checkout?.deliveryFee || 0);
+  const discount = quote?.discount ?? (checkout?.discount || 0);
+  const total = quote?.total ?? subtotal + tax + deliveryFee - discount + appliedTip;
+
+  // Lines the sellers can't currently fill
+  const stockShortages = (quote?.items || []).filter(line => line.quantity > line.available);
+
+  // Items sent to the backend for pricing
+  const quoteItems = useMemo(
+    () => cartItems.map(item => ({ productId: item._id, itemType: item.itemType, quantity: item.quantity })),
+    [cartItems]
+  );
+
+  // Menu items are priced for when the order is for, so pre-orders send their slot
+  const quoteSlotStart = deliveryTiming === 'scheduled' && selectedSlot ? selectedSlot : null;
+
+  // Fetch the authoritative price breakdown whenever the cart or delivery method changes
+  useEffect(() => {
+    if (!user || quoteItems.length === 0) {
+      setQuote(null);
+      return;
+    }
+
+    let cancelled = false;
+    getOrderQuote({
+      items: quoteItems,
+      deliveryMethod: checkout.deliveryMethod,
+      promoCodeApplied: checkout.appliedPromoCode,
+      tip: appliedTip,
+      // The delivery zone sets the delivery fee
+      deliveryCoordinates: checkedDeliveryCoordinates || undefined,
+      scheduledSlot: quoteSlotStart ? { start: quoteSlotStart } : undefined
+    })
+      .then((response) => {
+        if (!cancelled) {
+          setQuote(response.quote);
+          setQuoteError("");
+
+          // Keep the cart's stock limits in line with what sellers have left
+          dispatch(updateStockLevels(
+            response.quote.items.map(line => ({ _id: line.productId, available: line.available }))
+          ));
+
+          // The applied promo code no longer fits this cart - drop it
+          if (response.quote?.promoError && checkout.appliedPromoCode) {
+            dispatch(removePromoCode());
+            setPromoError(response.quote.promoError);
+            setPromoSuccess(false);
+          }
+        }
+      })
+      .catch((error) => {
+        if (!cancelled) {
+          console.error("Error fetching order quote:", error);
+          setQuote(null);
+          setQuoteError(error?.message || "Unable to confirm prices right now");
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user, quoteItems, checkout.deliveryMethod, checkout.appliedPromoCode, appliedTip, checkedDeliveryCoordinates, quoteSlotStart, dispatch]);
+
+  // Load the slots every kitchen in the cart can still take once the customer wants to schedule
+  useEffect(() => {
+    if (!user || deliveryTiming !== 'scheduled' || quoteItems.length === 0) {
+      return;
+    }
+
+    let cancelled = false;
+    setLoadingSlots(true);
+    getDeliverySlots(quoteItems)
+      .then((response) => {
+        if (!cancelled) {
+          setSlots(response.slots || []);
+          setSlotsEnabled(response.enabled);
+          // Drop a chosen slot that has filled up in the meantime
+          setSelectedSlot(prev => (response.slots || []).some(slot => slot.start === prev) ? prev : "");
+        }
+      })
+      .catch((error) => {
+        if (!cancelled) {
+          console.error("Error fetching delivery slots:", error);
+          setSlots([]);
+          toast.error(error?.message || "Couldn't load delivery slots");
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoadingSlots(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user, deliveryTiming, quoteItems]);
+
+  const chosenSlot = deliveryTiming === 'scheduled'
+    ? slots.find(slot => slot.start === selectedSlot)
+    : null;
+
+  // Slot options grouped under a heading per day
+  const slotOptions = slots.flatMap((slot, index) => {
+    const day = formatSlotDay(slot.start);
+    const options = [];
+    if (index === 0 || formatSlotDay(slots[index - 1].start) !== day) {
+      options.push(<ListSubheader key={`day-${slot.start}`}>{day}</ListSubheader>);
+    }
+    options.push(
+      <MenuItem key={slot.start} value={slot.start}>
+        {formatSlotTime(slot.start, slot.end)}
+        {slot.remaining <= 2 && (
+          <Typography component="span" variant="caption" color="warning.main" sx={{ ml: 1 }}>
+            {slot.remaining} left
+          </Typography>
+        )}
+      </MenuItem>
+    );
+    return options;
+  });
 
   // Steps for checkout
   const steps = ['Cart', 'Delivery', 'Payment', 'Review'];
@@ -126,7 +287,7 @@ const CartPage = () => {
   };
 
   // Navigate to next step
-  const handleNext = () => {
+  const handleNext = async () => {
     // Reset any previous order errors
     if (orderStatus === 'failed') {
       dispatch(resetOrderStatusAction());
@@ -138,6 +299,11 @@ const CartPage = () => {
       return;
     }
 
+    if (activeStep === 0 && stockShortages.length > 0) {
+      toast.error("Some items in your cart are sold out or low on stock");
+      return;
+    }
+
     if (activeStep === 1) {
       // For pickup orders, delivery address is optional (can be pickup location)
       if (checkout.deliveryMethod !== 'pickup' && !checkout.deliveryAddress) {
@@ -148,6 +314,14 @@ const CartPage = () => {
         toast.error("Please enter a contact number");
         return;
       }
+      if (deliveryTiming === 'scheduled' && !chosenSlot) {
+        toast.error(`Please choose a ${checkout.deliveryMethod === 'pickup' ? 'pickup' : 'delivery'} time`);
+        return;
+      }
+      // We only deliver inside the service zones, so check the customer's location before going on
+      if (checkout.deliveryMethod !== 'pickup' && !(await confirmDeliveryLocation())) {
+        return;
+      }
     }
 
     setActiveStep((prevStep) => prevStep + 1);
@@ -159,28 +333,28 @@ const CartPage = () => {
   };
 
   // Apply promo code
-  const handleApplyPromoCode = () => {
+  const handleApplyPromoCode = async () => {
     if (!promoCode) {
       setPromoError("Please enter a promo code");
       return;
     }
 
-    // Mock promo codes
-    const promoCodes = {
-      "WELCOME10": { discount: subtotal * 0.1, maxDiscount: 100 },
-      "FREEDEL": { discount: deliveryFee, maxDiscount: deliveryFee },
-      "SPECIAL20": { discount: subtotal * 0.2, maxDiscount: 200 }
-    };
+    try {
+      // Promo codes are validated and priced on the server
+      const response = await validatePromoCode({
+        code: promoCode,
+        items: quoteItems,
+        deliveryMethod: checkout.deliveryMethod,
+        deliveryCoordinates: checkedDeliveryCoordinates || undefined
+      });
 
-    if (promoCodes[promoCode]) {
-      const { discount, maxDiscount } = promoCodes[promoCode];
-      const finalDiscount = Math.min(discount, maxDiscount);
-      
-      dispatch(applyPromoCode({ code: promoCode, discount: finalDiscount }));
+      dispatch(applyPromoCode({ code: response.promoCode.code, discount: response.discount }));
+      setQuote(response.quote);
       setPromoSuccess(true);
       setPromoError("");
-    } else {
-      setPromoError("Invalid promo code");
+    } catch (error) {
+      console.error("Error applying promo code:", error);
+      setPromoError(error?.message || "Invalid promo code");
       setPromoSuccess(false);
     }
   };
@@ -249,6 +423,40 @@ const CartPage = () => {
     });
   };
 
+  // Check the customer's current location against the service zones and the zone's minimum order
+  const confirmDeliveryLocation = async () => {
+    setCheckingServiceability(true);
+    try {
+      const coordinates = await getUserLocationForDelivery();
+      if (!coordinates) {
+        toast.error("Please allow location access so we can check that we deliver to you");
+        return false;
+      }
+
+      const response = await checkServiceability({
+        items: quoteItems,
+        deliveryMethod: checkout.deliveryMethod,
+        promoCodeApplied: checkout.appliedPromoCode,
+        tip: appliedTip,
+        deliveryCoordinates: coordinates
+      });
+      setCheckedDeliveryCoordinates(coordinates);
+      setQuote(response.quote);
+
+      if (!response.serviceable) {
+        toast.error(response.message);
+        return false;
+      }
+      return true;
+    } catch (error) {
+      console.error("Error checking serviceability:", error);
+      toast.error(error?.message || "Couldn't check that we deliver to your location");
+      return false;
+    } finally {
+      setCheckingServiceability(false);
+    }
+  };
+
   // Handle place order
   const handlePlaceOrder = async () => {
     // Check if user is logged in
@@ -258,16 +466,6 @@ const CartPage = () => {
       return;
     }
     
-    // If payment method is Solana, verify wallet payment status
-    if (checkout.paymentMethod === 'solana') {
-      const walletState = store.getState().wallet;
-      if (walletState.paymentStatus !== 'success') {
-        toast.error("Please complete Solana payment before placing order");
-        dispatch({ type: 'cart/placeOrder/rejected', payload: { message: "Solana payment required" } });
-        return;
-      }
-    }
-    
     // Set loading state manually
     dispatch({ type: 'cart/placeOrder/pending' });
     
@@ -277,6 +475,13 @@ const CartPage = () => {
       return;
     }
 
+    if (stockShortages.length > 0) {
+      toast.error("Some items in your cart are sold out or low on stock");
+      setActiveStep(0);
+      dispatch({ type: 'cart/placeOrder/rejected', payload: { message: "Insufficient stock" } });
+      return;
+    }
+
     // Additional validation
     if (checkout.deliveryMethod !== 'pickup' && !checkout.deliveryAddress) {
       toast.error("Please enter a delivery address");
@@ -291,20 +496,23 @@ const CartPage = () => {
       dispatch({ type: 'cart/placeOrder/rejected', payload: { message: "Missing contact number" } });
       return;
     }
+
+    // Deliveries go to the location checked on the delivery step, which must be inside a service zone
+    if (checkout.deliveryMethod !== 'pickup' && (!checkedDeliveryCoordinates || quote?.serviceable === false)) {
+      toast.error(quote?.serviceError || "Please confirm your delivery location");
+      setActiveStep(1); // Go back to delivery step
+      dispatch({ type: 'cart/placeOrder/rejected', payload: { message: "Location not serviceable" } });
+      return;
+    }
     
     // Show loading state during processing
     if (checkout.deliveryMethod === 'pickup') {
       toast.info("Processing your pickup order...");
     } else {
-      toast.info("Getting your location for delivery...");
+      toast.info("Placing your delivery order...");
     }
     dispatch({ type: 'cart/placeOrder/pending' });
     
-    // Get and store the user's current location for delivery (skip for pickup)
-    if (checkout.deliveryMethod !== 'pickup') {
-      await getUserLocationForDelivery();
-    }
-    
     try {
       // Get current user location first
       let currentUserLocation = null;
@@ -420,9 +628,9 @@ const CartPage = () => {
       } else {
         // For delivery orders:
         // - pickup point = seller location (where food is picked up from)
-        // - delivery point = current user location or delivery address
+        // - delivery point = the customer's location checked against the service zones
         pickupCoordinates = sellerLocation || [72.8777, 19.0760];
-        deliveryCoordinates = currentUserLocation || [72.8677, 19.0860];
+        deliveryCoordinates = checkedDeliveryCoordinates;
         
         console.log("Delivery order - Pickup from:", pickupCoordinates, "Deliver to:", deliveryCoordinates);
       }
@@ -435,6 +643,7 @@ const CartPage = () => {
       const orderData = {
         items: cartItems.map(item => ({
           productId: item._id,
+          itemType: item.itemType,
           name: item.name,
           price: item.price,
           quantity: item.quantity,
@@ -450,8 +659,14 @@ const CartPage = () => {
         tax,
         deliveryFee,
         discount,
+        tip: appliedTip,
         total,
         promoCodeApplied: checkout.appliedPromoCode,
+        // Pre-orders carry the slot they were booked for
+        scheduledSlot: chosenSlot ? { start: chosenSlot.start } : undefined,
+        // [longitude, latitude] pairs the server places the order with
+        pickupCoordinates,
+        deliveryCoordinates,
         // Include coordinates in the proper format for MongoDB
         pickupLocation: {
           type: "Point",
@@ -486,13 +701,21 @@ const CartPage = () => {
           pickupPoint: pickupCoordinates, // Real seller coordinates
           pickupAddress: cartItems[0]?.sellerAddress || cartItems[0]?.address || "Restaurant Location",
           contactNumber: checkout.contactNumber,
-          estimatedReadyTime: "15-20 minutes",
+          estimatedReadyTime: chosenSlot
+            ? `${formatSlotDay(chosenSlot.start)}, ${formatSlotTime(chosenSlot.start, chosenSlot.end)}`
+            : "15-20 minutes",
           // Add seller information for location fetching
           sellerId: cartItems[0]?.sellerId || cartItems[0]?.userId || cartItems[0]?.author,
           userLocation: deliveryCoordinates, // Current user location
           // Include the pickup code from the backend response
           pickupCode: response.order.pickupCode,
-          pickupCodeExpiresAt: response.order.pickupCodeExpiresAt
+          pickupCodeExpiresAt: response.order.pickupCodeExpiresAt,
+          // Each kitchen in a multi-seller order has its own pickup code
+          pickupOrders: (response.orders || []).map(placedOrder => ({
+            orderId: placedOrder._id,
+            pickupCode: placedOrder.pickupCode,
+            pickupLocation: placedOrder.pickupLocation
+          }))
         };
         
         console.log("Setting pickup order data with real coordinates and pickup code:", {
@@ -522,10 +745,19 @@ const CartPage = () => {
       
       // Store the orderId for navigation after showing success
       if (response.order && response.order._id) {
-        localStorage.setItem('lastOrderId', response.order._id);
+        // Carts with several kitchens are split into one order per seller
+        const placedOrders = response.orders?.length ? response.orders : [response.order];
+        const paymentReference = placedOrders.length > 1 && response.checkout ? response.checkout._id : response.order._id;
+        localStorage.setItem('lastOrderId', paymentReference);
+
+        // Solana and card orders are paid once they exist, with the order (or checkout) id as the reference
+        if (['solana', 'mock_card'].includes(response.payment?.provider)) {
+          dispatch(resetPaymentStatus());
+          setPendingPayment({ orderId: paymentReference, payment: response.payment });
+        }
         
         // Update order status to confirmed
-        updateOrderStatusToConfirmed(response.order._id)
+        Promise.all(placedOrders.map(placedOrder => updateOrderStatusToConfirmed(placedOrder._id)))
           .then(() => {
             console.log('Order confirmed in the system successfully');
             
@@ -551,10 +783,12 @@ const CartPage = () => {
           });
         
         // Also update the Redux state directly to ensure immediate UI updates
-        dispatch(syncOrderStatus({
-          orderId: response.order._id,
-          status: 'confirmed'
-        }));
+        placedOrders.forEach(placedOrder => {
+          dispatch(syncOrderStatus({
+            orderId: placedOrder._id,
+            status: 'confirmed'
+          }));
+        });
       }
       
       // Refresh orders list to ensure the new order appears in the history
@@ -576,6 +810,20 @@ const CartPage = () => {
     } catch (error) {
       console.error("Order placement error:", error);
       toast.error(error?.message || "Failed to place order");
+
+      // Prices changed on the server - show the updated breakdown for review
+      if (error?.quote) {
+        setQuote(error.quote);
+        setActiveStep(3);
+      }
+
+      // Someone else bought the last portions - send the user back to the cart
+      if (error?.unavailableItems) {
+        dispatch(updateStockLevels(
+          error.unavailableItems.map(item => ({ _id: item.productId, available: item.available }))
+        ));
+        setActiveStep(0);
+      }
       
       // Reset order status to idle
       dispatch({ type: 'cart/placeOrder/rejected', payload: error || { message: "Unknown error" } });
@@ -592,7 +840,7 @@ const CartPage = () => {
   const handleIncreaseQuantity = (item) => {
     try {
       console.log("Increasing quantity for item:", item._id);
-      dispatch(increaseQuantity({ _id: item._id, maxStock: 100 }));
+      dispatch(increaseQuantity({ _id: item._id }));
     } catch (error) {
       console.error("Error increasing quantity:", error);
       toast.error("Failed to update quantity. Please try again.");
@@ -879,6 +1127,53 @@ const CartPage = () => {
             </FormControl>
           </Grid>
           
+          {/* Delivery Time Selection */}
+          <Grid item xs={12}>
+            <FormControl component="fieldset">
+              <FormLabel component="legend">
+                {checkout.deliveryMethod === 'pickup' ? 'Pickup Time' : 'Delivery Time'}
+              </FormLabel>
+              <RadioGroup
+                row
+                value={deliveryTiming}
+                onChange={(e) => setDeliveryTiming(e.target.value)}
+              >
+                <FormControlLabel value="asap" control={<Radio />} label="As soon as possible" />
+                <FormControlLabel value="scheduled" control={<Radio />} label="Schedule for later" />
+              </RadioGroup>
+            </FormControl>
+
+            {deliveryTiming === 'scheduled' && (
+              loadingSlots ? (
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1 }}>
+                  <CircularProgress size={20} />
+                  <Typography variant="body2" color="text.secondary">Finding available times...</Typography>
+                </Box>
+              ) : !slotsEnabled ? (
+                <Alert severity="info" sx={{ mt: 1 }}>
+                  A kitchen in your cart isn't taking scheduled orders right now.
+                </Alert>
+              ) : slots.length === 0 ? (
+                <Alert severity="info" sx={{ mt: 1 }}>
+                  There are no free time slots in the next few days.
+                </Alert>
+              ) : (
+                <FormControl fullWidth sx={{ mt: 1 }}>
+                  <InputLabel id="delivery-slot-label">Time slot</InputLabel>
+                  <Select
+                    labelId="delivery-slot-label"
+                    label="Time slot"
+                    value={selectedSlot}
+                    onChange={(e) => setSelectedSlot(e.target.value)}
+                    MenuProps={{ PaperProps: { sx: { maxHeight: 360 } } }}
+                  >
+                    {slotOptions}
+                  </Select>
+                </FormControl>
+              )
+            )}
+          </Grid>
+
           {/* Conditional Address Field */}
           {checkout.deliveryMethod !== 'pickup' && (
             <Grid item xs={12}>
@@ -992,11 +1287,6 @@ const CartPage = () => {
               control={<Radio />} 
               label="Credit/Debit Card" 
             />
-            <FormControlLabel 
-              value="wallet" 
-              control={<Radio />} 
-              label="Digital Wallet" 
-            />
             <FormControlLabel 
               value="solana" 
               control={<Radio />} 
@@ -1007,23 +1297,16 @@ const CartPage = () => {
 
         {checkout.paymentMethod === 'card' && (
           <Alert severity="info" sx={{ mt: 2 }}>
-            Card payment will be collected at the time of delivery for your security.
+            After you place the order you'll be asked for your card details.
+            The order is confirmed once the card payment goes through.
           </Alert>
         )}
         
         {checkout.paymentMethod === 'solana' && (
-          <Box sx={{ mt: 3 }}>
-            <SolanaPayment
-             
-              amount={ Number(total/(170*85))} 
-              onSuccess={(txId) => {
-                toast.success("Payment successful!");
-              }}
-              onError={(error) => {
-                toast.error(error || "Payment failed");
-              }}
-            />
-          </Box>
+          <Alert severity="info" sx={{ mt: 2 }}>
+            After you place the order you'll be asked to approve the payment in your Solana wallet.
+            The order is confirmed once the payment is verified.
+          </Alert>
         )}
       </Paper>
     </Box>
@@ -1042,7 +1325,7 @@ const CartPage = () => {
       </Box>
       
       <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
-        <Typography variant="body2" sx={{ fontSize: { xs: '0.875rem', sm: '1rem' } }}>Tax (7%)</Typography>
+        <Typography variant="body2" sx={{ fontSize: { xs: '0.875rem', sm: '1rem' } }}>Tax ({+(taxRate * 100).toFixed(2)}%)</Typography>
         <Typography variant="body2" sx={{ fontSize: { xs: '0.875rem', sm: '1rem' } }}>₹{tax.toFixed(2)}</Typography>
       </Box>
       
@@ -1062,12 +1345,60 @@ const CartPage = () => {
         </Box>
       )}
       
+      {checkout.deliveryMethod !== 'pickup' && (
+        <Box sx={{ mb: 1 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+            <Typography variant="body2" sx={{ fontSize: { xs: '0.875rem', sm: '1rem' } }}>Tip for your delivery agent</Typography>
+            <Typography variant="body2" sx={{ fontSize: { xs: '0.875rem', sm: '1rem' } }}>₹{appliedTip.toFixed(2)}</Typography>
+          </Box>
+          <Box sx={{ display: 'flex', gap: 1, mt: 1, flexWrap: 'wrap' }}>
+            {TIP_OPTIONS.map(option => (
+              <Chip
+                key={option}
+                label={option === 0 ? 'No tip' : `₹${option}`}
+                size="small"
+                color={tip === option ? 'primary' : 'default'}
+                variant={tip === option ? 'filled' : 'outlined'}
+                onClick={() => setTip(option)}
+              />
+            ))}
+          </Box>
+        </Box>
+      )}
+      
       <Divider sx={{ my: 2 }} />
       
       <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
         <Typography variant="h6" sx={{ fontSize: { xs: '1.1rem', sm: '1.25rem' } }}>Total</Typography>
         <Typography variant="h6" sx={{ fontSize: { xs: '1.1rem', sm: '1.25rem' } }}>₹{total.toFixed(2)}</Typography>
       </Box>
+
+      {quoteError && (
+        <Alert severity="warning" sx={{ mt: 1 }}>
+          {quoteError}. Totals shown are estimates.
+        </Alert>
+      )}
+
+      {checkout.deliveryMethod !== 'pickup' && checkedDeliveryCoordinates && quote?.serviceError && (
+        <Alert severity="error" sx={{ mt: 1 }}>
+          {quote.serviceError}
+        </Alert>
+      )}
+
+      {stockShortages.length > 0 && (
+        <Alert severity="error" sx={{ mt: 1 }}>
+          {stockShortages.map(line => {
+            if (line.itemType === 'Product') {
+              return line.available > 0
+                ? `You can order up to ${line.available} of ${line.name}`
+                : `${line.name} isn't available at that time`;
+            }
+            return line.available > 0
+              ? `Only ${line.available} left of ${line.name}`
+              : `${line.name} is sold out`;
+          }).join(". ")}. Please update your cart.
+        </Alert>
+      )}
       
       {/* Promo Code Section */}
       {activeStep >= 2 && (
@@ -1153,6 +1484,11 @@ const CartPage = () => {
           <Typography variant="body1">
             <strong>Method:</strong> {checkout.deliveryMethod.charAt(0).toUpperCase() + checkout.deliveryMethod.slice(1)} Delivery
           </Typography>
+          <Typography variant="body1">
+            <strong>When:</strong> {chosenSlot
+              ? `${formatSlotDay(chosenSlot.start)}, ${formatSlotTime(chosenSlot.start, chosenSlot.end)}`
+              : 'As soon as possible'}
+          </Typography>
           {checkout.deliveryInstructions && (
             <Typography variant="body1">
               <strong>Instructions:</strong> {checkout.deliveryInstructions}
@@ -1166,7 +1502,7 @@ const CartPage = () => {
           </Typography>
           <Typography variant="body1">
             {checkout.paymentMethod === 'cash' ? 'Cash on Delivery' : 
-             checkout.paymentMethod === 'card' ? 'Credit/Debit Card' : 'Digital Wallet'}
+             checkout.paymentMethod === 'card' ? 'Credit/Debit Card' : 'Solana Wallet'}
           </Typography>
         </Box>
         
@@ -1370,6 +1706,11 @@ const CartPage = () => {
         return 'info';
       case 'preparing':
         return 'secondary';
+      case 'agent_assigned':
+        return 'info';
+      case 'arrived_at_pickup':
+        return 'secondary';
+      case 'picked_up':
       case 'out_for_delivery':
         return 'primary';
       case 'delivered':
@@ -1595,7 +1936,7 @@ const CartPage = () => {
                   <Button 
                     onClick={activeStep === steps.length - 1 ? handlePlaceOrder : handleNext}
                     variant="contained"
-                    disabled={cartItems.length === 0 && activeStep === 0}
+                    disabled={(cartItems.length === 0 && activeStep === 0) || checkingServiceability}
                     sx={{ 
                       fontSize: { xs: '0.75rem', sm: '0.875rem' },
                       py: { xs: 0.5, sm: 0.75 },
@@ -1603,7 +1944,7 @@ const CartPage = () => {
                     }}
                     size="small"
                   >
-                    {activeStep === steps.length - 1 ? 'Place Order' : 'Next'}
+                    {activeStep === steps.length - 1 ? 'Place Order' : checkingServiceability ? 'Checking...' : 'Next'}
                   </Button>
                 )}
               </Box>
@@ -1861,6 +2202,48 @@ const CartPage = () => {
           )}
         </>
       )}
+
+      {/* Payment for the order that was just placed */}
+      <Dialog open={!!pendingPayment} onClose={() => setPendingPayment(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{pendingPayment?.payment.provider === 'solana' ? 'Pay with Solana' : 'Pay by card'}</DialogTitle>
+        <DialogContent>
+          {pendingPayment?.payment.provider === 'solana' && (
+            <SolanaPayment
+              orderId={pendingPayment.orderId}
+              onSuccess={() => {
+                toast.success("Payment verified! Your order is on its way to the kitchen.");
+                setPendingPayment(null);
+              }}
+              onError={(error) => {
+                toast.error(error || "Payment failed");
+              }}
+            />
+          )}
+          {pendingPayment?.payment.provider === 'mock_card' && (
+            <MockCardPayment
+              orderId={pendingPayment.orderId}
+              intent={pendingPayment.payment}
+              onSuccess={() => {
+                toast.success("Payment received! Your order is on its way to the kitchen.");
+                setPendingPayment(null);
+              }}
+              onError={(error) => {
+                toast.error(error || "Payment failed");
+              }}
+            />
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button
+            onClick={() => {
+              toast.info("Your order is waiting for payment. You can pay from the order page.");
+              setPendingPayment(null);
+            }}
+          >
+            Pay later
+          </Button>
+        </DialogActions>
+      </Dialog>
     </div>
   );
 };
@@ -801,6 +801,18 @@ const PickupSuccessScreen = ({ orderData, onClose }) => {
                     <strong>Show this 4-digit code to the restaurant staff</strong> to collect your order
                   </Alert>
 
+                  {/* Orders from several kitchens have one code per kitchen */}
+                  {orderData?.pickupOrders?.length > 1 && (
+                    <Alert severity="warning" sx={{ mb: 2 }}>
+                      Your order is collected from {orderData.pickupOrders.length} kitchens, each with its own code:
+                      {orderData.pickupOrders.map((pickupOrder, index) => (
+                        <Box key={pickupOrder.orderId} sx={{ fontFamily: 'monospace' }}>
+                          Kitchen {index + 1}: <strong>{pickupOrder.pickupCode}</strong>
+                        </Box>
+                      ))}
+                    </Alert>
+                  )}
+
                   <Box display="flex" alignItems="center" justifyContent="center">
                     <AccessTime sx={{ mr: 1, color: timeRemaining < 300 ? 'error.main' : 'warning.main' }} />
                     <Typography 
@@ -13,8 +13,8 @@ const CategoryPage = () => {
   // Get posts from Redux
   const { posts } = useSelector((state) => state.post);
   
-  // Fetch all posts
-  useGetAllPost();
+  // Fetch the feed for this category
+  const { loadMore, hasMore, loading } = useGetAllPost({ category });
   
   if (!posts) {
     return <div className="p-4">Loading posts...</div>;
@@ -27,6 +27,17 @@ const CategoryPage = () => {
         {category ? `${category} Posts` : "All Posts"}
       </h2>
       <CategoryPosts posts={posts} category={category} />
+      {hasMore && (
+        <div className="text-center py-4">
+          <button
+            onClick={loadMore}
+            disabled={loading}
+            className="bg-white px-4 py-2 rounded-md shadow-sm text-gray-700 hover:bg-gray-100 disabled:opacity-60"
+          >
+            {loading ? "Loading..." : "Load more"}
+          </button>
+        </div>
+      )}
     </main>
   );
 };
@@ -353,7 +353,9 @@ const CommentDialog = ({ open, setOpen, post }) => {
 
         // Update Redux state
         const updatedPostData = posts.map((p) =>
-          p._id === selectedPost._id ? { ...p, comments: updatedComments } : p
+          p._id === selectedPost._id
+            ? { ...p, comments: updatedComments, commentCount: (p.commentCount ?? p.comments?.length ?? 0) + 1 }
+            : p
         );
         dispatch(setPosts(updatedPostData));
         
@@ -1,7 +1,8 @@
 import React, { useEffect, useState } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
 import { FaMapMarkerAlt, FaUser, FaPhoneAlt, FaMotorcycle, FaCheckCircle, FaTruck, FaBox } from 'react-icons/fa';
-import { updateActiveDeliveryStatus, completeDeliveryOrder } from '../../redux/deliverySlice';
+import { updateActiveDeliveryStatus, completeDeliveryOrder, updateDeliveryEta } from '../../redux/deliverySlice';
+import { onEvent, offEvent, SOCKET_EVENTS } from '../../services/socketManager';
 import { formatDistanceToNow } from 'date-fns';
 import DeliveryMap from './DeliveryMap';
 
@@ -13,10 +14,23 @@ const ActiveDeliveries = () => {
     error: state.delivery.completeDeliveryError,
     currentLocation: state.delivery.currentLocation
   }));
+  const socketConnected = useSelector(state => state.socket.connected);
 
   const [selectedOrder, setSelectedOrder] = useState(null);
   const [showMap, setShowMap] = useState(false);
 
+  // Keep the delivery estimates moving as the server recomputes them
+  useEffect(() => {
+    if (!socketConnected) return;
+
+    const handleEtaUpdate = ({ orderId, estimatedDeliveryTime }) => {
+      dispatch(updateDeliveryEta({ orderId, estimatedDeliveryTime }));
+    };
+
+    onEvent(SOCKET_EVENTS.ORDER_ETA_UPDATED, handleEtaUpdate);
+    return () => offEvent(SOCKET_EVENTS.ORDER_ETA_UPDATED, handleEtaUpdate);
+  }, [socketConnected, dispatch]);
+
   if (!activeDeliveries || activeDeliveries.length === 0) {
     return (
       <div className="bg-blue-50 border-l-4 border-blue-400 p-4 rounded">
@@ -37,7 +51,7 @@ const ActiveDeliveries = () => {
   };
 
   const handleCompleteDelivery = (orderId) => {
-    dispatch(completeDeliveryOrder(orderId));
+    dispatch(completeDeliveryOrder({ orderId }));
   };
 
   const handleShowMap = (order) => {
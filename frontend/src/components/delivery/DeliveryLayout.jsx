@@ -6,6 +6,7 @@ import DeliverySidebar from './DeliverySidebar';
 import useLocationTracking from '../../hooks/useLocationTracking';
 import { toast } from 'react-hot-toast';
 import NavigationButton from './NavigationButton';
+import DeliveryOfferPrompt from './DeliveryOfferPrompt';
 import { 
   Home, 
   MapPin, 
@@ -68,6 +69,8 @@ const DeliveryLayout = () => {
         </div>
       </div>
       
+      {isDeliveryAgent && <DeliveryOfferPrompt />}
+
       {/* Mobile Sidebar */}
       <div 
         className={`fixed inset-y-0 right-0 transform ${sidebarOpen ? 'translate-x-0' : 'translate-x-full'} w-64 bg-white shadow-xl z-50 transition-transform duration-300 ease-in-out md:hidden`}
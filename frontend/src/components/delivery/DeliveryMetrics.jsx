@@ -36,8 +36,8 @@ const DeliveryMetrics = ({ stats = {} }) => {
     },
     {
       id: 'earnings',
-      label: 'Est. Earnings',
-      value: `$${formattedEarnings}`,
+      label: 'This Week',
+      value: `₹${formattedEarnings}`,
       icon: MdAttachMoney,
       color: 'bg-green-500'
     },
@@ -0,0 +1,177 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import { MapPin, Package, Clock, X } from 'lucide-react';
+import { onEvent, offEvent, SOCKET_EVENTS } from '../../services/socketManager';
+import { acceptDeliveryOrder, rejectDeliveryOrder } from '../../redux/deliverySlice';
+
+const WITHDRAWN_MESSAGES = {
+  expired: 'The offer expired and went to another agent',
+  assigned: 'The order was assigned to another agent',
+  withdrawn: 'The order is no longer available'
+};
+
+const secondsUntil = (date) => Math.max(0, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+
+const formatDistance = (meters) => {
+  if (meters === undefined || meters === null) return null;
+  return meters < 1000 ? `${Math.round(meters)} m away` : `${(meters / 1000).toFixed(1)} km away`;
+};
+
+// Pops up when the dispatcher offers this agent an order, with a countdown until
+// the offer moves on to the next agent
+const DeliveryOfferPrompt = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { connected } = useSelector((state) => state.socket);
+  const [offer, setOffer] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(0);
+  const [responding, setResponding] = useState(null);
+  const offerRef = useRef(null);
+  offerRef.current = offer;
+
+  useEffect(() => {
+    if (!connected) return;
+
+    const handleOffer = (payload) => {
+      console.log('Delivery offer received:', payload);
+      setOffer(payload);
+      setSecondsLeft(secondsUntil(payload.expiresAt));
+    };
+
+    const handleWithdrawn = ({ orderId, reason }) => {
+      if (offerRef.current?.orderId !== orderId) return;
+      toast(WITHDRAWN_MESSAGES[reason] || WITHDRAWN_MESSAGES.withdrawn, { id: `offer-${orderId}` });
+      setOffer(null);
+    };
+
+    onEvent(SOCKET_EVENTS.DELIVERY_OFFER, handleOffer);
+    onEvent(SOCKET_EVENTS.DELIVERY_OFFER_WITHDRAWN, handleWithdrawn);
+
+    return () => {
+      offEvent(SOCKET_EVENTS.DELIVERY_OFFER, handleOffer);
+      offEvent(SOCKET_EVENTS.DELIVERY_OFFER_WITHDRAWN, handleWithdrawn);
+    };
+  }, [connected]);
+
+  useEffect(() => {
+    if (!offer) return;
+
+    const interval = setInterval(() => {
+      const remaining = secondsUntil(offer.expiresAt);
+      setSecondsLeft(remaining);
+      if (remaining === 0) {
+        setOffer(null);
+      }
+    }, 1000);
+
+    return () => clearInterval(interval);
+  }, [offer]);
+
+  if (!offer) return null;
+
+  const handleAccept = () => {
+    setResponding('accept');
+    dispatch(acceptDeliveryOrder(offer.orderId))
+      .unwrap()
+      .then(() => {
+        toast.success('Order accepted successfully!');
+        setOffer(null);
+        navigate('/deliver/my-deliveries');
+      })
+      .catch((error) => {
+        toast.error(error || 'Failed to accept order');
+        setOffer(null);
+      })
+      .finally(() => setResponding(null));
+  };
+
+  const handleDecline = () => {
+    setResponding('decline');
+    dispatch(rejectDeliveryOrder(offer.orderId))
+      .unwrap()
+      .catch((error) => console.error('Failed to decline offer:', error))
+      .finally(() => {
+        setResponding(null);
+        setOffer(null);
+      });
+  };
+
+  const timeoutSeconds = offer.timeoutSeconds || 30;
+  const progress = Math.min(100, (secondsLeft / timeoutSeconds) * 100);
+  const distance = formatDistance(offer.distance);
+
+  return (
+    <div className="fixed bottom-20 md:bottom-6 right-4 left-4 md:left-auto md:w-96 bg-white rounded-lg shadow-xl border border-gray-200 z-50">
+      <div className="h-1 bg-gray-100 rounded-t-lg overflow-hidden">
+        <div
+          className="h-full bg-green-500 transition-all duration-1000 ease-linear"
+          style={{ width: `${progress}%` }}
+        />
+      </div>
+      <div className="p-4">
+        <div className="flex items-start justify-between mb-3">
+          <div>
+            <h3 className="text-lg font-semibold">New delivery offer</h3>
+            <p className="text-sm text-gray-500">
+              Respond within {secondsLeft}s
+            </p>
+          </div>
+          <button
+            onClick={handleDecline}
+            disabled={!!responding}
+            className="p-1 rounded-full hover:bg-gray-100 text-gray-500"
+          >
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="space-y-2 text-sm mb-4">
+          <div className="flex items-start gap-2">
+            <MapPin size={16} className="text-gray-400 mt-0.5 shrink-0" />
+            <div>
+              <div>{offer.deliveryAddress}</div>
+              {distance && <div className="text-gray-500">Pickup {distance}</div>}
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            <Package size={16} className="text-gray-400 shrink-0" />
+            <span>
+              {offer.itemsCount} {offer.itemsCount === 1 ? 'item' : 'items'} · ₹{(offer.total || 0).toFixed(2)}
+            </span>
+          </div>
+          {offer.scheduledSlot && (
+            <div className="flex items-center gap-2">
+              <Clock size={16} className="text-gray-400 shrink-0" />
+              <span>
+                Scheduled {new Date(offer.scheduledSlot.start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                {' – '}
+                {new Date(offer.scheduledSlot.end).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+              </span>
+            </div>
+          )}
+        </div>
+
+        <div className="flex gap-2">
+          <button
+            onClick={handleAccept}
+            disabled={!!responding}
+            className={`flex-1 py-2 rounded-md text-white font-medium ${responding ? 'bg-green-300 cursor-not-allowed' : 'bg-green-600 hover:bg-green-700'}`}
+          >
+            {responding === 'accept' ? 'Accepting...' : 'Accept'}
+          </button>
+          <button
+            onClick={handleDecline}
+            disabled={!!responding}
+            className={`flex-1 py-2 rounded-md border font-medium ${responding ? 'text-gray-300 border-gray-200 cursor-not-allowed' : 'text-red-600 border-red-200 hover:bg-red-50'}`}
+          >
+            {responding === 'decline' ? 'Declining...' : 'Decline'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DeliveryOfferPrompt;
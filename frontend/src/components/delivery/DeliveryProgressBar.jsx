@@ -1,17 +1,19 @@
 import React from 'react';
-import { MdRestaurant, MdDirections, MdHome, MdCheck } from 'react-icons/md';
+import { MdAssignmentInd, MdStorefront, MdShoppingBag, MdDirections, MdHome } from 'react-icons/md';
 
 const DeliveryProgressBar = ({ status }) => {
-  // Define the delivery stages and their corresponding statuses
+  // Define the delivery stages and their corresponding statuses: the trip to
+  // the kitchen first, then the trip to the customer
   const stages = [
-    { key: 'confirmed', label: 'Confirmed', icon: MdCheck },
-    { key: 'preparing', label: 'Preparing', icon: MdRestaurant },
+    { key: 'agent_assigned', label: 'Assigned', icon: MdAssignmentInd },
+    { key: 'arrived_at_pickup', label: 'At kitchen', icon: MdStorefront },
+    { key: 'picked_up', label: 'Picked up', icon: MdShoppingBag },
     { key: 'out_for_delivery', label: 'On the way', icon: MdDirections },
     { key: 'delivered', label: 'Delivered', icon: MdHome }
   ];
 
   // Find the current stage index
-  const currentStageIndex = stages.findIndex(stage => stage.key === status) || 0;
+  const currentStageIndex = Math.max(stages.findIndex(stage => stage.key === status), 0);
   
   // Calculate progress percentage
   const progressPercentage = Math.round((currentStageIndex / (stages.length - 1)) * 100);
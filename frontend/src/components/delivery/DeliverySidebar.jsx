@@ -1,7 +1,7 @@
 import React from 'react';
 import { useSelector } from 'react-redux';
 import { NavLink } from 'react-router-dom';
-import { MdDashboard, MdLocationOn, MdDeliveryDining, MdHistory, MdPerson } from 'react-icons/md';
+import { MdDashboard, MdLocationOn, MdDeliveryDining, MdHistory, MdPerson, MdAccountBalanceWallet, MdSchedule } from 'react-icons/md';
 
 const DeliverySidebar = ({ isMobile = false }) => {
   const { activeOrders } = useSelector((state) => state.delivery);
@@ -29,6 +29,16 @@ const DeliverySidebar = ({ isMobile = false }) => {
       path: '/deliver/history',
       icon: <MdHistory size={24} />,
     },
+    {
+      name: 'Earnings',
+      path: '/deliver/earnings',
+      icon: <MdAccountBalanceWallet size={24} />,
+    },
+    {
+      name: 'Schedule',
+      path: '/deliver/schedule',
+      icon: <MdSchedule size={24} />,
+    },
     {
       name: 'Profile',
       path: '/deliver/profile',
@@ -0,0 +1,214 @@
+import React, { useEffect, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+import { MdAccountBalanceWallet, MdDeliveryDining, MdChevronRight, MdExpandMore } from 'react-icons/md';
+import { getMyEarnings, getEarningsStatement } from '../../services/deliveryService';
+
+const formatMoney = (amount) => `₹${(amount || 0).toFixed(2)}`;
+
+const formatWeek = (start, end) => {
+  const last = new Date(new Date(end).getTime() - 1);
+  const options = { day: 'numeric', month: 'short' };
+  return `${new Date(start).toLocaleDateString([], options)} – ${last.toLocaleDateString([], options)}`;
+};
+
+// One week's deliveries, loaded when the week is opened
+const StatementDetails = ({ weekStart }) => {
+  const [statement, setStatement] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getEarningsStatement(weekStart)
+      .then(response => !cancelled && setStatement(response.statement))
+      .catch(err => !cancelled && setError(err));
+    return () => {
+      cancelled = true;
+    };
+  }, [weekStart]);
+
+  if (error) {
+    return <p className="text-sm text-red-600 px-4 py-3">{error}</p>;
+  }
+
+  if (!statement) {
+    return (
+      <div className="flex justify-center py-4">
+        <div className="animate-spin rounded-full h-6 w-6 border-t-2 border-b-2 border-indigo-500"></div>
+      </div>
+    );
+  }
+
+  if (statement.entries.length === 0) {
+    return <p className="text-sm text-gray-500 px-4 py-3">No deliveries this week.</p>;
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full text-sm">
+        <thead className="bg-gray-50 text-gray-500">
+          <tr>
+            <th className="px-4 py-2 text-left font-medium">Delivered</th>
+            <th className="px-4 py-2 text-left font-medium">Order</th>
+            <th className="px-4 py-2 text-right font-medium">Base</th>
+            <th className="px-4 py-2 text-right font-medium">Distance</th>
+            <th className="px-4 py-2 text-right font-medium">Tip</th>
+            <th className="px-4 py-2 text-right font-medium">Total</th>
+            <th className="px-4 py-2 text-right font-medium">Status</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {statement.entries.map(entry => (
+            <tr key={entry._id}>
+              <td className="px-4 py-2 whitespace-nowrap">{new Date(entry.earnedAt).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })}</td>
+              <td className="px-4 py-2">
+                <div className="font-medium">#{(entry.order?._id || entry.order)?.toString().slice(-8)}</div>
+                {entry.order?.deliveryAddress && (
+                  <div className="text-xs text-gray-500 truncate max-w-[200px]">{entry.order.deliveryAddress}</div>
+                )}
+              </td>
+              <td className="px-4 py-2 text-right">
+                {formatMoney(entry.baseFee + entry.minimumTopUp)}
+              </td>
+              <td className="px-4 py-2 text-right">
+                {formatMoney(entry.distanceFee)}
+                <div className="text-xs text-gray-500">{entry.distanceKm} km</div>
+              </td>
+              <td className="px-4 py-2 text-right">{formatMoney(entry.tip)}</td>
+              <td className="px-4 py-2 text-right font-medium">{formatMoney(entry.total)}</td>
+              <td className="px-4 py-2 text-right">
+                {entry.status === 'settled' ? (
+                  <span className="px-2 py-1 text-xs font-medium rounded-full bg-green-100 text-green-800">Paid</span>
+                ) : (
+                  <span className="px-2 py-1 text-xs font-medium rounded-full bg-yellow-100 text-yellow-800">Pending</span>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const Earnings = () => {
+  const navigate = useNavigate();
+  const { isDeliveryAgent } = useSelector((state) => state.delivery);
+  const [earnings, setEarnings] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [openWeek, setOpenWeek] = useState(null);
+
+  useEffect(() => {
+    if (!isDeliveryAgent) return;
+
+    getMyEarnings(12)
+      .then(response => setEarnings(response))
+      .catch(err => setError(err))
+      .finally(() => setLoading(false));
+  }, [isDeliveryAgent]);
+
+  if (!isDeliveryAgent) {
+    return (
+      <div className="max-w-3xl mx-auto bg-white rounded-lg shadow-sm p-6">
+        <div className="text-center">
+          <MdDeliveryDining className="mx-auto text-gray-400" size={80} />
+          <h2 className="text-xl font-semibold mt-4">You are not registered as a delivery agent</h2>
+          <p className="text-gray-600 mt-2">
+            Register first to start earning from deliveries
+          </p>
+          <button
+            onClick={() => navigate("/deliver/register")}
+            className="mt-4 bg-indigo-600 hover:bg-indigo-700 text-white py-2 px-6 rounded-md"
+          >
+            Register Now
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-[calc(100vh-64px)]">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-indigo-500"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="max-w-4xl mx-auto bg-red-50 border-l-4 border-red-400 p-4 rounded">
+        <p className="text-red-700">{error}</p>
+      </div>
+    );
+  }
+
+  const { summary, statements } = earnings;
+  const cards = [
+    { label: 'This week', value: formatMoney(summary.thisWeek) },
+    { label: 'Waiting for payout', value: formatMoney(summary.pending) },
+    { label: 'Paid out', value: formatMoney(summary.settled) },
+    { label: 'All time', value: formatMoney(summary.lifetime), subtext: `${summary.deliveries} deliveries` }
+  ];
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <div className="flex items-center mb-6">
+        <MdAccountBalanceWallet className="text-indigo-600 mr-2" size={28} />
+        <h1 className="text-xl font-semibold text-gray-800">Earnings</h1>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        {cards.map(card => (
+          <div key={card.label} className="bg-white rounded-lg shadow-sm p-4">
+            <p className="text-sm text-gray-500">{card.label}</p>
+            <p className="text-2xl font-semibold text-gray-800">{card.value}</p>
+            {card.subtext && <p className="text-xs text-gray-500">{card.subtext}</p>}
+          </div>
+        ))}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm overflow-hidden">
+        <div className="px-4 py-3 border-b bg-gray-50">
+          <h2 className="font-medium text-gray-700">Weekly statements</h2>
+          <p className="text-xs text-gray-500">Each delivery pays a base fee plus a per-kilometre amount, and you keep all tips.</p>
+        </div>
+        <ul className="divide-y divide-gray-100">
+          {statements.map(statement => {
+            const weekKey = new Date(statement.weekStart).toISOString();
+            const isOpen = openWeek === weekKey;
+            return (
+              <li key={weekKey}>
+                <button
+                  onClick={() => setOpenWeek(isOpen ? null : weekKey)}
+                  className="w-full flex items-center justify-between px-4 py-3 hover:bg-gray-50 text-left"
+                >
+                  <div className="flex items-center">
+                    {isOpen ? <MdExpandMore className="mr-2 text-gray-500" /> : <MdChevronRight className="mr-2 text-gray-500" />}
+                    <div>
+                      <div className="font-medium text-gray-800">{formatWeek(statement.weekStart, statement.weekEnd)}</div>
+                      <div className="text-xs text-gray-500">
+                        {statement.deliveries} {statement.deliveries === 1 ? 'delivery' : 'deliveries'}
+                        {statement.tips > 0 && ` · ${formatMoney(statement.tips)} in tips`}
+                      </div>
+                    </div>
+                  </div>
+                  <div className="text-right">
+                    <div className="font-semibold text-gray-800">{formatMoney(statement.total)}</div>
+                    {statement.pending > 0 && (
+                      <div className="text-xs text-yellow-700">{formatMoney(statement.pending)} pending</div>
+                    )}
+                  </div>
+                </button>
+                {isOpen && <StatementDetails weekStart={weekKey} />}
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default Earnings;
@@ -1,7 +1,9 @@
-import React, { useEffect, useState, useCallback } from 'react';
+import React, { useEffect, useState, useCallback, useMemo } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { useNavigate } from 'react-router-dom';
-import { fetchAgentProfile, completeDeliveryOrder, fetchDeliveryHistory, fixActiveDeliveryCoordinates } from '../../redux/deliverySlice';
+import { fetchAgentProfile, completeDeliveryOrder, updateDeliveryStatus, fetchDeliveryHistory, fixActiveDeliveryCoordinates, updateDeliveryEta } from '../../redux/deliverySlice';
+import { onEvent, offEvent, SOCKET_EVENTS } from '../../services/socketManager';
+import { getMyEarnings, getRoutePlan } from '../../services/deliveryService';
 import { 
   MdDirections, 
   MdDeliveryDining, 
@@ -18,7 +20,9 @@ import {
   MdStar,
   MdStarOutline,
   MdCamera,
-  MdCheck
+  MdCheck,
+  MdStorefront,
+  MdShoppingBag
 } from 'react-icons/md';
 import { FiClock, FiPackage, FiCheck, FiX, FiClipboard } from 'react-icons/fi';
 import { toast } from 'react-hot-toast';
@@ -26,6 +30,17 @@ import useLocationTracking from '../../hooks/useLocationTracking';
 import DeliveryMap from './DeliveryMap';
 import DeliveryProgressBar from './DeliveryProgressBar';
 import DeliveryMetrics from './DeliveryMetrics';
+import RouteItinerary from './RouteItinerary';
+
+// Statuses in which the agent is still heading to, or waiting at, the kitchen
+const PICKUP_LEG_STATUSES = ['agent_assigned', 'arrived_at_pickup'];
+
+// The next leg of a delivery, by its current status
+const NEXT_STEPS = {
+  agent_assigned: { status: 'arrived_at_pickup', label: "I'm at the kitchen", done: 'Marked as arrived at the kitchen', icon: <MdStorefront className="mr-2" size={18} /> },
+  arrived_at_pickup: { status: 'picked_up', label: 'Confirm Pickup', done: 'Pickup confirmed', icon: <MdShoppingBag className="mr-2" size={18} /> },
+  picked_up: { status: 'out_for_delivery', label: 'Start Delivery', done: 'On the way to the customer', icon: <MdDirections className="mr-2" size={18} /> }
+};
 
 const MyDeliveries = () => {
   const dispatch = useDispatch();
@@ -39,6 +54,7 @@ const MyDeliveries = () => {
     isProfileLoading, 
     isActionPending 
   } = useSelector((state) => state.delivery);
+  const socketConnected = useSelector((state) => state.socket.connected);
   
   // Use the location tracking hook
   const { 
@@ -52,11 +68,21 @@ const MyDeliveries = () => {
   const [expandedOrderId, setExpandedOrderId] = useState(null);
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [activeTab, setActiveTab] = useState('current');
-  const [verificationMethod, setVerificationMethod] = useState('pin');
+  const [weekEarnings, setWeekEarnings] = useState(0);
+  const [routePlan, setRoutePlan] = useState(null);
   const [deliveryPin, setDeliveryPin] = useState('');
+  const [deliveryPhoto, setDeliveryPhoto] = useState(null);
   const [deliveryNotes, setDeliveryNotes] = useState('');
   const [showDeliveryModal, setShowDeliveryModal] = useState(false);
   const [selectedOrder, setSelectedOrder] = useState(null);
+  const [advancingOrderId, setAdvancingOrderId] = useState(null);
+  const [pickupOrder, setPickupOrder] = useState(null);
+  const [pickupCode, setPickupCode] = useState('');
+
+  const deliveryPhotoUrl = useMemo(() => (deliveryPhoto ? URL.createObjectURL(deliveryPhoto) : null), [deliveryPhoto]);
+  useEffect(() => () => {
+    if (deliveryPhotoUrl) URL.revokeObjectURL(deliveryPhotoUrl);
+  }, [deliveryPhotoUrl]);
   
   // Format coordinates to be more readable
   const formatCoordinate = (coord) => {
@@ -103,6 +129,54 @@ const MyDeliveries = () => {
     dispatch(fixActiveDeliveryCoordinates());
   }, [refreshProfile, activeOrders, dispatch]);
 
+  // This week's earnings from the ledger, refreshed as deliveries are completed
+  useEffect(() => {
+    if (!isDeliveryAgent) return;
+    getMyEarnings(1)
+      .then(response => setWeekEarnings(response.summary.thisWeek))
+      .catch(error => console.error('Failed to load earnings:', error));
+  }, [isDeliveryAgent, deliveryHistory.length]);
+
+  // With several orders in hand, ask the server which order to do the stops in.
+  // Replanned whenever an order is added, finished or moves on a step.
+  const routeKey = activeOrders.map(order => `${order._id}:${order.status}`).join(',');
+  useEffect(() => {
+    if (!isDeliveryAgent || activeOrders.length < 2) {
+      setRoutePlan(null);
+      return;
+    }
+
+    let cancelled = false;
+    getRoutePlan()
+      .then(response => !cancelled && setRoutePlan(response.route))
+      .catch(error => console.error('Failed to plan route:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [isDeliveryAgent, activeOrders.length, routeKey]);
+
+  // Orders listed in the order the route gets to them
+  const sortedActiveOrders = useMemo(() => {
+    if (!routePlan) return activeOrders;
+    const firstStop = new Map();
+    routePlan.stops.forEach(stop => {
+      if (!firstStop.has(stop.orderId)) firstStop.set(stop.orderId, stop.sequence);
+    });
+    return [...activeOrders].sort((a, b) => (firstStop.get(a._id) ?? Infinity) - (firstStop.get(b._id) ?? Infinity));
+  }, [activeOrders, routePlan]);
+
+  // The server recomputes delivery estimates as this agent's location comes in
+  useEffect(() => {
+    if (!socketConnected) return;
+
+    const handleEtaUpdate = ({ orderId, estimatedDeliveryTime }) => {
+      dispatch(updateDeliveryEta({ orderId, estimatedDeliveryTime }));
+    };
+
+    onEvent(SOCKET_EVENTS.ORDER_ETA_UPDATED, handleEtaUpdate);
+    return () => offEvent(SOCKET_EVENTS.ORDER_ETA_UPDATED, handleEtaUpdate);
+  }, [socketConnected, dispatch]);
+
   // Handle tab change
   useEffect(() => {
     if (activeTab === 'history' && isDeliveryAgent) {
@@ -140,7 +214,12 @@ const MyDeliveries = () => {
     // Use a single toast that updates with status
     toast.loading('Completing delivery...', { id: 'completeDelivery' });
     
-    dispatch(completeDeliveryOrder(orderId))
+    dispatch(completeDeliveryOrder({
+      orderId,
+      otp: deliveryPin,
+      photo: deliveryPhoto,
+      note: deliveryNotes.trim()
+    }))
       .unwrap()
       .then(() => {
         // Update toast with success message
@@ -150,6 +229,7 @@ const MyDeliveries = () => {
         setShowDeliveryModal(false);
         setSelectedOrder(null);
         setDeliveryPin('');
+        setDeliveryPhoto(null);
         setDeliveryNotes('');
         
         // Refresh delivery history to show the completed order
@@ -168,6 +248,37 @@ const MyDeliveries = () => {
       });
   };
   
+  // Moves an order to its next leg; pickups need the kitchen's code unless the agent is at the kitchen
+  const advanceDelivery = (order, code) => {
+    const step = NEXT_STEPS[order.status];
+    if (!step) return;
+
+    setAdvancingOrderId(order._id);
+    dispatch(updateDeliveryStatus({ orderId: order._id, status: step.status, code }))
+      .unwrap()
+      .then(() => {
+        toast.success(step.done);
+        setPickupOrder(null);
+        setPickupCode('');
+        refreshProfile();
+      })
+      .catch((error) => {
+        toast.error(error || 'Failed to update delivery');
+      })
+      .finally(() => {
+        setAdvancingOrderId(null);
+      });
+  };
+
+  const handleNextStep = (order) => {
+    if (order.status === 'arrived_at_pickup') {
+      setPickupCode('');
+      setPickupOrder(order);
+    } else {
+      advanceDelivery(order);
+    }
+  };
+
   const toggleOrderExpansion = (orderId) => {
     if (expandedOrderId === orderId) {
       setExpandedOrderId(null);
@@ -211,6 +322,8 @@ const MyDeliveries = () => {
   
   const openCompletionModal = (order) => {
     setSelectedOrder(order);
+    setDeliveryPin('');
+    setDeliveryPhoto(null);
     setShowDeliveryModal(true);
   };
   
@@ -221,24 +334,13 @@ const MyDeliveries = () => {
       return;
     }
     
-    // Simplified verification - for demo, accept any verification method
-    // In a production app, you would validate the PIN or photo against backend data
-    if (verificationMethod === 'pin') {
-      // Basic PIN validation - must be any 4 digits
-      if (!deliveryPin || deliveryPin.length !== 4 || !/^\d+$/.test(deliveryPin)) {
-        toast.error('Please enter a 4-digit delivery PIN');
-        return;
-      }
-    } else if (verificationMethod === 'photo') {
-      // Very simplified photo check
-      const fileInput = document.getElementById('file-upload');
-      if (!fileInput || !fileInput.files || fileInput.files.length === 0) {
-        toast.error('Please take a photo of the delivered package');
-        return;
-      }
+    // The code is checked by the server; the photo is optional
+    if (!/^\d+$/.test(deliveryPin)) {
+      toast.error("Enter the delivery code from the customer's order page");
+      return;
     }
     
-    // All verification passed, complete the delivery
+    // Complete the delivery
     handleCompleteDelivery(selectedOrder._id);
   };
   
@@ -366,7 +468,7 @@ const MyDeliveries = () => {
               completedDeliveries: deliveryHistory.length,
               rating: 4.8, // This would come from the API in a real app
               totalRatings: deliveryHistory.length,
-              estimatedEarnings: deliveryHistory.length * 8.5, // Simplified calculation
+              estimatedEarnings: weekEarnings,
               totalDistance: deliveryHistory.length * 5.2, // Simplified calculation
               averageTime: 25 * 60 // 25 minutes in seconds
             }} 
@@ -426,7 +528,9 @@ const MyDeliveries = () => {
             </div>
           ) : (
             <div className="space-y-6">
-              {activeOrders.map((order, index) => (
+              {routePlan && <RouteItinerary route={routePlan} agentLocation={position} />}
+
+              {sortedActiveOrders.map((order, index) => (
                 <div
                   key={order._id || `order-${index}`}
                   className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden"
@@ -434,7 +538,8 @@ const MyDeliveries = () => {
                   {/* Order progress bar */}
                   <div className="w-full h-2 bg-gray-200">
                     <div className={`h-full ${
-                      order.status === 'out_for_delivery' ? 'bg-yellow-500 w-3/4' : 'bg-green-500 w-1/2'
+                      order.status === 'out_for_delivery' ? 'bg-yellow-500 w-3/4' :
+                      PICKUP_LEG_STATUSES.includes(order.status) ? 'bg-green-500 w-1/4' : 'bg-green-500 w-1/2'
                     }`}></div>
                   </div>
                   
@@ -451,7 +556,7 @@ const MyDeliveries = () => {
                           </span>
                           <div className="flex items-center text-sm text-yellow-700 mt-1">
                             <FiClock className="mr-1" size={14} />
-                            <span>{order.status.replace('_', ' ')}</span>
+                            <span>{order.status.replace(/_/g, ' ')}</span>
                           </div>
                         </div>
                       </div>
@@ -606,9 +711,9 @@ const MyDeliveries = () => {
                     <div className="mt-6 grid grid-cols-2 md:grid-cols-4 gap-3">
                       <a
                         href={`https://www.google.com/maps/dir/?api=1&destination=${
-                          order.deliveryLocation?.coordinates?.[1] || 0
+                          (PICKUP_LEG_STATUSES.includes(order.status) ? order.pickupLocation : order.deliveryLocation)?.coordinates?.[1] || 0
                         },${
-                          order.deliveryLocation?.coordinates?.[0] || 0
+                          (PICKUP_LEG_STATUSES.includes(order.status) ? order.pickupLocation : order.deliveryLocation)?.coordinates?.[0] || 0
                         }&origin=${
                           position.latitude || currentLocation.latitude
                         },${
@@ -638,42 +743,53 @@ const MyDeliveries = () => {
                         <span>Other Orders</span>
                       </button>
                       
-                      <button
-                        onClick={() => openCompletionModal(order)}
-                        disabled={isActionPending || completingOrderId === order._id}
-                        className="flex items-center justify-center py-2 px-3 bg-green-600 hover:bg-green-700 text-white rounded-md disabled:opacity-70 col-span-2 md:col-span-1"
-                      >
-                        {completingOrderId === order._id ? (
-                          <span className="inline-flex items-center">
-                            <svg
-                              className="animate-spin -ml-1 mr-2 h-4 w-4 text-white"
-                              xmlns="http://www.w3.org/2000/svg"
-                              fill="none"
-                              viewBox="0 0 24 24"
-                            >
-                              <circle
-                                className="opacity-25"
-                                cx="12"
-                                cy="12"
-                                r="10"
-                                stroke="currentColor"
-                                strokeWidth="4"
-                              ></circle>
-                              <path
-                                className="opacity-75"
-                                fill="currentColor"
-                                d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
-                              ></path>
-                            </svg>
-                            Completing...
-                          </span>
-                        ) : (
-                          <>
-                            <MdCheck className="mr-2" size={18} />
-                            <span>Complete Delivery</span>
-                          </>
-                        )}
-                      </button>
+                      {NEXT_STEPS[order.status] ? (
+                        <button
+                          onClick={() => handleNextStep(order)}
+                          disabled={advancingOrderId === order._id}
+                          className="flex items-center justify-center py-2 px-3 bg-indigo-600 hover:bg-indigo-700 text-white rounded-md disabled:opacity-70 col-span-2 md:col-span-1"
+                        >
+                          {NEXT_STEPS[order.status].icon}
+                          <span>{advancingOrderId === order._id ? 'Updating...' : NEXT_STEPS[order.status].label}</span>
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => openCompletionModal(order)}
+                          disabled={isActionPending || completingOrderId === order._id}
+                          className="flex items-center justify-center py-2 px-3 bg-green-600 hover:bg-green-700 text-white rounded-md disabled:opacity-70 col-span-2 md:col-span-1"
+                        >
+                          {completingOrderId === order._id ? (
+                            <span className="inline-flex items-center">
+                              <svg
+                                className="animate-spin -ml-1 mr-2 h-4 w-4 text-white"
+                                xmlns="http://www.w3.org/2000/svg"
+                                fill="none"
+                                viewBox="0 0 24 24"
+                              >
+                                <circle
+                                  className="opacity-25"
+                                  cx="12"
+                                  cy="12"
+                                  r="10"
+                                  stroke="currentColor"
+                                  strokeWidth="4"
+                                ></circle>
+                                <path
+                                  className="opacity-75"
+                                  fill="currentColor"
+                                  d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
+                                ></path>
+                              </svg>
+                              Completing...
+                            </span>
+                          ) : (
+                            <>
+                              <MdCheck className="mr-2" size={18} />
+                              <span>Complete Delivery</span>
+                            </>
+                          )}
+                        </button>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -767,6 +883,55 @@ const MyDeliveries = () => {
       )}
       
       {/* Delivery Completion Modal */}
+      {/* Pickup confirmation modal */}
+      {pickupOrder && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-xl w-full max-w-md overflow-hidden">
+            <div className="bg-indigo-50 px-6 py-4 border-b border-indigo-100">
+              <h3 className="text-lg font-medium text-gray-800">Confirm Pickup</h3>
+              <p className="text-sm text-gray-600 mt-1">
+                Order #{pickupOrder._id?.substr(-6) || 'Unknown'}
+              </p>
+            </div>
+
+            <div className="p-6">
+              <label htmlFor="pickupCode" className="block text-sm font-medium text-gray-700 mb-1">
+                Pickup code
+              </label>
+              <input
+                type="text"
+                id="pickupCode"
+                value={pickupCode}
+                onChange={(e) => setPickupCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+                inputMode="numeric"
+                placeholder="e.g. 1234"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Ask the kitchen for the code on their order screen. You can leave it blank
+                if you're at the kitchen and location tracking is on.
+              </p>
+
+              <div className="flex items-center justify-between pt-4 mt-6 border-t border-gray-200">
+                <button
+                  onClick={() => setPickupOrder(null)}
+                  className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={() => advanceDelivery(pickupOrder, pickupCode || undefined)}
+                  disabled={advancingOrderId === pickupOrder._id}
+                  className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 rounded-md text-sm font-medium text-white disabled:opacity-70"
+                >
+                  {advancingOrderId === pickupOrder._id ? 'Confirming...' : 'Confirm Pickup'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {showDeliveryModal && selectedOrder && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
           <div className="bg-white rounded-lg shadow-xl w-full max-w-md overflow-hidden">
@@ -779,73 +944,60 @@ const MyDeliveries = () => {
             
             <div className="p-6">
               <div className="mb-4">
-                <div className="flex border-b border-gray-200 mb-4">
-                  <button
-                    onClick={() => setVerificationMethod('pin')}
-                    className={`py-2 px-4 text-sm font-medium ${
-                      verificationMethod === 'pin'
-                        ? 'text-green-600 border-b-2 border-green-600'
-                        : 'text-gray-500 hover:text-gray-700'
-                    }`}
-                  >
-                    Delivery PIN
-                  </button>
-                  <button
-                    onClick={() => setVerificationMethod('photo')}
-                    className={`py-2 px-4 text-sm font-medium ${
-                      verificationMethod === 'photo'
-                        ? 'text-green-600 border-b-2 border-green-600'
-                        : 'text-gray-500 hover:text-gray-700'
-                    }`}
-                  >
-                    Photo Proof
-                  </button>
+                <div>
+                  <label htmlFor="deliveryPin" className="block text-sm font-medium text-gray-700 mb-1">
+                    Delivery code
+                  </label>
+                  <input
+                    type="text"
+                    id="deliveryPin"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    value={deliveryPin}
+                    onChange={(e) => setDeliveryPin(e.target.value.replace(/\D/g, '').slice(0, 6))}
+                    placeholder="e.g. 1234"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md text-center tracking-widest text-lg focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Ask the customer for the code shown on their order page
+                  </p>
                 </div>
-                
-                {verificationMethod === 'pin' && (
-                  <div>
-                    <label htmlFor="deliveryPin" className="block text-sm font-medium text-gray-700 mb-1">
-                      Enter the 4-digit delivery PIN
-                    </label>
-                    <input
-                      type="text"
-                      id="deliveryPin"
-                      value={deliveryPin}
-                      onChange={(e) => setDeliveryPin(e.target.value.slice(0, 4))}
-                      maxLength={4}
-                      placeholder="e.g. 1234"
-                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
-                    />
-                    <p className="text-xs text-gray-500 mt-1">
-                      Ask the customer for the PIN they received via email/SMS
-                    </p>
-                  </div>
-                )}
-                
-                {verificationMethod === 'photo' && (
-                  <div className="text-center">
-                    <div className="mb-4">
-                      <label htmlFor="deliveryPhoto" className="block text-sm font-medium text-gray-700 mb-1">
-                        Take a photo of the delivered package
-                      </label>
-                      <div className="mt-1 flex justify-center px-6 pt-5 pb-6 border-2 border-gray-300 border-dashed rounded-md">
-                        <div className="space-y-1 text-center">
-                          <MdCamera className="mx-auto text-gray-400" size={48} />
-                          <div className="flex text-sm text-gray-600">
-                            <label
-                              htmlFor="file-upload"
-                              className="relative cursor-pointer bg-white rounded-md font-medium text-indigo-600 hover:text-indigo-500 focus-within:outline-none"
-                            >
-                              <span>Take a photo</span>
-                              <input id="file-upload" name="file-upload" type="file" accept="image/*" capture className="sr-only" />
-                            </label>
-                          </div>
-                          <p className="text-xs text-gray-500">JPG, PNG, or HEIC up to 10MB</p>
-                        </div>
+
+                <div className="mt-6">
+                  <label htmlFor="deliveryPhoto" className="block text-sm font-medium text-gray-700 mb-1">
+                    Photo at the door (optional)
+                  </label>
+                  <div className="mt-1 flex justify-center px-6 pt-5 pb-6 border-2 border-gray-300 border-dashed rounded-md">
+                    <div className="space-y-1 text-center">
+                      {deliveryPhotoUrl ? (
+                        <img
+                          src={deliveryPhotoUrl}
+                          alt="Delivered order"
+                          className="mx-auto h-32 rounded-md object-cover"
+                        />
+                      ) : (
+                        <MdCamera className="mx-auto text-gray-400" size={48} />
+                      )}
+                      <div className="flex justify-center text-sm text-gray-600">
+                        <label
+                          htmlFor="deliveryPhoto"
+                          className="relative cursor-pointer bg-white rounded-md font-medium text-indigo-600 hover:text-indigo-500 focus-within:outline-none"
+                        >
+                          <span>{deliveryPhoto ? 'Retake photo' : 'Take a photo'}</span>
+                          <input
+                            id="deliveryPhoto"
+                            type="file"
+                            accept="image/*"
+                            capture="environment"
+                            className="sr-only"
+                            onChange={(e) => setDeliveryPhoto(e.target.files?.[0] || null)}
+                          />
+                        </label>
                       </div>
+                      <p className="text-xs text-gray-500">For contactless drops: show where you left the order</p>
                     </div>
                   </div>
-                )}
+                </div>
                 
                 <div className="mb-4 mt-6">
                   <label htmlFor="deliveryNotes" className="block text-sm font-medium text-gray-700 mb-1">
@@ -79,7 +79,8 @@ const NearbyOrders = () => {
     isActionPending,
     isAcceptingOrder,
     acceptOrderError,
-    isRejecting
+    isRejecting,
+    workStatus
   } = useSelector((state) => state.delivery);
   
   // Use the location tracking hook
@@ -499,6 +500,27 @@ const NearbyOrders = () => {
           </button>
         </div>
       </div>
+
+      {workStatus && !workStatus.canTakeOrders && (
+        <div className="bg-amber-50 border-l-4 border-amber-400 p-4 rounded mb-6 flex items-start justify-between">
+          <div className="flex items-start text-amber-800">
+            <FiAlertCircle className="mr-2 mt-0.5 flex-shrink-0" size={18} />
+            <p className="text-sm">
+              {workStatus.reason === 'off_shift'
+                ? "You're outside your shift hours, so new orders are hidden until your next shift starts."
+                : `You're carrying ${workStatus.load} of ${workStatus.capacity} orders, the most for your vehicle. Finish a delivery to take new ones.`}
+            </p>
+          </div>
+          {workStatus.reason === 'off_shift' && (
+            <button
+              onClick={() => navigate('/deliver/schedule')}
+              className="ml-4 text-sm text-amber-800 underline whitespace-nowrap"
+            >
+              Edit shifts
+            </button>
+          )}
+        </div>
+      )}
       
       <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
         <div className="flex items-center justify-between mb-4">
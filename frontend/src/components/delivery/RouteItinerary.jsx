@@ -0,0 +1,138 @@
+import React, { useEffect, useRef } from 'react';
+import { MdRestaurant, MdHome, MdRoute } from 'react-icons/md';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+
+const STOP_COLORS = {
+  pickup: '#FF6B35',
+  dropoff: '#2e7d32'
+};
+
+const toLatLng = (coordinates) => [coordinates[1], coordinates[0]];
+
+const formatDistance = (meters) => (meters < 1000 ? `${meters} m` : `${(meters / 1000).toFixed(1)} km`);
+
+const formatTime = (time) => new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Numbered pin for a stop, coloured by whether it's a pickup or a drop-off
+const stopIcon = (stop) => L.divIcon({
+  className: '',
+  html: `<div style="background:${STOP_COLORS[stop.type]};color:#fff;width:26px;height:26px;border-radius:50%;border:2px solid #fff;box-shadow:0 1px 4px rgba(0,0,0,.4);display:flex;align-items:center;justify-content:center;font-weight:600;font-size:13px;">${stop.sequence}</div>`,
+  iconSize: [26, 26],
+  iconAnchor: [13, 13]
+});
+
+// Suggested sequence of pickups and drop-offs for an agent carrying several
+// orders, drawn as numbered stops on a map with the itinerary below it
+const RouteItinerary = ({ route, agentLocation, height = '320px' }) => {
+  const mapRef = useRef(null);
+  const agentMarkerRef = useRef(null);
+  const latitude = agentLocation?.latitude;
+  const longitude = agentLocation?.longitude;
+  // The map is redrawn when the route changes, not on every location update
+  const agentLatLngRef = useRef(null);
+
+  useEffect(() => {
+    agentLatLngRef.current = latitude && longitude ? [latitude, longitude] : null;
+    if (agentMarkerRef.current && agentLatLngRef.current) {
+      agentMarkerRef.current.setLatLng(agentLatLngRef.current);
+    }
+  }, [latitude, longitude]);
+
+  useEffect(() => {
+    if (!route || route.stops.length === 0 || !mapRef.current) return;
+
+    const map = L.map(mapRef.current, { zoomControl: true, attributionControl: true });
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+      attribution: '© <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+      maxZoom: 19,
+    }).addTo(map);
+
+    const path = route.stops.map(stop => toLatLng(stop.location.coordinates));
+    const start = agentLatLngRef.current;
+    if (start) {
+      agentMarkerRef.current = L.circleMarker(start, {
+        radius: 7, color: '#fff', weight: 2, fillColor: '#4f46e5', fillOpacity: 1
+      }).bindTooltip('You').addTo(map);
+      path.unshift(start);
+    }
+    L.polyline(path, { color: '#4f46e5', weight: 4, opacity: 0.7, dashArray: '8, 8' }).addTo(map);
+
+    route.stops.forEach(stop => {
+      L.marker(toLatLng(stop.location.coordinates), { icon: stopIcon(stop) })
+        .bindTooltip(`${stop.sequence}. ${stop.type === 'pickup' ? 'Pick up' : 'Drop off'} #${stop.orderId.slice(-6)}`)
+        .addTo(map);
+    });
+
+    map.fitBounds(L.latLngBounds(path), { padding: [30, 30], maxZoom: 16 });
+
+    return () => {
+      map.remove();
+      agentMarkerRef.current = null;
+    };
+  }, [route]);
+
+  if (!route || route.stops.length === 0) {
+    return null;
+  }
+
+  const saved = route.unoptimizedDistanceMeters - route.totalDistanceMeters;
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+      <div className="px-4 py-3 border-b bg-gray-50 flex flex-wrap justify-between items-center gap-2">
+        <div className="flex items-center">
+          <MdRoute className="text-indigo-600 mr-2" size={20} />
+          <h2 className="font-medium text-gray-700">Suggested route</h2>
+        </div>
+        <div className="text-sm text-gray-600">
+          {route.stops.length} stops · {formatDistance(route.totalDistanceMeters)}
+          {route.estimatedFinish && ` · done by ${formatTime(route.estimatedFinish)}`}
+        </div>
+      </div>
+
+      <div ref={mapRef} style={{ height }} />
+
+      {saved >= 100 && (
+        <p className="px-4 pt-3 text-xs text-green-700">
+          {formatDistance(saved)} shorter than doing each order in turn
+        </p>
+      )}
+
+      <ol className="divide-y divide-gray-100">
+        {route.stops.map(stop => (
+          <li key={`${stop.type}-${stop.orderId}`} className="flex items-center px-4 py-3">
+            <span
+              className="flex-shrink-0 w-7 h-7 rounded-full text-white text-sm font-semibold flex items-center justify-center mr-3"
+              style={{ backgroundColor: STOP_COLORS[stop.type] }}
+            >
+              {stop.sequence}
+            </span>
+            {stop.type === 'pickup'
+              ? <MdRestaurant className="text-orange-500 mr-2 flex-shrink-0" size={18} />
+              : <MdHome className="text-green-600 mr-2 flex-shrink-0" size={18} />}
+            <div className="flex-1 min-w-0">
+              <div className="text-sm font-medium text-gray-800">
+                {stop.type === 'pickup' ? 'Pick up' : 'Drop off'} order #{stop.orderId.slice(-6)}
+                {stop.name && <span className="text-gray-500 font-normal"> · {stop.name}</span>}
+              </div>
+              {stop.address && <div className="text-xs text-gray-500 truncate">{stop.address}</div>}
+            </div>
+            <div className="text-right text-xs text-gray-500 ml-3 flex-shrink-0">
+              <div>+{formatDistance(stop.legDistanceMeters)}</div>
+              <div>~{formatTime(stop.estimatedArrival)}</div>
+            </div>
+          </li>
+        ))}
+      </ol>
+
+      {route.unroutableOrders.length > 0 && (
+        <p className="px-4 py-3 text-xs text-amber-700 bg-amber-50">
+          {route.unroutableOrders.length} order(s) are missing a location and aren't in this route.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default RouteItinerary;
@@ -0,0 +1,228 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import { MdSchedule, MdDeliveryDining, MdAdd, MdDelete, MdMap } from 'react-icons/md';
+import { fetchAgentProfile } from '../../redux/deliverySlice';
+import { updateShifts, updateZones, getServiceZones } from '../../services/deliveryService';
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const NEW_SHIFT = { day: 1, start: '09:00', end: '17:00' };
+
+// Where and when the agent works: weekly shifts and service zones
+const WorkSchedule = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { isDeliveryAgent, profile, workStatus } = useSelector((state) => state.delivery);
+
+  const [shifts, setShifts] = useState([]);
+  const [selectedZones, setSelectedZones] = useState([]);
+  const [zones, setZones] = useState([]);
+  const [zonesError, setZonesError] = useState(null);
+  const [savingShifts, setSavingShifts] = useState(false);
+  const [savingZones, setSavingZones] = useState(false);
+
+  useEffect(() => {
+    dispatch(fetchAgentProfile());
+    getServiceZones()
+      .then(response => setZones(response.zones))
+      .catch(error => setZonesError(error));
+  }, [dispatch]);
+
+  // Start the editors from what's saved
+  useEffect(() => {
+    if (!profile) return;
+    setShifts((profile.shifts || []).map(({ day, start, end }) => ({ day, start, end })));
+    setSelectedZones((profile.zones || []).map(zone => zone._id || zone));
+  }, [profile]);
+
+  const changeShift = (index, field, value) => {
+    setShifts(prev => prev.map((shift, i) => (i === index ? { ...shift, [field]: value } : shift)));
+  };
+
+  const handleSaveShifts = async () => {
+    try {
+      setSavingShifts(true);
+      const response = await updateShifts(shifts.map(shift => ({ ...shift, day: Number(shift.day) })));
+      toast.success(response.message);
+      dispatch(fetchAgentProfile());
+    } catch (error) {
+      toast.error(error);
+    } finally {
+      setSavingShifts(false);
+    }
+  };
+
+  const toggleZone = (zoneId) => {
+    setSelectedZones(prev => (prev.includes(zoneId) ? prev.filter(id => id !== zoneId) : [...prev, zoneId]));
+  };
+
+  const handleSaveZones = async () => {
+    try {
+      setSavingZones(true);
+      // Zones taken out of service since they were picked drop off
+      const response = await updateZones(selectedZones.filter(id => zones.some(zone => zone._id === id)));
+      toast.success(response.message);
+      dispatch(fetchAgentProfile());
+    } catch (error) {
+      toast.error(error);
+    } finally {
+      setSavingZones(false);
+    }
+  };
+
+  if (!isDeliveryAgent) {
+    return (
+      <div className="max-w-3xl mx-auto bg-white rounded-lg shadow-sm p-6">
+        <div className="text-center">
+          <MdDeliveryDining className="mx-auto text-gray-400" size={80} />
+          <h2 className="text-xl font-semibold mt-4">You are not registered as a delivery agent</h2>
+          <p className="text-gray-600 mt-2">
+            Register first to set your shifts and zones
+          </p>
+          <button
+            onClick={() => navigate("/deliver/register")}
+            className="mt-4 bg-indigo-600 hover:bg-indigo-700 text-white py-2 px-6 rounded-md"
+          >
+            Register Now
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <div className="flex items-center mb-6">
+        <MdSchedule className="text-indigo-600 mr-2" size={28} />
+        <h1 className="text-xl font-semibold text-gray-800">Shifts & Zones</h1>
+      </div>
+
+      {workStatus && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+          <div className="bg-white rounded-lg shadow-sm p-4">
+            <p className="text-sm text-gray-500">Right now</p>
+            <p className={`text-lg font-semibold ${workStatus.onShift ? 'text-green-700' : 'text-gray-700'}`}>
+              {workStatus.onShift ? 'On shift' : 'Off shift'}
+            </p>
+            {!profile?.shifts?.length && (
+              <p className="text-xs text-gray-500">No shifts set, you can take orders whenever you're available</p>
+            )}
+          </div>
+          <div className="bg-white rounded-lg shadow-sm p-4">
+            <p className="text-sm text-gray-500">Orders in hand</p>
+            <p className="text-lg font-semibold text-gray-800">
+              {workStatus.load} of {workStatus.capacity}
+            </p>
+            <p className="text-xs text-gray-500 capitalize">Limit for a {profile?.vehicleType || 'vehicle'}</p>
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-sm mb-6">
+        <div className="px-4 py-3 border-b bg-gray-50">
+          <h2 className="font-medium text-gray-700">Weekly shifts</h2>
+          <p className="text-xs text-gray-500">
+            You're only offered orders during your shifts. A shift that ends before it starts runs past midnight.
+          </p>
+        </div>
+        <div className="p-4 space-y-3">
+          {shifts.length === 0 && (
+            <p className="text-sm text-gray-500">No shifts yet.</p>
+          )}
+          {shifts.map((shift, index) => (
+            <div key={index} className="flex flex-wrap items-center gap-2">
+              <select
+                value={shift.day}
+                onChange={(e) => changeShift(index, 'day', Number(e.target.value))}
+                className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+              >
+                {DAYS.map((day, value) => (
+                  <option key={day} value={value}>{day}</option>
+                ))}
+              </select>
+              <input
+                type="time"
+                value={shift.start}
+                onChange={(e) => changeShift(index, 'start', e.target.value)}
+                className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+              />
+              <span className="text-gray-500 text-sm">to</span>
+              <input
+                type="time"
+                value={shift.end}
+                onChange={(e) => changeShift(index, 'end', e.target.value)}
+                className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+              />
+              <button
+                onClick={() => setShifts(prev => prev.filter((_, i) => i !== index))}
+                className="p-1 text-red-500 hover:text-red-700"
+                title="Remove shift"
+              >
+                <MdDelete size={20} />
+              </button>
+            </div>
+          ))}
+          <div className="flex justify-between pt-2">
+            <button
+              onClick={() => setShifts(prev => [...prev, { ...(prev[prev.length - 1] || NEW_SHIFT) }])}
+              className="flex items-center text-sm text-indigo-600 hover:text-indigo-800"
+            >
+              <MdAdd className="mr-1" /> Add shift
+            </button>
+            <button
+              onClick={handleSaveShifts}
+              disabled={savingShifts}
+              className="bg-indigo-600 hover:bg-indigo-700 text-white text-sm py-2 px-4 rounded-md disabled:opacity-60"
+            >
+              {savingShifts ? 'Saving...' : 'Save shifts'}
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm">
+        <div className="px-4 py-3 border-b bg-gray-50">
+          <h2 className="font-medium text-gray-700">Zones</h2>
+          <p className="text-xs text-gray-500">
+            You're only offered orders picked up in your zones. Leave them all unticked to work everywhere.
+          </p>
+        </div>
+        <div className="p-4">
+          {zonesError && <p className="text-sm text-red-600">{zonesError}</p>}
+          {!zonesError && zones.length === 0 && (
+            <p className="text-sm text-gray-500">No zones have been set up yet.</p>
+          )}
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            {zones.map(zone => (
+              <label key={zone._id} className="flex items-center p-2 border border-gray-200 rounded-md cursor-pointer hover:bg-gray-50">
+                <input
+                  type="checkbox"
+                  checked={selectedZones.includes(zone._id)}
+                  onChange={() => toggleZone(zone._id)}
+                  className="mr-2"
+                />
+                <MdMap className="text-indigo-500 mr-1" />
+                <span className="text-sm text-gray-800">{zone.name}</span>
+              </label>
+            ))}
+          </div>
+          {zones.length > 0 && (
+            <div className="flex justify-end pt-4">
+              <button
+                onClick={handleSaveZones}
+                disabled={savingZones}
+                className="bg-indigo-600 hover:bg-indigo-700 text-white text-sm py-2 px-4 rounded-md disabled:opacity-60"
+              >
+                {savingZones ? 'Saving...' : 'Save zones'}
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WorkSchedule;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
 import Category from '../category/Category'
 import useGetAllPost from '../../hooks/useGetAllPost';
 import Posts from '../post/posts'
@@ -17,7 +17,8 @@ const Feeds = () => {
   
   const dispatch = useDispatch();
   
-  useGetAllPost();
+  const { loadMore, retry, hasMore, loading, error } = useGetAllPost();
+  const loadMoreRef = useRef(null);
   
   // Listen for URL changes and search params
   useEffect(() => {
@@ -52,6 +53,23 @@ const Feeds = () => {
     }
   }, [connected, dispatch, posts]);
   
+  // Fetch the next page as the end of the feed scrolls into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !hasMore || showOnlyFavorites) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) {
+          loadMore();
+        }
+      },
+      { rootMargin: '400px' }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, loadMore, showOnlyFavorites]);
+
   // Filter posts based on favorites flag
   useEffect(() => {
     if (showOnlyFavorites && user?.bookmarks?.length > 0) {
@@ -101,6 +119,25 @@ const Feeds = () => {
           </div>
         )}
         <Posts posts={displayedPosts} />
+        {!showOnlyFavorites && (
+          <div ref={loadMoreRef} className="py-4 text-center text-sm text-gray-500">
+            {loading && (
+              <div className="mx-auto animate-spin rounded-full h-6 w-6 border-t-2 border-b-2 border-orange-500"></div>
+            )}
+            {error && (
+              <div className="text-red-500">
+                {error}
+                <button
+                  onClick={retry}
+                  className="ml-2 bg-white px-2 py-1 rounded text-gray-700 hover:bg-gray-100"
+                >
+                  Try again
+                </button>
+              </div>
+            )}
+            {!loading && !error && !hasMore && posts.length > 0 && <p>You're all caught up</p>}
+          </div>
+        )}
       </main>
     </>
   );
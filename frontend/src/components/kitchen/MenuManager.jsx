@@ -0,0 +1,376 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Chip,
+  Button,
+  IconButton,
+  CircularProgress,
+  Alert,
+  Avatar,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  Stack,
+  FormControlLabel,
+  Switch,
+  List,
+  ListItem,
+  ListItemAvatar,
+  ListItemText,
+  Tooltip
+} from '@mui/material';
+import { toast } from 'react-toastify';
+import { Plus, Pencil, Trash2, X } from 'lucide-react';
+import {
+  getMyMenu,
+  createMenuItem,
+  updateMenuItem,
+  deleteMenuItem
+} from '../../services/menuService';
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const CATEGORIES = ['Breakfast', 'Lunch', 'Dinner', 'Snacks', 'Dessert', 'Drinks', 'FastFood', 'Other'];
+
+const EMPTY_ITEM = {
+  name: '',
+  description: '',
+  price: '',
+  menuCategory: 'Other',
+  vegetarian: false,
+  availability: []
+};
+
+// "Mon 11:00–14:00, Fri 18:00–22:00", or "Any time" without windows
+const formatAvailability = (availability = []) => (
+  availability.length === 0
+    ? 'Any time'
+    : availability.map(window => `${DAYS[window.day]} ${window.start}–${window.end}`).join(', ')
+);
+
+// The seller's permanent menu: items customers can order whenever they're in
+// stock and inside their weekly hours, and that fresh batch posts can link to
+const MenuManager = ({ open, onClose }) => {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [pendingItemId, setPendingItemId] = useState(null);
+
+  // Add/edit dialog: the item being edited, or EMPTY_ITEM when adding
+  const [editing, setEditing] = useState(null);
+  const [image, setImage] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadMenu = useCallback(async () => {
+    try {
+      setLoadError(null);
+      const response = await getMyMenu();
+      setItems(response.items || []);
+    } catch (error) {
+      console.error('Failed to load menu:', error);
+      setLoadError(error.message || 'Failed to load your menu');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!open) return;
+    setLoading(true);
+    loadMenu();
+  }, [open, loadMenu]);
+
+  const replaceItem = (updatedItem) => {
+    setItems(prev => prev.map(item => (item._id === updatedItem._id ? updatedItem : item)));
+  };
+
+  const openEditor = (item = EMPTY_ITEM) => {
+    setImage(null);
+    setEditing({ ...item, price: item.price === '' ? '' : String(item.price) });
+  };
+
+  const updateWindow = (index, field, value) => {
+    setEditing(prev => ({
+      ...prev,
+      availability: prev.availability.map((window, i) => (i === index ? { ...window, [field]: value } : window))
+    }));
+  };
+
+  const addWindow = () => {
+    setEditing(prev => ({
+      ...prev,
+      availability: [...prev.availability, { day: new Date().getDay(), start: '11:00', end: '15:00' }]
+    }));
+  };
+
+  const removeWindow = (index) => {
+    setEditing(prev => ({ ...prev, availability: prev.availability.filter((_, i) => i !== index) }));
+  };
+
+  const handleSave = async () => {
+    if (!editing.name.trim()) {
+      toast.error('Give the item a name');
+      return;
+    }
+    if (!(Number(editing.price) > 0)) {
+      toast.error('Enter a price');
+      return;
+    }
+
+    const fields = {
+      name: editing.name.trim(),
+      description: editing.description,
+      price: Number(editing.price),
+      menuCategory: editing.menuCategory,
+      vegetarian: editing.vegetarian,
+      availability: editing.availability.map(({ day, start, end }) => ({ day: Number(day), start, end }))
+    };
+
+    setSaving(true);
+    try {
+      if (editing._id) {
+        const response = await updateMenuItem(editing._id, fields, image);
+        replaceItem(response.item);
+      } else {
+        const response = await createMenuItem(fields, image);
+        setItems(prev => [...prev, response.item]);
+      }
+      toast.success(editing._id ? 'Menu item updated' : 'Menu item added');
+      setEditing(null);
+    } catch (error) {
+      toast.error(error.message || 'Failed to save menu item');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleStockToggle = async (item) => {
+    setPendingItemId(item._id);
+    try {
+      const response = await updateMenuItem(item._id, { inStock: !item.inStock });
+      replaceItem(response.item);
+    } catch (error) {
+      toast.error(error.message || 'Failed to update menu item');
+    } finally {
+      setPendingItemId(null);
+    }
+  };
+
+  const handleDelete = async (item) => {
+    if (!window.confirm(`Take ${item.name} off your menu?`)) return;
+
+    setPendingItemId(item._id);
+    try {
+      await deleteMenuItem(item._id);
+      setItems(prev => prev.filter(entry => entry._id !== item._id));
+      toast.success('Menu item removed');
+    } catch (error) {
+      toast.error(error.message || 'Failed to remove menu item');
+    } finally {
+      setPendingItemId(null);
+    }
+  };
+
+  return (
+    <>
+      <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+        <DialogTitle sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          My menu
+          <Button variant="contained" size="small" startIcon={<Plus size={16} />} onClick={() => openEditor()}>
+            Add item
+          </Button>
+        </DialogTitle>
+        <DialogContent dividers>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Menu items stay on your profile and can be ordered during their hours while they're in stock.
+            Link a post to an item when you cook a fresh batch of it.
+          </Typography>
+
+          {loadError && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {loadError} <Button size="small" onClick={loadMenu}>Retry</Button>
+            </Alert>
+          )}
+
+          {loading ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+              <CircularProgress />
+            </Box>
+          ) : items.length === 0 ? (
+            <Box sx={{ textAlign: 'center', py: 6, color: 'text.secondary' }}>
+              <Typography variant="h6">Your menu is empty</Typography>
+              <Typography variant="body2">Add the dishes you make regularly so customers can order them any time.</Typography>
+            </Box>
+          ) : (
+            <List disablePadding>
+              {items.map(item => (
+                <ListItem
+                  key={item._id}
+                  divider
+                  secondaryAction={
+                    <Stack direction="row" spacing={1} alignItems="center">
+                      <Tooltip title={item.inStock ? 'In stock' : 'Out of stock'}>
+                        <Switch
+                          checked={item.inStock}
+                          disabled={pendingItemId === item._id}
+                          onChange={() => handleStockToggle(item)}
+                        />
+                      </Tooltip>
+                      <IconButton onClick={() => openEditor(item)} aria-label="Edit">
+                        <Pencil size={18} />
+                      </IconButton>
+                      <IconButton onClick={() => handleDelete(item)} disabled={pendingItemId === item._id} aria-label="Remove">
+                        <Trash2 size={18} />
+                      </IconButton>
+                    </Stack>
+                  }
+                >
+                  <ListItemAvatar>
+                    <Avatar variant="rounded" src={item.image || undefined}>{item.name.charAt(0)}</Avatar>
+                  </ListItemAvatar>
+                  <ListItemText
+                    primary={
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                        <span>{item.name}</span>
+                        <Typography variant="body2" component="span" sx={{ fontWeight: 600 }}>
+                          ${item.price.toFixed(2)}
+                        </Typography>
+                        <Chip size="small" label={item.menuCategory} />
+                        <Chip
+                          size="small"
+                          color={item.availableNow ? 'success' : 'default'}
+                          label={item.availableNow ? 'Available now' : 'Not available now'}
+                        />
+                      </Box>
+                    }
+                    secondary={formatAvailability(item.availability)}
+                    sx={{ pr: 18 }}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Add/edit item dialog */}
+      <Dialog open={!!editing} onClose={() => setEditing(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editing?._id ? 'Edit menu item' : 'Add menu item'}</DialogTitle>
+        {editing && (
+          <DialogContent>
+            <Stack spacing={2} sx={{ mt: 1 }}>
+              <TextField
+                label="Name"
+                fullWidth
+                value={editing.name}
+                onChange={(e) => setEditing(prev => ({ ...prev, name: e.target.value }))}
+                inputProps={{ maxLength: 80 }}
+              />
+              <TextField
+                label="Description"
+                fullWidth
+                multiline
+                minRows={2}
+                value={editing.description}
+                onChange={(e) => setEditing(prev => ({ ...prev, description: e.target.value }))}
+                inputProps={{ maxLength: 500 }}
+              />
+              <Stack direction="row" spacing={2}>
+                <TextField
+                  label="Price"
+                  type="number"
+                  fullWidth
+                  value={editing.price}
+                  onChange={(e) => setEditing(prev => ({ ...prev, price: e.target.value }))}
+                  inputProps={{ min: 0, step: '0.01' }}
+                />
+                <TextField
+                  select
+                  label="Category"
+                  fullWidth
+                  value={editing.menuCategory}
+                  onChange={(e) => setEditing(prev => ({ ...prev, menuCategory: e.target.value }))}
+                >
+                  {CATEGORIES.map(category => (
+                    <MenuItem key={category} value={category}>{category}</MenuItem>
+                  ))}
+                </TextField>
+              </Stack>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={editing.vegetarian}
+                    onChange={(e) => setEditing(prev => ({ ...prev, vegetarian: e.target.checked }))}
+                    color="success"
+                  />
+                }
+                label="Vegetarian"
+              />
+              <Button variant="outlined" component="label">
+                {image ? image.name : editing.image ? 'Change photo' : 'Add photo'}
+                <input type="file" accept="image/*" hidden onChange={(e) => setImage(e.target.files?.[0] || null)} />
+              </Button>
+
+              <Box>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                  <Typography variant="subtitle2">Hours</Typography>
+                  <Button size="small" startIcon={<Plus size={14} />} onClick={addWindow}>Add hours</Button>
+                </Box>
+                {editing.availability.length === 0 && (
+                  <Typography variant="body2" color="text.secondary">
+                    No hours set, so the item can be ordered any time it's in stock.
+                  </Typography>
+                )}
+                {editing.availability.map((window, index) => (
+                  <Stack key={index} direction="row" spacing={1} alignItems="center" sx={{ mb: 1 }}>
+                    <TextField
+                      select
+                      size="small"
+                      value={window.day}
+                      onChange={(e) => updateWindow(index, 'day', Number(e.target.value))}
+                      sx={{ minWidth: 90 }}
+                    >
+                      {DAYS.map((day, value) => (
+                        <MenuItem key={day} value={value}>{day}</MenuItem>
+                      ))}
+                    </TextField>
+                    <TextField
+                      type="time"
+                      size="small"
+                      value={window.start}
+                      onChange={(e) => updateWindow(index, 'start', e.target.value)}
+                    />
+                    <TextField
+                      type="time"
+                      size="small"
+                      value={window.end}
+                      onChange={(e) => updateWindow(index, 'end', e.target.value)}
+                    />
+                    <IconButton size="small" onClick={() => removeWindow(index)} aria-label="Remove hours">
+                      <X size={16} />
+                    </IconButton>
+                  </Stack>
+                ))}
+              </Box>
+            </Stack>
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setEditing(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving}>
+            {saving ? <CircularProgress size={20} /> : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+export default MenuManager;
@@ -0,0 +1,576 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { useSelector } from 'react-redux';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Grid,
+  Chip,
+  Button,
+  Divider,
+  CircularProgress,
+  Alert,
+  Badge,
+  Container,
+  Tabs,
+  Tab,
+  Avatar,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Stack,
+  FormControlLabel,
+  Switch
+} from '@mui/material';
+import { format, formatDistanceToNow } from 'date-fns';
+import { toast } from 'react-toastify';
+import {
+  Home,
+  Bell,
+  PlusSquare,
+  MessageCircle,
+  Menu as MenuIcon,
+  ChefHat
+} from 'lucide-react';
+import {
+  getSellerOrders,
+  confirmSellerOrder,
+  markSellerOrderPreparing,
+  rejectSellerOrder,
+  getSlotSettings,
+  updateSlotSettings
+} from '../../services/orderService';
+import { onEvent, offEvent } from '../../services/socketManager';
+import MenuManager from './MenuManager';
+import Header from "../header/Header";
+import Leftsidebar from "../left/Leftsidebar";
+import MobileNavItem from "../left/MobileNavItem";
+import MobileSidebar from "../left/MobileSidebar";
+
+const TABS = [
+  { value: 'active', label: 'Active' },
+  { value: 'out_for_delivery', label: 'Out for delivery' },
+  { value: 'delivered', label: 'Completed' },
+  { value: 'cancelled', label: 'Cancelled' },
+  { value: 'all', label: 'All' }
+];
+
+const PREP_TIME_PRESETS = [10, 20, 30, 45, 60];
+
+const STATUS_COLORS = {
+  processing: 'warning',
+  confirmed: 'info',
+  preparing: 'secondary',
+  agent_assigned: 'info',
+  arrived_at_pickup: 'secondary',
+  picked_up: 'primary',
+  out_for_delivery: 'primary',
+  delivered: 'success',
+  cancelled: 'error'
+};
+
+// Orders still in the kitchen; the last two have a delivery agent coming for them
+const ACTIVE_STATUSES = ['processing', 'confirmed', 'preparing', 'agent_assigned', 'arrived_at_pickup'];
+const AWAITING_PICKUP_STATUSES = ['agent_assigned', 'arrived_at_pickup'];
+
+const formatSlot = (slot) => `${format(new Date(slot.start), 'EEE d MMM, HH:mm')} – ${format(new Date(slot.end), 'HH:mm')}`;
+
+const formatStatus = (status) => (status === 'processing' ? 'New' : status.replace(/_/g, ' '));
+
+const MyKitchen = () => {
+  const socketConnected = useSelector(state => state.socket.connected);
+
+  const [tab, setTab] = useState('active');
+  const [orders, setOrders] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [pendingOrderId, setPendingOrderId] = useState(null);
+
+  // Prep-time dialog: { order, action: 'confirm' | 'preparing' }
+  const [prepDialog, setPrepDialog] = useState(null);
+  const [prepTime, setPrepTime] = useState(20);
+  const [rejectDialog, setRejectDialog] = useState(null);
+  const [rejectReason, setRejectReason] = useState('');
+
+  // Scheduled-order settings dialog
+  const [slotSettings, setSlotSettings] = useState(null);
+  const [slotMinutes, setSlotMinutes] = useState(30);
+  const [savingSlots, setSavingSlots] = useState(false);
+
+  const [menuOpen, setMenuOpen] = useState(false);
+
+  // Mobile sidebar state
+  const [sidebarOpen, setSidebarOpen] = useState(false);
+
+  const loadOrders = useCallback(async () => {
+    try {
+      setLoadError(null);
+      const response = await getSellerOrders(tab);
+      setOrders(response.orders || []);
+      setCounts(response.counts || {});
+    } catch (error) {
+      console.error('Failed to load kitchen orders:', error);
+      setLoadError(error.message || 'Failed to load orders');
+    } finally {
+      setLoading(false);
+    }
+  }, [tab]);
+
+  useEffect(() => {
+    setLoading(true);
+    loadOrders();
+  }, [loadOrders]);
+
+  // New orders for the seller arrive as order notifications
+  useEffect(() => {
+    if (!socketConnected) return;
+
+    const handleNotification = (notification) => {
+      if (notification?.type === 'order') {
+        loadOrders();
+      }
+    };
+
+    onEvent('newNotification', handleNotification);
+    return () => {
+      offEvent('newNotification', handleNotification);
+    };
+  }, [socketConnected, loadOrders]);
+
+  const replaceOrder = (updatedOrder) => {
+    setOrders(prev => prev.map(order => (
+      order._id === updatedOrder._id
+        ? { ...order, ...updatedOrder, user: order.user, items: order.items }
+        : order
+    )));
+  };
+
+  const openPrepDialog = (order, action) => {
+    setPrepTime(order.prepTimeMinutes || 20);
+    setPrepDialog({ order, action });
+  };
+
+  const handlePrepSubmit = async () => {
+    const { order, action } = prepDialog;
+    const minutes = parseInt(prepTime, 10);
+    if (!minutes || minutes < 1) {
+      toast.error('Enter a prep time in minutes');
+      return;
+    }
+
+    setPendingOrderId(order._id);
+    try {
+      const response = action === 'confirm'
+        ? await confirmSellerOrder(order._id, minutes)
+        : await markSellerOrderPreparing(order._id, minutes);
+      replaceOrder(response.order);
+      toast.success(response.message);
+      setPrepDialog(null);
+      loadOrders();
+    } catch (error) {
+      toast.error(error.message || 'Failed to update order');
+    } finally {
+      setPendingOrderId(null);
+    }
+  };
+
+  const handleReject = async () => {
+    const order = rejectDialog;
+    setPendingOrderId(order._id);
+    try {
+      const response = await rejectSellerOrder(order._id, rejectReason.trim());
+      replaceOrder(response.order);
+      toast.success('Order rejected');
+      setRejectDialog(null);
+      setRejectReason('');
+      loadOrders();
+    } catch (error) {
+      toast.error(error.message || 'Failed to reject order');
+    } finally {
+      setPendingOrderId(null);
+    }
+  };
+
+  const activeCount = ACTIVE_STATUSES.reduce((sum, status) => sum + (counts[status] || 0), 0);
+
+  const getTabCount = (value) => {
+    if (value === 'active') return activeCount;
+    if (value === 'all') return Object.values(counts).reduce((sum, count) => sum + count, 0);
+    return counts[value] || 0;
+  };
+
+  const renderActions = (order) => {
+    const isPending = pendingOrderId === order._id;
+
+    switch (order.status) {
+      case 'processing':
+        return (
+          <>
+            <Button variant="contained" size="small" disabled={isPending} onClick={() => openPrepDialog(order, 'confirm')}>
+              Confirm
+            </Button>
+            <Button variant="outlined" color="error" size="small" disabled={isPending} onClick={() => setRejectDialog(order)}>
+              Reject
+            </Button>
+          </>
+        );
+      case 'confirmed':
+        return (
+          <>
+            <Button variant="contained" color="secondary" size="small" disabled={isPending} onClick={() => openPrepDialog(order, 'preparing')}>
+              Start preparing
+            </Button>
+            <Button variant="outlined" color="error" size="small" disabled={isPending} onClick={() => setRejectDialog(order)}>
+              Reject
+            </Button>
+          </>
+        );
+      case 'preparing':
+      case 'agent_assigned':
+      case 'arrived_at_pickup':
+        return (
+          <Button variant="outlined" size="small" disabled={isPending} onClick={() => openPrepDialog(order, 'preparing')}>
+            Update prep time
+          </Button>
+        );
+      default:
+        return null;
+    }
+  };
+
+  const openSlotSettings = async () => {
+    try {
+      const response = await getSlotSettings();
+      setSlotMinutes(response.slotMinutes);
+      setSlotSettings(response.settings);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load slot settings');
+    }
+  };
+
+  const handleSlotSettingsSave = async () => {
+    setSavingSlots(true);
+    try {
+      const response = await updateSlotSettings({
+        ...slotSettings,
+        capacityPerSlot: Number(slotSettings.capacityPerSlot)
+      });
+      toast.success(response.message);
+      setSlotSettings(null);
+    } catch (error) {
+      toast.error(error.message || 'Failed to save slot settings');
+    } finally {
+      setSavingSlots(false);
+    }
+  };
+
+  const renderOrder = (order) => (
+    <Grid item xs={12} md={6} key={order._id}>
+      <Card sx={{ height: '100%', boxShadow: '0 2px 8px rgba(0,0,0,0.1)' }}>
+        <CardContent>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
+              <Avatar src={order.user?.profilePicture} alt={order.user?.username}>
+                {order.user?.username?.charAt(0)?.toUpperCase()}
+              </Avatar>
+              <div>
+                <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
+                  {order.user?.username || 'Customer'}
+                </Typography>
+                <Typography variant="caption" color="text.secondary">
+                  #{order._id.substring(order._id.length - 6)} · {formatDistanceToNow(new Date(order.createdAt), { addSuffix: true })}
+                </Typography>
+              </div>
+            </Box>
+            <Chip
+              label={formatStatus(order.status)}
+              color={STATUS_COLORS[order.status] || 'default'}
+              size="small"
+              sx={{ textTransform: 'capitalize' }}
+            />
+          </Box>
+
+          {order.items.map((item, index) => (
+            <Box key={index} sx={{ display: 'flex', justifyContent: 'space-between', mb: 0.5 }}>
+              <Typography variant="body2">
+                {item.quantity} × {item.name || item.productId?.caption || 'Item'}
+              </Typography>
+              <Typography variant="body2">${(item.price * item.quantity).toFixed(2)}</Typography>
+            </Box>
+          ))}
+
+          <Divider sx={{ my: 1.5 }} />
+
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
+            <Typography variant="body2" color="text.secondary" sx={{ textTransform: 'capitalize' }}>
+              {order.deliveryMethod} · {order.paymentMethod}
+            </Typography>
+            <Typography variant="body2" sx={{ fontWeight: 600 }}>
+              ${order.subtotal?.toFixed(2)}
+            </Typography>
+          </Box>
+
+          {order.deliveryInstructions && (
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+              Note: {order.deliveryInstructions}
+            </Typography>
+          )}
+
+          {order.scheduledSlot?.start && ['processing', 'confirmed', 'preparing'].includes(order.status) && (
+            <Alert severity="warning" sx={{ mb: 1, py: 0 }}>
+              Scheduled for {formatSlot(order.scheduledSlot)}
+            </Alert>
+          )}
+
+          {order.pickupLeg?.code && AWAITING_PICKUP_STATUSES.includes(order.status) && (
+            <Alert severity="success" sx={{ mb: 1, py: 0 }}>
+              {order.status === 'arrived_at_pickup' ? 'The delivery agent is here. ' : 'A delivery agent is on the way. '}
+              Give them pickup code <strong>{order.pickupLeg.code}</strong> with the order.
+            </Alert>
+          )}
+
+          {order.estimatedReadyTime && ['confirmed', 'preparing', ...AWAITING_PICKUP_STATUSES].includes(order.status) && (
+            <Alert severity="info" sx={{ mb: 1, py: 0 }}>
+              Ready {formatDistanceToNow(new Date(order.estimatedReadyTime), { addSuffix: true })} ({order.prepTimeMinutes} min prep)
+            </Alert>
+          )}
+
+          <Stack direction="row" spacing={1} sx={{ mt: 2 }}>
+            {renderActions(order)}
+          </Stack>
+        </CardContent>
+      </Card>
+    </Grid>
+  );
+
+  return (
+    <div>
+      <div className="min-h-screen flex flex-col">
+        <Header />
+        {/* Main Layout */}
+        <div className="flex flex-1 flex-col md:flex-row gap-4 p-4 pb-24 md:pb-4">
+          {/* Left Sidebar sticky on md+ */}
+          <aside className="hidden md:flex md:flex-col md:w-20 lg:w-64">
+            <Leftsidebar />
+          </aside>
+
+          {/* Center Content */}
+          <Container maxWidth="xl" sx={{ px: { xs: 2, sm: 3 }, py: { xs: 2, sm: 3 } }}>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+              <div>
+                <Typography variant="h4" gutterBottom>My Kitchen</Typography>
+                <Typography variant="body1" color="text.secondary">
+                  Orders for the food you've posted
+                </Typography>
+              </div>
+              <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                {socketConnected ? (
+                  <Badge color="success" variant="dot" sx={{ mr: 2 }}>
+                    <Typography variant="caption">Live updates active</Typography>
+                  </Badge>
+                ) : (
+                  <Badge color="error" variant="dot" sx={{ mr: 2 }}>
+                    <Typography variant="caption">Live updates disconnected</Typography>
+                  </Badge>
+                )}
+                <Button onClick={() => setMenuOpen(true)} variant="outlined" sx={{ mr: 1 }}>
+                  Menu
+                </Button>
+                <Button onClick={openSlotSettings} variant="outlined" sx={{ mr: 1 }}>
+                  Time slots
+                </Button>
+                <Button onClick={loadOrders} variant="outlined" disabled={loading}>
+                  Refresh
+                </Button>
+              </Box>
+            </Box>
+
+            <Tabs
+              value={tab}
+              onChange={(event, value) => setTab(value)}
+              variant="scrollable"
+              scrollButtons="auto"
+              sx={{ mb: 3, borderBottom: 1, borderColor: 'divider' }}
+            >
+              {TABS.map(({ value, label }) => (
+                <Tab key={value} value={value} label={`${label} (${getTabCount(value)})`} />
+              ))}
+            </Tabs>
+
+            {loadError && (
+              <Alert severity="error" sx={{ mb: 3 }}>
+                {loadError} <Button size="small" onClick={loadOrders}>Retry</Button>
+              </Alert>
+            )}
+
+            {loading ? (
+              <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '40vh' }}>
+                <CircularProgress />
+              </Box>
+            ) : orders.length === 0 ? (
+              <Box sx={{ textAlign: 'center', py: 8, color: 'text.secondary' }}>
+                <ChefHat size={48} style={{ margin: '0 auto 16px' }} />
+                <Typography variant="h6">No orders here yet</Typography>
+                <Typography variant="body2">
+                  Orders for your posts will show up here as soon as customers place them.
+                </Typography>
+              </Box>
+            ) : (
+              <Grid container spacing={3}>
+                {orders.map(renderOrder)}
+              </Grid>
+            )}
+          </Container>
+        </div>
+
+        {/* Prep time dialog */}
+        <Dialog open={!!prepDialog} onClose={() => setPrepDialog(null)} maxWidth="xs" fullWidth>
+          <DialogTitle>
+            {prepDialog?.action === 'confirm'
+              ? 'Confirm order'
+              : prepDialog?.order.status === 'confirmed' ? 'Start preparing' : 'Update prep time'}
+          </DialogTitle>
+          <DialogContent>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              How long until the food is ready? The customer will see this estimate.
+            </Typography>
+            <Stack direction="row" spacing={1} sx={{ mb: 2, flexWrap: 'wrap' }}>
+              {PREP_TIME_PRESETS.map(minutes => (
+                <Chip
+                  key={minutes}
+                  label={`${minutes} min`}
+                  color={Number(prepTime) === minutes ? 'primary' : 'default'}
+                  onClick={() => setPrepTime(minutes)}
+                />
+              ))}
+            </Stack>
+            <TextField
+              label="Prep time (minutes)"
+              type="number"
+              fullWidth
+              value={prepTime}
+              onChange={(e) => setPrepTime(e.target.value)}
+              inputProps={{ min: 1, max: 240 }}
+            />
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setPrepDialog(null)}>Cancel</Button>
+            <Button variant="contained" onClick={handlePrepSubmit} disabled={!!pendingOrderId}>
+              {pendingOrderId ? <CircularProgress size={20} /> : 'Save'}
+            </Button>
+          </DialogActions>
+        </Dialog>
+
+        {/* Reject dialog */}
+        <Dialog open={!!rejectDialog} onClose={() => setRejectDialog(null)} maxWidth="xs" fullWidth>
+          <DialogTitle>Reject order</DialogTitle>
+          <DialogContent>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              The customer will be told you can't take this order and the portions go back on sale.
+            </Typography>
+            <TextField
+              label="Reason (optional)"
+              fullWidth
+              multiline
+              minRows={2}
+              value={rejectReason}
+              onChange={(e) => setRejectReason(e.target.value)}
+            />
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setRejectDialog(null)}>Keep order</Button>
+            <Button variant="contained" color="error" onClick={handleReject} disabled={!!pendingOrderId}>
+              {pendingOrderId ? <CircularProgress size={20} /> : 'Reject'}
+            </Button>
+          </DialogActions>
+        </Dialog>
+
+        {/* Scheduled order settings dialog */}
+        <Dialog open={!!slotSettings} onClose={() => setSlotSettings(null)} maxWidth="xs" fullWidth>
+          <DialogTitle>Scheduled orders</DialogTitle>
+          {slotSettings && (
+            <DialogContent>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Customers can book a {slotMinutes}-minute slot in advance. Choose how many orders you can handle per slot.
+              </Typography>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={slotSettings.enabled}
+                    onChange={(e) => setSlotSettings(prev => ({ ...prev, enabled: e.target.checked }))}
+                  />
+                }
+                label="Accept scheduled orders"
+                sx={{ mb: 2 }}
+              />
+              <TextField
+                label="Orders per slot"
+                type="number"
+                fullWidth
+                sx={{ mb: 2 }}
+                disabled={!slotSettings.enabled}
+                value={slotSettings.capacityPerSlot}
+                onChange={(e) => setSlotSettings(prev => ({ ...prev, capacityPerSlot: e.target.value }))}
+                inputProps={{ min: 0, max: 100 }}
+              />
+              <Stack direction="row" spacing={2}>
+                <TextField
+                  label="Opens"
+                  type="time"
+                  fullWidth
+                  disabled={!slotSettings.enabled}
+                  value={slotSettings.openTime}
+                  onChange={(e) => setSlotSettings(prev => ({ ...prev, openTime: e.target.value }))}
+                  InputLabelProps={{ shrink: true }}
+                />
+                <TextField
+                  label="Closes"
+                  type="time"
+                  fullWidth
+                  disabled={!slotSettings.enabled}
+                  value={slotSettings.closeTime}
+                  onChange={(e) => setSlotSettings(prev => ({ ...prev, closeTime: e.target.value }))}
+                  InputLabelProps={{ shrink: true }}
+                />
+              </Stack>
+            </DialogContent>
+          )}
+          <DialogActions>
+            <Button onClick={() => setSlotSettings(null)}>Cancel</Button>
+            <Button variant="contained" onClick={handleSlotSettingsSave} disabled={savingSlots}>
+              {savingSlots ? <CircularProgress size={20} /> : 'Save'}
+            </Button>
+          </DialogActions>
+        </Dialog>
+
+        <MenuManager open={menuOpen} onClose={() => setMenuOpen(false)} />
+
+        {/* Mobile Sidebar Drawer */}
+        <MobileSidebar isOpen={sidebarOpen} onClose={() => setSidebarOpen(false)} />
+
+        {/* Mobile Bottom Navigation */}
+        <div className="fixed bottom-0 left-0 right-0 block md:hidden bg-white border-t shadow-lg z-50">
+          <div className="flex justify-around items-center h-16">
+            <MobileNavItem icon={<Home size={24} />} label="Home" path="/" />
+            <MobileNavItem icon={<Bell size={24} />} label="Notifications" path="/notifications" />
+            <MobileNavItem icon={<PlusSquare size={24} />} label="Post" path="/create-post" isPostButton={true} />
+            <MobileNavItem icon={<MessageCircle size={24} />} label="Messages" path="/chat/chatpage" />
+            <button
+              onClick={() => setSidebarOpen(!sidebarOpen)}
+              className="flex flex-col items-center justify-center p-2 text-gray-600 hover:text-primary-600 focus:outline-none"
+            >
+              <MenuIcon size={24} />
+              <span className="text-xs mt-1">Menu</span>
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MyKitchen;
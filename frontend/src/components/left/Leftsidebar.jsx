@@ -13,7 +13,8 @@ import {
   Package,
   Receipt,
   Settings,
-  Truck
+  Truck,
+  ChefHat
 } from "lucide-react";
 import CreatePost from "../post/CreatePost";
 import { useDispatch, useSelector } from "react-redux";
@@ -112,6 +113,9 @@ const Leftsidebar = () => {
     } else if (textType == "Delivery") {
       navigate("/deliver/dashboard");
       setShowFavorites(false);
+    } else if (textType == "My Kitchen") {
+      navigate("/kitchen");
+      setShowFavorites(false);
     }
   };
 
@@ -575,6 +579,13 @@ const Leftsidebar = () => {
         sidebarHandler={sidebarHandler}
       />
       
+      {/* Seller dashboard for orders of the user's own food */}
+      <SidebarItem
+        icon={<ChefHat />}
+        label="My Kitchen"
+        sidebarHandler={sidebarHandler}
+      />
+
       {/* Delivery Dashboard Link */}
       <SidebarItem
         icon={<Truck />}
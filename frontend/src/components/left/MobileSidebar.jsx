@@ -8,7 +8,8 @@ import {
   Settings, 
   X,
   ShoppingCart,
-  Receipt
+  Receipt,
+  ChefHat
 } from "lucide-react";
 
 const MobileSidebar = ({ isOpen, onClose }) => {
@@ -48,6 +49,14 @@ const MobileSidebar = ({ isOpen, onClose }) => {
         onClose();
       }
     },
+    {
+      icon: <ChefHat size={24} />,
+      label: "My Kitchen",
+      onClick: () => {
+        navigate("/kitchen");
+        onClose();
+      }
+    },
     {
       icon: <Truck size={24} />,
       label: "Delivery",
@@ -0,0 +1,268 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  Box,
+  Typography,
+  Chip,
+  Slider,
+  IconButton,
+  ToggleButton,
+  ToggleButtonGroup,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import { PlayArrow, Pause, Replay } from '@mui/icons-material';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { getOrderTrail } from '../../services/orderService';
+
+const TRAIL_STATUS_LABELS = {
+  agent_assigned: 'Heading to kitchen',
+  arrived_at_pickup: 'At the kitchen',
+  picked_up: 'Picked up',
+  out_for_delivery: 'Out for delivery',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled'
+};
+
+// Replay speeds, as multiples of real time
+const REPLAY_SPEEDS = [30, 60, 120];
+const TICK_MS = 100;
+
+const toLatLng = (coordinates) => [coordinates[1], coordinates[0]];
+
+const hasCoordinates = (point) =>
+  Array.isArray(point?.coordinates) && (point.coordinates[0] !== 0 || point.coordinates[1] !== 0);
+
+const formatDuration = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+// Index of the last point recorded at or before a moment
+const pointIndexAt = (points, time) => {
+  let index = 0;
+  while (index + 1 < points.length && new Date(points[index + 1].recordedAt).getTime() <= time) {
+    index++;
+  }
+  return index;
+};
+
+// Plays back the route a delivery agent took for one order, from the positions
+// the server kept while the order was with them
+const DeliveryReplay = ({ orderId, height = 320 }) => {
+  const [trail, setTrail] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [replayTime, setReplayTime] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(REPLAY_SPEEDS[1]);
+
+  const mapRef = useRef(null);
+  const mapInstance = useRef(null);
+  const travelledLineRef = useRef(null);
+  const agentMarkerRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchTrail = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await getOrderTrail(orderId);
+        if (cancelled) return;
+        setTrail(response);
+        setReplayTime(response.points.length > 0 ? new Date(response.points[0].recordedAt).getTime() : 0);
+      } catch (err) {
+        if (!cancelled) setError(err.message || 'Failed to load the delivery route');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    setPlaying(false);
+    fetchTrail();
+    return () => {
+      cancelled = true;
+    };
+  }, [orderId]);
+
+  const points = useMemo(() => trail?.points || [], [trail]);
+  const startTime = points.length > 0 ? new Date(points[0].recordedAt).getTime() : 0;
+  const endTime = points.length > 0 ? new Date(points[points.length - 1].recordedAt).getTime() : 0;
+  const currentIndex = points.length > 0 ? pointIndexAt(points, replayTime) : 0;
+  const currentPoint = points[currentIndex];
+
+  // Draw the map once the route is in
+  useEffect(() => {
+    if (!trail || points.length === 0 || !mapRef.current) return;
+
+    const map = L.map(mapRef.current, { zoomControl: true, attributionControl: true });
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+      attribution: '© <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+      maxZoom: 19,
+    }).addTo(map);
+
+    const route = points.map(point => toLatLng(point.coordinates));
+    L.polyline(route, { color: '#9e9e9e', weight: 4, opacity: 0.6, dashArray: '6, 8' }).addTo(map);
+    travelledLineRef.current = L.polyline([route[0]], { color: '#1976d2', weight: 5 }).addTo(map);
+
+    const bounds = L.latLngBounds(route);
+    if (hasCoordinates(trail.pickupLocation)) {
+      const pickup = toLatLng(trail.pickupLocation.coordinates);
+      L.circleMarker(pickup, { radius: 9, color: '#fff', weight: 2, fillColor: '#FF6B35', fillOpacity: 1 })
+        .bindTooltip('Kitchen')
+        .addTo(map);
+      bounds.extend(pickup);
+    }
+    if (hasCoordinates(trail.deliveryLocation)) {
+      const dropoff = toLatLng(trail.deliveryLocation.coordinates);
+      L.circleMarker(dropoff, { radius: 9, color: '#fff', weight: 2, fillColor: '#2e7d32', fillOpacity: 1 })
+        .bindTooltip('Delivery address')
+        .addTo(map);
+      bounds.extend(dropoff);
+    }
+
+    agentMarkerRef.current = L.circleMarker(route[0], {
+      radius: 7, color: '#fff', weight: 2, fillColor: '#1976d2', fillOpacity: 1
+    }).addTo(map);
+
+    map.fitBounds(bounds, { padding: [30, 30], maxZoom: 16 });
+    mapInstance.current = map;
+
+    // Maps drawn inside dialogs need to re-measure once they're laid out
+    const resizeTimer = setTimeout(() => map.invalidateSize(), 200);
+
+    return () => {
+      clearTimeout(resizeTimer);
+      map.remove();
+      mapInstance.current = null;
+      travelledLineRef.current = null;
+      agentMarkerRef.current = null;
+    };
+  }, [trail, points]);
+
+  // Move the agent along as the replay clock runs
+  useEffect(() => {
+    if (!mapInstance.current || points.length === 0) return;
+    const route = points.slice(0, currentIndex + 1).map(point => toLatLng(point.coordinates));
+    travelledLineRef.current?.setLatLngs(route);
+    agentMarkerRef.current?.setLatLng(route[route.length - 1]);
+  }, [points, currentIndex]);
+
+  useEffect(() => {
+    if (!playing) return;
+
+    const interval = setInterval(() => {
+      setReplayTime(prev => Math.min(prev + TICK_MS * speed, endTime));
+    }, TICK_MS);
+
+    return () => clearInterval(interval);
+  }, [playing, speed, endTime]);
+
+  useEffect(() => {
+    if (playing && replayTime >= endTime) {
+      setPlaying(false);
+    }
+  }, [playing, replayTime, endTime]);
+
+  const handlePlayPause = () => {
+    if (!playing && replayTime >= endTime) {
+      setReplayTime(startTime);
+    }
+    setPlaying(prev => !prev);
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', my: 3 }}>
+        <CircularProgress size={28} />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+
+  if (points.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        No route was recorded for this delivery.
+      </Typography>
+    );
+  }
+
+  const { summary, milestones } = trail;
+
+  return (
+    <Box>
+      <Box ref={mapRef} sx={{ height, borderRadius: 1, overflow: 'hidden', mb: 1 }} />
+
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <IconButton size="small" onClick={handlePlayPause} aria-label={playing ? 'Pause replay' : 'Play replay'}>
+          {playing ? <Pause /> : replayTime >= endTime ? <Replay /> : <PlayArrow />}
+        </IconButton>
+        <Slider
+          size="small"
+          min={startTime}
+          max={endTime || startTime + 1}
+          value={replayTime}
+          onChange={(event, value) => {
+            setPlaying(false);
+            setReplayTime(value);
+          }}
+          aria-label="Replay position"
+          sx={{ flex: 1 }}
+        />
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={speed}
+          onChange={(event, value) => value && setSpeed(value)}
+        >
+          {REPLAY_SPEEDS.map(value => (
+            <ToggleButton key={value} value={value} sx={{ px: 1, py: 0.25 }}>
+              {value}×
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+      </Box>
+
+      <Typography variant="body2" sx={{ mb: 1 }}>
+        {new Date(currentPoint.recordedAt).toLocaleTimeString()}
+        {' · '}
+        {TRAIL_STATUS_LABELS[currentPoint.status] || currentPoint.status}
+        {currentPoint.accuracy !== undefined && currentPoint.accuracy !== null && ` · ±${Math.round(currentPoint.accuracy)} m`}
+      </Typography>
+
+      {milestones.length > 0 && (
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mb: 1 }}>
+          {milestones.map(milestone => (
+            <Chip
+              key={`${milestone.status}-${milestone.timestamp}`}
+              size="small"
+              variant="outlined"
+              label={`${TRAIL_STATUS_LABELS[milestone.status] || milestone.status} · ${new Date(milestone.timestamp).toLocaleTimeString()}`}
+              onClick={() => {
+                setPlaying(false);
+                setReplayTime(Math.min(Math.max(new Date(milestone.timestamp).getTime(), startTime), endTime));
+              }}
+            />
+          ))}
+        </Box>
+      )}
+
+      <Typography variant="caption" color="text.secondary" display="block">
+        {(summary.distance / 1000).toFixed(1)} km over {formatDuration(endTime - startTime)} · {summary.pointCount} positions
+      </Typography>
+      {summary.truncated && (
+        <Typography variant="caption" color="warning.main" display="block">
+          Only the start of a very long route is shown
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default DeliveryReplay;
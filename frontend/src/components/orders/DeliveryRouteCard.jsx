@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Button,
+  ToggleButton,
+  ToggleButtonGroup
+} from '@mui/material';
+import { Route } from '@mui/icons-material';
+import DeliveryReplay from './DeliveryReplay';
+
+// Statuses from which the agent's route has started being recorded
+const ROUTE_STATUSES = ['agent_assigned', 'arrived_at_pickup', 'picked_up', 'out_for_delivery', 'delivered'];
+
+// The customer's replay of the route their delivery agent took, one delivery at a time
+const DeliveryRouteCard = ({ order }) => {
+  const deliveries = (order.isCombined ? order.subOrders : [order])
+    .filter(delivery => delivery.deliveryMethod !== 'pickup' && delivery.deliveryAgent && ROUTE_STATUSES.includes(delivery.status));
+  const [open, setOpen] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+
+  if (deliveries.length === 0) {
+    return null;
+  }
+
+  const selected = deliveries.find(delivery => delivery._id === selectedId) || deliveries[0];
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: open ? 2 : 0 }}>
+          <Typography variant="h6">Delivery Route</Typography>
+          <Button size="small" startIcon={<Route />} onClick={() => setOpen(prev => !prev)}>
+            {open ? 'Hide route' : 'Replay route'}
+          </Button>
+        </Box>
+
+        {open && (
+          <>
+            {deliveries.length > 1 && (
+              <ToggleButtonGroup
+                size="small"
+                exclusive
+                value={selected._id}
+                onChange={(event, value) => value && setSelectedId(value)}
+                sx={{ mb: 2, flexWrap: 'wrap' }}
+              >
+                {deliveries.map((delivery, index) => (
+                  <ToggleButton key={delivery._id} value={delivery._id}>
+                    {delivery.seller?.username || `Kitchen ${index + 1}`}
+                  </ToggleButton>
+                ))}
+              </ToggleButtonGroup>
+            )}
+            <DeliveryReplay key={selected._id} orderId={selected._id} />
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default DeliveryRouteCard;
@@ -1,6 +1,7 @@
 import React, { useEffect, useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { getOrderById, cancelOrder, getOrderStatusHistory } from '../../services/orderService';
+import { useSelector } from 'react-redux';
+import { getOrderById, cancelOrder, getCancellationQuote } from '../../services/orderService';
 import { testApiConnection } from '../../utils/apiTester';
 import { 
   Box, 
@@ -29,9 +30,19 @@ import {
   Step,
   StepLabel,
   StepContent,
+  Link,
   
   
 } from '@mui/material';
+import {
+  Timeline,
+  TimelineItem,
+  TimelineOppositeContent,
+  TimelineSeparator,
+  TimelineDot,
+  TimelineConnector,
+  TimelineContent
+} from '@mui/lab';
 import { 
   ArrowBack, 
   LocalShipping, 
@@ -44,10 +55,20 @@ import {
   ShoppingBag,
   Restaurant,
   DirectionsBike,
+  AssignmentInd,
+  Storefront,
+  TakeoutDining,
+  Key,
   Info
 } from '@mui/icons-material';
 import { formatDistanceToNow } from 'date-fns';
 import { toast } from 'react-toastify';
+import { onEvent, offEvent, SOCKET_EVENTS } from '../../services/socketManager';
+import OrderRefunds from './OrderRefunds';
+import RateDelivery from './RateDelivery';
+import DeliveryRouteCard from './DeliveryRouteCard';
+import SolanaPayment from '../wallet/SolanaPayment';
+import MockCardPayment from '../wallet/MockCardPayment';
 
 // Order status steps
 const ORDER_STATUSES = [
@@ -69,6 +90,24 @@ const ORDER_STATUSES = [
     description: 'Your order is being prepared',
     icon: <Restaurant />
   },
+  {
+    status: 'agent_assigned',
+    label: 'Agent Assigned',
+    description: 'A delivery agent is on the way to the kitchen',
+    icon: <AssignmentInd />
+  },
+  {
+    status: 'arrived_at_pickup',
+    label: 'Agent at the Kitchen',
+    description: 'Your delivery agent is at the kitchen, waiting for your food',
+    icon: <Storefront />
+  },
+  {
+    status: 'picked_up',
+    label: 'Picked Up',
+    description: 'Your delivery agent has collected your order',
+    icon: <TakeoutDining />
+  },
   { 
     status: 'out_for_delivery', 
     label: 'Out for Delivery',
@@ -83,6 +122,24 @@ const ORDER_STATUSES = [
   }
 ];
 
+// Steps only delivery orders go through; pickup orders go straight from the kitchen to the customer
+const DELIVERY_LEG_STATUSES = ['agent_assigned', 'arrived_at_pickup', 'picked_up', 'out_for_delivery'];
+
+const getStatusSteps = (order) => (
+  order?.deliveryMethod === 'pickup'
+    ? ORDER_STATUSES.filter(step => !DELIVERY_LEG_STATUSES.includes(step.status))
+    : ORDER_STATUSES
+);
+
+// How the agent showed the order reached the customer
+const DELIVERY_PROOF_LABELS = {
+  otp: 'Confirmed with your delivery code',
+  admin: 'Confirmed by our support team',
+  none: 'Marked as delivered by the agent'
+};
+
+const formatStatus = (status) => status.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+
 const OrderDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -90,10 +147,11 @@ const OrderDetail = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [cancelDialogOpen, setCancelDialogOpen] = useState(false);
+  const [cancellationQuote, setCancellationQuote] = useState(null);
+  const [payDialogOpen, setPayDialogOpen] = useState(false);
   const [isConnected, setIsConnected] = useState(true);
-  const [statusHistory, setStatusHistory] = useState([]);
-  const [historyLoading, setHistoryLoading] = useState(false);
   const [historyDialogOpen, setHistoryDialogOpen] = useState(false);
+  const { connected: socketConnected } = useSelector((state) => state.socket);
   
   const checkConnection = async () => {
     const result = await testApiConnection();
@@ -129,24 +187,58 @@ const OrderDetail = () => {
       fetchOrderDetails();
     }
   }, [id]);
+
+  // The server moves the ETA as the delivery agent drives
+  useEffect(() => {
+    if (!socketConnected) return;
+
+    const handleEtaUpdate = ({ orderId, estimatedDeliveryTime }) => {
+      setOrder(prev => {
+        if (!prev) return prev;
+        if (prev._id === orderId) {
+          return { ...prev, estimatedDeliveryTime };
+        }
+        if (prev.subOrders?.some(subOrder => subOrder._id === orderId)) {
+          return {
+            ...prev,
+            subOrders: prev.subOrders.map(subOrder =>
+              subOrder._id === orderId ? { ...subOrder, estimatedDeliveryTime } : subOrder
+            )
+          };
+        }
+        return prev;
+      });
+    };
+
+    onEvent(SOCKET_EVENTS.ORDER_ETA_UPDATED, handleEtaUpdate);
+    return () => offEvent(SOCKET_EVENTS.ORDER_ETA_UPDATED, handleEtaUpdate);
+  }, [socketConnected]);
   
-  // Fetch order status history
-  const fetchStatusHistory = async () => {
+  // Handle viewing status history
+  const handleViewHistory = () => {
+    setHistoryDialogOpen(true);
+  };
+  
+  // Open the cancel dialog with the fee and refund for cancelling now
+  const openCancelDialog = async () => {
+    setCancellationQuote(null);
+    setCancelDialogOpen(true);
     try {
-      setHistoryLoading(true);
-      const response = await getOrderStatusHistory(id);
-      setStatusHistory(response.statusHistory || []);
-      setHistoryLoading(false);
+      const quote = await getCancellationQuote(id);
+      setCancellationQuote(quote);
     } catch (error) {
-      toast.error('Failed to load status history');
-      setHistoryLoading(false);
+      console.error('Failed to load cancellation details:', error);
     }
   };
-  
-  // Handle viewing status history
-  const handleViewHistory = () => {
-    fetchStatusHistory();
-    setHistoryDialogOpen(true);
+
+  // Reload the order after something changed on the server (e.g. a refund)
+  const reloadOrder = async () => {
+    try {
+      const response = await getOrderById(id);
+      setOrder(response.order);
+    } catch (error) {
+      console.error('Failed to reload order:', error);
+    }
   };
   
   // Handle order cancellation
@@ -159,13 +251,18 @@ const OrderDetail = () => {
         return;
       }
       
-      await cancelOrder(id);
-      // Update local order state
-      setOrder(prev => ({
-        ...prev,
-        status: 'cancelled'
-      }));
-      toast.success('Order cancelled successfully');
+      const response = await cancelOrder(id);
+      // Kitchens that already delivered keep their status, and paid orders get a refund
+      await reloadOrder();
+
+      const refund = response.refunds?.[0];
+      if (refund?.status === 'approved') {
+        toast.success(`Order cancelled. ₹${refund.approvedAmount.toFixed(2)} will be refunded.`);
+      } else if (refund) {
+        toast.success('Order cancelled. Your refund is waiting for review.');
+      } else {
+        toast.success('Order cancelled successfully');
+      }
       setCancelDialogOpen(false);
     } catch (error) {
       toast.error(error.message || 'Failed to cancel order');
@@ -177,7 +274,7 @@ const OrderDetail = () => {
     if (!order) return -1;
     if (order.status === 'cancelled') return -1;
     
-    return ORDER_STATUSES.findIndex(statusStep => statusStep.status === order.status);
+    return getStatusSteps(order).findIndex(statusStep => statusStep.status === order.status);
   };
   
   // Function to get status chip color
@@ -189,6 +286,11 @@ const OrderDetail = () => {
         return 'info';
       case 'preparing':
         return 'secondary';
+      case 'agent_assigned':
+        return 'info';
+      case 'arrived_at_pickup':
+        return 'secondary';
+      case 'picked_up':
       case 'out_for_delivery':
         return 'primary';
       case 'delivered':
@@ -207,15 +309,10 @@ const OrderDetail = () => {
   };
   
   // Render order status timeline
+  // Every status change is recorded on the order, including each leg of the delivery
   const renderStatusTimeline = () => {
-    if (historyLoading) {
-      return (
-        <Box sx={{ display: 'flex', justifyContent: 'center', my: 2 }}>
-          <CircularProgress />
-        </Box>
-      );
-    }
-    
+    const statusHistory = order.statusHistory || [];
+
     if (statusHistory.length === 0) {
       return (
         <Typography variant="body2" color="text.secondary" sx={{ my: 2 }}>
@@ -237,10 +334,15 @@ const OrderDetail = () => {
             </TimelineSeparator>
             <TimelineContent>
               <Typography variant="subtitle1" component="span">
-                {item.status.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase())}
+                {formatStatus(item.status)}
               </Typography>
-              {item.notes && (
-                <Typography variant="body2">{item.notes}</Typography>
+              {item.seller && (
+                <Typography variant="caption" color="text.secondary" display="block">
+                  {item.seller}
+                </Typography>
+              )}
+              {item.note && (
+                <Typography variant="body2">{item.note}</Typography>
               )}
             </TimelineContent>
           </TimelineItem>
@@ -327,7 +429,7 @@ const OrderDetail = () => {
           Order Details
         </Typography>
         <Chip 
-          label={order.status.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase())}
+          label={formatStatus(order.status)}
           color={getStatusColor(order.status)}
           sx={{ ml: 2 }}
         />
@@ -350,10 +452,16 @@ const OrderDetail = () => {
                   View History
                 </Button>
               </Box>
+
+              {order.deliveryOtp && (
+                <Alert severity="info" icon={<Key />} sx={{ mb: 2 }}>
+                  Your delivery code is <strong>{order.deliveryOtp}</strong>. Give it to the delivery agent when your order arrives, not before.
+                </Alert>
+              )}
               
               {order.status === 'cancelled' ? (
                 <Alert severity="error" icon={<CancelOutlined />} sx={{ mb: 2 }}>
-                  This order was cancelled {order.statusHistory?.length > 0 && `${formatDistanceToNow(new Date(order.statusHistory[0].timestamp), { addSuffix: true })}`}
+                  This order was cancelled {order.statusHistory?.length > 0 && `${formatDistanceToNow(new Date(order.statusHistory[order.statusHistory.length - 1].timestamp), { addSuffix: true })}`}
                 </Alert>
               ) : (
                 <Stepper 
@@ -366,7 +474,7 @@ const OrderDetail = () => {
                     } 
                   }}
                 >
-                  {ORDER_STATUSES.map((step, index) => (
+                  {getStatusSteps(order).map((step, index) => (
                     <Step key={step.status}>
                       <StepLabel
                         StepIconProps={{
@@ -400,6 +508,73 @@ const OrderDetail = () => {
             </CardContent>
           </Card>
           
+          {/* Per-kitchen progress for orders split between sellers */}
+          {order.isCombined && (
+            <Card sx={{ mb: 3 }}>
+              <CardContent>
+                <Typography variant="h6" gutterBottom>
+                  Kitchens
+                </Typography>
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                  Your order is prepared by {order.subOrders.length} kitchens and each part is picked up separately.
+                </Typography>
+                {order.subOrders.map((subOrder, index) => (
+                  <Box key={subOrder._id}>
+                    {index > 0 && <Divider sx={{ my: 2 }} />}
+                    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                      <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                        <Restaurant fontSize="small" sx={{ mr: 1 }} />
+                        <Typography variant="subtitle1">
+                          {subOrder.seller?.username || `Kitchen ${index + 1}`}
+                        </Typography>
+                      </Box>
+                      <Chip
+                        label={formatStatus(subOrder.status)}
+                        color={getStatusColor(subOrder.status)}
+                        size="small"
+                      />
+                    </Box>
+                    <Typography variant="body2" color="text.secondary">
+                      {subOrder.items.map(item => `${item.quantity} × ${item.name}`).join(', ')}
+                    </Typography>
+                    <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 1 }}>
+                      <Typography variant="body2">
+                        {subOrder.deliveryAgent
+                          ? `Delivery agent: ${subOrder.deliveryAgent.name}`
+                          : 'No delivery agent yet'}
+                      </Typography>
+                      <Typography variant="body2">₹{subOrder.total?.toFixed(2)}</Typography>
+                    </Box>
+                    {subOrder.deliveryOtp && (
+                      <Typography variant="body2" sx={{ mt: 1 }}>
+                        Delivery code for this part: <strong>{subOrder.deliveryOtp}</strong>
+                      </Typography>
+                    )}
+                    {subOrder.estimatedDeliveryTime && !['delivered', 'cancelled'].includes(subOrder.status) && (
+                      <Box sx={{ display: 'flex', alignItems: 'center', mt: 1 }}>
+                        <AccessTime fontSize="small" sx={{ mr: 1 }} />
+                        <Typography variant="body2">
+                          Estimated delivery: {formatDate(subOrder.estimatedDeliveryTime)}
+                        </Typography>
+                      </Box>
+                    )}
+                    {subOrder.deliveryProof && (
+                      <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 0.5 }}>
+                        {DELIVERY_PROOF_LABELS[subOrder.deliveryProof.method]}
+                        {subOrder.deliveryProof.photo && (
+                          <> · <Link href={subOrder.deliveryProof.photo.url} target="_blank" rel="noopener noreferrer">Photo at the door</Link></>
+                        )}
+                      </Typography>
+                    )}
+                  </Box>
+                ))}
+              </CardContent>
+            </Card>
+          )}
+          
+          {/* Replay of the agent's route */}
+          <DeliveryRouteCard order={order} />
+          
           {/* Order Items */}
           <Card sx={{ mb: 3 }}>
             <CardContent>
@@ -489,6 +664,31 @@ const OrderDetail = () => {
                     </Typography>
                   </Grid>
                 )}
+                {order.deliveryProof && (
+                  <Grid item xs={12}>
+                    <Typography variant="subtitle2">Proof of Delivery</Typography>
+                    <Typography variant="body2">
+                      {DELIVERY_PROOF_LABELS[order.deliveryProof.method]}
+                      {order.deliveryProof.confirmedAt && ` on ${formatDate(order.deliveryProof.confirmedAt)}`}
+                    </Typography>
+                    {order.deliveryProof.photo && (
+                      <Box
+                        component="a"
+                        href={order.deliveryProof.photo.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        sx={{ display: 'inline-block', mt: 1 }}
+                      >
+                        <Box
+                          component="img"
+                          src={order.deliveryProof.photo.url}
+                          alt="Your order at the door"
+                          sx={{ width: 160, height: 120, objectFit: 'cover', borderRadius: 1 }}
+                        />
+                      </Box>
+                    )}
+                  </Grid>
+                )}
               </Grid>
             </CardContent>
           </Card>
@@ -509,6 +709,19 @@ const OrderDetail = () => {
                 <Typography variant="subtitle2" color="text.secondary">Order Date</Typography>
                 <Typography variant="body1">{formatDate(order.createdAt)}</Typography>
               </Box>
+              {order.scheduledSlot?.start && (
+                <Box sx={{ mb: 2 }}>
+                  <Typography variant="subtitle2" color="text.secondary">
+                    {order.deliveryMethod === 'pickup' ? 'Pickup Slot' : 'Delivery Slot'}
+                  </Typography>
+                  <Typography variant="body1">
+                    {new Date(order.scheduledSlot.start).toLocaleDateString()}{' '}
+                    {new Date(order.scheduledSlot.start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                    {' – '}
+                    {new Date(order.scheduledSlot.end).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                  </Typography>
+                </Box>
+              )}
               <Divider sx={{ my: 2 }} />
               <Box sx={{ mb: 1 }}>
                 <Grid container>
@@ -556,6 +769,18 @@ const OrderDetail = () => {
                   </Grid>
                 </Box>
               )}
+              {order.tip > 0 && (
+                <Box sx={{ mb: 1 }}>
+                  <Grid container>
+                    <Grid item xs={6}>
+                      <Typography variant="body2">Tip</Typography>
+                    </Grid>
+                    <Grid item xs={6} textAlign="right">
+                      <Typography variant="body2">₹{order.tip.toFixed(2)}</Typography>
+                    </Grid>
+                  </Grid>
+                </Box>
+              )}
               <Divider sx={{ my: 1 }} />
               <Box sx={{ mb: 1 }}>
                 <Grid container>
@@ -585,15 +810,22 @@ const OrderDetail = () => {
               <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                 <Typography variant="body2">Status</Typography>
                 <Chip 
-                  label={order.paymentStatus.charAt(0).toUpperCase() + order.paymentStatus.slice(1)}
+                  label={(order.paymentStatus.charAt(0).toUpperCase() + order.paymentStatus.slice(1)).replace(/_/g, ' ')}
                   color={order.paymentStatus === 'paid' ? 'success' : 
-                         order.paymentStatus === 'pending' ? 'warning' : 'error'}
+                         order.paymentStatus === 'pending' ? 'warning' :
+                         order.paymentStatus.includes('refunded') ? 'secondary' : 'error'}
                   size="small"
                 />
               </Box>
             </CardContent>
           </Card>
           
+          {/* Delivery agent rating */}
+          <RateDelivery order={order} onRated={reloadOrder} />
+          
+          {/* Refunds */}
+          <OrderRefunds order={order} onRefundRequested={reloadOrder} />
+          
           {/* Actions */}
           <Card>
             <CardContent>
@@ -611,12 +843,25 @@ const OrderDetail = () => {
                 Print Receipt
               </Button>
               
-              {order.status !== 'delivered' && order.status !== 'cancelled' && (
+              {['solana', 'card'].includes(order.paymentMethod) && order.paymentStatus === 'pending' && order.status !== 'cancelled' && (
+                <Button
+                  variant="contained"
+                  color="secondary"
+                  fullWidth
+                  sx={{ mb: 2 }}
+                  onClick={() => setPayDialogOpen(true)}
+                >
+                  {order.paymentMethod === 'solana' ? 'Pay with Solana' : 'Pay by card'}
+                </Button>
+              )}
+
+              {/* Orders can't be cancelled once a delivery agent has picked them up */}
+              {['processing', 'confirmed', 'preparing'].includes(order.status) && (
                 <Button
                   variant="outlined"
                   color="error"
                   fullWidth
-                  onClick={() => setCancelDialogOpen(true)}
+                  onClick={openCancelDialog}
                   disabled={['out_for_delivery', 'delivered'].includes(order.status)}
                 >
                   Cancel Order
@@ -637,6 +882,17 @@ const OrderDetail = () => {
           <DialogContentText>
             Are you sure you want to cancel this order? This action cannot be undone.
           </DialogContentText>
+          {cancellationQuote?.fee > 0 && (
+            <Alert severity="warning" sx={{ mt: 2 }}>
+              The kitchen has already started on your order, so a cancellation fee of ₹{cancellationQuote.fee.toFixed(2)} applies.
+              ₹{cancellationQuote.refundAmount.toFixed(2)} will be refunded after review.
+            </Alert>
+          )}
+          {cancellationQuote && cancellationQuote.fee === 0 && cancellationQuote.refundAmount > 0 && (
+            <Alert severity="info" sx={{ mt: 2 }}>
+              You'll get a full refund of ₹{cancellationQuote.refundAmount.toFixed(2)}.
+            </Alert>
+          )}
         </DialogContent>
         <DialogActions>
           <Button onClick={() => setCancelDialogOpen(false)}>No, Keep Order</Button>
@@ -646,6 +902,38 @@ const OrderDetail = () => {
         </DialogActions>
       </Dialog>
       
+      {/* Payment Dialog */}
+      <Dialog open={payDialogOpen} onClose={() => setPayDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>{order.paymentMethod === 'solana' ? 'Pay with Solana' : 'Pay by card'}</DialogTitle>
+        <DialogContent>
+          {payDialogOpen && order.paymentMethod === 'card' && (
+            <MockCardPayment
+              orderId={id}
+              onSuccess={async () => {
+                toast.success('Payment received');
+                setPayDialogOpen(false);
+                await reloadOrder();
+              }}
+              onError={(message) => toast.error(message || 'Payment failed')}
+            />
+          )}
+          {payDialogOpen && order.paymentMethod === 'solana' && (
+            <SolanaPayment
+              orderId={id}
+              onSuccess={async () => {
+                toast.success('Payment verified');
+                setPayDialogOpen(false);
+                await reloadOrder();
+              }}
+              onError={(message) => toast.error(message || 'Payment failed')}
+            />
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPayDialogOpen(false)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Status History Dialog */}
       <Dialog
         open={historyDialogOpen}
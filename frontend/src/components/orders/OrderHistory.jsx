@@ -25,7 +25,7 @@ import {
 import { formatDistanceToNow } from 'date-fns';
 import { cancelOrder, reorderPreviousOrder } from '../../services/orderService';
 import { toast } from 'react-toastify';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, Link as RouterLink } from 'react-router-dom';
 import NoOrders from './NoOrders';
 import { testApiConnection } from '../../utils/apiTester';
 import { 
@@ -129,6 +129,18 @@ const OrderHistory = () => {
         if (latestUpdate.orderId && latestUpdate.status) {
           setLocalOrders(prevOrders => 
             prevOrders.map(order => {
+              // Updates for one kitchen of a combined order only touch that kitchen
+              if (order.subOrders?.some(subOrder => subOrder._id === latestUpdate.orderId)) {
+                return {
+                  ...order,
+                  subOrders: order.subOrders.map(subOrder =>
+                    subOrder._id === latestUpdate.orderId
+                      ? { ...subOrder, status: latestUpdate.status }
+                      : subOrder
+                  )
+                };
+              }
+
               if (order._id === latestUpdate.orderId) {
                 console.log(`Updating local order ${order._id} status from ${order.status} to ${latestUpdate.status}`);
                 
@@ -222,8 +234,8 @@ const OrderHistory = () => {
     try {
       const response = await reorderPreviousOrder(orderId);
       toast.success('Order placed successfully');
-      // Navigate to order detail
-      navigate(`/orders/${response.order._id}`);
+      // Navigate to order detail (the combined order when it was split between kitchens)
+      navigate(`/orders/${response.orders?.length > 1 ? response.checkout._id : response.order._id}`);
     } catch (error) {
       toast.error(error.message || 'Error reordering');
     }
@@ -238,6 +250,11 @@ const OrderHistory = () => {
         return 'info';
       case 'preparing':
         return 'secondary';
+      case 'agent_assigned':
+        return 'info';
+      case 'arrived_at_pickup':
+        return 'secondary';
+      case 'picked_up':
       case 'out_for_delivery':
         return 'primary';
       case 'delivered':
@@ -501,6 +518,26 @@ const OrderHistory = () => {
                       </Box>
                       
                       <Divider sx={{ my: 2 }} />
+
+                      {/* Orders split between kitchens show each kitchen's progress */}
+                      {order.isCombined && (
+                        <Box sx={{ mb: 2 }}>
+                          <Typography variant="subtitle2" gutterBottom>
+                            From {order.subOrders.length} kitchens:
+                          </Typography>
+                          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+                            {order.subOrders.map(subOrder => (
+                              <Chip
+                                key={subOrder._id}
+                                label={`${subOrder.seller?.username || 'Kitchen'}: ${subOrder.status.replace(/_/g, ' ')}`}
+                                color={getStatusColor(subOrder.status)}
+                                variant="outlined"
+                                size="small"
+                              />
+                            ))}
+                          </Box>
+                        </Box>
+                      )}
                       
                       <Box sx={{ mb: 2 }}>
                         <Typography variant="subtitle2" gutterBottom>Order Items:</Typography>
@@ -532,7 +569,25 @@ const OrderHistory = () => {
                                           }}
                                         />
                                       )}
-                                      <Typography variant="body2">{item.name}</Typography>
+                                      <Box>
+                                        {item.itemType !== 'Product' && item.productId ? (
+                                          <Typography
+                                            variant="body2"
+                                            component={RouterLink}
+                                            to={`/post/${item.productId}`}
+                                            sx={{ color: 'inherit', '&:hover': { textDecoration: 'underline' } }}
+                                          >
+                                            {item.name}
+                                          </Typography>
+                                        ) : (
+                                          <Typography variant="body2">{item.name}</Typography>
+                                        )}
+                                        {order.isCombined && item.seller?.username && (
+                                          <Typography variant="caption" color="text.secondary">
+                                            by {item.seller.username}
+                                          </Typography>
+                                        )}
+                                      </Box>
                                     </Box>
                                   </TableCell>
                                   <TableCell align="right">{item.quantity}</TableCell>
@@ -0,0 +1,224 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Chip,
+  Button,
+  Divider,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  RadioGroup,
+  Radio,
+  FormControlLabel,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import { toast } from 'react-toastify';
+import { getOrderRefunds, requestRefund } from '../../services/orderService';
+
+const REFUND_STATUS_COLORS = {
+  pending: 'warning',
+  approved: 'success',
+  rejected: 'error'
+};
+
+const REFUND_TYPE_LABELS = {
+  cancellation: 'Cancellation',
+  partial: 'Missing or wrong items',
+  dispute: 'Delivery dispute'
+};
+
+const AUDIT_ACTION_LABELS = {
+  requested: 'Requested',
+  approved: 'Approved',
+  auto_approved: 'Approved automatically',
+  rejected: 'Declined'
+};
+
+const formatAmount = (amount) => `₹${(amount || 0).toFixed(2)}`;
+
+// Refunds for an order, and a form for asking for one once it's delivered
+const OrderRefunds = ({ order, onRefundRequested }) => {
+  const [refunds, setRefunds] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [form, setForm] = useState({ type: 'partial', reason: '', quantities: {} });
+
+  const canRequest = order.status === 'delivered' &&
+    ['paid', 'partially_refunded'].includes(order.paymentStatus) &&
+    !order.isCombined;
+
+  const loadRefunds = useCallback(async () => {
+    try {
+      const response = await getOrderRefunds(order._id);
+      setRefunds(response.refunds || []);
+    } catch (error) {
+      console.error('Failed to load refunds:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [order._id]);
+
+  useEffect(() => {
+    loadRefunds();
+  }, [loadRefunds, order.status, order.paymentStatus]);
+
+  const openDialog = () => {
+    setForm({ type: 'partial', reason: '', quantities: {} });
+    setDialogOpen(true);
+  };
+
+  const setQuantity = (itemId, value, max) => {
+    const quantity = Math.max(0, Math.min(parseInt(value, 10) || 0, max));
+    setForm(prev => ({ ...prev, quantities: { ...prev.quantities, [itemId]: quantity } }));
+  };
+
+  const selectedItems = Object.entries(form.quantities)
+    .filter(([, quantity]) => quantity > 0)
+    .map(([itemId, quantity]) => ({ itemId, quantity }));
+
+  const handleSubmit = async () => {
+    if (form.type === 'partial' && selectedItems.length === 0) {
+      toast.error('Choose the items you want refunded');
+      return;
+    }
+    if (!form.reason.trim()) {
+      toast.error('Please tell us what went wrong');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await requestRefund({
+        orderId: order._id,
+        type: form.type,
+        reason: form.reason.trim(),
+        items: selectedItems
+      });
+      toast.success(response.message);
+      setDialogOpen(false);
+      loadRefunds();
+      onRefundRequested?.();
+    } catch (error) {
+      toast.error(error.message || 'Failed to request refund');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading || (refunds.length === 0 && !canRequest)) {
+    return null;
+  }
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          Refunds
+        </Typography>
+
+        {order.refundedAmount > 0 && (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            {formatAmount(order.refundedAmount)} refunded so far
+          </Typography>
+        )}
+
+        {refunds.map((refund, index) => (
+          <Box key={refund._id} sx={{ mb: 2 }}>
+            {index > 0 && <Divider sx={{ mb: 2 }} />}
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 0.5 }}>
+              <Typography variant="subtitle2">{REFUND_TYPE_LABELS[refund.type] || refund.type}</Typography>
+              <Chip
+                label={refund.status.charAt(0).toUpperCase() + refund.status.slice(1)}
+                color={REFUND_STATUS_COLORS[refund.status] || 'default'}
+                size="small"
+              />
+            </Box>
+            <Typography variant="body2">
+              {formatAmount(refund.status === 'approved' ? refund.approvedAmount : refund.amount)}
+              {refund.cancellationFee > 0 && ` (after a ${formatAmount(refund.cancellationFee)} cancellation fee)`}
+            </Typography>
+            {refund.items?.length > 0 && refund.type !== 'cancellation' && (
+              <Typography variant="caption" color="text.secondary" display="block">
+                {refund.items.map(item => `${item.quantity} × ${item.name || 'Item'}`).join(', ')}
+              </Typography>
+            )}
+            {refund.auditTrail?.map((entry, entryIndex) => (
+              <Typography key={entryIndex} variant="caption" color="text.secondary" display="block">
+                {new Date(entry.timestamp).toLocaleString()} · {AUDIT_ACTION_LABELS[entry.action] || entry.action}
+                {entry.note ? ` — ${entry.note}` : ''}
+              </Typography>
+            ))}
+          </Box>
+        ))}
+
+        {canRequest && (
+          <Button variant="outlined" fullWidth onClick={openDialog}>
+            Request a refund
+          </Button>
+        )}
+      </CardContent>
+
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Request a refund</DialogTitle>
+        <DialogContent>
+          <RadioGroup
+            value={form.type}
+            onChange={(e) => setForm(prev => ({ ...prev, type: e.target.value }))}
+            sx={{ mb: 2 }}
+          >
+            <FormControlLabel value="partial" control={<Radio />} label="Some items were missing or wrong" />
+            <FormControlLabel value="dispute" control={<Radio />} label="I didn't receive my order" />
+          </RadioGroup>
+
+          <Typography variant="subtitle2" gutterBottom>
+            {form.type === 'partial' ? 'Which items?' : 'Which items? (leave empty for the whole order)'}
+          </Typography>
+          {order.items.map(item => (
+            <Box key={item._id} sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+              <Typography variant="body2">
+                {item.name || 'Item'} <Typography component="span" variant="caption" color="text.secondary">(ordered {item.quantity})</Typography>
+              </Typography>
+              <TextField
+                type="number"
+                size="small"
+                sx={{ width: 90 }}
+                value={form.quantities[item._id] || 0}
+                onChange={(e) => setQuantity(item._id, e.target.value, item.quantity)}
+                inputProps={{ min: 0, max: item.quantity }}
+              />
+            </Box>
+          ))}
+
+          <TextField
+            label="What went wrong?"
+            fullWidth
+            multiline
+            minRows={3}
+            sx={{ mt: 2 }}
+            value={form.reason}
+            onChange={(e) => setForm(prev => ({ ...prev, reason: e.target.value }))}
+          />
+
+          <Alert severity="info" sx={{ mt: 2 }}>
+            Refund requests are reviewed by our team. You'll get a notification once it's decided.
+          </Alert>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSubmit} disabled={submitting}>
+            {submitting ? <CircularProgress size={20} /> : 'Submit request'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default OrderRefunds;
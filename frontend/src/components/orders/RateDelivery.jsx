@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Chip,
+  Button,
+  Divider,
+  TextField,
+  Rating,
+  CircularProgress
+} from '@mui/material';
+import { toast } from 'react-toastify';
+import { rateDelivery } from '../../services/orderService';
+
+// Tags the server accepts, in the order they're offered
+const DELIVERY_RATING_TAG_LABELS = {
+  on_time: 'On time',
+  friendly: 'Friendly',
+  careful_handling: 'Handled with care',
+  followed_instructions: 'Followed instructions',
+  late: 'Late',
+  rude: 'Rude',
+  damaged_packaging: 'Damaged packaging',
+  hard_to_reach: 'Hard to reach'
+};
+
+const RATING_LABELS = {
+  1: 'Poor',
+  2: 'Not great',
+  3: 'Okay',
+  4: 'Good',
+  5: 'Excellent'
+};
+
+// One delivery's rating: the form until it's rated, then what the customer gave
+const DeliveryRatingForm = ({ delivery, kitchenName, onRated }) => {
+  const [rating, setRating] = useState(0);
+  const [hover, setHover] = useState(-1);
+  const [tags, setTags] = useState([]);
+  const [comment, setComment] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const agentName = delivery.deliveryAgent?.name || 'your delivery agent';
+  const existing = delivery.deliveryRating;
+
+  if (existing) {
+    return (
+      <Box>
+        <Typography variant="body2" color="text.secondary">
+          You rated {agentName}{kitchenName ? ` (${kitchenName})` : ''}
+        </Typography>
+        <Rating value={existing.rating} readOnly size="small" />
+        {existing.tags?.length > 0 && (
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 0.5 }}>
+            {existing.tags.map(tag => (
+              <Chip key={tag} label={DELIVERY_RATING_TAG_LABELS[tag] || tag} size="small" variant="outlined" />
+            ))}
+          </Box>
+        )}
+        {existing.comment && (
+          <Typography variant="body2" sx={{ mt: 0.5, fontStyle: 'italic' }}>
+            “{existing.comment}”
+          </Typography>
+        )}
+      </Box>
+    );
+  }
+
+  const toggleTag = (tag) => {
+    setTags(prev => (prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]));
+  };
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    try {
+      const response = await rateDelivery(delivery._id, {
+        rating,
+        tags,
+        comment: comment.trim() || undefined
+      });
+      toast.success(response.message);
+      onRated?.();
+    } catch (error) {
+      toast.error(error.message || 'Failed to rate delivery');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="body2" sx={{ mb: 0.5 }}>
+        How was your delivery with {agentName}{kitchenName ? ` (${kitchenName})` : ''}?
+      </Typography>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <Rating
+          value={rating}
+          onChange={(event, value) => setRating(value || 0)}
+          onChangeActive={(event, value) => setHover(value)}
+        />
+        <Typography variant="caption" color="text.secondary">
+          {RATING_LABELS[hover !== -1 ? hover : rating] || ''}
+        </Typography>
+      </Box>
+
+      {rating > 0 && (
+        <>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, my: 1 }}>
+            {Object.entries(DELIVERY_RATING_TAG_LABELS).map(([tag, label]) => (
+              <Chip
+                key={tag}
+                label={label}
+                size="small"
+                color={tags.includes(tag) ? 'primary' : 'default'}
+                variant={tags.includes(tag) ? 'filled' : 'outlined'}
+                onClick={() => toggleTag(tag)}
+              />
+            ))}
+          </Box>
+          <TextField
+            label="Anything else? (optional)"
+            fullWidth
+            multiline
+            minRows={2}
+            size="small"
+            value={comment}
+            onChange={(e) => setComment(e.target.value.slice(0, 500))}
+            sx={{ mb: 1 }}
+          />
+          <Button variant="contained" size="small" onClick={handleSubmit} disabled={submitting}>
+            {submitting ? <CircularProgress size={20} color="inherit" /> : 'Submit rating'}
+          </Button>
+        </>
+      )}
+    </Box>
+  );
+};
+
+// Rate-your-delivery card for delivered orders, one rating per delivery agent
+const RateDelivery = ({ order, onRated }) => {
+  const deliveries = (order.isCombined ? order.subOrders : [order])
+    .filter(delivery => delivery.status === 'delivered' && delivery.deliveryAgent);
+
+  if (deliveries.length === 0) {
+    return null;
+  }
+
+  const allRated = deliveries.every(delivery => delivery.deliveryRating);
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          {allRated ? 'Your Delivery Rating' : 'Rate Your Delivery'}
+        </Typography>
+        {deliveries.map((delivery, index) => (
+          <Box key={delivery._id}>
+            {index > 0 && <Divider sx={{ my: 2 }} />}
+            <DeliveryRatingForm
+              delivery={delivery}
+              kitchenName={order.isCombined ? delivery.seller?.username : null}
+              onRated={onRated}
+            />
+          </Box>
+        ))}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default RateDelivery;
@@ -15,7 +15,7 @@ import {
   Box,
 } from "@mui/material";
 import { readFileAsDataURL } from "../../lib/utils";
-import { Loader2 } from "lucide-react";
+import { Loader2, X, ChevronLeft, ChevronRight } from "lucide-react";
 import { toast } from "react-toastify";
 import useGetAllPost from "../../hooks/useGetAllPost";
 import { useDispatch, useSelector } from "react-redux";
@@ -23,16 +23,24 @@ import store from "./../../redux/store";
 import { setPosts } from "../../redux/postSlice";
 import { useStoryProtocol } from "../../providers/StoryProtocolProvider";
 import axiosInstance from "../../utils/axiosInstance";
+import { getMyMenu } from "../../services/menuService";
+import { AVAILABILITY_OPTIONS, DEFAULT_AVAILABILITY_HOURS } from "../../utils/postExpiry";
+import { MAX_POST_MEDIA, getPostMedia } from "../../utils/postMedia";
+import MediaCarousel from "./MediaCarousel";
 import { API_BASE_URL, getApiUrl } from "../../utils/apiConfig";
 // Import the centralized API configuration
 
-const CreatePost = ({ open, setOpen, refreshPosts }) => {
+// Creates a post, or edits one when `post` is given. Editing keeps the post's
+// likes, comments and ratings; the media is only replaced if new files are picked.
+const CreatePost = ({ open, setOpen, refreshPosts, post: editingPost, onUpdated }) => {
   const postRef = useRef();
-  const [file, setFile] = useState("");
+  // New photos and videos in the order they'll be shown, and their previews.
+  // When editing, the previews start as the post's current media.
+  const [files, setFiles] = useState([]);
   const [caption, setCaption] = useState("");
   const [price, setPrice] = useState("");
   const [loading, setLoading] = useState(false);
-  const [postPreview, setPostPreview] = useState("");
+  const [previews, setPreviews] = useState([]);
   const [category, setCategory] = useState("");
   const [vegetarian, setVegetarian] = useState(false);
   const [spicyLevel, setSpicyLevel] = useState("none");
@@ -41,7 +49,54 @@ const CreatePost = ({ open, setOpen, refreshPosts }) => {
   const [ingredients, setIngredients] = useState("");
   const [cuisine, setCuisine] = useState("");
   const [onBlockchain, setOnBlockchain] = useState(false);
+  // Items on the seller's menu this post can be a fresh batch of
+  const [menuItems, setMenuItems] = useState([]);
+  const [menuItem, setMenuItem] = useState("");
+  const [availableHours, setAvailableHours] = useState(DEFAULT_AVAILABILITY_HOURS);
+  const [quantity, setQuantity] = useState("");
   const dispatch = useDispatch();
+  const isEditing = Boolean(editingPost);
+
+  // Start from the post's current details when editing
+  useEffect(() => {
+    if (!open || !editingPost) return;
+    setCaption(editingPost.caption || "");
+    setPrice(editingPost.price || "");
+    setCategory(editingPost.category || "");
+    setVegetarian(Boolean(editingPost.vegetarian));
+    setSpicyLevel(editingPost.spicyLevel || "none");
+    setQuantity(String(editingPost.quantity ?? ""));
+    setFiles([]);
+    setPreviews(getPostMedia(editingPost));
+  }, [open, editingPost]);
+
+  useEffect(() => {
+    if (!open || isEditing) return;
+
+    let cancelled = false;
+    getMyMenu()
+      .then((response) => {
+        if (!cancelled) setMenuItems(response.items || []);
+      })
+      .catch((error) => {
+        console.error("Error loading menu:", error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, isEditing]);
+
+  // Start the post from the menu item's details
+  const handleMenuItemChange = (itemId) => {
+    setMenuItem(itemId);
+    const item = menuItems.find((entry) => entry._id === itemId);
+    if (!item) return;
+    if (!caption) setCaption(item.name);
+    if (!price) setPrice(String(item.price));
+    setCategory(item.menuCategory);
+    setVegetarian(Boolean(item.vegetarian));
+  };
 
   // Get Story Protocol context
   const { isInitialized } = useStoryProtocol();
@@ -53,8 +108,8 @@ const CreatePost = ({ open, setOpen, refreshPosts }) => {
     // Reset state on close
     setCaption("");
     setPrice("");
-    setFile("");
-    setPostPreview("");
+    setFiles([]);
+    setPreviews([]);
     setCategory("");
     setVegetarian(false);
     setSpicyLevel("none");
@@ -63,16 +118,53 @@ const CreatePost = ({ open, setOpen, refreshPosts }) => {
     setIngredients("");
     setCuisine("");
     setOnBlockchain(false);
+    setMenuItem("");
+    setAvailableHours(DEFAULT_AVAILABILITY_HOURS);
+    setQuantity("");
     setLoading(false);
   };
 
+  const editPostHandler = async () => {
+    setLoading(true);
+    const formData = new FormData();
+    files.forEach((file) => formData.append("media", file));
+    formData.append("caption", caption);
+    formData.append("price", price);
+    formData.append("category", category);
+    formData.append("vegetarian", vegetarian);
+    formData.append("spicyLevel", spicyLevel);
+    formData.append("quantity", quantity);
+
+    try {
+      const res = await axiosInstance.put(`/post/edit/${editingPost._id}`, formData, {
+        headers: {
+          "Content-Type": "multipart/form-data",
+        },
+      });
+      if (res.data.success) {
+        dispatch(setPosts(posts.map((p) => (p._id === res.data.post._id ? res.data.post : p))));
+        onUpdated?.(res.data.post);
+        toast.success("Post updated");
+        handleCloseDialog();
+      }
+    } catch (error) {
+      console.error("Error editing post:", error);
+      toast.error(error.response?.data?.message || "Failed to update post");
+      setLoading(false);
+    }
+  };
+
   const createPostHandler = async (e) => {
     e.preventDefault();
-    if (!caption || !file) return;
+    if (isEditing) {
+      await editPostHandler();
+      return;
+    }
+    if (!caption || files.length === 0) return;
 
     setLoading(true);
     const formData = new FormData();
-    formData.append("media", file);
+    files.forEach((file) => formData.append("media", file));
     formData.append("caption", caption);
     formData.append("price", price);
     formData.append("category", category);
@@ -82,6 +174,10 @@ const CreatePost = ({ open, setOpen, refreshPosts }) => {
     formData.append("ingredients", ingredients);
     formData.append("cuisine", cuisine);
     formData.append("ipProtected", enableIpProtection);
+    formData.append("availableHours", availableHours);
+    if (menuItem) {
+      formData.append("menuItem", menuItem);
+    }
 
     try {
       console.log('Creating post with URL:', getApiUrl('post/addpost'));
@@ -163,19 +259,57 @@ const CreatePost = ({ open, setOpen, refreshPosts }) => {
     }
   };
 
+  // Picked files are added after the ones already picked. When editing, the
+  // first pick replaces the post's current media.
   const fileChangeHandler = async (e) => {
-    const selectedFile = e.target.files?.[0];
-    if (selectedFile) {
-      setFile(selectedFile);
-      const dataUrl = await readFileAsDataURL(selectedFile);
-      setPostPreview(dataUrl);
+    const selectedFiles = Array.from(e.target.files || []);
+    // Let the same file be picked again after removing it
+    e.target.value = "";
+    if (selectedFiles.length === 0) return;
+
+    if (files.length + selectedFiles.length > MAX_POST_MEDIA) {
+      toast.warning(`A post can have up to ${MAX_POST_MEDIA} photos and videos`);
     }
+    const addedFiles = selectedFiles.slice(0, Math.max(MAX_POST_MEDIA - files.length, 0));
+    const addedPreviews = await Promise.all(
+      addedFiles.map(async (selectedFile) => ({
+        mediaType: selectedFile.type.startsWith("video") ? "video" : "image",
+        url: await readFileAsDataURL(selectedFile),
+      }))
+    );
+
+    setPreviews(files.length > 0 ? [...previews, ...addedPreviews] : addedPreviews);
+    setFiles([...files, ...addedFiles]);
+  };
+
+  // Move a picked file earlier (-1) or later (1); the first one is the cover
+  const moveFile = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= files.length) return;
+    const swap = (list) => {
+      const next = [...list];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    };
+    setFiles(swap(files));
+    setPreviews(swap(previews));
+  };
+
+  const removeFile = (index) => {
+    const remainingFiles = files.filter((_, i) => i !== index);
+    setFiles(remainingFiles);
+    // With nothing new left, an edit keeps the post's current media
+    setPreviews(
+      remainingFiles.length === 0 && isEditing
+        ? getPostMedia(editingPost)
+        : previews.filter((_, i) => i !== index)
+    );
   };
 
   return (
     <Dialog open={open} onClose={handleCloseDialog} maxWidth="sm" fullWidth>
       <DialogTitle className="text-center font-semibold">
-        Create New Post
+        {isEditing ? "Edit Post" : "Create New Post"}
       </DialogTitle>
       <DialogContent dividers>
         <form className="flex flex-col gap-4" onSubmit={createPostHandler}>
@@ -209,16 +343,62 @@ const CreatePost = ({ open, setOpen, refreshPosts }) => {
             <option value="All">All</option>
           </select>
 
+          {!isEditing && menuItems.length > 0 && (
+            <select
+              name="menuItem"
+              value={menuItem}
+              onChange={(e) => handleMenuItemChange(e.target.value)}
+              className="border border-gray-300 p-2 rounded-md"
+            >
+              <option value="">Not a batch of a menu item</option>
+              {menuItems.map((item) => (
+                <option key={item._id} value={item._id}>
+                  Fresh batch of {item.name}
+                </option>
+              ))}
+            </select>
+          )}
+
+          {!isEditing && (
+            <select
+              name="availableHours"
+              value={availableHours}
+              onChange={(e) => setAvailableHours(Number(e.target.value))}
+              className="border border-gray-300 p-2 rounded-md"
+            >
+              {AVAILABILITY_OPTIONS.map((hours) => (
+                <option key={hours} value={hours}>
+                  Available for {hours} {hours === 1 ? "hour" : "hours"}
+                </option>
+              ))}
+            </select>
+          )}
+
+          {isEditing && (
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={quantity}
+              onChange={(e) => setQuantity(e.target.value)}
+              placeholder="Portions left..."
+              className="border border-gray-300 p-2 rounded-md"
+              required
+            />
+          )}
+
           {/* On Blockchain Button */}
-          <Button
-            variant={onBlockchain ? "contained" : "outlined"}
-            color="primary"
-            fullWidth
-            onClick={() => setOnBlockchain(!onBlockchain)}
-            sx={{ mt: 1, mb: 1 }}
-          >
-            {onBlockchain ? "On Blockchain ✓" : "On Blockchain"}
-          </Button>
+          {!isEditing && (
+            <Button
+              variant={onBlockchain ? "contained" : "outlined"}
+              color="primary"
+              fullWidth
+              onClick={() => setOnBlockchain(!onBlockchain)}
+              sx={{ mt: 1, mb: 1 }}
+            >
+              {onBlockchain ? "On Blockchain ✓" : "On Blockchain"}
+            </Button>
+          )}
 
           {/* Food properties */}
           <div className="flex flex-col gap-3 border border-gray-200 p-3 rounded-md bg-gray-50">
@@ -386,43 +566,77 @@ const CreatePost = ({ open, setOpen, refreshPosts }) => {
             </div>
           )}
 
-          {postPreview && (
-            <div className="w-full h-96">
-              {file.type.startsWith("image") ? (
-                <img
-                  src={postPreview}
-                  alt="Post Preview"
-                  className="w-full rounded h-full object-cover"
-                />
-              ) : (
-                <video
-                  controls
-                  autoPlay
-                  loop
-                  className="w-full h-full object-cover rounded"
-                >
-                  <source src={postPreview} type={file.type} />
-                  Your browser does not support the video tag.
-                </video>
-              )}
+          {previews.length > 0 && (
+            <MediaCarousel media={previews} className="w-full h-96 rounded" />
+          )}
+
+          {/* Order of the newly picked photos and videos */}
+          {files.length > 0 && (
+            <div className="flex gap-2 overflow-x-auto pb-1">
+              {previews.map((preview, index) => (
+                <div key={`${preview.url}-${index}`} className="relative w-20 h-20 flex-shrink-0">
+                  {preview.mediaType === "video" ? (
+                    <video src={preview.url} className="w-full h-full object-cover rounded" muted />
+                  ) : (
+                    <img src={preview.url} alt={`Item ${index + 1}`} className="w-full h-full object-cover rounded" />
+                  )}
+                  {index === 0 && (
+                    <span className="absolute top-1 left-1 px-1 text-[10px] rounded bg-black/60 text-white">Cover</span>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => removeFile(index)}
+                    className="absolute top-1 right-1 w-5 h-5 flex items-center justify-center rounded-full bg-black/60 text-white"
+                    aria-label="Remove"
+                  >
+                    <X size={12} />
+                  </button>
+                  <div className="absolute bottom-1 left-1 right-1 flex justify-between">
+                    <button
+                      type="button"
+                      onClick={() => moveFile(index, -1)}
+                      disabled={index === 0}
+                      className="w-5 h-5 flex items-center justify-center rounded-full bg-white/80 disabled:invisible"
+                      aria-label="Move earlier"
+                    >
+                      <ChevronLeft size={12} />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => moveFile(index, 1)}
+                      disabled={index === files.length - 1}
+                      className="w-5 h-5 flex items-center justify-center rounded-full bg-white/80 disabled:invisible"
+                      aria-label="Move later"
+                    >
+                      <ChevronRight size={12} />
+                    </button>
+                  </div>
+                </div>
+              ))}
             </div>
           )}
+
           <input
             type="file"
             ref={postRef}
             accept="image/*,video/*"
             className="hidden"
             onChange={fileChangeHandler}
-            required
+            multiple
           />
           <button
             type="button"
             onClick={() => postRef.current.click()}
-            className="w-fit mx-auto bg-[#0095F6] hover:bg-[#258bcf] p-2 rounded"
+            disabled={files.length >= MAX_POST_MEDIA}
+            className="w-fit mx-auto bg-[#0095F6] hover:bg-[#258bcf] p-2 rounded disabled:opacity-50"
           >
-            Select Post
+            {files.length > 0
+              ? "Add More"
+              : isEditing
+                ? "Replace Photos or Videos"
+                : "Select Photos or Videos"}
           </button>
-          {postPreview && (
+          {(previews.length > 0 || isEditing) && (
             <input
               type="text"
               value={price}
@@ -432,7 +646,7 @@ const CreatePost = ({ open, setOpen, refreshPosts }) => {
               required
             />
           )}
-          {postPreview && (
+          {(previews.length > 0 || isEditing) && (
             <button
               type="submit"
               disabled={loading}
@@ -443,6 +657,8 @@ const CreatePost = ({ open, setOpen, refreshPosts }) => {
                   <Loader2 className="mr-2 h-4 w-4 animate-spin" />
                   Please wait...
                 </>
+              ) : isEditing ? (
+                "Save Changes"
               ) : (
                 "Post"
               )}
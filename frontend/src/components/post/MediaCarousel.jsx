@@ -0,0 +1,112 @@
+import React, { useEffect, useRef, useState } from "react";
+import { ChevronLeft, ChevronRight } from "lucide-react";
+
+// The photos and videos of a post, one at a time. Swiping uses native scroll
+// snapping so it works with touch and trackpads; arrows are for mouse users.
+const MediaCarousel = ({ media = [], onMediaClick, className = "" }) => {
+  const trackRef = useRef(null);
+  const videoRefs = useRef([]);
+  const [scrollIndex, setScrollIndex] = useState(0);
+  // The list can shrink while shown, e.g. when a picked file is removed
+  const index = Math.min(scrollIndex, Math.max(media.length - 1, 0));
+
+  // Only the video in view keeps playing
+  useEffect(() => {
+    videoRefs.current.forEach((video, i) => {
+      if (video && i !== index) video.pause();
+    });
+  }, [index]);
+
+  const handleScroll = () => {
+    const track = trackRef.current;
+    if (!track?.clientWidth) return;
+    setScrollIndex(Math.round(track.scrollLeft / track.clientWidth));
+  };
+
+  const goTo = (event, target) => {
+    event.stopPropagation();
+    const track = trackRef.current;
+    if (!track) return;
+    track.scrollTo({ left: target * track.clientWidth, behavior: "smooth" });
+  };
+
+  return (
+    <div className={`relative bg-gray-100 overflow-hidden ${className}`}>
+      <div
+        ref={trackRef}
+        onScroll={handleScroll}
+        className="flex w-full h-full overflow-x-auto snap-x snap-mandatory scrollbar-hide"
+      >
+        {media.map((item, i) => (
+          <div
+            key={`${item.url}-${i}`}
+            className="w-full h-full flex-shrink-0 snap-center flex items-center justify-center cursor-pointer"
+            onClick={onMediaClick}
+          >
+            {item.mediaType === "video" ? (
+              <video
+                ref={(element) => {
+                  videoRefs.current[i] = element;
+                }}
+                src={item.url}
+                controls
+                autoPlay={i === 0}
+                loop
+                className="w-full h-full object-cover"
+              />
+            ) : (
+              <img
+                src={item.url}
+                alt={media.length > 1 ? `Post ${i + 1} of ${media.length}` : "Post"}
+                className="w-full h-full object-cover"
+              />
+            )}
+          </div>
+        ))}
+      </div>
+
+      {media.length > 1 && (
+        <>
+          <span className="absolute top-2 right-2 px-2 py-0.5 text-xs rounded-full bg-black/60 text-white">
+            {index + 1}/{media.length}
+          </span>
+
+          {index > 0 && (
+            <button
+              type="button"
+              onClick={(e) => goTo(e, index - 1)}
+              className="hidden md:flex absolute left-2 top-1/2 -translate-y-1/2 w-8 h-8 items-center justify-center rounded-full bg-white/80 hover:bg-white shadow"
+              aria-label="Previous"
+            >
+              <ChevronLeft size={18} />
+            </button>
+          )}
+          {index < media.length - 1 && (
+            <button
+              type="button"
+              onClick={(e) => goTo(e, index + 1)}
+              className="hidden md:flex absolute right-2 top-1/2 -translate-y-1/2 w-8 h-8 items-center justify-center rounded-full bg-white/80 hover:bg-white shadow"
+              aria-label="Next"
+            >
+              <ChevronRight size={18} />
+            </button>
+          )}
+
+          <div className="absolute bottom-2 left-1/2 -translate-x-1/2 flex gap-1.5">
+            {media.map((item, i) => (
+              <button
+                key={`${item.url}-${i}`}
+                type="button"
+                onClick={(e) => goTo(e, i)}
+                className={`w-2 h-2 rounded-full ${i === index ? "bg-white" : "bg-white/50"}`}
+                aria-label={`Show ${i + 1} of ${media.length}`}
+              />
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MediaCarousel;
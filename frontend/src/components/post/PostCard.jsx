@@ -46,6 +46,9 @@ import { addNotification } from "../../redux/rtnSlice";
 import { updateBookmarks, syncUserBookmarks } from "../../redux/authSlice";
 import useCart from "../../hooks/useCart";
 import { SafeMath } from "../../utils/bigintPolyfill";
+import { isPostExpired } from "../../utils/postExpiry";
+import { getPostMedia } from "../../utils/postMedia";
+import MediaCarousel from "./MediaCarousel";
 
 // Define a GoogleMap component within the file
 const GoogleMapEmbed = ({ lat1, lon1, lat2, lon2, height = 400 }) => {
@@ -664,6 +667,10 @@ const PostCard = ({ post }) => {
   const [shareCount, setShareCount] = useState(post?.shareCount || 0);
   const [commentText, setCommentText] = useState("");
   const [comments, setComments] = useState(post?.comments || []);
+  // The feed sends only the latest few comments, with the total alongside
+  const [commentCount, setCommentCount] = useState(
+    post?.commentCount ?? post?.comments?.length ?? 0
+  );
   const [menuAnchor, setMenuAnchor] = useState(null);
   const [commentDialogOpen, setCommentDialogOpen] = useState(false);
   const [shareDialogOpen, setShareDialogOpen] = useState(false);
@@ -704,6 +711,14 @@ const PostCard = ({ post }) => {
 
   const { posts } = useSelector((store) => store.post);
 
+  // Expired posts stay viewable from orders, shares and bookmarks but can't be ordered
+  const isExpired = isPostExpired(post);
+
+  // Stock the seller has left for this post
+  const isSoldOut = typeof post?.quantity === "number" && post.quantity <= 0;
+  const reachedStockLimit =
+    typeof post?.quantity === "number" && getItemQuantity(post?._id) >= post.quantity;
+
   // Monitor stock errors to show toast notifications
   useEffect(() => {
     if (!post || !post._id) return;
@@ -1119,10 +1134,13 @@ const PostCard = ({ post }) => {
       if (res.data.success) {
         const updatedComments = [...comments, res.data.comment];
         setComments(updatedComments);
+        setCommentCount(commentCount + 1);
         setCommentText("");
 
         const updatedPosts = posts.map((p) =>
-          p._id === post._id ? { ...p, comments: updatedComments } : p
+          p._id === post._id
+            ? { ...p, comments: updatedComments, commentCount: commentCount + 1 }
+            : p
         );
         dispatch(setPosts(updatedPosts));
         toast.success(res.data.message);
@@ -1255,6 +1273,7 @@ const PostCard = ({ post }) => {
       vegetarian: Boolean(post.vegetarian),
       spicyLevel: post.spicyLevel || "medium",
       category: post.category || "Other",
+      maxStock: post.quantity ?? 100,
     };
 
     // Add to cart using the hook
@@ -1468,26 +1487,11 @@ const PostCard = ({ post }) => {
         </div>
       </div>
 
-      <div
-        className="w-full h-96 sm:h-80 md:h-80 lg:h-96 bg-gray-100 flex items-center justify-center overflow-hidden cursor-pointer"
-        onClick={handleViewPostDetail}
-      >
-        {post.mediaType === "video" ? (
-          <video
-            src={post.video}
-            controls
-            autoPlay
-            loop
-            className="w-full h-full object-cover"
-          />
-        ) : (
-          <img
-            src={post.image}
-            alt="Post"
-            className="w-full h-full object-cover"
-          />
-        )}
-      </div>
+      <MediaCarousel
+        media={getPostMedia(post)}
+        onMediaClick={handleViewPostDetail}
+        className="w-full h-96 sm:h-80 md:h-80 lg:h-96"
+      />
 
       <div className="p-4">
         <p
@@ -1497,6 +1501,15 @@ const PostCard = ({ post }) => {
           {post.caption}
         </p>
 
+        {post.menuItem?.name && post.author?._id && (
+          <Link
+            to={`/profile/${post.author._id}`}
+            className="inline-block text-xs mb-3 px-2 py-1 rounded-full bg-orange-50 text-orange-700 border border-orange-200 hover:bg-orange-100"
+          >
+            Fresh batch of {post.menuItem.name} · on the menu
+          </Link>
+        )}
+
         {/* Mobile view with 3 dots and price button */}
         <div className="flex items-center justify-between mb-3 md:hidden">
           <button 
@@ -1520,12 +1533,20 @@ const PostCard = ({ post }) => {
               </span>
               <button
                 onClick={() => increaseItem(post._id)}
-                className="bg-green-100 hover:bg-green-200 w-7 h-7 flex items-center justify-center rounded-md text-lg transition-colors"
-                disabled={cartLoading}
+                className="bg-green-100 hover:bg-green-200 w-7 h-7 flex items-center justify-center rounded-md text-lg transition-colors disabled:opacity-50"
+                disabled={cartLoading || reachedStockLimit}
               >
                 +
               </button>
             </div>
+          ) : isExpired ? (
+            <span className="px-3 py-1.5 text-sm bg-gray-100 text-gray-500 font-medium rounded-md">
+              No longer available
+            </span>
+          ) : isSoldOut ? (
+            <span className="px-3 py-1.5 text-sm bg-gray-100 text-gray-500 font-medium rounded-md">
+              Sold out
+            </span>
           ) : (
             <button
               onClick={addToCartHandler}
@@ -1557,12 +1578,20 @@ const PostCard = ({ post }) => {
               </span>
               <button
                 onClick={() => increaseItem(post._id)}
-                className="bg-green-100 hover:bg-green-200 w-7 h-7 flex items-center justify-center rounded-md text-lg transition-colors"
-                disabled={cartLoading}
+                className="bg-green-100 hover:bg-green-200 w-7 h-7 flex items-center justify-center rounded-md text-lg transition-colors disabled:opacity-50"
+                disabled={cartLoading || reachedStockLimit}
               >
                 +
               </button>
             </div>
+          ) : isExpired ? (
+            <span className="px-3 py-1.5 text-sm bg-gray-100 text-gray-500 font-medium rounded-md">
+              No longer available
+            </span>
+          ) : isSoldOut ? (
+            <span className="px-3 py-1.5 text-sm bg-gray-100 text-gray-500 font-medium rounded-md">
+              Sold out
+            </span>
           ) : (
             <button
               onClick={addToCartHandler}
@@ -1596,7 +1625,7 @@ const PostCard = ({ post }) => {
                 >
                   <FiMessageCircle />
                 </button>
-                <span className="text-xs mt-1 font-medium">{comments.length || 0}</span>
+                <span className="text-xs mt-1 font-medium">{commentCount}</span>
               </div>
 
               <div className="flex flex-col items-center">
@@ -1621,7 +1650,7 @@ const PostCard = ({ post }) => {
               </div> */}
             </div>
 
-            {comments.length > 0 && (
+            {commentCount > 0 && (
           <span
             onClick={() => {
               dispatch(setSelectedPost(post));
@@ -1629,7 +1658,7 @@ const PostCard = ({ post }) => {
             }}
             className="hover:text-blue-300 cursor-pointer"
           >
-            View all {comments.length} comments
+            View all {commentCount} comments
           </span>
         )}
             
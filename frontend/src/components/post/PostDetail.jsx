@@ -28,8 +28,11 @@ import {
   Star,
   Shield,
   ChevronDown,
+  Pencil,
+  History,
 } from "lucide-react";
 import PostCard from "./PostCard";
+import CreatePost from "./CreatePost";
 import { setSelectedPost } from "../../redux/postSlice";
 import CommentDialog from "../comment/CommentDialog";
 import RecipeIPRegistration from "../story/RecipeIPRegistration";
@@ -40,6 +43,40 @@ import { useStoryProtocol } from "../../providers/StoryProtocolProvider";
 const API_BASE_URL =
   import.meta.env.VITE_API_URL || "https://socialfooddelivery-2.onrender.com";
 
+const EDIT_FIELD_LABELS = {
+  caption: "Caption",
+  price: "Price",
+  category: "Category",
+  vegetarian: "Vegetarian",
+  spicyLevel: "Spicy level",
+  quantity: "Portions left",
+  media: "Photos/videos",
+};
+
+// "2 photos and a video". Media changes record the list of media types;
+// edits from before media lists recorded a single type.
+const describeMedia = (types) => {
+  const list = Array.isArray(types) ? types : [types || "image"];
+  const photos = list.filter((type) => type !== "video").length;
+  const videos = list.length - photos;
+  const count = (n, noun) => (n === 1 ? `a ${noun}` : `${n} ${noun}s`);
+  return [photos && count(photos, "photo"), videos && count(videos, "video")].filter(Boolean).join(" and ");
+};
+
+// "Price: ₹120 → ₹100", or "Photos/videos: replaced a photo with 2 photos and a video"
+const formatEditChange = ({ field, from, to }) => {
+  const label = EDIT_FIELD_LABELS[field] || field;
+  if (field === "media") {
+    return `${label}: replaced ${describeMedia(from)} with ${describeMedia(to)}`;
+  }
+  const format = (value) => {
+    if (typeof value === "boolean") return value ? "yes" : "no";
+    if (field === "price") return `₹${value}`;
+    return value === "" || value === null || value === undefined ? "none" : String(value);
+  };
+  return `${label}: ${format(from)} → ${format(to)}`;
+};
+
 const PostDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -54,6 +91,7 @@ const PostDetail = () => {
   const [ratings, setRatings] = useState(null);
   const [loadingRatings, setLoadingRatings] = useState(false);
   const [registrationComplete, setRegistrationComplete] = useState(false);
+  const [editOpen, setEditOpen] = useState(false);
   
   const { user } = useSelector((store) => store.auth);
   const { isInitialized } = useStoryProtocol();
@@ -356,10 +394,20 @@ const PostDetail = () => {
         <Typography 
           variant={isMobile ? "h6" : "h5"} 
           component="h1" 
-          sx={{ fontWeight: 'bold' }}
+          sx={{ fontWeight: 'bold', flex: 1 }}
         >
           Post Details
         </Typography>
+        {post && user && post.author?._id === user._id && (
+          <Button
+            variant="outlined"
+            size={isMobile ? "small" : "medium"}
+            startIcon={<Pencil size={16} />}
+            onClick={() => setEditOpen(true)}
+          >
+            Edit
+          </Button>
+        )}
       </div>
 
       {loading ? (
@@ -402,6 +450,32 @@ const PostDetail = () => {
             <PostCard post={post} />
           </Box>
 
+          {/* Edit history, newest first */}
+          {post.editHistory?.length > 0 && (
+            <Accordion sx={{ borderRadius: 2 }}>
+              <AccordionSummary expandIcon={<ChevronDown size={18} />}>
+                <Typography sx={{ display: "flex", alignItems: "center", fontWeight: 'bold' }}>
+                  <History size={18} className="mr-2" />
+                  Edited {post.editHistory.length} {post.editHistory.length === 1 ? "time" : "times"}
+                </Typography>
+              </AccordionSummary>
+              <AccordionDetails>
+                {[...post.editHistory].reverse().map((entry, index) => (
+                  <Box key={entry._id || index} sx={{ mb: 1.5 }}>
+                    <Typography variant="caption" color="text.secondary">
+                      {new Date(entry.editedAt).toLocaleString()}
+                    </Typography>
+                    {entry.changes.map((change) => (
+                      <Typography key={change.field} variant="body2">
+                        {formatEditChange(change)}
+                      </Typography>
+                    ))}
+                  </Box>
+                ))}
+              </AccordionDetails>
+            </Accordion>
+          )}
+
           {/* Ratings Summary Section */}
           <Paper 
             elevation={1} 
@@ -709,6 +783,19 @@ const PostDetail = () => {
         setOpen={setCommentDialogOpen}
         post={post}
       />
+
+      {/* Edit Post Dialog */}
+      {post && (
+        <CreatePost
+          open={editOpen}
+          setOpen={setEditOpen}
+          post={post}
+          onUpdated={(updatedPost) => {
+            setPost(updatedPost);
+            dispatch(setSelectedPost(updatedPost));
+          }}
+        />
+      )}
     </Container>
   );
 };
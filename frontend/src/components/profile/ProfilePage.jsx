@@ -7,6 +7,7 @@ import useFollowUser from "../../hooks/useFollowUser";
 import { Heart, MessageCircle } from "lucide-react";
 import { getUserStats } from "../../redux/userSlice";
 import { toast } from "react-toastify";
+import SellerMenu from "./SellerMenu";
 
 const ProfilePage = ({ userProfile }) => {
   const [reload, setReload] = useState(false);
@@ -39,7 +40,7 @@ const ProfilePage = ({ userProfile }) => {
         )
       : [];
 
-  const tabs = ["posts", "saved", "tags"];
+  const tabs = ["posts", "menu", "saved", "tags"];
   
   // Fetch user stats when the profile loads
   useEffect(() => {
@@ -188,6 +189,10 @@ const ProfilePage = ({ userProfile }) => {
           </div>
         </div>
 
+        {activeTab === "menu" && (
+          <SellerMenu sellerId={userProfile?._id} isOwner={isLoggedInUserProfile} />
+        )}
+
         {/* Posts/Shorts Display */}
         <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
           {(activeTab === "posts" || activeTab === "saved") && displayedPost?.length > 0 ? (
@@ -0,0 +1,141 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { CircularProgress } from "@mui/material";
+import { ShoppingCart, Leaf } from "lucide-react";
+import { getSellerMenu } from "../../services/menuService";
+import useCart from "../../hooks/useCart";
+
+const DAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const formatAvailability = (availability = []) =>
+  availability.map((window) => `${DAYS[window.day]} ${window.start}–${window.end}`).join(", ");
+
+// A seller's permanent menu on their profile. Items can be added to the cart
+// while they're available; fresh batches of an item link to their posts.
+const SellerMenu = ({ sellerId, isOwner }) => {
+  const [menu, setMenu] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { addItem } = useCart();
+
+  useEffect(() => {
+    if (!sellerId) return;
+
+    let cancelled = false;
+    setLoading(true);
+    getSellerMenu(sellerId)
+      .then((response) => {
+        if (!cancelled) {
+          setMenu(response);
+          setError(null);
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || "Failed to load menu");
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [sellerId]);
+
+  const addToCartHandler = (item) => {
+    addItem({
+      _id: item._id,
+      itemType: "Product",
+      name: item.name,
+      image: item.image || "",
+      price: item.price,
+      author: sellerId,
+      vegetarian: Boolean(item.vegetarian),
+      category: item.menuCategory,
+      maxStock: item.availableNow ? menu.maxPortionsPerLine : 0,
+    });
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <CircularProgress size={28} />
+      </div>
+    );
+  }
+
+  if (error) {
+    return <div className="py-8 text-center text-red-500">{error}</div>;
+  }
+
+  if (!menu?.items?.length) {
+    return (
+      <div className="py-8 text-center text-gray-500">
+        {isOwner ? "Your menu is empty. Add items from My Kitchen." : "No menu items yet"}
+      </div>
+    );
+  }
+
+  return (
+    <ul className="divide-y divide-gray-200">
+      {menu.items.map((item) => (
+        <li key={item._id} className="flex gap-3 py-4">
+          {item.image ? (
+            <img src={item.image} alt={item.name} className="w-20 h-20 rounded-md object-cover flex-shrink-0" />
+          ) : (
+            <div className="w-20 h-20 rounded-md bg-gray-100 flex items-center justify-center text-2xl text-gray-400 flex-shrink-0">
+              {item.name.charAt(0)}
+            </div>
+          )}
+
+          <div className="flex-1 min-w-0">
+            <div className="flex items-center gap-2 flex-wrap">
+              <h3 className="font-semibold text-gray-800">{item.name}</h3>
+              {item.vegetarian && <Leaf size={14} className="text-green-600" />}
+              <span className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">{item.menuCategory}</span>
+            </div>
+            {item.description && <p className="text-sm text-gray-600 mt-1">{item.description}</p>}
+            <p className={`text-xs mt-1 ${item.availableNow ? "text-green-700" : "text-gray-500"}`}>
+              {item.availableNow
+                ? "Available now"
+                : !item.inStock
+                  ? "Out of stock"
+                  : `Available ${formatAvailability(item.availability)}`}
+            </p>
+
+            {item.freshBatches?.length > 0 && (
+              <div className="flex flex-wrap gap-2 mt-2">
+                {item.freshBatches.map((batch) => (
+                  <Link
+                    key={batch._id}
+                    to={`/post/${batch._id}`}
+                    className="text-xs px-2 py-1 rounded-full bg-orange-50 text-orange-700 border border-orange-200 hover:bg-orange-100"
+                  >
+                    Fresh batch · {batch.quantity} left
+                  </Link>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="flex flex-col items-end justify-between flex-shrink-0">
+            <span className="font-semibold text-gray-800">${item.price.toFixed(2)}</span>
+            {!isOwner && (
+              <button
+                type="button"
+                onClick={() => addToCartHandler(item)}
+                disabled={!item.availableNow}
+                className="flex items-center gap-1 text-sm px-3 py-1.5 rounded-md bg-[#0095F6] text-white hover:bg-[#258bcf] disabled:bg-gray-300 disabled:cursor-not-allowed"
+              >
+                <ShoppingCart size={14} />
+                Add
+              </button>
+            )}
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default SellerMenu;
@@ -0,0 +1,177 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Typography,
+  TextField,
+  CircularProgress,
+  Alert,
+  Paper
+} from '@mui/material';
+import { createPaymentIntent, confirmMockCardPayment, getPaymentStatus } from '../../services/orderService';
+
+// How long to wait for the gateway's webhook to reach the server
+const STATUS_ATTEMPTS = 10;
+const STATUS_RETRY_MS = 1500;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const formatCardNumber = (value) => value.replace(/\D/g, '').slice(0, 16).replace(/(\d{4})(?=\d)/g, '$1 ');
+
+// Pays for an order (or a whole checkout) by card through the local mock gateway.
+// The card goes to the gateway, not our API; the order is paid once the gateway's
+// webhook reaches the server, so this waits on the payment status afterwards.
+const MockCardPayment = ({ orderId, intent: initialIntent, onSuccess, onError }) => {
+  const [intent, setIntent] = useState(initialIntent || null);
+  const [intentError, setIntentError] = useState(null);
+  const [card, setCard] = useState({ number: '', expiry: '', cvc: '' });
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [failure, setFailure] = useState(null);
+  const mounted = useRef(true);
+
+  useEffect(() => {
+    mounted.current = true;
+    return () => {
+      mounted.current = false;
+    };
+  }, []);
+
+  // Each attempt gets a fresh intent, so a declined card doesn't shadow the retry's status
+  const loadIntent = useCallback(async () => {
+    setIntentError(null);
+    try {
+      const response = await createPaymentIntent(orderId);
+      if (mounted.current) setIntent(response.payment);
+    } catch (error) {
+      if (mounted.current) setIntentError(error.message || 'Unable to prepare the payment');
+    }
+  }, [orderId]);
+
+  const hasInitialIntent = !!initialIntent;
+  useEffect(() => {
+    if (!hasInitialIntent && orderId) {
+      loadIntent();
+    }
+  }, [hasInitialIntent, orderId, loadIntent]);
+
+  const waitForOutcome = async () => {
+    for (let attempt = 1; attempt <= STATUS_ATTEMPTS; attempt++) {
+      await wait(STATUS_RETRY_MS);
+      const status = await getPaymentStatus(orderId);
+      if (status.paymentStatus === 'paid' || status.status === 'succeeded') {
+        return { paid: true };
+      }
+      if (status.status === 'failed') {
+        return { paid: false, reason: status.failureReason || 'Your card was declined' };
+      }
+    }
+    return { paid: false, reason: 'The payment is taking longer than usual. Check the order page in a moment.' };
+  };
+
+  const handlePayment = async () => {
+    const [expMonth, expYear] = card.expiry.split('/').map(part => part.trim());
+    if (card.number.replace(/\s/g, '').length !== 16 || !expMonth || !expYear || !card.cvc) {
+      setFailure('Enter your card number, expiry date (MM/YY) and security code');
+      return;
+    }
+
+    setIsProcessing(true);
+    setFailure(null);
+    try {
+      await confirmMockCardPayment(intent.intentId, {
+        clientSecret: intent.clientSecret,
+        card: { number: card.number, expMonth, expYear, cvc: card.cvc }
+      });
+
+      const outcome = await waitForOutcome();
+      if (!mounted.current) return;
+
+      if (outcome.paid) {
+        if (onSuccess) onSuccess();
+      } else {
+        setFailure(outcome.reason);
+        if (onError) onError(outcome.reason);
+        setIntent(null);
+        loadIntent();
+      }
+    } catch (error) {
+      console.error('Card payment error:', error);
+      if (!mounted.current) return;
+      setFailure(error.message || 'Payment failed');
+      if (onError) onError(error.message || 'Payment failed');
+    } finally {
+      if (mounted.current) setIsProcessing(false);
+    }
+  };
+
+  if (intentError) {
+    return (
+      <Alert severity="error" sx={{ mb: 3 }}>
+        {intentError}
+      </Alert>
+    );
+  }
+
+  return (
+    <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
+      <Typography variant="h6" gutterBottom>
+        Card Payment
+      </Typography>
+
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+        <Alert severity="info">
+          Test mode: use 4242 4242 4242 4242 with any future expiry date and CVC.
+          4000 0000 0000 0002 is declined.
+        </Alert>
+
+        <TextField
+          label="Card number"
+          value={card.number}
+          onChange={(e) => setCard(prev => ({ ...prev, number: formatCardNumber(e.target.value) }))}
+          inputProps={{ inputMode: 'numeric', autoComplete: 'cc-number' }}
+          fullWidth
+        />
+        <Box sx={{ display: 'flex', gap: 2 }}>
+          <TextField
+            label="Expiry (MM/YY)"
+            value={card.expiry}
+            onChange={(e) => setCard(prev => ({ ...prev, expiry: e.target.value.slice(0, 7) }))}
+            inputProps={{ autoComplete: 'cc-exp' }}
+            fullWidth
+          />
+          <TextField
+            label="CVC"
+            value={card.cvc}
+            onChange={(e) => setCard(prev => ({ ...prev, cvc: e.target.value.replace(/\D/g, '').slice(0, 4) }))}
+            inputProps={{ inputMode: 'numeric', autoComplete: 'cc-csc' }}
+            fullWidth
+          />
+        </Box>
+
+        {failure && (
+          <Alert severity="error">
+            {failure}
+          </Alert>
+        )}
+
+        <Button
+          variant="contained"
+          color="primary"
+          onClick={handlePayment}
+          disabled={isProcessing || !intent}
+        >
+          {isProcessing || !intent ? (
+            <>
+              <CircularProgress size={24} sx={{ mr: 1 }} color="inherit" />
+              {isProcessing ? 'Processing...' : 'Preparing...'}
+            </>
+          ) : (
+            `Pay ₹${intent.amountInr.toFixed(2)}`
+          )}
+        </Button>
+      </Box>
+    </Paper>
+  );
+};
+
+export default MockCardPayment;
@@ -3,10 +3,11 @@ import { useWallet, useConnection } from '@solana/wallet-adapter-react';
 import { 
   PublicKey, 
   Transaction, 
+  TransactionInstruction,
   SystemProgram, 
-  LAMPORTS_PER_SOL,
-  sendAndConfirmTransaction
+  LAMPORTS_PER_SOL
 } from '@solana/web3.js';
+import { Buffer } from 'buffer';
 import { useDispatch, useSelector } from 'react-redux';
 import { 
   setPaymentPending, 
@@ -22,21 +23,61 @@ import {
   Paper 
 } from '@mui/material';
 import SolanaWalletButton from './SolanaWalletButton';
-import { safeSOLToLamports, safeLamportsToSOL, safeBigIntToNumber } from '../../utils/bigintPolyfill';
+import { safeLamportsToSOL, safeBigIntToNumber } from '../../utils/bigintPolyfill';
+import { createPaymentIntent, confirmPayment, sendMockSolanaPayment } from '../../services/orderService';
 
-const SolanaPayment = ({ amount, onSuccess, onError }) => {
+// How often to ask the server to verify a transaction it can't see yet
+const VERIFY_ATTEMPTS = 4;
+const VERIFY_RETRY_MS = 2500;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Pays for an order (or a whole checkout) with SOL. The server says how much to
+// send, where, and which memo to attach, and checks the transaction before the
+// order counts as paid.
+const SolanaPayment = ({ orderId, onSuccess, onError }) => {
   const { publicKey, sendTransaction } = useWallet();
   const { connection } = useConnection();
   const dispatch = useDispatch();
   const { paymentStatus, paymentError, paymentTxId } = useSelector(state => state.wallet);
   const [isProcessing, setIsProcessing] = useState(false);
 
-  // Convert amount to SOL (fixed at 0.001 SOL for demo)
-  const solAmount = amount;
-  
-  // Recipient wallet address (your business wallet) - this is just a demo wallet, replace with your actual wallet
-  // Using a well-known Solana dev wallet to ensure it exists on devnet
-  const RECIPIENT_WALLET = "9B5XszUGdMaxCZ7uSQhPzdks5ZQSmWxrmzCSvtJ6Ns6g";
+  // Amount, recipient and memo for this order, from the server
+  const [intent, setIntent] = useState(null);
+  const [intentError, setIntentError] = useState(null);
+  const solAmount = intent?.amountSol ?? 0;
+
+  useEffect(() => {
+    if (!orderId) return;
+
+    let cancelled = false;
+    setIntentError(null);
+    createPaymentIntent(orderId)
+      .then((response) => {
+        if (!cancelled) setIntent(response.payment);
+      })
+      .catch((error) => {
+        if (!cancelled) setIntentError(error.message || 'Unable to prepare the payment');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [orderId]);
+
+  // The server may not see a just-confirmed transaction straight away, so retry "not found"
+  const verifyWithRetry = async (signature) => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await confirmPayment(orderId, { signature });
+      } catch (error) {
+        if (error.statusCode !== 404 || attempt >= VERIFY_ATTEMPTS) {
+          throw error;
+        }
+        await wait(VERIFY_RETRY_MS);
+      }
+    }
+  };
 
   // Check wallet balance
   const [balance, setBalance] = useState(null);
@@ -81,7 +122,7 @@ const SolanaPayment = ({ amount, onSuccess, onError }) => {
       const currentBalanceLamports = await connection.getBalance(publicKey);
       // Use safe conversion to avoid BigInt conversion errors
       const currentBalanceSOL = safeLamportsToSOL(currentBalanceLamports, LAMPORTS_PER_SOL);
-      const requiredLamports = safeSOLToLamports(solAmount, LAMPORTS_PER_SOL);
+      const requiredLamports = intent.lamports;
       
       console.log(`Current balance: ${currentBalanceSOL} SOL`);
       console.log(`Required amount: ${solAmount} SOL`);
@@ -92,12 +133,17 @@ const SolanaPayment = ({ amount, onSuccess, onError }) => {
         throw new Error(`Insufficient balance. You need at least ${solAmount} SOL.`);
       }
 
-      // Create a new transaction
+      // Transfer to the store's wallet, with the order id as the memo so the server can match it
       const transaction = new Transaction().add(
         SystemProgram.transfer({
           fromPubkey: publicKey,
-          toPubkey: new PublicKey(RECIPIENT_WALLET),
-          lamports: requiredLamports // This is now guaranteed to be a safe integer
+          toPubkey: new PublicKey(intent.recipient),
+          lamports: requiredLamports
+        }),
+        new TransactionInstruction({
+          keys: [{ pubkey: publicKey, isSigner: true, isWritable: false }],
+          programId: new PublicKey(intent.memoProgramId),
+          data: Buffer.from(intent.reference, 'utf8')
         })
       );
 
@@ -120,6 +166,9 @@ const SolanaPayment = ({ amount, onSuccess, onError }) => {
         throw new Error("Transaction failed: " + JSON.stringify(confirmation.value.err));
       }
 
+      console.log('Verifying payment with the server...');
+      await verifyWithRetry(signature);
+
       // Success
       console.log('Payment successful!');
       dispatch(setPaymentSuccess(signature));
@@ -135,6 +184,40 @@ const SolanaPayment = ({ amount, onSuccess, onError }) => {
     }
   };
 
+  // Local development: the server's mock ledger stands in for the wallet
+  const handleMockPayment = async () => {
+    try {
+      setIsProcessing(true);
+      dispatch(setPaymentPending());
+      const { signature } = await sendMockSolanaPayment(orderId);
+      await verifyWithRetry(signature);
+      dispatch(setPaymentSuccess(signature));
+      if (onSuccess) onSuccess(signature);
+    } catch (error) {
+      console.error("Mock payment error:", error);
+      dispatch(setPaymentError(error.message || "Payment failed"));
+      if (onError) onError(error.message || "Payment failed");
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  if (intentError) {
+    return (
+      <Alert severity="error" sx={{ mb: 3 }}>
+        {intentError}
+      </Alert>
+    );
+  }
+
+  if (!intent) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+        <CircularProgress size={28} />
+      </Box>
+    );
+  }
+
   return (
     <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
       <Typography variant="h6" gutterBottom>
@@ -142,6 +225,19 @@ const SolanaPayment = ({ amount, onSuccess, onError }) => {
       </Typography>
       
       <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+        {intent.mock && (
+          <Alert
+            severity="info"
+            action={
+              <Button color="inherit" size="small" onClick={handleMockPayment} disabled={isProcessing}>
+                Simulate
+              </Button>
+            }
+          >
+            The server is using a mock Solana ledger. Simulate paying {solAmount} SOL.
+          </Alert>
+        )}
+
         {!publicKey ? (
           <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', mb: 2 }}>
             <Typography variant="body2" color="text.secondary" gutterBottom>
@@ -153,7 +249,7 @@ const SolanaPayment = ({ amount, onSuccess, onError }) => {
           <>
             <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
               <Typography variant="body1">
-                Amount to pay: {solAmount} SOL
+                Amount to pay: {solAmount} SOL (₹{intent.amountInr.toFixed(2)})
               </Typography>
               
               {balance !== null && (
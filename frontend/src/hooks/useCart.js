@@ -63,19 +63,30 @@ export const useCart = () => {
       return;
     }
     
+    // Posts report the portions the seller has left
+    const maxStock = item.maxStock ?? 100;
+    if (maxStock <= 0) {
+      toast.error("This item is sold out");
+      return;
+    }
+    
     setLoading(true);
     
     try {
-      const isInCart = userCartItems.some((cartItem) => cartItem._id === item._id);
+      const existingItem = userCartItems.find((cartItem) => cartItem._id === item._id);
       
-      if (isInCart) {
-        dispatch(increaseQuantity({ _id: item._id, maxStock: 100 }));
+      if (existingItem) {
+        if (existingItem.quantity >= maxStock) {
+          toast.warning(`Only ${maxStock} left in stock`);
+          return;
+        }
+        dispatch(increaseQuantity({ _id: item._id, maxStock }));
         toast.info("Added one more to cart");
       } else {
         const cartItem = {
           ...item,
           quantity: 1,
-          maxStock: 100
+          maxStock
         };
         dispatch(addToCart(cartItem));
         toast.success("Added to cart");
@@ -103,7 +114,7 @@ export const useCart = () => {
     setLoading(true);
     
     try {
-      dispatch(increaseQuantity({ _id: itemId, maxStock: 100 }));
+      dispatch(increaseQuantity({ _id: itemId }));
     } catch (error) {
       console.error("Error increasing quantity:", error);
       toast.error("Failed to update cart");
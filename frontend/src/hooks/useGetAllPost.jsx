@@ -1,29 +1,62 @@
 import axios from "axios";
-import { useEffect } from "react";
+import { useCallback, useEffect, useRef, useState } from "react";
 import { useDispatch } from "react-redux";
-import { setPosts } from "../redux/postSlice";
+import { setPosts, appendPosts } from "../redux/postSlice";
 
-const useGetAllPost = () => {
+// Loads the ranked home feed into Redux a page at a time. The first page
+// replaces what's there; loadMore appends the next one.
+const useGetAllPost = ({ category } = {}) => {
   const dispatch = useDispatch();
-  useEffect(() => {
-    const fetchAllPost = async () => {
-      try {
-        const res = await axios.get(
-          "https://socialfooddelivery-2.onrender.com/api/v1/post/all",
-          {
-            withCredentials: true,
-          }
-        );
-        if (res.data.success) {
-          dispatch(setPosts(res.data.posts));
+  const [nextCursor, setNextCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // Only the latest request may update the feed, e.g. after switching category
+  const requestRef = useRef(0);
+
+  const fetchPage = useCallback(async (cursor) => {
+    const request = ++requestRef.current;
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await axios.get(
+        "https://socialfooddelivery-2.onrender.com/api/v1/post/feed",
+        {
+          params: { cursor: cursor || undefined, category: category || undefined },
+          withCredentials: true,
         }
-      } catch (error) {
-        console.error("Error fetching posts:", error);
+      );
+      if (request === requestRef.current && res.data.success) {
+        dispatch(cursor ? appendPosts(res.data.posts) : setPosts(res.data.posts));
+        setNextCursor(res.data.nextCursor);
+        setHasMore(res.data.hasMore);
+      }
+    } catch (error) {
+      console.error("Error fetching posts:", error);
+      if (request === requestRef.current) {
+        setError(error.response?.data?.message || "Couldn't load more posts");
+      }
+    } finally {
+      if (request === requestRef.current) {
+        setLoading(false);
       }
-    };
+    }
+  }, [dispatch, category]);
+
+  useEffect(() => {
+    fetchPage(null);
+  }, [fetchPage]);
+
+  const loadMore = useCallback(() => {
+    if (!loading && !error && hasMore) {
+      fetchPage(nextCursor);
+    }
+  }, [loading, error, hasMore, nextCursor, fetchPage]);
+
+  // Try the page that failed again
+  const retry = useCallback(() => fetchPage(nextCursor), [nextCursor, fetchPage]);
 
-    fetchAllPost();
-  }, []);
+  return { loadMore, retry, hasMore, loading, error };
 };
 
 export default useGetAllPost;
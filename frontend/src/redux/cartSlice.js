@@ -352,17 +352,26 @@ const cartSlice = createSlice({
         (item) => item._id === action.payload._id
       );
 
+      // Stock the seller has left (posts without a known stock fall back to 100)
+      const maxStock = action.payload.maxStock ?? 100;
+
       if (existingItem) {
-        // If item exists, increase quantity instead of duplicating
-        console.log("Item already exists in cart, increasing quantity");
-        existingItem.quantity += 1;
+        existingItem.maxStock = maxStock;
 
-        // Set a high maxStock value to ensure multiple quantities can be ordered
-        existingItem.maxStock = 100;
-        console.log("Updated maxStock to:", existingItem.maxStock);
+        // If item exists, increase quantity instead of duplicating
+        if (existingItem.quantity >= maxStock) {
+          userCart.stockErrors[existingItem._id] =
+            maxStock > 0 ? `Only ${maxStock} left in stock` : "Sold out";
+        } else {
+          console.log("Item already exists in cart, increasing quantity");
+          existingItem.quantity += 1;
 
-        // Clear any stock errors
-        delete userCart.stockErrors[existingItem._id];
+          // Clear any stock errors
+          delete userCart.stockErrors[existingItem._id];
+        }
+      } else if (maxStock <= 0) {
+        console.log("Item is sold out, not adding to cart");
+        userCart.stockErrors[action.payload._id] = "Sold out";
       } else {
         // Remove from saved items if it exists there
         if (userCart.savedItems) {
@@ -374,13 +383,12 @@ const cartSlice = createSlice({
           userCart.savedItems = [];
         }
 
-        // Add to cart items with proper maxStock handling
-        console.log("Adding new item to cart with maxStock:100");
+        // Add to cart items with the seller's remaining stock
+        console.log("Adding new item to cart with maxStock:", maxStock);
         userCart.cartItems.push({
           ...action.payload,
           quantity: 1,
-          // Always use a high maxStock to allow multiple quantities
-          maxStock: 100,
+          maxStock,
         });
       }
 
@@ -418,11 +426,16 @@ const cartSlice = createSlice({
       const item = userCart.cartItems.find((i) => i._id === action.payload._id);
 
       if (item) {
-        // Always allow increasing quantity with no stock limitations
-        item.quantity = (item.quantity || 0) + 1; // Ensure we have a valid quantity
+        item.maxStock = action.payload.maxStock ?? item.maxStock ?? 100;
 
-        // Always ensure maxStock is set to 100 to allow multiple quantities
-        item.maxStock = 100;
+        // Don't let the cart hold more than the seller has left
+        if ((item.quantity || 0) >= item.maxStock) {
+          userCart.stockErrors[item._id] =
+            item.maxStock > 0 ? `Only ${item.maxStock} left in stock` : "Sold out";
+        } else {
+          item.quantity = (item.quantity || 0) + 1; // Ensure we have a valid quantity
+          delete userCart.stockErrors[item._id];
+        }
 
         console.log(
           "New quantity:",
@@ -430,16 +443,6 @@ const cartSlice = createSlice({
           "Max stock:",
           item.maxStock
         );
-
-        // Only show warning for extremely high quantities (over 50)
-        if (item.quantity > 50) {
-          userCart.stockErrors[
-            item._id
-          ] = `Very high quantity (${item.quantity}) selected`;
-        } else {
-          // Otherwise, allow any quantity and clear errors
-          delete userCart.stockErrors[item._id];
-        }
       } else {
         // If item not found, log error
         console.error("Item not found in cart:", action.payload._id);
@@ -517,6 +520,48 @@ const cartSlice = createSlice({
       state.stockErrors = userCart.stockErrors;
     },
 
+    // Refresh remaining stock for cart items (e.g. from a server quote)
+    updateStockLevels: (state, action) => {
+      const userId = state.currentUserId;
+      if (!userId || !state.userCarts[userId] || !Array.isArray(action.payload)) {
+        return;
+      }
+
+      const userCart = state.userCarts[userId];
+      let changed = false;
+
+      action.payload.forEach(({ _id, available }) => {
+        const item = userCart.cartItems.find((i) => i._id === _id);
+        if (!item) return;
+
+        let stockError = null;
+        if (available <= 0) {
+          stockError = "Sold out";
+        } else if (item.quantity > available) {
+          stockError = `Only ${available} left in stock`;
+        }
+
+        // Only touch the cart when something actually changed
+        if (item.maxStock === available && (userCart.stockErrors[_id] || null) === stockError) {
+          return;
+        }
+
+        changed = true;
+        item.maxStock = available;
+        if (stockError) {
+          userCart.stockErrors[_id] = stockError;
+        } else {
+          delete userCart.stockErrors[_id];
+        }
+      });
+
+      if (!changed) return;
+
+      // Sync with legacy cartItems for compatibility
+      state.cartItems = userCart.cartItems;
+      state.stockErrors = userCart.stockErrors;
+    },
+
     removeFromCart: (state, action) => {
       // Validate the payload
       if (!action.payload) {
@@ -950,6 +995,7 @@ export const {
   addToCart,
   increaseQuantity,
   decreaseQuantity,
+  updateStockLevels,
   removeFromCart,
   saveForLater,
   moveToCart,
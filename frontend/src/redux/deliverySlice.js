@@ -7,6 +7,9 @@ import {
   getNearbyOrders,
   acceptOrder,
   rejectOrder,
+  arriveAtPickup,
+  confirmPickup,
+  startDelivery,
   completeDelivery,
   verifyDeliveryAgent as verifyDeliveryAgentAPI,
   getDeliveryHistory,
@@ -200,27 +203,26 @@ export const fetchActiveDeliveries = createAsyncThunk(
   }
 );
 
-// Async thunk for updating delivery status
+// Async thunk for moving a delivery through its legs: arrived at the kitchen,
+// picked up (with the kitchen's code, unless the agent is at the kitchen),
+// out for delivery and delivered (with the customer's code)
 export const updateDeliveryStatus = createAsyncThunk(
   "delivery/updateStatus",
-  async ({ orderId, status }, { rejectWithValue, dispatch }) => {
+  async ({ orderId, status, code }, { rejectWithValue, dispatch }) => {
     try {
       console.log(`Updating delivery status for order ${orderId} to ${status}`);
       
-      // We'll use the API endpoint based on the status
       let response;
-      
-      // For simplicity, use acceptOrder API for status changes
-      // In a real implementation, you would have specific API endpoints for each status
-      if (status === 'picked_up') {
-        // This would typically be a different API endpoint
-        response = await acceptOrder(orderId, { status: 'picked_up' });
+      if (status === 'arrived_at_pickup') {
+        response = await arriveAtPickup(orderId);
+      } else if (status === 'picked_up') {
+        response = await confirmPickup(orderId, code);
       } else if (status === 'out_for_delivery') {
-        response = await acceptOrder(orderId, { status: 'out_for_delivery' });
+        response = await startDelivery(orderId);
       } else if (status === 'delivered') {
-        response = await completeDelivery(orderId);
+        response = await completeDelivery(orderId, { otp: code });
       } else {
-        response = await acceptOrder(orderId, { status });
+        throw new Error(`Can't move a delivery to ${status}`);
       }
       
       console.log(`Status updated successfully for order ${orderId}`, response);
@@ -231,7 +233,7 @@ export const updateDeliveryStatus = createAsyncThunk(
       return { orderId, status, updatedAt: new Date().toISOString() };
     } catch (error) {
       console.error(`Error updating delivery status for order ${orderId}:`, error);
-      return rejectWithValue(error.message || `Failed to update delivery status to ${status}`);
+      return rejectWithValue(error.message || error || `Failed to update delivery status to ${status}`);
     }
   }
 );
@@ -476,12 +478,12 @@ export const rejectDeliveryOrder = createAsyncThunk(
 // Async thunk for completing a delivery
 export const completeDeliveryOrder = createAsyncThunk(
   "delivery/completeDelivery",
-  async (orderId, { rejectWithValue }) => {
+  async ({ orderId, otp, photo, note }, { rejectWithValue }) => {
     try {
-      const response = await completeDelivery(orderId);
+      const response = await completeDelivery(orderId, { otp, photo, note });
       return response;
     } catch (error) {
-      return rejectWithValue(error.message || "Failed to complete delivery");
+      return rejectWithValue(error.message || error || "Failed to complete delivery");
     }
   }
 );
@@ -519,6 +521,8 @@ const initialState = {
   registrationError: null,
   profile: null,
   isAvailable: false,
+  // Shift and capacity check from the server: { onShift, load, capacity, canTakeOrders, reason }
+  workStatus: null,
   isProfileLoading: false,
   isProfileError: false,
   profileError: null,
@@ -862,26 +866,7 @@ const deliverySlice = createSlice({
         // If status is 'picked_up', update the timestamps
         if (status === 'picked_up') {
           state.activeDeliveries[orderIndex].pickedUpAt = new Date().toISOString();
-          
-          // Calculate estimated delivery time based on distance if we have coordinates
-          const order = state.activeDeliveries[orderIndex];
-          if (order.pickupLocation?.coordinates && order.deliveryLocation?.coordinates && 
-              order.deliveryLocation.coordinates[0] !== 0 && order.deliveryLocation.coordinates[1] !== 0) {
-            // Calculate distance from pickup to delivery
-            const deliveryDistance = calculateDistance(
-              order.pickupLocation.coordinates[1],
-              order.pickupLocation.coordinates[0],
-              order.deliveryLocation.coordinates[1],
-              order.deliveryLocation.coordinates[0]
-            );
-            
-            // Estimate delivery time (assume 30 km/h average speed)
-            const deliveryTimeMinutes = Math.round((deliveryDistance / 30) * 60);
-            const deliveryTime = new Date();
-            deliveryTime.setMinutes(deliveryTime.getMinutes() + deliveryTimeMinutes);
-            
-            state.activeDeliveries[orderIndex].estimatedDeliveryTime = deliveryTime.toISOString();
-          }
+          // The new delivery estimate comes from the server (see updateDeliveryEta)
         }
         
         // If status is 'delivered', update the timestamp
@@ -899,6 +884,16 @@ const deliverySlice = createSlice({
         
         console.log(`Updated order ${orderId} status to ${status}`, state.activeDeliveries[orderIndex]);
       }
+    },
+    // Server-side ETA changes, pushed as the agent moves (orderEtaUpdate)
+    updateDeliveryEta: (state, action) => {
+      const { orderId, estimatedDeliveryTime } = action.payload;
+      [state.activeDeliveries, state.activeOrders].forEach(orders => {
+        const order = orders.find(order => order._id === orderId);
+        if (order) {
+          order.estimatedDeliveryTime = estimatedDeliveryTime;
+        }
+      });
     }
   },
   extraReducers: (builder) => {
@@ -944,6 +939,12 @@ const deliverySlice = createSlice({
           );
         }
       }
+
+      // Orders on the My Deliveries page come from the agent profile
+      const activeOrder = state.activeOrders.find(order => order._id === orderId);
+      if (activeOrder) {
+        activeOrder.status = status;
+      }
     });
     
     builder.addCase(updateDeliveryStatus.rejected, (state, action) => {
@@ -974,6 +975,7 @@ const deliverySlice = createSlice({
       state.profile = action.payload.agent;
       state.isDeliveryAgent = true;
       state.isAvailable = action.payload.agent.isAvailable;
+      state.workStatus = action.payload.workStatus || null;
       state.currentLocation = {
         longitude: action.payload.agent.currentLocation.coordinates[0],
         latitude: action.payload.agent.currentLocation.coordinates[1],
@@ -1188,6 +1190,7 @@ const deliverySlice = createSlice({
       });
       
       state.nearbyOrders = normalizedOrders;
+      state.workStatus = action.payload.workStatus || state.workStatus;
       
       // Log the final state
       CoordinateDebugger.logReduxState('nearbyOrders', state.nearbyOrders);
@@ -1345,7 +1348,8 @@ const deliverySlice = createSlice({
             pickupTime.setMinutes(pickupTime.getMinutes() + pickupTimeMinutes);
             enhancedOrder.estimatedPickupTime = pickupTime.toISOString();
             
-            if (hasValidDelivery) {
+            // The server's estimate accounts for prep time and the agent's vehicle
+            if (hasValidDelivery && !incomingOrder.estimatedDeliveryTime) {
               const deliveryDistance = calculateDistance(
                 enhancedOrder.pickupLocation.coordinates[1],
                 enhancedOrder.pickupLocation.coordinates[0],
@@ -1507,6 +1511,7 @@ const deliverySlice = createSlice({
       // Update state with normalized orders
       state.confirmedOrders = normalizedOrders;
       state.lastConfirmedOrdersUpdate = new Date().toISOString();
+      state.workStatus = action.payload.workStatus || state.workStatus;
       
       // Extract pickup points from confirmed orders
       const pickupPoints = [];
@@ -1609,6 +1614,7 @@ export const {
   addToActiveDeliveries,
   removeFromActiveDeliveries,
   updateActiveDeliveryStatus,
+  updateDeliveryEta,
   syncOrderCoordinatesFromAdmin
 } = deliverySlice.actions;
 
@@ -10,6 +10,11 @@ const postSlice = createSlice({
     setPosts: (state, action) => {
       state.posts = action.payload;
     },
+    // Next page of the feed; posts already shown (e.g. that moved up the ranking) aren't repeated
+    appendPosts: (state, action) => {
+      const seen = new Set(state.posts.map((post) => post._id));
+      state.posts = [...state.posts, ...action.payload.filter((post) => !seen.has(post._id))];
+    },
     setSelectedPost: (state, action) => {
       state.selectedPost = action.payload;
     },
@@ -27,5 +32,5 @@ const postSlice = createSlice({
   },
 });
 
-export const { setPosts, setSelectedPost, addPost, removePost, updatePost } = postSlice.actions;
+export const { setPosts, appendPosts, setSelectedPost, addPost, removePost, updatePost } = postSlice.actions;
 export default postSlice.reducer;
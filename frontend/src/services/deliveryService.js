@@ -287,14 +287,55 @@ export const rejectOrder = async (orderId) => {
   }
 };
 
+// Check in at the kitchen
+export const arriveAtPickup = async (orderId) => {
+  try {
+    const response = await api.put(`/delivery/arrived/${orderId}`);
+    return response.data;
+  } catch (error) {
+    console.error("Failed to mark arrival at pickup:", error);
+    throw error.response?.data?.message || error.message || 'Failed to mark arrival';
+  }
+};
+
+// Confirm the food was collected, with the kitchen's code (optional when at the kitchen)
+export const confirmPickup = async (orderId, code) => {
+  try {
+    const response = await api.put(`/delivery/pickup/${orderId}`, { code });
+    return response.data;
+  } catch (error) {
+    console.error("Failed to confirm pickup:", error);
+    throw error.response?.data?.message || error.message || 'Failed to confirm pickup';
+  }
+};
+
+// Set off to the customer
+export const startDelivery = async (orderId) => {
+  try {
+    const response = await api.put(`/delivery/depart/${orderId}`);
+    return response.data;
+  } catch (error) {
+    console.error("Failed to start delivery:", error);
+    throw error.response?.data?.message || error.message || 'Failed to start delivery';
+  }
+};
+
 // Mark an order as delivered
-export const completeDelivery = async (orderId) => {
+// Hand the order over with the customer's delivery code, plus an optional doorstep photo
+export const completeDelivery = async (orderId, { otp, photo, note } = {}) => {
   try {
-    const response = await api.put(`/delivery/complete/${orderId}`);
+    const formData = new FormData();
+    if (otp) formData.append("otp", otp);
+    if (photo) formData.append("photo", photo);
+    if (note) formData.append("note", note);
+
+    const response = await api.put(`/delivery/complete/${orderId}`, formData, {
+      headers: { "Content-Type": "multipart/form-data" }
+    });
     return response.data;
   } catch (error) {
     console.error("Failed to complete delivery:", error);
-    throw error;
+    throw error.response?.data?.message || error.message || 'Failed to complete delivery';
   }
 };
 
@@ -309,6 +350,19 @@ export const getAllAgents = async () => {
   }
 };
 
+// Admin: Get a delivery agent's ratings from customers
+export const getAgentRatings = async (agentId, page = 1) => {
+  try {
+    const response = await api.get(`/delivery/admin/agents/${agentId}/ratings`, {
+      params: { page }
+    });
+    return response.data;
+  } catch (error) {
+    console.error("Failed to fetch agent ratings:", error);
+    throw error.response?.data?.message || error.message || 'Failed to load ratings';
+  }
+};
+
 // Admin: Verify delivery agent
 export const verifyDeliveryAgent = async (agentId, isVerified) => {
   try {
@@ -332,3 +386,157 @@ export const getConfirmedOrders = async () => {
     throw error;
   }
 };
+
+// Get the agent's earnings balance and weekly statements
+export const getMyEarnings = async (weeks = 8) => {
+  try {
+    const response = await api.get("/earnings", { params: { weeks } });
+    return response.data;
+  } catch (error) {
+    console.error("Failed to fetch earnings:", error);
+    throw error.response?.data?.message || error.message || 'Failed to load earnings';
+  }
+};
+
+// Get one week's earnings statement, with every delivery in it
+export const getEarningsStatement = async (weekStart) => {
+  try {
+    const response = await api.get(`/earnings/statements/${encodeURIComponent(weekStart)}`);
+    return response.data;
+  } catch (error) {
+    console.error("Failed to fetch earnings statement:", error);
+    throw error.response?.data?.message || error.message || 'Failed to load statement';
+  }
+};
+
+// Admin: See what a payout run up to periodEnd would settle
+export const getPayoutPreview = async (periodEnd) => {
+  try {
+    const response = await api.get("/earnings/admin/payouts/preview", {
+      params: periodEnd ? { periodEnd } : {}
+    });
+    return response.data;
+  } catch (error) {
+    console.error("Failed to preview payout:", error);
+    throw error.response?.data?.message || error.message || 'Failed to preview payout';
+  }
+};
+
+// Admin: Settle every pending earning up to periodEnd
+export const createPayout = async ({ periodEnd, note }) => {
+  try {
+    const response = await api.post("/earnings/admin/payouts", { periodEnd, note });
+    return response.data;
+  } catch (error) {
+    console.error("Failed to run payout:", error);
+    throw error.response?.data?.message || error.message || 'Failed to run payout';
+  }
+};
+
+// Admin: Get past payout runs
+export const getPayouts = async (page = 1) => {
+  try {
+    const response = await api.get("/earnings/admin/payouts", { params: { page } });
+    return response.data;
+  } catch (error) {
+    console.error("Failed to fetch payouts:", error);
+    throw error.response?.data?.message || error.message || 'Failed to load payouts';
+  }
+};
+
+// Admin: Download a payout run as a CSV file
+export const downloadPayoutCsv = async (payoutId) => {
+  try {
+    const response = await api.get(`/earnings/admin/payouts/${payoutId}/csv`, { responseType: 'blob' });
+    const url = URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `payout-${payoutId}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error("Failed to download payout:", error);
+    throw error.message || 'Failed to download payout';
+  }
+};
+
+// Set the agent's weekly shifts
+export const updateShifts = async (shifts) => {
+  try {
+    const response = await api.put("/delivery/shifts", { shifts });
+    return response.data;
+  } catch (error) {
+    console.error("Failed to update shifts:", error);
+    throw error.response?.data?.message || error.message || 'Failed to update shifts';
+  }
+};
+
+// Set the service zones the agent works in
+export const updateZones = async (zoneIds) => {
+  try {
+    const response = await api.put("/delivery/zones", { zoneIds });
+    return response.data;
+  } catch (error) {
+    console.error("Failed to update zones:", error);
+    throw error.response?.data?.message || error.message || 'Failed to update zones';
+  }
+};
+
+// Get the service zones agents can work in
+export const getServiceZones = async () => {
+  try {
+    const response = await api.get("/zones");
+    return response.data;
+  } catch (error) {
+    console.error("Failed to fetch service zones:", error);
+    throw error.response?.data?.message || error.message || 'Failed to load service zones';
+  }
+};
+
+// Admin: Get every service zone
+export const getAllServiceZones = async () => {
+  try {
+    const response = await api.get("/zones/admin/all");
+    return response.data;
+  } catch (error) {
+    console.error("Failed to fetch service zones:", error);
+    throw error.response?.data?.message || error.message || 'Failed to load service zones';
+  }
+};
+
+// Admin: Create a service zone, or update it when zoneId is given
+export const saveServiceZone = async (zone, zoneId = null) => {
+  try {
+    const response = zoneId
+      ? await api.put(`/zones/admin/${zoneId}`, zone)
+      : await api.post("/zones/admin/create", zone);
+    return response.data;
+  } catch (error) {
+    console.error("Failed to save service zone:", error);
+    throw error.response?.data?.message || error.message || 'Failed to save service zone';
+  }
+};
+
+// Admin: Delete a service zone
+export const deleteServiceZone = async (zoneId) => {
+  try {
+    const response = await api.delete(`/zones/admin/${zoneId}`);
+    return response.data;
+  } catch (error) {
+    console.error("Failed to delete service zone:", error);
+    throw error.response?.data?.message || error.message || 'Failed to delete service zone';
+  }
+};
+
+// Get the suggested order to visit the pickups and drop-offs of the agent's active orders
+export const getRoutePlan = async () => {
+  try {
+    const response = await api.get("/delivery/route");
+    return response.data;
+  } catch (error) {
+    console.error("Failed to fetch route plan:", error);
+    throw error.response?.data?.message || error.message || 'Failed to plan your route';
+  }
+};
@@ -0,0 +1,68 @@
+import axiosInstance from "../utils/axiosInstance";
+
+const api = axiosInstance;
+
+const multipart = { headers: { "Content-Type": "multipart/form-data" } };
+
+// Menu items are sent as multipart forms so they can carry a photo
+const toMenuItemForm = (item, image) => {
+  const form = new FormData();
+  Object.entries(item).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    form.append(key, Array.isArray(value) ? JSON.stringify(value) : value);
+  });
+  if (image) {
+    form.append("image", image);
+  }
+  return form;
+};
+
+// Get the items on the current user's menu
+export const getMyMenu = async () => {
+  try {
+    const response = await api.get("/menu/mine");
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: "Error fetching your menu" };
+  }
+};
+
+// Add an item to the current user's menu, optionally with a photo
+export const createMenuItem = async (item, image) => {
+  try {
+    const response = await api.post("/menu", toMenuItemForm(item, image), multipart);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: "Error adding menu item" };
+  }
+};
+
+// Change an item on the current user's menu
+export const updateMenuItem = async (itemId, item, image) => {
+  try {
+    const response = await api.put(`/menu/${itemId}`, toMenuItemForm(item, image), multipart);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: "Error updating menu item" };
+  }
+};
+
+// Take an item off the current user's menu
+export const deleteMenuItem = async (itemId) => {
+  try {
+    const response = await api.delete(`/menu/${itemId}`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: "Error removing menu item" };
+  }
+};
+
+// Get a seller's menu with the fresh batches posted for each item
+export const getSellerMenu = async (sellerId) => {
+  try {
+    const response = await api.get(`/menu/seller/${sellerId}`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: "Error fetching menu" };
+  }
+};
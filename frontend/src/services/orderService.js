@@ -99,6 +99,49 @@ export const createNewOrder = async (orderData) => {
   }
 };
 
+// Get the server-side price breakdown for the cart
+export const getOrderQuote = async (quoteData) => {
+  try {
+    const response = await api.post("/orders/quote", quoteData);
+    return response.data;
+  } catch (error) {
+    console.error("Failed to fetch order quote:", error);
+    throw error; // The interceptor will format this error
+  }
+};
+
+// Check that the cart can be delivered to the customer's location
+export const checkServiceability = async (serviceabilityData) => {
+  try {
+    const response = await api.post("/orders/serviceability", serviceabilityData);
+    return response.data;
+  } catch (error) {
+    console.error("Failed to check serviceability:", error);
+    throw error; // The interceptor will format this error
+  }
+};
+
+// Get the scheduled delivery/pickup slots every kitchen in the cart can still take
+export const getDeliverySlots = async (items) => {
+  try {
+    const response = await api.post("/orders/slots", { items });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: "Error fetching delivery slots" };
+  }
+};
+
+// Validate a promo code against the current cart
+export const validatePromoCode = async (promoData) => {
+  try {
+    const response = await api.post("/promo-codes/validate", promoData);
+    return response.data;
+  } catch (error) {
+    console.error("Failed to validate promo code:", error);
+    throw error; // The interceptor will format this error
+  }
+};
+
 // Get all orders for current user
 export const getUserOrders = async () => {
   try {
@@ -184,6 +227,106 @@ export const cancelOrder = async (orderId) => {
   }
 };
 
+// Get the cancellation fee and refund for cancelling an order now
+export const getCancellationQuote = async (orderId) => {
+  try {
+    const response = await api.get(`/refunds/cancellation-quote/${orderId}`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: "Error fetching cancellation details" };
+  }
+};
+
+// Ask for a partial refund or dispute a delivered order
+export const requestRefund = async (refundData) => {
+  try {
+    const response = await api.post("/refunds/request", refundData);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: "Error requesting refund" };
+  }
+};
+
+// Rate the agent who delivered an order
+export const rateDelivery = async (orderId, review) => {
+  try {
+    const response = await api.post(`/delivery/rate/${orderId}`, review);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: "Error rating delivery" };
+  }
+};
+
+// Get the route the delivery agent took, for replaying
+export const getOrderTrail = async (orderId) => {
+  try {
+    const response = await api.get(`/orders/${orderId}/trail`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: "Error fetching delivery route" };
+  }
+};
+
+// Get the refunds for an order
+export const getOrderRefunds = async (orderId) => {
+  try {
+    const response = await api.get(`/refunds/order/${orderId}`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: "Error fetching refunds" };
+  }
+};
+
+// Start paying for an order (or checkout) with its payment method's provider
+export const createPaymentIntent = async (orderId) => {
+  try {
+    const response = await api.post("/payments/intent", { orderId });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: "Error preparing payment" };
+  }
+};
+
+// Hand the server proof of a payment made on the client, e.g. a Solana transaction signature
+export const confirmPayment = async (orderId, payload) => {
+  try {
+    const response = await api.post("/payments/confirm", { orderId, ...payload });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: "Error confirming payment" };
+  }
+};
+
+// Get where an order's payment stands
+export const getPaymentStatus = async (orderId) => {
+  try {
+    const response = await api.get(`/payments/status/${orderId}`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: "Error fetching payment status" };
+  }
+};
+
+// Local development only: pay a mock card gateway intent, as a hosted card form would
+export const confirmMockCardPayment = async (intentId, { clientSecret, card }) => {
+  try {
+    const response = await api.post(`/payments/mock-gateway/intents/${intentId}/confirm`, { clientSecret, card });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: "Error paying by card" };
+  }
+};
+
+// Local development only: pay on the server's mock Solana ledger
+export const sendMockSolanaPayment = async (orderId) => {
+  try {
+    const response = await api.post("/payments/solana/mock-transfer", { orderId });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: "Error sending mock payment" };
+  }
+};
+
 // Reorder a previous order
 export const reorderPreviousOrder = async (orderId) => {
   try {
@@ -193,3 +336,63 @@ export const reorderPreviousOrder = async (orderId) => {
     throw error.response?.data || { message: "Error reordering" };
   }
 };
+
+// Get incoming orders for the current user's posts (seller view)
+export const getSellerOrders = async (status = "active", page = 1) => {
+  try {
+    const response = await api.get("/orders/seller/orders", { params: { status, page } });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: "Error fetching kitchen orders" };
+  }
+};
+
+// Confirm an incoming order, optionally with a prep-time estimate in minutes
+export const confirmSellerOrder = async (orderId, prepTimeMinutes) => {
+  try {
+    const response = await api.put(`/orders/seller/${orderId}/confirm`, { prepTimeMinutes });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: "Error confirming order" };
+  }
+};
+
+// Mark an order as preparing, or update its prep-time estimate
+export const markSellerOrderPreparing = async (orderId, prepTimeMinutes) => {
+  try {
+    const response = await api.put(`/orders/seller/${orderId}/preparing`, { prepTimeMinutes });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: "Error updating order" };
+  }
+};
+
+// Reject an incoming order
+export const rejectSellerOrder = async (orderId, reason = "") => {
+  try {
+    const response = await api.put(`/orders/seller/${orderId}/reject`, { reason });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: "Error rejecting order" };
+  }
+};
+
+// Get the kitchen's scheduled-order settings
+export const getSlotSettings = async () => {
+  try {
+    const response = await api.get("/orders/seller/slot-settings");
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: "Error fetching slot settings" };
+  }
+};
+
+// Change the kitchen's slot capacity and opening hours
+export const updateSlotSettings = async (settings) => {
+  try {
+    const response = await api.put("/orders/seller/slot-settings", settings);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: "Error saving slot settings" };
+  }
+};
@@ -20,6 +20,9 @@ export const SOCKET_EVENTS = {
   DELIVERY_LOCATION_UPDATED: "delivery_location_updated",
   NEW_ORDER_AVAILABLE: "new_order_available",
   DELIVERY_COMPLETED: "delivery_completed",
+  DELIVERY_OFFER: "delivery_offer",
+  DELIVERY_OFFER_WITHDRAWN: "delivery_offer_withdrawn",
+  ORDER_ETA_UPDATED: "orderEtaUpdate",
 };
 
 // Singleton socket instance
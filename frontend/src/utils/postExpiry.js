@@ -0,0 +1,26 @@
+/**
+ * Helpers for post availability windows
+ */
+
+// Posts from before per-post windows were up for three hours
+const LEGACY_AVAILABILITY_MS = 3 * 60 * 60 * 1000;
+
+// Windows a seller can choose when posting, in hours
+export const AVAILABILITY_OPTIONS = [1, 2, 3, 6, 12, 24, 48];
+
+export const DEFAULT_AVAILABILITY_HOURS = 3;
+
+/**
+ * Check whether a post is past its availability window. Expired posts can
+ * still be viewed but no longer ordered.
+ * @param {Object} post - Post with expiresAt (or createdAt for older posts)
+ * @param {Date} [now] - Time to check against
+ * @returns {boolean} Whether the post has expired
+ */
+export const isPostExpired = (post, now = new Date()) => {
+  if (!post) return false;
+  const expiresAt = post.expiresAt
+    ? new Date(post.expiresAt)
+    : new Date(new Date(post.createdAt).getTime() + LEGACY_AVAILABILITY_MS);
+  return !Number.isNaN(expiresAt.getTime()) && expiresAt <= now;
+};
@@ -0,0 +1,21 @@
+/**
+ * Helpers for the photos and videos of a post
+ */
+
+// Photos and videos a post can have
+export const MAX_POST_MEDIA = 10;
+
+/**
+ * Get the ordered media of a post. Posts from before media lists only have
+ * a single image or video.
+ * @param {Object} post - Post with media, or mediaType/image/video
+ * @returns {Array<{mediaType: string, url: string}>} Media in display order
+ */
+export const getPostMedia = (post) => {
+  if (!post) return [];
+  if (post.media?.length) return post.media;
+
+  const mediaType = post.mediaType || (post.video ? "video" : "image");
+  const url = mediaType === "video" ? post.video : post.image;
+  return url ? [{ mediaType, url }] : [];
+};